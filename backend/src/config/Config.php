@@ -54,7 +54,10 @@ class Config
             'password' => '',
             'charset' => 'utf8',
             'timeout' => 30,
-            'max_connections' => 100
+            'statement_timeout' => 5000,
+            'max_connections' => 100,
+            'migrations_path' => '/var/www/migrations',
+            'trash_retention_days' => 7
         ],
         'cors' => [
             'allowed_origins' => ['http://localhost:3000'],
@@ -266,7 +269,10 @@ class Config
             'DB_PASSWORD' => 'database.password',
             'DB_CHARSET' => 'database.charset',
             'DB_TIMEOUT' => 'database.timeout',
+            'DB_STATEMENT_TIMEOUT' => 'database.statement_timeout',
             'DB_MAX_CONNECTIONS' => 'database.max_connections',
+            'DB_MIGRATIONS_PATH' => 'database.migrations_path',
+            'DB_TRASH_RETENTION_DAYS' => 'database.trash_retention_days',
 
             // CORS configuration
             'CORS_ALLOWED_ORIGINS' => 'cors.allowed_origins',
@@ -57,6 +57,11 @@ class ApiController extends BaseController
                 'environment' => $_ENV['APP_ENV'] ?? 'production',
                 'timestamp' => date('Y-m-d H:i:s'),
                 'endpoints' => [
+                    'login' => [
+                        'method' => 'POST',
+                        'path' => '/api/auth/login',
+                        'description' => 'Sign in and receive the bearer token the other endpoints require'
+                    ],
                     'status' => [
                         'method' => 'GET',
                         'path' => '/api/status',
@@ -0,0 +1,73 @@
+<?php
+/**
+ * Audit Controller Class
+ *
+ * Handles HTTP requests for the audit log of table changes.
+ * Uses AuditService to page through and filter the recorded entries.
+ *
+ * @package    Backend\Controllers
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Controllers;
+
+use Backend\Services\AuditService;
+
+class AuditController extends BaseController
+{
+    /**
+     * Audit service instance
+     *
+     * @var AuditService
+     */
+    private $auditService;
+
+    /**
+     * AuditController constructor
+     *
+     * @param AuditService|null $auditService Audit service instance
+     */
+    public function __construct(?AuditService $auditService = null)
+    {
+        parent::__construct();
+        $this->auditService = $auditService ?? new AuditService();
+    }
+
+    /**
+     * Get a page of audit log entries, newest first
+     *
+     * @api GET /api/audit
+     *
+     * @queryParam int page optional Page number (default 1)
+     * @queryParam int limit optional Entries per page (default 25, max 100)
+     * @queryParam string actor optional Username search term
+     * @queryParam string table optional Table name search term
+     * @queryParam string action optional Exact action (create_table, drop_table, add_column, ...)
+     *
+     * @return void
+     */
+    public function index(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['GET']);
+
+            $pagination = $this->getPaginationParams(25, 100);
+
+            $result = $this->auditService->getEntries($pagination['limit'], $pagination['offset'], [
+                'actor' => $this->getScalarQueryParam('actor', ''),
+                'table' => $this->getScalarQueryParam('table', ''),
+                'action' => $this->getScalarQueryParam('action', '')
+            ]);
+
+            $this->paginated(
+                $result['entries'],
+                $result['total'],
+                $pagination['page'],
+                $pagination['limit'],
+                'Audit log retrieved successfully'
+            );
+        });
+    }
+}
@@ -0,0 +1,96 @@
+<?php
+/**
+ * Auth Controller Class
+ *
+ * Handles sign-in and session refresh for the dashboard.
+ * Uses AuthService for password checks and token issuance.
+ *
+ * @package    Backend\Controllers
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Controllers;
+
+use Backend\Services\AuthService;
+
+class AuthController extends BaseController
+{
+    /**
+     * Auth service instance
+     *
+     * @var AuthService
+     */
+    private $authService;
+
+    /**
+     * AuthController constructor
+     *
+     * @param AuthService|null $authService Auth service instance (shared with the auth middleware)
+     */
+    public function __construct(?AuthService $authService = null)
+    {
+        parent::__construct();
+        $this->authService = $authService ?? new AuthService();
+    }
+
+    /**
+     * Sign in with a username and password
+     *
+     * @api POST /api/auth/login
+     *
+     * @bodyParam string username required Username
+     * @bodyParam string password required Password
+     *
+     * @return void
+     */
+    public function login(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['POST']);
+            $this->validateRequired($this->requestData, ['username', 'password'], 'request body');
+
+            $session = $this->authService->login(
+                (string) $this->requestData['username'],
+                (string) $this->requestData['password']
+            );
+
+            $this->logActivity('user_logged_in', ['id' => $session['user']['id']]);
+
+            $this->success($session, 'Signed in successfully');
+        });
+    }
+
+    /**
+     * Exchange a still-valid token for a new one
+     *
+     * @api POST /api/auth/refresh
+     *
+     * @return void
+     */
+    public function refresh(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['POST']);
+
+            $this->success($this->authService->refresh(), 'Session refreshed successfully');
+        });
+    }
+
+    /**
+     * Get the signed-in user
+     *
+     * @api GET /api/auth/me
+     *
+     * @return void
+     */
+    public function me(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['GET']);
+
+            $this->success($this->authService->requireCurrentUser(), 'Current user retrieved successfully');
+        });
+    }
+}
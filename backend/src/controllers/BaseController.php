@@ -251,6 +251,25 @@ abstract class BaseController
         return $this->query[$key] ?? $default;
     }
 
+    /**
+     * Get a query parameter that must hold a single value
+     * 
+     * @param string $key Parameter key
+     * @param string|null $default Default value
+     * @return string|null Parameter value
+     * @throws ValidationException When the parameter was sent as an array
+     */
+    protected function getScalarQueryParam(string $key, ?string $default = null): ?string
+    {
+        $value = $this->getQueryParam($key, $default);
+
+        if (is_array($value)) {
+            throw new ValidationException("Query parameter '{$key}' must be a single value");
+        }
+
+        return $value === null ? null : (string) $value;
+    }
+
     /**
      * Get query parameter as integer
      * 
@@ -0,0 +1,202 @@
+<?php
+/**
+ * Config Controller Class
+ *
+ * Handles HTTP requests for the application's key/value configuration.
+ * Uses ConfigService for type conversion and core key protection.
+ *
+ * @package    Backend\Controllers
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Controllers;
+
+use Backend\Services\ConfigService;
+use Backend\Exceptions\ValidationException;
+
+class ConfigController extends BaseController
+{
+    /**
+     * Config service instance
+     *
+     * @var ConfigService
+     */
+    private $configService;
+
+    /**
+     * ConfigController constructor
+     *
+     * @param ConfigService|null $configService Config service instance
+     */
+    public function __construct(?ConfigService $configService = null)
+    {
+        parent::__construct();
+        $this->configService = $configService ?? new ConfigService();
+    }
+
+    /**
+     * Get all config entries
+     *
+     * @api GET /api/config
+     *
+     * @return void
+     */
+    public function index(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['GET']);
+
+            $entries = $this->configService->getAll();
+
+            $this->success([
+                'entries' => $entries,
+                'count' => count($entries)
+            ], 'Configuration retrieved successfully');
+        });
+    }
+
+    /**
+     * Get the maintenance mode state
+     *
+     * Public so signed-out and locked-out clients can show the message.
+     *
+     * @api GET /api/maintenance
+     *
+     * @return void
+     */
+    public function maintenance(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['GET']);
+
+            $this->success(
+                $this->configService->getMaintenanceStatus(),
+                'Maintenance status retrieved successfully'
+            );
+        });
+    }
+
+    /**
+     * Replace the whole configuration
+     *
+     * Non-core keys missing from the body are deleted; core keys are kept.
+     *
+     * @api PUT /api/config
+     *
+     * @bodyParam object values required Values keyed by config name
+     *
+     * @return void
+     */
+    public function replace(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['PUT']);
+
+            $result = $this->configService->setValues($this->getValuesParam(), true);
+
+            $this->logActivity('config_replaced', [
+                'created' => $result['created'],
+                'deleted' => $result['deleted']
+            ]);
+
+            $this->success($result, 'Configuration replaced successfully');
+        });
+    }
+
+    /**
+     * Update some config values, creating keys that do not exist yet
+     *
+     * @api PATCH /api/config
+     *
+     * @bodyParam object values required Values keyed by config name
+     *
+     * @return void
+     */
+    public function update(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['PATCH']);
+
+            $values = $this->getValuesParam();
+            $result = $this->configService->setValues($values);
+
+            $this->logActivity('config_updated', [
+                'keys' => array_keys($values),
+                'created' => $result['created']
+            ]);
+
+            $this->success($result, 'Configuration updated successfully');
+        });
+    }
+
+    /**
+     * Create a config key
+     *
+     * @api POST /api/config
+     *
+     * @bodyParam string name required Config name
+     * @bodyParam mixed value required Boolean, integer or string value
+     *
+     * @return void
+     */
+    public function create(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['POST']);
+            $this->validateRequired($this->requestData, ['name'], 'request body');
+
+            if (!array_key_exists('value', $this->requestData)) {
+                throw new ValidationException('Missing required fields in request body', [
+                    'missing_fields' => ['value']
+                ]);
+            }
+
+            $entry = $this->configService->create((string) $this->requestData['name'], $this->requestData['value']);
+
+            $this->logActivity('config_created', ['name' => $entry['name']]);
+
+            $this->created($entry, "Config '{$entry['name']}' created successfully");
+        });
+    }
+
+    /**
+     * Delete a non-core config key
+     *
+     * @api DELETE /api/config/{name}
+     *
+     * @param string $name Config name
+     *
+     * @return void
+     */
+    public function delete(string $name): void
+    {
+        $this->executeAction(function () use ($name) {
+            $this->validateMethod(['DELETE']);
+
+            $entry = $this->configService->delete($name);
+
+            $this->logActivity('config_deleted', ['name' => $name]);
+
+            $this->success($entry, "Config '{$name}' deleted successfully");
+        });
+    }
+
+    /**
+     * Get the values object from the request body
+     *
+     * @return array Values keyed by config name
+     * @throws ValidationException
+     */
+    private function getValuesParam(): array
+    {
+        $this->validateRequired($this->requestData, ['values'], 'request body');
+
+        if (!is_array($this->requestData['values'])) {
+            throw new ValidationException('values must be an object keyed by config name');
+        }
+
+        return $this->requestData['values'];
+    }
+}
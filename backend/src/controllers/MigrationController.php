@@ -0,0 +1,103 @@
+<?php
+/**
+ * Migration Controller Class
+ *
+ * Handles HTTP requests for the migrations generated from schema changes.
+ * Uses MigrationService to list, apply and roll back migrations.
+ *
+ * @package    Backend\Controllers
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Controllers;
+
+use Backend\Services\MigrationService;
+use Backend\Services\AuthService;
+
+class MigrationController extends BaseController
+{
+    /**
+     * Migration service instance
+     *
+     * @var MigrationService
+     */
+    private $migrationService;
+
+    /**
+     * Auth service instance
+     *
+     * @var AuthService
+     */
+    private $authService;
+
+    /**
+     * MigrationController constructor
+     *
+     * @param MigrationService|null $migrationService Migration service instance
+     * @param AuthService|null $authService Auth service instance (shared with the auth middleware)
+     */
+    public function __construct(?MigrationService $migrationService = null, ?AuthService $authService = null)
+    {
+        parent::__construct();
+        $this->migrationService = $migrationService ?? new MigrationService();
+        $this->authService = $authService ?? new AuthService();
+    }
+
+    /**
+     * List migrations, oldest first, with their SQL and whether they are applied
+     *
+     * @api GET /api/migrations
+     *
+     * @return void
+     */
+    public function index(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['GET']);
+
+            $result = $this->migrationService->getMigrations();
+
+            $this->success($result, 'Migrations retrieved successfully');
+        });
+    }
+
+    /**
+     * Apply a pending migration
+     *
+     * @api POST /api/migrations/{version}/apply
+     *
+     * @param string $version Migration version
+     * @return void
+     */
+    public function apply(string $version): void
+    {
+        $this->executeAction(function () use ($version) {
+            $this->validateMethod(['POST']);
+
+            $migration = $this->migrationService->apply($version, $this->authService->getCurrentUser());
+
+            $this->success($migration, "Migration {$version} applied successfully");
+        });
+    }
+
+    /**
+     * Roll back an applied migration
+     *
+     * @api POST /api/migrations/{version}/rollback
+     *
+     * @param string $version Migration version
+     * @return void
+     */
+    public function rollback(string $version): void
+    {
+        $this->executeAction(function () use ($version) {
+            $this->validateMethod(['POST']);
+
+            $migration = $this->migrationService->rollback($version);
+
+            $this->success($migration, "Migration {$version} rolled back successfully");
+        });
+    }
+}
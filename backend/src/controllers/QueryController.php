@@ -0,0 +1,81 @@
+<?php
+/**
+ * Query Controller Class
+ *
+ * Handles HTTP requests for the SQL query console.
+ * Uses QueryService to run statements inside a timed, optionally read-only transaction.
+ *
+ * @package    Backend\Controllers
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Controllers;
+
+use Backend\Services\QueryService;
+use Backend\Services\AuthService;
+
+class QueryController extends BaseController
+{
+    /**
+     * Query service instance
+     *
+     * @var QueryService
+     */
+    private $queryService;
+
+    /**
+     * Auth service instance
+     *
+     * @var AuthService
+     */
+    private $authService;
+
+    /**
+     * QueryController constructor
+     *
+     * @param QueryService|null $queryService Query service instance
+     * @param AuthService|null $authService Auth service instance (shared with the auth middleware)
+     */
+    public function __construct(?QueryService $queryService = null, ?AuthService $authService = null)
+    {
+        parent::__construct();
+        $this->queryService = $queryService ?? new QueryService();
+        $this->authService = $authService ?? new AuthService();
+    }
+
+    /**
+     * Execute a SQL statement
+     *
+     * @api POST /api/query
+     *
+     * @bodyParam string sql required The SQL statement to run
+     * @bodyParam bool allowWrite optional Allow data modification (default false, read-only; requires query.write)
+     *
+     * @return void
+     */
+    public function execute(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['POST']);
+            $this->validateRequired($this->requestData, ['sql'], 'request body');
+
+            $allowWrite = filter_var($this->requestData['allowWrite'] ?? false, FILTER_VALIDATE_BOOLEAN);
+
+            if ($allowWrite) {
+                $this->authService->authorize('query.write');
+            }
+
+            $result = $this->queryService->executeQuery((string) $this->requestData['sql'], $allowWrite);
+
+            $this->logActivity('query_executed', [
+                'command' => $result['command'],
+                'read_only' => $result['read_only'],
+                'duration_ms' => $result['duration_ms']
+            ]);
+
+            $this->success($result, 'Query executed successfully');
+        });
+    }
+}
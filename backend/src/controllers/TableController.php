@@ -4,6 +4,8 @@
  * 
  * Handles HTTP requests for table management operations.
  * Uses TableService for business logic and focuses on request/response handling.
+ * Every applied change (not previews or dry runs) is recorded in the audit log,
+ * and schema changes are also saved as migrations (see MigrationService).
  * 
  * @package    Backend\Controllers
  * @author     Your Team
@@ -14,7 +16,12 @@
 namespace Backend\Controllers;
 
 use Backend\Services\TableService;
+use Backend\Services\AuthService;
+use Backend\Services\AuditService;
+use Backend\Services\MigrationService;
 use Backend\Exceptions\BaseException;
+use Backend\Exceptions\ValidationException;
+use Backend\Utils\ExportWriter;
 
 class TableController extends BaseController
 {
@@ -25,15 +32,46 @@ class TableController extends BaseController
      */
     private $tableService;
 
+    /**
+     * Auth service instance
+     * 
+     * @var AuthService
+     */
+    private $authService;
+
+    /**
+     * Audit service instance
+     * 
+     * @var AuditService
+     */
+    private $auditService;
+
+    /**
+     * Migration service instance
+     * 
+     * @var MigrationService
+     */
+    private $migrationService;
+
     /**
      * TableController constructor
      * 
      * @param TableService|null $tableService Table service instance
+     * @param AuthService|null $authService Auth service instance (shared with the auth middleware)
+     * @param AuditService|null $auditService Audit service instance
+     * @param MigrationService|null $migrationService Migration service instance
      */
-    public function __construct(?TableService $tableService = null)
-    {
+    public function __construct(
+        ?TableService $tableService = null,
+        ?AuthService $authService = null,
+        ?AuditService $auditService = null,
+        ?MigrationService $migrationService = null
+    ) {
         parent::__construct();
         $this->tableService = $tableService ?? new TableService();
+        $this->authService = $authService ?? new AuthService();
+        $this->auditService = $auditService ?? new AuditService();
+        $this->migrationService = $migrationService ?? new MigrationService();
     }
 
     /**
@@ -65,6 +103,7 @@ class TableController extends BaseController
      * 
      * @bodyParam string tableName required The name of the table to create
      * @bodyParam array columns required Array of column definitions
+     * @bodyParam array constraints optional Foreign key, UNIQUE and CHECK constraint definitions
      * 
      * @return void
      */
@@ -76,8 +115,18 @@ class TableController extends BaseController
 
             $tableName = $this->requestData['tableName'];
             $columns = $this->requestData['columns'];
+            $constraints = $this->requestData['constraints'] ?? [];
 
-            $result = $this->tableService->createTable($tableName, $columns);
+            if (!is_array($constraints)) {
+                throw new ValidationException('constraints must be an array of constraint definitions');
+            }
+
+            $result = $this->tableService->createTable($tableName, $columns, $constraints);
+            $this->audit('create_table', $tableName, null, [
+                'columns' => $columns,
+                'constraints' => $constraints
+            ], $result);
+            $this->recordMigration('create_table', $tableName, null, $result);
 
             $this->created($result, "Table '{$tableName}' created successfully");
         });
@@ -99,18 +148,27 @@ class TableController extends BaseController
 
             $cascade = $this->getQueryParam('cascade', false);
             $result = $this->tableService->dropTable($tableName, (bool) $cascade);
+            $this->audit('drop_table', $tableName, null, ['cascade' => (bool) $cascade], $result);
+            $this->recordMigration('drop_table', $tableName, null, $result);
 
-            $this->success($result, "Table '{$tableName}' deleted successfully");
+            $this->success($result, "Table '{$tableName}' moved to the trash");
         });
     }
 
     /**
-     * Get table data with pagination
+     * Get table data with pagination, sorting, filtering and search
      * 
      * @api GET /api/tables/{tableName}/data
      * 
      * @param string $tableName Table name
      * 
+     * @queryParam int page optional Page number (default 1)
+     * @queryParam int limit optional Rows per page (default 50, max 1000)
+     * @queryParam string sort optional Column to order by
+     * @queryParam string direction optional Sort direction (asc|desc)
+     * @queryParam string search optional Text matched against every column
+     * @queryParam array filters optional filters[column][eq|contains|min|max]=value
+     * 
      * @return void
      */
     public function getData(string $tableName): void
@@ -119,20 +177,220 @@ class TableController extends BaseController
             $this->validateMethod(['GET']);
 
             $pagination = $this->getPaginationParams(50, 1000);
+
             $result = $this->tableService->getTableData(
                 $tableName,
                 $pagination['limit'],
-                $pagination['offset']
+                $pagination['offset'],
+                $this->getDataQueryOptions()
             );
 
-            // Use paginated response format
-            $this->paginated(
-                $result['rows'],
-                $result['total_rows'],
-                $pagination['page'],
-                $pagination['limit'],
-                'Table data retrieved successfully'
-            );
+            // Include column metadata alongside rows so clients can render headers
+            $this->success($result, 'Table data retrieved successfully', 200, [
+                'pagination' => [
+                    'current_page' => $pagination['page'],
+                    'per_page' => $pagination['limit'],
+                    'total' => $result['total_rows'],
+                    'total_pages' => (int) ceil($result['total_rows'] / $pagination['limit']),
+                    'has_more' => $result['has_more']
+                ]
+            ]);
+        });
+    }
+
+    /**
+     * Export table data as a file download
+     * 
+     * Rows are streamed in batches, so the response is not wrapped in the
+     * usual JSON envelope. Errors found before streaming starts are still
+     * returned as JSON error responses.
+     * 
+     * @api GET /api/tables/{tableName}/export
+     * 
+     * @param string $tableName Table name
+     * 
+     * @queryParam string format optional Output format (csv|json|ndjson, default csv)
+     * @queryParam string sort optional Column to order by
+     * @queryParam string direction optional Sort direction (asc|desc)
+     * @queryParam string search optional Text matched against every column
+     * @queryParam array filters optional filters[column][eq|contains|min|max]=value
+     * 
+     * @return void
+     */
+    public function export(string $tableName): void
+    {
+        $this->executeAction(function () use ($tableName) {
+            $this->validateMethod(['GET']);
+
+            $format = strtolower((string) $this->getQueryParam('format', 'csv'));
+
+            if (!ExportWriter::isSupportedFormat($format)) {
+                throw new ValidationException(
+                    "Unsupported export format '{$format}'",
+                    ['supported_formats' => ExportWriter::getSupportedFormats()]
+                );
+            }
+
+            $export = $this->tableService->prepareExport($tableName, $this->getDataQueryOptions());
+
+            $writer = new ExportWriter($format);
+            $writer->sendHeaders($tableName . '_' . date('Ymd_His'));
+            $writer->begin($export['columns']);
+
+            try {
+                $this->tableService->streamExport($export, [$writer, 'writeRows']);
+            } catch (BaseException $e) {
+                // Headers are already sent, so log the error and leave the file visibly truncated
+                $this->logActivity('export_failed', [
+                    'table' => $tableName,
+                    'error' => $e->getMessage()
+                ], 'error');
+                exit();
+            }
+
+            $rowCount = $writer->end();
+
+            $this->logActivity('export_completed', [
+                'table' => $tableName,
+                'format' => $format,
+                'rows' => $rowCount
+            ]);
+
+            exit();
+        });
+    }
+
+    /**
+     * Import rows into an existing table or a new one
+     * 
+     * @api POST /api/tables/{tableName}/import
+     * 
+     * @param string $tableName Table name
+     * 
+     * @bodyParam array rows required Rows as column => value maps
+     * @bodyParam array columns optional Column definitions; creates the table before importing
+     * @bodyParam bool dryRun optional Validate only and roll back (default false)
+     * 
+     * @return void
+     */
+    public function import(string $tableName): void
+    {
+        $this->executeAction(function () use ($tableName) {
+            $this->validateMethod(['POST']);
+            $this->validateRequired($this->requestData, ['rows'], 'request body');
+
+            $rows = $this->requestData['rows'];
+            $columns = $this->requestData['columns'] ?? null;
+            $dryRun = filter_var($this->requestData['dryRun'] ?? false, FILTER_VALIDATE_BOOLEAN);
+
+            if (!is_array($rows)) {
+                throw new ValidationException('rows must be an array of objects');
+            }
+
+            if ($columns !== null && !is_array($columns)) {
+                throw new ValidationException('columns must be an array of column definitions');
+            }
+
+            $result = $this->tableService->importRows($tableName, $rows, $columns, $dryRun);
+
+            if ($dryRun) {
+                $this->success($result, $result['failed_rows'] > 0
+                    ? "Validation found {$result['failed_rows']} invalid row(s)"
+                    : 'All rows passed validation');
+                return;
+            }
+
+            // The rows themselves are left out; they can be as large as the import
+            $this->audit('import_rows', $tableName, null, [
+                'row_count' => count($rows),
+                'columns' => $columns
+            ], $result);
+
+            $this->created($result, "Imported {$result['inserted_rows']} row(s) into '{$tableName}'");
+        });
+    }
+
+    /**
+     * Insert a row into a table
+     * 
+     * @api POST /api/tables/{tableName}/rows
+     * 
+     * @param string $tableName Table name
+     * 
+     * @bodyParam object values required Column => value map for the new row
+     * 
+     * @return void
+     */
+    public function insertRow(string $tableName): void
+    {
+        $this->executeAction(function () use ($tableName) {
+            $this->validateMethod(['POST']);
+            $this->validateRequired($this->requestData, ['values'], 'request body');
+
+            $values = $this->requestData['values'];
+            if (!is_array($values)) {
+                throw new ValidationException('values must be an object');
+            }
+
+            $result = $this->tableService->insertRow($tableName, $values);
+            $this->audit('insert_row', $tableName, null, ['values' => $values], $result);
+
+            $this->created($result, "Row inserted into table '{$tableName}' successfully");
+        });
+    }
+
+    /**
+     * Update a row identified by its primary key
+     * 
+     * @api PUT /api/tables/{tableName}/rows/{rowId}
+     * @api PATCH /api/tables/{tableName}/rows/{rowId}
+     * 
+     * @param string $tableName Table name
+     * @param string $rowId Primary key value of the row
+     * 
+     * @bodyParam object values required Column => value map of changed columns
+     * 
+     * @return void
+     */
+    public function updateRow(string $tableName, string $rowId): void
+    {
+        $this->executeAction(function () use ($tableName, $rowId) {
+            $this->validateMethod(['PUT', 'PATCH']);
+            $this->validateRequired($this->requestData, ['values'], 'request body');
+
+            $values = $this->requestData['values'];
+            if (!is_array($values)) {
+                throw new ValidationException('values must be an object');
+            }
+
+            $rowId = urldecode($rowId);
+            $result = $this->tableService->updateRow($tableName, $rowId, $values);
+            $this->audit('update_row', $tableName, $rowId, ['values' => $values], $result);
+
+            $this->success($result, "Row '{$rowId}' in table '{$tableName}' updated successfully");
+        });
+    }
+
+    /**
+     * Delete a row identified by its primary key
+     * 
+     * @api DELETE /api/tables/{tableName}/rows/{rowId}
+     * 
+     * @param string $tableName Table name
+     * @param string $rowId Primary key value of the row
+     * 
+     * @return void
+     */
+    public function deleteRow(string $tableName, string $rowId): void
+    {
+        $this->executeAction(function () use ($tableName, $rowId) {
+            $this->validateMethod(['DELETE']);
+
+            $rowId = urldecode($rowId);
+            $result = $this->tableService->deleteRow($tableName, $rowId);
+            $this->audit('delete_row', $tableName, $rowId, [], $result);
+
+            $this->success($result, "Row '{$rowId}' deleted from table '{$tableName}' successfully");
         });
     }
 
@@ -188,6 +446,12 @@ class TableController extends BaseController
                 (bool) $isNullable,
                 $defaultValue
             );
+            $this->audit('add_column', $tableName, $columnName, [
+                'columnType' => $columnType,
+                'isNullable' => (bool) $isNullable,
+                'defaultValue' => $defaultValue
+            ], $result);
+            $this->recordMigration('add_column', $tableName, $columnName, $result);
 
             $this->created($result, "Column '{$columnName}' added to table '{$tableName}' successfully");
         });
@@ -210,8 +474,278 @@ class TableController extends BaseController
 
             $cascade = $this->getQueryParam('cascade', false);
             $result = $this->tableService->dropColumn($tableName, $columnName, (bool) $cascade);
+            $this->audit('drop_column', $tableName, $columnName, ['cascade' => (bool) $cascade], $result);
+            $this->recordMigration('drop_column', $tableName, $columnName, $result);
+
+            $this->success($result, "Column '{$columnName}' removed from table '{$tableName}' and kept in the trash");
+        });
+    }
+
+    /**
+     * Alter an existing column
+     * 
+     * @api PATCH /api/tables/{tableName}/columns/{columnName}
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column name to alter
+     * 
+     * @bodyParam string newName optional New column name
+     * @bodyParam string type optional New data type
+     * @bodyParam string using optional Cast expression for existing values when changing the type
+     * @bodyParam boolean nullable optional Whether the column allows NULL values
+     * @bodyParam string defaultValue optional Literal default value
+     * @bodyParam string defaultExpression optional SQL expression default (e.g. now())
+     * @bodyParam boolean dropDefault optional Remove the current default
+     * @bodyParam boolean preview optional Return the generated DDL without applying it
+     * 
+     * @return void
+     */
+    public function alterColumn(string $tableName, string $columnName): void
+    {
+        $this->executeAction(function () use ($tableName, $columnName) {
+            $this->validateMethod(['PATCH']);
+
+            $changes = array_intersect_key($this->requestData, array_flip([
+                'newName',
+                'type',
+                'using',
+                'nullable',
+                'defaultValue',
+                'defaultExpression',
+                'dropDefault'
+            ]));
+            $preview = filter_var($this->requestData['preview'] ?? false, FILTER_VALIDATE_BOOLEAN);
+
+            $result = $this->tableService->alterColumn($tableName, $columnName, $changes, $preview);
+
+            if (!$preview) {
+                $this->audit('alter_column', $tableName, $columnName, $changes, $result);
+                $this->recordMigration('alter_column', $tableName, $columnName, $result);
+            }
+
+            $this->success($result, $preview
+                ? 'DDL preview generated'
+                : "Column '{$columnName}' in table '{$tableName}' altered successfully");
+        });
+    }
+
+    /**
+     * Rename a table
+     * 
+     * @api PATCH /api/tables/{tableName}
+     * 
+     * @param string $tableName Current table name
+     * 
+     * @bodyParam string newName required New table name
+     * @bodyParam boolean preview optional Return the generated DDL without applying it
+     * 
+     * @return void
+     */
+    public function rename(string $tableName): void
+    {
+        $this->executeAction(function () use ($tableName) {
+            $this->validateMethod(['PATCH']);
+            $this->validateRequired($this->requestData, ['newName'], 'request body');
+
+            $newName = (string) $this->requestData['newName'];
+            $preview = filter_var($this->requestData['preview'] ?? false, FILTER_VALIDATE_BOOLEAN);
+
+            $result = $this->tableService->renameTable($tableName, $newName, $preview);
+
+            if (!$preview) {
+                $this->audit('rename_table', $tableName, null, ['newName' => $result['new_table_name']], $result);
+                $this->recordMigration('rename_table', $tableName, null, $result);
+            }
+
+            $this->success($result, $preview
+                ? 'DDL preview generated'
+                : "Table '{$tableName}' renamed to '{$result['new_table_name']}' successfully");
+        });
+    }
+
+    /**
+     * List the indexes of a table
+     * 
+     * @api GET /api/tables/{tableName}/indexes
+     * 
+     * @param string $tableName Table name
+     * 
+     * @return void
+     */
+    public function indexes(string $tableName): void
+    {
+        $this->executeAction(function () use ($tableName) {
+            $this->validateMethod(['GET']);
+
+            $result = $this->tableService->getTableIndexes($tableName);
+
+            $this->success($result, 'Table indexes retrieved successfully');
+        });
+    }
+
+    /**
+     * Create an index on a table
+     * 
+     * @api POST /api/tables/{tableName}/indexes
+     * 
+     * @param string $tableName Table name
+     * 
+     * @bodyParam array columns required Indexed column names, in index order
+     * @bodyParam string name optional Index name (default: idx_{table}_{columns})
+     * @bodyParam boolean unique optional Whether to create a UNIQUE index
+     * @bodyParam string method optional Index method: btree (default), gin or hash
+     * @bodyParam string where optional Predicate for a partial index
+     * @bodyParam boolean preview optional Return the generated DDL without applying it
+     * 
+     * @return void
+     */
+    public function createIndex(string $tableName): void
+    {
+        $this->executeAction(function () use ($tableName) {
+            $this->validateMethod(['POST']);
+            $this->validateRequired($this->requestData, ['columns'], 'request body');
+
+            if (!is_array($this->requestData['columns'])) {
+                throw new ValidationException('columns must be an array of column names');
+            }
+
+            $index = [
+                'name' => $this->requestData['name'] ?? null,
+                'columns' => $this->requestData['columns'],
+                'unique' => filter_var($this->requestData['unique'] ?? false, FILTER_VALIDATE_BOOLEAN),
+                'method' => $this->requestData['method'] ?? 'btree',
+                'where' => $this->requestData['where'] ?? null
+            ];
+            $preview = filter_var($this->requestData['preview'] ?? false, FILTER_VALIDATE_BOOLEAN);
+
+            $result = $this->tableService->createIndex($tableName, $index, $preview);
+
+            if ($preview) {
+                $this->success($result, 'DDL preview generated');
+                return;
+            }
+
+            $this->audit('create_index', $tableName, $result['index_name'], $index, $result);
+            $this->recordMigration('create_index', $tableName, $result['index_name'], $result);
+
+            $this->created($result, "Index '{$result['index_name']}' created on table '{$tableName}' successfully");
+        });
+    }
+
+    /**
+     * Drop an index from a table
+     * 
+     * @api DELETE /api/tables/{tableName}/indexes/{indexName}
+     * 
+     * @param string $tableName Table name
+     * @param string $indexName Index name to drop
+     * 
+     * @return void
+     */
+    public function dropIndex(string $tableName, string $indexName): void
+    {
+        $this->executeAction(function () use ($tableName, $indexName) {
+            $this->validateMethod(['DELETE']);
+
+            $result = $this->tableService->dropIndex($tableName, $indexName);
+            $this->audit('drop_index', $tableName, $indexName, [], $result);
+            $this->recordMigration('drop_index', $tableName, $indexName, $result);
+
+            $this->success($result, "Index '{$indexName}' dropped from table '{$tableName}' successfully");
+        });
+    }
+
+    /**
+     * List the constraints of a table
+     * 
+     * @api GET /api/tables/{tableName}/constraints
+     * 
+     * @param string $tableName Table name
+     * 
+     * @return void
+     */
+    public function constraints(string $tableName): void
+    {
+        $this->executeAction(function () use ($tableName) {
+            $this->validateMethod(['GET']);
+
+            $result = $this->tableService->getTableConstraints($tableName);
+
+            $this->success($result, 'Table constraints retrieved successfully');
+        });
+    }
+
+    /**
+     * Add a constraint to a table
+     * 
+     * @api POST /api/tables/{tableName}/constraints
+     * 
+     * @param string $tableName Table name
+     * 
+     * @bodyParam string type required foreign_key, unique or check
+     * @bodyParam string name optional Constraint name (generated by PostgreSQL when omitted)
+     * @bodyParam array columns optional Constrained columns (foreign_key, unique)
+     * @bodyParam string referencesTable optional Referenced table (foreign_key)
+     * @bodyParam array referencesColumns optional Referenced columns, one per column (foreign_key)
+     * @bodyParam string onDelete optional ON DELETE action (foreign_key)
+     * @bodyParam string onUpdate optional ON UPDATE action (foreign_key)
+     * @bodyParam string expression optional Boolean expression (check)
+     * @bodyParam boolean preview optional Return the generated DDL without applying it
+     * 
+     * @return void
+     */
+    public function addConstraint(string $tableName): void
+    {
+        $this->executeAction(function () use ($tableName) {
+            $this->validateMethod(['POST']);
+            $this->validateRequired($this->requestData, ['type'], 'request body');
+
+            $constraint = array_intersect_key($this->requestData, array_flip([
+                'type',
+                'name',
+                'columns',
+                'referencesTable',
+                'referencesColumns',
+                'onDelete',
+                'onUpdate',
+                'expression'
+            ]));
+            $preview = filter_var($this->requestData['preview'] ?? false, FILTER_VALIDATE_BOOLEAN);
+
+            $result = $this->tableService->addConstraint($tableName, $constraint, $preview);
+
+            if ($preview) {
+                $this->success($result, 'DDL preview generated');
+                return;
+            }
 
-            $this->success($result, "Column '{$columnName}' removed from table '{$tableName}' successfully");
+            $this->audit('add_constraint', $tableName, $result['constraint_name'], $constraint, $result);
+            $this->recordMigration('add_constraint', $tableName, $result['constraint_name'], $result);
+
+            $this->created($result, "Constraint added to table '{$tableName}' successfully");
+        });
+    }
+
+    /**
+     * Drop a constraint from a table
+     * 
+     * @api DELETE /api/tables/{tableName}/constraints/{constraintName}
+     * 
+     * @param string $tableName Table name
+     * @param string $constraintName Constraint name to drop
+     * 
+     * @return void
+     */
+    public function dropConstraint(string $tableName, string $constraintName): void
+    {
+        $this->executeAction(function () use ($tableName, $constraintName) {
+            $this->validateMethod(['DELETE']);
+
+            $result = $this->tableService->dropConstraint($tableName, $constraintName);
+            $this->audit('drop_constraint', $tableName, $constraintName, [], $result);
+            $this->recordMigration('drop_constraint', $tableName, $constraintName, $result);
+
+            $this->success($result, "Constraint '{$constraintName}' dropped from table '{$tableName}' successfully");
         });
     }
 
@@ -307,6 +841,7 @@ class TableController extends BaseController
                 $sql = "TRUNCATE TABLE {$sanitizedTableName}";
 
                 $this->tableService->getConnection()->execute($sql);
+                $this->audit('truncate_table', $tableName, null, [], ['sql' => $sql]);
 
                 $this->success([
                     'table_name' => $tableName,
@@ -319,6 +854,24 @@ class TableController extends BaseController
         });
     }
 
+    /**
+     * Get the columns of all tables and the foreign keys between them
+     * 
+     * @api GET /api/tables/schema
+     * 
+     * @return void
+     */
+    public function databaseSchema(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['GET']);
+
+            $schema = $this->tableService->getDatabaseSchema();
+
+            $this->success($schema, 'Database schema retrieved successfully');
+        });
+    }
+
     /**
      * Get table health status
      * 
@@ -358,4 +911,65 @@ class TableController extends BaseController
             }
         });
     }
+
+    /**
+     * Record an applied change in the audit log
+     * 
+     * @param string $action One of AuditService::ACTIONS
+     * @param string $tableName Changed table
+     * @param string|null $target Column, index, constraint or row id within the table
+     * @param array $payload Request parameters of the change
+     * @param array $result Service result; its 'sql' is recorded when present
+     * @return void
+     */
+    private function audit(string $action, string $tableName, ?string $target, array $payload, array $result): void
+    {
+        $this->auditService->record(
+            $this->authService->getCurrentUser(),
+            $action,
+            $tableName,
+            $target,
+            $payload,
+            $result['sql'] ?? null
+        );
+    }
+
+    /**
+     * Save an applied schema change as a migration
+     * 
+     * @param string $action Schema change (create_table, add_column, ...)
+     * @param string $tableName Changed table
+     * @param string|null $target Column, index or constraint within the table
+     * @param array $result Service result with the executed 'sql' and its 'rollback_sql'
+     * @return void
+     */
+    private function recordMigration(string $action, string $tableName, ?string $target, array $result): void
+    {
+        $this->migrationService->record(
+            $this->authService->getCurrentUser(),
+            $action,
+            $tableName,
+            $target,
+            $result['sql'],
+            $result['rollback_sql'] ?? null
+        );
+    }
+
+    /**
+     * Read sorting, filtering and search options for table data queries
+     * 
+     * @return array Options for TableService::getTableData() and prepareExport()
+     * @throws ValidationException
+     */
+    private function getDataQueryOptions(): array
+    {
+        $filters = $this->getQueryParam('filters', []);
+
+        return [
+            'sort' => $this->getScalarQueryParam('sort'),
+            'direction' => $this->getScalarQueryParam('direction', 'asc'),
+            'search' => $this->getScalarQueryParam('search', ''),
+            'filters' => is_array($filters) ? $filters : []
+        ];
+    }
 }
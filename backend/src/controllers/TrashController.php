@@ -0,0 +1,175 @@
+<?php
+/**
+ * Trash Controller Class
+ *
+ * Handles HTTP requests for the trash of dropped tables and columns.
+ * Uses TrashService to list, restore and purge trash items. Restores are
+ * recorded in the audit log and as migrations, like the drops they undo;
+ * purges, which destroy the data for good, are recorded in the audit log.
+ *
+ * @package    Backend\Controllers
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Controllers;
+
+use Backend\Services\TrashService;
+use Backend\Services\AuthService;
+use Backend\Services\AuditService;
+use Backend\Services\MigrationService;
+use Backend\Exceptions\ValidationException;
+
+class TrashController extends BaseController
+{
+    /**
+     * Trash service instance
+     *
+     * @var TrashService
+     */
+    private $trashService;
+
+    /**
+     * Auth service instance
+     *
+     * @var AuthService
+     */
+    private $authService;
+
+    /**
+     * Audit service instance
+     *
+     * @var AuditService
+     */
+    private $auditService;
+
+    /**
+     * Migration service instance
+     *
+     * @var MigrationService
+     */
+    private $migrationService;
+
+    /**
+     * TrashController constructor
+     *
+     * @param TrashService|null $trashService Trash service instance
+     * @param AuthService|null $authService Auth service instance (shared with the auth middleware)
+     * @param AuditService|null $auditService Audit service instance
+     * @param MigrationService|null $migrationService Migration service instance
+     */
+    public function __construct(
+        ?TrashService $trashService = null,
+        ?AuthService $authService = null,
+        ?AuditService $auditService = null,
+        ?MigrationService $migrationService = null
+    ) {
+        parent::__construct();
+        $this->trashService = $trashService ?? new TrashService();
+        $this->authService = $authService ?? new AuthService();
+        $this->auditService = $auditService ?? new AuditService();
+        $this->migrationService = $migrationService ?? new MigrationService();
+    }
+
+    /**
+     * List the items in the trash, most recently dropped first
+     *
+     * @api GET /api/trash
+     *
+     * @return void
+     */
+    public function index(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['GET']);
+
+            $result = $this->trashService->getItems();
+
+            $this->success($result, 'Trash items retrieved successfully');
+        });
+    }
+
+    /**
+     * Restore a dropped table or column
+     *
+     * @api POST /api/trash/{id}/restore
+     *
+     * @param string $id Trash item id
+     * @return void
+     */
+    public function restore(string $id): void
+    {
+        $this->executeAction(function () use ($id) {
+            $this->validateMethod(['POST']);
+
+            $item = $this->trashService->restore($this->parseItemId($id));
+
+            $action = $item['kind'] === 'table' ? 'restore_table' : 'restore_column';
+            $user = $this->authService->getCurrentUser();
+
+            $this->auditService->record(
+                $user,
+                $action,
+                $item['table_name'],
+                $item['column_name'],
+                ['trash_item' => $item['id']],
+                $item['sql']
+            );
+            $this->migrationService->record(
+                $user,
+                $action,
+                $item['table_name'],
+                $item['column_name'],
+                $item['sql'],
+                $item['rollback_sql']
+            );
+
+            $this->success($item, 'Trash item restored successfully');
+        });
+    }
+
+    /**
+     * Delete a trash item for good
+     *
+     * @api DELETE /api/trash/{id}
+     *
+     * @param string $id Trash item id
+     * @return void
+     */
+    public function purge(string $id): void
+    {
+        $this->executeAction(function () use ($id) {
+            $this->validateMethod(['DELETE']);
+
+            $item = $this->trashService->purge($this->parseItemId($id));
+
+            $this->auditService->record(
+                $this->authService->getCurrentUser(),
+                $item['kind'] === 'table' ? 'purge_table' : 'purge_column',
+                $item['table_name'],
+                $item['column_name'],
+                ['trash_item' => $item['id']],
+                $item['sql']
+            );
+
+            $this->success($item, 'Trash item purged successfully');
+        });
+    }
+
+    /**
+     * Parse a trash item id route parameter
+     *
+     * @param string $id Route parameter
+     * @return int Trash item id
+     * @throws ValidationException
+     */
+    private function parseItemId(string $id): int
+    {
+        if (!ctype_digit($id) || (int) $id < 1) {
+            throw new ValidationException("Invalid trash item id '{$id}'");
+        }
+
+        return (int) $id;
+    }
+}
@@ -0,0 +1,253 @@
+<?php
+/**
+ * User Controller Class
+ *
+ * Handles HTTP requests for managing application users.
+ * Uses UserService for validation and username conflict handling.
+ *
+ * @package    Backend\Controllers
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Controllers;
+
+use Backend\Services\UserService;
+use Backend\Exceptions\ValidationException;
+
+class UserController extends BaseController
+{
+    /**
+     * User service instance
+     *
+     * @var UserService
+     */
+    private $userService;
+
+    /**
+     * UserController constructor
+     *
+     * @param UserService|null $userService User service instance
+     */
+    public function __construct(?UserService $userService = null)
+    {
+        parent::__construct();
+        $this->userService = $userService ?? new UserService();
+    }
+
+    /**
+     * Get a page of users
+     *
+     * @api GET /api/users
+     *
+     * @queryParam int page optional Page number (default 1)
+     * @queryParam int limit optional Users per page (default 25, max 100)
+     * @queryParam string search optional Username search term
+     * @queryParam string sort optional Column to sort by (id, username, role, timecreated, timemodified)
+     * @queryParam string direction optional Sort direction (asc|desc)
+     *
+     * @return void
+     */
+    public function index(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['GET']);
+
+            $pagination = $this->getPaginationParams(25, 100);
+
+            $result = $this->userService->getUsers(
+                $pagination['limit'],
+                $pagination['offset'],
+                (string) $this->getQueryParam('search', ''),
+                (string) $this->getQueryParam('sort', 'id'),
+                (string) $this->getQueryParam('direction', 'asc')
+            );
+
+            $this->paginated(
+                $result['users'],
+                $result['total'],
+                $pagination['page'],
+                $pagination['limit'],
+                'Users retrieved successfully'
+            );
+        });
+    }
+
+    /**
+     * Get a single user
+     *
+     * @api GET /api/users/{id}
+     *
+     * @param string $id User id
+     *
+     * @return void
+     */
+    public function show(string $id): void
+    {
+        $this->executeAction(function () use ($id) {
+            $this->validateMethod(['GET']);
+
+            $user = $this->userService->getUser($this->parseUserId($id));
+
+            $this->success($user, 'User retrieved successfully');
+        });
+    }
+
+    /**
+     * Create a user
+     *
+     * @api POST /api/users
+     *
+     * @bodyParam string username required Unique username
+     * @bodyParam string password optional Initial password (the user cannot sign in without one)
+     * @bodyParam string role optional Role: admin, developer or viewer (default viewer)
+     *
+     * @return void
+     */
+    public function create(): void
+    {
+        $this->executeAction(function () {
+            $this->validateMethod(['POST']);
+            $this->validateRequired($this->requestData, ['username'], 'request body');
+
+            $password = $this->requestData['password'] ?? null;
+
+            $user = $this->userService->createUser(
+                (string) $this->requestData['username'],
+                $password === null || $password === '' ? null : (string) $password,
+                (string) ($this->requestData['role'] ?? 'viewer')
+            );
+
+            $this->logActivity('user_created', [
+                'id' => $user['id'],
+                'username' => $user['username'],
+                'role' => $user['role']
+            ]);
+
+            $this->created($user, "User '{$user['username']}' created successfully");
+        });
+    }
+
+    /**
+     * Rename a user
+     *
+     * @api PATCH /api/users/{id}
+     *
+     * @param string $id User id
+     *
+     * @bodyParam string username required New unique username
+     *
+     * @return void
+     */
+    public function rename(string $id): void
+    {
+        $this->executeAction(function () use ($id) {
+            $this->validateMethod(['PATCH']);
+            $this->validateRequired($this->requestData, ['username'], 'request body');
+
+            $user = $this->userService->renameUser(
+                $this->parseUserId($id),
+                (string) $this->requestData['username']
+            );
+
+            $this->logActivity('user_renamed', ['id' => $user['id'], 'username' => $user['username']]);
+
+            $this->success($user, "User renamed to '{$user['username']}' successfully");
+        });
+    }
+
+    /**
+     * Set a user's password
+     *
+     * @api PUT /api/users/{id}/password
+     *
+     * @param string $id User id
+     *
+     * @bodyParam string password required New password
+     *
+     * @return void
+     */
+    public function password(string $id): void
+    {
+        $this->executeAction(function () use ($id) {
+            $this->validateMethod(['PUT']);
+            $this->validateRequired($this->requestData, ['password'], 'request body');
+
+            $user = $this->userService->setPassword(
+                $this->parseUserId($id),
+                (string) $this->requestData['password']
+            );
+
+            $this->logActivity('user_password_set', ['id' => $user['id']]);
+
+            $this->success($user, "Password for '{$user['username']}' updated successfully");
+        });
+    }
+
+    /**
+     * Set a user's role
+     *
+     * @api PUT /api/users/{id}/role
+     *
+     * @param string $id User id
+     *
+     * @bodyParam string role required Role: admin, developer or viewer
+     *
+     * @return void
+     */
+    public function role(string $id): void
+    {
+        $this->executeAction(function () use ($id) {
+            $this->validateMethod(['PUT']);
+            $this->validateRequired($this->requestData, ['role'], 'request body');
+
+            $user = $this->userService->setRole(
+                $this->parseUserId($id),
+                (string) $this->requestData['role']
+            );
+
+            $this->logActivity('user_role_set', ['id' => $user['id'], 'role' => $user['role']]);
+
+            $this->success($user, "'{$user['username']}' is now a {$user['role']}");
+        });
+    }
+
+    /**
+     * Delete a user
+     *
+     * @api DELETE /api/users/{id}
+     *
+     * @param string $id User id
+     *
+     * @return void
+     */
+    public function delete(string $id): void
+    {
+        $this->executeAction(function () use ($id) {
+            $this->validateMethod(['DELETE']);
+
+            $user = $this->userService->deleteUser($this->parseUserId($id));
+
+            $this->logActivity('user_deleted', ['id' => $user['id'], 'username' => $user['username']]);
+
+            $this->success($user, "User '{$user['username']}' deleted successfully");
+        });
+    }
+
+    /**
+     * Parse a user id route parameter
+     *
+     * @param string $id Route parameter
+     * @return int User id
+     * @throws ValidationException
+     */
+    private function parseUserId(string $id): int
+    {
+        if (!ctype_digit($id) || (int) $id < 1) {
+            throw new ValidationException("Invalid user id '{$id}'");
+        }
+
+        return (int) $id;
+    }
+}
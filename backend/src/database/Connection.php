@@ -156,6 +156,32 @@ class Connection
         }
     }
 
+    /**
+     * Execute an SQL script of one or more statements
+     * 
+     * Prepared statements hold a single command, so scripts (such as
+     * migration files) run through PDO::exec() and cannot take parameters.
+     * 
+     * @param string $script SQL statements separated by semicolons
+     * @return void
+     * @throws DatabaseException
+     */
+    public function executeScript(string $script): void
+    {
+        try {
+            $startTime = microtime(true);
+            $this->getConnection()->exec($script);
+
+            $this->lastQueryTime = microtime(true) - $startTime;
+            $this->queryCount++;
+        } catch (PDOException $e) {
+            throw new DatabaseException('Database query failed: ' . $e->getMessage(), [
+                'query' => $this->sanitizeQueryForLogging($script),
+                'error_code' => $e->getCode()
+            ]);
+        }
+    }
+
     /**
      * Execute multiple queries in a transaction
      * 
@@ -29,6 +29,21 @@ class DatabaseValidator
         'JSON', 'JSONB', 'UUID'
     ];
 
+    /**
+     * Supported index access methods
+     */
+    const INDEX_METHODS = ['btree', 'gin', 'hash'];
+
+    /**
+     * Supported table constraint types
+     */
+    const CONSTRAINT_TYPES = ['foreign_key', 'unique', 'check'];
+
+    /**
+     * Valid ON DELETE / ON UPDATE actions for foreign keys
+     */
+    const FOREIGN_KEY_ACTIONS = ['NO ACTION', 'RESTRICT', 'CASCADE', 'SET NULL', 'SET DEFAULT'];
+
     /**
      * Validate table name
      * 
@@ -235,6 +250,292 @@ class DatabaseValidator
         ];
     }
 
+    /**
+     * Validate a rename of a table or column
+     * 
+     * @param string $currentName Current identifier
+     * @param string $newName New identifier
+     * @param string $type Identifier type ('table' or 'column')
+     * @return array Validation result
+     */
+    public static function validateRename(string $currentName, string $newName, string $type = 'table'): array
+    {
+        $validation = $type === 'column'
+            ? self::validateColumnName($newName)
+            : self::validateTableName($newName);
+
+        $errors = $validation['errors'];
+
+        if ($validation['valid'] && trim($newName) === $currentName) {
+            $errors[] = sprintf('New %s name must differ from the current name', $type);
+        }
+
+        return [
+            'valid' => empty($errors),
+            'errors' => $errors
+        ];
+    }
+
+    /**
+     * Validate a SQL expression embedded in DDL (USING casts, DEFAULT expressions)
+     * 
+     * Expressions are inserted verbatim, so anything that could end the statement
+     * or hide part of it is rejected: semicolons outside string literals, comments,
+     * and unbalanced quotes or parentheses.
+     * 
+     * @param string $expression Expression to validate
+     * @param string $label Label used in error messages
+     * @return array Validation result
+     */
+    public static function validateExpression(string $expression, string $label = 'Expression'): array
+    {
+        $errors = [];
+        $trimmedExpression = trim($expression);
+
+        if ($trimmedExpression === '') {
+            $errors[] = sprintf('%s cannot be empty', $label);
+            return ['valid' => false, 'errors' => $errors];
+        }
+
+        $depth = 0;
+        $inString = false;
+        $inIdentifier = false;
+        $length = strlen($trimmedExpression);
+
+        for ($i = 0; $i < $length; $i++) {
+            $char = $trimmedExpression[$i];
+            $next = $trimmedExpression[$i + 1] ?? '';
+
+            if ($inString) {
+                $inString = $char !== "'";
+                continue;
+            }
+
+            if ($inIdentifier) {
+                $inIdentifier = $char !== '"';
+                continue;
+            }
+
+            if ($char === "'") {
+                $inString = true;
+            } elseif ($char === '"') {
+                $inIdentifier = true;
+            } elseif ($char === ';') {
+                $errors[] = sprintf('%s cannot contain semicolons', $label);
+                break;
+            } elseif (($char === '-' && $next === '-') || ($char === '/' && $next === '*')) {
+                $errors[] = sprintf('%s cannot contain comments', $label);
+                break;
+            } elseif ($char === '$' && preg_match('/^\$[a-zA-Z_]*\$/', substr($trimmedExpression, $i))) {
+                $errors[] = sprintf('%s cannot contain dollar-quoted strings', $label);
+                break;
+            } elseif ($char === '(') {
+                $depth++;
+            } elseif ($char === ')' && --$depth < 0) {
+                break;
+            }
+        }
+
+        if (empty($errors)) {
+            if ($inString || $inIdentifier) {
+                $errors[] = sprintf('%s has an unterminated quoted string or identifier', $label);
+            } elseif ($depth !== 0) {
+                $errors[] = sprintf('%s has unbalanced parentheses', $label);
+            }
+        }
+
+        return [
+            'valid' => empty($errors),
+            'errors' => $errors
+        ];
+    }
+
+    /**
+     * Validate index definition
+     * 
+     * @param array $index Index definition (name, columns, unique, method, where)
+     * @return array Validation result
+     */
+    public static function validateIndexDefinition(array $index): array
+    {
+        $errors = [];
+
+        // Index names follow the same rules as table names
+        if (isset($index['name']) && trim($index['name']) !== '') {
+            $nameValidation = self::validateTableName($index['name']);
+            foreach ($nameValidation['errors'] as $error) {
+                $errors[] = str_replace('Table name', 'Index name', $error);
+            }
+        }
+
+        $columns = $index['columns'] ?? [];
+        if (!is_array($columns) || empty($columns)) {
+            $errors[] = 'At least one column is required';
+        } else {
+            foreach ($columns as $column) {
+                $columnValidation = self::validateColumnName((string) $column);
+                $errors = array_merge($errors, $columnValidation['errors']);
+            }
+
+            if (count(array_unique($columns)) !== count($columns)) {
+                $errors[] = 'Each column can only appear once in an index';
+            }
+        }
+
+        $method = strtolower($index['method'] ?? 'btree');
+        if (!in_array($method, self::INDEX_METHODS, true)) {
+            $errors[] = sprintf(
+                'Index method must be one of: %s',
+                implode(', ', self::INDEX_METHODS)
+            );
+        } elseif (!empty($index['unique']) && $method !== 'btree') {
+            $errors[] = 'Only btree indexes can be unique';
+        } elseif ($method === 'hash' && is_array($columns) && count($columns) > 1) {
+            $errors[] = 'Hash indexes support a single column only';
+        }
+
+        if (isset($index['where']) && trim($index['where']) !== '') {
+            $whereValidation = self::validateExpression($index['where'], 'WHERE predicate');
+            $errors = array_merge($errors, $whereValidation['errors']);
+        }
+
+        return [
+            'valid' => empty($errors),
+            'errors' => $errors
+        ];
+    }
+
+    /**
+     * Validate constraint definition
+     * 
+     * Checks the shape of a foreign key, UNIQUE or CHECK constraint. Whether the
+     * referenced tables and columns exist is checked by validateConstraintReferences().
+     * 
+     * @param array $constraint Constraint definition
+     * @return array Validation result
+     */
+    public static function validateConstraintDefinition(array $constraint): array
+    {
+        $errors = [];
+        $type = $constraint['type'] ?? null;
+
+        if (!in_array($type, self::CONSTRAINT_TYPES, true)) {
+            $errors[] = sprintf(
+                'Constraint type must be one of: %s',
+                implode(', ', self::CONSTRAINT_TYPES)
+            );
+            return ['valid' => false, 'errors' => $errors];
+        }
+
+        // Constraint names follow the same rules as table names
+        if (isset($constraint['name']) && trim($constraint['name']) !== '') {
+            $nameValidation = self::validateTableName($constraint['name']);
+            foreach ($nameValidation['errors'] as $error) {
+                $errors[] = str_replace('Table name', 'Constraint name', $error);
+            }
+        }
+
+        if ($type === 'check') {
+            $expressionValidation = self::validateExpression($constraint['expression'] ?? '', 'CHECK expression');
+            return [
+                'valid' => empty($errors) && $expressionValidation['valid'],
+                'errors' => array_merge($errors, $expressionValidation['errors'])
+            ];
+        }
+
+        $columns = $constraint['columns'] ?? [];
+        if (!is_array($columns) || empty($columns)) {
+            $errors[] = 'At least one column is required';
+            return ['valid' => false, 'errors' => $errors];
+        }
+
+        foreach ($columns as $column) {
+            $errors = array_merge($errors, self::validateColumnName((string) $column)['errors']);
+        }
+
+        if (count(array_unique($columns)) !== count($columns)) {
+            $errors[] = 'Each column can only appear once in a constraint';
+        }
+
+        if ($type === 'foreign_key') {
+            $tableValidation = self::validateTableName((string) ($constraint['referencesTable'] ?? ''));
+            foreach ($tableValidation['errors'] as $error) {
+                $errors[] = 'Referenced table: ' . $error;
+            }
+
+            $referencedColumns = $constraint['referencesColumns'] ?? [];
+            if (!is_array($referencedColumns) || count($referencedColumns) !== count($columns)) {
+                $errors[] = 'A foreign key must reference exactly one column per local column';
+            } else {
+                foreach ($referencedColumns as $column) {
+                    $columnValidation = self::validateColumnName((string) $column);
+                    foreach ($columnValidation['errors'] as $error) {
+                        $errors[] = 'Referenced column: ' . $error;
+                    }
+                }
+            }
+
+            foreach (['onDelete' => 'ON DELETE', 'onUpdate' => 'ON UPDATE'] as $key => $label) {
+                if (isset($constraint[$key]) && !in_array(strtoupper($constraint[$key]), self::FOREIGN_KEY_ACTIONS, true)) {
+                    $errors[] = sprintf(
+                        '%s action must be one of: %s',
+                        $label,
+                        implode(', ', self::FOREIGN_KEY_ACTIONS)
+                    );
+                }
+            }
+        }
+
+        return [
+            'valid' => empty($errors),
+            'errors' => $errors
+        ];
+    }
+
+    /**
+     * Validate that a constraint only references existing tables and columns
+     * 
+     * @param array $constraint Constraint definition (already shape-validated)
+     * @param array $tableColumns Column names of the constrained table
+     * @param array|null $referencedColumns Column names of the referenced table,
+     *                                      or null if that table does not exist
+     * @return array Validation result
+     */
+    public static function validateConstraintReferences(
+        array $constraint,
+        array $tableColumns,
+        ?array $referencedColumns = null
+    ): array {
+        $errors = [];
+
+        foreach ($constraint['columns'] ?? [] as $column) {
+            if (!in_array($column, $tableColumns, true)) {
+                $errors[] = sprintf('Column "%s" does not exist', $column);
+            }
+        }
+
+        if (($constraint['type'] ?? null) === 'foreign_key') {
+            if ($referencedColumns === null) {
+                $errors[] = sprintf('Referenced table "%s" does not exist', $constraint['referencesTable']);
+            } else {
+                foreach ($constraint['referencesColumns'] as $column) {
+                    if (!in_array($column, $referencedColumns, true)) {
+                        $errors[] = sprintf(
+                            'Referenced column "%s" does not exist in table "%s"',
+                            $column,
+                            $constraint['referencesTable']
+                        );
+                    }
+                }
+            }
+        }
+
+        return [
+            'valid' => empty($errors),
+            'errors' => $errors
+        ];
+    }
+
     /**
      * Sanitize identifier (table/column name) for SQL queries
      * 
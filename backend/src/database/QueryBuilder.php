@@ -18,10 +18,11 @@ class QueryBuilder
      * 
      * @param string $tableName Table name
      * @param array $columns Array of column definitions
+     * @param array $constraints Table constraint definitions (see buildConstraintDefinition())
      * @return string SQL statement
      * @throws DatabaseException If invalid parameters
      */
-    public static function buildCreateTableQuery(string $tableName, array $columns): string
+    public static function buildCreateTableQuery(string $tableName, array $columns, array $constraints = []): string
     {
         $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
         $columnDefinitions = [];
@@ -45,6 +46,10 @@ class QueryBuilder
             $sql .= ",\n    PRIMARY KEY (" . implode(', ', $primaryKeys) . ")";
         }
 
+        foreach ($constraints as $constraint) {
+            $sql .= ",\n    " . self::buildConstraintDefinition($constraint);
+        }
+
         $sql .= "\n)";
 
         return $sql;
@@ -106,6 +111,396 @@ class QueryBuilder
         return $sql;
     }
 
+    /**
+     * Build RENAME TABLE SQL statement
+     * 
+     * @param string $tableName Current table name
+     * @param string $newTableName New table name
+     * @return string SQL statement
+     */
+    public static function buildRenameTableQuery(string $tableName, string $newTableName): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedNewTableName = DatabaseValidator::sanitizeIdentifier($newTableName);
+
+        return "ALTER TABLE {$sanitizedTableName} RENAME TO {$sanitizedNewTableName}";
+    }
+
+    /**
+     * Build RENAME COLUMN SQL statement
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Current column name
+     * @param string $newColumnName New column name
+     * @return string SQL statement
+     */
+    public static function buildRenameColumnQuery(string $tableName, string $columnName, string $newColumnName): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedColumnName = DatabaseValidator::sanitizeIdentifier($columnName);
+        $sanitizedNewColumnName = DatabaseValidator::sanitizeIdentifier($newColumnName);
+
+        return "ALTER TABLE {$sanitizedTableName} RENAME COLUMN {$sanitizedColumnName} TO {$sanitizedNewColumnName}";
+    }
+
+    /**
+     * Build ALTER COLUMN ... TYPE SQL statement
+     * 
+     * The USING expression must be validated with DatabaseValidator::validateExpression()
+     * before being passed in, as it is embedded verbatim.
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @param string $columnType New data type
+     * @param string|null $using Optional cast expression for existing values
+     * @return string SQL statement
+     */
+    public static function buildAlterColumnTypeQuery(
+        string $tableName,
+        string $columnName,
+        string $columnType,
+        ?string $using = null
+    ): string {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedColumnName = DatabaseValidator::sanitizeIdentifier($columnName);
+
+        $sql = "ALTER TABLE {$sanitizedTableName} ALTER COLUMN {$sanitizedColumnName} TYPE {$columnType}";
+
+        if ($using !== null && trim($using) !== '') {
+            $sql .= ' USING ' . trim($using);
+        }
+
+        return $sql;
+    }
+
+    /**
+     * Build ALTER COLUMN ... SET/DROP NOT NULL SQL statement
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @param bool $nullable Whether the column should allow NULL values
+     * @return string SQL statement
+     */
+    public static function buildSetColumnNullableQuery(string $tableName, string $columnName, bool $nullable): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedColumnName = DatabaseValidator::sanitizeIdentifier($columnName);
+        $action = $nullable ? 'DROP NOT NULL' : 'SET NOT NULL';
+
+        return "ALTER TABLE {$sanitizedTableName} ALTER COLUMN {$sanitizedColumnName} {$action}";
+    }
+
+    /**
+     * Build ALTER COLUMN ... SET DEFAULT SQL statement
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @param string $defaultSql Quoted literal or validated default expression
+     * @return string SQL statement
+     */
+    public static function buildSetColumnDefaultQuery(string $tableName, string $columnName, string $defaultSql): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedColumnName = DatabaseValidator::sanitizeIdentifier($columnName);
+
+        return "ALTER TABLE {$sanitizedTableName} ALTER COLUMN {$sanitizedColumnName} SET DEFAULT {$defaultSql}";
+    }
+
+    /**
+     * Build ALTER COLUMN ... DROP DEFAULT SQL statement
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @return string SQL statement
+     */
+    public static function buildDropColumnDefaultQuery(string $tableName, string $columnName): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedColumnName = DatabaseValidator::sanitizeIdentifier($columnName);
+
+        return "ALTER TABLE {$sanitizedTableName} ALTER COLUMN {$sanitizedColumnName} DROP DEFAULT";
+    }
+
+    /**
+     * Build CREATE INDEX SQL statement
+     * 
+     * The method must be one of DatabaseValidator::INDEX_METHODS and the WHERE
+     * predicate must be validated with DatabaseValidator::validateExpression(),
+     * as both are embedded verbatim.
+     * 
+     * @param string $tableName Table name
+     * @param string $indexName Index name
+     * @param array $columns Indexed column names, in index order
+     * @param bool $unique Whether to create a UNIQUE index
+     * @param string $method Index access method (btree, gin, hash)
+     * @param string|null $where Optional predicate for a partial index
+     * @return string SQL statement
+     */
+    public static function buildCreateIndexQuery(
+        string $tableName,
+        string $indexName,
+        array $columns,
+        bool $unique = false,
+        string $method = 'btree',
+        ?string $where = null
+    ): string {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedIndexName = DatabaseValidator::sanitizeIdentifier($indexName);
+        $sanitizedColumns = array_map([DatabaseValidator::class, 'sanitizeIdentifier'], $columns);
+
+        $sql = 'CREATE ' . ($unique ? 'UNIQUE ' : '') . "INDEX {$sanitizedIndexName} ON {$sanitizedTableName}";
+        $sql .= ' USING ' . strtolower($method) . ' (' . implode(', ', $sanitizedColumns) . ')';
+
+        if ($where !== null && trim($where) !== '') {
+            $sql .= ' WHERE ' . trim($where);
+        }
+
+        return $sql;
+    }
+
+    /**
+     * Build DROP INDEX SQL statement
+     * 
+     * @param string $indexName Index name
+     * @return string SQL statement
+     */
+    public static function buildDropIndexQuery(string $indexName): string
+    {
+        $sanitizedIndexName = DatabaseValidator::sanitizeIdentifier($indexName);
+
+        return "DROP INDEX {$sanitizedIndexName}";
+    }
+
+    /**
+     * Build query to list the indexes of a table
+     * 
+     * Columns are returned as a JSON array; expression index columns are NULL.
+     * constraint_name is set when the index backs a PRIMARY KEY/UNIQUE constraint.
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetTableIndexesQuery(): string
+    {
+        return "
+            SELECT
+                i.indexname AS index_name,
+                i.indexdef AS definition,
+                am.amname AS method,
+                ix.indisunique AS is_unique,
+                ix.indisprimary AS is_primary,
+                array_to_json(ARRAY(
+                    SELECT a.attname
+                    FROM unnest(ix.indkey) WITH ORDINALITY AS k(attnum, position)
+                    LEFT JOIN pg_attribute a
+                        ON a.attrelid = ix.indrelid
+                        AND a.attnum = k.attnum
+                    ORDER BY k.position
+                ))::text AS columns,
+                pg_get_expr(ix.indpred, ix.indrelid) AS predicate,
+                con.conname AS constraint_name,
+                pg_relation_size(c.oid) AS size_bytes
+            FROM pg_indexes i
+            INNER JOIN pg_namespace n ON n.nspname = i.schemaname
+            INNER JOIN pg_class c ON c.relname = i.indexname AND c.relnamespace = n.oid
+            INNER JOIN pg_index ix ON ix.indexrelid = c.oid
+            INNER JOIN pg_am am ON am.oid = c.relam
+            LEFT JOIN pg_constraint con ON con.conindid = c.oid AND con.contype IN ('p', 'u', 'x')
+            WHERE i.schemaname = 'public'
+                AND i.tablename = :table_name
+            ORDER BY ix.indisprimary DESC, i.indexname
+        ";
+    }
+
+    /**
+     * Build query to check if an index exists on a table
+     * 
+     * @return string SQL statement
+     */
+    public static function buildIndexExistsQuery(): string
+    {
+        return "
+            SELECT COUNT(*) as count
+            FROM pg_indexes
+            WHERE schemaname = 'public'
+            AND tablename = :table_name
+            AND indexname = :index_name
+        ";
+    }
+
+    /**
+     * Build query to check if any relation (table, index, sequence, view) uses a name
+     * 
+     * Index names share a namespace with tables, so new index names must be checked here.
+     * 
+     * @return string SQL statement
+     */
+    public static function buildRelationExistsQuery(): string
+    {
+        return "
+            SELECT COUNT(*) as count
+            FROM pg_class c
+            INNER JOIN pg_namespace n ON n.oid = c.relnamespace
+            WHERE n.nspname = 'public'
+            AND c.relname = :relation_name
+        ";
+    }
+
+    /**
+     * Build ADD CONSTRAINT SQL statement
+     * 
+     * @param string $tableName Table name
+     * @param array $constraint Constraint definition (see buildConstraintDefinition())
+     * @return string SQL statement
+     */
+    public static function buildAddConstraintQuery(string $tableName, array $constraint): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+
+        return "ALTER TABLE {$sanitizedTableName} ADD " . self::buildConstraintDefinition($constraint);
+    }
+
+    /**
+     * Build DROP CONSTRAINT SQL statement
+     * 
+     * @param string $tableName Table name
+     * @param string $constraintName Constraint name
+     * @return string SQL statement
+     */
+    public static function buildDropConstraintQuery(string $tableName, string $constraintName): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedConstraintName = DatabaseValidator::sanitizeIdentifier($constraintName);
+
+        return "ALTER TABLE {$sanitizedTableName} DROP CONSTRAINT {$sanitizedConstraintName}";
+    }
+
+    /**
+     * Build ADD CONSTRAINT SQL statement from an existing constraint's definition
+     * 
+     * Used to recreate a dropped constraint; the definition must come from
+     * pg_get_constraintdef() (see buildGetConstraintDefinitionQuery()).
+     * 
+     * @param string $tableName Table name
+     * @param string $constraintName Constraint name
+     * @param string $definition Constraint definition, e.g. UNIQUE (email)
+     * @return string SQL statement
+     */
+    public static function buildRestoreConstraintQuery(string $tableName, string $constraintName, string $definition): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedConstraintName = DatabaseValidator::sanitizeIdentifier($constraintName);
+
+        return "ALTER TABLE {$sanitizedTableName} ADD CONSTRAINT {$sanitizedConstraintName} {$definition}";
+    }
+
+    /**
+     * Build query to list the constraints of a table from information_schema
+     * 
+     * Column lists are returned as JSON arrays in key order; referenced columns
+     * are matched to their local column through position_in_unique_constraint.
+     * NOT NULL constraints (reported as CHECK constraints) are excluded.
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetTableConstraintsQuery(): string
+    {
+        return "
+            SELECT
+                tc.constraint_name,
+                tc.constraint_type,
+                (
+                    SELECT array_to_json(array_agg(kcu.column_name::text ORDER BY kcu.ordinal_position))
+                    FROM information_schema.key_column_usage kcu
+                    WHERE kcu.constraint_schema = tc.constraint_schema
+                        AND kcu.constraint_name = tc.constraint_name
+                        AND kcu.table_name = tc.table_name
+                )::text AS columns,
+                ref.table_name AS referenced_table,
+                (
+                    SELECT array_to_json(array_agg(rkcu.column_name::text ORDER BY kcu.ordinal_position))
+                    FROM information_schema.key_column_usage kcu
+                    INNER JOIN information_schema.key_column_usage rkcu
+                        ON rkcu.constraint_schema = rc.unique_constraint_schema
+                        AND rkcu.constraint_name = rc.unique_constraint_name
+                        AND rkcu.ordinal_position = kcu.position_in_unique_constraint
+                    WHERE kcu.constraint_schema = tc.constraint_schema
+                        AND kcu.constraint_name = tc.constraint_name
+                )::text AS referenced_columns,
+                rc.delete_rule AS on_delete,
+                rc.update_rule AS on_update,
+                cc.check_clause
+            FROM information_schema.table_constraints tc
+            LEFT JOIN information_schema.referential_constraints rc
+                ON rc.constraint_schema = tc.constraint_schema
+                AND rc.constraint_name = tc.constraint_name
+            LEFT JOIN information_schema.table_constraints ref
+                ON ref.constraint_schema = rc.unique_constraint_schema
+                AND ref.constraint_name = rc.unique_constraint_name
+            LEFT JOIN information_schema.check_constraints cc
+                ON cc.constraint_schema = tc.constraint_schema
+                AND cc.constraint_name = tc.constraint_name
+            WHERE tc.table_schema = 'public'
+                AND tc.table_name = :table_name
+                AND tc.constraint_type IN ('PRIMARY KEY', 'FOREIGN KEY', 'UNIQUE', 'CHECK')
+                AND tc.constraint_name !~ '^[0-9]+_[0-9]+_[0-9]+_not_null$'
+            ORDER BY
+                CASE tc.constraint_type
+                    WHEN 'PRIMARY KEY' THEN 1
+                    WHEN 'FOREIGN KEY' THEN 2
+                    WHEN 'UNIQUE' THEN 3
+                    ELSE 4
+                END,
+                tc.constraint_name
+        ";
+    }
+
+    /**
+     * Build query to list foreign keys in other tables that reference a table
+     * 
+     * Only public tables count; tables held in the trash are left out.
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetReferencingConstraintsQuery(): string
+    {
+        return "
+            SELECT
+                tc.table_schema,
+                tc.table_name,
+                tc.constraint_name
+            FROM information_schema.referential_constraints rc
+            INNER JOIN information_schema.table_constraints tc
+                ON tc.constraint_schema = rc.constraint_schema
+                AND tc.constraint_name = rc.constraint_name
+            INNER JOIN information_schema.table_constraints ref
+                ON ref.constraint_schema = rc.unique_constraint_schema
+                AND ref.constraint_name = rc.unique_constraint_name
+            WHERE ref.table_schema = 'public'
+                AND ref.table_name = :table_name
+                AND tc.table_schema = 'public'
+                AND tc.table_name <> ref.table_name
+            ORDER BY tc.table_name, tc.constraint_name
+        ";
+    }
+
+    /**
+     * Build query to get the definition of a table constraint
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetConstraintDefinitionQuery(): string
+    {
+        return "
+            SELECT pg_get_constraintdef(con.oid) AS definition
+            FROM pg_constraint con
+            INNER JOIN pg_class c ON c.oid = con.conrelid
+            INNER JOIN pg_namespace n ON n.oid = c.relnamespace
+            WHERE n.nspname = 'public'
+                AND c.relname = :table_name
+                AND con.conname = :constraint_name
+        ";
+    }
+
     /**
      * Build query to check if table exists
      * 
@@ -155,6 +550,90 @@ class QueryBuilder
         ";
     }
 
+    /**
+     * Build query to get the columns of all tables, for schema diagrams
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetAllTableColumnsQuery(): string
+    {
+        return "
+            SELECT
+                c.table_name,
+                c.column_name,
+                c.data_type,
+                c.character_maximum_length,
+                c.is_nullable,
+                c.ordinal_position,
+                CASE
+                    WHEN pk.column_name IS NOT NULL THEN true
+                    ELSE false
+                END AS is_primary_key
+            FROM information_schema.columns c
+            INNER JOIN information_schema.tables t
+                ON t.table_schema = c.table_schema
+                AND t.table_name = c.table_name
+                AND t.table_type = 'BASE TABLE'
+            LEFT JOIN (
+                SELECT ku.table_name, ku.column_name
+                FROM information_schema.table_constraints tc
+                INNER JOIN information_schema.key_column_usage ku
+                    ON tc.constraint_name = ku.constraint_name
+                    AND tc.table_schema = ku.table_schema
+                WHERE tc.constraint_type = 'PRIMARY KEY'
+                    AND tc.table_schema = 'public'
+            ) pk ON pk.table_name = c.table_name AND pk.column_name = c.column_name
+            WHERE c.table_schema = 'public'
+            ORDER BY c.table_name, c.ordinal_position
+        ";
+    }
+
+    /**
+     * Build query to get all foreign keys between tables, for schema diagrams
+     * 
+     * Columns and referenced columns are returned as JSON array text.
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetAllForeignKeysQuery(): string
+    {
+        return "
+            SELECT
+                tc.constraint_name,
+                tc.table_name,
+                (
+                    SELECT array_to_json(array_agg(kcu.column_name::text ORDER BY kcu.ordinal_position))
+                    FROM information_schema.key_column_usage kcu
+                    WHERE kcu.constraint_schema = tc.constraint_schema
+                        AND kcu.constraint_name = tc.constraint_name
+                        AND kcu.table_name = tc.table_name
+                )::text AS columns,
+                ref.table_name AS referenced_table,
+                (
+                    SELECT array_to_json(array_agg(rkcu.column_name::text ORDER BY kcu.ordinal_position))
+                    FROM information_schema.key_column_usage kcu
+                    INNER JOIN information_schema.key_column_usage rkcu
+                        ON rkcu.constraint_schema = rc.unique_constraint_schema
+                        AND rkcu.constraint_name = rc.unique_constraint_name
+                        AND rkcu.ordinal_position = kcu.position_in_unique_constraint
+                    WHERE kcu.constraint_schema = tc.constraint_schema
+                        AND kcu.constraint_name = tc.constraint_name
+                )::text AS referenced_columns,
+                rc.delete_rule AS on_delete,
+                rc.update_rule AS on_update
+            FROM information_schema.table_constraints tc
+            INNER JOIN information_schema.referential_constraints rc
+                ON rc.constraint_schema = tc.constraint_schema
+                AND rc.constraint_name = tc.constraint_name
+            INNER JOIN information_schema.table_constraints ref
+                ON ref.constraint_schema = rc.unique_constraint_schema
+                AND ref.constraint_name = rc.unique_constraint_name
+            WHERE tc.table_schema = 'public'
+                AND tc.constraint_type = 'FOREIGN KEY'
+            ORDER BY tc.table_name, tc.constraint_name
+        ";
+    }
+
     /**
      * Build query to get table data with pagination
      * 
@@ -244,45 +723,374 @@ class QueryBuilder
     }
 
     /**
-     * Build column definition string
+     * Build query to get the full definition of a column
      * 
-     * @param array $column Column definition
-     * @return string Column definition SQL
+     * Unlike information_schema, the type includes its modifiers
+     * (e.g. character varying(255), numeric(10,2)). is_nullable is YES or NO
+     * as in information_schema.
+     * 
+     * @return string SQL statement
      */
-    private static function buildColumnDefinition(array $column): string
+    public static function buildGetColumnDefinitionQuery(): string
     {
-        $sanitizedColumnName = DatabaseValidator::sanitizeIdentifier($column['name']);
-        $columnDef = "{$sanitizedColumnName} {$column['type']}";
-
-        // Add NOT NULL constraint
-        if (isset($column['nullable']) && !$column['nullable']) {
-            $columnDef .= ' NOT NULL';
-        }
-
-        // Note: PRIMARY KEY constraint is handled separately in CREATE TABLE
-        // to support composite primary keys
-
-        return $columnDef;
+        return "
+            SELECT
+                format_type(a.atttypid, a.atttypmod) AS column_type,
+                CASE WHEN a.attnotnull THEN 'NO' ELSE 'YES' END AS is_nullable,
+                pg_get_expr(d.adbin, d.adrelid) AS column_default
+            FROM pg_attribute a
+            INNER JOIN pg_class c ON c.oid = a.attrelid
+            INNER JOIN pg_namespace n ON n.oid = c.relnamespace
+            LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+            WHERE n.nspname = 'public'
+                AND c.relname = :table_name
+                AND a.attname = :column_name
+                AND a.attnum > 0
+                AND NOT a.attisdropped
+        ";
     }
 
     /**
-     * Build SELECT query with optional WHERE conditions
+     * Build query to get the full definition of every column of a table
+     * 
+     * identity is attidentity ('a' always, 'd' by default, '' none);
+     * serial_sequence is the schema-qualified, quoted name of the sequence
+     * the column owns, or null.
      * 
-     * @param string $tableName Table name
-     * @param array $columns Columns to select (empty for *)
-     * @param array $where WHERE conditions
-     * @param array $orderBy ORDER BY conditions
-     * @param int|null $limit LIMIT value
-     * @param int|null $offset OFFSET value
      * @return string SQL statement
      */
-    public static function buildSelectQuery(
-        string $tableName,
-        array $columns = [],
-        array $where = [],
-        array $orderBy = [],
+    public static function buildGetTableColumnDefinitionsQuery(): string
+    {
+        return "
+            SELECT
+                a.attname AS column_name,
+                format_type(a.atttypid, a.atttypmod) AS column_type,
+                CASE WHEN a.attnotnull THEN 'NO' ELSE 'YES' END AS is_nullable,
+                pg_get_expr(d.adbin, d.adrelid) AS column_default,
+                a.attidentity::text AS identity,
+                pg_get_serial_sequence(format('%I.%I', n.nspname, c.relname), a.attname) AS serial_sequence
+            FROM pg_attribute a
+            INNER JOIN pg_class c ON c.oid = a.attrelid
+            INNER JOIN pg_namespace n ON n.oid = c.relnamespace
+            LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+            WHERE n.nspname = 'public'
+                AND c.relname = :table_name
+                AND a.attnum > 0
+                AND NOT a.attisdropped
+            ORDER BY a.attnum
+        ";
+    }
+
+    /**
+     * Build query to get the definitions of a table's constraints
+     * 
+     * Primary keys come first, so foreign keys referencing the table itself
+     * can be added after them.
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetTableConstraintDefinitionsQuery(): string
+    {
+        return "
+            SELECT con.conname AS constraint_name, pg_get_constraintdef(con.oid) AS definition
+            FROM pg_constraint con
+            INNER JOIN pg_class c ON c.oid = con.conrelid
+            INNER JOIN pg_namespace n ON n.oid = c.relnamespace
+            WHERE n.nspname = 'public'
+                AND c.relname = :table_name
+                AND con.contype IN ('p', 'u', 'x', 'c', 'f')
+            ORDER BY position(con.contype::text IN 'puxcf'), con.conname
+        ";
+    }
+
+    /**
+     * Build INSERT statement for a single row
+     * 
+     * Values are bound as positional named parameters (:v0, :v1, ...) so column
+     * names never end up in parameter placeholders.
+     * 
+     * @param string $tableName Table name
+     * @param array $columns Column names to insert
+     * @return string SQL statement
+     */
+    public static function buildInsertRowQuery(string $tableName, array $columns): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+
+        if (empty($columns)) {
+            return "INSERT INTO {$sanitizedTableName} DEFAULT VALUES RETURNING *";
+        }
+
+        $sanitizedColumns = [];
+        $placeholders = [];
+        foreach (array_values($columns) as $index => $column) {
+            $sanitizedColumns[] = DatabaseValidator::sanitizeIdentifier($column);
+            $placeholders[] = ":v{$index}";
+        }
+
+        return "INSERT INTO {$sanitizedTableName} (" . implode(', ', $sanitizedColumns) . ") "
+            . "VALUES (" . implode(', ', $placeholders) . ") RETURNING *";
+    }
+
+    /**
+     * Build UPDATE statement for a single row identified by primary key
+     * 
+     * Values are bound as :v0, :v1, ... and the key as :pk.
+     * 
+     * @param string $tableName Table name
+     * @param array $columns Column names to update
+     * @param string $primaryKey Primary key column name
+     * @return string SQL statement
+     */
+    public static function buildUpdateRowQuery(string $tableName, array $columns, string $primaryKey): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedPrimaryKey = DatabaseValidator::sanitizeIdentifier($primaryKey);
+
+        $assignments = [];
+        foreach (array_values($columns) as $index => $column) {
+            $assignments[] = DatabaseValidator::sanitizeIdentifier($column) . " = :v{$index}";
+        }
+
+        return "UPDATE {$sanitizedTableName} SET " . implode(', ', $assignments)
+            . " WHERE {$sanitizedPrimaryKey} = :pk RETURNING *";
+    }
+
+    /**
+     * Build DELETE statement for a single row identified by primary key
+     * 
+     * @param string $tableName Table name
+     * @param string $primaryKey Primary key column name
+     * @return string SQL statement
+     */
+    public static function buildDeleteRowQuery(string $tableName, string $primaryKey): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedPrimaryKey = DatabaseValidator::sanitizeIdentifier($primaryKey);
+
+        return "DELETE FROM {$sanitizedTableName} WHERE {$sanitizedPrimaryKey} = :pk RETURNING *";
+    }
+
+    /**
+     * Build query to get primary key columns of a table
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetPrimaryKeyQuery(): string
+    {
+        return "
+            SELECT ku.column_name
+            FROM information_schema.table_constraints tc
+            INNER JOIN information_schema.key_column_usage ku
+                ON tc.constraint_name = ku.constraint_name
+                AND tc.table_schema = ku.table_schema
+            WHERE tc.constraint_type = 'PRIMARY KEY'
+                AND tc.table_schema = 'public'
+                AND tc.table_name = :table_name
+            ORDER BY ku.ordinal_position
+        ";
+    }
+
+    /**
+     * Build statement limiting query run time for the current transaction
+     *
+     * SET does not accept bound parameters, so the timeout is cast to int.
+     *
+     * @param int $milliseconds Timeout in milliseconds (0 disables the limit)
+     * @return string SQL statement
+     */
+    public static function buildSetStatementTimeoutQuery(int $milliseconds): string
+    {
+        return 'SET LOCAL statement_timeout = ' . max(0, $milliseconds);
+    }
+
+    /**
+     * Build statement making the current transaction read-only
+     *
+     * @return string SQL statement
+     */
+    public static function buildSetReadOnlyQuery(): string
+    {
+        return 'SET TRANSACTION READ ONLY';
+    }
+
+    /**
+     * Build DECLARE CURSOR statement wrapping a SELECT query
+     *
+     * The cursor lives until the surrounding transaction ends, so rows can be
+     * fetched in batches without buffering the whole result set.
+     *
+     * @param string $cursorName Cursor name
+     * @param string $selectQuery SELECT statement (may contain placeholders)
+     * @return string SQL statement
+     */
+    public static function buildDeclareCursorQuery(string $cursorName, string $selectQuery): string
+    {
+        $sanitizedCursorName = DatabaseValidator::sanitizeIdentifier($cursorName);
+
+        return "DECLARE {$sanitizedCursorName} NO SCROLL CURSOR FOR {$selectQuery}";
+    }
+
+    /**
+     * Build FETCH statement for the next batch of cursor rows
+     *
+     * @param string $cursorName Cursor name
+     * @param int $batchSize Number of rows to fetch
+     * @return string SQL statement
+     */
+    public static function buildFetchCursorQuery(string $cursorName, int $batchSize): string
+    {
+        $sanitizedCursorName = DatabaseValidator::sanitizeIdentifier($cursorName);
+
+        return "FETCH FORWARD " . max(1, $batchSize) . " FROM {$sanitizedCursorName}";
+    }
+
+    /**
+     * Build SAVEPOINT statement
+     *
+     * @param string $name Savepoint name
+     * @return string SQL statement
+     */
+    public static function buildSavepointQuery(string $name): string
+    {
+        return 'SAVEPOINT ' . DatabaseValidator::sanitizeIdentifier($name);
+    }
+
+    /**
+     * Build statement undoing everything since a savepoint
+     *
+     * @param string $name Savepoint name
+     * @return string SQL statement
+     */
+    public static function buildRollbackToSavepointQuery(string $name): string
+    {
+        return 'ROLLBACK TO SAVEPOINT ' . DatabaseValidator::sanitizeIdentifier($name);
+    }
+
+    /**
+     * Build RELEASE SAVEPOINT statement
+     *
+     * @param string $name Savepoint name
+     * @return string SQL statement
+     */
+    public static function buildReleaseSavepointQuery(string $name): string
+    {
+        return 'RELEASE SAVEPOINT ' . DatabaseValidator::sanitizeIdentifier($name);
+    }
+
+    /**
+     * Build column definition string
+     * 
+     * @param array $column Column definition
+     * @return string Column definition SQL
+     */
+    private static function buildColumnDefinition(array $column): string
+    {
+        $sanitizedColumnName = DatabaseValidator::sanitizeIdentifier($column['name']);
+        $columnDef = "{$sanitizedColumnName} {$column['type']}";
+
+        // Add NOT NULL constraint
+        if (isset($column['nullable']) && !$column['nullable']) {
+            $columnDef .= ' NOT NULL';
+        }
+
+        // Note: PRIMARY KEY constraint is handled separately in CREATE TABLE
+        // to support composite primary keys
+
+        return $columnDef;
+    }
+
+    /**
+     * Build table constraint definition string
+     * 
+     * Supported types:
+     * - foreign_key: columns, referencesTable, referencesColumns, onDelete, onUpdate
+     * - unique: columns
+     * - check: expression (validated with DatabaseValidator::validateExpression())
+     * 
+     * Without a name, PostgreSQL generates one (e.g. {table}_{column}_fkey).
+     * 
+     * @param array $constraint Constraint definition
+     * @return string Constraint definition SQL
+     */
+    private static function buildConstraintDefinition(array $constraint): string
+    {
+        $definition = '';
+
+        if (isset($constraint['name']) && trim($constraint['name']) !== '') {
+            $definition .= 'CONSTRAINT ' . DatabaseValidator::sanitizeIdentifier(trim($constraint['name'])) . ' ';
+        }
+
+        $columns = implode(', ', array_map(
+            [DatabaseValidator::class, 'sanitizeIdentifier'],
+            $constraint['columns'] ?? []
+        ));
+
+        switch ($constraint['type']) {
+            case 'foreign_key':
+                $referencedColumns = implode(', ', array_map(
+                    [DatabaseValidator::class, 'sanitizeIdentifier'],
+                    $constraint['referencesColumns']
+                ));
+
+                $definition .= "FOREIGN KEY ({$columns}) REFERENCES "
+                    . DatabaseValidator::sanitizeIdentifier($constraint['referencesTable'])
+                    . " ({$referencedColumns})";
+                $definition .= ' ON DELETE ' . strtoupper($constraint['onDelete'] ?? 'NO ACTION');
+                $definition .= ' ON UPDATE ' . strtoupper($constraint['onUpdate'] ?? 'NO ACTION');
+                break;
+
+            case 'unique':
+                $definition .= "UNIQUE ({$columns})";
+                break;
+
+            case 'check':
+                $definition .= 'CHECK (' . trim($constraint['expression']) . ')';
+                break;
+        }
+
+        return $definition;
+    }
+
+    /**
+     * Supported filter operators and their SQL templates
+     * 
+     * %s is replaced with the sanitized column, %p with the parameter placeholder.
+     */
+    private const FILTER_OPERATORS = [
+        'eq' => '%s = %p',
+        'contains' => '%s::text ILIKE %p',
+        'min' => '%s >= %p',
+        'max' => '%s <= %p'
+    ];
+
+    /**
+     * Build SELECT query with optional WHERE conditions
+     * 
+     * WHERE conditions map a column to either a scalar (equality, NULL for IS NULL)
+     * or an operator map such as ['contains' => 'adm'] or ['min' => 1, 'max' => 10].
+     * Search is ['term' => string, 'columns' => array] and matches any of the
+     * columns case-insensitively. Parameters are named :w0, :w1, ... and :search0, ...;
+     * use buildWhereParams() with the same arguments to get their values.
+     * 
+     * @param string $tableName Table name
+     * @param array $columns Columns to select (empty for *)
+     * @param array $where WHERE conditions
+     * @param array $orderBy ORDER BY conditions
+     * @param int|null $limit LIMIT value
+     * @param int|null $offset OFFSET value
+     * @param array $search Global text search
+     * @return string SQL statement
+     * @throws \InvalidArgumentException If an unknown filter operator is used
+     */
+    public static function buildSelectQuery(
+        string $tableName,
+        array $columns = [],
+        array $where = [],
+        array $orderBy = [],
         ?int $limit = null,
-        ?int $offset = null
+        ?int $offset = null,
+        array $search = []
     ): string {
         $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
         
@@ -297,14 +1105,7 @@ class QueryBuilder
         $sql = "{$selectClause} FROM {$sanitizedTableName}";
 
         // Add WHERE clause
-        if (!empty($where)) {
-            $whereConditions = [];
-            foreach ($where as $column => $value) {
-                $sanitizedColumn = DatabaseValidator::sanitizeIdentifier($column);
-                $whereConditions[] = "{$sanitizedColumn} = :{$column}";
-            }
-            $sql .= " WHERE " . implode(' AND ', $whereConditions);
-        }
+        $sql .= self::buildWhereClause($where, $search)['sql'];
 
         // Add ORDER BY clause
         if (!empty($orderBy)) {
@@ -328,4 +1129,804 @@ class QueryBuilder
 
         return $sql;
     }
+
+    /**
+     * Build COUNT query honoring the same WHERE conditions as buildSelectQuery
+     * 
+     * @param string $tableName Table name
+     * @param array $where WHERE conditions
+     * @param array $search Global text search
+     * @return string SQL statement
+     */
+    public static function buildCountQuery(string $tableName, array $where = [], array $search = []): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+
+        return "SELECT COUNT(*) as total FROM {$sanitizedTableName}"
+            . self::buildWhereClause($where, $search)['sql'];
+    }
+
+    /**
+     * Get parameter values for the WHERE conditions of buildSelectQuery/buildCountQuery
+     * 
+     * @param array $where WHERE conditions
+     * @param array $search Global text search
+     * @return array Query parameters
+     */
+    public static function buildWhereParams(array $where = [], array $search = []): array
+    {
+        return self::buildWhereClause($where, $search)['params'];
+    }
+
+    /**
+     * Build WHERE clause and its parameters
+     * 
+     * @param array $where WHERE conditions
+     * @param array $search Global text search
+     * @return array ['sql' => string, 'params' => array]
+     * @throws \InvalidArgumentException If an unknown filter operator is used
+     */
+    private static function buildWhereClause(array $where, array $search): array
+    {
+        $conditions = [];
+        $params = [];
+
+        foreach ($where as $column => $value) {
+            $sanitizedColumn = DatabaseValidator::sanitizeIdentifier($column);
+
+            if ($value === null) {
+                $conditions[] = "{$sanitizedColumn} IS NULL";
+                continue;
+            }
+
+            $operators = is_array($value) ? $value : ['eq' => $value];
+
+            foreach ($operators as $operator => $operand) {
+                if (!isset(self::FILTER_OPERATORS[$operator])) {
+                    throw new \InvalidArgumentException("Unsupported filter operator: {$operator}");
+                }
+
+                $placeholder = ':w' . count($params);
+                $conditions[] = str_replace(
+                    ['%s', '%p'],
+                    [$sanitizedColumn, $placeholder],
+                    self::FILTER_OPERATORS[$operator]
+                );
+                $params[ltrim($placeholder, ':')] = $operator === 'contains'
+                    ? '%' . self::escapeLike((string) $operand) . '%'
+                    : $operand;
+            }
+        }
+
+        $term = trim((string) ($search['term'] ?? ''));
+        if ($term !== '' && !empty($search['columns'])) {
+            // Native prepares don't allow reusing a placeholder, so number them per column
+            $searchConditions = [];
+            foreach (array_values($search['columns']) as $index => $column) {
+                $searchConditions[] = DatabaseValidator::sanitizeIdentifier($column) . "::text ILIKE :search{$index}";
+                $params["search{$index}"] = '%' . self::escapeLike($term) . '%';
+            }
+            $conditions[] = '(' . implode(' OR ', $searchConditions) . ')';
+        }
+
+        return [
+            'sql' => empty($conditions) ? '' : ' WHERE ' . implode(' AND ', $conditions),
+            'params' => $params
+        ];
+    }
+
+    /**
+     * Build query to get all entries of the config table
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetConfigQuery(): string
+    {
+        return "
+            SELECT name, value, core, timecreated, timemodified
+            FROM config
+            ORDER BY name
+        ";
+    }
+
+    /**
+     * Build query to get the config entries that control maintenance mode
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetMaintenanceConfigQuery(): string
+    {
+        return "
+            SELECT name, value, core, timecreated, timemodified
+            FROM config
+            WHERE name IN ('maintenance_mode', 'maintenance_message')
+        ";
+    }
+
+    /**
+     * Build query to get the config entries that control rate limiting
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetRateLimitConfigQuery(): string
+    {
+        return "
+            SELECT name, value, core, timecreated, timemodified
+            FROM config
+            WHERE name IN ('rate_limit_enabled', 'rate_limit_requests')
+        ";
+    }
+
+    /**
+     * Build query to get the config entry that controls trash retention
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetTrashConfigQuery(): string
+    {
+        return "
+            SELECT name, value, core, timecreated, timemodified
+            FROM config
+            WHERE name = 'trash_retention_days'
+        ";
+    }
+
+    /**
+     * Build query to count a request against a client's rate limit
+     * 
+     * The counter starts over when :window_start moves on to a new window.
+     * 
+     * @return string SQL statement returning the client's hits in the window
+     */
+    public static function buildHitRateLimitQuery(): string
+    {
+        return "
+            INSERT INTO rate_limit (client, window_start, hits)
+            VALUES (:client, :window_start, 1)
+            ON CONFLICT (client) DO UPDATE
+                SET hits = CASE
+                        WHEN rate_limit.window_start = EXCLUDED.window_start THEN rate_limit.hits + 1
+                        ELSE 1
+                    END,
+                    window_start = EXCLUDED.window_start
+            RETURNING hits
+        ";
+    }
+
+    /**
+     * Build query to insert or update a config entry
+     * 
+     * New entries are never core; unchanged values are left alone so
+     * timemodified only moves when a value really changes.
+     * 
+     * @return string SQL statement
+     */
+    public static function buildUpsertConfigQuery(): string
+    {
+        return "
+            INSERT INTO config (name, value)
+            VALUES (:name, :value)
+            ON CONFLICT (name) DO UPDATE
+                SET value = EXCLUDED.value
+                WHERE config.value IS DISTINCT FROM EXCLUDED.value
+        ";
+    }
+
+    /**
+     * Build query to insert a new (non-core) config entry
+     * 
+     * @return string SQL statement
+     */
+    public static function buildInsertConfigQuery(): string
+    {
+        return "INSERT INTO config (name, value) VALUES (:name, :value)";
+    }
+
+    /**
+     * Build query to delete a non-core config entry
+     * 
+     * @return string SQL statement
+     */
+    public static function buildDeleteConfigQuery(): string
+    {
+        return "DELETE FROM config WHERE name = :name AND core = 0";
+    }
+
+    /**
+     * Build query to list users, optionally filtered by a username search
+     * 
+     * @param string $search Username search term ('' for all users)
+     * @param string $sort Column to order by (id, username, role, timecreated, timemodified)
+     * @param string $direction Sort direction (asc|desc)
+     * @return array ['sql' => string, 'params' => array] (add :limit and :offset)
+     */
+    public static function buildGetUsersQuery(string $search, string $sort = 'id', string $direction = 'asc'): array
+    {
+        $where = self::buildUserSearchClause($search);
+        $sortColumn = DatabaseValidator::sanitizeIdentifier($sort);
+        $sortDirection = strtolower($direction) === 'desc' ? 'DESC' : 'ASC';
+
+        return [
+            'sql' => "
+                SELECT id, username, role, password_hash IS NOT NULL AS has_password, timecreated, timemodified
+                FROM \"user\"{$where['sql']}
+                ORDER BY {$sortColumn} {$sortDirection}, id ASC
+                LIMIT :limit OFFSET :offset
+            ",
+            'params' => $where['params']
+        ];
+    }
+
+    /**
+     * Build query to count users matching a username search
+     * 
+     * @param string $search Username search term ('' for all users)
+     * @return array ['sql' => string, 'params' => array]
+     */
+    public static function buildCountUsersQuery(string $search): array
+    {
+        $where = self::buildUserSearchClause($search);
+
+        return [
+            'sql' => "SELECT COUNT(*) AS total FROM \"user\"{$where['sql']}",
+            'params' => $where['params']
+        ];
+    }
+
+    /**
+     * Build query to get a user by id
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetUserByIdQuery(): string
+    {
+        return "
+            SELECT id, username, role, password_hash IS NOT NULL AS has_password, timecreated, timemodified
+            FROM \"user\"
+            WHERE id = :id
+        ";
+    }
+
+    /**
+     * Build query to get a user by username
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetUserByUsernameQuery(): string
+    {
+        return "
+            SELECT id, username, role, password_hash IS NOT NULL AS has_password, timecreated, timemodified
+            FROM \"user\"
+            WHERE username = :username
+        ";
+    }
+
+    /**
+     * Build query to create a user
+     * 
+     * @return string SQL statement
+     */
+    public static function buildInsertUserQuery(): string
+    {
+        return "
+            INSERT INTO \"user\" (username, password_hash, role)
+            VALUES (:username, :password_hash, :role)
+            RETURNING id, username, role, password_hash IS NOT NULL AS has_password, timecreated, timemodified
+        ";
+    }
+
+    /**
+     * Build query to rename a user
+     * 
+     * @return string SQL statement
+     */
+    public static function buildUpdateUsernameQuery(): string
+    {
+        return "
+            UPDATE \"user\"
+            SET username = :username
+            WHERE id = :id
+            RETURNING id, username, role, password_hash IS NOT NULL AS has_password, timecreated, timemodified
+        ";
+    }
+
+    /**
+     * Build query to delete a user
+     * 
+     * @return string SQL statement
+     */
+    public static function buildDeleteUserQuery(): string
+    {
+        return "DELETE FROM \"user\" WHERE id = :id";
+    }
+
+    /**
+     * Build query to get a user's password hash by username (for login)
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetUserCredentialsQuery(): string
+    {
+        return "SELECT id, username, role, password_hash FROM \"user\" WHERE username = :username";
+    }
+
+    /**
+     * Build query to set a user's password hash
+     * 
+     * @return string SQL statement
+     */
+    public static function buildUpdatePasswordQuery(): string
+    {
+        return "UPDATE \"user\" SET password_hash = :password_hash WHERE id = :id";
+    }
+
+    /**
+     * Build query to change a user's role
+     * 
+     * @return string SQL statement
+     */
+    public static function buildUpdateRoleQuery(): string
+    {
+        return "
+            UPDATE \"user\"
+            SET role = :role
+            WHERE id = :id
+            RETURNING id, username, role, password_hash IS NOT NULL AS has_password, timecreated, timemodified
+        ";
+    }
+
+    /**
+     * Build query to count the users with a role
+     * 
+     * @return string SQL statement
+     */
+    public static function buildCountUsersWithRoleQuery(): string
+    {
+        return "SELECT COUNT(*) AS total FROM \"user\" WHERE role = :role";
+    }
+
+    /**
+     * Build query to record a change in the audit log
+     * 
+     * @return string SQL statement (:payload is a JSON document)
+     */
+    public static function buildInsertAuditLogQuery(): string
+    {
+        return "
+            INSERT INTO audit_log (user_id, username, action, table_name, target, payload, sql)
+            VALUES (:user_id, :username, :action, :table_name, :target, CAST(:payload AS JSONB), :sql)
+        ";
+    }
+
+    /**
+     * Build query to list audit log entries, newest first
+     * 
+     * @param array $filters Optional 'actor', 'table' (partial, case-insensitive) and 'action' (exact) filters
+     * @return array ['sql' => string, 'params' => array] (add :limit and :offset)
+     */
+    public static function buildGetAuditLogQuery(array $filters): array
+    {
+        $where = self::buildAuditLogFilterClause($filters);
+
+        return [
+            'sql' => "
+                SELECT id, user_id, username, action, table_name, target, payload, sql,
+                       EXTRACT(EPOCH FROM timecreated)::INTEGER AS timecreated
+                FROM audit_log{$where['sql']}
+                ORDER BY audit_log.timecreated DESC, id DESC
+                LIMIT :limit OFFSET :offset
+            ",
+            'params' => $where['params']
+        ];
+    }
+
+    /**
+     * Build query to count audit log entries matching filters
+     * 
+     * @param array $filters Filters (see buildGetAuditLogQuery())
+     * @return array ['sql' => string, 'params' => array]
+     */
+    public static function buildCountAuditLogQuery(array $filters): array
+    {
+        $where = self::buildAuditLogFilterClause($filters);
+
+        return [
+            'sql' => "SELECT COUNT(*) AS total FROM audit_log{$where['sql']}",
+            'params' => $where['params']
+        ];
+    }
+
+    /**
+     * Build query to list applied migrations
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetAppliedMigrationsQuery(): string
+    {
+        return "
+            SELECT version, name, applied_by, EXTRACT(EPOCH FROM applied_at)::INTEGER AS applied_at
+            FROM schema_migrations
+            ORDER BY version
+        ";
+    }
+
+    /**
+     * Build query to get an applied migration by version
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetAppliedMigrationQuery(): string
+    {
+        return "
+            SELECT version, name, applied_by, EXTRACT(EPOCH FROM applied_at)::INTEGER AS applied_at
+            FROM schema_migrations
+            WHERE version = :version
+        ";
+    }
+
+    /**
+     * Build query to mark a migration as applied
+     * 
+     * @return string SQL statement
+     */
+    public static function buildInsertMigrationQuery(): string
+    {
+        return "
+            INSERT INTO schema_migrations (version, name, applied_by)
+            VALUES (:version, :name, :applied_by)
+        ";
+    }
+
+    /**
+     * Build query to mark a migration as rolled back
+     * 
+     * @return string SQL statement
+     */
+    public static function buildDeleteMigrationQuery(): string
+    {
+        return "DELETE FROM schema_migrations WHERE version = :version";
+    }
+
+    /**
+     * Build statement waiting for the session lock that serializes new migrations
+     * 
+     * @return string SQL statement
+     */
+    public static function buildLockMigrationsQuery(): string
+    {
+        return "SELECT pg_advisory_lock(hashtext('schema_migrations'))";
+    }
+
+    /**
+     * Build statement releasing the lock taken by buildLockMigrationsQuery()
+     * 
+     * @return string SQL statement
+     */
+    public static function buildUnlockMigrationsQuery(): string
+    {
+        return "SELECT pg_advisory_unlock(hashtext('schema_migrations'))";
+    }
+
+    /**
+     * Build CREATE SCHEMA SQL statement
+     * 
+     * @param string $schemaName Schema name
+     * @return string SQL statement
+     */
+    public static function buildCreateSchemaQuery(string $schemaName): string
+    {
+        return "CREATE SCHEMA " . DatabaseValidator::sanitizeIdentifier($schemaName);
+    }
+
+    /**
+     * Build DROP SCHEMA SQL statement, dropping everything in the schema
+     * 
+     * @param string $schemaName Schema name
+     * @return string SQL statement
+     */
+    public static function buildDropSchemaQuery(string $schemaName): string
+    {
+        return "DROP SCHEMA IF EXISTS " . DatabaseValidator::sanitizeIdentifier($schemaName) . " CASCADE";
+    }
+
+    /**
+     * Build statement moving a table to another schema
+     * 
+     * The table's indexes, constraints and owned sequences move with it.
+     * 
+     * @param string $tableName Table name
+     * @param string $schemaName Current schema
+     * @param string $newSchemaName Target schema
+     * @return string SQL statement
+     */
+    public static function buildSetTableSchemaQuery(string $tableName, string $schemaName, string $newSchemaName): string
+    {
+        $sanitizedSchemaName = DatabaseValidator::sanitizeIdentifier($schemaName);
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedNewSchemaName = DatabaseValidator::sanitizeIdentifier($newSchemaName);
+
+        return "ALTER TABLE {$sanitizedSchemaName}.{$sanitizedTableName} SET SCHEMA {$sanitizedNewSchemaName}";
+    }
+
+    /**
+     * Build statement copying a column's values, keyed by row, into a trash schema
+     * 
+     * The copy is a table of the same name as the source with two columns:
+     * row_key (the key column's value) and value.
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column to copy
+     * @param string $keyColumn Single-column primary key of the table
+     * @param string $schemaName Trash schema
+     * @return string SQL statement
+     */
+    public static function buildCopyColumnToTrashQuery(
+        string $tableName,
+        string $columnName,
+        string $keyColumn,
+        string $schemaName
+    ): string {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedColumnName = DatabaseValidator::sanitizeIdentifier($columnName);
+        $sanitizedKeyColumn = DatabaseValidator::sanitizeIdentifier($keyColumn);
+        $sanitizedSchemaName = DatabaseValidator::sanitizeIdentifier($schemaName);
+
+        return "
+            CREATE TABLE {$sanitizedSchemaName}.{$sanitizedTableName} AS
+            SELECT {$sanitizedKeyColumn} AS row_key, {$sanitizedColumnName} AS value
+            FROM {$sanitizedTableName}
+        ";
+    }
+
+    /**
+     * Build statement writing column values copied by buildCopyColumnToTrashQuery() back
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Restored column
+     * @param string $keyColumn Key column the values were copied by
+     * @param string $schemaName Trash schema
+     * @return string SQL statement
+     */
+    public static function buildRestoreColumnValuesQuery(
+        string $tableName,
+        string $columnName,
+        string $keyColumn,
+        string $schemaName
+    ): string {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedColumnName = DatabaseValidator::sanitizeIdentifier($columnName);
+        $sanitizedKeyColumn = DatabaseValidator::sanitizeIdentifier($keyColumn);
+        $sanitizedSchemaName = DatabaseValidator::sanitizeIdentifier($schemaName);
+
+        return "
+            UPDATE {$sanitizedTableName}
+            SET {$sanitizedColumnName} = trash.value
+            FROM {$sanitizedSchemaName}.{$sanitizedTableName} AS trash
+            WHERE {$sanitizedTableName}.{$sanitizedKeyColumn} = trash.row_key
+        ";
+    }
+
+    /**
+     * Build query to count the NULLs in a column
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @return string SQL statement
+     */
+    public static function buildCountNullValuesQuery(string $tableName, string $columnName): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedColumnName = DatabaseValidator::sanitizeIdentifier($columnName);
+
+        return "SELECT COUNT(*) AS total FROM {$sanitizedTableName} WHERE {$sanitizedColumnName} IS NULL";
+    }
+
+    /**
+     * Build CREATE TABLE SQL statement from catalog column definitions
+     * 
+     * @param string $tableName Table name
+     * @param array $columns Rows of buildGetTableColumnDefinitionsQuery()
+     * @return string SQL statement
+     */
+    public static function buildCreateTableFromDefinitionQuery(string $tableName, array $columns): string
+    {
+        $definitions = array_map(function (array $column) {
+            $definition = DatabaseValidator::sanitizeIdentifier($column['column_name']) . ' ' . $column['column_type'];
+
+            if ($column['identity'] === 'a') {
+                $definition .= ' GENERATED ALWAYS AS IDENTITY';
+            } elseif ($column['identity'] === 'd') {
+                $definition .= ' GENERATED BY DEFAULT AS IDENTITY';
+            } elseif ($column['column_default'] !== null) {
+                $definition .= ' DEFAULT ' . $column['column_default'];
+            }
+
+            if ($column['is_nullable'] === 'NO') {
+                $definition .= ' NOT NULL';
+            }
+
+            return $definition;
+        }, $columns);
+
+        return "CREATE TABLE " . DatabaseValidator::sanitizeIdentifier($tableName)
+            . " (\n    " . implode(",\n    ", $definitions) . "\n)";
+    }
+
+    /**
+     * Build CREATE SEQUENCE SQL statement
+     * 
+     * @param string $sequenceName Schema-qualified, quoted sequence name (pg_get_serial_sequence())
+     * @return string SQL statement
+     */
+    public static function buildCreateSequenceQuery(string $sequenceName): string
+    {
+        return "CREATE SEQUENCE IF NOT EXISTS {$sequenceName}";
+    }
+
+    /**
+     * Build statement making a sequence owned by a column, as SERIAL does
+     * 
+     * @param string $sequenceName Schema-qualified, quoted sequence name (pg_get_serial_sequence())
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @return string SQL statement
+     */
+    public static function buildSetSequenceOwnerQuery(string $sequenceName, string $tableName, string $columnName): string
+    {
+        $sanitizedTableName = DatabaseValidator::sanitizeIdentifier($tableName);
+        $sanitizedColumnName = DatabaseValidator::sanitizeIdentifier($columnName);
+
+        return "ALTER SEQUENCE {$sequenceName} OWNED BY {$sanitizedTableName}.{$sanitizedColumnName}";
+    }
+
+    /**
+     * Build query to add a trash item expiring after a number of days
+     * 
+     * @return string SQL statement returning the new item's id
+     */
+    public static function buildInsertTrashItemQuery(): string
+    {
+        return "
+            INSERT INTO trash_item (kind, table_name, column_name, column_definition, foreign_keys, has_data, expires_at)
+            VALUES (
+                :kind, :table_name, :column_name, :column_definition, :foreign_keys, :has_data,
+                CURRENT_TIMESTAMP + make_interval(days => CAST(:retention_days AS INTEGER))
+            )
+            RETURNING id
+        ";
+    }
+
+    /**
+     * Build query to list trash items, most recently dropped first
+     * 
+     * size is the disk space of the item's trash_<id> schema in bytes.
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetTrashItemsQuery(): string
+    {
+        return "
+            SELECT id, kind, table_name, column_name, column_definition, foreign_keys, has_data,
+                   EXTRACT(EPOCH FROM dropped_at)::INTEGER AS dropped_at,
+                   EXTRACT(EPOCH FROM expires_at)::INTEGER AS expires_at,
+                   (
+                       SELECT COALESCE(SUM(pg_total_relation_size(c.oid)), 0)
+                       FROM pg_class c
+                       INNER JOIN pg_namespace n ON n.oid = c.relnamespace
+                       WHERE n.nspname = 'trash_' || trash_item.id
+                           AND c.relkind = 'r'
+                   )::BIGINT AS size
+            FROM trash_item
+            ORDER BY trash_item.dropped_at DESC, id DESC
+        ";
+    }
+
+    /**
+     * Build query to get a trash item by id
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetTrashItemQuery(): string
+    {
+        return "
+            SELECT id, kind, table_name, column_name, column_definition, foreign_keys, has_data,
+                   EXTRACT(EPOCH FROM dropped_at)::INTEGER AS dropped_at,
+                   EXTRACT(EPOCH FROM expires_at)::INTEGER AS expires_at,
+                   (
+                       SELECT COALESCE(SUM(pg_total_relation_size(c.oid)), 0)
+                       FROM pg_class c
+                       INNER JOIN pg_namespace n ON n.oid = c.relnamespace
+                       WHERE n.nspname = 'trash_' || trash_item.id
+                           AND c.relkind = 'r'
+                   )::BIGINT AS size
+            FROM trash_item
+            WHERE id = :id
+        ";
+    }
+
+    /**
+     * Build query to list the trash items past their retention period
+     * 
+     * @return string SQL statement
+     */
+    public static function buildGetExpiredTrashItemsQuery(): string
+    {
+        return "SELECT id, kind, table_name, column_name FROM trash_item WHERE expires_at <= CURRENT_TIMESTAMP ORDER BY id";
+    }
+
+    /**
+     * Build query to delete a trash item
+     * 
+     * @return string SQL statement
+     */
+    public static function buildDeleteTrashItemQuery(): string
+    {
+        return "DELETE FROM trash_item WHERE id = :id";
+    }
+
+    /**
+     * Build the WHERE clause of a username search
+     * 
+     * @param string $search Username search term ('' for no filter)
+     * @return array ['sql' => string, 'params' => array]
+     */
+    private static function buildUserSearchClause(string $search): array
+    {
+        $term = trim($search);
+
+        if ($term === '') {
+            return ['sql' => '', 'params' => []];
+        }
+
+        return [
+            'sql' => ' WHERE username ILIKE :search',
+            'params' => ['search' => '%' . self::escapeLike($term) . '%']
+        ];
+    }
+
+    /**
+     * Build the WHERE clause of the audit log filters
+     * 
+     * @param array $filters Filters (see buildGetAuditLogQuery()); empty values are ignored
+     * @return array ['sql' => string, 'params' => array]
+     */
+    private static function buildAuditLogFilterClause(array $filters): array
+    {
+        $conditions = [];
+        $params = [];
+
+        $actor = trim((string) ($filters['actor'] ?? ''));
+        if ($actor !== '') {
+            $conditions[] = 'username ILIKE :actor';
+            $params['actor'] = '%' . self::escapeLike($actor) . '%';
+        }
+
+        $table = trim((string) ($filters['table'] ?? ''));
+        if ($table !== '') {
+            $conditions[] = 'table_name ILIKE :table';
+            $params['table'] = '%' . self::escapeLike($table) . '%';
+        }
+
+        $action = trim((string) ($filters['action'] ?? ''));
+        if ($action !== '') {
+            $conditions[] = 'action = :action';
+            $params['action'] = $action;
+        }
+
+        return [
+            'sql' => empty($conditions) ? '' : ' WHERE ' . implode(' AND ', $conditions),
+            'params' => $params
+        ];
+    }
+
+    /**
+     * Escape LIKE wildcard characters in a search term
+     * 
+     * @param string $term Search term
+     * @return string Escaped term
+     */
+    private static function escapeLike(string $term): string
+    {
+        return addcslashes($term, '%_\\');
+    }
 }
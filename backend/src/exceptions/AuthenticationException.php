@@ -0,0 +1,34 @@
+<?php
+/**
+ * Authentication exception
+ * 
+ * For debugging login and token events
+ * 
+ * @package    Backend\Exceptions
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Exceptions;
+
+/**
+ * AuthenticationException
+ * 
+ * Thrown when a request has no valid credentials (missing, invalid or expired token)
+ */
+class AuthenticationException extends BaseException
+{
+    protected function getErrorType(): string
+    {
+        return 'authentication_error';
+    }
+
+    public function __construct(
+        string $message = "Authentication required",
+        array $context = [],
+        int $code = 401
+    ) {
+        parent::__construct($message, $code, null, $context, 401);
+    }
+}
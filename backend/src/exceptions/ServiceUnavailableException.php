@@ -0,0 +1,34 @@
+<?php
+/**
+ * Service unavailable exception
+ * 
+ * For requests refused while the application is in maintenance mode
+ * 
+ * @package    Backend\Exceptions
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Exceptions;
+
+/**
+ * ServiceUnavailableException
+ * 
+ * Thrown when the application is temporarily unavailable
+ */
+class ServiceUnavailableException extends BaseException
+{
+    protected function getErrorType(): string
+    {
+        return 'service_unavailable';
+    }
+
+    public function __construct(
+        string $message = "Service temporarily unavailable",
+        array $context = [],
+        int $code = 503
+    ) {
+        parent::__construct($message, $code, null, $context, 503);
+    }
+}
@@ -0,0 +1,34 @@
+<?php
+/**
+ * Too many requests exception
+ * 
+ * For requests refused by the API rate limit
+ * 
+ * @package    Backend\Exceptions
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Exceptions;
+
+/**
+ * TooManyRequestsException
+ * 
+ * Thrown when a client has used up its request quota
+ */
+class TooManyRequestsException extends BaseException
+{
+    protected function getErrorType(): string
+    {
+        return 'rate_limited';
+    }
+
+    public function __construct(
+        string $message = "Too many requests",
+        array $context = [],
+        int $code = 429
+    ) {
+        parent::__construct($message, $code, null, $context, 429);
+    }
+}
@@ -15,6 +15,7 @@
 header("Access-Control-Allow-Origin: http://localhost:3000");
 header("Access-Control-Allow-Methods: GET, POST, PUT, DELETE, PATCH, OPTIONS");
 header("Access-Control-Allow-Headers: Content-Type, Authorization, X-Requested-With, Accept, Origin, Cache-Control");
+header("Access-Control-Expose-Headers: X-Maintenance-Mode, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset");
 header("Access-Control-Allow-Credentials: false");
 header("Access-Control-Max-Age: 86400");
 header("Content-Type: application/json; charset=utf-8");
@@ -76,15 +77,38 @@ require_once __DIR__ . '/exceptions/NotFoundException.php';
 require_once __DIR__ . '/exceptions/ConflictException.php';
 require_once __DIR__ . '/exceptions/BadRequestException.php';
 require_once __DIR__ . '/exceptions/AuthorizationException.php';
+require_once __DIR__ . '/exceptions/AuthenticationException.php';
+require_once __DIR__ . '/exceptions/ConfigurationException.php';
+require_once __DIR__ . '/exceptions/ServiceUnavailableException.php';
+require_once __DIR__ . '/exceptions/TooManyRequestsException.php';
+
+require_once __DIR__ . '/config/Config.php';
 
 require_once __DIR__ . '/utils/Response.php';
+require_once __DIR__ . '/utils/ExportWriter.php';
+require_once __DIR__ . '/utils/Jwt.php';
 
 require_once __DIR__ . '/controllers/BaseController.php';
 require_once __DIR__ . '/controllers/ApiController.php';
 require_once __DIR__ . '/controllers/TableController.php';
+require_once __DIR__ . '/controllers/QueryController.php';
+require_once __DIR__ . '/controllers/ConfigController.php';
+require_once __DIR__ . '/controllers/UserController.php';
+require_once __DIR__ . '/controllers/AuthController.php';
+require_once __DIR__ . '/controllers/AuditController.php';
+require_once __DIR__ . '/controllers/MigrationController.php';
+require_once __DIR__ . '/controllers/TrashController.php';
 
 require_once __DIR__ . '/services/BaseService.php';
 require_once __DIR__ . '/services/TableService.php';
+require_once __DIR__ . '/services/QueryService.php';
+require_once __DIR__ . '/services/ConfigService.php';
+require_once __DIR__ . '/services/UserService.php';
+require_once __DIR__ . '/services/AuthService.php';
+require_once __DIR__ . '/services/RateLimitService.php';
+require_once __DIR__ . '/services/AuditService.php';
+require_once __DIR__ . '/services/MigrationService.php';
+require_once __DIR__ . '/services/TrashService.php';
 
 require_once __DIR__ . '/core/Router.php';
 
@@ -98,8 +122,21 @@ require_once __DIR__ . '/Database.php';
 use Backend\Core\Router;
 use Backend\Controllers\ApiController;
 use Backend\Controllers\TableController;
+use Backend\Controllers\QueryController;
+use Backend\Controllers\ConfigController;
+use Backend\Controllers\UserController;
+use Backend\Controllers\AuthController;
+use Backend\Controllers\AuditController;
+use Backend\Controllers\MigrationController;
+use Backend\Controllers\TrashController;
+use Backend\Services\AuthService;
+use Backend\Services\ConfigService;
+use Backend\Services\RateLimitService;
 use Backend\Utils\Response;
 use Backend\Exceptions\BaseException;
+use Backend\Exceptions\DatabaseException;
+use Backend\Exceptions\ServiceUnavailableException;
+use Backend\Exceptions\TooManyRequestsException;
 
 /**
  * Global exception handler
@@ -143,12 +180,100 @@ try {
         return true;
     });
     
+    // Authentication middleware: everything except the public routes needs a valid token
+    $authService = new AuthService();
+    $publicPaths = ['/', '/api', '/api/health', '/api/auth/login', '/api/maintenance'];
+    
+    $router->middleware(function() use ($router, $authService, $publicPaths) {
+        if (!in_array($router->getPath(), $publicPaths, true)) {
+            $authService->authenticate(AuthService::getAuthorizationHeader());
+        }
+        return true;
+    });
+    
+    // Rate limiting: requests are counted per user (or per IP address before sign-in).
+    // Every counted response reports the quota in X-RateLimit-* headers; once it is used
+    // up the client gets 429 with Retry-After until the window ends. Like maintenance mode,
+    // it never applies to roles with maintenance.bypass (admins), so a limit set too low
+    // can always be raised again from the settings.
+    $configService = new ConfigService();
+    $rateLimitService = new RateLimitService($configService);
+    
+    $router->middleware(function() use ($authService, $rateLimitService) {
+        if ($authService->can('maintenance.bypass')) {
+            return true;
+        }
+        
+        try {
+            $rateLimit = $rateLimitService->hit(RateLimitService::getClientKey($authService->getCurrentUser()));
+        } catch (DatabaseException $e) {
+            return true; // Without the database, routes report their own errors (e.g. /api/health)
+        }
+        
+        if ($rateLimit === null) {
+            return true;
+        }
+        
+        header('X-RateLimit-Limit: ' . $rateLimit['limit']);
+        header('X-RateLimit-Remaining: ' . $rateLimit['remaining']);
+        header('X-RateLimit-Reset: ' . $rateLimit['reset']);
+        
+        if ($rateLimit['limited']) {
+            header('Retry-After: ' . $rateLimit['retry_after']);
+            throw new TooManyRequestsException(
+                "Rate limit exceeded. Try again in {$rateLimit['retry_after']} seconds.",
+                ['limit' => $rateLimit['limit'], 'retry_after' => $rateLimit['retry_after']]
+            );
+        }
+        return true;
+    });
+    
+    // Maintenance mode: only roles with maintenance.bypass (admins) keep using the API so
+    // they can switch it off again; everyone else gets 503 with the configured message.
+    // Public and session routes stay open so the dashboard can show its lockout screen.
+    // Every response carries X-Maintenance-Mode while it is on.
+    $maintenanceOpenPaths = array_merge($publicPaths, ['/api/auth/refresh', '/api/auth/me']);
+    
+    $router->middleware(function() use ($router, $authService, $configService, $maintenanceOpenPaths) {
+        try {
+            $maintenance = $configService->getMaintenanceStatus();
+        } catch (DatabaseException $e) {
+            return true; // Without the database, routes report their own errors (e.g. /api/health)
+        }
+        
+        if (!$maintenance['enabled']) {
+            return true;
+        }
+        
+        header('X-Maintenance-Mode: on');
+        
+        if (!in_array($router->getPath(), $maintenanceOpenPaths, true) && !$authService->can('maintenance.bypass')) {
+            throw new ServiceUnavailableException($maintenance['message'], ['reason' => 'maintenance_mode']);
+        }
+        return true;
+    });
+    
+    // Route middleware factory: reject the request unless the user's role grants the permission
+    $requires = function(string $permission) use ($authService) {
+        return function() use ($authService, $permission) {
+            $authService->authorize($permission);
+            return true;
+        };
+    };
+    
     // Create controller instances
     $apiController = new ApiController();
-    $tableController = new TableController();
+    $tableController = new TableController(null, $authService);
+    $queryController = new QueryController(null, $authService);
+    $configController = new ConfigController($configService);
+    $userController = new UserController();
+    $authController = new AuthController($authService);
+    $auditController = new AuditController();
+    $migrationController = new MigrationController(null, $authService);
+    $trashController = new TrashController(null, $authService);
     
     // Define API routes
-    $router->group('/api', function($router) use ($apiController, $tableController) {
+    $router->group('/api', function($router) use ($apiController, $tableController, $queryController, $configController, $userController, $authController, $auditController, $migrationController, $trashController, $requires) {
         
         // Basic API endpoints
         $router->get('', [$apiController, 'root']);
@@ -157,27 +282,95 @@ try {
         $router->get('/health', [$apiController, 'health']);
         $router->get('/db-test', [$apiController, 'databaseTest']);
         
+        // Authentication
+        $router->post('/auth/login', [$authController, 'login']);
+        $router->post('/auth/refresh', [$authController, 'refresh']);
+        $router->get('/auth/me', [$authController, 'me']);
+        
+        // SQL query console
+        $router->post('/query', [$queryController, 'execute'], [$requires('query.read')]);
+        
+        // Application configuration (config table)
+        $router->get('/maintenance', [$configController, 'maintenance']);
+        $router->get('/config', [$configController, 'index'], [$requires('config.read')]);
+        $router->put('/config', [$configController, 'replace'], [$requires('config.write')]);
+        $router->patch('/config', [$configController, 'update'], [$requires('config.write')]);
+        $router->post('/config', [$configController, 'create'], [$requires('config.write')]);
+        $router->delete('/config/{name}', [$configController, 'delete'], [$requires('config.write')]);
+        
+        // User management routes
+        $router->group('/users', function($router) use ($userController) {
+            $router->get('', [$userController, 'index']);
+            $router->post('', [$userController, 'create']);
+            $router->get('/{id}', [$userController, 'show']);
+            $router->patch('/{id}', [$userController, 'rename']);
+            $router->put('/{id}/password', [$userController, 'password']);
+            $router->put('/{id}/role', [$userController, 'role']);
+            $router->delete('/{id}', [$userController, 'delete']);
+        }, [$requires('users.manage')]);
+        
+        // Audit log of table changes
+        $router->get('/audit', [$auditController, 'index'], [$requires('audit.read')]);
+        
+        // Migrations generated from schema changes
+        $router->group('/migrations', function($router) use ($migrationController, $requires) {
+            $apply = [$requires('migrations.apply')];
+            
+            $router->get('', [$migrationController, 'index']);
+            $router->post('/{version}/apply', [$migrationController, 'apply'], $apply);
+            $router->post('/{version}/rollback', [$migrationController, 'rollback'], $apply);
+        }, [$requires('migrations.read')]);
+        
+        // Trash of dropped tables and columns
+        $router->group('/trash', function($router) use ($trashController, $requires) {
+            $router->get('', [$trashController, 'index']);
+            $router->post('/{id}/restore', [$trashController, 'restore'], [$requires('schema.write')]);
+            $router->delete('/{id}', [$trashController, 'purge'], [$requires('schema.destroy')]);
+        }, [$requires('schema.read')]);
+        
         // Table management routes
-        $router->group('/tables', function($router) use ($tableController) {
+        // Reading needs schema.read; changes need schema.write, and dropping or truncating schema.destroy
+        $router->group('/tables', function($router) use ($tableController, $requires) {
+            $write = [$requires('schema.write')];
+            $destroy = [$requires('schema.destroy')];
+            
             // Table collection endpoints
             $router->get('', [$tableController, 'index']);
-            $router->post('', [$tableController, 'create']);
+            $router->post('', [$tableController, 'create'], $write);
             $router->get('/health', [$tableController, 'health']);
+            $router->get('/schema', [$tableController, 'databaseSchema']);
             
             // Individual table endpoints
-            $router->delete('/{tableName}', [$tableController, 'delete']);
+            $router->delete('/{tableName}', [$tableController, 'delete'], $destroy);
+            $router->patch('/{tableName}', [$tableController, 'rename'], $write);
             $router->any(['HEAD', 'GET'], '/{tableName}/exists', [$tableController, 'exists']);
             
             // Table data endpoints
             $router->get('/{tableName}/data', [$tableController, 'getData']);
+            $router->get('/{tableName}/export', [$tableController, 'export']);
+            $router->post('/{tableName}/rows', [$tableController, 'insertRow'], $write);
+            $router->post('/{tableName}/import', [$tableController, 'import'], $write);
+            $router->any(['PUT', 'PATCH'], '/{tableName}/rows/{rowId}', [$tableController, 'updateRow'], $write);
+            $router->delete('/{tableName}/rows/{rowId}', [$tableController, 'deleteRow'], $write);
             $router->get('/{tableName}/schema', [$tableController, 'getSchema']);
             $router->get('/{tableName}/stats', [$tableController, 'getStats']);
-            $router->post('/{tableName}/truncate', [$tableController, 'truncate']);
+            $router->post('/{tableName}/truncate', [$tableController, 'truncate'], $destroy);
             
             // Column management endpoints
-            $router->post('/{tableName}/columns', [$tableController, 'addColumn']);
-            $router->delete('/{tableName}/columns/{columnName}', [$tableController, 'removeColumn']);
-        });
+            $router->post('/{tableName}/columns', [$tableController, 'addColumn'], $write);
+            $router->delete('/{tableName}/columns/{columnName}', [$tableController, 'removeColumn'], $destroy);
+            $router->patch('/{tableName}/columns/{columnName}', [$tableController, 'alterColumn'], $write);
+            
+            // Index management endpoints
+            $router->get('/{tableName}/indexes', [$tableController, 'indexes']);
+            $router->post('/{tableName}/indexes', [$tableController, 'createIndex'], $write);
+            $router->delete('/{tableName}/indexes/{indexName}', [$tableController, 'dropIndex'], $write);
+            
+            // Constraint management endpoints
+            $router->get('/{tableName}/constraints', [$tableController, 'constraints']);
+            $router->post('/{tableName}/constraints', [$tableController, 'addConstraint'], $write);
+            $router->delete('/{tableName}/constraints/{constraintName}', [$tableController, 'dropConstraint'], $write);
+        }, [$requires('schema.read')]);
         
     });
     
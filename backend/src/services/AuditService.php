@@ -0,0 +1,145 @@
+<?php
+/**
+ * Audit Service Class
+ *
+ * Records schema and data changes made through the table API in the
+ * `audit_log` table: who made them, when, to which table (and column,
+ * index, constraint or row), with what parameters and which SQL ran.
+ * Unlike BaseService::log(), which only reaches the PHP error log, entries
+ * are kept for good and can be searched through /api/audit.
+ *
+ * @package    Backend\Services
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Services;
+
+use Backend\Exceptions\ValidationException;
+use Backend\Exceptions\DatabaseException;
+use Backend\Database\QueryBuilder;
+
+class AuditService extends BaseService
+{
+    /**
+     * Recorded actions
+     */
+    public const ACTIONS = [
+        'create_table',
+        'drop_table',
+        'rename_table',
+        'truncate_table',
+        'import_rows',
+        'add_column',
+        'drop_column',
+        'alter_column',
+        'create_index',
+        'drop_index',
+        'add_constraint',
+        'drop_constraint',
+        'restore_table',
+        'restore_column',
+        'purge_table',
+        'purge_column',
+        'insert_row',
+        'update_row',
+        'delete_row'
+    ];
+
+    /**
+     * Record a change
+     *
+     * The change has already been made when this is called, so a failure to
+     * record it is logged rather than reported to the client as an error.
+     *
+     * @param array|null $user User who made the change (AuthService::getCurrentUser())
+     * @param string $action One of ACTIONS
+     * @param string $tableName Changed table
+     * @param string|null $target Column, index, constraint or row id within the table
+     * @param array $payload Request parameters of the change
+     * @param string|null $sql SQL the change ran
+     * @return void
+     */
+    public function record(?array $user, string $action, string $tableName, ?string $target, array $payload, ?string $sql): void
+    {
+        try {
+            $this->db->execute(QueryBuilder::buildInsertAuditLogQuery(), [
+                'user_id' => $user['id'] ?? null,
+                'username' => $user['username'] ?? null,
+                'action' => $action,
+                'table_name' => $tableName,
+                'target' => $target,
+                'payload' => json_encode($payload, JSON_UNESCAPED_UNICODE | JSON_PARTIAL_OUTPUT_ON_ERROR),
+                'sql' => $sql
+            ]);
+        } catch (\Throwable $e) {
+            $this->log('record_audit_failed', [
+                'action' => $action,
+                'table' => $tableName,
+                'target' => $target,
+                'error' => $e->getMessage()
+            ], 'error');
+        }
+    }
+
+    /**
+     * Get a page of audit log entries, newest first
+     *
+     * @param int $limit Page size
+     * @param int $offset Row offset
+     * @param array $filters Optional 'actor' and 'table' (partial matches) and 'action' (one of ACTIONS)
+     * @return array ['entries' => array, 'total' => int]
+     * @throws ValidationException|DatabaseException
+     */
+    public function getEntries(int $limit, int $offset, array $filters = []): array
+    {
+        $action = (string) ($filters['action'] ?? '');
+
+        if ($action !== '' && !in_array($action, self::ACTIONS, true)) {
+            throw new ValidationException(
+                "Invalid action '{$action}'. Allowed: " . implode(', ', self::ACTIONS)
+            );
+        }
+
+        try {
+            $count = QueryBuilder::buildCountAuditLogQuery($filters);
+            $total = (int) $this->db->execute($count['sql'], $count['params'])->fetch()['total'];
+
+            $query = QueryBuilder::buildGetAuditLogQuery($filters);
+            $rows = $this->db->execute($query['sql'], $query['params'] + [
+                'limit' => $limit,
+                'offset' => $offset
+            ])->fetchAll();
+        } catch (\Throwable $e) {
+            $this->log('get_audit_log_failed', ['error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to retrieve audit log: ' . $e->getMessage());
+        }
+
+        return [
+            'entries' => array_map([$this, 'formatEntry'], $rows),
+            'total' => $total
+        ];
+    }
+
+    /**
+     * Convert an audit_log row into an API entry
+     *
+     * @param array $row audit_log row
+     * @return array Entry with a decoded payload (timecreated is a Unix timestamp)
+     */
+    private function formatEntry(array $row): array
+    {
+        return [
+            'id' => (int) $row['id'],
+            'user_id' => $row['user_id'] !== null ? (int) $row['user_id'] : null,
+            'username' => $row['username'],
+            'action' => $row['action'],
+            'table_name' => $row['table_name'],
+            'target' => $row['target'],
+            'payload' => json_decode($row['payload'], true) ?? [],
+            'sql' => $row['sql'],
+            'timecreated' => (int) $row['timecreated']
+        ];
+    }
+}
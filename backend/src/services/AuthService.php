@@ -0,0 +1,332 @@
+<?php
+/**
+ * Auth Service Class
+ *
+ * Signs users in against the password hashes in the `user` table and issues
+ * JWT access tokens signed with `security.jwt_secret`. Tokens expire after
+ * `security.session_timeout` seconds; refreshing a still-valid token starts a
+ * new session window, so idle sessions expire while active ones continue.
+ *
+ * Every user has a role (admin, developer or viewer) that grants a fixed set
+ * of permissions. The role is read from the database on each request, so
+ * role changes and deleted accounts take effect without waiting for the
+ * token to expire.
+ *
+ * @package    Backend\Services
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Services;
+
+use Backend\Exceptions\AuthenticationException;
+use Backend\Exceptions\AuthorizationException;
+use Backend\Exceptions\ConfigurationException;
+use Backend\Exceptions\DatabaseException;
+use Backend\Exceptions\ValidationException;
+use Backend\Database\QueryBuilder;
+use Backend\Config\Config;
+use Backend\Utils\Jwt;
+
+class AuthService extends BaseService
+{
+    /**
+     * Token issuer claim
+     */
+    private const ISSUER = 'backend-api';
+
+    /**
+     * Shortest allowed session, in seconds
+     */
+    private const MIN_SESSION_TIMEOUT = 60;
+
+    /**
+     * Permissions granted by each role
+     *
+     * schema.destroy covers dropping and truncating tables, dropping
+     * columns and purging them from the trash; query.write allows data-modifying statements in the console;
+     * maintenance.bypass keeps the API usable while in maintenance mode;
+     * audit.read opens the audit log of table changes; migrations.apply runs
+     * and rolls back migration files.
+     */
+    private const ROLE_PERMISSIONS = [
+        'admin' => [
+            'schema.read', 'schema.write', 'schema.destroy',
+            'query.read', 'query.write',
+            'config.read', 'config.write',
+            'users.manage',
+            'maintenance.bypass',
+            'audit.read',
+            'migrations.read', 'migrations.apply'
+        ],
+        'developer' => [
+            'schema.read', 'schema.write',
+            'query.read',
+            'config.read',
+            'audit.read',
+            'migrations.read'
+        ],
+        'viewer' => [
+            'config.read'
+        ]
+    ];
+
+    /**
+     * User of the authenticated request, if any
+     *
+     * @var array|null
+     */
+    private $currentUser = null;
+
+    /**
+     * Sign a user in with their password
+     *
+     * @param string $username Username
+     * @param string $password Password
+     * @return array Session ({token, token_type, expires_in, expires_at, user})
+     * @throws ValidationException|AuthenticationException|ConfigurationException|DatabaseException
+     */
+    public function login(string $username, string $password): array
+    {
+        $username = trim($username);
+
+        if ($username === '' || $password === '') {
+            throw new ValidationException('Username and password are required');
+        }
+
+        $this->log('login_started', ['username' => $username]);
+
+        try {
+            $user = $this->db->execute(QueryBuilder::buildGetUserCredentialsQuery(), [
+                'username' => $username
+            ])->fetch();
+        } catch (\Throwable $e) {
+            $this->log('login_failed', ['username' => $username, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to sign in: ' . $e->getMessage());
+        }
+
+        // Verify against a throwaway hash for unknown users so response times don't reveal usernames
+        $hash = $user && $user['password_hash'] !== null ? $user['password_hash'] : password_hash('', PASSWORD_DEFAULT);
+
+        if (!password_verify($password, $hash) || !$user || $user['password_hash'] === null) {
+            $this->log('login_rejected', ['username' => $username], 'warning');
+            throw new AuthenticationException('Invalid username or password');
+        }
+
+        if (password_needs_rehash($hash, PASSWORD_DEFAULT)) {
+            $this->db->execute(QueryBuilder::buildUpdatePasswordQuery(), [
+                'id' => $user['id'],
+                'password_hash' => password_hash($password, PASSWORD_DEFAULT)
+            ]);
+        }
+
+        $this->log('login_completed', ['id' => $user['id'], 'username' => $user['username']]);
+
+        return $this->issueSession((int) $user['id'], $user['username'], $user['role']);
+    }
+
+    /**
+     * Issue a new session for the authenticated user
+     *
+     * @return array Session ({token, token_type, expires_in, expires_at, user})
+     * @throws AuthenticationException|ConfigurationException|DatabaseException
+     */
+    public function refresh(): array
+    {
+        $user = $this->requireCurrentUser();
+
+        $this->log('refresh_completed', ['id' => $user['id']]);
+
+        return $this->issueSession($user['id'], $user['username'], $user['role']);
+    }
+
+    /**
+     * Authenticate a request from its Authorization header
+     *
+     * @param string|null $authorization Authorization header value
+     * @return array User ({id, username, role, permissions, expires_at})
+     * @throws AuthenticationException|ConfigurationException|DatabaseException
+     */
+    public function authenticate(?string $authorization): array
+    {
+        if ($authorization === null || !preg_match('/^Bearer\s+(\S+)$/i', trim($authorization), $matches)) {
+            throw new AuthenticationException('Authentication required', ['reason' => 'missing_token']);
+        }
+
+        $claims = Jwt::decode($matches[1], $this->getSecret());
+
+        if (($claims['iss'] ?? null) !== self::ISSUER || !isset($claims['sub'], $claims['username'])) {
+            throw new AuthenticationException('Invalid token');
+        }
+
+        // The account may have been deleted, renamed or given another role since the token was issued
+        try {
+            $user = $this->db->execute(QueryBuilder::buildGetUserByIdQuery(), ['id' => $claims['sub']])->fetch();
+        } catch (\Throwable $e) {
+            throw new DatabaseException('Failed to authenticate: ' . $e->getMessage());
+        }
+
+        if (!$user || !$user['has_password']) {
+            throw new AuthenticationException('This account can no longer sign in', ['reason' => 'account_disabled']);
+        }
+
+        $this->currentUser = [
+            'id' => (int) $user['id'],
+            'username' => $user['username'],
+            'role' => $user['role'],
+            'permissions' => self::getPermissions($user['role']),
+            'expires_at' => (int) $claims['exp']
+        ];
+
+        return $this->currentUser;
+    }
+
+    /**
+     * Require a permission of the authenticated user
+     *
+     * @param string $permission Permission (e.g. schema.destroy)
+     * @return void
+     * @throws AuthenticationException|AuthorizationException
+     */
+    public function authorize(string $permission): void
+    {
+        $user = $this->requireCurrentUser();
+
+        if (!in_array($permission, $user['permissions'], true)) {
+            throw new AuthorizationException(
+                "The {$user['role']} role does not allow this action",
+                ['permission' => $permission, 'role' => $user['role']]
+            );
+        }
+    }
+
+    /**
+     * Check whether the authenticated user has a permission
+     *
+     * @param string $permission Permission (e.g. maintenance.bypass)
+     * @return bool False when the request is not authenticated or the role lacks it
+     */
+    public function can(string $permission): bool
+    {
+        return $this->currentUser !== null
+            && in_array($permission, $this->currentUser['permissions'], true);
+    }
+
+    /**
+     * Get the known roles
+     *
+     * @return array Role names
+     */
+    public static function getRoles(): array
+    {
+        return array_keys(self::ROLE_PERMISSIONS);
+    }
+
+    /**
+     * Get the permissions granted by a role
+     *
+     * @param string $role Role name
+     * @return array Permissions (empty for unknown roles)
+     */
+    public static function getPermissions(string $role): array
+    {
+        return self::ROLE_PERMISSIONS[$role] ?? [];
+    }
+
+    /**
+     * Get the authenticated user of this request
+     *
+     * @return array|null User, or null when the request is not authenticated
+     */
+    public function getCurrentUser(): ?array
+    {
+        return $this->currentUser;
+    }
+
+    /**
+     * Get the authenticated user of this request, failing when there is none
+     *
+     * @return array User ({id, username, role, permissions, expires_at})
+     * @throws AuthenticationException
+     */
+    public function requireCurrentUser(): array
+    {
+        if ($this->currentUser === null) {
+            throw new AuthenticationException('Authentication required', ['reason' => 'missing_token']);
+        }
+
+        return $this->currentUser;
+    }
+
+    /**
+     * Read the Authorization header of the current request
+     *
+     * @return string|null Header value
+     */
+    public static function getAuthorizationHeader(): ?string
+    {
+        if (function_exists('getallheaders')) {
+            foreach (getallheaders() ?: [] as $name => $value) {
+                if (strtolower($name) === 'authorization') {
+                    return $value;
+                }
+            }
+        }
+
+        return $_SERVER['HTTP_AUTHORIZATION'] ?? $_SERVER['REDIRECT_HTTP_AUTHORIZATION'] ?? null;
+    }
+
+    /**
+     * Create a signed token and describe the session it starts
+     *
+     * @param int $userId User id
+     * @param string $username Username
+     * @param string $role Role
+     * @return array Session ({token, token_type, expires_in, expires_at, user})
+     * @throws ConfigurationException
+     */
+    private function issueSession(int $userId, string $username, string $role): array
+    {
+        $now = time();
+        $lifetime = max(self::MIN_SESSION_TIMEOUT, (int) Config::get('security.session_timeout', 3600));
+
+        $token = Jwt::encode([
+            'iss' => self::ISSUER,
+            'sub' => (string) $userId,
+            'username' => $username,
+            'iat' => $now,
+            'exp' => $now + $lifetime
+        ], $this->getSecret());
+
+        return [
+            'token' => $token,
+            'token_type' => 'Bearer',
+            'expires_in' => $lifetime,
+            'expires_at' => $now + $lifetime,
+            'user' => [
+                'id' => $userId,
+                'username' => $username,
+                'role' => $role,
+                'permissions' => self::getPermissions($role)
+            ]
+        ];
+    }
+
+    /**
+     * Get the token signing secret
+     *
+     * @return string Secret
+     * @throws ConfigurationException
+     */
+    private function getSecret(): string
+    {
+        $secret = Config::get('security.jwt_secret', '');
+
+        if (!is_string($secret)) {
+            throw new ConfigurationException('JWT_SECRET must be a string without commas');
+        }
+
+        return $secret;
+    }
+}
@@ -13,6 +13,7 @@
 
 namespace Backend\Services;
 
+use Backend\Exceptions\BaseException;
 use Backend\Exceptions\ValidationException;
 use Backend\Exceptions\DatabaseException;
 use Backend\Database\Connection;
@@ -230,9 +231,12 @@ abstract class BaseService
     /**
      * Execute database transaction
      * 
+     * Application exceptions thrown by the callback (e.g. ValidationException)
+     * are rethrown unchanged after rolling back; anything else is wrapped.
+     * 
      * @param callable $callback Transaction callback
      * @return mixed Transaction result
-     * @throws DatabaseException
+     * @throws BaseException|DatabaseException
      */
     protected function transaction(callable $callback)
     {
@@ -244,7 +248,7 @@ abstract class BaseService
         } catch (\Throwable $e) {
             $this->db->rollback();
 
-            if ($e instanceof DatabaseException) {
+            if ($e instanceof BaseException) {
                 throw $e;
             }
 
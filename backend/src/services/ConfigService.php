@@ -0,0 +1,487 @@
+<?php
+/**
+ * Config Service Class
+ *
+ * Reads and writes the application's key/value `config` table. Values are
+ * stored as text and converted to booleans, integers or strings on the way
+ * in and out. Core entries (core = 1) are seeded by the database init
+ * scripts: their values may change, but they cannot be deleted, created
+ * through the API or change type.
+ *
+ * @package    Backend\Services
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Services;
+
+use Backend\Exceptions\ValidationException;
+use Backend\Exceptions\DatabaseException;
+use Backend\Exceptions\NotFoundException;
+use Backend\Exceptions\ConflictException;
+use Backend\Exceptions\AuthorizationException;
+use Backend\Database\QueryBuilder;
+use Backend\Config\Config;
+
+class ConfigService extends BaseService
+{
+    /**
+     * Value types of the known settings; other keys take the type of their value
+     */
+    private const SETTING_TYPES = [
+        'app_name' => 'string',
+        'app_version' => 'string',
+        'maintenance_mode' => 'bool',
+        'maintenance_message' => 'string',
+        'debug_mode' => 'bool',
+        'theme' => 'string',
+        'language' => 'string',
+        'items_per_page' => 'int',
+        'show_notifications' => 'bool',
+        'max_connections' => 'int',
+        'query_timeout' => 'int',
+        'enable_caching' => 'bool',
+        'api_timeout' => 'int',
+        'enable_cors' => 'bool',
+        'rate_limit_enabled' => 'bool',
+        'rate_limit_requests' => 'int',
+        'trash_retention_days' => 'int',
+        'max_users' => 'int'
+    ];
+
+    /**
+     * Allowed config key names
+     */
+    private const NAME_PATTERN = '/^[A-Za-z][A-Za-z0-9_.-]{0,254}$/';
+
+    /**
+     * Message shown in maintenance mode when `maintenance_message` is empty
+     */
+    private const DEFAULT_MAINTENANCE_MESSAGE = 'The application is down for maintenance. Please try again later.';
+
+    /**
+     * Get all config entries
+     *
+     * @return array Entries with typed values ({name, value, type, core, timecreated, timemodified})
+     * @throws DatabaseException
+     */
+    public function getAll(): array
+    {
+        try {
+            $this->log('get_config_started');
+
+            $stmt = $this->db->execute(QueryBuilder::buildGetConfigQuery());
+            $entries = array_map([$this, 'formatEntry'], $stmt->fetchAll());
+
+            $this->log('get_config_completed', ['count' => count($entries)]);
+
+            return $entries;
+        } catch (\Throwable $e) {
+            $this->log('get_config_failed', ['error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to retrieve configuration: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Get the maintenance mode state
+     *
+     * Maintenance mode is on when the `maintenance_mode` setting is enabled
+     * or the MAINTENANCE_MODE environment variable forces it.
+     *
+     * @return array {enabled: bool, message: string}
+     * @throws DatabaseException
+     */
+    public function getMaintenanceStatus(): array
+    {
+        try {
+            $values = [];
+            foreach ($this->db->execute(QueryBuilder::buildGetMaintenanceConfigQuery())->fetchAll() as $row) {
+                $values[$row['name']] = $this->formatEntry($row)['value'];
+            }
+        } catch (\Throwable $e) {
+            $this->log('get_maintenance_status_failed', ['error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to retrieve maintenance status: ' . $e->getMessage());
+        }
+
+        $message = trim((string) ($values['maintenance_message'] ?? ''));
+
+        return [
+            'enabled' => Config::isMaintenanceMode() || ($values['maintenance_mode'] ?? false) === true,
+            'message' => $message !== '' ? $message : self::DEFAULT_MAINTENANCE_MESSAGE
+        ];
+    }
+
+    /**
+     * Get the API rate limit settings
+     *
+     * The `rate_limit_enabled` and `rate_limit_requests` settings override the
+     * API_RATE_LIMIT_* environment defaults; the window length always comes
+     * from the environment.
+     *
+     * @return array {enabled: bool, requests: int, window: int (seconds)}
+     * @throws DatabaseException
+     */
+    public function getRateLimitSettings(): array
+    {
+        try {
+            $values = [];
+            foreach ($this->db->execute(QueryBuilder::buildGetRateLimitConfigQuery())->fetchAll() as $row) {
+                $values[$row['name']] = $this->formatEntry($row)['value'];
+            }
+        } catch (\Throwable $e) {
+            $this->log('get_rate_limit_settings_failed', ['error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to retrieve rate limit settings: ' . $e->getMessage());
+        }
+
+        return [
+            'enabled' => (bool) ($values['rate_limit_enabled'] ?? Config::get('api.rate_limit_enabled', false)),
+            'requests' => max(1, (int) ($values['rate_limit_requests'] ?? Config::get('api.rate_limit_requests', 100))),
+            'window' => max(1, (int) Config::get('api.rate_limit_window', 3600))
+        ];
+    }
+
+    /**
+     * Get how long dropped tables and columns are kept in the trash
+     *
+     * The `trash_retention_days` setting overrides the DB_TRASH_RETENTION_DAYS
+     * environment default.
+     *
+     * @return int Retention period in days (at least 1)
+     * @throws DatabaseException
+     */
+    public function getTrashRetentionDays(): int
+    {
+        try {
+            $row = $this->db->execute(QueryBuilder::buildGetTrashConfigQuery())->fetch();
+        } catch (\Throwable $e) {
+            $this->log('get_trash_retention_failed', ['error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to retrieve trash retention: ' . $e->getMessage());
+        }
+
+        $days = $row ? $this->formatEntry($row)['value'] : null;
+
+        return max(1, (int) ($days ?? Config::get('database.trash_retention_days', 7)));
+    }
+
+    /**
+     * Set config values
+     *
+     * Every given key is created or updated. When replacing, non-core keys
+     * missing from $values are deleted as well; core keys are always kept.
+     *
+     * @param array $values Values keyed by config name
+     * @param bool $replace Whether $values is the complete configuration
+     * @return array Updated entries plus the names of created and deleted keys
+     * @throws ValidationException|DatabaseException
+     */
+    public function setValues(array $values, bool $replace = false): array
+    {
+        $this->log('set_config_started', ['keys' => count($values), 'replace' => $replace]);
+
+        $current = [];
+        foreach ($this->getAll() as $entry) {
+            $current[$entry['name']] = $entry;
+        }
+
+        $stored = $this->prepareValues($values, $current);
+        $created = array_values(array_diff(array_keys($stored), array_keys($current)));
+        $deleted = [];
+
+        if ($replace) {
+            foreach ($current as $name => $entry) {
+                if (!$entry['core'] && !array_key_exists($name, $stored)) {
+                    $deleted[] = $name;
+                }
+            }
+        }
+
+        try {
+            $this->transaction(function ($db) use ($stored, $deleted) {
+                foreach ($stored as $name => $value) {
+                    $db->execute(QueryBuilder::buildUpsertConfigQuery(), [
+                        'name' => $name,
+                        'value' => $value
+                    ]);
+                }
+
+                foreach ($deleted as $name) {
+                    $db->execute(QueryBuilder::buildDeleteConfigQuery(), ['name' => $name]);
+                }
+            });
+        } catch (\Throwable $e) {
+            $this->log('set_config_failed', ['error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to save configuration: ' . $e->getMessage());
+        }
+
+        $this->log('set_config_completed', [
+            'updated' => count($stored),
+            'created' => $created,
+            'deleted' => $deleted
+        ]);
+
+        return [
+            'entries' => $this->getAll(),
+            'created' => $created,
+            'deleted' => $deleted
+        ];
+    }
+
+    /**
+     * Create a new (non-core) config entry
+     *
+     * @param string $name Config name
+     * @param mixed $value Typed value
+     * @return array Created entry
+     * @throws ValidationException|ConflictException|DatabaseException
+     */
+    public function create(string $name, $value): array
+    {
+        $this->log('create_config_started', ['name' => $name]);
+
+        $entry = $this->find($name);
+
+        if ($entry !== null) {
+            throw new ConflictException("Config '{$name}' already exists");
+        }
+
+        $stored = $this->prepareValues([$name => $value], []);
+
+        try {
+            $this->db->execute(QueryBuilder::buildInsertConfigQuery(), [
+                'name' => $name,
+                'value' => $stored[$name]
+            ]);
+        } catch (\Throwable $e) {
+            $this->log('create_config_failed', ['name' => $name, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to create config: ' . $e->getMessage());
+        }
+
+        $this->log('create_config_completed', ['name' => $name]);
+
+        return $this->find($name);
+    }
+
+    /**
+     * Delete a non-core config entry
+     *
+     * @param string $name Config name
+     * @return array Deleted entry
+     * @throws NotFoundException|AuthorizationException|DatabaseException
+     */
+    public function delete(string $name): array
+    {
+        $this->log('delete_config_started', ['name' => $name]);
+
+        $entry = $this->find($name);
+
+        if ($entry === null) {
+            throw new NotFoundException("Config '{$name}' does not exist");
+        }
+
+        if ($entry['core']) {
+            throw new AuthorizationException("Config '{$name}' is a core setting and cannot be deleted");
+        }
+
+        try {
+            $this->db->execute(QueryBuilder::buildDeleteConfigQuery(), ['name' => $name]);
+        } catch (\Throwable $e) {
+            $this->log('delete_config_failed', ['name' => $name, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to delete config: ' . $e->getMessage());
+        }
+
+        $this->log('delete_config_completed', ['name' => $name]);
+
+        return $entry;
+    }
+
+    /**
+     * Find a config entry by name
+     *
+     * @param string $name Config name
+     * @return array|null Entry, or null if it does not exist
+     * @throws DatabaseException
+     */
+    private function find(string $name): ?array
+    {
+        foreach ($this->getAll() as $entry) {
+            if ($entry['name'] === $name) {
+                return $entry;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate names and convert values to their stored text form
+     *
+     * @param array $values Values keyed by config name
+     * @param array $current Existing entries keyed by name
+     * @return array Stored values keyed by name
+     * @throws ValidationException
+     */
+    private function prepareValues(array $values, array $current): array
+    {
+        $errors = [];
+        $stored = [];
+
+        foreach ($values as $name => $value) {
+            $name = (string) $name;
+
+            if (!preg_match(self::NAME_PATTERN, $name)) {
+                $errors[] = "Invalid config key '{$name}': use letters, digits, '_', '.' or '-', starting with a letter";
+                continue;
+            }
+
+            $type = $this->getExpectedType($name, $current[$name] ?? null) ?? $this->detectValueType($value);
+
+            if ($type === null) {
+                $errors[] = "Config '{$name}' must be a boolean, integer or string";
+                continue;
+            }
+
+            $text = $this->toStoredValue($value, $type);
+
+            if ($text === null) {
+                $errors[] = "Config '{$name}' must be " . ($type === 'int' ? 'an integer' : "a {$type}");
+                continue;
+            }
+
+            $stored[$name] = $text;
+        }
+
+        if (!empty($errors)) {
+            throw new ValidationException(implode('; ', $errors), ['errors' => $errors]);
+        }
+
+        return $stored;
+    }
+
+    /**
+     * Get the type a key's value must have, if it is fixed
+     *
+     * @param string $name Config name
+     * @param array|null $entry Existing entry
+     * @return string|null 'bool', 'int', 'string' or null when any type is accepted
+     */
+    private function getExpectedType(string $name, ?array $entry): ?string
+    {
+        if (isset(self::SETTING_TYPES[$name])) {
+            return self::SETTING_TYPES[$name];
+        }
+
+        // Core entries keep the type they were seeded with
+        return $entry !== null && $entry['core'] ? $entry['type'] : null;
+    }
+
+    /**
+     * Detect the type of a submitted JSON value
+     *
+     * @param mixed $value Submitted value
+     * @return string|null 'bool', 'int', 'string' or null if unsupported
+     */
+    private function detectValueType($value): ?string
+    {
+        if (is_bool($value)) {
+            return 'bool';
+        }
+        if (is_int($value)) {
+            return 'int';
+        }
+        if (is_string($value) || is_float($value)) {
+            return 'string';
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert a value to the text stored in the config table
+     *
+     * @param mixed $value Submitted value
+     * @param string $type Target type
+     * @return string|null Stored text, or null if the value cannot be converted
+     */
+    private function toStoredValue($value, string $type): ?string
+    {
+        switch ($type) {
+            case 'bool':
+                if (!is_bool($value) && !is_int($value) && !is_string($value)) {
+                    return null;
+                }
+                $bool = filter_var($value, FILTER_VALIDATE_BOOLEAN, FILTER_NULL_ON_FAILURE);
+                return $bool === null ? null : ($bool ? 'true' : 'false');
+
+            case 'int':
+                if (is_int($value)) {
+                    return (string) $value;
+                }
+                return is_string($value) && preg_match('/^-?\d+$/', trim($value)) ? (string) (int) $value : null;
+
+            default:
+                return is_scalar($value) && !is_bool($value) ? (string) $value : null;
+        }
+    }
+
+    /**
+     * Convert a config row into an API entry with a typed value
+     *
+     * @param array $row Config row
+     * @return array Entry
+     */
+    private function formatEntry(array $row): array
+    {
+        $type = self::SETTING_TYPES[$row['name']] ?? $this->inferStoredType($row['value']);
+
+        return [
+            'name' => $row['name'],
+            'value' => $this->fromStoredValue($row['value'], $type),
+            'type' => $type,
+            'core' => (int) $row['core'] === 1,
+            'timecreated' => $row['timecreated'],
+            'timemodified' => $row['timemodified']
+        ];
+    }
+
+    /**
+     * Infer the type of a stored value that has no declared type
+     *
+     * @param string|null $value Stored text
+     * @return string 'bool', 'int' or 'string'
+     */
+    private function inferStoredType(?string $value): string
+    {
+        if ($value === 'true' || $value === 'false') {
+            return 'bool';
+        }
+        if ($value !== null && preg_match('/^-?\d+$/', $value)) {
+            return 'int';
+        }
+
+        return 'string';
+    }
+
+    /**
+     * Convert stored text to a typed value
+     *
+     * @param string|null $value Stored text
+     * @param string $type Value type
+     * @return mixed Typed value (null stays null)
+     */
+    private function fromStoredValue(?string $value, string $type)
+    {
+        if ($value === null) {
+            return null;
+        }
+
+        switch ($type) {
+            case 'bool':
+                return filter_var($value, FILTER_VALIDATE_BOOLEAN);
+            case 'int':
+                return (int) $value;
+            default:
+                return $value;
+        }
+    }
+}
@@ -0,0 +1,430 @@
+<?php
+/**
+ * Migration Service Class
+ *
+ * Keeps schema changes made through the dashboard reproducible. Each change
+ * is written to the migrations directory (`database.migrations_path`,
+ * db/migrations in the repository) as a numbered pair of files:
+ * NNNN_<name>.up.sql with the SQL that ran and NNNN_<name>.down.sql with
+ * the SQL that undoes it. The `schema_migrations` table records which
+ * migrations this database has applied; db/run-migrations.sh replays the
+ * rest on other databases, and migrations can be applied or rolled back
+ * one at a time through /api/migrations.
+ *
+ * @package    Backend\Services
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Services;
+
+use Backend\Config\Config;
+use Backend\Database\Connection;
+use Backend\Database\QueryBuilder;
+use Backend\Exceptions\ConflictException;
+use Backend\Exceptions\DatabaseException;
+use Backend\Exceptions\NotFoundException;
+use Backend\Exceptions\ValidationException;
+
+class MigrationService extends BaseService
+{
+    /**
+     * File name of an up migration: version (at least 4 digits) and name
+     */
+    private const UP_FILE_PATTERN = '/^(\d{4,})_([a-z0-9_]+)\.up\.sql$/';
+
+    /**
+     * Longest generated migration name
+     */
+    private const MAX_NAME_LENGTH = 80;
+
+    /**
+     * Migrations directory
+     *
+     * @var string
+     */
+    private $path;
+
+    /**
+     * MigrationService constructor
+     *
+     * @param string|null $path Migrations directory (default: database.migrations_path)
+     * @param Connection|null $db Database connection
+     */
+    public function __construct(?string $path = null, ?Connection $db = null)
+    {
+        parent::__construct($db);
+        $this->path = rtrim($path ?? (string) Config::get('database.migrations_path'), '/');
+    }
+
+    /**
+     * Record a schema change that has just been applied as a migration
+     *
+     * Like audit entries, a failure to record the change is logged rather
+     * than reported to the client, as the change itself has been made.
+     *
+     * @param array|null $user User who made the change (AuthService::getCurrentUser())
+     * @param string $action Change made (create_table, add_column, ...)
+     * @param string $tableName Changed table
+     * @param string|null $target Column, index or constraint within the table
+     * @param string $upSql SQL the change ran
+     * @param string|null $downSql SQL undoing the change, or null when it can't be undone
+     * @return string|null Version of the new migration, or null when it couldn't be recorded
+     */
+    public function record(
+        ?array $user,
+        string $action,
+        string $tableName,
+        ?string $target,
+        string $upSql,
+        ?string $downSql
+    ): ?string {
+        $name = $this->buildName([$action, $tableName, $target]);
+        $by = $user['username'] ?? null;
+
+        try {
+            // Concurrent changes would otherwise pick the same next version
+            $this->db->execute(QueryBuilder::buildLockMigrationsQuery());
+
+            try {
+                $version = $this->writeFiles($name, [
+                    'up' => $this->buildFile($name, $upSql, $by),
+                    'down' => $this->buildFile(
+                        $name,
+                        $downSql,
+                        $by,
+                        "-- This change can't be undone automatically; rolling it back is refused."
+                    )
+                ]);
+
+                try {
+                    $this->db->execute(QueryBuilder::buildInsertMigrationQuery(), [
+                        'version' => $version,
+                        'name' => $name,
+                        'applied_by' => $by
+                    ]);
+                } catch (\Throwable $e) {
+                    // Don't leave files behind for a migration that was never recorded
+                    @unlink("{$this->path}/{$version}_{$name}.up.sql");
+                    @unlink("{$this->path}/{$version}_{$name}.down.sql");
+                    throw $e;
+                }
+            } finally {
+                $this->db->execute(QueryBuilder::buildUnlockMigrationsQuery());
+            }
+
+            $this->log('record_migration_completed', ['version' => $version, 'name' => $name]);
+
+            return $version;
+        } catch (\Throwable $e) {
+            $this->log('record_migration_failed', [
+                'name' => $name,
+                'path' => $this->path,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            return null;
+        }
+    }
+
+    /**
+     * List the migrations in the migrations directory with their status
+     *
+     * @return array ['migrations' => array, 'path' => string, 'writable' => bool]
+     * @throws DatabaseException
+     */
+    public function getMigrations(): array
+    {
+        $files = $this->readDirectory();
+
+        try {
+            $applied = [];
+            foreach ($this->db->execute(QueryBuilder::buildGetAppliedMigrationsQuery())->fetchAll() as $row) {
+                $applied[$row['version']] = $row;
+            }
+        } catch (\Throwable $e) {
+            $this->log('get_migrations_failed', ['error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to retrieve applied migrations: ' . $e->getMessage());
+        }
+
+        $migrations = array_map(function (array $file) use ($applied) {
+            return $this->formatMigration($file, $applied[$file['version']] ?? null);
+        }, array_values($files));
+
+        return [
+            'migrations' => $migrations,
+            'path' => $this->path,
+            'writable' => is_dir($this->path) && is_writable($this->path)
+        ];
+    }
+
+    /**
+     * Apply a pending migration
+     *
+     * @param string $version Migration version
+     * @param array|null $user User applying the migration
+     * @return array Applied migration
+     * @throws NotFoundException|ConflictException|DatabaseException
+     */
+    public function apply(string $version, ?array $user): array
+    {
+        $file = $this->findFile($version);
+
+        if ($this->findApplied($version) !== null) {
+            throw new ConflictException("Migration {$version} has already been applied");
+        }
+
+        $sql = $this->readFile($file['up_path']);
+        $by = $user['username'] ?? null;
+
+        $this->log('apply_migration_started', ['version' => $version, 'name' => $file['name']]);
+
+        try {
+            $this->transaction(function () use ($file, $sql, $by) {
+                $this->db->executeScript($sql);
+                $this->db->execute(QueryBuilder::buildInsertMigrationQuery(), [
+                    'version' => $file['version'],
+                    'name' => $file['name'],
+                    'applied_by' => $by
+                ]);
+            });
+        } catch (\Throwable $e) {
+            $this->log('apply_migration_failed', ['version' => $version, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException("Failed to apply migration {$version}: " . $e->getMessage());
+        }
+
+        $this->log('apply_migration_completed', ['version' => $version]);
+
+        return $this->formatMigration($file, $this->findApplied($version));
+    }
+
+    /**
+     * Roll back an applied migration by running its down migration
+     *
+     * @param string $version Migration version
+     * @return array Rolled back migration
+     * @throws NotFoundException|ConflictException|ValidationException|DatabaseException
+     */
+    public function rollback(string $version): array
+    {
+        $file = $this->findFile($version);
+
+        if ($this->findApplied($version) === null) {
+            throw new ConflictException("Migration {$version} has not been applied");
+        }
+
+        $sql = $this->readFile($file['down_path']);
+
+        if (!$this->hasStatements($sql)) {
+            throw new ValidationException("Migration {$version} can't be rolled back: its down migration has no SQL");
+        }
+
+        $this->log('rollback_migration_started', ['version' => $version, 'name' => $file['name']]);
+
+        try {
+            $this->transaction(function () use ($version, $sql) {
+                $this->db->executeScript($sql);
+                $this->db->execute(QueryBuilder::buildDeleteMigrationQuery(), ['version' => $version]);
+            });
+        } catch (\Throwable $e) {
+            $this->log('rollback_migration_failed', ['version' => $version, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException("Failed to roll back migration {$version}: " . $e->getMessage());
+        }
+
+        $this->log('rollback_migration_completed', ['version' => $version]);
+
+        return $this->formatMigration($file, null);
+    }
+
+    /**
+     * Build a migration name from its parts, e.g. add_column_orders_notes
+     *
+     * @param array $parts Name parts; null and empty parts are skipped
+     * @return string Lowercase name of letters, digits and underscores
+     */
+    private function buildName(array $parts): string
+    {
+        $name = strtolower(implode('_', array_filter($parts, function ($part) {
+            return $part !== null && $part !== '';
+        })));
+        $name = trim(preg_replace('/[^a-z0-9]+/', '_', $name), '_');
+
+        return substr($name, 0, self::MAX_NAME_LENGTH) ?: 'migration';
+    }
+
+    /**
+     * Build the contents of a migration file
+     *
+     * @param string $name Migration name
+     * @param string|null $sql Statements separated by ";\n", or null for none
+     * @param string|null $by Username of the user who made the change
+     * @param string $emptyNote Comment written instead of the statements when there are none
+     * @return string File contents
+     */
+    private function buildFile(string $name, ?string $sql, ?string $by, string $emptyNote = ''): string
+    {
+        $header = "-- {$name}\n-- Generated from a dashboard schema change on " . gmdate('Y-m-d H:i:s') . ' UTC'
+            . ($by !== null ? " by {$by}" : '') . "\n\n";
+
+        if ($sql === null || trim($sql) === '') {
+            return $header . $emptyNote . "\n";
+        }
+
+        return $header . rtrim(trim($sql), ';') . ";\n";
+    }
+
+    /**
+     * Write the files of a new migration under the next free version
+     *
+     * The next version follows the highest one on disk or in
+     * schema_migrations, skipping versions any file already uses. Callers
+     * hold the migrations lock, so no other change takes the same version.
+     *
+     * @param string $name Migration name
+     * @param array $contents ['up' => string, 'down' => string]
+     * @return string Version of the new migration
+     * @throws \RuntimeException When the directory isn't writable
+     */
+    private function writeFiles(string $name, array $contents): string
+    {
+        if (!is_dir($this->path) || !is_writable($this->path)) {
+            throw new \RuntimeException("Migrations directory '{$this->path}' does not exist or is not writable");
+        }
+
+        $versions = array_merge(
+            array_map('intval', array_keys($this->readDirectory())),
+            array_map('intval', array_column(
+                $this->db->execute(QueryBuilder::buildGetAppliedMigrationsQuery())->fetchAll(),
+                'version'
+            ))
+        );
+        $next = empty($versions) ? 1 : max($versions) + 1;
+
+        for ($attempt = 0; $attempt < 10; $attempt++, $next++) {
+            $version = sprintf('%04d', $next);
+
+            if (!empty(glob("{$this->path}/{$version}_*"))) {
+                continue;
+            }
+
+            $handle = @fopen("{$this->path}/{$version}_{$name}.up.sql", 'x');
+
+            if ($handle === false) {
+                continue;
+            }
+
+            fwrite($handle, $contents['up']);
+            fclose($handle);
+            file_put_contents("{$this->path}/{$version}_{$name}.down.sql", $contents['down']);
+
+            return $version;
+        }
+
+        throw new \RuntimeException("Could not find a free migration version in '{$this->path}'");
+    }
+
+    /**
+     * Read the migrations in the migrations directory, ordered by version
+     *
+     * @return array Version => ['version', 'name', 'up_path', 'down_path']
+     */
+    private function readDirectory(): array
+    {
+        $files = [];
+
+        foreach (is_dir($this->path) ? scandir($this->path) : [] as $entry) {
+            if (!preg_match(self::UP_FILE_PATTERN, $entry, $matches)) {
+                continue;
+            }
+
+            $files[$matches[1]] = [
+                'version' => $matches[1],
+                'name' => $matches[2],
+                'up_path' => "{$this->path}/{$entry}",
+                'down_path' => "{$this->path}/{$matches[1]}_{$matches[2]}.down.sql"
+            ];
+        }
+
+        ksort($files, SORT_NUMERIC);
+
+        return $files;
+    }
+
+    /**
+     * Find a migration's files
+     *
+     * @param string $version Migration version
+     * @return array Migration files (see readDirectory())
+     * @throws NotFoundException
+     */
+    private function findFile(string $version): array
+    {
+        $file = $this->readDirectory()[$version] ?? null;
+
+        if ($file === null) {
+            throw new NotFoundException("Migration {$version} does not exist");
+        }
+
+        return $file;
+    }
+
+    /**
+     * Find a migration in schema_migrations
+     *
+     * @param string $version Migration version
+     * @return array|null schema_migrations row, or null when not applied
+     * @throws DatabaseException
+     */
+    private function findApplied(string $version): ?array
+    {
+        $row = $this->db->execute(QueryBuilder::buildGetAppliedMigrationQuery(), ['version' => $version])->fetch();
+
+        return $row ?: null;
+    }
+
+    /**
+     * Read a migration file
+     *
+     * @param string $path File path
+     * @return string File contents ('' when the file is missing)
+     */
+    private function readFile(string $path): string
+    {
+        return is_file($path) ? (string) file_get_contents($path) : '';
+    }
+
+    /**
+     * Check whether SQL contains anything besides comments and whitespace
+     *
+     * @param string $sql SQL script
+     * @return bool True if there is a statement to run
+     */
+    private function hasStatements(string $sql): bool
+    {
+        return trim(preg_replace('/^\s*--.*$/m', '', $sql)) !== '';
+    }
+
+    /**
+     * Convert migration files and their schema_migrations row into an API entry
+     *
+     * @param array $file Migration files (see readDirectory())
+     * @param array|null $applied schema_migrations row, or null when not applied
+     * @return array Migration with its SQL and status (applied_at is a Unix timestamp)
+     */
+    private function formatMigration(array $file, ?array $applied): array
+    {
+        $downSql = $this->readFile($file['down_path']);
+
+        return [
+            'version' => $file['version'],
+            'name' => $file['name'],
+            'status' => $applied !== null ? 'applied' : 'pending',
+            'applied_at' => $applied !== null ? (int) $applied['applied_at'] : null,
+            'applied_by' => $applied['applied_by'] ?? null,
+            'up_sql' => $this->readFile($file['up_path']),
+            'down_sql' => $downSql,
+            'reversible' => $this->hasStatements($downSql)
+        ];
+    }
+}
@@ -0,0 +1,189 @@
+<?php
+/**
+ * Query Service Class
+ *
+ * Runs ad-hoc SQL statements for the query console. Every statement runs
+ * inside its own transaction with a statement timeout, and is read-only
+ * unless writes are explicitly allowed.
+ *
+ * @package    Backend\Services
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Services;
+
+use Backend\Config\Config;
+use Backend\Exceptions\ValidationException;
+use Backend\Exceptions\DatabaseException;
+use Backend\Exceptions\BadRequestException;
+use Backend\Database\QueryBuilder;
+
+class QueryService extends BaseService
+{
+    /**
+     * Statements that would interfere with the wrapping transaction
+     */
+    private const TRANSACTION_CONTROL_PATTERN = '/^(BEGIN|START\s+TRANSACTION|COMMIT|END|ROLLBACK|ABORT|SAVEPOINT|RELEASE|SET\s+TRANSACTION|SET\s+SESSION)\b/i';
+
+    /**
+     * SQLSTATE classes caused by the submitted statement rather than the server
+     */
+    private const CLIENT_ERROR_CLASSES = ['0A', '21', '22', '23', '25', '2B', '42', '44', '57'];
+
+    /**
+     * Execute a single SQL statement
+     *
+     * @param string $sql SQL statement
+     * @param bool $allowWrite Whether the statement may modify data
+     * @return array Columns, rows, counts and timing
+     * @throws ValidationException|BadRequestException|DatabaseException
+     */
+    public function executeQuery(string $sql, bool $allowWrite = false): array
+    {
+        $this->log('execute_query_started', ['allow_write' => $allowWrite]);
+
+        $this->validate(['sql' => $sql], ['sql' => 'required|string'], 'query');
+
+        // A trailing semicolon is harmless, but PDO rejects multiple statements
+        $statement = rtrim(trim($sql), "; \t\n\r");
+
+        if (preg_match(self::TRANSACTION_CONTROL_PATTERN, $statement)) {
+            throw new ValidationException(
+                'Transaction control statements are not allowed; each query already runs in its own transaction'
+            );
+        }
+
+        $timeout = (int) Config::get('database.statement_timeout', 5000);
+        $maxRows = (int) Config::get('api.max_page_size', 1000);
+
+        try {
+            $result = $this->transaction(function ($db) use ($statement, $allowWrite, $timeout, $maxRows) {
+                if (!$allowWrite) {
+                    $db->execute(QueryBuilder::buildSetReadOnlyQuery());
+                }
+                $db->execute(QueryBuilder::buildSetStatementTimeoutQuery($timeout));
+
+                $startTime = microtime(true);
+                $stmt = $db->execute($statement);
+                $duration = microtime(true) - $startTime;
+
+                $columns = $this->getResultColumns($stmt);
+                $rows = [];
+                $truncated = false;
+
+                if (!empty($columns)) {
+                    while (($row = $stmt->fetch(\PDO::FETCH_NUM)) !== false) {
+                        if (count($rows) >= $maxRows) {
+                            $truncated = true;
+                            break;
+                        }
+                        $rows[] = array_combine(array_column($columns, 'column_name'), $row);
+                    }
+                }
+
+                return [
+                    'command' => $this->getCommandTag($statement),
+                    'columns' => $columns,
+                    'rows' => $rows,
+                    'row_count' => count($rows),
+                    'affected_rows' => empty($columns) ? $stmt->rowCount() : null,
+                    'truncated' => $truncated,
+                    'max_rows' => $maxRows,
+                    'duration_ms' => round($duration * 1000, 2),
+                    'read_only' => !$allowWrite,
+                    'statement_timeout_ms' => $timeout
+                ];
+            });
+
+            $this->log('execute_query_completed', [
+                'command' => $result['command'],
+                'duration_ms' => $result['duration_ms'],
+                'row_count' => $result['row_count']
+            ]);
+
+            return $result;
+        } catch (DatabaseException $e) {
+            $this->log('execute_query_failed', ['error' => $e->getMessage()], 'error');
+            throw $this->translateQueryError($e, $timeout);
+        }
+    }
+
+    /**
+     * Describe the columns of a result set
+     *
+     * Duplicate names (e.g. from joins) get a numeric suffix so rows can be keyed by name.
+     *
+     * @param \PDOStatement $stmt Executed statement
+     * @return array Columns as ['column_name' => ..., 'data_type' => ...]
+     */
+    private function getResultColumns(\PDOStatement $stmt): array
+    {
+        $columns = [];
+        $seen = [];
+
+        for ($index = 0; $index < $stmt->columnCount(); $index++) {
+            $meta = $stmt->getColumnMeta($index) ?: [];
+            $name = $meta['name'] ?? "column{$index}";
+
+            if (isset($seen[$name])) {
+                $seen[$name]++;
+                $name = "{$name}_{$seen[$name]}";
+            } else {
+                $seen[$name] = 1;
+            }
+
+            $columns[] = [
+                'column_name' => $name,
+                'data_type' => $meta['native_type'] ?? null
+            ];
+        }
+
+        return $columns;
+    }
+
+    /**
+     * Get the leading SQL keyword of a statement (SELECT, UPDATE, ...)
+     *
+     * @param string $statement SQL statement
+     * @return string Upper-case command keyword
+     */
+    private function getCommandTag(string $statement): string
+    {
+        preg_match('/^\s*([a-z]+)/i', $statement, $matches);
+        return strtoupper($matches[1] ?? 'UNKNOWN');
+    }
+
+    /**
+     * Turn errors caused by the statement itself into client errors
+     *
+     * @param DatabaseException $e Database exception
+     * @param int $timeout Statement timeout in milliseconds
+     * @return \Throwable Exception to throw
+     */
+    private function translateQueryError(DatabaseException $e, int $timeout): \Throwable
+    {
+        $sqlState = (string) ($e->getContext()['error_code'] ?? '');
+
+        if ($sqlState === '57014') {
+            return new BadRequestException(
+                "Query cancelled after exceeding the statement timeout of {$timeout} ms",
+                ['sqlstate' => $sqlState, 'statement_timeout_ms' => $timeout]
+            );
+        }
+
+        if ($sqlState === '25006') {
+            return new BadRequestException(
+                'Statement modifies data but the query ran in read-only mode; enable writes to run it',
+                ['sqlstate' => $sqlState]
+            );
+        }
+
+        if (in_array(substr($sqlState, 0, 2), self::CLIENT_ERROR_CLASSES, true)) {
+            return new BadRequestException($e->getMessage(), ['sqlstate' => $sqlState]);
+        }
+
+        return $e;
+    }
+}
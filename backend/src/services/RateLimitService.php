@@ -0,0 +1,103 @@
+<?php
+/**
+ * Rate Limit Service Class
+ *
+ * Counts API requests per client in fixed windows and reports how much of
+ * the quota is left. Clients are signed-in users, or the remote IP address
+ * for requests made without a session. Counters live in the `rate_limit`
+ * table, so every PHP worker shares them; the limit itself comes from the
+ * `rate_limit_*` settings (see ConfigService::getRateLimitSettings()).
+ *
+ * @package    Backend\Services
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Services;
+
+use Backend\Exceptions\DatabaseException;
+use Backend\Database\QueryBuilder;
+use Backend\Database\Connection;
+
+class RateLimitService extends BaseService
+{
+    /**
+     * Source of the rate limit settings
+     *
+     * @var ConfigService
+     */
+    private $configService;
+
+    /**
+     * RateLimitService constructor
+     *
+     * @param ConfigService|null $configService Config service
+     * @param Connection|null $db Database connection
+     */
+    public function __construct(?ConfigService $configService = null, ?Connection $db = null)
+    {
+        parent::__construct($db);
+        $this->configService = $configService ?? new ConfigService($db);
+    }
+
+    /**
+     * Count a request against a client's quota
+     *
+     * @param string $client Client key (see getClientKey())
+     * @return array|null {limit, remaining, reset (Unix timestamp), retry_after (seconds), limited: bool},
+     *                    or null when rate limiting is disabled
+     * @throws DatabaseException
+     */
+    public function hit(string $client): ?array
+    {
+        $settings = $this->configService->getRateLimitSettings();
+
+        if (!$settings['enabled']) {
+            return null;
+        }
+
+        $now = time();
+        $windowStart = $now - ($now % $settings['window']);
+
+        try {
+            $hits = (int) $this->db->execute(QueryBuilder::buildHitRateLimitQuery(), [
+                'client' => $client,
+                'window_start' => $windowStart
+            ])->fetch()['hits'];
+        } catch (\Throwable $e) {
+            $this->log('rate_limit_hit_failed', ['client' => $client, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to count request: ' . $e->getMessage());
+        }
+
+        $reset = $windowStart + $settings['window'];
+        $limited = $hits > $settings['requests'];
+
+        if ($limited) {
+            $this->log('rate_limit_exceeded', ['client' => $client, 'hits' => $hits], 'warning');
+        }
+
+        return [
+            'limit' => $settings['requests'],
+            'remaining' => max(0, $settings['requests'] - $hits),
+            'reset' => $reset,
+            'retry_after' => max(1, $reset - $now),
+            'limited' => $limited
+        ];
+    }
+
+    /**
+     * Get the key a request is counted under
+     *
+     * @param array|null $user Signed-in user (AuthService::getCurrentUser())
+     * @return string 'user:<id>', or 'ip:<address>' without a session
+     */
+    public static function getClientKey(?array $user): string
+    {
+        if ($user !== null) {
+            return 'user:' . $user['id'];
+        }
+
+        return 'ip:' . ($_SERVER['REMOTE_ADDR'] ?? 'unknown');
+    }
+}
@@ -5,6 +5,14 @@
  * Handles all table-related business logic including creation, deletion,
  * structure management, and data operations.
  * 
+ * Results of schema changes carry, next to the executed `sql`, a
+ * `rollback_sql` that undoes the change, or null when it can't be undone
+ * by SQL alone (a dropped table). MigrationService turns the pair into
+ * migrations.
+ * 
+ * Dropped tables and columns go to the trash first (see TrashService), so
+ * on this database they can still be restored until the trash is purged.
+ * 
  * @package    Backend\Services
  * @author     Your Team
  * @version    1.0.0
@@ -17,10 +25,24 @@ use Backend\Exceptions\ValidationException;
 use Backend\Exceptions\DatabaseException;
 use Backend\Exceptions\NotFoundException;
 use Backend\Exceptions\ConflictException;
+use Backend\Exceptions\BadRequestException;
+use Backend\Database\Connection;
 use Backend\Database\QueryBuilder;
+use Backend\Database\DatabaseValidator;
 
 class TableService extends BaseService
 {
+    /**
+     * SQLSTATE classes caused by the requested change rather than the server
+     * (data exceptions, integrity violations, syntax/access rule violations)
+     */
+    private const DDL_CLIENT_ERROR_CLASSES = ['22', '23', '42'];
+
+    /**
+     * Maximum number of rows accepted by a single import
+     */
+    private const MAX_IMPORT_ROWS = 10000;
+
     /**
      * Valid PostgreSQL data types
      */
@@ -45,6 +67,25 @@ class TableService extends BaseService
         'UUID'
     ];
 
+    /**
+     * Trash service instance
+     * 
+     * @var TrashService
+     */
+    private $trashService;
+
+    /**
+     * TableService constructor
+     * 
+     * @param TrashService|null $trashService Trash service instance
+     * @param Connection|null $db Database connection
+     */
+    public function __construct(?TrashService $trashService = null, ?Connection $db = null)
+    {
+        parent::__construct($db);
+        $this->trashService = $trashService ?? new TrashService(null, $db);
+    }
+
     /**
      * Get list of all tables in the database
      * 
@@ -70,30 +111,91 @@ class TableService extends BaseService
         }
     }
 
+    /**
+     * Get the columns of every table and the foreign keys between them
+     * 
+     * Used to draw the entity-relationship diagram in one request.
+     * 
+     * @return array Tables with their columns, and foreign key relationships
+     * @throws DatabaseException
+     */
+    public function getDatabaseSchema(): array
+    {
+        try {
+            $this->log('get_database_schema_started');
+
+            $tables = [];
+            foreach ($this->getAllTables() as $table) {
+                $tables[$table['table_name']] = [
+                    'table_name' => $table['table_name'],
+                    'columns' => []
+                ];
+            }
+
+            $stmt = $this->db->execute(QueryBuilder::buildGetAllTableColumnsQuery());
+            foreach ($stmt->fetchAll() as $column) {
+                if (!isset($tables[$column['table_name']])) {
+                    continue;
+                }
+
+                $tableName = $column['table_name'];
+                unset($column['table_name']);
+                $tables[$tableName]['columns'][] = $column;
+            }
+
+            $stmt = $this->db->execute(QueryBuilder::buildGetAllForeignKeysQuery());
+            $relationships = array_map(function (array $foreignKey) {
+                $foreignKey['columns'] = json_decode($foreignKey['columns'] ?? 'null', true) ?: [];
+                $foreignKey['referenced_columns'] = json_decode($foreignKey['referenced_columns'] ?? 'null', true) ?: [];
+                return $foreignKey;
+            }, $stmt->fetchAll());
+
+            $this->log('get_database_schema_completed', [
+                'table_count' => count($tables),
+                'relationship_count' => count($relationships)
+            ]);
+
+            return [
+                'tables' => array_values($tables),
+                'relationships' => $relationships
+            ];
+        } catch (\Throwable $e) {
+            $this->log('get_database_schema_failed', ['error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to retrieve database schema: ' . $e->getMessage());
+        }
+    }
+
     /**
      * Create a new table
      * 
      * @param string $tableName Table name
      * @param array $columns Array of column definitions
+     * @param array $constraints Foreign key, UNIQUE and CHECK constraint definitions
      * @return array Creation result with SQL
-     * @throws ValidationException|DatabaseException|ConflictException
+     * @throws ValidationException|DatabaseException|ConflictException|BadRequestException
      */
-    public function createTable(string $tableName, array $columns): array
+    public function createTable(string $tableName, array $columns, array $constraints = []): array
     {
-        $this->log('create_table_started', ['table' => $tableName, 'columns' => count($columns)]);
+        $this->log('create_table_started', [
+            'table' => $tableName,
+            'columns' => count($columns),
+            'constraints' => count($constraints)
+        ]);
 
         // Validate input
         $this->validateTableCreation($tableName, $columns);
+        $this->validateConstraints($tableName, $constraints, array_column($columns, 'name'));
 
         // Check if table already exists
         if ($this->tableExists($tableName)) {
             throw new ConflictException("Table '{$tableName}' already exists");
         }
 
+        $sql = QueryBuilder::buildCreateTableQuery($tableName, $columns, $constraints);
+
         try {
-            return $this->transaction(function () use ($tableName, $columns) {
-                // Build and execute CREATE TABLE query
-                $sql = QueryBuilder::buildCreateTableQuery($tableName, $columns);
+            return $this->transaction(function () use ($tableName, $columns, $constraints, $sql) {
+                // Execute CREATE TABLE query
                 $this->db->execute($sql);
 
                 $this->log('create_table_completed', ['table' => $tableName, 'sql' => $sql]);
@@ -101,9 +203,18 @@ class TableService extends BaseService
                 return [
                     'table_name' => $tableName,
                     'sql' => $sql,
-                    'columns' => $columns
+                    'rollback_sql' => QueryBuilder::buildDropTableQuery($tableName),
+                    'columns' => $columns,
+                    'constraints' => $constraints
                 ];
             });
+        } catch (DatabaseException $e) {
+            $this->log('create_table_failed', [
+                'table' => $tableName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw $this->translateDdlError($e, 'Failed to create table', $sql);
         } catch (\Throwable $e) {
             $this->log('create_table_failed', [
                 'table' => $tableName,
@@ -117,10 +228,16 @@ class TableService extends BaseService
     /**
      * Drop a table
      * 
+     * The table is moved to the trash rather than destroyed. As with DROP
+     * TABLE, foreign keys in other tables referencing it are dropped when
+     * cascading (and added back if the table is restored) and make the drop
+     * fail otherwise. The returned `sql` is the
+     * equivalent DROP TABLE, which is what migrations replay elsewhere.
+     * 
      * @param string $tableName Table name
      * @param bool $cascade Whether to cascade the drop
-     * @return array Deletion result
-     * @throws NotFoundException|DatabaseException
+     * @return array Deletion result with the id of the `trash_item`
+     * @throws NotFoundException|ConflictException|DatabaseException
      */
     public function dropTable(string $tableName, bool $cascade = false): array
     {
@@ -134,17 +251,50 @@ class TableService extends BaseService
             throw new NotFoundException("Table '{$tableName}' does not exist");
         }
 
+        $query = QueryBuilder::buildGetReferencingConstraintsQuery();
+        $referencedBy = $this->db->execute($query, ['table_name' => $tableName])->fetchAll();
+
+        if (!empty($referencedBy) && !$cascade) {
+            throw new ConflictException(
+                "Cannot drop table '{$tableName}': other tables reference it. Drop with cascade to remove their foreign keys",
+                ['referenced_by' => $referencedBy]
+            );
+        }
+
+        $this->trashService->purgeExpired();
+
         try {
-            return $this->transaction(function () use ($tableName, $cascade) {
-                // Build and execute DROP TABLE query
+            return $this->transaction(function () use ($tableName, $cascade, $referencedBy) {
+                // Keep the definitions so restoring the table adds the foreign keys back
+                $foreignKeys = [];
+                foreach ($referencedBy as $foreignKey) {
+                    $definition = $this->db->execute(QueryBuilder::buildGetConstraintDefinitionQuery(), [
+                        'table_name' => $foreignKey['table_name'],
+                        'constraint_name' => $foreignKey['constraint_name']
+                    ])->fetch()['definition'];
+
+                    $this->db->execute(QueryBuilder::buildDropConstraintQuery(
+                        $foreignKey['table_name'],
+                        $foreignKey['constraint_name']
+                    ));
+
+                    $foreignKeys[] = [
+                        'table_name' => $foreignKey['table_name'],
+                        'constraint_name' => $foreignKey['constraint_name'],
+                        'definition' => $definition
+                    ];
+                }
+
+                $trashItem = $this->trashService->trashTable($tableName, $foreignKeys);
                 $sql = QueryBuilder::buildDropTableQuery($tableName, $cascade);
-                $this->db->execute($sql);
 
-                $this->log('drop_table_completed', ['table' => $tableName]);
+                $this->log('drop_table_completed', ['table' => $tableName, 'trash_item' => $trashItem]);
 
                 return [
                     'table_name' => $tableName,
-                    'sql' => $sql
+                    'sql' => $sql,
+                    'rollback_sql' => null,
+                    'trash_item' => $trashItem
                 ];
             });
         } catch (\Throwable $e) {
@@ -158,44 +308,47 @@ class TableService extends BaseService
     }
 
     /**
-     * Get table data with pagination
+     * Get table data with pagination, sorting, filtering and search
+     * 
+     * Supported options:
+     * - sort: column to order by
+     * - direction: 'asc' or 'desc'
+     * - filters: column => ['eq' => x, 'contains' => x, 'min' => x, 'max' => x]
+     * - search: text matched case-insensitively against every column
      * 
      * @param string $tableName Table name
      * @param int $limit Number of rows to return
      * @param int $offset Number of rows to skip
+     * @param array $options Sorting, filtering and search options
      * @return array Table data with metadata
-     * @throws NotFoundException|DatabaseException
+     * @throws ValidationException|NotFoundException|DatabaseException
      */
-    public function getTableData(string $tableName, int $limit = 50, int $offset = 0): array
+    public function getTableData(string $tableName, int $limit = 50, int $offset = 0, array $options = []): array
     {
         $this->log('get_table_data_started', [
             'table' => $tableName,
             'limit' => $limit,
-            'offset' => $offset
+            'offset' => $offset,
+            'options' => $options
         ]);
 
-        // Validate table name
-        $this->validateTableName($tableName);
-
-        // Check if table exists
-        if (!$this->tableExists($tableName)) {
-            throw new NotFoundException("Table '{$tableName}' does not exist");
-        }
+        [
+            'columns' => $columns,
+            'where' => $where,
+            'search' => $search,
+            'order_by' => $orderBy
+        ] = $this->resolveDataQuery($tableName, $options);
 
         try {
-            // Get table structure
-            $columns = $this->getTableColumns($tableName);
+            $params = QueryBuilder::buildWhereParams($where, $search);
 
-            // Get total count
-            $totalRows = $this->getTableRowCount($tableName);
+            // Get total count of matching rows
+            $countQuery = QueryBuilder::buildCountQuery($tableName, $where, $search);
+            $totalRows = (int) $this->db->execute($countQuery, $params)->fetch()['total'];
 
             // Get table data
-            $dataQuery = QueryBuilder::buildGetTableDataQuery($tableName);
-            $stmt = $this->db->execute($dataQuery, [
-                'limit' => $limit,
-                'offset' => $offset
-            ]);
-            $rows = $stmt->fetchAll();
+            $dataQuery = QueryBuilder::buildSelectQuery($tableName, [], $where, $orderBy, $limit, $offset, $search);
+            $rows = $this->db->execute($dataQuery, $params)->fetchAll();
 
             $result = [
                 'table_name' => $tableName,
@@ -204,7 +357,10 @@ class TableService extends BaseService
                 'total_rows' => $totalRows,
                 'current_page' => floor($offset / $limit) + 1,
                 'per_page' => $limit,
-                'has_more' => ($offset + $limit) < $totalRows
+                'has_more' => ($offset + $limit) < $totalRows,
+                'sort' => $orderBy,
+                'filters' => $where,
+                'search' => $search['term']
             ];
 
             $this->log('get_table_data_completed', [
@@ -224,6 +380,86 @@ class TableService extends BaseService
         }
     }
 
+    /**
+     * Prepare an export of table data
+     * 
+     * Validates the table and query options up front so problems are still
+     * reported as a normal error response before the export stream starts.
+     * 
+     * @param string $tableName Table name
+     * @param array $options Sort, direction, search and filters (as for getTableData)
+     * @return array Export plan with column names, SQL and parameters
+     * @throws ValidationException|NotFoundException
+     */
+    public function prepareExport(string $tableName, array $options = []): array
+    {
+        $this->log('prepare_export_started', ['table' => $tableName, 'options' => $options]);
+
+        [
+            'columns' => $columns,
+            'where' => $where,
+            'search' => $search,
+            'order_by' => $orderBy
+        ] = $this->resolveDataQuery($tableName, $options);
+
+        return [
+            'table_name' => $tableName,
+            'columns' => array_column($columns, 'column_name'),
+            'sql' => QueryBuilder::buildSelectQuery($tableName, [], $where, $orderBy, null, null, $search),
+            'params' => QueryBuilder::buildWhereParams($where, $search)
+        ];
+    }
+
+    /**
+     * Stream the rows of a prepared export in batches
+     * 
+     * Rows are read through a server-side cursor, so only one batch is held
+     * in memory at a time regardless of table size.
+     * 
+     * @param array $export Export plan from prepareExport()
+     * @param callable $onRows Receives each batch of rows
+     * @param int $batchSize Rows per batch
+     * @return int Number of rows exported
+     * @throws DatabaseException
+     */
+    public function streamExport(array $export, callable $onRows, int $batchSize = 500): int
+    {
+        $this->log('stream_export_started', ['table' => $export['table_name']]);
+
+        try {
+            $totalRows = $this->transaction(function ($db) use ($export, $onRows, $batchSize) {
+                $db->execute(QueryBuilder::buildDeclareCursorQuery('export_cursor', $export['sql']), $export['params']);
+                $fetchQuery = QueryBuilder::buildFetchCursorQuery('export_cursor', $batchSize);
+                $totalRows = 0;
+
+                do {
+                    $rows = $db->execute($fetchQuery)->fetchAll();
+
+                    if (!empty($rows)) {
+                        $onRows($rows);
+                        $totalRows += count($rows);
+                    }
+                } while (count($rows) === $batchSize);
+
+                return $totalRows;
+            });
+
+            $this->log('stream_export_completed', [
+                'table' => $export['table_name'],
+                'rows_exported' => $totalRows
+            ]);
+
+            return $totalRows;
+        } catch (\Throwable $e) {
+            $this->log('stream_export_failed', [
+                'table' => $export['table_name'],
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw new DatabaseException('Failed to export table data: ' . $e->getMessage());
+        }
+    }
+
     /**
      * Get detailed table schema information
      * 
@@ -342,7 +578,8 @@ class TableService extends BaseService
                 return [
                     'table_name' => $tableName,
                     'column_name' => $columnName,
-                    'sql' => $sql
+                    'sql' => $sql,
+                    'rollback_sql' => QueryBuilder::buildDropColumnQuery($tableName, $columnName)
                 ];
             });
         } catch (\Throwable $e) {
@@ -359,10 +596,13 @@ class TableService extends BaseService
     /**
      * Drop a column from an existing table
      * 
+     * The column's definition, and its values when the table has a
+     * single-column primary key to match them back by, go to the trash first.
+     * 
      * @param string $tableName Table name
      * @param string $columnName Column name
      * @param bool $cascade Whether to cascade the drop
-     * @return array Operation result
+     * @return array Operation result with the id of the `trash_item`
      * @throws ValidationException|NotFoundException|DatabaseException
      */
     public function dropColumn(string $tableName, string $columnName, bool $cascade = false): array
@@ -393,8 +633,26 @@ class TableService extends BaseService
             throw new ValidationException("Cannot drop the last column from table '{$tableName}'");
         }
 
+        $this->trashService->purgeExpired();
+
         try {
             return $this->transaction(function () use ($tableName, $columnName, $cascade) {
+                // Re-adding the column restores its definition, not its values
+                $rollbackSql = $this->buildRestoreColumnQuery($tableName, $columnName);
+
+                $column = $this->getColumnDefinition($tableName, $columnName);
+                $primaryKeys = array_column(
+                    $this->db->execute(QueryBuilder::buildGetPrimaryKeyQuery(), ['table_name' => $tableName])->fetchAll(),
+                    'column_name'
+                );
+                $keyColumn = count($primaryKeys) === 1 && $primaryKeys[0] !== $columnName ? $primaryKeys[0] : null;
+
+                $trashItem = $this->trashService->trashColumn($tableName, $columnName, [
+                    'type' => $column['column_type'],
+                    'nullable' => $column['is_nullable'],
+                    'default' => $column['column_default']
+                ], $keyColumn);
+
                 // Build and execute DROP COLUMN query
                 $sql = QueryBuilder::buildDropColumnQuery($tableName, $columnName, $cascade);
                 $this->db->execute($sql);
@@ -402,13 +660,16 @@ class TableService extends BaseService
                 $this->log('drop_column_completed', [
                     'table' => $tableName,
                     'column' => $columnName,
-                    'sql' => $sql
+                    'sql' => $sql,
+                    'trash_item' => $trashItem
                 ]);
 
                 return [
                     'table_name' => $tableName,
                     'column_name' => $columnName,
-                    'sql' => $sql
+                    'sql' => $sql,
+                    'rollback_sql' => $rollbackSql,
+                    'trash_item' => $trashItem
                 ];
             });
         } catch (\Throwable $e) {
@@ -423,117 +684,973 @@ class TableService extends BaseService
     }
 
     /**
-     * Check if table exists
+     * Rename a table
      * 
-     * @param string $tableName Table name
-     * @return bool True if table exists
+     * @param string $tableName Current table name
+     * @param string $newTableName New table name
+     * @param bool $preview Return the generated DDL without executing it
+     * @return array Operation result with the generated SQL
+     * @throws ValidationException|NotFoundException|ConflictException|BadRequestException|DatabaseException
      */
-    public function tableExists(string $tableName): bool
+    public function renameTable(string $tableName, string $newTableName, bool $preview = false): array
     {
+        $newTableName = trim($newTableName);
+
+        $this->log('rename_table_started', [
+            'table' => $tableName,
+            'new_name' => $newTableName,
+            'preview' => $preview
+        ]);
+
+        // Validate inputs
+        $this->validateTableName($tableName);
+        $this->assertValid(DatabaseValidator::validateRename($tableName, $newTableName, 'table'));
+
+        // Check if table exists
+        if (!$this->tableExists($tableName)) {
+            throw new NotFoundException("Table '{$tableName}' does not exist");
+        }
+
+        // Check the new name is free
+        if ($this->tableExists($newTableName)) {
+            throw new ConflictException("Table '{$newTableName}' already exists");
+        }
+
+        $sql = QueryBuilder::buildRenameTableQuery($tableName, $newTableName);
+        $result = [
+            'table_name' => $tableName,
+            'new_table_name' => $newTableName,
+            'statements' => [$sql],
+            'sql' => $sql,
+            'rollback_sql' => QueryBuilder::buildRenameTableQuery($newTableName, $tableName),
+            'preview' => $preview
+        ];
+
+        if ($preview) {
+            return $result;
+        }
+
         try {
-            $query = QueryBuilder::buildTableExistsQuery();
-            $stmt = $this->db->execute($query, ['table_name' => $tableName]);
-            return $stmt->fetch()['count'] > 0;
+            return $this->transaction(function () use ($tableName, $newTableName, $sql, $result) {
+                $this->db->execute($sql);
+
+                $this->log('rename_table_completed', [
+                    'table' => $tableName,
+                    'new_name' => $newTableName,
+                    'sql' => $sql
+                ]);
+
+                return $result;
+            });
+        } catch (DatabaseException $e) {
+            $this->log('rename_table_failed', [
+                'table' => $tableName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw $this->translateDdlError($e, 'Failed to rename table', $sql);
         } catch (\Throwable $e) {
-            $this->log('table_exists_check_failed', [
+            $this->log('rename_table_failed', [
                 'table' => $tableName,
                 'error' => $e->getMessage()
             ], 'error');
-            return false;
+
+            throw new DatabaseException('Failed to rename table: ' . $e->getMessage());
         }
     }
 
     /**
-     * Check if column exists in table
+     * Alter an existing column
+     * 
+     * Supported changes (all optional, at least one required):
+     * - type: new data type, with an optional 'using' cast expression
+     * - nullable: true to DROP NOT NULL, false to SET NOT NULL
+     * - defaultValue: literal default, quoted before use
+     * - defaultExpression: SQL expression default (e.g. now())
+     * - dropDefault: true to remove the current default
+     * - newName: new column name, applied last
      * 
      * @param string $tableName Table name
      * @param string $columnName Column name
-     * @return bool True if column exists
+     * @param array $changes Requested changes
+     * @param bool $preview Return the generated DDL without executing it
+     * @return array Operation result with the generated statements
+     * @throws ValidationException|NotFoundException|ConflictException|BadRequestException|DatabaseException
      */
-    public function columnExists(string $tableName, string $columnName): bool
+    public function alterColumn(string $tableName, string $columnName, array $changes, bool $preview = false): array
     {
+        $this->log('alter_column_started', [
+            'table' => $tableName,
+            'column' => $columnName,
+            'changes' => array_keys($changes),
+            'preview' => $preview
+        ]);
+
+        // Validate inputs
+        $this->validateTableName($tableName);
+        $this->validateColumnName($columnName);
+
+        // Check if table exists
+        if (!$this->tableExists($tableName)) {
+            throw new NotFoundException("Table '{$tableName}' does not exist");
+        }
+
+        // Check if column exists
+        if (!$this->columnExists($tableName, $columnName)) {
+            throw new NotFoundException("Column '{$columnName}' does not exist in table '{$tableName}'");
+        }
+
+        $statements = $this->buildAlterColumnStatements($tableName, $columnName, $changes);
+        $newColumnName = isset($changes['newName']) ? trim($changes['newName']) : $columnName;
+        $sql = implode(";\n", $statements);
+        $result = [
+            'table_name' => $tableName,
+            'column_name' => $columnName,
+            'new_column_name' => $newColumnName,
+            'statements' => $statements,
+            'sql' => $sql,
+            'rollback_sql' => $this->buildRevertColumnStatements($tableName, $columnName, $newColumnName, $changes),
+            'preview' => $preview
+        ];
+
+        if ($preview) {
+            return $result;
+        }
+
         try {
-            $query = QueryBuilder::buildColumnExistsQuery();
-            $stmt = $this->db->execute($query, [
-                'table_name' => $tableName,
-                'column_name' => $columnName
-            ]);
-            return $stmt->fetch()['count'] > 0;
+            return $this->transaction(function () use ($tableName, $columnName, $statements, $sql, $result) {
+                foreach ($statements as $statement) {
+                    $this->db->execute($statement);
+                }
+
+                $this->log('alter_column_completed', [
+                    'table' => $tableName,
+                    'column' => $columnName,
+                    'sql' => $sql
+                ]);
+
+                return $result;
+            });
+        } catch (DatabaseException $e) {
+            $this->log('alter_column_failed', [
+                'table' => $tableName,
+                'column' => $columnName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw $this->translateDdlError($e, 'Failed to alter column', $sql);
         } catch (\Throwable $e) {
-            $this->log('column_exists_check_failed', [
+            $this->log('alter_column_failed', [
                 'table' => $tableName,
                 'column' => $columnName,
                 'error' => $e->getMessage()
             ], 'error');
-            return false;
+
+            throw new DatabaseException('Failed to alter column: ' . $e->getMessage());
         }
     }
 
     /**
-     * Validate table creation request
+     * Get the indexes of a table
      * 
      * @param string $tableName Table name
-     * @param array $columns Column definitions
-     * @throws ValidationException
+     * @return array Indexes with columns, method, uniqueness, predicate and size
+     * @throws ValidationException|NotFoundException|DatabaseException
      */
-    private function validateTableCreation(string $tableName, array $columns): void
+    public function getTableIndexes(string $tableName): array
     {
+        $this->log('get_table_indexes_started', ['table' => $tableName]);
+
         // Validate table name
         $this->validateTableName($tableName);
 
-        // Validate columns array
-        if (empty($columns)) {
-            throw new ValidationException('At least one column is required');
+        // Check if table exists
+        if (!$this->tableExists($tableName)) {
+            throw new NotFoundException("Table '{$tableName}' does not exist");
         }
 
-        $columnNames = [];
-        $primaryKeyCount = 0;
+        try {
+            $query = QueryBuilder::buildGetTableIndexesQuery();
+            $stmt = $this->db->execute($query, ['table_name' => $tableName]);
 
-        foreach ($columns as $index => $column) {
-            $this->validateColumnDefinition($column, $index + 1);
+            $indexes = array_map(function (array $index) {
+                $index['columns'] = json_decode($index['columns'], true) ?: [];
+                $index['size_bytes'] = (int) $index['size_bytes'];
+                return $index;
+            }, $stmt->fetchAll());
 
-            // Check for duplicate column names
-            $columnName = strtolower(trim($column['name']));
-            if (in_array($columnName, $columnNames)) {
-                throw new ValidationException("Duplicate column name: '{$column['name']}'");
-            }
-            $columnNames[] = $columnName;
+            $this->log('get_table_indexes_completed', [
+                'table' => $tableName,
+                'index_count' => count($indexes)
+            ]);
 
-            // Count primary keys
-            if (isset($column['isPrimary']) && $column['isPrimary']) {
-                $primaryKeyCount++;
-            }
+            return [
+                'table_name' => $tableName,
+                'indexes' => $indexes
+            ];
+        } catch (\Throwable $e) {
+            $this->log('get_table_indexes_failed', [
+                'table' => $tableName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw new DatabaseException('Failed to retrieve table indexes: ' . $e->getMessage());
         }
     }
 
     /**
-     * Validate table name
+     * Create an index on a table
      * 
      * @param string $tableName Table name
-     * @throws ValidationException
+     * @param array $index Index definition: columns (required), name, unique, method, where
+     * @param bool $preview Return the generated DDL without executing it
+     * @return array Operation result with the generated SQL
+     * @throws ValidationException|NotFoundException|ConflictException|BadRequestException|DatabaseException
      */
-    private function validateTableName(string $tableName): void
+    public function createIndex(string $tableName, array $index, bool $preview = false): array
     {
-        $rules = [
-            'tableName' => 'required|string|min:1|max:63|regex:/^[a-zA-Z_][a-zA-Z0-9_]*$/'
-        ];
+        $this->log('create_index_started', [
+            'table' => $tableName,
+            'index' => $index['name'] ?? null,
+            'preview' => $preview
+        ]);
 
-        $this->validate(['tableName' => $tableName], $rules, 'table name');
-    }
+        // Validate inputs
+        $this->validateTableName($tableName);
+        $this->assertValid(DatabaseValidator::validateIndexDefinition($index));
 
-    /**
-     * Validate column name
-     * 
-     * @param string $columnName Column name
-     * @throws ValidationException
-     */
+        // Check if table exists
+        if (!$this->tableExists($tableName)) {
+            throw new NotFoundException("Table '{$tableName}' does not exist");
+        }
+
+        $columns = array_values(array_map('strval', $index['columns']));
+        $missingColumns = array_diff($columns, array_column($this->getTableColumns($tableName), 'column_name'));
+        if (!empty($missingColumns)) {
+            throw new ValidationException(
+                'Unknown column(s) in index: ' . implode(', ', $missingColumns),
+                ['columns' => array_values($missingColumns)]
+            );
+        }
+
+        $indexName = trim($index['name'] ?? '') ?: $this->buildIndexName($tableName, $columns);
+        if ($this->relationExists($indexName)) {
+            throw new ConflictException("A table or index named '{$indexName}' already exists");
+        }
+
+        $sql = QueryBuilder::buildCreateIndexQuery(
+            $tableName,
+            $indexName,
+            $columns,
+            !empty($index['unique']),
+            strtolower($index['method'] ?? 'btree'),
+            $index['where'] ?? null
+        );
+        $result = [
+            'table_name' => $tableName,
+            'index_name' => $indexName,
+            'statements' => [$sql],
+            'sql' => $sql,
+            'rollback_sql' => QueryBuilder::buildDropIndexQuery($indexName),
+            'preview' => $preview
+        ];
+
+        if ($preview) {
+            return $result;
+        }
+
+        try {
+            return $this->transaction(function () use ($tableName, $indexName, $sql, $result) {
+                $this->db->execute($sql);
+
+                $this->log('create_index_completed', [
+                    'table' => $tableName,
+                    'index' => $indexName,
+                    'sql' => $sql
+                ]);
+
+                return $result;
+            });
+        } catch (DatabaseException $e) {
+            $this->log('create_index_failed', [
+                'table' => $tableName,
+                'index' => $indexName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw $this->translateDdlError($e, 'Failed to create index', $sql);
+        } catch (\Throwable $e) {
+            $this->log('create_index_failed', [
+                'table' => $tableName,
+                'index' => $indexName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw new DatabaseException('Failed to create index: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Drop an index from a table
+     * 
+     * Indexes backing a PRIMARY KEY or UNIQUE constraint cannot be dropped directly.
+     * 
+     * @param string $tableName Table name
+     * @param string $indexName Index name
+     * @return array Operation result
+     * @throws ValidationException|NotFoundException|DatabaseException
+     */
+    public function dropIndex(string $tableName, string $indexName): array
+    {
+        $this->log('drop_index_started', [
+            'table' => $tableName,
+            'index' => $indexName
+        ]);
+
+        // Validate inputs
+        $this->validateTableName($tableName);
+        $this->validateIndexName($indexName);
+
+        // Check if table exists
+        if (!$this->tableExists($tableName)) {
+            throw new NotFoundException("Table '{$tableName}' does not exist");
+        }
+
+        $existing = array_values(array_filter(
+            $this->getTableIndexes($tableName)['indexes'],
+            function (array $index) use ($indexName) {
+                return $index['index_name'] === $indexName;
+            }
+        ));
+
+        if (empty($existing)) {
+            throw new NotFoundException("Index '{$indexName}' does not exist on table '{$tableName}'");
+        }
+
+        if ($existing[0]['constraint_name'] !== null) {
+            throw new ValidationException(
+                "Index '{$indexName}' backs constraint '{$existing[0]['constraint_name']}'; drop the constraint instead",
+                ['constraint_name' => $existing[0]['constraint_name']]
+            );
+        }
+
+        // pg_indexes.indexdef is the complete CREATE INDEX statement
+        $rollbackSql = $existing[0]['definition'];
+
+        try {
+            return $this->transaction(function () use ($tableName, $indexName, $rollbackSql) {
+                $sql = QueryBuilder::buildDropIndexQuery($indexName);
+                $this->db->execute($sql);
+
+                $this->log('drop_index_completed', [
+                    'table' => $tableName,
+                    'index' => $indexName,
+                    'sql' => $sql
+                ]);
+
+                return [
+                    'table_name' => $tableName,
+                    'index_name' => $indexName,
+                    'sql' => $sql,
+                    'rollback_sql' => $rollbackSql
+                ];
+            });
+        } catch (\Throwable $e) {
+            $this->log('drop_index_failed', [
+                'table' => $tableName,
+                'index' => $indexName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw new DatabaseException('Failed to drop index: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Get the constraints of a table
+     * 
+     * @param string $tableName Table name
+     * @return array Constraints of the table and foreign keys in other tables referencing it
+     * @throws ValidationException|NotFoundException|DatabaseException
+     */
+    public function getTableConstraints(string $tableName): array
+    {
+        $this->log('get_table_constraints_started', ['table' => $tableName]);
+
+        // Validate table name
+        $this->validateTableName($tableName);
+
+        // Check if table exists
+        if (!$this->tableExists($tableName)) {
+            throw new NotFoundException("Table '{$tableName}' does not exist");
+        }
+
+        try {
+            $query = QueryBuilder::buildGetTableConstraintsQuery();
+            $stmt = $this->db->execute($query, ['table_name' => $tableName]);
+
+            $constraints = array_map(function (array $constraint) {
+                $constraint['columns'] = json_decode($constraint['columns'] ?? 'null', true) ?: [];
+                $constraint['referenced_columns'] = json_decode($constraint['referenced_columns'] ?? 'null', true) ?: [];
+                return $constraint;
+            }, $stmt->fetchAll());
+
+            $query = QueryBuilder::buildGetReferencingConstraintsQuery();
+            $referencedBy = $this->db->execute($query, ['table_name' => $tableName])->fetchAll();
+
+            $this->log('get_table_constraints_completed', [
+                'table' => $tableName,
+                'constraint_count' => count($constraints)
+            ]);
+
+            return [
+                'table_name' => $tableName,
+                'constraints' => $constraints,
+                'referenced_by' => $referencedBy
+            ];
+        } catch (\Throwable $e) {
+            $this->log('get_table_constraints_failed', [
+                'table' => $tableName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw new DatabaseException('Failed to retrieve table constraints: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Add a foreign key, UNIQUE or CHECK constraint to a table
+     * 
+     * @param string $tableName Table name
+     * @param array $constraint Constraint definition
+     * @param bool $preview Return the generated DDL without executing it
+     * @return array Operation result with the generated SQL
+     * @throws ValidationException|NotFoundException|BadRequestException|DatabaseException
+     */
+    public function addConstraint(string $tableName, array $constraint, bool $preview = false): array
+    {
+        $this->log('add_constraint_started', [
+            'table' => $tableName,
+            'type' => $constraint['type'] ?? null,
+            'preview' => $preview
+        ]);
+
+        // Validate table name
+        $this->validateTableName($tableName);
+
+        // Check if table exists
+        if (!$this->tableExists($tableName)) {
+            throw new NotFoundException("Table '{$tableName}' does not exist");
+        }
+
+        $tableColumns = array_column($this->getTableColumns($tableName), 'column_name');
+        $this->validateConstraints($tableName, [$constraint], $tableColumns);
+
+        $sql = QueryBuilder::buildAddConstraintQuery($tableName, $constraint);
+        $constraintName = trim($constraint['name'] ?? '') ?: null;
+        $result = [
+            'table_name' => $tableName,
+            'constraint_name' => $constraintName,
+            'statements' => [$sql],
+            'sql' => $sql,
+            'rollback_sql' => $constraintName !== null
+                ? QueryBuilder::buildDropConstraintQuery($tableName, $constraintName)
+                : null,
+            'preview' => $preview
+        ];
+
+        if ($preview) {
+            return $result;
+        }
+
+        $existingNames = $constraintName === null
+            ? array_column($this->getTableConstraints($tableName)['constraints'], 'constraint_name')
+            : [];
+
+        try {
+            return $this->transaction(function () use ($tableName, $sql, $result, $existingNames) {
+                $this->db->execute($sql);
+
+                // Without a name PostgreSQL picked one; find it to be able to drop the constraint again
+                if ($result['constraint_name'] === null) {
+                    $added = array_values(array_diff(
+                        array_column($this->getTableConstraints($tableName)['constraints'], 'constraint_name'),
+                        $existingNames
+                    ));
+
+                    if (count($added) === 1) {
+                        $result['constraint_name'] = $added[0];
+                        $result['rollback_sql'] = QueryBuilder::buildDropConstraintQuery($tableName, $added[0]);
+                    }
+                }
+
+                $this->log('add_constraint_completed', [
+                    'table' => $tableName,
+                    'sql' => $sql
+                ]);
+
+                return $result;
+            });
+        } catch (DatabaseException $e) {
+            $this->log('add_constraint_failed', [
+                'table' => $tableName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw $this->translateDdlError($e, 'Failed to add constraint', $sql);
+        } catch (\Throwable $e) {
+            $this->log('add_constraint_failed', [
+                'table' => $tableName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw new DatabaseException('Failed to add constraint: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Drop a constraint from a table
+     * 
+     * @param string $tableName Table name
+     * @param string $constraintName Constraint name
+     * @return array Operation result
+     * @throws ValidationException|NotFoundException|BadRequestException|DatabaseException
+     */
+    public function dropConstraint(string $tableName, string $constraintName): array
+    {
+        $this->log('drop_constraint_started', [
+            'table' => $tableName,
+            'constraint' => $constraintName
+        ]);
+
+        // Validate table name
+        $this->validateTableName($tableName);
+
+        $constraintNames = array_column($this->getTableConstraints($tableName)['constraints'], 'constraint_name');
+        if (!in_array($constraintName, $constraintNames, true)) {
+            throw new NotFoundException("Constraint '{$constraintName}' does not exist on table '{$tableName}'");
+        }
+
+        $sql = QueryBuilder::buildDropConstraintQuery($tableName, $constraintName);
+        $definition = $this->db->execute(QueryBuilder::buildGetConstraintDefinitionQuery(), [
+            'table_name' => $tableName,
+            'constraint_name' => $constraintName
+        ])->fetch()['definition'];
+        $rollbackSql = QueryBuilder::buildRestoreConstraintQuery($tableName, $constraintName, $definition);
+
+        try {
+            return $this->transaction(function () use ($tableName, $constraintName, $sql, $rollbackSql) {
+                $this->db->execute($sql);
+
+                $this->log('drop_constraint_completed', [
+                    'table' => $tableName,
+                    'constraint' => $constraintName,
+                    'sql' => $sql
+                ]);
+
+                return [
+                    'table_name' => $tableName,
+                    'constraint_name' => $constraintName,
+                    'sql' => $sql,
+                    'rollback_sql' => $rollbackSql
+                ];
+            });
+        } catch (DatabaseException $e) {
+            $this->log('drop_constraint_failed', [
+                'table' => $tableName,
+                'constraint' => $constraintName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            // e.g. 2BP01 when other tables' foreign keys depend on a unique constraint
+            throw $this->translateDdlError($e, 'Failed to drop constraint', $sql);
+        } catch (\Throwable $e) {
+            $this->log('drop_constraint_failed', [
+                'table' => $tableName,
+                'constraint' => $constraintName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw new DatabaseException('Failed to drop constraint: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Insert a row into a table
+     * 
+     * @param string $tableName Table name
+     * @param array $values Column => value map (omitted columns use their defaults)
+     * @return array Operation result with the inserted row
+     * @throws ValidationException|NotFoundException|DatabaseException
+     */
+    public function insertRow(string $tableName, array $values): array
+    {
+        $this->log('insert_row_started', ['table' => $tableName, 'columns' => array_keys($values)]);
+
+        $this->validateTableName($tableName);
+
+        if (!$this->tableExists($tableName)) {
+            throw new NotFoundException("Table '{$tableName}' does not exist");
+        }
+
+        $this->validateRowValues($tableName, $values);
+
+        try {
+            return $this->transaction(function () use ($tableName, $values) {
+                $sql = QueryBuilder::buildInsertRowQuery($tableName, array_keys($values));
+                $stmt = $this->db->execute($sql, $this->buildRowParams($values));
+                $row = $stmt->fetch();
+
+                $this->log('insert_row_completed', ['table' => $tableName]);
+
+                return [
+                    'table_name' => $tableName,
+                    'row' => $row,
+                    'sql' => $sql
+                ];
+            });
+        } catch (\Throwable $e) {
+            $this->log('insert_row_failed', [
+                'table' => $tableName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw new DatabaseException('Failed to insert row: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Update a row identified by its primary key
+     * 
+     * @param string $tableName Table name
+     * @param string $rowId Primary key value
+     * @param array $values Column => value map of changed columns
+     * @return array Operation result with the updated row
+     * @throws ValidationException|NotFoundException|DatabaseException
+     */
+    public function updateRow(string $tableName, string $rowId, array $values): array
+    {
+        $this->log('update_row_started', [
+            'table' => $tableName,
+            'row_id' => $rowId,
+            'columns' => array_keys($values)
+        ]);
+
+        $this->validateTableName($tableName);
+
+        if (!$this->tableExists($tableName)) {
+            throw new NotFoundException("Table '{$tableName}' does not exist");
+        }
+
+        if (empty($values)) {
+            throw new ValidationException('At least one column value is required');
+        }
+
+        $primaryKey = $this->getSinglePrimaryKey($tableName);
+        $this->validateRowValues($tableName, $values);
+
+        try {
+            $result = $this->transaction(function () use ($tableName, $rowId, $values, $primaryKey) {
+                $sql = QueryBuilder::buildUpdateRowQuery($tableName, array_keys($values), $primaryKey);
+                $params = $this->buildRowParams($values);
+                $params['pk'] = $rowId;
+
+                return [
+                    'sql' => $sql,
+                    'row' => $this->db->execute($sql, $params)->fetch()
+                ];
+            });
+        } catch (\Throwable $e) {
+            $this->log('update_row_failed', [
+                'table' => $tableName,
+                'row_id' => $rowId,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw new DatabaseException('Failed to update row: ' . $e->getMessage());
+        }
+
+        if ($result['row'] === false) {
+            throw new NotFoundException("Row '{$rowId}' does not exist in table '{$tableName}'");
+        }
+
+        $this->log('update_row_completed', ['table' => $tableName, 'row_id' => $rowId]);
+
+        return [
+            'table_name' => $tableName,
+            'primary_key' => $primaryKey,
+            'row' => $result['row'],
+            'sql' => $result['sql']
+        ];
+    }
+
+    /**
+     * Delete a row identified by its primary key
+     * 
+     * @param string $tableName Table name
+     * @param string $rowId Primary key value
+     * @return array Operation result with the deleted row
+     * @throws ValidationException|NotFoundException|DatabaseException
+     */
+    public function deleteRow(string $tableName, string $rowId): array
+    {
+        $this->log('delete_row_started', ['table' => $tableName, 'row_id' => $rowId]);
+
+        $this->validateTableName($tableName);
+
+        if (!$this->tableExists($tableName)) {
+            throw new NotFoundException("Table '{$tableName}' does not exist");
+        }
+
+        $primaryKey = $this->getSinglePrimaryKey($tableName);
+
+        try {
+            $result = $this->transaction(function () use ($tableName, $rowId, $primaryKey) {
+                $sql = QueryBuilder::buildDeleteRowQuery($tableName, $primaryKey);
+
+                return [
+                    'sql' => $sql,
+                    'row' => $this->db->execute($sql, ['pk' => $rowId])->fetch()
+                ];
+            });
+        } catch (\Throwable $e) {
+            $this->log('delete_row_failed', [
+                'table' => $tableName,
+                'row_id' => $rowId,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw new DatabaseException('Failed to delete row: ' . $e->getMessage());
+        }
+
+        if ($result['row'] === false) {
+            throw new NotFoundException("Row '{$rowId}' does not exist in table '{$tableName}'");
+        }
+
+        $this->log('delete_row_completed', ['table' => $tableName, 'row_id' => $rowId]);
+
+        return [
+            'table_name' => $tableName,
+            'primary_key' => $primaryKey,
+            'row' => $result['row'],
+            'sql' => $result['sql']
+        ];
+    }
+
+    /**
+     * Bulk import rows into an existing table, or into a new table created first
+     * 
+     * Every row is inserted under its own savepoint so one bad row doesn't hide
+     * problems in the rest; the result lists each rejected row with the reason.
+     * A dry run performs the same work and always rolls back, which makes it a
+     * validation pass. A real import runs in a single transaction and is
+     * rejected as a whole if any row fails.
+     * 
+     * @param string $tableName Table name
+     * @param array $rows Rows as column => value maps
+     * @param array|null $columns Column definitions to create a new table with
+     * @param bool $dryRun Whether to validate only and roll back
+     * @return array Import report
+     * @throws ValidationException|NotFoundException|ConflictException|DatabaseException
+     */
+    public function importRows(string $tableName, array $rows, ?array $columns = null, bool $dryRun = false): array
+    {
+        $this->log('import_rows_started', [
+            'table' => $tableName,
+            'rows' => count($rows),
+            'create_table' => $columns !== null,
+            'dry_run' => $dryRun
+        ]);
+
+        if ($columns !== null) {
+            $this->validateTableCreation($tableName, $columns);
+
+            if ($this->tableExists($tableName)) {
+                throw new ConflictException("Table '{$tableName}' already exists");
+            }
+        } else {
+            $this->validateTableName($tableName);
+
+            if (!$this->tableExists($tableName)) {
+                throw new NotFoundException("Table '{$tableName}' does not exist");
+            }
+        }
+
+        $this->validateImportRows($rows);
+
+        try {
+            if ($dryRun) {
+                // Do the full import so database errors surface, then discard it
+                $this->db->beginTransaction();
+
+                try {
+                    $report = $this->runImport($tableName, $rows, $columns);
+                } finally {
+                    $this->db->rollback();
+                }
+            } else {
+                $report = $this->transaction(function () use ($tableName, $rows, $columns) {
+                    $report = $this->runImport($tableName, $rows, $columns);
+
+                    if ($report['failed_rows'] > 0) {
+                        throw new ValidationException(
+                            "Import rejected: {$report['failed_rows']} of {$report['total_rows']} rows failed",
+                            $report
+                        );
+                    }
+
+                    return $report;
+                });
+            }
+
+            $this->log('import_rows_completed', [
+                'table' => $tableName,
+                'inserted_rows' => $report['inserted_rows'],
+                'failed_rows' => $report['failed_rows'],
+                'dry_run' => $dryRun
+            ]);
+
+            return $report + ['dry_run' => $dryRun];
+        } catch (ValidationException $e) {
+            $this->log('import_rows_rejected', ['table' => $tableName, 'error' => $e->getMessage()], 'warning');
+            throw $e;
+        } catch (\Throwable $e) {
+            $this->log('import_rows_failed', [
+                'table' => $tableName,
+                'error' => $e->getMessage()
+            ], 'error');
+
+            throw new DatabaseException('Failed to import rows: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Check if table exists
+     * 
+     * @param string $tableName Table name
+     * @return bool True if table exists
+     */
+    public function tableExists(string $tableName): bool
+    {
+        try {
+            $query = QueryBuilder::buildTableExistsQuery();
+            $stmt = $this->db->execute($query, ['table_name' => $tableName]);
+            return $stmt->fetch()['count'] > 0;
+        } catch (\Throwable $e) {
+            $this->log('table_exists_check_failed', [
+                'table' => $tableName,
+                'error' => $e->getMessage()
+            ], 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Check if column exists in table
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @return bool True if column exists
+     */
+    public function columnExists(string $tableName, string $columnName): bool
+    {
+        try {
+            $query = QueryBuilder::buildColumnExistsQuery();
+            $stmt = $this->db->execute($query, [
+                'table_name' => $tableName,
+                'column_name' => $columnName
+            ]);
+            return $stmt->fetch()['count'] > 0;
+        } catch (\Throwable $e) {
+            $this->log('column_exists_check_failed', [
+                'table' => $tableName,
+                'column' => $columnName,
+                'error' => $e->getMessage()
+            ], 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Validate table creation request
+     * 
+     * @param string $tableName Table name
+     * @param array $columns Column definitions
+     * @throws ValidationException
+     */
+    private function validateTableCreation(string $tableName, array $columns): void
+    {
+        // Validate table name
+        $this->validateTableName($tableName);
+
+        // Validate columns array
+        if (empty($columns)) {
+            throw new ValidationException('At least one column is required');
+        }
+
+        $columnNames = [];
+        $primaryKeyCount = 0;
+
+        foreach ($columns as $index => $column) {
+            $this->validateColumnDefinition($column, $index + 1);
+
+            // Check for duplicate column names
+            $columnName = strtolower(trim($column['name']));
+            if (in_array($columnName, $columnNames)) {
+                throw new ValidationException("Duplicate column name: '{$column['name']}'");
+            }
+            $columnNames[] = $columnName;
+
+            // Count primary keys
+            if (isset($column['isPrimary']) && $column['isPrimary']) {
+                $primaryKeyCount++;
+            }
+        }
+    }
+
+    /**
+     * Validate table name
+     * 
+     * @param string $tableName Table name
+     * @throws ValidationException
+     */
+    private function validateTableName(string $tableName): void
+    {
+        $rules = [
+            'tableName' => 'required|string|min:1|max:63|regex:/^[a-zA-Z_][a-zA-Z0-9_]*$/'
+        ];
+
+        $this->validate(['tableName' => $tableName], $rules, 'table name');
+    }
+
+    /**
+     * Validate column name
+     * 
+     * @param string $columnName Column name
+     * @throws ValidationException
+     */
     private function validateColumnName(string $columnName): void
     {
         $rules = [
-            'columnName' => 'required|string|min:1|max:63|regex:/^[a-zA-Z_][a-zA-Z0-9_]*$/'
+            'columnName' => 'required|string|min:1|max:63|regex:/^[a-zA-Z_][a-zA-Z0-9_]*$/'
+        ];
+
+        $this->validate(['columnName' => $columnName], $rules, 'column name');
+    }
+
+    /**
+     * Validate index name
+     * 
+     * @param string $indexName Index name
+     * @throws ValidationException
+     */
+    private function validateIndexName(string $indexName): void
+    {
+        $rules = [
+            'indexName' => 'required|string|min:1|max:63|regex:/^[a-zA-Z_][a-zA-Z0-9_]*$/'
         ];
 
-        $this->validate(['columnName' => $columnName], $rules, 'column name');
+        $this->validate(['indexName' => $indexName], $rules, 'index name');
     }
 
     /**
@@ -584,6 +1701,571 @@ class TableService extends BaseService
         $this->validateDataType($column['type']);
     }
 
+    /**
+     * Check if a table, index or other relation already uses a name
+     * 
+     * @param string $relationName Relation name
+     * @return bool True if the name is taken
+     */
+    private function relationExists(string $relationName): bool
+    {
+        $query = QueryBuilder::buildRelationExistsQuery();
+        $stmt = $this->db->execute($query, ['relation_name' => $relationName]);
+        return $stmt->fetch()['count'] > 0;
+    }
+
+    /**
+     * Build a default index name following the idx_{table}_{columns} convention
+     * 
+     * @param string $tableName Table name
+     * @param array $columns Indexed columns
+     * @return string Index name, truncated to the identifier length limit
+     */
+    private function buildIndexName(string $tableName, array $columns): string
+    {
+        $name = 'idx_' . $tableName . '_' . implode('_', $columns);
+
+        return substr($name, 0, DatabaseValidator::MAX_IDENTIFIER_LENGTH);
+    }
+
+    /**
+     * Validate constraint definitions and the tables/columns they reference
+     * 
+     * @param string $tableName Constrained table name
+     * @param array $constraints Constraint definitions
+     * @param array $tableColumns Column names of the constrained table
+     * @throws ValidationException
+     */
+    private function validateConstraints(string $tableName, array $constraints, array $tableColumns): void
+    {
+        foreach (array_values($constraints) as $index => $constraint) {
+            if (!is_array($constraint)) {
+                throw new ValidationException('Constraint ' . ($index + 1) . ': definition must be an object');
+            }
+
+            $validation = DatabaseValidator::validateConstraintDefinition($constraint);
+
+            if ($validation['valid']) {
+                $referencedColumns = null;
+
+                if (($constraint['type'] ?? null) === 'foreign_key') {
+                    // Self-references point at the table's own columns
+                    if ($constraint['referencesTable'] === $tableName) {
+                        $referencedColumns = $tableColumns;
+                    } elseif ($this->tableExists($constraint['referencesTable'])) {
+                        $referencedColumns = array_column(
+                            $this->getTableColumns($constraint['referencesTable']),
+                            'column_name'
+                        );
+                    }
+                }
+
+                $validation = DatabaseValidator::validateConstraintReferences(
+                    $constraint,
+                    $tableColumns,
+                    $referencedColumns
+                );
+            }
+
+            if (!$validation['valid']) {
+                $errors = array_map(function ($error) use ($index) {
+                    return 'Constraint ' . ($index + 1) . ': ' . $error;
+                }, $validation['errors']);
+
+                throw new ValidationException(implode('; ', $errors), ['errors' => $errors]);
+            }
+        }
+    }
+
+    /**
+     * Throw a ValidationException for a failed DatabaseValidator result
+     * 
+     * @param array $validation Validation result ['valid' => bool, 'errors' => array]
+     * @throws ValidationException
+     */
+    private function assertValid(array $validation): void
+    {
+        if (!$validation['valid']) {
+            throw new ValidationException(implode('; ', $validation['errors']), [
+                'errors' => $validation['errors']
+            ]);
+        }
+    }
+
+    /**
+     * Build the ALTER TABLE statements for a column change
+     * 
+     * Statements are ordered so they can run in one transaction: the default is
+     * dropped before a type change (old defaults may not cast), the new default
+     * is set after it, and the rename comes last.
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @param array $changes Requested changes (see alterColumn())
+     * @return array SQL statements
+     * @throws ValidationException|ConflictException
+     */
+    private function buildAlterColumnStatements(string $tableName, string $columnName, array $changes): array
+    {
+        $type = isset($changes['type']) ? trim((string) $changes['type']) : '';
+        $using = isset($changes['using']) ? trim((string) $changes['using']) : '';
+        $newName = isset($changes['newName']) ? trim((string) $changes['newName']) : '';
+        $dropDefault = !empty($changes['dropDefault']);
+        $hasDefaultValue = array_key_exists('defaultValue', $changes) && $changes['defaultValue'] !== null;
+        $hasDefaultExpression = isset($changes['defaultExpression']) && trim((string) $changes['defaultExpression']) !== '';
+
+        if ((int) $dropDefault + (int) $hasDefaultValue + (int) $hasDefaultExpression > 1) {
+            throw new ValidationException('Specify only one of defaultValue, defaultExpression or dropDefault');
+        }
+
+        if ($using !== '' && $type === '') {
+            throw new ValidationException('A USING expression requires a new column type');
+        }
+
+        $statements = [];
+
+        if ($dropDefault) {
+            $statements[] = QueryBuilder::buildDropColumnDefaultQuery($tableName, $columnName);
+        }
+
+        if ($type !== '') {
+            $this->assertValid(DatabaseValidator::validateDataType($type));
+
+            if ($using !== '') {
+                $this->assertValid(DatabaseValidator::validateExpression($using, 'USING expression'));
+            }
+
+            $statements[] = QueryBuilder::buildAlterColumnTypeQuery($tableName, $columnName, $type, $using ?: null);
+        }
+
+        if ($hasDefaultValue) {
+            $defaultValue = $changes['defaultValue'];
+
+            if (is_bool($defaultValue)) {
+                $defaultValue = $defaultValue ? 'true' : 'false';
+            }
+
+            $defaultSql = $this->db->getConnection()->quote((string) $defaultValue);
+            $statements[] = QueryBuilder::buildSetColumnDefaultQuery($tableName, $columnName, $defaultSql);
+        }
+
+        if ($hasDefaultExpression) {
+            $defaultExpression = trim((string) $changes['defaultExpression']);
+            $this->assertValid(DatabaseValidator::validateExpression($defaultExpression, 'Default expression'));
+            $statements[] = QueryBuilder::buildSetColumnDefaultQuery($tableName, $columnName, $defaultExpression);
+        }
+
+        if (array_key_exists('nullable', $changes) && $changes['nullable'] !== null) {
+            $nullable = filter_var($changes['nullable'], FILTER_VALIDATE_BOOLEAN);
+            $statements[] = QueryBuilder::buildSetColumnNullableQuery($tableName, $columnName, $nullable);
+        }
+
+        if ($newName !== '') {
+            $this->assertValid(DatabaseValidator::validateRename($columnName, $newName, 'column'));
+
+            if ($this->columnExists($tableName, $newName)) {
+                throw new ConflictException("Column '{$newName}' already exists in table '{$tableName}'");
+            }
+
+            $statements[] = QueryBuilder::buildRenameColumnQuery($tableName, $columnName, $newName);
+        }
+
+        if (empty($statements)) {
+            throw new ValidationException('No column changes were requested');
+        }
+
+        return $statements;
+    }
+
+    /**
+     * Build the statements that undo an alterColumn() change
+     * 
+     * Reverses the changes in the opposite order: the rename first, then the
+     * default (dropped before a type change so it doesn't block the cast back),
+     * type and nullability, using the column's definition before the change.
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column name before the change
+     * @param string $newColumnName Column name after the change
+     * @param array $changes Requested changes (see alterColumn())
+     * @return string SQL statements separated by ";\n"
+     */
+    private function buildRevertColumnStatements(
+        string $tableName,
+        string $columnName,
+        string $newColumnName,
+        array $changes
+    ): string {
+        $column = $this->getColumnDefinition($tableName, $columnName);
+        $typeChanged = isset($changes['type']) && trim((string) $changes['type']) !== '';
+        $defaultChanged = !empty($changes['dropDefault'])
+            || (array_key_exists('defaultValue', $changes) && $changes['defaultValue'] !== null)
+            || (isset($changes['defaultExpression']) && trim((string) $changes['defaultExpression']) !== '');
+        $statements = [];
+
+        if ($newColumnName !== $columnName) {
+            $statements[] = QueryBuilder::buildRenameColumnQuery($tableName, $newColumnName, $columnName);
+        }
+
+        if ($typeChanged || $defaultChanged) {
+            $statements[] = QueryBuilder::buildDropColumnDefaultQuery($tableName, $columnName);
+        }
+
+        if ($typeChanged) {
+            $statements[] = QueryBuilder::buildAlterColumnTypeQuery(
+                $tableName,
+                $columnName,
+                $column['column_type'],
+                DatabaseValidator::sanitizeIdentifier($columnName) . '::' . $column['column_type']
+            );
+        }
+
+        if (($typeChanged || $defaultChanged) && $column['column_default'] !== null) {
+            $statements[] = QueryBuilder::buildSetColumnDefaultQuery($tableName, $columnName, $column['column_default']);
+        }
+
+        if (array_key_exists('nullable', $changes) && $changes['nullable'] !== null) {
+            $statements[] = QueryBuilder::buildSetColumnNullableQuery($tableName, $columnName, $column['is_nullable']);
+        }
+
+        return implode(";\n", $statements);
+    }
+
+    /**
+     * Build the statement that re-adds a column with its current definition
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @return string SQL statement
+     */
+    private function buildRestoreColumnQuery(string $tableName, string $columnName): string
+    {
+        $column = $this->getColumnDefinition($tableName, $columnName);
+
+        $sql = QueryBuilder::buildAddColumnQuery($tableName, [
+            'name' => $columnName,
+            'type' => $column['column_type'],
+            'nullable' => $column['is_nullable']
+        ]);
+
+        if ($column['column_default'] !== null) {
+            $sql .= ' DEFAULT ' . $column['column_default'];
+        }
+
+        return $sql;
+    }
+
+    /**
+     * Turn a failed DDL statement into a client error when the change itself is at fault
+     * 
+     * Failed casts, NOT NULL on columns containing NULLs and invalid expressions
+     * are reported as 400 with PostgreSQL's message; anything else stays a DatabaseException.
+     * 
+     * @param DatabaseException $e Database exception
+     * @param string $action Action description for the error message
+     * @param string $sql SQL that was executed
+     * @return \Throwable Exception to throw
+     */
+    private function translateDdlError(DatabaseException $e, string $action, string $sql): \Throwable
+    {
+        $sqlState = (string) ($e->getContext()['error_code'] ?? '');
+
+        if (in_array(substr($sqlState, 0, 2), self::DDL_CLIENT_ERROR_CLASSES, true)) {
+            return new BadRequestException($action . ': ' . $this->getDatabaseErrorMessage($e), [
+                'sqlstate' => $sqlState,
+                'sql' => $sql
+            ]);
+        }
+
+        return new DatabaseException($action . ': ' . $e->getMessage());
+    }
+
+    /**
+     * Resolve columns, filters, search and ordering for a table data query
+     * 
+     * @param string $tableName Table name
+     * @param array $options Sort, direction, search and filters
+     * @return array ['columns', 'where', 'search', 'order_by']
+     * @throws ValidationException|NotFoundException
+     */
+    private function resolveDataQuery(string $tableName, array $options): array
+    {
+        // Validate table name
+        $this->validateTableName($tableName);
+
+        // Check if table exists
+        if (!$this->tableExists($tableName)) {
+            throw new NotFoundException("Table '{$tableName}' does not exist");
+        }
+
+        // Get table structure
+        $columns = $this->getTableColumns($tableName);
+        $columnNames = array_column($columns, 'column_name');
+
+        return [
+            'columns' => $columns,
+            'where' => $this->buildDataFilters($options['filters'] ?? [], $columnNames),
+            'search' => [
+                'term' => (string) ($options['search'] ?? ''),
+                'columns' => $columnNames
+            ],
+            'order_by' => $this->buildDataOrder($options['sort'] ?? null, $options['direction'] ?? 'asc', $columnNames)
+        ];
+    }
+
+    /**
+     * Normalize data filters into QueryBuilder WHERE conditions
+     * 
+     * @param array $filters Column => operator => value map from the request
+     * @param array $columnNames Existing column names
+     * @return array WHERE conditions
+     * @throws ValidationException
+     */
+    private function buildDataFilters(array $filters, array $columnNames): array
+    {
+        $allowedOperators = ['eq', 'contains', 'min', 'max'];
+        $where = [];
+
+        foreach ($filters as $column => $operators) {
+            if (!in_array($column, $columnNames, true)) {
+                throw new ValidationException("Cannot filter on unknown column '{$column}'");
+            }
+
+            if (!is_array($operators)) {
+                $operators = ['eq' => $operators];
+            }
+
+            foreach ($operators as $operator => $value) {
+                if (!in_array($operator, $allowedOperators, true)) {
+                    throw new ValidationException(
+                        "Unsupported filter operator '{$operator}' for column '{$column}'",
+                        ['allowed_operators' => $allowedOperators]
+                    );
+                }
+
+                // Skip empty filter inputs
+                if ($value === null || $value === '') {
+                    continue;
+                }
+
+                if (!is_scalar($value)) {
+                    throw new ValidationException(
+                        "Filter '{$operator}' for column '{$column}' must be a single value"
+                    );
+                }
+
+                $where[$column][$operator] = $value;
+            }
+        }
+
+        return $where;
+    }
+
+    /**
+     * Build ORDER BY conditions for table data
+     * 
+     * Falls back to the first column so pagination stays stable.
+     * 
+     * @param string|null $sort Column to sort by
+     * @param string $direction Sort direction
+     * @param array $columnNames Existing column names
+     * @return array ORDER BY conditions
+     * @throws ValidationException
+     */
+    private function buildDataOrder(?string $sort, string $direction, array $columnNames): array
+    {
+        $orderBy = [];
+
+        if ($sort !== null && $sort !== '') {
+            if (!in_array($sort, $columnNames, true)) {
+                throw new ValidationException("Cannot sort by unknown column '{$sort}'");
+            }
+            $orderBy[$sort] = strtolower($direction) === 'desc' ? 'desc' : 'asc';
+        }
+
+        // Tie-break on the first column for deterministic paging
+        if (!empty($columnNames) && !isset($orderBy[$columnNames[0]])) {
+            $orderBy[$columnNames[0]] = 'asc';
+        }
+
+        return $orderBy;
+    }
+
+    /**
+     * Get the single-column primary key of a table
+     * 
+     * @param string $tableName Table name
+     * @return string Primary key column name
+     * @throws ValidationException If the table has no or a composite primary key
+     */
+    private function getSinglePrimaryKey(string $tableName): string
+    {
+        $stmt = $this->db->execute(QueryBuilder::buildGetPrimaryKeyQuery(), ['table_name' => $tableName]);
+        $primaryKeys = array_column($stmt->fetchAll(), 'column_name');
+
+        if (count($primaryKeys) !== 1) {
+            throw new ValidationException(
+                "Row operations require a single-column primary key on table '{$tableName}'",
+                ['primary_keys' => $primaryKeys]
+            );
+        }
+
+        return $primaryKeys[0];
+    }
+
+    /**
+     * Validate that all row value keys are existing columns
+     * 
+     * @param string $tableName Table name
+     * @param array $values Column => value map
+     * @throws ValidationException
+     */
+    private function validateRowValues(string $tableName, array $values): void
+    {
+        $existingColumns = array_column($this->getTableColumns($tableName), 'column_name');
+        $unknownColumns = array_diff(array_keys($values), $existingColumns);
+
+        if (!empty($unknownColumns)) {
+            throw new ValidationException(
+                'Unknown column(s): ' . implode(', ', $unknownColumns),
+                ['unknown_columns' => array_values($unknownColumns)]
+            );
+        }
+    }
+
+    /**
+     * Validate the shape of rows submitted for import
+     * 
+     * @param array $rows Rows to import
+     * @return void
+     * @throws ValidationException
+     */
+    private function validateImportRows(array $rows): void
+    {
+        if (empty($rows)) {
+            throw new ValidationException('No rows to import');
+        }
+
+        if (count($rows) > self::MAX_IMPORT_ROWS) {
+            throw new ValidationException(
+                'Too many rows to import at once (maximum is ' . self::MAX_IMPORT_ROWS . ')',
+                ['row_count' => count($rows), 'max_rows' => self::MAX_IMPORT_ROWS]
+            );
+        }
+
+        foreach ($rows as $index => $row) {
+            if (!is_array($row)) {
+                throw new ValidationException('Row ' . ($index + 1) . ' must be an object of column values');
+            }
+        }
+    }
+
+    /**
+     * Insert import rows inside the current transaction
+     * 
+     * @param string $tableName Table name
+     * @param array $rows Rows as column => value maps
+     * @param array|null $columns Column definitions to create the table with
+     * @return array Import report
+     * @throws DatabaseException If the table cannot be created
+     */
+    private function runImport(string $tableName, array $rows, ?array $columns): array
+    {
+        $createSql = null;
+
+        if ($columns !== null) {
+            $createSql = QueryBuilder::buildCreateTableQuery($tableName, $columns);
+            $this->db->execute($createSql);
+        }
+
+        $existingColumns = array_column($this->getTableColumns($tableName), 'column_name');
+        $rowErrors = [];
+        $insertedRows = 0;
+
+        foreach (array_values($rows) as $index => $row) {
+            $rowNumber = $index + 1;
+            $unknownColumns = array_diff(array_keys($row), $existingColumns);
+
+            if (!empty($unknownColumns)) {
+                $rowErrors[] = [
+                    'row' => $rowNumber,
+                    'message' => 'Unknown column(s): ' . implode(', ', $unknownColumns)
+                ];
+                continue;
+            }
+
+            $this->db->execute(QueryBuilder::buildSavepointQuery('import_row'));
+
+            try {
+                $sql = QueryBuilder::buildInsertRowQuery($tableName, array_keys($row));
+                $this->db->execute($sql, $this->buildRowParams($row));
+                $this->db->execute(QueryBuilder::buildReleaseSavepointQuery('import_row'));
+                $insertedRows++;
+            } catch (DatabaseException $e) {
+                // Undo only this row so the remaining rows are still checked
+                $this->db->execute(QueryBuilder::buildRollbackToSavepointQuery('import_row'));
+                $rowErrors[] = [
+                    'row' => $rowNumber,
+                    'message' => $this->getDatabaseErrorMessage($e)
+                ];
+            }
+        }
+
+        return [
+            'table_name' => $tableName,
+            'created_table' => $columns !== null,
+            'sql' => $createSql,
+            'total_rows' => count($rows),
+            'inserted_rows' => $insertedRows,
+            'failed_rows' => count($rowErrors),
+            'row_errors' => $rowErrors
+        ];
+    }
+
+    /**
+     * Extract the PostgreSQL error text from a wrapped PDO error
+     * 
+     * @param DatabaseException $e Database exception
+     * @return string Readable error message
+     */
+    private function getDatabaseErrorMessage(DatabaseException $e): string
+    {
+        $message = $e->getMessage();
+
+        if (preg_match('/ERROR:\s*(.+)/', $message, $matches)) {
+            $message = $matches[1];
+        }
+
+        // Drop the LINE/DETAIL context PostgreSQL appends on following lines
+        return trim(strtok($message, "\n"));
+    }
+
+    /**
+     * Build positional query parameters (:v0, :v1, ...) for row values
+     * 
+     * Booleans are converted to PostgreSQL literals and arrays to JSON so that
+     * every value can be bound as a string.
+     * 
+     * @param array $values Column => value map
+     * @return array Query parameters
+     */
+    private function buildRowParams(array $values): array
+    {
+        $params = [];
+
+        foreach (array_values($values) as $index => $value) {
+            if (is_bool($value)) {
+                $value = $value ? 'true' : 'false';
+            } elseif (is_array($value)) {
+                $value = json_encode($value);
+            }
+
+            $params["v{$index}"] = $value;
+        }
+
+        return $params;
+    }
+
     /**
      * Get table columns information
      * 
@@ -597,6 +2279,26 @@ class TableService extends BaseService
         return $stmt->fetchAll();
     }
 
+    /**
+     * Get the full definition of a column
+     * 
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @return array column_type (with modifiers), is_nullable (bool) and column_default (SQL or null)
+     */
+    private function getColumnDefinition(string $tableName, string $columnName): array
+    {
+        $query = QueryBuilder::buildGetColumnDefinitionQuery();
+        $column = $this->db->execute($query, [
+            'table_name' => $tableName,
+            'column_name' => $columnName
+        ])->fetch();
+
+        $column['is_nullable'] = $column['is_nullable'] === 'YES';
+
+        return $column;
+    }
+
     /**
      * Get table row count
      * 
@@ -0,0 +1,621 @@
+<?php
+/**
+ * Trash Service Class
+ *
+ * Recycle bin for dropped tables and columns. Instead of being destroyed,
+ * a dropped table is moved into a holding schema of its own, trash_<id>,
+ * along with its indexes and sequences; a dropped column has its values
+ * copied there first, keyed by the table's primary key. The `trash_item`
+ * table lists what is held. Items can be restored or purged through
+ * /api/trash, and are purged automatically once the retention period
+ * (`trash_retention_days`) has passed: expired items are purged whenever
+ * the trash is listed, written to or restored from (see purgeExpired()),
+ * and each of those purges is recorded in the audit log.
+ *
+ * @package    Backend\Services
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Services;
+
+use Backend\Database\Connection;
+use Backend\Database\QueryBuilder;
+use Backend\Exceptions\ConflictException;
+use Backend\Exceptions\DatabaseException;
+use Backend\Exceptions\NotFoundException;
+
+class TrashService extends BaseService
+{
+    /**
+     * Prefix of the schema holding a trash item's data
+     */
+    private const SCHEMA_PREFIX = 'trash_';
+
+    /**
+     * Config service instance
+     *
+     * @var ConfigService
+     */
+    private $configService;
+
+    /**
+     * Audit service instance
+     *
+     * @var AuditService
+     */
+    private $auditService;
+
+    /**
+     * TrashService constructor
+     *
+     * @param ConfigService|null $configService Config service instance
+     * @param Connection|null $db Database connection
+     * @param AuditService|null $auditService Audit service instance
+     */
+    public function __construct(?ConfigService $configService = null, ?Connection $db = null, ?AuditService $auditService = null)
+    {
+        parent::__construct($db);
+        $this->configService = $configService ?? new ConfigService($db);
+        $this->auditService = $auditService ?? new AuditService($db);
+    }
+
+    /**
+     * Move a table into the trash
+     *
+     * Must be called inside the caller's transaction, with foreign keys from
+     * other tables already dropped.
+     *
+     * @param string $tableName Table name
+     * @param array $foreignKeys Foreign keys dropped from other tables, each with
+     *                           'table_name', 'constraint_name' and 'definition'
+     *                           (pg_get_constraintdef()), added back on restore
+     * @return int Trash item id
+     * @throws DatabaseException
+     */
+    public function trashTable(string $tableName, array $foreignKeys = []): int
+    {
+        $id = $this->createItem([
+            'kind' => 'table',
+            'table_name' => $tableName,
+            'column_name' => null,
+            'column_definition' => null,
+            'foreign_keys' => json_encode($foreignKeys),
+            'has_data' => 'true'
+        ]);
+
+        $this->db->execute(QueryBuilder::buildSetTableSchemaQuery($tableName, 'public', $this->getSchemaName($id)));
+
+        $this->log('trash_table_completed', ['table' => $tableName, 'item' => $id]);
+
+        return $id;
+    }
+
+    /**
+     * Keep a column's definition, and its values when they can be matched back
+     * to their rows, in the trash before the column is dropped
+     *
+     * Must be called inside the caller's transaction, before the column is dropped.
+     *
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @param array $definition 'type' (with modifiers), 'nullable' (bool) and 'default' (SQL or null)
+     * @param string|null $keyColumn Single-column primary key of the table; without one
+     *                               only the definition is kept
+     * @return int Trash item id
+     * @throws DatabaseException
+     */
+    public function trashColumn(string $tableName, string $columnName, array $definition, ?string $keyColumn): int
+    {
+        $id = $this->createItem([
+            'kind' => 'column',
+            'table_name' => $tableName,
+            'column_name' => $columnName,
+            'column_definition' => json_encode($definition + ['key_column' => $keyColumn]),
+            'foreign_keys' => null,
+            'has_data' => $keyColumn !== null ? 'true' : 'false'
+        ]);
+
+        if ($keyColumn !== null) {
+            $this->db->execute(QueryBuilder::buildCopyColumnToTrashQuery(
+                $tableName,
+                $columnName,
+                $keyColumn,
+                $this->getSchemaName($id)
+            ));
+        }
+
+        $this->log('trash_column_completed', ['table' => $tableName, 'column' => $columnName, 'item' => $id]);
+
+        return $id;
+    }
+
+    /**
+     * List the items in the trash, most recently dropped first
+     *
+     * Expired items are purged first.
+     *
+     * @return array ['items' => array, 'retention_days' => int]
+     * @throws DatabaseException
+     */
+    public function getItems(): array
+    {
+        $this->purgeExpired();
+
+        try {
+            $rows = $this->db->execute(QueryBuilder::buildGetTrashItemsQuery())->fetchAll();
+        } catch (\Throwable $e) {
+            $this->log('get_trash_items_failed', ['error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to retrieve trash items: ' . $e->getMessage());
+        }
+
+        return [
+            'items' => array_map([$this, 'formatItem'], $rows),
+            'retention_days' => $this->configService->getTrashRetentionDays()
+        ];
+    }
+
+    /**
+     * Put a trash item back where it was dropped from
+     *
+     * A restored table gets back the foreign keys other tables had on it,
+     * except where the referencing table or its rows no longer allow it.
+     * A restored column is added back with its type and default. Its values
+     * are written back to the rows that still exist, and it is made NOT NULL
+     * again only if no row is left without a value.
+     *
+     * Like the results of TableService's schema changes, the result carries
+     * the `sql` recreating the item's structure (its values can only come
+     * back from the trash) and the `rollback_sql` dropping it again.
+     *
+     * @param int $id Trash item id
+     * @return array Restored item plus 'warnings' (array of strings), 'sql' and 'rollback_sql'
+     * @throws NotFoundException|ConflictException|DatabaseException
+     */
+    public function restore(int $id): array
+    {
+        $this->purgeExpired();
+
+        $item = $this->findItem($id);
+
+        $this->log('restore_trash_item_started', ['item' => $id, 'kind' => $item['kind']]);
+
+        try {
+            $result = $this->transaction(function () use ($item) {
+                $result = $item['kind'] === 'table'
+                    ? $this->restoreTable($item)
+                    : $this->restoreColumn($item);
+
+                $this->deleteItem($item['id']);
+
+                return $result;
+            });
+        } catch (ConflictException $e) {
+            throw $e;
+        } catch (\Throwable $e) {
+            $this->log('restore_trash_item_failed', ['item' => $id, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to restore trash item: ' . $e->getMessage());
+        }
+
+        $this->log('restore_trash_item_completed', ['item' => $id]);
+
+        return $item + $result;
+    }
+
+    /**
+     * Delete a trash item and its data for good
+     *
+     * Like restore(), the result carries the `sql` that ran.
+     *
+     * @param int $id Trash item id
+     * @return array Purged item plus 'sql'
+     * @throws NotFoundException|DatabaseException
+     */
+    public function purge(int $id): array
+    {
+        $this->purgeExpired();
+
+        $item = $this->findItem($id);
+
+        try {
+            $sql = $this->transaction(function () use ($id) {
+                return $this->deleteItem($id);
+            });
+        } catch (\Throwable $e) {
+            $this->log('purge_trash_item_failed', ['item' => $id, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to purge trash item: ' . $e->getMessage());
+        }
+
+        $this->log('purge_trash_item_completed', ['item' => $id]);
+
+        return $item + ['sql' => $sql];
+    }
+
+    /**
+     * Purge the items past their retention period
+     *
+     * Each item is purged in a transaction of its own, so this must not be
+     * called inside another transaction: TableService calls it before
+     * dropping a table or column. Each purge is audited without a user, as
+     * it is the retention period rather than anyone's request that ends it.
+     *
+     * @return int Number of purged items
+     * @throws DatabaseException
+     */
+    public function purgeExpired(): int
+    {
+        try {
+            $items = $this->db->execute(QueryBuilder::buildGetExpiredTrashItemsQuery())->fetchAll();
+
+            foreach ($items as $item) {
+                $sql = $this->transaction(function () use ($item) {
+                    return $this->deleteItem((int) $item['id']);
+                });
+
+                $this->auditService->record(
+                    null,
+                    $item['kind'] === 'table' ? 'purge_table' : 'purge_column',
+                    $item['table_name'],
+                    $item['column_name'],
+                    ['trash_item' => (int) $item['id'], 'expired' => true],
+                    $sql
+                );
+            }
+        } catch (\Throwable $e) {
+            $this->log('purge_expired_trash_failed', ['error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to purge expired trash items: ' . $e->getMessage());
+        }
+
+        if (!empty($items)) {
+            $this->log('purge_expired_trash_completed', ['count' => count($items)]);
+        }
+
+        return count($items);
+    }
+
+    /**
+     * Add a trash item and create its holding schema
+     *
+     * @param array $item trash_item values other than the expiry (has_data as 'true' or 'false')
+     * @return int Trash item id
+     */
+    private function createItem(array $item): int
+    {
+        $id = (int) $this->db->execute(QueryBuilder::buildInsertTrashItemQuery(), $item + [
+            'retention_days' => $this->configService->getTrashRetentionDays()
+        ])->fetch()['id'];
+
+        $this->db->execute(QueryBuilder::buildCreateSchemaQuery($this->getSchemaName($id)));
+
+        return $id;
+    }
+
+    /**
+     * Remove a trash item along with its holding schema
+     *
+     * @param int $id Trash item id
+     * @return string SQL dropping the holding schema
+     */
+    private function deleteItem(int $id): string
+    {
+        $sql = QueryBuilder::buildDropSchemaQuery($this->getSchemaName($id));
+
+        $this->db->execute($sql);
+        $this->db->execute(QueryBuilder::buildDeleteTrashItemQuery(), ['id' => $id]);
+
+        return $sql;
+    }
+
+    /**
+     * Move a trashed table back into the public schema
+     *
+     * @param array $item Trash item
+     * @return array 'warnings', 'sql' (the table's DDL and the foreign keys added back) and 'rollback_sql'
+     * @throws ConflictException
+     */
+    private function restoreTable(array $item): array
+    {
+        $tableName = $item['table_name'];
+
+        if ($this->countRows(QueryBuilder::buildTableExistsQuery(), ['table_name' => $tableName]) > 0) {
+            throw new ConflictException(
+                "Cannot restore table '{$tableName}': a table with that name already exists"
+            );
+        }
+
+        $this->db->execute(QueryBuilder::buildSetTableSchemaQuery(
+            $tableName,
+            $this->getSchemaName($item['id']),
+            'public'
+        ));
+
+        $statements = $this->buildTableDefinitionStatements($tableName);
+        $warnings = [];
+
+        foreach ($item['foreign_keys'] as $foreignKey) {
+            $restored = $this->restoreForeignKey($foreignKey);
+
+            if ($restored['sql'] !== null) {
+                $statements[] = $restored['sql'];
+            } else {
+                $warnings[] = $restored['warning'];
+            }
+        }
+
+        return [
+            'warnings' => $warnings,
+            'sql' => implode(";\n", $statements),
+            'rollback_sql' => QueryBuilder::buildDropTableQuery($tableName, true)
+        ];
+    }
+
+    /**
+     * Build the statements recreating a public table's structure
+     *
+     * Columns come with their types, NOT NULL, defaults and identity; the
+     * sequences of serial columns are created and owned by the table again.
+     * Constraints and the indexes not backing a constraint follow.
+     *
+     * @param string $tableName Table name
+     * @return array SQL statements
+     */
+    private function buildTableDefinitionStatements(string $tableName): array
+    {
+        $columns = $this->db->execute(
+            QueryBuilder::buildGetTableColumnDefinitionsQuery(),
+            ['table_name' => $tableName]
+        )->fetchAll();
+
+        $sequences = array_filter($columns, function (array $column) {
+            return $column['serial_sequence'] !== null && $column['identity'] === '';
+        });
+
+        $statements = array_map(function (array $column) {
+            return QueryBuilder::buildCreateSequenceQuery($column['serial_sequence']);
+        }, array_values($sequences));
+
+        $statements[] = QueryBuilder::buildCreateTableFromDefinitionQuery($tableName, $columns);
+
+        foreach ($sequences as $column) {
+            $statements[] = QueryBuilder::buildSetSequenceOwnerQuery(
+                $column['serial_sequence'],
+                $tableName,
+                $column['column_name']
+            );
+        }
+
+        $constraints = $this->db->execute(
+            QueryBuilder::buildGetTableConstraintDefinitionsQuery(),
+            ['table_name' => $tableName]
+        )->fetchAll();
+
+        foreach ($constraints as $constraint) {
+            $statements[] = QueryBuilder::buildRestoreConstraintQuery(
+                $tableName,
+                $constraint['constraint_name'],
+                $constraint['definition']
+            );
+        }
+
+        $indexes = $this->db->execute(QueryBuilder::buildGetTableIndexesQuery(), ['table_name' => $tableName])->fetchAll();
+
+        foreach ($indexes as $index) {
+            if ($index['constraint_name'] === null) {
+                $statements[] = $index['definition'];
+            }
+        }
+
+        return $statements;
+    }
+
+    /**
+     * Add back a foreign key dropped along with a table
+     *
+     * Runs in a savepoint, so a foreign key the data no longer satisfies is
+     * reported instead of failing the whole restore.
+     *
+     * @param array $foreignKey 'table_name', 'constraint_name' and 'definition'
+     * @return array 'sql' that added the foreign key back, or a 'warning' when it could not be
+     */
+    private function restoreForeignKey(array $foreignKey): array
+    {
+        $tableName = $foreignKey['table_name'];
+        $constraintName = $foreignKey['constraint_name'];
+
+        if ($this->countRows(QueryBuilder::buildTableExistsQuery(), ['table_name' => $tableName]) === 0) {
+            return [
+                'sql' => null,
+                'warning' => "Foreign key '{$constraintName}' was not restored: table '{$tableName}' no longer exists"
+            ];
+        }
+
+        $existing = $this->db->execute(QueryBuilder::buildGetConstraintDefinitionQuery(), [
+            'table_name' => $tableName,
+            'constraint_name' => $constraintName
+        ])->fetch();
+
+        if ($existing) {
+            return [
+                'sql' => null,
+                'warning' => "Foreign key '{$constraintName}' was not restored: table '{$tableName}' already has a constraint with that name"
+            ];
+        }
+
+        $sql = QueryBuilder::buildRestoreConstraintQuery($tableName, $constraintName, $foreignKey['definition']);
+
+        $this->db->execute(QueryBuilder::buildSavepointQuery('restore_foreign_key'));
+
+        try {
+            $this->db->execute($sql);
+            $this->db->execute(QueryBuilder::buildReleaseSavepointQuery('restore_foreign_key'));
+        } catch (DatabaseException $e) {
+            $this->db->execute(QueryBuilder::buildRollbackToSavepointQuery('restore_foreign_key'));
+
+            return [
+                'sql' => null,
+                'warning' => "Foreign key '{$constraintName}' on '{$tableName}' was not restored: " . $e->getMessage()
+            ];
+        }
+
+        return ['sql' => $sql, 'warning' => null];
+    }
+
+    /**
+     * Add a trashed column back to its table and write its values back
+     *
+     * @param array $item Trash item
+     * @return array 'warnings', 'sql' (adding the column back) and 'rollback_sql'
+     * @throws ConflictException
+     */
+    private function restoreColumn(array $item): array
+    {
+        $tableName = $item['table_name'];
+        $columnName = $item['column_name'];
+        $definition = $item['column_definition'];
+        $keyColumn = $definition['key_column'] ?? null;
+        $warnings = [];
+
+        if ($this->countRows(QueryBuilder::buildTableExistsQuery(), ['table_name' => $tableName]) === 0) {
+            throw new ConflictException(
+                "Cannot restore column '{$columnName}': table '{$tableName}' no longer exists"
+            );
+        }
+
+        if ($this->columnExists($tableName, $columnName)) {
+            throw new ConflictException(
+                "Cannot restore column '{$columnName}': table '{$tableName}' already has a column with that name"
+            );
+        }
+
+        $sql = QueryBuilder::buildAddColumnQuery($tableName, [
+            'name' => $columnName,
+            'type' => $definition['type'],
+            'nullable' => true
+        ]);
+
+        if (($definition['default'] ?? null) !== null) {
+            $sql .= ' DEFAULT ' . $definition['default'];
+        }
+
+        $this->db->execute($sql);
+        $statements = [$sql];
+
+        if (!$item['has_data']) {
+            $warnings[] = "The values of '{$columnName}' were not kept, as '{$tableName}' has no single-column primary key";
+        } elseif ($keyColumn === null || !$this->columnExists($tableName, $keyColumn)) {
+            $warnings[] = "The values of '{$columnName}' could not be restored: key column '{$keyColumn}' no longer exists";
+        } else {
+            $this->db->execute(QueryBuilder::buildRestoreColumnValuesQuery(
+                $tableName,
+                $columnName,
+                $keyColumn,
+                $this->getSchemaName($item['id'])
+            ));
+        }
+
+        if (!($definition['nullable'] ?? true)) {
+            $nulls = $this->countRows(QueryBuilder::buildCountNullValuesQuery($tableName, $columnName), [], 'total');
+
+            if ($nulls === 0) {
+                $statements[] = QueryBuilder::buildSetColumnNullableQuery($tableName, $columnName, false);
+                $this->db->execute(end($statements));
+            } else {
+                $warnings[] = "'{$columnName}' was restored as nullable: {$nulls} row(s) have no value";
+            }
+        }
+
+        return [
+            'warnings' => $warnings,
+            'sql' => implode(";\n", $statements),
+            'rollback_sql' => QueryBuilder::buildDropColumnQuery($tableName, $columnName)
+        ];
+    }
+
+    /**
+     * Check whether a public table has a column
+     *
+     * @param string $tableName Table name
+     * @param string $columnName Column name
+     * @return bool True if the column exists
+     */
+    private function columnExists(string $tableName, string $columnName): bool
+    {
+        return $this->countRows(QueryBuilder::buildColumnExistsQuery(), [
+            'table_name' => $tableName,
+            'column_name' => $columnName
+        ]) > 0;
+    }
+
+    /**
+     * Run a counting query
+     *
+     * @param string $sql SQL statement
+     * @param array $params Parameters
+     * @param string $column Column holding the count
+     * @return int Count
+     */
+    private function countRows(string $sql, array $params = [], string $column = 'count'): int
+    {
+        return (int) $this->db->execute($sql, $params)->fetch()[$column];
+    }
+
+    /**
+     * Find a trash item
+     *
+     * @param int $id Trash item id
+     * @return array Trash item
+     * @throws NotFoundException|DatabaseException
+     */
+    private function findItem(int $id): array
+    {
+        try {
+            $row = $this->db->execute(QueryBuilder::buildGetTrashItemQuery(), ['id' => $id])->fetch();
+        } catch (\Throwable $e) {
+            $this->log('get_trash_item_failed', ['item' => $id, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to retrieve trash item: ' . $e->getMessage());
+        }
+
+        if (!$row) {
+            throw new NotFoundException("Trash item {$id} does not exist");
+        }
+
+        return $this->formatItem($row);
+    }
+
+    /**
+     * Get the name of the schema holding a trash item's data
+     *
+     * @param int $id Trash item id
+     * @return string Schema name
+     */
+    private function getSchemaName(int $id): string
+    {
+        return self::SCHEMA_PREFIX . $id;
+    }
+
+    /**
+     * Convert a trash_item row into an API entry
+     *
+     * @param array $row trash_item row
+     * @return array Item with a decoded column definition and foreign keys
+     *               (dropped_at and expires_at are Unix timestamps)
+     */
+    private function formatItem(array $row): array
+    {
+        return [
+            'id' => (int) $row['id'],
+            'kind' => $row['kind'],
+            'table_name' => $row['table_name'],
+            'column_name' => $row['column_name'],
+            'column_definition' => $row['column_definition'] !== null
+                ? json_decode($row['column_definition'], true)
+                : null,
+            'foreign_keys' => json_decode($row['foreign_keys'] ?? 'null', true) ?: [],
+            'has_data' => (bool) $row['has_data'],
+            'size' => (int) $row['size'],
+            'dropped_at' => (int) $row['dropped_at'],
+            'expires_at' => (int) $row['expires_at']
+        ];
+    }
+}
@@ -0,0 +1,454 @@
+<?php
+/**
+ * User Service Class
+ *
+ * Lists, creates, renames and deletes rows of the `user` table and sets
+ * their passwords and roles. Usernames are unique; clashes are reported as
+ * conflicts rather than database errors. Passwords are only ever stored as
+ * hashes, and the last admin can be neither demoted nor deleted.
+ *
+ * @package    Backend\Services
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Services;
+
+use Backend\Exceptions\ValidationException;
+use Backend\Exceptions\DatabaseException;
+use Backend\Exceptions\NotFoundException;
+use Backend\Exceptions\ConflictException;
+use Backend\Database\QueryBuilder;
+use Backend\Config\Config;
+
+class UserService extends BaseService
+{
+    /**
+     * Columns the user list can be sorted by
+     */
+    private const SORT_COLUMNS = ['id', 'username', 'role', 'timecreated', 'timemodified'];
+
+    /**
+     * Allowed usernames
+     */
+    private const USERNAME_PATTERN = '/^[A-Za-z0-9_.@-]{3,255}$/';
+
+    /**
+     * SQLSTATE of a unique constraint violation
+     */
+    private const UNIQUE_VIOLATION = '23505';
+
+    /**
+     * Get a page of users
+     *
+     * @param int $limit Page size
+     * @param int $offset Row offset
+     * @param string $search Username search term
+     * @param string $sort Column to sort by
+     * @param string $direction Sort direction (asc|desc)
+     * @return array ['users' => array, 'total' => int]
+     * @throws ValidationException|DatabaseException
+     */
+    public function getUsers(int $limit, int $offset, string $search = '', string $sort = 'id', string $direction = 'asc'): array
+    {
+        if (!in_array($sort, self::SORT_COLUMNS, true)) {
+            throw new ValidationException(
+                "Invalid sort column '{$sort}'. Allowed: " . implode(', ', self::SORT_COLUMNS)
+            );
+        }
+
+        $this->log('get_users_started', [
+            'limit' => $limit,
+            'offset' => $offset,
+            'search' => $search,
+            'sort' => $sort
+        ]);
+
+        try {
+            $count = QueryBuilder::buildCountUsersQuery($search);
+            $total = (int) $this->db->execute($count['sql'], $count['params'])->fetch()['total'];
+
+            $query = QueryBuilder::buildGetUsersQuery($search, $sort, $direction);
+            $users = $this->db->execute($query['sql'], $query['params'] + [
+                'limit' => $limit,
+                'offset' => $offset
+            ])->fetchAll();
+
+            $this->log('get_users_completed', ['count' => count($users), 'total' => $total]);
+
+            return [
+                'users' => array_map([$this, 'formatUser'], $users),
+                'total' => $total
+            ];
+        } catch (\Throwable $e) {
+            $this->log('get_users_failed', ['error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to retrieve users: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Get a user by id
+     *
+     * @param int $id User id
+     * @return array User
+     * @throws NotFoundException|DatabaseException
+     */
+    public function getUser(int $id): array
+    {
+        $user = $this->find(QueryBuilder::buildGetUserByIdQuery(), ['id' => $id]);
+
+        if ($user === null) {
+            throw new NotFoundException("User {$id} does not exist");
+        }
+
+        return $user;
+    }
+
+    /**
+     * Create a user
+     *
+     * Users created without a password cannot sign in until one is set.
+     *
+     * @param string $username Username
+     * @param string|null $password Initial password
+     * @param string $role Role (admin|developer|viewer)
+     * @return array Created user
+     * @throws ValidationException|ConflictException|DatabaseException
+     */
+    public function createUser(string $username, ?string $password = null, string $role = 'viewer'): array
+    {
+        $username = $this->validateUsername($username);
+        $this->validateRole($role);
+        $passwordHash = $password === null ? null : $this->hashPassword($password);
+
+        $this->log('create_user_started', ['username' => $username, 'role' => $role]);
+
+        $this->assertUsernameAvailable($username);
+
+        try {
+            $user = $this->db->execute(QueryBuilder::buildInsertUserQuery(), [
+                'username' => $username,
+                'password_hash' => $passwordHash,
+                'role' => $role
+            ])->fetch();
+        } catch (DatabaseException $e) {
+            throw $this->translateWriteError($e, 'create_user_failed', $username, 'Failed to create user');
+        }
+
+        $this->log('create_user_completed', ['id' => $user['id'], 'username' => $username]);
+
+        return $this->formatUser($user);
+    }
+
+    /**
+     * Rename a user
+     *
+     * @param int $id User id
+     * @param string $username New username
+     * @return array Updated user
+     * @throws ValidationException|NotFoundException|ConflictException|DatabaseException
+     */
+    public function renameUser(int $id, string $username): array
+    {
+        $username = $this->validateUsername($username);
+
+        $this->log('rename_user_started', ['id' => $id, 'username' => $username]);
+
+        $user = $this->getUser($id);
+
+        if ($user['username'] === $username) {
+            return $user;
+        }
+
+        $this->assertUsernameAvailable($username);
+
+        try {
+            $updated = $this->db->execute(QueryBuilder::buildUpdateUsernameQuery(), [
+                'id' => $id,
+                'username' => $username
+            ])->fetch();
+        } catch (DatabaseException $e) {
+            throw $this->translateWriteError($e, 'rename_user_failed', $username, 'Failed to rename user');
+        }
+
+        if ($updated === false) {
+            throw new NotFoundException("User {$id} does not exist");
+        }
+
+        $this->log('rename_user_completed', [
+            'id' => $id,
+            'from' => $user['username'],
+            'to' => $username
+        ]);
+
+        return $this->formatUser($updated);
+    }
+
+    /**
+     * Set a user's password
+     *
+     * @param int $id User id
+     * @param string $password New password
+     * @return array Updated user
+     * @throws ValidationException|NotFoundException|DatabaseException
+     */
+    public function setPassword(int $id, string $password): array
+    {
+        $passwordHash = $this->hashPassword($password);
+
+        $this->log('set_password_started', ['id' => $id]);
+
+        $this->getUser($id);
+
+        try {
+            $this->db->execute(QueryBuilder::buildUpdatePasswordQuery(), [
+                'id' => $id,
+                'password_hash' => $passwordHash
+            ]);
+        } catch (\Throwable $e) {
+            $this->log('set_password_failed', ['id' => $id, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to set password: ' . $e->getMessage());
+        }
+
+        $this->log('set_password_completed', ['id' => $id]);
+
+        return $this->getUser($id);
+    }
+
+    /**
+     * Set a user's role
+     *
+     * @param int $id User id
+     * @param string $role New role (admin|developer|viewer)
+     * @return array Updated user
+     * @throws ValidationException|NotFoundException|ConflictException|DatabaseException
+     */
+    public function setRole(int $id, string $role): array
+    {
+        $this->validateRole($role);
+
+        $this->log('set_role_started', ['id' => $id, 'role' => $role]);
+
+        $user = $this->getUser($id);
+
+        if ($user['role'] === $role) {
+            return $user;
+        }
+
+        if ($user['role'] === 'admin') {
+            $this->assertNotLastAdmin($user);
+        }
+
+        try {
+            $updated = $this->db->execute(QueryBuilder::buildUpdateRoleQuery(), [
+                'id' => $id,
+                'role' => $role
+            ])->fetch();
+        } catch (\Throwable $e) {
+            $this->log('set_role_failed', ['id' => $id, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to set role: ' . $e->getMessage());
+        }
+
+        if ($updated === false) {
+            throw new NotFoundException("User {$id} does not exist");
+        }
+
+        $this->log('set_role_completed', ['id' => $id, 'from' => $user['role'], 'to' => $role]);
+
+        return $this->formatUser($updated);
+    }
+
+    /**
+     * Delete a user
+     *
+     * @param int $id User id
+     * @return array Deleted user
+     * @throws NotFoundException|ConflictException|DatabaseException
+     */
+    public function deleteUser(int $id): array
+    {
+        $this->log('delete_user_started', ['id' => $id]);
+
+        $user = $this->getUser($id);
+
+        if ($user['role'] === 'admin') {
+            $this->assertNotLastAdmin($user);
+        }
+
+        try {
+            $this->db->execute(QueryBuilder::buildDeleteUserQuery(), ['id' => $id]);
+        } catch (\Throwable $e) {
+            $this->log('delete_user_failed', ['id' => $id, 'error' => $e->getMessage()], 'error');
+            throw new DatabaseException('Failed to delete user: ' . $e->getMessage());
+        }
+
+        $this->log('delete_user_completed', ['id' => $id, 'username' => $user['username']]);
+
+        return $user;
+    }
+
+    /**
+     * Trim and validate a username
+     *
+     * @param string $username Submitted username
+     * @return string Trimmed username
+     * @throws ValidationException
+     */
+    private function validateUsername(string $username): string
+    {
+        $username = trim($username);
+
+        if (!preg_match(self::USERNAME_PATTERN, $username)) {
+            throw new ValidationException(
+                'Username must be 3-255 characters of letters, digits, \'_\', \'.\', \'@\' or \'-\'',
+                ['errors' => ['username' => 'Invalid username']]
+            );
+        }
+
+        return $username;
+    }
+
+    /**
+     * Validate a role
+     *
+     * @param string $role Submitted role
+     * @return void
+     * @throws ValidationException
+     */
+    private function validateRole(string $role): void
+    {
+        if (!in_array($role, AuthService::getRoles(), true)) {
+            throw new ValidationException(
+                "Invalid role '{$role}'. Allowed: " . implode(', ', AuthService::getRoles()),
+                ['errors' => ['role' => 'Invalid role']]
+            );
+        }
+    }
+
+    /**
+     * Ensure another admin remains when an admin is demoted or deleted
+     *
+     * @param array $user Admin being demoted or deleted
+     * @return void
+     * @throws ConflictException|DatabaseException
+     */
+    private function assertNotLastAdmin(array $user): void
+    {
+        try {
+            $admins = (int) $this->db->execute(QueryBuilder::buildCountUsersWithRoleQuery(), [
+                'role' => 'admin'
+            ])->fetch()['total'];
+        } catch (\Throwable $e) {
+            throw new DatabaseException('Failed to count admins: ' . $e->getMessage());
+        }
+
+        if ($admins <= 1) {
+            throw new ConflictException(
+                "'{$user['username']}' is the last admin; make another user an admin first",
+                ['id' => $user['id']]
+            );
+        }
+    }
+
+    /**
+     * Validate and hash a password
+     *
+     * @param string $password Plain-text password
+     * @return string Password hash
+     * @throws ValidationException
+     */
+    private function hashPassword(string $password): string
+    {
+        $minLength = (int) Config::get('security.password_min_length', 8);
+
+        if (strlen($password) < $minLength) {
+            throw new ValidationException("Password must be at least {$minLength} characters", [
+                'errors' => ['password' => "Must be at least {$minLength} characters"]
+            ]);
+        }
+
+        // bcrypt ignores everything after 72 bytes
+        if (strlen($password) > 72) {
+            throw new ValidationException('Password must be at most 72 bytes', [
+                'errors' => ['password' => 'Must be at most 72 bytes']
+            ]);
+        }
+
+        return password_hash($password, PASSWORD_DEFAULT);
+    }
+
+    /**
+     * Ensure no user has the given username
+     *
+     * @param string $username Username
+     * @return void
+     * @throws ConflictException|DatabaseException
+     */
+    private function assertUsernameAvailable(string $username): void
+    {
+        if ($this->find(QueryBuilder::buildGetUserByUsernameQuery(), ['username' => $username]) !== null) {
+            throw new ConflictException("Username '{$username}' is already taken", ['username' => $username]);
+        }
+    }
+
+    /**
+     * Find a single user
+     *
+     * @param string $sql Lookup query
+     * @param array $params Query parameters
+     * @return array|null User, or null if none matches
+     * @throws DatabaseException
+     */
+    private function find(string $sql, array $params): ?array
+    {
+        try {
+            $user = $this->db->execute($sql, $params)->fetch();
+        } catch (\Throwable $e) {
+            throw new DatabaseException('Failed to retrieve user: ' . $e->getMessage());
+        }
+
+        return $user === false ? null : $this->formatUser($user);
+    }
+
+    /**
+     * Turn a failed insert or update into the exception to report
+     *
+     * A unique violation means another request took the username between
+     * the availability check and the write.
+     *
+     * @param DatabaseException $e Database exception
+     * @param string $event Log event name
+     * @param string $username Username being written
+     * @param string $message Error message prefix
+     * @return \Throwable Exception to throw
+     */
+    private function translateWriteError(DatabaseException $e, string $event, string $username, string $message): \Throwable
+    {
+        $this->log($event, ['username' => $username, 'error' => $e->getMessage()], 'error');
+
+        if ((string) ($e->getContext()['error_code'] ?? '') === self::UNIQUE_VIOLATION) {
+            return new ConflictException("Username '{$username}' is already taken", ['username' => $username]);
+        }
+
+        return new DatabaseException($message . ': ' . $e->getMessage());
+    }
+
+    /**
+     * Cast a user row for the API
+     *
+     * @param array $row User row
+     * @return array User
+     */
+    private function formatUser(array $row): array
+    {
+        return [
+            'id' => (int) $row['id'],
+            'username' => $row['username'],
+            'role' => $row['role'],
+            'has_password' => (bool) $row['has_password'],
+            'timecreated' => $row['timecreated'] === null ? null : (int) $row['timecreated'],
+            'timemodified' => $row['timemodified'] === null ? null : (int) $row['timemodified']
+        ];
+    }
+}
@@ -0,0 +1,194 @@
+<?php
+/**
+ * Export Writer Utility Class
+ *
+ * Writes rows straight to the response body in CSV, JSON or NDJSON format,
+ * so exports can be streamed batch by batch instead of built in memory.
+ *
+ * @package    Backend\Utils
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Utils;
+
+class ExportWriter
+{
+    /**
+     * Supported formats with their content type and file extension
+     */
+    private const FORMATS = [
+        'csv' => ['content_type' => 'text/csv; charset=utf-8', 'extension' => 'csv'],
+        'json' => ['content_type' => 'application/json; charset=utf-8', 'extension' => 'json'],
+        'ndjson' => ['content_type' => 'application/x-ndjson; charset=utf-8', 'extension' => 'ndjson']
+    ];
+
+    /**
+     * Output format
+     *
+     * @var string
+     */
+    private $format;
+
+    /**
+     * Output stream
+     *
+     * @var resource
+     */
+    private $output;
+
+    /**
+     * Number of rows written so far
+     *
+     * @var int
+     */
+    private $rowCount = 0;
+
+    /**
+     * ExportWriter constructor
+     *
+     * @param string $format Output format (csv, json or ndjson)
+     * @throws \InvalidArgumentException If the format is not supported
+     */
+    public function __construct(string $format)
+    {
+        if (!self::isSupportedFormat($format)) {
+            throw new \InvalidArgumentException("Unsupported export format '{$format}'");
+        }
+
+        $this->format = $format;
+        $this->output = fopen('php://output', 'w');
+    }
+
+    /**
+     * Check whether a format is supported
+     *
+     * @param string $format Format name
+     * @return bool True if supported
+     */
+    public static function isSupportedFormat(string $format): bool
+    {
+        return isset(self::FORMATS[$format]);
+    }
+
+    /**
+     * Get the list of supported formats
+     *
+     * @return array Format names
+     */
+    public static function getSupportedFormats(): array
+    {
+        return array_keys(self::FORMATS);
+    }
+
+    /**
+     * Send download headers for the export
+     *
+     * @param string $baseName File name without extension
+     * @return void
+     */
+    public function sendHeaders(string $baseName): void
+    {
+        $fileName = preg_replace('/[^A-Za-z0-9_.-]/', '_', $baseName) . '.' . self::FORMATS[$this->format]['extension'];
+
+        http_response_code(200);
+        header('Content-Type: ' . self::FORMATS[$this->format]['content_type']);
+        header("Content-Disposition: attachment; filename=\"{$fileName}\"");
+        header('Access-Control-Expose-Headers: Content-Disposition, X-Maintenance-Mode, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
+        header('Cache-Control: no-store');
+        header('X-Accel-Buffering: no');
+
+        // Drop output buffers so each batch reaches the client as soon as it is written
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+    }
+
+    /**
+     * Write the start of the document (CSV header row or JSON array opening)
+     *
+     * @param array $columnNames Column names in output order
+     * @return void
+     */
+    public function begin(array $columnNames): void
+    {
+        if ($this->format === 'csv') {
+            fputcsv($this->output, $columnNames);
+        } elseif ($this->format === 'json') {
+            fwrite($this->output, '[');
+        }
+    }
+
+    /**
+     * Write a batch of rows and flush them to the client
+     *
+     * @param array $rows Associative rows
+     * @return void
+     */
+    public function writeRows(array $rows): void
+    {
+        foreach ($rows as $row) {
+            switch ($this->format) {
+                case 'csv':
+                    fputcsv($this->output, array_map([$this, 'formatCsvValue'], array_values($row)));
+                    break;
+
+                case 'json':
+                    fwrite($this->output, ($this->rowCount > 0 ? ',' : '') . "\n" . $this->encodeRow($row));
+                    break;
+
+                case 'ndjson':
+                    fwrite($this->output, $this->encodeRow($row) . "\n");
+                    break;
+            }
+
+            $this->rowCount++;
+        }
+
+        fflush($this->output);
+        flush();
+    }
+
+    /**
+     * Write the end of the document and close the stream
+     *
+     * @return int Number of rows written
+     */
+    public function end(): int
+    {
+        if ($this->format === 'json') {
+            fwrite($this->output, ($this->rowCount > 0 ? "\n" : '') . "]\n");
+        }
+
+        fclose($this->output);
+
+        return $this->rowCount;
+    }
+
+    /**
+     * Encode a row as a single line of JSON
+     *
+     * @param array $row Associative row
+     * @return string JSON object
+     */
+    private function encodeRow(array $row): string
+    {
+        return json_encode($row, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES | JSON_PARTIAL_OUTPUT_ON_ERROR);
+    }
+
+    /**
+     * Format a value for a CSV cell
+     *
+     * @param mixed $value Cell value
+     * @return string CSV cell text (NULL becomes an empty cell)
+     */
+    private function formatCsvValue($value): string
+    {
+        if (is_bool($value)) {
+            return $value ? 'true' : 'false';
+        }
+
+        return $value === null ? '' : (string) $value;
+    }
+}
@@ -0,0 +1,147 @@
+<?php
+/**
+ * JWT Utility Class
+ *
+ * Encodes and verifies HS256-signed JSON Web Tokens. Only the pieces the
+ * API needs are supported: a fixed algorithm, and the exp/nbf/iat claims.
+ *
+ * @package    Backend\Utils
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+namespace Backend\Utils;
+
+use Backend\Exceptions\AuthenticationException;
+use Backend\Exceptions\ConfigurationException;
+
+class Jwt
+{
+    /**
+     * Signing algorithm written to and required in the token header
+     */
+    private const ALGORITHM = 'HS256';
+
+    /**
+     * Create a signed token
+     *
+     * @param array $claims Token claims
+     * @param string $secret Signing secret
+     * @return string Encoded token
+     * @throws ConfigurationException
+     */
+    public static function encode(array $claims, string $secret): string
+    {
+        self::assertSecret($secret);
+
+        $segments = [
+            self::base64UrlEncode(json_encode(['typ' => 'JWT', 'alg' => self::ALGORITHM])),
+            self::base64UrlEncode(json_encode($claims))
+        ];
+        $segments[] = self::base64UrlEncode(self::sign(implode('.', $segments), $secret));
+
+        return implode('.', $segments);
+    }
+
+    /**
+     * Verify a token and return its claims
+     *
+     * @param string $token Encoded token
+     * @param string $secret Signing secret
+     * @param int|null $now Current Unix time (defaults to time())
+     * @return array Token claims
+     * @throws AuthenticationException|ConfigurationException
+     */
+    public static function decode(string $token, string $secret, ?int $now = null): array
+    {
+        self::assertSecret($secret);
+
+        $segments = explode('.', $token);
+        if (count($segments) !== 3) {
+            throw new AuthenticationException('Malformed token');
+        }
+
+        [$encodedHeader, $encodedClaims, $encodedSignature] = $segments;
+
+        $header = json_decode(self::base64UrlDecode($encodedHeader), true);
+        $claims = json_decode(self::base64UrlDecode($encodedClaims), true);
+
+        if (!is_array($header) || !is_array($claims)) {
+            throw new AuthenticationException('Malformed token');
+        }
+
+        if (($header['alg'] ?? null) !== self::ALGORITHM) {
+            throw new AuthenticationException('Unsupported token algorithm');
+        }
+
+        $expected = self::sign($encodedHeader . '.' . $encodedClaims, $secret);
+        if (!hash_equals($expected, self::base64UrlDecode($encodedSignature))) {
+            throw new AuthenticationException('Invalid token signature');
+        }
+
+        $now = $now ?? time();
+
+        if (isset($claims['nbf']) && $now < (int) $claims['nbf']) {
+            throw new AuthenticationException('Token is not valid yet');
+        }
+
+        if (!isset($claims['exp']) || $now >= (int) $claims['exp']) {
+            throw new AuthenticationException('Session has expired, please sign in again', [
+                'reason' => 'token_expired'
+            ]);
+        }
+
+        return $claims;
+    }
+
+    /**
+     * Sign a header.claims string
+     *
+     * @param string $input Signing input
+     * @param string $secret Signing secret
+     * @return string Raw HMAC signature
+     */
+    private static function sign(string $input, string $secret): string
+    {
+        return hash_hmac('sha256', $input, $secret, true);
+    }
+
+    /**
+     * Reject missing or trivially short secrets
+     *
+     * @param string $secret Signing secret
+     * @return void
+     * @throws ConfigurationException
+     */
+    private static function assertSecret(string $secret): void
+    {
+        if (strlen($secret) < 32) {
+            throw new ConfigurationException('JWT_SECRET must be set to at least 32 characters');
+        }
+    }
+
+    /**
+     * Base64url-encode a string without padding
+     *
+     * @param string $data Raw data
+     * @return string Encoded data
+     */
+    private static function base64UrlEncode(string $data): string
+    {
+        return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+    }
+
+    /**
+     * Decode a base64url string
+     *
+     * @param string $data Encoded data
+     * @return string Raw data ('' when the input is not valid base64url)
+     */
+    private static function base64UrlDecode(string $data): string
+    {
+        $decoded = base64_decode(strtr($data, '-_', '+/'), true);
+
+        return $decoded === false ? '' : $decoded;
+    }
+}
@@ -0,0 +1,133 @@
+<?php
+/**
+ * QueryBuilder Tests
+ *
+ * Covers the WHERE conditions, search and ordering that table data
+ * filtering builds: every value must end up as a bound parameter and
+ * every identifier quoted, whatever the request sent.
+ *
+ * @package    Backend\Tests\Unit
+ * @author     Your Team
+ * @version    1.0.0
+ * @since      PHP 7.4
+ */
+
+use PHPUnit\Framework\TestCase;
+
+require_once __DIR__ . '/../../src/database/DatabaseValidator.php';
+require_once __DIR__ . '/../../src/database/QueryBuilder.php';
+
+class QueryBuilderTest extends TestCase
+{
+    public function testNoConditionsBuildNoWhereClause(): void
+    {
+        $this->assertSame('SELECT * FROM "users"', QueryBuilder::buildSelectQuery('users'));
+        $this->assertSame([], QueryBuilder::buildWhereParams());
+    }
+
+    public function testScalarValueFiltersByEquality(): void
+    {
+        $where = ['role' => 'admin'];
+
+        $this->assertSame('SELECT * FROM "users" WHERE "role" = :w0', QueryBuilder::buildSelectQuery('users', [], $where));
+        $this->assertSame(['w0' => 'admin'], QueryBuilder::buildWhereParams($where));
+    }
+
+    public function testNullValueFiltersByIsNull(): void
+    {
+        $where = ['deleted_at' => null];
+
+        $this->assertSame('SELECT * FROM "users" WHERE "deleted_at" IS NULL', QueryBuilder::buildSelectQuery('users', [], $where));
+        $this->assertSame([], QueryBuilder::buildWhereParams($where));
+    }
+
+    public function testOperatorsBuildOneConditionEach(): void
+    {
+        $where = [
+            'id' => ['min' => 10, 'max' => 20],
+            'username' => ['eq' => 'bob', 'contains' => 'o']
+        ];
+
+        $this->assertSame(
+            'SELECT * FROM "users" WHERE "id" >= :w0 AND "id" <= :w1 AND "username" = :w2 AND "username"::text ILIKE :w3',
+            QueryBuilder::buildSelectQuery('users', [], $where)
+        );
+        $this->assertSame(
+            ['w0' => 10, 'w1' => 20, 'w2' => 'bob', 'w3' => '%o%'],
+            QueryBuilder::buildWhereParams($where)
+        );
+    }
+
+    public function testContainsEscapesLikeWildcards(): void
+    {
+        $params = QueryBuilder::buildWhereParams(['name' => ['contains' => '50%_off\\']]);
+
+        $this->assertSame(['w0' => '%50\\%\\_off\\\\%'], $params);
+    }
+
+    public function testUnknownOperatorIsRejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        QueryBuilder::buildSelectQuery('users', [], ['id' => ['gt; DROP TABLE users' => 1]]);
+    }
+
+    public function testInjectionShapedValuesStayParameters(): void
+    {
+        $value = "x' OR '1'='1'; DROP TABLE users; --";
+        $where = ['username' => ['eq' => $value, 'contains' => $value]];
+
+        $sql = QueryBuilder::buildSelectQuery('users', [], $where);
+        $params = QueryBuilder::buildWhereParams($where);
+
+        $this->assertStringNotContainsString('DROP TABLE', $sql);
+        $this->assertSame($value, $params['w0']);
+        $this->assertSame('%' . $value . '%', $params['w1']);
+    }
+
+    public function testInjectionShapedIdentifiersAreQuoted(): void
+    {
+        $sql = QueryBuilder::buildSelectQuery(
+            'users"; DROP TABLE users; --',
+            [],
+            ['id" = 1 OR "1' => 1],
+            ['name" DESC; --' => 'desc; DROP TABLE users']
+        );
+
+        $this->assertSame(
+            'SELECT * FROM "users""; DROP TABLE users; --" WHERE "id"" = 1 OR ""1" = :w0 ORDER BY "name"" DESC; --" ASC',
+            $sql
+        );
+    }
+
+    public function testSearchMatchesAnyColumnWithItsOwnPlaceholder(): void
+    {
+        $where = ['role' => 'admin'];
+        $search = ['term' => ' ad_m ', 'columns' => ['username', 'role']];
+
+        $this->assertSame(
+            'SELECT COUNT(*) as total FROM "users" WHERE "role" = :w0 AND ("username"::text ILIKE :search0 OR "role"::text ILIKE :search1)',
+            QueryBuilder::buildCountQuery('users', $where, $search)
+        );
+        $this->assertSame(
+            ['w0' => 'admin', 'search0' => '%ad\\_m%', 'search1' => '%ad\\_m%'],
+            QueryBuilder::buildWhereParams($where, $search)
+        );
+    }
+
+    public function testBlankSearchTermIsIgnored(): void
+    {
+        $search = ['term' => '   ', 'columns' => ['username']];
+
+        $this->assertSame('SELECT COUNT(*) as total FROM "users"', QueryBuilder::buildCountQuery('users', [], $search));
+        $this->assertSame([], QueryBuilder::buildWhereParams([], $search));
+    }
+
+    public function testOrderAndPaging(): void
+    {
+        $this->assertSame(
+            'SELECT "id", "username" FROM "users" ORDER BY "username" DESC, "id" ASC LIMIT 50 OFFSET 100',
+            QueryBuilder::buildSelectQuery('users', ['id', 'username'], [], ['username' => 'desc', 'id' => 'anything'], 50, 100)
+        );
+    }
+}
@@ -0,0 +1,32 @@
+-- Create audit_log table recording who changed which table, when and how
+-- This script is executed automatically when the database container starts
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER,
+    username VARCHAR(255),
+    action VARCHAR(64) NOT NULL,
+    table_name VARCHAR(255) NOT NULL,
+    target VARCHAR(255),
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    sql TEXT,
+    timecreated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for the audit log viewer's sorting and filters
+CREATE INDEX IF NOT EXISTS idx_audit_log_timecreated ON audit_log(timecreated);
+CREATE INDEX IF NOT EXISTS idx_audit_log_username ON audit_log(username);
+CREATE INDEX IF NOT EXISTS idx_audit_log_table_name ON audit_log(table_name);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+
+-- Add comments to the table and columns
+COMMENT ON TABLE audit_log IS 'Audit trail of schema and data changes made through the table API';
+COMMENT ON COLUMN audit_log.id IS 'Primary key auto-increment identifier';
+COMMENT ON COLUMN audit_log.user_id IS 'Id of the user who made the change (kept when the user is deleted)';
+COMMENT ON COLUMN audit_log.username IS 'Username of the user who made the change, at the time of the change';
+COMMENT ON COLUMN audit_log.action IS 'Change made (create_table, drop_table, add_column, ...)';
+COMMENT ON COLUMN audit_log.table_name IS 'Table the change was made to';
+COMMENT ON COLUMN audit_log.target IS 'Column, index, constraint or row within the table, if any';
+COMMENT ON COLUMN audit_log.payload IS 'Request parameters of the change';
+COMMENT ON COLUMN audit_log.sql IS 'SQL statement(s) the change ran';
+COMMENT ON COLUMN audit_log.timecreated IS 'Timestamp when the change was made';
@@ -36,6 +36,7 @@ INSERT INTO config (name, value, core) VALUES
     ('app_name', 'React Docker App', 1),
     ('app_version', '1.0.0', 1),
     ('maintenance_mode', 'false', 1),
+    ('maintenance_message', 'The application is down for maintenance. Please try again later.', 1),
     ('max_users', '1000', 0),
     ('theme_color', 'blue', 0),
     ('debug_mode', 'false', 1)
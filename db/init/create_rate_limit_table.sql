@@ -0,0 +1,14 @@
+-- Create rate_limit table for counting API requests per client
+-- This script is executed automatically when the database container starts
+
+CREATE TABLE IF NOT EXISTS rate_limit (
+    client VARCHAR(255) PRIMARY KEY,
+    window_start INTEGER NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0
+);
+
+-- Add comments to the table and columns
+COMMENT ON TABLE rate_limit IS 'API request counters for rate limiting, one row per client';
+COMMENT ON COLUMN rate_limit.client IS 'Client the requests are counted for (user:<id> or ip:<address>)';
+COMMENT ON COLUMN rate_limit.window_start IS 'Unix timestamp when the current rate limit window started';
+COMMENT ON COLUMN rate_limit.hits IS 'Number of requests made in the current window';
@@ -0,0 +1,16 @@
+-- Create schema_migrations table tracking which db/migrations files have been applied
+-- This script is executed automatically when the database container starts
+
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(32) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_by VARCHAR(255),
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add comments to the table and columns
+COMMENT ON TABLE schema_migrations IS 'Migrations from db/migrations applied to this database';
+COMMENT ON COLUMN schema_migrations.version IS 'Migration number, the file name prefix (e.g. 0001)';
+COMMENT ON COLUMN schema_migrations.name IS 'Migration name, the rest of the file name';
+COMMENT ON COLUMN schema_migrations.applied_by IS 'Username that applied the migration, or NULL when run-migrations.sh did';
+COMMENT ON COLUMN schema_migrations.applied_at IS 'Timestamp when the migration was applied';
@@ -0,0 +1,32 @@
+-- Create trash_item table for the recycle bin of dropped tables and columns
+-- This script is executed automatically when the database container starts
+
+-- Each item's data is held in its own schema, trash_<id>: a dropped table is
+-- moved there whole (with its indexes and sequences), a dropped column is
+-- copied there as (row_key, value) pairs before it is dropped
+CREATE TABLE IF NOT EXISTS trash_item (
+    id SERIAL PRIMARY KEY,
+    kind VARCHAR(16) NOT NULL CHECK (kind IN ('table', 'column')),
+    table_name VARCHAR(255) NOT NULL,
+    column_name VARCHAR(255),
+    column_definition JSONB,
+    foreign_keys JSONB,
+    has_data BOOLEAN NOT NULL DEFAULT TRUE,
+    dropped_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Create an index for purging expired items
+CREATE INDEX IF NOT EXISTS idx_trash_item_expires_at ON trash_item(expires_at);
+
+-- Add comments to the table and columns
+COMMENT ON TABLE trash_item IS 'Dropped tables and columns held until restored, purged or expired';
+COMMENT ON COLUMN trash_item.id IS 'Primary key; the item''s data is held in schema trash_<id>';
+COMMENT ON COLUMN trash_item.kind IS 'What was dropped: a whole table or a column';
+COMMENT ON COLUMN trash_item.table_name IS 'Dropped table, or the table the column was dropped from';
+COMMENT ON COLUMN trash_item.column_name IS 'Dropped column (column items only)';
+COMMENT ON COLUMN trash_item.column_definition IS 'Type, nullability, default and row key column of the dropped column (column items only)';
+COMMENT ON COLUMN trash_item.foreign_keys IS 'Foreign keys in other tables dropped along with the table, added back when it is restored (table items only)';
+COMMENT ON COLUMN trash_item.has_data IS 'Whether the column values were kept; they are only copied from tables with a single-column primary key';
+COMMENT ON COLUMN trash_item.dropped_at IS 'Timestamp when the item was dropped';
+COMMENT ON COLUMN trash_item.expires_at IS 'Timestamp after which the item is purged for good';
@@ -0,0 +1,17 @@
+-- Add password hashes to the user table for dashboard sign-in
+-- This script is executed automatically when the database container starts
+-- and is safe to re-run against an existing database (db/run-migrations.sh)
+
+-- pgcrypto provides crypt()/gen_salt() for seeding a bcrypt hash PHP can verify
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);
+
+-- Give the seeded admin account a development password (admin / admin) so the
+-- first sign-in is possible; change it from User Management afterwards.
+-- Users without a password hash cannot sign in.
+UPDATE "user"
+SET password_hash = crypt('admin', gen_salt('bf', 10))
+WHERE username = 'admin' AND password_hash IS NULL;
+
+COMMENT ON COLUMN "user".password_hash IS 'bcrypt password hash; NULL means the user cannot sign in';
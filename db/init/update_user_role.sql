@@ -0,0 +1,26 @@
+-- Add roles to the user table for role-based access control
+-- This script is executed automatically when the database container starts
+-- and is safe to re-run against an existing database (db/run-migrations.sh)
+--
+-- admin:     everything, including dropping tables and managing users
+-- developer: database tools without destructive actions, read-only SQL console
+-- viewer:    application screens, read-only
+
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'viewer';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'user_role_check') THEN
+        ALTER TABLE "user" ADD CONSTRAINT user_role_check CHECK (role IN ('admin', 'developer', 'viewer'));
+    END IF;
+END
+$$;
+
+-- Give the seeded accounts their roles, only while no admin exists yet so
+-- re-running this script never undoes role changes made in User Management
+UPDATE "user"
+SET role = username
+WHERE username IN ('admin', 'developer')
+  AND NOT EXISTS (SELECT 1 FROM "user" WHERE role = 'admin');
+
+COMMENT ON COLUMN "user".role IS 'Access role: admin, developer or viewer';
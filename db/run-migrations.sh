@@ -1,7 +1,8 @@
 #!/bin/bash
 
 # Database Migration Runner with Enhanced Debugging
-# This script runs all SQL files in the db/init directory against an existing database
+# This script runs all SQL files in the db/init directory against an existing database,
+# then applies the migrations in db/migrations that the database hasn't applied yet
 
 set -e
 
@@ -17,6 +18,9 @@ DB_PASSWORD="apppassword"
 # Directory containing SQL scripts
 SCRIPT_DIR="../db/init"
 
+# Directory containing generated migrations (NNNN_name.up.sql / NNNN_name.down.sql)
+MIGRATIONS_DIR="../db/migrations"
+
 # Check if the directory exists
 if [ ! -d "$SCRIPT_DIR" ]; then
     echo "❌ Error: Directory $SCRIPT_DIR does not exist"
@@ -151,6 +155,45 @@ else
     exit 1
 fi
 
+# Apply pending migrations in version order, each in its own transaction
+# together with its schema_migrations row
+echo ""
+echo "🔄 Processing generated migrations:"
+echo ""
+
+migration_count=0
+
+for file in "$MIGRATIONS_DIR"/*.up.sql; do
+    [ -f "$file" ] || continue
+
+    filename=$(basename "$file" .up.sql)
+    version="${filename%%_*}"
+    name="${filename#*_}"
+
+    applied=$(docker-compose exec -T database psql -U "$DB_USER" -d "$DB_NAME" -tA \
+        -c "SELECT 1 FROM schema_migrations WHERE version = '$version';" 2>/dev/null)
+
+    if [ "$applied" = "1" ]; then
+        echo "⏭️  Already applied: $filename"
+        continue
+    fi
+
+    echo "📄 Applying: $filename"
+
+    if { cat "$file"; echo; echo "INSERT INTO schema_migrations (version, name) VALUES ('$version', '$name');"; } \
+        | docker-compose exec -T database psql -U "$DB_USER" -d "$DB_NAME" -v ON_ERROR_STOP=1 -1 -q 2>&1; then
+        echo "✅ Successfully applied: $filename"
+        migration_count=$((migration_count + 1))
+    else
+        echo "❌ Error applying: $filename"
+        echo "   Later migrations may depend on it, so none of them were applied."
+        exit 1
+    fi
+done
+
+echo ""
+echo "📊 Applied $migration_count new migration(s)"
+
 echo ""
 echo "🔍 Verifying tables in database:"
 docker-compose exec -T database psql -U "$DB_USER" -d "$DB_NAME" -c "\dt" 2>/dev/null || echo "   Could not list tables"
@@ -0,0 +1,11 @@
+/**
+ * Runtime configuration
+ *
+ * Loaded before the React bundle so deployments can point the dashboard at a
+ * different backend without rebuilding. Values left undefined fall back to the
+ * REACT_APP_* build-time environment variables.
+ */
+window.APP_CONFIG = {
+  // apiBaseUrl: 'https://staging.example.com',
+  // apiTimeout: 30000
+};
@@ -1,26 +1,120 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import Dashboard from './components/Dashboard/Dashboard';
+import Login from './components/Login/Login';
+import NotificationCenter from './components/NotificationCenter/NotificationCenter';
+import ToastStack from './components/ToastStack/ToastStack';
+import { authApi, authSession, configApi, theme, i18n, notifications } from './services';
+
+// Refresh this long before the token expires (capped at a quarter of the session)
+const REFRESH_MARGIN_MS = 60000;
 
 function App() {
+  const [session, setSession] = useState(authSession.getSession);
+  const [notice, setNotice] = useState(null);
+  const { t } = i18n.useTranslation();
+
+  // Follow sign-in, refresh and sign-out from anywhere in the app
+  useEffect(() => authSession.subscribe((nextSession, reason) => {
+    setSession(nextSession);
+    if (reason === 'expired') {
+      setNotice('app.sessionExpired'); // Message key, translated when shown
+    } else if (nextSession) {
+      setNotice(null);
+    }
+    if (!nextSession) {
+      notifications.clearHistory(); // The next user shouldn't see this one's notifications
+    }
+  }), []);
+
+  // Pick up role changes made since the token was issued (on sign-in, refresh and page load)
+  const token = session ? session.token : null;
+
+  useEffect(() => {
+    if (token) {
+      authApi.getCurrentUser().catch((err) => console.error('Current user error:', err));
+    }
+  }, [token]);
+
+  // Apply the theme, language and notification preference stored with the application settings once signed in
+  useEffect(() => {
+    if (token) {
+      configApi.getConfig()
+        .then((data) => {
+          const values = configApi.toValueMap(data.entries);
+          if (values.theme) {
+            theme.applyTheme(values.theme);
+          }
+          if (values.language) {
+            i18n.setLanguage(values.language);
+          }
+          notifications.setEnabled(values.show_notifications);
+        })
+        .catch((err) => console.error('Load settings error:', err));
+    }
+  }, [token]);
+
+  // Extend the session shortly before it expires if the dashboard has been used
+  // since it started; otherwise let it run out and sign the user out
+  useEffect(() => {
+    if (!session) {
+      return undefined;
+    }
+
+    const expiresInMs = session.expiresAt * 1000 - Date.now();
+    const margin = Math.min(REFRESH_MARGIN_MS, (session.expiresAt * 1000 - session.issuedAt) / 4);
+
+    const refreshTimer = setTimeout(async () => {
+      if (authSession.getLastActivity() > session.issuedAt) {
+        try {
+          await authApi.refreshSession();
+        } catch (err) {
+          console.error('Session refresh error:', err);
+        }
+      }
+    }, Math.max(expiresInMs - margin, 0));
+
+    const expiryTimer = setTimeout(() => authSession.clearSession('expired'), Math.max(expiresInMs, 0));
+
+    return () => {
+      clearTimeout(refreshTimer);
+      clearTimeout(expiryTimer);
+    };
+  }, [session]);
+
   return (
     <div className="App">
       <header className="bg-dark text-white py-4">
-        <div className="container text-center">
+        <div className="container text-center position-relative">
           <h1 className="mb-3">
             <span className="me-3">🐳</span>
-            React Docker App
+            {t('app.title')}
           </h1>
           <p className="lead mb-0">
-            Your React app is running successfully in Docker!
+            {t('app.tagline')}
           </p>
+
+          {session && (
+            <div className="position-absolute top-0 end-0 d-flex align-items-center gap-2 small">
+              <span>
+                {t('app.signedInAs')} <strong>{session.user.username}</strong>
+                <span className="badge bg-secondary ms-2">{t(`roles.${session.user.role}`)}</span>
+              </span>
+              <NotificationCenter />
+              <button type="button" className="btn btn-outline-light btn-sm" onClick={authApi.logout}>
+                {t('app.signOut')}
+              </button>
+            </div>
+          )}
         </div>
       </header>
-      
-      <main className="bg-light">
-        <Dashboard />
+
+      <main className="bg-body-tertiary">
+        {session ? <Dashboard /> : <Login notice={notice && t(notice)} />}
       </main>
+
+      <ToastStack />
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -1,49 +1,56 @@
-import React, { useState } from 'react';
+import React, { useEffect } from 'react';
 import './Dashboard.css';
 import Navigation from './Navigation/Navigation';
 import MainContent from './MainContent/MainContent';
+import MaintenanceScreen from './MaintenanceScreen/MaintenanceScreen';
+import MaintenanceBanner from './MaintenanceBanner/MaintenanceBanner';
+import RateLimitNotice from './RateLimitNotice/RateLimitNotice';
+import { getModules, getModule, findModuleByPath, canOpenModule } from './moduleRegistry';
+import { router, authSession, maintenance } from '../../services';
+import './modules'; // Registers the built-in modules
 
 /**
  * Dashboard Component
  * 
  * Main dashboard container that coordinates between navigation and main content.
  * Acts as the primary layout manager for the dashboard interface.
+ * Screens come from the module registry (see modules.js); only the ones the
+ * signed-in user's role has permission to use are offered.
+ * The active component follows the URL, so links and Back/Forward work and
+ * the root URL opens the first allowed component.
+ * In maintenance mode, roles without maintenance.bypass see a lockout screen
+ * instead; admins keep working with a banner reminding them to switch it off.
+ * Requests held back by the API rate limit show a retry countdown on top.
  */
 const Dashboard = () => {
-  // Active component state
-  const [activeComponent, setActiveComponent] = useState('database');
+  // Navigation offers the registered modules the user's role may open
+  const menuItems = getModules().filter(canOpenModule);
 
-  // Menu items configuration
-  const menuItems = [
-    {
-      id: 'database',
-      name: 'Database Manager',
-      icon: '🗄️',
-      description: 'Manage database tables and structure',
-      category: 'dev'
-    },
-    {
-      id: 'api',
-      name: 'API Tester',
-      icon: '🔗',
-      description: 'Test backend API endpoints',
-      category: 'dev'
-    },
-    {
-      id: 'settings',
-      name: 'Settings',
-      icon: '⚙️',
-      description: 'Application settings and configuration',
-      category: 'app'
+  const location = router.useLocation();
+  const maintenanceStatus = maintenance.useMaintenance();
+  const lockedOut = maintenanceStatus.enabled && !authSession.hasPermission('maintenance.bypass');
+  const settingsModule = menuItems.find((item) => item.id === 'settings');
+  const defaultComponent = menuItems[0] ? menuItems[0].id : null;
+  const matchedModule = findModuleByPath(location.path);
+
+  // Unmatched paths are passed through so MainContent can report them
+  const activeComponent = location.path === '/' && defaultComponent
+    ? defaultComponent
+    : (matchedModule ? matchedModule.id : location.path);
+
+  // Open the first allowed component at the root URL
+  useEffect(() => {
+    if (location.path === '/' && defaultComponent) {
+      router.navigate(getModule(defaultComponent).path, { replace: true });
     }
-  ];
+  }, [location.path, defaultComponent]);
 
   /**
    * Handle navigation menu item click
    * @param {string} componentId - ID of the component to activate
    */
   const handleMenuItemClick = (componentId) => {
-    setActiveComponent(componentId);
+    router.navigate(getModule(componentId).path);
   };
 
   /**
@@ -58,8 +65,21 @@ const Dashboard = () => {
     }
   };
 
+  if (lockedOut) {
+    return <MaintenanceScreen message={maintenanceStatus.message} />;
+  }
+
   return (
     <div className="container-fluid p-0">
+      {maintenanceStatus.enabled && (
+        <MaintenanceBanner
+          message={maintenanceStatus.message}
+          onOpenSettings={settingsModule ? () => router.navigate(settingsModule.path) : null}
+        />
+      )}
+
+      <RateLimitNotice />
+
       <div className="row g-0">
         {/* Navigation Sidebar */}
         <Navigation
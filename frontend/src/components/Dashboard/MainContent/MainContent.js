@@ -1,62 +1,26 @@
-import React from 'react';
+import React, { Suspense } from 'react';
 import './MainContent.css';
-import ApiTest from '../../dev/ApiTest/ApiTest';
-import DatabaseManager from '../../dev/DatabaseManager/DatabaseManager';
-import SettingsForm from '../../app/SettingsForm/SettingsForm';
-
-/**
- * Component registry mapping component IDs to their React components
- * This makes it easy to add new components without modifying the render logic
- */
-const componentRegistry = {
-    'database': {
-        component: DatabaseManager,
-        title: 'Database Manager',
-        description: 'Manage database tables and structure'
-    },
-    'api': {
-        component: ApiTest,
-        title: 'API Tester',
-        description: 'Test backend API endpoints'
-    },
-    'settings': {
-        component: SettingsForm,
-        title: 'Settings',
-        description: 'Application settings and configuration'
-    }
-    // Add new components here as they're created:
-    // 'users': {
-    //   component: UserManager,
-    //   title: 'User Management',
-    //   description: 'Manage user accounts and permissions'
-    // }
-};
-
-/**
- * Get component configuration by ID
- * @param {string} componentId - ID of the component
- * @return {Object|null} Component configuration object
- */
-const getComponentConfig = (componentId) => {
-    return componentRegistry[componentId] || null;
-};
+import ModuleErrorBoundary from '../ModuleErrorBoundary/ModuleErrorBoundary';
+import { getModule, getModules, getModuleName, canOpenModule, reloadModule } from '../moduleRegistry';
+import { i18n } from '../../../services';
 
 /**
  * Get list of available components for debugging/development
  * @return {Array} Array of available component IDs
  */
 const getAvailableComponents = () => {
-    return Object.keys(componentRegistry);
+    return getModules().map((module) => module.id);
 };
 
 /**
  * MainContent Component
  * 
  * Renders the main content area of the dashboard based on the active component.
- * Manages component routing and provides a consistent layout wrapper.
+ * Components come from the module registry and are loaded on demand; each one
+ * renders inside its own error boundary so a crash stays within that module.
  * 
  * @param {Object} props
- * @param {string} props.activeComponent - ID of the currently active component
+ * @param {string} props.activeComponent - ID of the currently active component (or the unmatched URL path)
  * @param {Object} props.componentProps - Props to pass to the active component
  * @param {string} props.className - Additional CSS classes for the container
  * @param {Function} props.onComponentChange - Callback when component changes (optional)
@@ -67,36 +31,73 @@ const MainContent = ({
     className = "",
     onComponentChange
 }) => {
+    const { t } = i18n.useTranslation();
+
+    // Bumped by "Try again" so the module is rendered from a fresh error boundary
+    const [attempt, setAttempt] = React.useState(0);
+
+    /**
+     * Load the active module again after it crashed
+     * @param {string} moduleId - Module ID
+     */
+    const retryModule = (moduleId) => {
+        reloadModule(moduleId);
+        setAttempt((current) => current + 1);
+    };
 
     /**
      * Render the active component based on current selection
      * @return {JSX.Element} The active component or fallback
      */
     const renderActiveComponent = () => {
-        const config = getComponentConfig(activeComponent);
+        const module = getModule(activeComponent);
 
-        if (!config) {
-            // Fallback to default component if activeComponent is not found
-            const defaultConfig = getComponentConfig('database');
-            if (defaultConfig) {
-                const DefaultComponent = defaultConfig.component;
-                return <DefaultComponent {...componentProps} />;
-            }
-
-            // Ultimate fallback if no components are available
+        if (!module) {
+            // Fallback for unknown components and URLs
             return (
                 <div className="text-center py-5">
                     <div className="text-muted">
                         <span className="fs-1 d-block mb-3" role="img" aria-label="Warning">⚠️</span>
-                        <h4 className="mb-3">Component Not Found</h4>
-                        <p>The requested component "{activeComponent}" is not available.</p>
+                        <h4 className="mb-3">{t('mainContent.notFoundTitle')}</h4>
+                        <p>{t('mainContent.notFoundMessage', { component: activeComponent })}</p>
+                    </div>
+                </div>
+            );
+        }
+
+        if (!canOpenModule(module)) {
+            return (
+                <div className="text-center py-5">
+                    <div className="text-muted">
+                        <span className="fs-1 d-block mb-3" role="img" aria-label="Locked">🔒</span>
+                        <h4 className="mb-3">{t('mainContent.accessDeniedTitle')}</h4>
+                        <p>{t('mainContent.accessDeniedMessage', { module: getModuleName(module) })}</p>
                     </div>
                 </div>
             );
         }
 
-        const ActiveComponent = config.component;
-        return <ActiveComponent {...componentProps} />;
+        const ActiveComponent = module.component;
+
+        // Keyed by module (and retry) so switching modules or retrying clears a previous crash
+        return (
+            <ModuleErrorBoundary
+                key={`${module.id}-${attempt}`}
+                moduleName={getModuleName(module)}
+                onRetry={() => retryModule(module.id)}
+            >
+                <Suspense
+                    fallback={(
+                        <div className="text-center py-5">
+                            <div className="spinner-border text-primary mb-3" role="status" aria-hidden="true"></div>
+                            <p className="text-muted">{t('mainContent.loadingModule', { module: getModuleName(module) })}</p>
+                        </div>
+                    )}
+                >
+                    <ActiveComponent {...componentProps} />
+                </Suspense>
+            </ModuleErrorBoundary>
+        );
     };
 
     /**
@@ -104,8 +105,7 @@ const MainContent = ({
      */
     React.useEffect(() => {
         if (onComponentChange) {
-            const config = getComponentConfig(activeComponent);
-            onComponentChange(activeComponent, config);
+            onComponentChange(activeComponent, getModule(activeComponent));
         }
     }, [activeComponent, onComponentChange]);
 
@@ -119,7 +119,7 @@ const MainContent = ({
 
     return (
         <div className={`col-md-9 col-lg-10 ${className}`}>
-            <div className="bg-white min-vh-100">
+            <div className="bg-body min-vh-100">
                 <div className="main-content-wrapper p-4">
                     {/* Optional: Component header for debugging */}
                     {process.env.NODE_ENV === 'development' && (
@@ -0,0 +1,35 @@
+import React from 'react';
+import './MaintenanceBanner.css';
+import { i18n } from '../../../services';
+
+/**
+ * MaintenanceBanner Component
+ *
+ * Reminds admins, who keep access during maintenance, that everyone else is
+ * locked out, with a shortcut to the setting that turns it off.
+ *
+ * @param {Object} props
+ * @param {string} props.message - Maintenance message shown to locked-out users
+ * @param {Function} props.onOpenSettings - Callback to open the settings screen (omit to hide the link)
+ */
+const MaintenanceBanner = ({ message, onOpenSettings }) => {
+  const { t } = i18n.useTranslation();
+
+  return (
+    <div className="maintenance-banner alert alert-warning rounded-0 border-0 border-bottom mb-0 d-flex flex-wrap align-items-center gap-2" role="status">
+      <span role="img" aria-hidden="true">🚧</span>
+      <strong>{t('maintenance.bannerTitle')}</strong>
+      <span className="flex-grow-1">
+        {t('maintenance.bannerText')}
+        {message && <em className="text-body-secondary ms-1">{message}</em>}
+      </span>
+      {onOpenSettings && (
+        <button type="button" className="btn btn-warning btn-sm" onClick={onOpenSettings}>
+          {t('maintenance.turnOff')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MaintenanceBanner;
@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import './MaintenanceScreen.css';
+import { maintenance, i18n } from '../../../services';
+
+// How often to check whether maintenance is over
+const CHECK_INTERVAL_MS = 30000;
+
+/**
+ * MaintenanceScreen Component
+ *
+ * Shown instead of the dashboard while the application is in maintenance
+ * mode and the user's role can't bypass it. Checks every 30 seconds (or on
+ * demand) whether maintenance is over; the dashboard comes back by itself.
+ *
+ * @param {Object} props
+ * @param {string} props.message - Maintenance message configured by an admin
+ */
+const MaintenanceScreen = ({ message }) => {
+  const { t } = i18n.useTranslation();
+  const [checking, setChecking] = useState(false);
+
+  /**
+   * Ask the backend whether maintenance mode is still on
+   */
+  const checkAgain = async () => {
+    setChecking(true);
+
+    try {
+      await maintenance.refresh();
+    } catch (err) {
+      console.error('Maintenance status error:', err);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Check periodically so the dashboard returns once maintenance ends; polling
+  // isn't user activity, so an unattended screen still reaches the idle timeout
+  useEffect(() => {
+    const timer = setInterval(() => {
+      maintenance.refresh({ trackActivity: false }).catch((err) => console.error('Maintenance status error:', err));
+    }, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="maintenance-screen container py-5">
+      <div className="card shadow-sm mx-auto">
+        <div className="card-body text-center p-5">
+          <span className="fs-1 d-block mb-3" role="img" aria-label={t('maintenance.title')}>🚧</span>
+          <h3 className="mb-3">{t('maintenance.title')}</h3>
+          <p className="maintenance-message lead">{message || t('maintenance.defaultMessage')}</p>
+          <p className="text-muted small">{t('maintenance.adminsOnly')}</p>
+          <button type="button" className="btn btn-outline-primary" onClick={checkAgain} disabled={checking}>
+            {checking ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                {t('maintenance.checking')}
+              </>
+            ) : (
+              <>
+                <span className="me-2">🔄</span>
+                {t('maintenance.checkAgain')}
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MaintenanceScreen;
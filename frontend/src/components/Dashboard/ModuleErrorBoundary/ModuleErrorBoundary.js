@@ -0,0 +1,75 @@
+import React from 'react';
+import './ModuleErrorBoundary.css';
+import { i18n } from '../../../services';
+
+/**
+ * ModuleErrorBoundary Component
+ *
+ * Catches render errors (and failed chunk loads) inside one dashboard module
+ * so the navigation and the rest of the dashboard keep working. Error
+ * boundaries have to be class components, so messages come from i18n.t and
+ * follow language changes when MainContent re-renders.
+ *
+ * @param {Object} props
+ * @param {string} props.moduleName - Name of the module, shown in the error message
+ * @param {Function} props.onRetry - Called by "Try again" to load and render the module
+ *   afresh (a chunk that failed to load stays failed otherwise); without it the
+ *   module is only rendered again
+ * @param {React.ReactNode} props.children - Module content
+ */
+class ModuleErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error(`Module "${this.props.moduleName}" crashed:`, error, info.componentStack);
+  }
+
+  /**
+   * Render the module again
+   */
+  handleRetry = () => {
+    if (this.props.onRetry) {
+      this.props.onRetry();
+    } else {
+      this.setState({ error: null });
+    }
+  };
+
+  render() {
+    const { error } = this.state;
+    const { t } = i18n;
+
+    if (!error) {
+      return this.props.children;
+    }
+
+    return (
+      <div className="module-error text-center py-5">
+        <div className="text-muted">
+          <span className="fs-1 d-block mb-3" role="img" aria-label="Error">💥</span>
+          <h4 className="mb-3">{t('mainContent.crashedTitle', { module: this.props.moduleName })}</h4>
+          <p>{t('mainContent.crashedMessage')}</p>
+          <pre className="module-error-message small text-danger">{error.message}</pre>
+          <div className="d-flex justify-content-center gap-2">
+            <button type="button" className="btn btn-primary btn-sm" onClick={this.handleRetry}>
+              <span className="me-1">🔄</span>
+              {t('mainContent.tryAgain')}
+            </button>
+            <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => window.location.reload()}>
+              {t('mainContent.reloadPage')}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+}
+
+export default ModuleErrorBoundary;
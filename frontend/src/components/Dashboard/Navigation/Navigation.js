@@ -1,5 +1,7 @@
 import React from 'react';
 import './Navigation.css';
+import { getModuleName, getModuleDescription } from '../moduleRegistry';
+import { i18n } from '../../../services';
 
 /**
  * Navigation Component
@@ -19,6 +21,7 @@ const Navigation = ({
     onMenuItemClick,
     className = ""
 }) => {
+    const { t } = i18n.useTranslation();
 
     // Group menu items by category
     const groupedMenuItems = menuItems.reduce((groups, item) => {
@@ -45,14 +48,11 @@ const Navigation = ({
      * @param {string} category - Category key
      * @return {string} Display name for the category
      */
-    const getCategoryDisplayName = (category) => {
-        const categoryNames = {
-            'dev': 'Development Tools',
-            'app': 'Application',
-            'general': 'General'
-        };
-        return categoryNames[category] || category.charAt(0).toUpperCase() + category.slice(1);
-    };
+    const getCategoryDisplayName = (category) => (
+        t(`nav.categories.${category}`, {
+            defaultValue: category.charAt(0).toUpperCase() + category.slice(1)
+        })
+    );
 
     /**
      * Render a single menu item
@@ -67,16 +67,16 @@ const Navigation = ({
                 : 'btn-outline-light text-white'
                 }`}
             onClick={() => handleMenuItemClick(item.id)}
-            title={item.description}
+            title={getModuleDescription(item)}
         >
             <div className="d-flex align-items-center">
-                <span className="fs-5 me-3" role="img" aria-label={item.name}>
+                <span className="fs-5 me-3" role="img" aria-label={getModuleName(item)}>
                     {item.icon}
                 </span>
                 <div>
-                    <div className="fw-semibold">{item.name}</div>
+                    <div className="fw-semibold">{getModuleName(item)}</div>
                     <small className={activeComponent === item.id ? 'text-muted' : 'text-white-75'}>
-                        {item.description}
+                        {getModuleDescription(item)}
                     </small>
                 </div>
             </div>
@@ -107,14 +107,14 @@ const Navigation = ({
 
     return (
         <div className={`col-md-3 col-lg-2 ${className}`}>
-            <div className="bg-primary text-white p-0 min-vh-100 shadow-sm">
+            <div className="dashboard-nav text-white p-0 min-vh-100 shadow-sm">
                 {/* Navigation Header */}
                 <div className="p-4 border-bottom border-white border-opacity-25">
                     <h4 className="mb-2 fw-bold">
-                        <span className="me-2" role="img" aria-label="Dashboard">🛠️</span>
-                        Dashboard
+                        <span className="me-2" role="img" aria-label={t('nav.title')}>🛠️</span>
+                        {t('nav.title')}
                     </h4>
-                    <small className="text-white-50">Development & App Tools</small>
+                    <small className="text-white-50">{t('nav.subtitle')}</small>
                 </div>
 
                 {/* Navigation Menu */}
@@ -126,7 +126,7 @@ const Navigation = ({
                     {/* Show message if no menu items */}
                     {menuItems.length === 0 && (
                         <div className="text-center text-white-50 py-4">
-                            <small>No menu items available</small>
+                            <small>{t('nav.empty')}</small>
                         </div>
                     )}
                 </nav>
@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react';
+import './RateLimitNotice.css';
+import { rateLimit, i18n } from '../../../services';
+
+/**
+ * RateLimitNotice Component
+ *
+ * Counts down while requests refused by the API rate limit wait to be
+ * retried, so a slow screen reads as "rate limited" rather than broken.
+ * Renders nothing the rest of the time.
+ */
+const RateLimitNotice = () => {
+  const { t } = i18n.useTranslation();
+  const { retryAt } = rateLimit.useRateLimit();
+  const [now, setNow] = useState(Date.now());
+
+  // Tick once a second while a retry is pending
+  useEffect(() => {
+    if (!retryAt) {
+      return undefined;
+    }
+
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
+  if (!retryAt) {
+    return null;
+  }
+
+  const seconds = Math.max(1, Math.ceil((retryAt - now) / 1000));
+
+  // The rest of a long window reads better in minutes
+  const countdown = seconds >= 60
+    ? t('rateLimit.retryingMinutes', { count: Math.ceil(seconds / 60) })
+    : t('rateLimit.retrying', { count: seconds });
+
+  return (
+    <div className="rate-limit-notice alert alert-info rounded-0 border-0 border-bottom mb-0 d-flex align-items-center gap-2" role="status">
+      <span className="spinner-border spinner-border-sm" aria-hidden="true"></span>
+      <strong>{t('rateLimit.title')}</strong>
+      <span>{countdown}</span>
+    </div>
+  );
+};
+
+export default RateLimitNotice;
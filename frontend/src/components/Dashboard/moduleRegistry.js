@@ -0,0 +1,140 @@
+import { lazy } from 'react';
+import { authSession, i18n } from '../../services';
+
+/**
+ * Dashboard Module Registry
+ *
+ * The single place dashboard screens are declared. Each module registers its
+ * id, route, navigation entry and the permission its users' role must grant,
+ * together with a function importing its component, so every screen is its
+ * own chunk loaded on first use:
+ *
+ *   registerModule({
+ *     id: 'users',
+ *     path: '/users',
+ *     name: 'User Management',
+ *     icon: '👥',
+ *     description: 'Create, rename and delete user accounts',
+ *     category: 'app',
+ *     permission: 'users.manage',
+ *     load: () => import('../app/UserManager/UserManager')
+ *   });
+ *
+ * Navigation and MainContent both read from here. The built-in modules are
+ * registered in modules.js. Names and descriptions are shown translated from
+ * the `modules.<id>` catalog entries when there are any.
+ */
+
+const REQUIRED_FIELDS = ['id', 'path', 'name'];
+
+const modules = [];
+
+/**
+ * Register a dashboard module
+ * @param {Object} module
+ * @param {string} module.id - Unique module ID
+ * @param {string} module.path - URL path; deeper paths also belong to the module
+ * @param {string} module.name - Navigation and page name
+ * @param {string} module.icon - Navigation icon (emoji)
+ * @param {string} module.description - Navigation description
+ * @param {string} module.category - Navigation group ('dev', 'app', ...)
+ * @param {string} module.permission - Permission needed to open the module (omit for everyone)
+ * @param {Function} module.load - Dynamic import of the module's component (() => import(...))
+ * @param {React.ComponentType} module.component - Component, for modules that are not loaded lazily
+ * @return {Object} The registered module; `component` is lazily loaded through `load` when given
+ */
+export const registerModule = (module) => {
+  const missing = REQUIRED_FIELDS.filter((field) => !module[field]);
+
+  if (!module.load && !module.component) {
+    missing.push('load');
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Dashboard module "${module.id || '?'}" is missing: ${missing.join(', ')}`);
+  }
+
+  if (!module.path.startsWith('/') || module.path === '/') {
+    throw new Error(`Dashboard module "${module.id}" needs a path below "/"`);
+  }
+
+  const clash = modules.find((existing) => existing.id === module.id || existing.path === module.path);
+  if (clash) {
+    throw new Error(`Dashboard module "${module.id}" clashes with the registered module "${clash.id}"`);
+  }
+
+  const registered = {
+    icon: '📦',
+    description: '',
+    category: 'general',
+    permission: null,
+    ...module
+  };
+
+  if (registered.load) {
+    registered.component = lazy(registered.load);
+  }
+
+  modules.push(registered);
+  return registered;
+};
+
+/**
+ * Get all registered modules in registration order
+ * @return {Array<Object>} Modules
+ */
+export const getModules = () => modules;
+
+/**
+ * Get a module by ID
+ * @param {string} moduleId - Module ID
+ * @return {Object|null} Module, or null when none is registered under the ID
+ */
+export const getModule = (moduleId) => modules.find((module) => module.id === moduleId) || null;
+
+/**
+ * Find the module a URL path belongs to
+ * @param {string} path - URL path (e.g. /database/tables/user)
+ * @return {Object|null} Module, or null when no module matches
+ */
+export const findModuleByPath = (path) => (
+  modules.find((module) => path === module.path || path.startsWith(`${module.path}/`)) || null
+);
+
+/**
+ * Load a lazily loaded module's code again, e.g. after its chunk failed to load
+ *
+ * React.lazy keeps a failed import for good, so the module gets a fresh lazy
+ * component; render `module.component` again to use it.
+ * @param {string} moduleId - Module ID
+ */
+export const reloadModule = (moduleId) => {
+  const module = getModule(moduleId);
+
+  if (module && module.load) {
+    module.component = lazy(module.load);
+  }
+};
+
+/**
+ * Get a module's name in the current language
+ * @param {Object} module - Module
+ * @return {string} Translated name, or the registered name when there is no translation
+ */
+export const getModuleName = (module) => i18n.t(`modules.${module.id}.name`, { defaultValue: module.name });
+
+/**
+ * Get a module's description in the current language
+ * @param {Object} module - Module
+ * @return {string} Translated description, or the registered description when there is no translation
+ */
+export const getModuleDescription = (module) => (
+  i18n.t(`modules.${module.id}.description`, { defaultValue: module.description })
+);
+
+/**
+ * Check whether the signed-in user's role may open a module
+ * @param {Object} module - Module
+ * @return {boolean} True if allowed
+ */
+export const canOpenModule = (module) => !module.permission || authSession.hasPermission(module.permission);
@@ -0,0 +1,96 @@
+import { registerModule } from './moduleRegistry';
+
+/**
+ * Built-in Dashboard Modules
+ *
+ * Registers the screens shipped with the app, in navigation order. Each
+ * component is loaded on first use.
+ */
+
+registerModule({
+  id: 'database',
+  path: '/database',
+  name: 'Database Manager',
+  icon: '🗄️',
+  description: 'Manage database tables and structure',
+  category: 'dev',
+  permission: 'schema.read',
+  load: () => import('../dev/DatabaseManager/DatabaseManager')
+});
+
+registerModule({
+  id: 'api',
+  path: '/api-tester',
+  name: 'API Tester',
+  icon: '🔗',
+  description: 'Test backend API endpoints',
+  category: 'dev',
+  permission: 'query.read',
+  load: () => import('../dev/ApiTest/ApiTest')
+});
+
+registerModule({
+  id: 'audit',
+  path: '/audit',
+  name: 'Audit Log',
+  icon: '📜',
+  description: 'Review who changed which table, when and how',
+  category: 'dev',
+  permission: 'audit.read',
+  load: () => import('../dev/AuditLog/AuditLog')
+});
+
+registerModule({
+  id: 'migrations',
+  path: '/migrations',
+  name: 'Migrations',
+  icon: '🧬',
+  description: 'Apply or roll back migrations generated from schema changes',
+  category: 'dev',
+  permission: 'migrations.read',
+  load: () => import('../dev/Migrations/Migrations')
+});
+
+registerModule({
+  id: 'trash',
+  path: '/trash',
+  name: 'Trash',
+  icon: '🗑️',
+  description: 'Restore or purge dropped tables and columns',
+  category: 'dev',
+  permission: 'schema.read',
+  load: () => import('../dev/Trash/Trash')
+});
+
+registerModule({
+  id: 'settings',
+  path: '/settings',
+  name: 'Settings',
+  icon: '⚙️',
+  description: 'Application settings and configuration',
+  category: 'app',
+  permission: 'config.read',
+  load: () => import('../app/SettingsForm/SettingsForm')
+});
+
+registerModule({
+  id: 'config',
+  path: '/config',
+  name: 'Configuration',
+  icon: '🧩',
+  description: 'Browse and edit all configuration keys',
+  category: 'app',
+  permission: 'config.read',
+  load: () => import('../app/ConfigEditor/ConfigEditor')
+});
+
+registerModule({
+  id: 'users',
+  path: '/users',
+  name: 'User Management',
+  icon: '👥',
+  description: 'Create, rename and delete user accounts',
+  category: 'app',
+  permission: 'users.manage',
+  load: () => import('../app/UserManager/UserManager')
+});
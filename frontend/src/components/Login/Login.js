@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import './Login.css';
+import { authApi, i18n } from '../../services';
+
+/**
+ * Login Component
+ *
+ * Sign-in form shown in front of the dashboard. A successful sign-in stores
+ * the session, which switches the app over to the dashboard.
+ *
+ * @param {Object} props
+ * @param {string} props.notice - Message explaining why sign-in is needed (e.g. an expired session)
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const Login = ({ notice = null, className = '' }) => {
+  const { t } = i18n.useTranslation();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Sign in with the entered credentials
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      await authApi.login(username.trim(), password);
+    } catch (err) {
+      setError(err.status === 401 ? t('login.invalidCredentials') : err.message);
+      setPassword('');
+      console.error('Login error:', err);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className={`login container py-5 ${className}`}>
+      <div className="card shadow-sm login-card mx-auto">
+        <div className="card-body p-4">
+          <h2 className="h4 mb-1">
+            <span className="me-2">🔐</span>
+            {t('login.title')}
+          </h2>
+          <p className="text-muted small mb-4">{t('login.subtitle')}</p>
+
+          {notice && !error && (
+            <div className="alert alert-warning py-2 small" role="status">{notice}</div>
+          )}
+
+          {error && (
+            <div className="alert alert-danger py-2 small" role="alert">{error}</div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <div className="mb-3">
+              <label htmlFor="loginUsername" className="form-label">{t('login.username')}</label>
+              <input
+                id="loginUsername"
+                type="text"
+                className="form-control"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                autoComplete="username"
+                disabled={loading}
+                autoFocus
+                required
+              />
+            </div>
+            <div className="mb-4">
+              <label htmlFor="loginPassword" className="form-label">{t('login.password')}</label>
+              <input
+                id="loginPassword"
+                type="password"
+                className="form-control"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                disabled={loading}
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              className="btn btn-primary w-100"
+              disabled={loading || !username.trim() || !password}
+            >
+              {loading && <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>}
+              {t('login.submit')}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
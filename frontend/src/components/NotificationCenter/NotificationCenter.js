@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import './NotificationCenter.css';
+import { notifications, i18n } from '../../services';
+
+/**
+ * NotificationCenter Component
+ *
+ * Bell button with the number of unread notifications that opens a drawer
+ * listing past notifications, newest first, with their actions. Opening the
+ * drawer marks everything as read.
+ */
+const NotificationCenter = () => {
+  const { t, formatDate } = i18n.useTranslation();
+  const { history, unread } = notifications.useNotifications();
+  const [open, setOpen] = useState(false);
+
+  // Notifications arriving while the drawer is open are read straight away
+  useEffect(() => {
+    if (open) {
+      notifications.markAllRead();
+    }
+  }, [open, unread]);
+
+  // Close on Escape
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [open]);
+
+  /**
+   * Run a notification's action from the drawer
+   * @param {Object} notification - Notification
+   */
+  const handleAction = (notification) => {
+    setOpen(false);
+    notification.action.onClick();
+  };
+
+  return (
+    <div className="notification-center">
+      <button
+        type="button"
+        className="btn btn-outline-light btn-sm position-relative"
+        onClick={() => setOpen(true)}
+        aria-label={t('notifications.open', { count: unread })}
+        title={t('notifications.title')}
+      >
+        <span aria-hidden="true">🔔</span>
+        {unread > 0 && (
+          <span className="notification-count position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger">
+            {unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <>
+          <div className="offcanvas offcanvas-end show" tabIndex="-1" role="dialog" aria-labelledby="notification-center-title">
+            <div className="offcanvas-header border-bottom">
+              <h5 className="offcanvas-title" id="notification-center-title">
+                <span className="me-2" aria-hidden="true">🔔</span>
+                {t('notifications.title')}
+              </h5>
+              <button type="button" className="btn-close" aria-label={t('common.close')} onClick={() => setOpen(false)}></button>
+            </div>
+
+            <div className="offcanvas-body p-0">
+              {history.length === 0 ? (
+                <p className="text-muted text-center p-4 mb-0">{t('notifications.empty')}</p>
+              ) : (
+                <ul className="list-group list-group-flush">
+                  {history.map((notification) => (
+                    <li key={notification.id} className="list-group-item d-flex gap-2">
+                      <span aria-hidden="true">{notifications.SEVERITIES[notification.severity]}</span>
+                      <div className="flex-grow-1">
+                        <div>{notification.message}</div>
+                        <small className="text-body-secondary">
+                          {formatDate(notification.createdAt, { dateStyle: 'short', timeStyle: 'short' })}
+                        </small>
+                        {notification.action && (
+                          <button
+                            type="button"
+                            className="btn btn-link btn-sm p-0 ms-2 align-baseline"
+                            onClick={() => handleAction(notification)}
+                          >
+                            {notification.action.label}
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {history.length > 0 && (
+              <div className="border-top p-3 text-end">
+                <button type="button" className="btn btn-outline-secondary btn-sm" onClick={notifications.clearHistory}>
+                  {t('notifications.clear')}
+                </button>
+              </div>
+            )}
+          </div>
+          <div className="offcanvas-backdrop fade show" onClick={() => setOpen(false)}></div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
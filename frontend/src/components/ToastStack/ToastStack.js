@@ -0,0 +1,71 @@
+import React from 'react';
+import './ToastStack.css';
+import { notifications, i18n } from '../../services';
+
+/**
+ * ToastStack Component
+ *
+ * Shows the notifications currently on screen as a stack of Bootstrap toasts
+ * in the bottom-right corner, newest at the bottom. Each toast can be closed
+ * early, and runs its action (if any) and closes when the action is clicked.
+ */
+const ToastStack = () => {
+  const { t, formatDate } = i18n.useTranslation();
+  const { toasts } = notifications.useNotifications();
+
+  if (toasts.length === 0) {
+    return null;
+  }
+
+  /**
+   * Run a toast's action and take the toast away
+   * @param {Object} toast - Notification
+   */
+  const handleAction = (toast) => {
+    notifications.dismiss(toast.id);
+    toast.action.onClick();
+  };
+
+  return (
+    <div className="toast-stack toast-container position-fixed bottom-0 end-0 p-3" aria-live="polite">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className={`toast show border-${toast.severity}`}
+          role={toast.severity === 'danger' ? 'alert' : 'status'}
+          aria-atomic="true"
+        >
+          <div className="toast-header">
+            <span className="me-2" aria-hidden="true">{notifications.SEVERITIES[toast.severity]}</span>
+            <strong className={`me-auto text-${toast.severity}-emphasis`}>
+              {t(`notifications.severities.${toast.severity}`)}
+            </strong>
+            <small className="text-body-secondary">{formatDate(toast.createdAt, { timeStyle: 'short' })}</small>
+            <button
+              type="button"
+              className="btn-close ms-2"
+              aria-label={t('notifications.dismiss')}
+              onClick={() => notifications.dismiss(toast.id)}
+            ></button>
+          </div>
+          <div className="toast-body">
+            {toast.message}
+            {toast.action && (
+              <div className="mt-2 pt-2 border-top">
+                <button
+                  type="button"
+                  className={`btn btn-sm btn-outline-${toast.severity}`}
+                  onClick={() => handleAction(toast)}
+                >
+                  {toast.action.label}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ToastStack;
@@ -0,0 +1,592 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import './ConfigEditor.css';
+import { configApi, authSession, notifications, i18n } from '../../../services';
+import { saveBlob } from '../../../utils/download';
+
+const VALUE_TYPES = ['string', 'int', 'bool'];
+
+const EMPTY_ENTRY = { name: '', type: 'string', input: '' };
+
+/**
+ * Convert a typed value into form input text
+ * @param {*} value - Typed config value
+ * @return {string} Input text
+ */
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Convert form input text into a typed config value
+ * @param {string} input - Input text
+ * @param {string} type - 'bool', 'int' or 'string'
+ * @return {*} Typed value
+ * @throws {Error} When the input is not a valid integer
+ */
+const parseInput = (input, type) => {
+  if (type === 'bool') {
+    return input === 'true';
+  }
+  if (type === 'int') {
+    if (!/^-?\d+$/.test(input.trim())) {
+      throw new Error(i18n.t('config.notInteger'));
+    }
+    return Number.parseInt(input, 10);
+  }
+  return input;
+};
+
+/**
+ * Parse an imported config file into values keyed by name
+ *
+ * Accepts the exported format ({ "name": value }) or a list of
+ * { name, value } entries.
+ *
+ * @param {string} text - File contents
+ * @return {Object} Values keyed by config name
+ * @throws {Error} When the file is not valid config JSON
+ */
+const parseConfigFile = (text) => {
+  const data = JSON.parse(text);
+  const values = Array.isArray(data)
+    ? data.reduce((map, entry) => ({ ...map, [entry?.name]: entry?.value }), {})
+    : data;
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(i18n.t('config.fileNotObject'));
+  }
+
+  Object.entries(values).forEach(([name, value]) => {
+    if (!name || name === 'undefined') {
+      throw new Error(i18n.t('config.fileMissingName'));
+    }
+    if (!['boolean', 'number', 'string'].includes(typeof value)) {
+      throw new Error(i18n.t('config.fileInvalidValue', { name }));
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Format a database timestamp for display
+ * @param {string} timestamp - Timestamp string
+ * @return {string} Localized date and time
+ */
+const formatTimestamp = (timestamp) => (
+  timestamp ? i18n.formatDate(timestamp, { dateStyle: 'medium', timeStyle: 'medium' }) : '—'
+);
+
+/**
+ * ConfigEditor Component
+ *
+ * Generic editor for every key of the backend `config` table: lists keys with
+ * their type, core flag and timestamps, edits values inline, adds and deletes
+ * non-core keys, and imports or exports the whole configuration as JSON.
+ * Roles without config.write can only browse and export.
+ *
+ * @param {Object} props
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const ConfigEditor = ({ className = '' }) => {
+  const { t } = i18n.useTranslation();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newEntry, setNewEntry] = useState(EMPTY_ENTRY);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const fileInputRef = useRef(null);
+  const working = pendingAction !== null;
+  const canEdit = authSession.hasPermission('config.write');
+
+  // Fetch all config entries
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const data = await configApi.getConfig();
+      setEntries(data.entries);
+    } catch (err) {
+      notifications.error(i18n.t('config.loadFailed', { message: err.message }));
+      console.error('Fetch config error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  /**
+   * Save the value being edited inline
+   */
+  const saveEdit = async () => {
+    setPendingAction('save');
+
+    try {
+      const value = parseInput(editing.input, editing.type);
+      const result = await configApi.updateConfig({ [editing.name]: value });
+
+      setEntries(result.entries);
+      setEditing(null);
+      notifications.success(t('config.updated', { name: editing.name }));
+    } catch (err) {
+      notifications.error(t('config.updateFailed', { message: err.message }));
+      console.error('Update config error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Create a new config key
+   * @param {Event} e - Form submit event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setPendingAction('create');
+
+    try {
+      const name = newEntry.name.trim();
+      await configApi.createConfig(name, parseInput(newEntry.input, newEntry.type));
+
+      setShowAddForm(false);
+      setNewEntry(EMPTY_ENTRY);
+      notifications.success(t('config.created', { name }));
+      fetchEntries();
+    } catch (err) {
+      notifications.error(t('config.createFailed', { message: err.message }));
+      console.error('Create config error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Delete a non-core config key
+   * @param {string} name - Config name
+   */
+  const handleDelete = async (name) => {
+    if (!window.confirm(t('config.confirmDelete', { name }))) {
+      return;
+    }
+
+    setPendingAction('delete');
+
+    try {
+      await configApi.deleteConfig(name);
+
+      setEntries((prev) => prev.filter((entry) => entry.name !== name));
+      notifications.success(t('config.deleted', { name }));
+    } catch (err) {
+      notifications.error(t('config.deleteFailed', { message: err.message }));
+      console.error('Delete config error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Download the whole configuration as JSON
+   */
+  const handleExport = () => {
+    const json = JSON.stringify(configApi.toValueMap(entries), null, 2);
+    saveBlob(new Blob([json], { type: 'application/json' }), 'config.json');
+  };
+
+  /**
+   * Read an imported file and show what it would change
+   * @param {Event} e - File input change event
+   */
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      setPendingImport({
+        fileName: file.name,
+        values: parseConfigFile(await file.text()),
+        replace: false
+      });
+    } catch (err) {
+      notifications.error(t('config.readFailed', { file: file.name, message: err.message }));
+    }
+  };
+
+  /**
+   * Apply the pending import, merging into or replacing the configuration
+   */
+  const applyImport = async () => {
+    setPendingAction('import');
+
+    try {
+      const result = pendingImport.replace
+        ? await configApi.replaceConfig(pendingImport.values)
+        : await configApi.updateConfig(pendingImport.values);
+
+      setEntries(result.entries);
+      setPendingImport(null);
+      notifications.success([
+        t('config.imported', { count: Object.keys(pendingImport.values).length }),
+        result.created.length ? t('config.importCreated', { count: result.created.length }) : null,
+        result.deleted.length ? t('config.importDeleted', { count: result.deleted.length }) : null
+      ].filter(Boolean).join(', '));
+    } catch (err) {
+      notifications.error(t('config.importFailed', { message: err.message }));
+      console.error('Import config error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Render a value input matching the value type
+   * @param {string} id - Input ID
+   * @param {string} type - 'bool', 'int' or 'string'
+   * @param {string} input - Current input text
+   * @param {Function} onChange - Callback with the new input text
+   */
+  const renderValueInput = (id, type, input, onChange) => {
+    if (type === 'bool') {
+      return (
+        <select
+          id={id}
+          className="form-select form-select-sm"
+          value={input === 'true' ? 'true' : 'false'}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={working}
+        >
+          <option value="true">true</option>
+          <option value="false">false</option>
+        </select>
+      );
+    }
+
+    return (
+      <input
+        id={id}
+        type={type === 'int' ? 'number' : 'text'}
+        step={type === 'int' ? 1 : undefined}
+        className="form-control form-control-sm"
+        value={input}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={working}
+      />
+    );
+  };
+
+  const term = search.trim().toLowerCase();
+  const visibleEntries = term
+    ? entries.filter((entry) => entry.name.toLowerCase().includes(term)
+      || toInput(entry.value).toLowerCase().includes(term))
+    : entries;
+
+  const importNames = pendingImport ? Object.keys(pendingImport.values) : [];
+  const existingNames = entries.map((entry) => entry.name);
+  const importNewNames = importNames.filter((name) => !existingNames.includes(name));
+  const importDeletedNames = pendingImport && pendingImport.replace
+    ? entries.filter((entry) => !entry.core && !importNames.includes(entry.name)).map((entry) => entry.name)
+    : [];
+
+  return (
+    <div className={`config-editor container-fluid ${className}`}>
+      {/* Header */}
+      <div className="row mb-4">
+        <div className="col">
+          <h2 className="mb-3">
+            <span className="me-2">🧩</span>
+            {t('config.title')}
+          </h2>
+          <p className="text-muted">{t('config.subtitle')}</p>
+        </div>
+      </div>
+
+      {/* Toolbar */}
+      <div className="d-flex flex-wrap gap-2 mb-3">
+        <input
+          type="search"
+          className="form-control config-search"
+          placeholder={t('config.searchPlaceholder')}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          aria-label={t('config.searchLabel')}
+        />
+        {canEdit && (
+          <>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={() => setShowAddForm(!showAddForm)}
+              disabled={working}
+            >
+              <span className="me-2">{showAddForm ? '❌' : '➕'}</span>
+              {showAddForm ? t('common.cancel') : t('config.addKey')}
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline-primary"
+              onClick={() => fileInputRef.current.click()}
+              disabled={working}
+            >
+              <span className="me-2">📥</span>
+              {t('config.importJson')}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              className="d-none"
+              onChange={handleImportFile}
+            />
+          </>
+        )}
+        <button
+          type="button"
+          className="btn btn-outline-primary"
+          onClick={handleExport}
+          disabled={entries.length === 0}
+        >
+          <span className="me-2">📤</span>
+          {t('config.exportJson')}
+        </button>
+        <button
+          type="button"
+          className="btn btn-outline-secondary"
+          onClick={fetchEntries}
+          disabled={loading}
+        >
+          {loading ? (
+            <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+          ) : (
+            <span className="me-2">🔄</span>
+          )}
+          {t('config.refresh')}
+        </button>
+      </div>
+
+      {/* Add Key Form */}
+      {canEdit && showAddForm && (
+        <div className="card border-success mb-3">
+          <div className="card-body">
+            <form onSubmit={handleCreate} className="row g-3 align-items-end">
+              <div className="col-md-4">
+                <label htmlFor="newConfigName" className="form-label small">{t('config.key')}</label>
+                <input
+                  id="newConfigName"
+                  type="text"
+                  className="form-control form-control-sm"
+                  placeholder={t('config.keyPlaceholder')}
+                  value={newEntry.name}
+                  onChange={(e) => setNewEntry({ ...newEntry, name: e.target.value })}
+                  disabled={working}
+                  required
+                />
+              </div>
+              <div className="col-md-2">
+                <label htmlFor="newConfigType" className="form-label small">{t('config.type')}</label>
+                <select
+                  id="newConfigType"
+                  className="form-select form-select-sm"
+                  value={newEntry.type}
+                  onChange={(e) => setNewEntry({
+                    ...newEntry,
+                    type: e.target.value,
+                    input: e.target.value === 'bool' ? 'false' : ''
+                  })}
+                  disabled={working}
+                >
+                  {VALUE_TYPES.map((type) => (
+                    <option key={type} value={type}>{t(`config.types.${type}`)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-4">
+                <label htmlFor="newConfigValue" className="form-label small">{t('config.value')}</label>
+                {renderValueInput('newConfigValue', newEntry.type, newEntry.input, (input) => setNewEntry({ ...newEntry, input }))}
+              </div>
+              <div className="col-md-2">
+                <button
+                  type="submit"
+                  className="btn btn-success btn-sm w-100"
+                  disabled={working || !newEntry.name.trim()}
+                >
+                  {pendingAction === 'create' ? (
+                    <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                  ) : (
+                    <span className="me-1">✅</span>
+                  )}
+                  {t('config.create')}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Import Confirmation */}
+      {pendingImport && (
+        <div className="card border-primary mb-3">
+          <div className="card-body">
+            <h6 className="card-title">
+              {t('config.importTitle')} <code>{pendingImport.fileName}</code>
+            </h6>
+            <p className="small mb-2">
+              {t('config.importSummary', {
+                count: importNames.length,
+                created: importNewNames.length,
+                existing: importNames.length - importNewNames.length
+              })}
+            </p>
+
+            <div className="form-check mb-2">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                id="importReplace"
+                checked={pendingImport.replace}
+                onChange={(e) => setPendingImport({ ...pendingImport, replace: e.target.checked })}
+                disabled={working}
+              />
+              <label className="form-check-label small" htmlFor="importReplace">
+                {t('config.importReplace')}
+              </label>
+            </div>
+
+            {importDeletedNames.length > 0 && (
+              <div className="alert alert-warning py-2 small">
+                {t('config.importWillDelete', { names: importDeletedNames.join(', ') })}
+              </div>
+            )}
+
+            <div className="d-flex gap-2">
+              <button type="button" className="btn btn-primary btn-sm" onClick={applyImport} disabled={working}>
+                {pendingAction === 'import' ? (
+                  <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                ) : (
+                  <span className="me-1">✅</span>
+                )}
+                {t('config.applyImport')}
+              </button>
+              <button
+                type="button"
+                className="btn btn-outline-secondary btn-sm"
+                onClick={() => setPendingImport(null)}
+                disabled={working}
+              >
+                {t('common.cancel')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Config Table */}
+      <div className="table-responsive">
+        <table className="table table-striped table-hover align-middle">
+          <thead className="table-dark">
+            <tr>
+              <th>{t('config.key')}</th>
+              <th>{t('config.value')}</th>
+              <th>{t('config.type')}</th>
+              <th>{t('config.createdAt')}</th>
+              <th>{t('config.modifiedAt')}</th>
+              {canEdit && <th>{t('config.actions')}</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleEntries.length === 0 ? (
+              <tr>
+                <td colSpan={canEdit ? 6 : 5} className="text-center text-muted py-4">
+                  {loading ? t('config.loading') : (term ? t('config.noMatches') : t('config.empty'))}
+                </td>
+              </tr>
+            ) : visibleEntries.map((entry) => {
+              const isEditing = editing && editing.name === entry.name;
+
+              return (
+                <tr key={entry.name}>
+                  <td>
+                    <code>{entry.name}</code>
+                    {entry.core && <span className="badge bg-warning text-dark ms-2">{t('config.core')}</span>}
+                  </td>
+                  <td className="config-value">
+                    {isEditing ? (
+                      renderValueInput(`edit-${entry.name}`, editing.type, editing.input, (input) => setEditing({ ...editing, input }))
+                    ) : (
+                      <span className="font-monospace">
+                        {entry.value === null ? <em className="text-muted">null</em> : toInput(entry.value)}
+                      </span>
+                    )}
+                  </td>
+                  <td>
+                    <span className="badge bg-light text-dark border">{t(`config.types.${entry.type}`, { defaultValue: entry.type })}</span>
+                  </td>
+                  <td className="small text-nowrap">{formatTimestamp(entry.timecreated)}</td>
+                  <td className="small text-nowrap">{formatTimestamp(entry.timemodified)}</td>
+                  {canEdit && (
+                    <td className="text-nowrap">
+                      {isEditing ? (
+                        <>
+                          <button
+                            type="button"
+                            className="btn btn-success btn-sm me-1"
+                            onClick={saveEdit}
+                            disabled={working}
+                            title={t('config.save')}
+                          >
+                            {pendingAction === 'save' ? (
+                              <span className="spinner-border spinner-border-sm" role="status"></span>
+                            ) : '💾'}
+                          </button>
+                          <button
+                            type="button"
+                            className="btn btn-outline-secondary btn-sm"
+                            onClick={() => setEditing(null)}
+                            disabled={working}
+                            title={t('common.cancel')}
+                          >
+                            ❌
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <button
+                            type="button"
+                            className="btn btn-outline-primary btn-sm me-1"
+                            onClick={() => setEditing({ name: entry.name, type: entry.type, input: toInput(entry.value) })}
+                            disabled={working}
+                            title={t('config.editValue')}
+                          >
+                            ✏️
+                          </button>
+                          <button
+                            type="button"
+                            className="btn btn-outline-danger btn-sm"
+                            onClick={() => handleDelete(entry.name)}
+                            disabled={working || entry.core}
+                            title={entry.core ? t('config.coreNotDeletable') : t('config.deleteKey')}
+                          >
+                            🗑️
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ConfigEditor;
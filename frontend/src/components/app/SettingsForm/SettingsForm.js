@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import './SettingsForm.css';
+import { configApi, authSession, theme, i18n, maintenance, notifications } from '../../../services';
 
 // Import shared components
 import {
@@ -10,56 +11,106 @@ import {
   FormActions
 } from '../../shared';
 
+/**
+ * Default value of every setting
+ */
+const DEFAULT_SETTINGS = {
+  // Application Settings
+  appName: 'React Docker App',
+  appVersion: '1.0.0',
+  maintenanceMode: false,
+  maintenanceMessage: 'The application is down for maintenance. Please try again later.',
+  debugMode: false,
+
+  // User Interface Settings
+  theme: 'light',
+  language: 'en',
+  itemsPerPage: 25,
+  showNotifications: true,
+
+  // Database Settings
+  maxConnections: 100,
+  queryTimeout: 30,
+  enableCaching: true,
+  trashRetentionDays: 7,
+
+  // API Settings
+  apiTimeout: 5000,
+  enableCors: true,
+  rateLimitEnabled: false,
+  rateLimitRequests: 100
+};
+
+/**
+ * Name of the `config` table key that stores each setting
+ */
+const CONFIG_KEYS = {
+  appName: 'app_name',
+  appVersion: 'app_version',
+  maintenanceMode: 'maintenance_mode',
+  maintenanceMessage: 'maintenance_message',
+  debugMode: 'debug_mode',
+  theme: 'theme',
+  language: 'language',
+  itemsPerPage: 'items_per_page',
+  showNotifications: 'show_notifications',
+  maxConnections: 'max_connections',
+  queryTimeout: 'query_timeout',
+  enableCaching: 'enable_caching',
+  trashRetentionDays: 'trash_retention_days',
+  apiTimeout: 'api_timeout',
+  enableCors: 'enable_cors',
+  rateLimitEnabled: 'rate_limit_enabled',
+  rateLimitRequests: 'rate_limit_requests'
+};
+
+/**
+ * Build settings from config entries, falling back to defaults for missing keys
+ * @param {Array} entries - Config entries from the backend
+ * @return {Object} Settings
+ */
+const fromConfigEntries = (entries) => {
+  const values = configApi.toValueMap(entries);
+
+  return Object.keys(DEFAULT_SETTINGS).reduce((settings, key) => ({
+    ...settings,
+    [key]: values[CONFIG_KEYS[key]] ?? DEFAULT_SETTINGS[key]
+  }), {});
+};
+
+/**
+ * Convert settings into config values keyed by config name
+ * @param {Object} settings - Settings
+ * @return {Object} Config values
+ */
+const toConfigValues = (settings) => Object.keys(CONFIG_KEYS).reduce((values, key) => ({
+  ...values,
+  [CONFIG_KEYS[key]]: settings[key]
+}), {});
+
 /**
  * SettingsForm Component (Refactored)
  * 
  * Provides a form interface for managing application settings and user preferences.
+ * Settings are shared by the whole team: they are loaded from and saved to the
+ * backend `config` table through /api/config.
  * Now uses shared/reusable components for consistent UI design.
+ * Roles without config.write see the settings read-only. Outcomes are
+ * reported through the app-wide notifications.
  * 
  * @param {Object} props
  * @param {string} props.className - Additional CSS classes for the container
  */
 const SettingsForm = ({ className = "" }) => {
-  // Form state
-  const [settings, setSettings] = useState({
-    // Application Settings
-    appName: 'React Docker App',
-    appVersion: '1.0.0',
-    maintenanceMode: false,
-    debugMode: false,
-
-    // User Interface Settings
-    theme: 'light',
-    language: 'en',
-    itemsPerPage: 25,
-    showNotifications: true,
-
-    // Database Settings
-    maxConnections: 100,
-    queryTimeout: 30,
-    enableCaching: true,
-
-    // API Settings
-    apiTimeout: 5000,
-    enableCors: true,
-    rateLimitEnabled: true,
-    rateLimitRequests: 100
-  });
+  const { t } = i18n.useTranslation();
 
+  // Form state
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   const [loading, setLoading] = useState(false);
-  const [success, setSuccess] = useState(null);
-  const [error, setError] = useState(null);
+  const [loadingSettings, setLoadingSettings] = useState(true);
 
-  // Clear messages after 5 seconds
-  useEffect(() => {
-    if (error || success) {
-      const timer = setTimeout(() => {
-        setError(null);
-        setSuccess(null);
-      }, 5000);
-      return () => clearTimeout(timer);
-    }
-  }, [error, success]);
+  const busy = loading || loadingSettings;
+  const readOnly = !authSession.hasPermission('config.write');
 
   /**
    * Update a setting value
@@ -80,19 +131,21 @@ const SettingsForm = ({ className = "" }) => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
-    setError(null);
 
     try {
-      // Simulate API call to save settings
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      setSuccess('Settings saved successfully!');
+      const result = await configApi.updateConfig(toConfigValues(settings));
 
-      // Optional: Store in localStorage for demo purposes
-      localStorage.setItem('appSettings', JSON.stringify(settings));
+      const saved = fromConfigEntries(result.entries);
 
+      setSettings(saved);
+      theme.applyTheme(saved.theme);
+      i18n.setLanguage(saved.language);
+      notifications.setEnabled(saved.showNotifications);
+      maintenance.refresh().catch((err) => console.error('Maintenance status error:', err));
+      notifications.success(t('settings.saved'));
     } catch (err) {
-      setError('Failed to save settings: ' + err.message);
+      notifications.error(t('settings.saveFailed', { message: err.message }));
+      console.error('Save settings error:', err);
     } finally {
       setLoading(false);
     }
@@ -102,77 +155,67 @@ const SettingsForm = ({ className = "" }) => {
    * Reset settings to defaults
    */
   const handleReset = () => {
-    if (window.confirm('Are you sure you want to reset all settings to defaults? This action cannot be undone.')) {
-      setSettings({
-        appName: 'React Docker App',
-        appVersion: '1.0.0',
-        maintenanceMode: false,
-        debugMode: false,
-        theme: 'light',
-        language: 'en',
-        itemsPerPage: 25,
-        showNotifications: true,
-        maxConnections: 100,
-        queryTimeout: 30,
-        enableCaching: true,
-        apiTimeout: 5000,
-        enableCors: true,
-        rateLimitEnabled: true,
-        rateLimitRequests: 100
-      });
-      setSuccess('Settings reset to defaults');
+    if (window.confirm(t('settings.confirmReset'))) {
+      setSettings(DEFAULT_SETTINGS);
+      notifications.info(t('settings.resetDone'));
     }
   };
 
   /**
-   * Load settings from localStorage on component mount
+   * Load settings from the backend
    */
-  useEffect(() => {
+  const fetchSettings = useCallback(async () => {
+    setLoadingSettings(true);
+
     try {
-      const savedSettings = localStorage.getItem('appSettings');
-      if (savedSettings) {
-        setSettings(JSON.parse(savedSettings));
-      }
+      const data = await configApi.getConfig();
+      setSettings(fromConfigEntries(data.entries));
     } catch (err) {
-      console.error('Failed to load settings from localStorage:', err);
+      notifications.error(i18n.t('settings.loadFailed', { message: err.message }));
+      console.error('Load settings error:', err);
+    } finally {
+      setLoadingSettings(false);
     }
   }, []);
 
+  // Load settings on component mount
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
   // Form action buttons configuration
   const formActions = [
     {
       id: 'submit',
-      label: 'Save Settings',
+      label: t('settings.save'),
       type: 'submit',
       variant: 'primary',
       icon: '💾',
       loading: loading,
-      loadingText: 'Saving...',
-      disabled: loading
+      loadingText: t('settings.saving'),
+      disabled: busy
     },
     {
       id: 'reset',
-      label: 'Reset to Defaults',
+      label: t('settings.reset'),
       type: 'button',
       variant: 'outline-danger',
       icon: '🔄',
       onClick: handleReset,
-      disabled: loading
+      disabled: busy
     }
   ];
 
   // Dropdown options
   const themeOptions = [
-    { value: '', label: 'Select Theme', disabled: true },
-    { value: 'light', label: 'Light (Coming Soon)' },
-    { value: 'dark', label: 'Dark (Coming Soon)' }
+    { value: '', label: t('settings.selectTheme'), disabled: true },
+    ...theme.THEMES.map((value) => ({ value, label: t(`settings.themes.${value}`) }))
   ];
 
   const languageOptions = [
-    { value: '', label: 'Select Language', disabled: true },
-    { value: 'en', label: 'English (Coming Soon)' },
-    { value: 'es', label: 'Spanish (Coming Soon)' },
-    { value: 'fr', label: 'French (Coming Soon)' }
+    { value: '', label: t('settings.selectLanguage'), disabled: true },
+    // Each language is offered under its own name
+    ...Object.entries(i18n.LANGUAGES).map(([value, label]) => ({ value, label }))
   ];
 
   const itemsPerPageOptions = [
@@ -189,82 +232,72 @@ const SettingsForm = ({ className = "" }) => {
         <div className="col">
           <h2 className="mb-3">
             <span className="me-2">⚙️</span>
-            Application Settings
+            {t('settings.title')}
           </h2>
           <p className="text-muted">
-            Configure application preferences and system settings
+            {t('settings.subtitle')}
+            {loadingSettings && (
+              <span className="spinner-border spinner-border-sm text-secondary ms-2" role="status" aria-hidden="true"></span>
+            )}
           </p>
         </div>
       </div>
 
-      {/* Alert Messages */}
-      {error && (
-        <div className="row mb-4">
-          <div className="col">
-            <div className="alert alert-danger alert-dismissible fade show" role="alert">
-              <strong>Error:</strong> {error}
-              <button type="button" className="btn-close" onClick={() => setError(null)}></button>
-            </div>
-          </div>
-        </div>
-      )}
-
-      {success && (
-        <div className="row mb-4">
-          <div className="col">
-            <div className="alert alert-success alert-dismissible fade show" role="alert">
-              <strong>Success:</strong> {success}
-              <button type="button" className="btn-close" onClick={() => setSuccess(null)}></button>
-            </div>
-          </div>
-        </div>
-      )}
-
       {/* Settings Form */}
       <form onSubmit={handleSubmit}>
         <div className="row g-4">
           {/* Application Settings Card */}
           <div className="col-md-6">
             <SettingsCard
-              title="Application Settings"
+              title={t('settings.applicationCard')}
               icon="🏠"
               headerColor="primary"
             >
               <TextField
                 id="appName"
-                label="Application Name"
+                label={t('settings.appName')}
                 value={settings.appName}
                 onChange={(e) => updateSetting('appName', e.target.value)}
-                disabled={loading}
+                disabled={busy || readOnly}
                 required
-                helpText="The display name for your application"
+                helpText={t('settings.appNameHelp')}
               />
 
               <TextField
                 id="appVersion"
-                label="Application Version"
+                label={t('settings.appVersion')}
                 value={settings.appVersion}
                 onChange={(e) => updateSetting('appVersion', e.target.value)}
-                disabled={loading}
-                helpText="Current version of the application"
+                disabled={busy || readOnly}
+                helpText={t('settings.appVersionHelp')}
               />
 
               <SwitchField
                 id="maintenanceMode"
-                label="Maintenance Mode"
+                label={t('settings.maintenanceMode')}
                 checked={settings.maintenanceMode}
                 onChange={(e) => updateSetting('maintenanceMode', e.target.checked)}
-                disabled={loading}
-                helpText="Enable to put the application in maintenance mode"
+                disabled={busy || readOnly}
+                helpText={t('settings.maintenanceModeHelp')}
+              />
+
+              <TextField
+                id="maintenanceMessage"
+                label={t('settings.maintenanceMessage')}
+                value={settings.maintenanceMessage}
+                onChange={(e) => updateSetting('maintenanceMessage', e.target.value)}
+                disabled={busy || readOnly}
+                maxLength={500}
+                helpText={t('settings.maintenanceMessageHelp')}
               />
 
               <SwitchField
                 id="debugMode"
-                label="Debug Mode"
+                label={t('settings.debugMode')}
                 checked={settings.debugMode}
                 onChange={(e) => updateSetting('debugMode', e.target.checked)}
-                disabled={loading}
-                helpText="Enable debug logging and error details"
+                disabled={busy || readOnly}
+                helpText={t('settings.debugModeHelp')}
               />
             </SettingsCard>
           </div>
@@ -272,37 +305,88 @@ const SettingsForm = ({ className = "" }) => {
           {/* User Interface Settings Card */}
           <div className="col-md-6">
             <SettingsCard
-              title="User Interface"
+              title={t('settings.interfaceCard')}
               icon="🎨"
               headerColor="success"
             >
               <SelectField
                 id="theme"
-                label="Theme"
+                label={t('settings.theme')}
                 value={settings.theme}
                 onChange={(e) => updateSetting('theme', e.target.value)}
                 options={themeOptions}
-                disabled={loading}
-                helpText="Choose your preferred color theme"
+                disabled={busy || readOnly}
+                helpText={t('settings.themeHelp')}
               />
 
               <SelectField
                 id="language"
-                label="Language"
+                label={t('settings.language')}
                 value={settings.language}
                 onChange={(e) => updateSetting('language', e.target.value)}
                 options={languageOptions}
-                disabled={loading}
-                helpText="Select your preferred language"
+                disabled={busy || readOnly}
+                helpText={t('settings.languageHelp')}
               />
 
               <SwitchField
                 id="showNotifications"
-                label="Show Notifications"
+                label={t('settings.showNotifications')}
                 checked={settings.showNotifications}
                 onChange={(e) => updateSetting('showNotifications', e.target.checked)}
-                disabled={loading}
-                helpText="Enable system notifications and alerts"
+                disabled={busy || readOnly}
+                helpText={t('settings.showNotificationsHelp')}
+              />
+            </SettingsCard>
+          </div>
+
+          {/* API Settings Card */}
+          <div className="col-md-6">
+            <SettingsCard
+              title={t('settings.apiCard')}
+              icon="🔌"
+              headerColor="info"
+            >
+              <SwitchField
+                id="rateLimitEnabled"
+                label={t('settings.rateLimitEnabled')}
+                checked={settings.rateLimitEnabled}
+                onChange={(e) => updateSetting('rateLimitEnabled', e.target.checked)}
+                disabled={busy || readOnly}
+                helpText={t('settings.rateLimitEnabledHelp')}
+              />
+
+              <TextField
+                id="rateLimitRequests"
+                type="number"
+                min="1"
+                label={t('settings.rateLimitRequests')}
+                value={settings.rateLimitRequests}
+                onChange={(e) => updateSetting('rateLimitRequests', e.target.value)}
+                disabled={busy || readOnly || !settings.rateLimitEnabled}
+                required
+                helpText={t('settings.rateLimitRequestsHelp')}
+              />
+            </SettingsCard>
+          </div>
+
+          {/* Database Settings Card */}
+          <div className="col-md-6">
+            <SettingsCard
+              title={t('settings.databaseCard')}
+              icon="🗄️"
+              headerColor="secondary"
+            >
+              <TextField
+                id="trashRetentionDays"
+                type="number"
+                min="1"
+                label={t('settings.trashRetentionDays')}
+                value={settings.trashRetentionDays}
+                onChange={(e) => updateSetting('trashRetentionDays', e.target.value)}
+                disabled={busy || readOnly}
+                required
+                helpText={t('settings.trashRetentionDaysHelp')}
               />
             </SettingsCard>
           </div>
@@ -311,13 +395,19 @@ const SettingsForm = ({ className = "" }) => {
         {/* Form Actions */}
         <div className="row mt-4">
           <div className="col">
-            <FormActions
-              actions={formActions}
-              alignment="center"
-              size="lg"
-              loading={loading}
-              stackOn="sm"
-            />
+            {readOnly ? (
+              <p className="text-muted text-center mb-0">
+                {t('settings.readOnly')}
+              </p>
+            ) : (
+              <FormActions
+                actions={formActions}
+                alignment="center"
+                size="lg"
+                loading={loading}
+                stackOn="sm"
+              />
+            )}
           </div>
         </div>
       </form>
@@ -0,0 +1,625 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './UserManager.css';
+import { userApi, authApi, authSession, notifications, i18n } from '../../../services';
+
+const PER_PAGE = 25;
+
+// Labels are users.columns.* messages
+const SORTABLE_COLUMNS = ['id', 'username', 'role', 'timecreated', 'timemodified'];
+
+// Labels are roles.* messages, descriptions users.roleDescriptions.*
+const ROLES = ['admin', 'developer', 'viewer'];
+
+const RELATIVE_UNITS = [
+  { unit: 'year', seconds: 31536000 },
+  { unit: 'month', seconds: 2592000 },
+  { unit: 'week', seconds: 604800 },
+  { unit: 'day', seconds: 86400 },
+  { unit: 'hour', seconds: 3600 },
+  { unit: 'minute', seconds: 60 },
+  { unit: 'second', seconds: 1 }
+];
+
+/**
+ * Format a Unix timestamp (seconds) as a localized date and time
+ * @param {number|null} timestamp - Unix timestamp in seconds
+ * @return {string} Localized date and time
+ */
+const formatEpoch = (timestamp) => (
+  timestamp ? i18n.formatDate(timestamp * 1000, { dateStyle: 'medium', timeStyle: 'medium' }) : '—'
+);
+
+/**
+ * Describe a Unix timestamp (seconds) relative to now, e.g. "3 days ago"
+ * @param {number|null} timestamp - Unix timestamp in seconds
+ * @return {string} Relative time, or an empty string when there is no timestamp
+ */
+const formatRelative = (timestamp) => {
+  if (!timestamp) {
+    return '';
+  }
+
+  const diff = timestamp - Math.floor(Date.now() / 1000);
+  const { unit, seconds } = RELATIVE_UNITS.find((candidate) => Math.abs(diff) >= candidate.seconds)
+    || RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+
+  return new Intl.RelativeTimeFormat(i18n.getLanguage(), { numeric: 'auto' })
+    .format(Math.round(diff / seconds), unit);
+};
+
+/**
+ * Get the message to show for a failed create or rename
+ * @param {Error} err - Request error
+ * @param {string} username - Submitted username
+ * @return {string} Error message
+ */
+const getUsernameError = (err, username) => (
+  err.status === 409 ? i18n.t('users.usernameTaken', { username }) : err.message
+);
+
+/**
+ * UserManager Component
+ *
+ * Manages rows of the `user` table: a paginated, searchable and sortable
+ * list with inline rename, plus creating users, setting their sign-in
+ * passwords and roles, and deleting them.
+ *
+ * @param {Object} props
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const UserManager = ({ className = '' }) => {
+  const { t } = i18n.useTranslation();
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [query, setQuery] = useState({ page: 1, search: '', sort: 'id', direction: 'asc' });
+  const [draftSearch, setDraftSearch] = useState('');
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newUsername, setNewUsername] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [newRole, setNewRole] = useState('viewer');
+  const [createError, setCreateError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [passwordEdit, setPasswordEdit] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const working = pendingAction !== null;
+
+  // Fetch the current page of users
+  const fetchUsers = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const data = await userApi.getUsers({ ...query, limit: PER_PAGE });
+
+      // Step back when the last user of a page was deleted
+      if (data.users.length === 0 && query.page > 1) {
+        setQuery((prev) => ({ ...prev, page: prev.page - 1 }));
+        return;
+      }
+
+      setUsers(data.users);
+      setPagination(data.pagination);
+    } catch (err) {
+      notifications.error(i18n.t('users.loadFailed', { message: err.message }));
+      console.error('Fetch users error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  // Apply the typed search once the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const search = draftSearch.trim();
+      setQuery((prev) => (prev.search === search ? prev : { ...prev, search, page: 1 }));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [draftSearch]);
+
+  /**
+   * Sort by a column, toggling the direction when it is already sorted
+   * @param {string} column - Column key
+   */
+  const handleSort = (column) => {
+    setQuery((prev) => ({
+      ...prev,
+      sort: column,
+      direction: prev.sort === column && prev.direction === 'asc' ? 'desc' : 'asc',
+      page: 1
+    }));
+  };
+
+  /**
+   * Go to a page of users
+   * @param {number} page - Page number
+   */
+  const handlePageChange = (page) => {
+    setQuery((prev) => ({ ...prev, page }));
+  };
+
+  /**
+   * Create a user
+   * @param {Event} e - Form submit event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const username = newUsername.trim();
+
+    setPendingAction('create');
+    setCreateError(null);
+
+    try {
+      await userApi.createUser(username, newPassword, newRole);
+
+      setShowAddForm(false);
+      setNewUsername('');
+      setNewPassword('');
+      setNewRole('viewer');
+      notifications.success(t('users.created', { username }));
+      fetchUsers();
+    } catch (err) {
+      setCreateError(getUsernameError(err, username));
+      console.error('Create user error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Save the username being edited inline
+   */
+  const saveRename = async () => {
+    const username = editing.username.trim();
+
+    setPendingAction('rename');
+
+    try {
+      const user = await userApi.renameUser(editing.id, username);
+
+      setUsers((prev) => prev.map((existing) => (existing.id === user.id ? user : existing)));
+      setEditing(null);
+      notifications.success(t('users.renamed', { username: user.username }));
+    } catch (err) {
+      setEditing((prev) => ({ ...prev, error: getUsernameError(err, username) }));
+      console.error('Rename user error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Save the password being set inline
+   */
+  const savePassword = async () => {
+    setPendingAction('password');
+
+    try {
+      const user = await userApi.setUserPassword(passwordEdit.id, passwordEdit.password);
+
+      setUsers((prev) => prev.map((existing) => (existing.id === user.id ? user : existing)));
+      setPasswordEdit(null);
+      notifications.success(t('users.passwordUpdated', { username: user.username }));
+    } catch (err) {
+      setPasswordEdit((prev) => ({ ...prev, error: err.message }));
+      console.error('Set password error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Change a user's role
+   * @param {Object} user - User to update
+   * @param {string} role - New role
+   */
+  const handleRoleChange = async (user, role) => {
+    setPendingAction('role');
+
+    try {
+      const updated = await userApi.setUserRole(user.id, role);
+
+      setUsers((prev) => prev.map((existing) => (existing.id === updated.id ? updated : existing)));
+      notifications.success(t('users.roleChanged', { username: updated.username, role: t(`roles.${updated.role}`) }));
+
+      // Changing your own role changes what the dashboard offers you
+      if (updated.id === authSession.getSession().user.id) {
+        authApi.getCurrentUser().catch((err) => console.error('Current user error:', err));
+      }
+    } catch (err) {
+      notifications.error(t('users.roleFailed', { message: err.message }));
+      console.error('Set role error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Delete a user
+   * @param {Object} user - User to delete
+   */
+  const handleDelete = async (user) => {
+    if (!window.confirm(t('users.confirmDelete', { username: user.username }))) {
+      return;
+    }
+
+    setPendingAction('delete');
+
+    try {
+      await userApi.deleteUser(user.id);
+
+      notifications.success(t('users.deleted', { username: user.username }));
+      fetchUsers();
+    } catch (err) {
+      notifications.error(t('users.deleteFailed', { message: err.message }));
+      console.error('Delete user error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Render an epoch timestamp with its relative time
+   * @param {number|null} timestamp - Unix timestamp in seconds
+   */
+  const renderTimestamp = (timestamp) => (
+    <span title={formatEpoch(timestamp)}>
+      {formatEpoch(timestamp)}
+      {timestamp && <small className="d-block text-muted">{formatRelative(timestamp)}</small>}
+    </span>
+  );
+
+  const currentPage = pagination ? pagination.current_page : 1;
+  const totalPages = pagination ? pagination.total_pages : 0;
+
+  return (
+    <div className={`user-manager container-fluid ${className}`}>
+      {/* Header */}
+      <div className="row mb-4">
+        <div className="col">
+          <h2 className="mb-3">
+            <span className="me-2">👥</span>
+            {t('users.title')}
+          </h2>
+          <p className="text-muted">{t('users.subtitle')}</p>
+        </div>
+      </div>
+
+      {/* Toolbar */}
+      <div className="d-flex flex-wrap gap-2 mb-3">
+        <input
+          type="search"
+          className="form-control user-search"
+          placeholder={t('users.searchPlaceholder')}
+          value={draftSearch}
+          onChange={(e) => setDraftSearch(e.target.value)}
+          aria-label={t('users.searchLabel')}
+        />
+        <button
+          type="button"
+          className="btn btn-primary"
+          onClick={() => {
+            setShowAddForm(!showAddForm);
+            setCreateError(null);
+          }}
+          disabled={working}
+        >
+          <span className="me-2">{showAddForm ? '❌' : '➕'}</span>
+          {showAddForm ? t('common.cancel') : t('users.addUser')}
+        </button>
+        <button
+          type="button"
+          className="btn btn-outline-secondary"
+          onClick={fetchUsers}
+          disabled={loading}
+        >
+          {loading ? (
+            <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+          ) : (
+            <span className="me-2">🔄</span>
+          )}
+          {t('users.refresh')}
+        </button>
+      </div>
+
+      {/* Add User Form */}
+      {showAddForm && (
+        <div className="card border-success mb-3">
+          <div className="card-body">
+            <form onSubmit={handleCreate} className="row g-3 align-items-start">
+              <div className="col-md-3">
+                <label htmlFor="newUsername" className="form-label small">{t('users.username')}</label>
+                <input
+                  id="newUsername"
+                  type="text"
+                  className={`form-control form-control-sm ${createError ? 'is-invalid' : ''}`}
+                  placeholder={t('users.usernamePlaceholder')}
+                  value={newUsername}
+                  onChange={(e) => {
+                    setNewUsername(e.target.value);
+                    setCreateError(null);
+                  }}
+                  disabled={working}
+                  minLength={3}
+                  maxLength={255}
+                  required
+                />
+                {createError && <div className="invalid-feedback">{createError}</div>}
+              </div>
+              <div className="col-md-3">
+                <label htmlFor="newUserPassword" className="form-label small">{t('users.password')}</label>
+                <input
+                  id="newUserPassword"
+                  type="password"
+                  className="form-control form-control-sm"
+                  placeholder={t('users.passwordPlaceholder')}
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  autoComplete="new-password"
+                  disabled={working}
+                />
+              </div>
+              <div className="col-md-2">
+                <label htmlFor="newUserRole" className="form-label small">{t('users.role')}</label>
+                <select
+                  id="newUserRole"
+                  className="form-select form-select-sm"
+                  value={newRole}
+                  onChange={(e) => setNewRole(e.target.value)}
+                  disabled={working}
+                >
+                  {ROLES.map((role) => (
+                    <option key={role} value={role}>{t(`roles.${role}`)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-2 user-form-submit">
+                <button
+                  type="submit"
+                  className="btn btn-success btn-sm w-100"
+                  disabled={working || !newUsername.trim()}
+                >
+                  {pendingAction === 'create' ? (
+                    <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                  ) : (
+                    <span className="me-1">✅</span>
+                  )}
+                  {t('users.create')}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* User Table */}
+      <div className="table-responsive">
+        <table className="table table-striped table-hover align-middle">
+          <thead className="table-dark">
+            <tr>
+              {SORTABLE_COLUMNS.map((column) => (
+                <th
+                  key={column}
+                  className="user-sortable"
+                  onClick={() => handleSort(column)}
+                  aria-sort={query.sort === column
+                    ? (query.direction === 'asc' ? 'ascending' : 'descending')
+                    : 'none'}
+                >
+                  {t(`users.columns.${column}`)}
+                  {query.sort === column && (
+                    <span className="ms-1">{query.direction === 'asc' ? '▲' : '▼'}</span>
+                  )}
+                </th>
+              ))}
+              <th>{t('users.columns.actions')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="text-center text-muted py-4">
+                  {loading ? t('users.loading') : (query.search ? t('users.noMatches') : t('users.empty'))}
+                </td>
+              </tr>
+            ) : users.map((user) => {
+              const isEditing = editing && editing.id === user.id;
+
+              return (
+                <tr key={user.id}>
+                  <td>{user.id}</td>
+                  <td className="user-username">
+                    {isEditing ? (
+                      <>
+                        <input
+                          type="text"
+                          className={`form-control form-control-sm ${editing.error ? 'is-invalid' : ''}`}
+                          value={editing.username}
+                          onChange={(e) => setEditing({ ...editing, username: e.target.value, error: null })}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') saveRename();
+                            if (e.key === 'Escape') setEditing(null);
+                          }}
+                          disabled={working}
+                          aria-label={t('users.newUsernameFor', { username: user.username })}
+                          autoFocus
+                        />
+                        {editing.error && <div className="invalid-feedback">{editing.error}</div>}
+                      </>
+                    ) : (
+                      <>
+                        <strong>{user.username}</strong>
+                        {!user.has_password && (
+                          <span className="badge bg-secondary ms-2" title={t('users.noPasswordHint')}>
+                            {t('users.noPassword')}
+                          </span>
+                        )}
+                      </>
+                    )}
+                    {passwordEdit && passwordEdit.id === user.id && (
+                      <div className="mt-2">
+                        <div className="input-group input-group-sm">
+                          <input
+                            type="password"
+                            className={`form-control ${passwordEdit.error ? 'is-invalid' : ''}`}
+                            placeholder={t('users.newPassword')}
+                            value={passwordEdit.password}
+                            onChange={(e) => setPasswordEdit({ ...passwordEdit, password: e.target.value, error: null })}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter' && passwordEdit.password) savePassword();
+                              if (e.key === 'Escape') setPasswordEdit(null);
+                            }}
+                            autoComplete="new-password"
+                            disabled={working}
+                            aria-label={t('users.newPasswordFor', { username: user.username })}
+                            autoFocus
+                          />
+                          <button
+                            type="button"
+                            className="btn btn-success"
+                            onClick={savePassword}
+                            disabled={working || !passwordEdit.password}
+                            title={t('users.savePassword')}
+                          >
+                            {pendingAction === 'password' ? (
+                              <span className="spinner-border spinner-border-sm" role="status"></span>
+                            ) : '💾'}
+                          </button>
+                          <button
+                            type="button"
+                            className="btn btn-outline-secondary"
+                            onClick={() => setPasswordEdit(null)}
+                            disabled={working}
+                            title={t('common.cancel')}
+                          >
+                            ❌
+                          </button>
+                          {passwordEdit.error && <div className="invalid-feedback">{passwordEdit.error}</div>}
+                        </div>
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    <select
+                      className="form-select form-select-sm user-role"
+                      value={user.role}
+                      onChange={(e) => handleRoleChange(user, e.target.value)}
+                      disabled={working}
+                      aria-label={t('users.roleFor', { username: user.username })}
+                      title={t(`users.roleDescriptions.${user.role}`, { defaultValue: '' })}
+                    >
+                      {ROLES.map((role) => (
+                        <option key={role} value={role}>{t(`roles.${role}`)}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="small text-nowrap">{renderTimestamp(user.timecreated)}</td>
+                  <td className="small text-nowrap">{renderTimestamp(user.timemodified)}</td>
+                  <td className="text-nowrap">
+                    {isEditing ? (
+                      <>
+                        <button
+                          type="button"
+                          className="btn btn-success btn-sm me-1"
+                          onClick={saveRename}
+                          disabled={working || !editing.username.trim()}
+                          title={t('users.save')}
+                        >
+                          {pendingAction === 'rename' ? (
+                            <span className="spinner-border spinner-border-sm" role="status"></span>
+                          ) : '💾'}
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-outline-secondary btn-sm"
+                          onClick={() => setEditing(null)}
+                          disabled={working}
+                          title={t('common.cancel')}
+                        >
+                          ❌
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button
+                          type="button"
+                          className="btn btn-outline-primary btn-sm me-1"
+                          onClick={() => setEditing({ id: user.id, username: user.username, error: null })}
+                          disabled={working}
+                          title={t('users.rename')}
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-outline-secondary btn-sm me-1"
+                          onClick={() => setPasswordEdit({ id: user.id, password: '', error: null })}
+                          disabled={working}
+                          title={t('users.setPassword')}
+                        >
+                          🔑
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-outline-danger btn-sm"
+                          onClick={() => handleDelete(user)}
+                          disabled={working}
+                          title={t('users.delete')}
+                        >
+                          🗑️
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Pagination */}
+      {pagination && pagination.total > 0 && (
+        <div className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+          <small className="text-muted">
+            {t('users.showing', { start: pagination.from, end: pagination.to, count: pagination.total })}
+          </small>
+
+          {totalPages > 1 && (
+            <nav aria-label={t('users.pagination')}>
+              <ul className="pagination pagination-sm mb-0">
+                <li className={`page-item ${currentPage === 1 ? 'disabled' : ''}`}>
+                  <button
+                    className="page-link"
+                    onClick={() => handlePageChange(currentPage - 1)}
+                    disabled={currentPage === 1 || loading}
+                  >
+                    {t('users.previous')}
+                  </button>
+                </li>
+                <li className="page-item disabled">
+                  <span className="page-link">{t('users.pageOf', { page: currentPage, pages: totalPages })}</span>
+                </li>
+                <li className={`page-item ${currentPage === totalPages ? 'disabled' : ''}`}>
+                  <button
+                    className="page-link"
+                    onClick={() => handlePageChange(currentPage + 1)}
+                    disabled={currentPage === totalPages || loading}
+                  >
+                    {t('users.next')}
+                  </button>
+                </li>
+              </ul>
+            </nav>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserManager;
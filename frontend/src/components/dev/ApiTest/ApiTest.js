@@ -1,6 +1,10 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import './ApiTest.css';
+import { request, getApiBaseUrl, rateLimit, i18n } from '../../../services';
+
 const ApiTest = () => {
+  const { t, formatNumber, formatDate } = i18n.useTranslation();
+  const quota = rateLimit.useRateLimit();
   const [helloResponse, setHelloResponse] = useState(null);
   const [statusResponse, setStatusResponse] = useState(null);
   const [dbTestResponse, setDbTestResponse] = useState(null);
@@ -8,7 +12,7 @@ const ApiTest = () => {
   const [error, setError] = useState(null);
 
   // Base URL for the PHP backend
-  const API_BASE_URL = 'http://localhost:8080';
+  const API_BASE_URL = getApiBaseUrl();
 
   // Generic API call function
   const callApi = useCallback(async (endpoint, setResponse) => {
@@ -16,25 +20,19 @@ const ApiTest = () => {
     setError(null);
 
     try {
-      const response = await fetch(`${API_BASE_URL}${endpoint}`);
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const response = await request(endpoint);
       setResponse({
         status: response.status,
-        data: data,
-        timestamp: new Date().toLocaleTimeString()
+        data: response.body,
+        timestamp: new Date() // Formatted when shown so it follows the language
       });
     } catch (err) {
-      setError(`Failed to call ${endpoint}: ${err.message}`);
+      setError(i18n.t('apiTest.callFailed', { endpoint, message: err.message }));
       console.error('API Error:', err);
     } finally {
       setLoading(false);
     }
-  }, [API_BASE_URL]);
+  }, []);
 
   // Individual endpoint functions
   const testHelloEndpoint = useCallback(() => callApi('/api/hello', setHelloResponse), [callApi]);
@@ -58,19 +56,19 @@ const ApiTest = () => {
 
     return (
       <div className="card mb-4 shadow-sm">
-        <div className="card-header bg-light">
+        <div className="card-header bg-body-tertiary">
           <h5 className="card-title mb-0">{title}</h5>
         </div>
         <div className="card-body">
           <div className="d-flex flex-wrap gap-3 mb-3">
             <span className="badge bg-success fs-6">
-              Status: {response.status}
+              {t('apiTest.status', { status: response.status })}
             </span>
             <small className="text-muted align-self-center">
-              Called at: {response.timestamp}
+              {t('apiTest.calledAt', { time: formatDate(response.timestamp, { timeStyle: 'medium' }) })}
             </small>
           </div>
-          <div className="bg-light border rounded p-3">
+          <div className="bg-body-tertiary border rounded p-3">
             <pre className="mb-0 text-wrap" style={{ fontSize: '0.875rem', lineHeight: '1.4' }}>
               {JSON.stringify(response.data, null, 2)}
             </pre>
@@ -87,7 +85,7 @@ const ApiTest = () => {
         <div className="col">
           <h2 className="mb-3">
             <span className="me-2">🔗</span>
-            Backend API Test
+            {t('apiTest.title')}
           </h2>
         </div>
       </div>
@@ -99,7 +97,7 @@ const ApiTest = () => {
             <div className="alert alert-danger d-flex align-items-center" role="alert">
               <span className="me-2">⚠️</span>
               <div>
-                <strong>Error:</strong> {error}
+                <strong>{t('common.error')}</strong> {error}
               </div>
             </div>
           </div>
@@ -118,10 +116,10 @@ const ApiTest = () => {
               {loading ? (
                 <>
                   <span className="spinner-border spinner-border-sm me-2" role="status"></span>
-                  Testing...
+                  {t('apiTest.testing')}
                 </>
               ) : (
-                'Test /api/hello'
+                t('apiTest.test', { endpoint: '/api/hello' })
               )}
             </button>
 
@@ -133,10 +131,10 @@ const ApiTest = () => {
               {loading ? (
                 <>
                   <span className="spinner-border spinner-border-sm me-2" role="status"></span>
-                  Testing...
+                  {t('apiTest.testing')}
                 </>
               ) : (
-                'Test /api/status'
+                t('apiTest.test', { endpoint: '/api/status' })
               )}
             </button>
 
@@ -148,10 +146,10 @@ const ApiTest = () => {
               {loading ? (
                 <>
                   <span className="spinner-border spinner-border-sm me-2" role="status"></span>
-                  Testing...
+                  {t('apiTest.testing')}
                 </>
               ) : (
-                'Test /api/db-test'
+                t('apiTest.test', { endpoint: '/api/db-test' })
               )}
             </button>
 
@@ -159,7 +157,7 @@ const ApiTest = () => {
               onClick={clearResponses}
               className="btn btn-outline-danger"
             >
-              Clear Results
+              {t('apiTest.clearResults')}
             </button>
           </div>
         </div>
@@ -168,9 +166,42 @@ const ApiTest = () => {
       {/* API Responses */}
       <div className="row mb-4">
         <div className="col">
-          {renderResponse(helloResponse, "Hello Endpoint Response")}
-          {renderResponse(statusResponse, "Status Endpoint Response")}
-          {renderResponse(dbTestResponse, "Database Test Response")}
+          {renderResponse(helloResponse, t('apiTest.helloResponse'))}
+          {renderResponse(statusResponse, t('apiTest.statusResponse'))}
+          {renderResponse(dbTestResponse, t('apiTest.dbResponse'))}
+        </div>
+      </div>
+
+      {/* Rate limit quota, as reported by the last response */}
+      <div className="row mb-4">
+        <div className="col">
+          <div className="card shadow-sm">
+            <div className="card-header bg-body-tertiary">
+              <h5 className="card-title mb-0">
+                <span className="me-2">⏱️</span>
+                {t('apiTest.rateLimit')}
+              </h5>
+            </div>
+            <div className="card-body">
+              {quota.limit === null ? (
+                <p className="text-muted mb-0">{t('apiTest.rateLimitOff')}</p>
+              ) : (
+                <div className="d-flex flex-wrap gap-3 align-items-center">
+                  <span className={`badge fs-6 ${quota.remaining > 0 ? 'bg-success' : 'bg-danger'}`}>
+                    {t('apiTest.rateLimitRemaining', {
+                      remaining: formatNumber(quota.remaining),
+                      limit: formatNumber(quota.limit)
+                    })}
+                  </span>
+                  {quota.resetAt !== null && (
+                    <small className="text-muted">
+                      {t('apiTest.rateLimitReset', { time: formatDate(quota.resetAt, { timeStyle: 'medium' }) })}
+                    </small>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
         </div>
       </div>
 
@@ -181,28 +212,28 @@ const ApiTest = () => {
             <div className="card-header bg-info text-white">
               <h5 className="card-title mb-0">
                 <span className="me-2">📋</span>
-                Available Endpoints
+                {t('apiTest.availableEndpoints')}
               </h5>
             </div>
             <div className="card-body">
               <ul className="list-unstyled mb-0">
                 <li className="mb-2">
-                  <code className="bg-light text-danger px-2 py-1 rounded me-2">
+                  <code className="bg-body-tertiary text-danger px-2 py-1 rounded me-2">
                     GET {API_BASE_URL}/api/hello
                   </code>
-                  - Returns a hello message
+                  - {t('apiTest.helloDescription')}
                 </li>
                 <li className="mb-2">
-                  <code className="bg-light text-danger px-2 py-1 rounded me-2">
+                  <code className="bg-body-tertiary text-danger px-2 py-1 rounded me-2">
                     GET {API_BASE_URL}/api/status
                   </code>
-                  - Returns backend status info
+                  - {t('apiTest.statusDescription')}
                 </li>
                 <li className="mb-0">
-                  <code className="bg-light text-danger px-2 py-1 rounded me-2">
+                  <code className="bg-body-tertiary text-danger px-2 py-1 rounded me-2">
                     GET {API_BASE_URL}/api/db-test
                   </code>
-                  - Tests database connection
+                  - {t('apiTest.dbDescription')}
                 </li>
               </ul>
             </div>
@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './AuditLog.css';
+import { auditApi, notifications, i18n } from '../../../services';
+
+const PER_PAGE = 25;
+
+/**
+ * AuditLog Component
+ *
+ * Lists the changes recorded in the audit log, newest first: who changed
+ * which table, when and how. The list can be filtered by actor, table and
+ * action, and clicking an entry shows its request payload as JSON along
+ * with the SQL it ran.
+ *
+ * @param {Object} props
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const AuditLog = ({ className = '' }) => {
+  const { t, formatNumber, formatDate } = i18n.useTranslation();
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [query, setQuery] = useState({ page: 1, actor: '', table: '', action: '' });
+  const [draftActor, setDraftActor] = useState('');
+  const [draftTable, setDraftTable] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Fetch the current page of entries
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const data = await auditApi.getAuditLog({ ...query, limit: PER_PAGE });
+      setEntries(data.entries);
+      setPagination(data.pagination);
+    } catch (err) {
+      notifications.error(i18n.t('auditLog.loadFailed', { message: err.message }));
+      console.error('Fetch audit log error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // Apply the typed filters once the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const actor = draftActor.trim();
+      const table = draftTable.trim();
+      setQuery((prev) => (
+        prev.actor === actor && prev.table === table ? prev : { ...prev, actor, table, page: 1 }
+      ));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [draftActor, draftTable]);
+
+  /**
+   * Go to a page of entries
+   * @param {number} page - Page number
+   */
+  const handlePageChange = (page) => {
+    setQuery((prev) => ({ ...prev, page }));
+  };
+
+  /**
+   * Show or hide an entry's details
+   * @param {number} id - Entry id
+   */
+  const toggleEntry = (id) => {
+    setExpandedId((prev) => (prev === id ? null : id));
+  };
+
+  const filtered = query.actor !== '' || query.table !== '' || query.action !== '';
+  const currentPage = pagination ? pagination.current_page : 1;
+  const totalPages = pagination ? pagination.total_pages : 0;
+
+  return (
+    <div className={`audit-log container-fluid ${className}`}>
+      {/* Header */}
+      <div className="row mb-4">
+        <div className="col">
+          <h2 className="mb-3">
+            <span className="me-2">📜</span>
+            {t('auditLog.title')}
+          </h2>
+          <p className="text-muted">{t('auditLog.subtitle')}</p>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="d-flex flex-wrap gap-2 mb-3">
+        <input
+          type="search"
+          className="form-control audit-filter"
+          placeholder={t('auditLog.actorFilter')}
+          value={draftActor}
+          onChange={(e) => setDraftActor(e.target.value)}
+          aria-label={t('auditLog.actorFilter')}
+        />
+        <input
+          type="search"
+          className="form-control audit-filter"
+          placeholder={t('auditLog.tableFilter')}
+          value={draftTable}
+          onChange={(e) => setDraftTable(e.target.value)}
+          aria-label={t('auditLog.tableFilter')}
+        />
+        <select
+          className="form-select audit-filter"
+          value={query.action}
+          onChange={(e) => setQuery((prev) => ({ ...prev, action: e.target.value, page: 1 }))}
+          aria-label={t('auditLog.actionFilter')}
+        >
+          <option value="">{t('auditLog.allActions')}</option>
+          {auditApi.ACTIONS.map((action) => (
+            <option key={action} value={action}>{t(`auditLog.actions.${action}`)}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="btn btn-outline-secondary"
+          onClick={fetchEntries}
+          disabled={loading}
+        >
+          {loading ? (
+            <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+          ) : (
+            <span className="me-2">🔄</span>
+          )}
+          {t('auditLog.refresh')}
+        </button>
+      </div>
+
+      {/* Entries */}
+      <div className="table-responsive">
+        <table className="table table-hover align-middle">
+          <thead className="table-dark">
+            <tr>
+              <th>{t('auditLog.time')}</th>
+              <th>{t('auditLog.actor')}</th>
+              <th>{t('auditLog.action')}</th>
+              <th>{t('auditLog.table')}</th>
+              <th>{t('auditLog.target')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="text-center text-muted py-4">
+                  {loading ? t('common.loading') : t(filtered ? 'auditLog.noMatches' : 'auditLog.empty')}
+                </td>
+              </tr>
+            ) : entries.map((entry) => {
+              const expanded = expandedId === entry.id;
+
+              return (
+                <React.Fragment key={entry.id}>
+                  <tr
+                    className={`audit-entry ${expanded ? 'table-active' : ''}`}
+                    onClick={() => toggleEntry(entry.id)}
+                    aria-expanded={expanded}
+                  >
+                    <td className="small text-nowrap">
+                      <span className="me-2">{expanded ? '▼' : '▶'}</span>
+                      {formatDate(entry.timecreated * 1000, { dateStyle: 'medium', timeStyle: 'medium' })}
+                    </td>
+                    <td>{entry.username || <span className="text-muted">{t('auditLog.unknownActor')}</span>}</td>
+                    <td>
+                      <span className="badge bg-secondary">
+                        {t(`auditLog.actions.${entry.action}`, { defaultValue: entry.action })}
+                      </span>
+                    </td>
+                    <td><code>{entry.table_name}</code></td>
+                    <td className="audit-target">{entry.target ?? '—'}</td>
+                  </tr>
+                  {expanded && (
+                    <tr>
+                      <td colSpan="5" className="bg-body-tertiary">
+                        <div className="row g-3">
+                          <div className="col-lg-6">
+                            <div className="small fw-bold text-muted mb-1">{t('auditLog.payload')}</div>
+                            <pre className="audit-detail-code mb-0">
+                              <code>{JSON.stringify(entry.payload, null, 2)}</code>
+                            </pre>
+                          </div>
+                          <div className="col-lg-6">
+                            <div className="small fw-bold text-muted mb-1">{t('auditLog.sql')}</div>
+                            {entry.sql ? (
+                              <pre className="audit-detail-code mb-0">
+                                <code>{entry.sql}</code>
+                              </pre>
+                            ) : (
+                              <p className="small text-muted mb-0">{t('auditLog.noSql')}</p>
+                            )}
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Pagination */}
+      {pagination && pagination.total > 0 && (
+        <div className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+          <small className="text-muted">
+            {t('auditLog.showing', {
+              start: formatNumber(pagination.from),
+              end: formatNumber(pagination.to),
+              count: pagination.total
+            })}
+          </small>
+
+          {totalPages > 1 && (
+            <nav aria-label={t('auditLog.pagination')}>
+              <ul className="pagination pagination-sm mb-0">
+                <li className={`page-item ${currentPage === 1 ? 'disabled' : ''}`}>
+                  <button
+                    className="page-link"
+                    onClick={() => handlePageChange(currentPage - 1)}
+                    disabled={currentPage === 1 || loading}
+                  >
+                    {t('auditLog.previous')}
+                  </button>
+                </li>
+                <li className="page-item disabled">
+                  <span className="page-link">
+                    {t('auditLog.pageOf', { page: formatNumber(currentPage), pages: formatNumber(totalPages) })}
+                  </span>
+                </li>
+                <li className={`page-item ${currentPage === totalPages ? 'disabled' : ''}`}>
+                  <button
+                    className="page-link"
+                    onClick={() => handlePageChange(currentPage + 1)}
+                    disabled={currentPage === totalPages || loading}
+                  >
+                    {t('auditLog.next')}
+                  </button>
+                </li>
+              </ul>
+            </nav>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
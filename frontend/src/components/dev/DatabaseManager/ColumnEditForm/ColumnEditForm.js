@@ -0,0 +1,316 @@
+import React, { useState } from 'react';
+import './ColumnEditForm.css';
+import DdlPreview from '../DdlPreview/DdlPreview';
+import { tableApi, i18n } from '../../../../services';
+import { ALTER_COLUMN_TYPES } from '../../../../utils/columnTypes';
+
+// Labels are columnEdit.defaultModes.* messages
+const DEFAULT_MODES = ['keep', 'value', 'expression', 'drop'];
+
+/**
+ * Describe a schema column's type including its length/precision
+ * @param {Object} column - Schema column
+ * @return {string} Type description (e.g. 'character varying(255)')
+ */
+const describeColumnType = (column) => {
+  if (column.character_maximum_length) {
+    return `${column.data_type}(${column.character_maximum_length})`;
+  }
+  if (column.data_type === 'numeric' && column.numeric_precision) {
+    return `numeric(${column.numeric_precision},${column.numeric_scale || 0})`;
+  }
+  return column.data_type;
+};
+
+/**
+ * Build the initial form state for a column
+ * @param {Object} column - Schema column
+ * @return {Object} Form state
+ */
+const getInitialForm = (column) => ({
+  newName: column.column_name,
+  type: '',
+  using: '',
+  notNull: column.is_nullable === 'NO',
+  defaultMode: 'keep',
+  defaultInput: ''
+});
+
+/**
+ * ColumnEditForm Component
+ *
+ * Inline form for altering an existing column: rename it, change its type
+ * (with an optional USING cast), toggle NOT NULL and set or drop its default.
+ * The generated DDL is previewed before it can be applied.
+ *
+ * @param {Object} props
+ * @param {string} props.tableName - Table containing the column
+ * @param {Object} props.column - Schema column being edited
+ * @param {boolean} props.disabled - Whether the form is disabled
+ * @param {Function} props.onApplied - Callback with the backend result after the change is applied
+ * @param {Function} props.onCancel - Callback when editing is cancelled
+ */
+const ColumnEditForm = ({ tableName, column, disabled = false, onApplied, onCancel }) => {
+  const { t } = i18n.useTranslation();
+  const [form, setForm] = useState(() => getInitialForm(column));
+  const [preview, setPreview] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState(null);
+
+  const working = pendingAction !== null;
+
+  /**
+   * Update a form field; any edit invalidates the current preview
+   * @param {string} field - Field name
+   * @param {*} value - New value
+   */
+  const updateForm = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setPreview(null);
+    setError(null);
+  };
+
+  /**
+   * Translate the form into the changes accepted by the backend
+   * @return {Object} Requested changes (empty when nothing changed)
+   */
+  const buildChanges = () => {
+    const changes = {};
+    const newName = form.newName.trim();
+
+    if (newName && newName !== column.column_name) {
+      changes.newName = newName;
+    }
+
+    if (form.type) {
+      changes.type = form.type;
+      if (form.using.trim()) {
+        changes.using = form.using.trim();
+      }
+    }
+
+    if (form.notNull !== (column.is_nullable === 'NO')) {
+      changes.nullable = !form.notNull;
+    }
+
+    if (form.defaultMode === 'value') {
+      changes.defaultValue = form.defaultInput;
+    } else if (form.defaultMode === 'expression') {
+      changes.defaultExpression = form.defaultInput.trim();
+    } else if (form.defaultMode === 'drop') {
+      changes.dropDefault = true;
+    }
+
+    return changes;
+  };
+
+  /**
+   * Preview or apply the changes
+   * @param {boolean} previewOnly - Whether to only generate the DDL
+   */
+  const submitChanges = async (previewOnly) => {
+    const changes = buildChanges();
+
+    if (Object.keys(changes).length === 0) {
+      setError(t('columnEdit.noChanges'));
+      return;
+    }
+
+    setPendingAction(previewOnly ? 'preview' : 'apply');
+    setError(null);
+
+    try {
+      const result = await tableApi.alterColumn(tableName, column.column_name, changes, { preview: previewOnly });
+
+      if (previewOnly) {
+        setPreview(result);
+      } else if (onApplied) {
+        onApplied(result);
+      }
+    } catch (err) {
+      setError(err.message);
+      console.error('Alter column error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  return (
+    <div className="column-edit-form card border-warning">
+      <div className="card-body">
+        <h6 className="card-title mb-3">
+          {t('columnEdit.title')} <code>{column.column_name}</code>
+          <small className="text-muted fw-normal ms-2">
+            {t('columnEdit.currently', { type: describeColumnType(column) })}
+          </small>
+        </h6>
+
+        {error && (
+          <div className="alert alert-danger py-2 small" role="alert">
+            {error}
+          </div>
+        )}
+
+        <div className="row g-3">
+          {/* Column Name */}
+          <div className="col-md-6">
+            <label className="form-label small">{t('columnEdit.columnName')}</label>
+            <input
+              type="text"
+              className="form-control form-control-sm"
+              value={form.newName}
+              onChange={(e) => updateForm('newName', e.target.value)}
+              disabled={disabled || working}
+            />
+          </div>
+
+          {/* Data Type */}
+          <div className="col-md-6">
+            <label className="form-label small">{t('columnEdit.dataType')}</label>
+            <select
+              className="form-select form-select-sm"
+              value={form.type}
+              onChange={(e) => updateForm('type', e.target.value)}
+              disabled={disabled || working}
+            >
+              <option value="">{t('columnEdit.keepType')}</option>
+              {ALTER_COLUMN_TYPES.map((type) => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* USING Expression */}
+          {form.type && (
+            <div className="col-12">
+              <label className="form-label small">{t('columnEdit.using')}</label>
+              <input
+                type="text"
+                className="form-control form-control-sm font-monospace"
+                placeholder={t('columnEdit.usingPlaceholder', {
+                  expression: `"${column.column_name}"::${form.type.toLowerCase()}`
+                })}
+                value={form.using}
+                onChange={(e) => updateForm('using', e.target.value)}
+                disabled={disabled || working}
+              />
+              <div className="form-text">
+                {t('columnEdit.usingHelp')}
+              </div>
+            </div>
+          )}
+
+          {/* Default */}
+          <div className="col-md-6">
+            <label className="form-label small">{t('columnEdit.default')}</label>
+            <select
+              className="form-select form-select-sm"
+              value={form.defaultMode}
+              onChange={(e) => updateForm('defaultMode', e.target.value)}
+              disabled={disabled || working}
+            >
+              {DEFAULT_MODES
+                .filter((mode) => mode !== 'drop' || column.column_default)
+                .map((mode) => (
+                  <option key={mode} value={mode}>{t(`columnEdit.defaultModes.${mode}`)}</option>
+                ))}
+            </select>
+          </div>
+
+          <div className="col-md-6">
+            {(form.defaultMode === 'value' || form.defaultMode === 'expression') && (
+              <>
+                <label className="form-label small">
+                  {form.defaultMode === 'value' ? t('columnEdit.defaultValue') : t('columnEdit.defaultExpression')}
+                </label>
+                <input
+                  type="text"
+                  className={`form-control form-control-sm ${form.defaultMode === 'expression' ? 'font-monospace' : ''}`}
+                  placeholder={form.defaultMode === 'value'
+                    ? t('columnEdit.defaultValuePlaceholder')
+                    : t('columnEdit.defaultExpressionPlaceholder')}
+                  value={form.defaultInput}
+                  onChange={(e) => updateForm('defaultInput', e.target.value)}
+                  disabled={disabled || working}
+                />
+              </>
+            )}
+          </div>
+
+          {/* Nullability */}
+          <div className="col-12">
+            <div className="form-check">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                id={`edit-notnull-${column.column_name}`}
+                checked={form.notNull}
+                onChange={(e) => updateForm('notNull', e.target.checked)}
+                disabled={disabled || working || column.is_primary_key}
+              />
+              <label className="form-check-label small" htmlFor={`edit-notnull-${column.column_name}`}>
+                {t('columnEdit.notNull')}
+                {column.is_primary_key && <span className="text-muted ms-1">{t('columnEdit.primaryKeyNotNull')}</span>}
+              </label>
+            </div>
+          </div>
+        </div>
+
+        {preview && (
+          <DdlPreview statements={preview.statements} className="mt-3" />
+        )}
+
+        {/* Form Actions */}
+        <div className="d-flex gap-2 mt-3">
+          <button
+            type="button"
+            onClick={() => submitChanges(true)}
+            className="btn btn-outline-primary btn-sm"
+            disabled={disabled || working}
+          >
+            {pendingAction === 'preview' ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                {t('columnEdit.generating')}
+              </>
+            ) : (
+              <>
+                <span className="me-1">🔍</span>
+                {t('columnEdit.previewDdl')}
+              </>
+            )}
+          </button>
+          <button
+            type="button"
+            onClick={() => submitChanges(false)}
+            className="btn btn-warning btn-sm"
+            disabled={disabled || working || !preview}
+            title={preview ? t('columnEdit.applyPreviewedTitle') : t('columnEdit.previewFirst')}
+          >
+            {pendingAction === 'apply' ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                {t('columnEdit.applying')}
+              </>
+            ) : (
+              <>
+                <span className="me-1">✅</span>
+                {t('columnEdit.apply')}
+              </>
+            )}
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="btn btn-outline-secondary btn-sm"
+            disabled={working}
+          >
+            {t('common.cancel')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnEditForm;
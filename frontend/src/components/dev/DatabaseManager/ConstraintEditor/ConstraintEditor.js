@@ -0,0 +1,393 @@
+import React, { useState, useEffect } from 'react';
+import './ConstraintEditor.css';
+import { tableApi, i18n } from '../../../../services';
+
+// Labels are constraintEditor.types.* messages
+const CONSTRAINT_TYPES = ['foreign_key', 'unique', 'check'];
+
+const FOREIGN_KEY_ACTIONS = ['NO ACTION', 'RESTRICT', 'CASCADE', 'SET NULL', 'SET DEFAULT'];
+
+/**
+ * Initial state for a new constraint definition
+ */
+export const EMPTY_CONSTRAINT = {
+  type: 'foreign_key',
+  name: '',
+  columns: [],
+  referencesTable: '',
+  referencesColumns: [],
+  onDelete: 'NO ACTION',
+  onUpdate: 'NO ACTION',
+  expression: ''
+};
+
+/**
+ * Check whether a constraint definition has everything its type needs
+ * @param {Object} constraint - Constraint definition
+ * @return {boolean} True if the constraint can be submitted
+ */
+export const isConstraintComplete = (constraint) => {
+  if (constraint.type === 'check') {
+    return constraint.expression.trim() !== '';
+  }
+  if (constraint.columns.length === 0) {
+    return false;
+  }
+  if (constraint.type === 'foreign_key') {
+    return Boolean(constraint.referencesTable)
+      && constraint.referencesColumns.length === constraint.columns.length
+      && constraint.referencesColumns.every(Boolean);
+  }
+  return true;
+};
+
+/**
+ * Convert a constraint definition into the request body accepted by the backend
+ * @param {Object} constraint - Constraint definition
+ * @return {Object} Constraint payload with only the fields used by its type
+ */
+export const toConstraintPayload = (constraint) => {
+  const payload = {
+    type: constraint.type,
+    name: constraint.name.trim() || undefined
+  };
+
+  if (constraint.type === 'check') {
+    return { ...payload, expression: constraint.expression.trim() };
+  }
+
+  if (constraint.type === 'unique') {
+    return { ...payload, columns: constraint.columns };
+  }
+
+  return {
+    ...payload,
+    columns: constraint.columns,
+    referencesTable: constraint.referencesTable,
+    referencesColumns: constraint.referencesColumns,
+    onDelete: constraint.onDelete,
+    onUpdate: constraint.onUpdate
+  };
+};
+
+/**
+ * Describe a constraint definition in SQL-like shorthand
+ * @param {Object} constraint - Constraint definition
+ * @return {string} Description (e.g. 'FOREIGN KEY (user_id) → user (id) ON DELETE CASCADE')
+ */
+export const describeConstraint = (constraint) => {
+  if (constraint.type === 'check') {
+    return `CHECK (${constraint.expression})`;
+  }
+  if (constraint.type === 'unique') {
+    return `UNIQUE (${constraint.columns.join(', ')})`;
+  }
+
+  let description = `FOREIGN KEY (${constraint.columns.join(', ')}) → ${constraint.referencesTable} (${constraint.referencesColumns.join(', ')})`;
+  if (constraint.onDelete !== 'NO ACTION') {
+    description += ` ON DELETE ${constraint.onDelete}`;
+  }
+  if (constraint.onUpdate !== 'NO ACTION') {
+    description += ` ON UPDATE ${constraint.onUpdate}`;
+  }
+  return description;
+};
+
+/**
+ * Pick the referenced column a local column most likely points at
+ * @param {string} columnName - Local column name
+ * @param {Array<string>} options - Columns of the referenced table
+ * @return {string} Referenced column name or '' when there is no obvious match
+ */
+const guessReferencedColumn = (columnName, options) => {
+  if (options.includes(columnName)) {
+    return columnName;
+  }
+  return options.includes('id') ? 'id' : '';
+};
+
+/**
+ * ConstraintEditor Component
+ *
+ * Controlled form for a single foreign key, UNIQUE or CHECK constraint.
+ * Used when creating a table and when adding constraints to an existing one;
+ * the parent renders the submit actions.
+ *
+ * @param {Object} props
+ * @param {Object} props.value - Constraint definition (see EMPTY_CONSTRAINT)
+ * @param {Function} props.onChange - Callback with the updated constraint definition
+ * @param {string} props.tableName - Name of the constrained table (for self-references)
+ * @param {Array<string>} props.columns - Column names of the constrained table
+ * @param {Array<string>} props.tables - Names of tables that can be referenced
+ * @param {boolean} props.disabled - Whether the form is disabled
+ */
+const ConstraintEditor = ({
+  value,
+  onChange,
+  tableName = '',
+  columns = [],
+  tables = [],
+  disabled = false
+}) => {
+  const { t } = i18n.useTranslation();
+  const [referencedOptions, setReferencedOptions] = useState([]);
+  const [loadingReferenced, setLoadingReferenced] = useState(false);
+
+  const isSelfReference = Boolean(value.referencesTable) && value.referencesTable === tableName;
+  const referenceTables = tableName && !tables.includes(tableName) ? [tableName, ...tables] : tables;
+
+  // Load the columns of the referenced table
+  useEffect(() => {
+    if (value.type !== 'foreign_key' || !value.referencesTable || isSelfReference) {
+      setReferencedOptions([]);
+      return;
+    }
+
+    let cancelled = false;
+    setLoadingReferenced(true);
+
+    tableApi.getTableSchema(value.referencesTable)
+      .then((data) => {
+        if (!cancelled) {
+          setReferencedOptions(data.columns.map((column) => column.column_name));
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setReferencedOptions([]);
+        }
+        console.error('Fetch referenced table schema error:', err);
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoadingReferenced(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [value.type, value.referencesTable, isSelfReference]);
+
+  const referencedColumns = isSelfReference ? columns : referencedOptions;
+
+  /**
+   * Update a field of the constraint
+   * @param {string} field - Field name
+   * @param {*} fieldValue - New value
+   */
+  const update = (field, fieldValue) => {
+    onChange({ ...value, [field]: fieldValue });
+  };
+
+  /**
+   * Switch the referenced table and reset the column pairing
+   * @param {string} referencesTable - Referenced table name
+   */
+  const changeReferencedTable = (referencesTable) => {
+    onChange({
+      ...value,
+      referencesTable,
+      referencesColumns: value.columns.map(() => '')
+    });
+  };
+
+  /**
+   * Add or remove a constrained column, keeping referenced columns aligned
+   * @param {string} columnName - Column name
+   */
+  const toggleColumn = (columnName) => {
+    const position = value.columns.indexOf(columnName);
+
+    if (position !== -1) {
+      onChange({
+        ...value,
+        columns: value.columns.filter((_, i) => i !== position),
+        referencesColumns: value.referencesColumns.filter((_, i) => i !== position)
+      });
+      return;
+    }
+
+    onChange({
+      ...value,
+      columns: [...value.columns, columnName],
+      referencesColumns: [...value.referencesColumns, guessReferencedColumn(columnName, referencedColumns)]
+    });
+  };
+
+  /**
+   * Set the referenced column paired with a constrained column
+   * @param {number} position - Position of the constrained column
+   * @param {string} columnName - Referenced column name
+   */
+  const setReferencedColumn = (position, columnName) => {
+    update('referencesColumns', value.referencesColumns.map((name, i) => (i === position ? columnName : name)));
+  };
+
+  return (
+    <div className="constraint-editor">
+      <div className="row g-3">
+        {/* Type */}
+        <div className="col-md-6">
+          <label className="form-label small">{t('constraintEditor.type')}</label>
+          <select
+            className="form-select form-select-sm"
+            value={value.type}
+            onChange={(e) => update('type', e.target.value)}
+            disabled={disabled}
+          >
+            {CONSTRAINT_TYPES.map((type) => (
+              <option key={type} value={type}>{t(`constraintEditor.types.${type}`)}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Name */}
+        <div className="col-md-6">
+          <label className="form-label small">{t('constraintEditor.name')}</label>
+          <input
+            type="text"
+            className="form-control form-control-sm"
+            placeholder={t('constraintEditor.namePlaceholder')}
+            value={value.name}
+            onChange={(e) => update('name', e.target.value)}
+            disabled={disabled}
+          />
+        </div>
+
+        {value.type === 'check' ? (
+          <div className="col-12">
+            <label className="form-label small">{t('constraintEditor.expression')}</label>
+            <input
+              type="text"
+              className="form-control form-control-sm font-monospace"
+              placeholder={t('constraintEditor.expressionPlaceholder')}
+              value={value.expression}
+              onChange={(e) => update('expression', e.target.value)}
+              disabled={disabled}
+            />
+          </div>
+        ) : (
+          <>
+            {/* Referenced table */}
+            {value.type === 'foreign_key' && (
+              <div className="col-md-6">
+                <label className="form-label small">{t('constraintEditor.referencesTable')}</label>
+                <select
+                  className="form-select form-select-sm"
+                  value={value.referencesTable}
+                  onChange={(e) => changeReferencedTable(e.target.value)}
+                  disabled={disabled}
+                >
+                  <option value="">{t('constraintEditor.selectTable')}</option>
+                  {referenceTables.map((name) => (
+                    <option key={name} value={name}>
+                      {name === tableName ? t('constraintEditor.thisTable', { table: name }) : name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Columns */}
+            <div className="col-12">
+              <label className="form-label small">
+                {t('constraintEditor.columns')}
+                {loadingReferenced && (
+                  <span className="spinner-border spinner-border-sm text-secondary ms-2" role="status" aria-hidden="true"></span>
+                )}
+              </label>
+              {columns.length === 0 ? (
+                <div className="small text-muted">{t('constraintEditor.noColumns')}</div>
+              ) : (
+                <div className="d-flex flex-wrap gap-3">
+                  {columns.map((columnName) => {
+                    const position = value.columns.indexOf(columnName);
+
+                    return (
+                      <div key={columnName} className="form-check">
+                        <input
+                          type="checkbox"
+                          className="form-check-input"
+                          id={`constraint-column-${columnName}`}
+                          checked={position !== -1}
+                          onChange={() => toggleColumn(columnName)}
+                          disabled={disabled}
+                        />
+                        <label className="form-check-label small" htmlFor={`constraint-column-${columnName}`}>
+                          {columnName}
+                          {position !== -1 && value.columns.length > 1 && (
+                            <span className="badge bg-success ms-1">{position + 1}</span>
+                          )}
+                        </label>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+
+            {/* Column pairing for foreign keys */}
+            {value.type === 'foreign_key' && value.referencesTable && value.columns.length > 0 && (
+              <div className="col-12">
+                <label className="form-label small">{t('constraintEditor.referencedColumns')}</label>
+                {value.columns.map((columnName, position) => (
+                  <div key={columnName} className="d-flex align-items-center gap-2 mb-2">
+                    <code className="constraint-column-name">{columnName}</code>
+                    <span className="text-muted">→</span>
+                    <select
+                      className="form-select form-select-sm"
+                      value={value.referencesColumns[position] || ''}
+                      onChange={(e) => setReferencedColumn(position, e.target.value)}
+                      aria-label={t('constraintEditor.referencedColumnFor', { column: columnName })}
+                      disabled={disabled}
+                    >
+                      <option value="">{t('constraintEditor.selectColumn')}</option>
+                      {referencedColumns.map((name) => (
+                        <option key={name} value={name}>{value.referencesTable}.{name}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Referential actions */}
+            {value.type === 'foreign_key' && (
+              <>
+                <div className="col-md-6">
+                  <label className="form-label small">{t('constraintEditor.onDelete')}</label>
+                  <select
+                    className="form-select form-select-sm"
+                    value={value.onDelete}
+                    onChange={(e) => update('onDelete', e.target.value)}
+                    disabled={disabled}
+                  >
+                    {FOREIGN_KEY_ACTIONS.map((action) => (
+                      <option key={action} value={action}>{action}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-6">
+                  <label className="form-label small">{t('constraintEditor.onUpdate')}</label>
+                  <select
+                    className="form-select form-select-sm"
+                    value={value.onUpdate}
+                    onChange={(e) => update('onUpdate', e.target.value)}
+                    disabled={disabled}
+                  >
+                    {FOREIGN_KEY_ACTIONS.map((action) => (
+                      <option key={action} value={action}>{action}</option>
+                    ))}
+                  </select>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConstraintEditor;
@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './ConstraintManager.css';
+import DdlPreview from '../DdlPreview/DdlPreview';
+import ConstraintEditor, {
+  EMPTY_CONSTRAINT,
+  isConstraintComplete,
+  toConstraintPayload
+} from '../ConstraintEditor/ConstraintEditor';
+import { tableApi, i18n } from '../../../../services';
+
+const TYPE_BADGES = {
+  'PRIMARY KEY': 'bg-primary',
+  'FOREIGN KEY': 'bg-warning text-dark',
+  UNIQUE: 'bg-info text-dark',
+  CHECK: 'bg-secondary'
+};
+
+/**
+ * Describe the definition of an existing constraint
+ * @param {Object} constraint - Constraint as returned by the backend
+ * @return {string} Definition (e.g. '(user_id) → user (id) ON DELETE CASCADE')
+ */
+const describeDefinition = (constraint) => {
+  if (constraint.constraint_type === 'CHECK') {
+    return constraint.check_clause;
+  }
+
+  let definition = `(${constraint.columns.join(', ')})`;
+
+  if (constraint.constraint_type === 'FOREIGN KEY') {
+    definition += ` → ${constraint.referenced_table} (${constraint.referenced_columns.join(', ')})`;
+    if (constraint.on_delete && constraint.on_delete !== 'NO ACTION') {
+      definition += ` ON DELETE ${constraint.on_delete}`;
+    }
+    if (constraint.on_update && constraint.on_update !== 'NO ACTION') {
+      definition += ` ON UPDATE ${constraint.on_update}`;
+    }
+  }
+
+  return definition;
+};
+
+/**
+ * ConstraintManager Component
+ *
+ * Lists the constraints of a table and the foreign keys of other tables
+ * that reference it, and lets the user add foreign key, UNIQUE and CHECK
+ * constraints (previewing the DDL first) or drop existing ones.
+ *
+ * @param {Object} props
+ * @param {string} props.tableName - Table whose constraints are managed
+ * @param {Array} props.columns - Table schema columns
+ * @param {Array<string>} props.tables - Names of tables that can be referenced
+ * @param {boolean} props.disabled - Whether actions are disabled
+ * @param {Function} props.onSuccess - Callback with a success message
+ * @param {Function} props.onError - Callback with an error message
+ */
+const ConstraintManager = ({ tableName, columns = [], tables = [], disabled = false, onSuccess, onError }) => {
+  const { t } = i18n.useTranslation();
+  const [constraints, setConstraints] = useState([]);
+  const [referencedBy, setReferencedBy] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [newConstraint, setNewConstraint] = useState(EMPTY_CONSTRAINT);
+  const [preview, setPreview] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const working = pendingAction !== null;
+
+  // Fetch constraints of the table
+  const fetchConstraints = useCallback(async () => {
+    if (!tableName) return;
+
+    setLoading(true);
+
+    try {
+      const data = await tableApi.getTableConstraints(tableName);
+      setConstraints(data.constraints || []);
+      setReferencedBy(data.referenced_by || []);
+    } catch (err) {
+      if (onError) {
+        onError(i18n.t('constraints.fetchFailed', { message: err.message }));
+      }
+      console.error('Fetch constraints error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [tableName, onError]);
+
+  // Reset the form when switching tables
+  useEffect(() => {
+    setShowForm(false);
+    setNewConstraint(EMPTY_CONSTRAINT);
+    setPreview(null);
+  }, [tableName]);
+
+  // Load constraints for the table; reload when its columns change (e.g. after a rename)
+  useEffect(() => {
+    fetchConstraints();
+  }, [fetchConstraints, columns]);
+
+  /**
+   * Update the new constraint; any edit invalidates the current preview
+   * @param {Object} constraint - Updated constraint definition
+   */
+  const updateNewConstraint = (constraint) => {
+    setNewConstraint(constraint);
+    setPreview(null);
+  };
+
+  /**
+   * Close the add form and discard its state
+   */
+  const closeForm = () => {
+    setShowForm(false);
+    setNewConstraint(EMPTY_CONSTRAINT);
+    setPreview(null);
+  };
+
+  /**
+   * Preview or add the constraint
+   * @param {boolean} previewOnly - Whether to only generate the DDL
+   */
+  const submitConstraint = async (previewOnly) => {
+    setPendingAction(previewOnly ? 'preview' : 'add');
+
+    try {
+      const result = await tableApi.addConstraint(
+        tableName,
+        toConstraintPayload(newConstraint),
+        { preview: previewOnly }
+      );
+
+      if (previewOnly) {
+        setPreview(result);
+        return;
+      }
+
+      closeForm();
+      fetchConstraints();
+
+      if (onSuccess) {
+        onSuccess(result.constraint_name
+          ? t('constraints.addedNamed', { name: result.constraint_name })
+          : t('constraints.added'));
+      }
+    } catch (err) {
+      if (onError) {
+        onError(t(previewOnly ? 'constraints.previewFailed' : 'constraints.addFailed', { message: err.message }));
+      }
+      console.error('Add constraint error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Drop a constraint
+   * @param {string} constraintName - Constraint name
+   */
+  const handleDropConstraint = async (constraintName) => {
+    if (!window.confirm(t('constraints.confirmDrop', { name: constraintName }))) {
+      return;
+    }
+
+    setPendingAction('drop');
+
+    try {
+      await tableApi.dropConstraint(tableName, constraintName);
+      fetchConstraints();
+
+      if (onSuccess) {
+        onSuccess(t('constraints.dropped', { name: constraintName }));
+      }
+    } catch (err) {
+      if (onError) {
+        onError(t('constraints.dropFailed', { message: err.message }));
+      }
+      console.error('Drop constraint error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  return (
+    <div className="constraint-manager">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h6 className="mb-0">
+          {t('constraints.title')}
+          {loading && (
+            <span className="spinner-border spinner-border-sm text-secondary ms-2" role="status" aria-hidden="true"></span>
+          )}
+        </h6>
+        {!showForm && (
+          <button
+            type="button"
+            onClick={() => setShowForm(true)}
+            className="btn btn-outline-success btn-sm"
+            disabled={disabled || working}
+          >
+            <span className="me-1">➕</span>
+            {t('constraints.add')}
+          </button>
+        )}
+      </div>
+
+      <div className="table-responsive mb-3">
+        <table className="table table-sm table-striped mb-0">
+          <thead className="table-dark">
+            <tr>
+              <th>{t('constraints.name')}</th>
+              <th>{t('constraints.type')}</th>
+              <th>{t('constraints.definition')}</th>
+              <th>{t('constraints.actions')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {constraints.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="text-center text-muted py-3">
+                  {loading ? t('constraints.loading') : t('constraints.empty')}
+                </td>
+              </tr>
+            ) : constraints.map((constraint) => (
+              <tr key={constraint.constraint_name}>
+                <td>
+                  <code>{constraint.constraint_name}</code>
+                </td>
+                <td>
+                  <span className={`badge ${TYPE_BADGES[constraint.constraint_type] || 'bg-light text-dark'}`}>
+                    {constraint.constraint_type}
+                  </span>
+                </td>
+                <td className="constraint-definition small font-monospace">
+                  {describeDefinition(constraint)}
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    onClick={() => handleDropConstraint(constraint.constraint_name)}
+                    className="btn btn-outline-danger btn-sm"
+                    disabled={disabled || working}
+                    title={t('constraints.drop')}
+                  >
+                    🗑️
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {referencedBy.length > 0 && (
+        <div className="small mb-3">
+          <span className="text-muted me-2">{t('constraints.referencedBy')}</span>
+          {referencedBy.map((reference) => (
+            <span
+              key={`${reference.table_name}.${reference.constraint_name}`}
+              className="badge bg-light text-dark border me-1"
+              title={t('constraints.constraintTitle', { name: reference.constraint_name })}
+            >
+              {reference.table_name}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="card border-success">
+          <div className="card-header bg-success text-white">
+            <h6 className="card-title mb-0">{t('constraints.add')}</h6>
+          </div>
+          <div className="card-body">
+            <ConstraintEditor
+              value={newConstraint}
+              onChange={updateNewConstraint}
+              tableName={tableName}
+              columns={columns.map((column) => column.column_name)}
+              tables={tables}
+              disabled={working}
+            />
+
+            {preview && (
+              <DdlPreview statements={preview.statements} className="mt-3" />
+            )}
+
+            {/* Form Actions */}
+            <div className="d-flex gap-2 mt-3">
+              <button
+                type="button"
+                onClick={() => submitConstraint(true)}
+                className="btn btn-outline-primary btn-sm"
+                disabled={disabled || working || !isConstraintComplete(newConstraint)}
+              >
+                {pendingAction === 'preview' ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                    {t('constraints.generating')}
+                  </>
+                ) : (
+                  <>
+                    <span className="me-1">🔍</span>
+                    {t('constraints.previewDdl')}
+                  </>
+                )}
+              </button>
+              <button
+                type="button"
+                onClick={() => submitConstraint(false)}
+                className="btn btn-success btn-sm"
+                disabled={disabled || working || !preview}
+                title={preview ? t('constraints.addPreviewedTitle') : t('constraints.previewFirst')}
+              >
+                {pendingAction === 'add' ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                    {t('constraints.adding')}
+                  </>
+                ) : (
+                  <>
+                    <span className="me-1">✅</span>
+                    {t('constraints.add')}
+                  </>
+                )}
+              </button>
+              <button
+                type="button"
+                onClick={closeForm}
+                className="btn btn-outline-secondary btn-sm"
+                disabled={working}
+              >
+                {t('common.cancel')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConstraintManager;
@@ -0,0 +1,121 @@
+import React from 'react';
+import './DataGrid.css';
+import { toInputValue } from '../../../../utils/columnTypes';
+import { i18n } from '../../../../services';
+
+/**
+ * Render a cell value, showing NULL in muted italics
+ * @param {*} value - Raw cell value
+ * @return {JSX.Element} Cell content
+ */
+export const renderCellValue = (value) => (
+  value !== null && value !== undefined ? (
+    <span>{toInputValue(value)}</span>
+  ) : (
+    <span className="text-muted fst-italic">NULL</span>
+  )
+);
+
+/**
+ * DataGrid Component
+ *
+ * Scrollable, sticky-header table for rows returned by the backend.
+ * Used by the table viewer and the query console; callers can hook into
+ * headers, cells and a trailing actions column for interactive behaviour.
+ *
+ * @param {Object} props
+ * @param {Array} props.columns - Columns ({ column_name, data_type, is_nullable })
+ * @param {Array} props.rows - Row objects keyed by column name
+ * @param {Function} props.getRowKey - Returns a React key for a row (row, index)
+ * @param {Function} props.getHeaderProps - Returns extra <th> props for a column
+ * @param {Function} props.renderHeaderExtra - Returns content shown after a column name
+ * @param {JSX.Element} props.headerRow - Extra header row rendered below the column names
+ * @param {Function} props.getCellProps - Returns extra <td> props (row, column, index)
+ * @param {Function} props.renderCell - Returns custom cell content, or undefined for the default
+ * @param {Function} props.renderRowActions - Returns content for a trailing Actions column
+ * @param {string} props.emptyMessage - Message shown when there are no rows (defaults to a translated message)
+ * @param {string} props.maxHeight - Maximum height of the scroll area
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const DataGrid = ({
+  columns = [],
+  rows = [],
+  getRowKey = (row, index) => index,
+  getHeaderProps,
+  renderHeaderExtra,
+  headerRow = null,
+  getCellProps,
+  renderCell,
+  renderRowActions,
+  emptyMessage,
+  maxHeight = '400px',
+  className = ""
+}) => {
+  const { t } = i18n.useTranslation();
+  const columnCount = columns.length + (renderRowActions ? 1 : 0);
+
+  return (
+    <div className={`table-responsive data-grid ${className}`} style={{ maxHeight, overflowY: 'auto' }}>
+      <table className="table table-sm table-striped table-hover">
+        <thead className="table-dark sticky-top">
+          <tr>
+            {columns.map((column) => (
+              <th
+                key={column.column_name}
+                scope="col"
+                {...(getHeaderProps ? getHeaderProps(column) : {})}
+              >
+                <div>
+                  {column.column_name}
+                  {renderHeaderExtra && renderHeaderExtra(column)}
+                  {column.data_type && (
+                    <small className="d-block text-light opacity-75">
+                      {column.data_type}
+                      {column.is_nullable === 'NO' && (
+                        <span className="badge bg-warning ms-1" title={t('dataGrid.notNull')}>!</span>
+                      )}
+                    </small>
+                  )}
+                </div>
+              </th>
+            ))}
+            {renderRowActions && <th scope="col" className="text-end">{t('dataGrid.actions')}</th>}
+          </tr>
+          {headerRow}
+        </thead>
+        <tbody>
+          {rows.length === 0 && (
+            <tr>
+              <td colSpan={columnCount || 1} className="text-center text-muted py-4">
+                {emptyMessage || t('dataGrid.empty')}
+              </td>
+            </tr>
+          )}
+          {rows.map((row, index) => (
+            <tr key={getRowKey(row, index)}>
+              {columns.map((column) => {
+                const custom = renderCell ? renderCell(row, column, index) : undefined;
+
+                return (
+                  <td
+                    key={column.column_name}
+                    {...(getCellProps ? getCellProps(row, column, index) : {})}
+                  >
+                    {custom !== undefined ? custom : renderCellValue(row[column.column_name])}
+                  </td>
+                );
+              })}
+              {renderRowActions && (
+                <td className="text-end">
+                  {renderRowActions(row, index)}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default DataGrid;
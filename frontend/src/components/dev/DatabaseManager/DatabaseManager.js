@@ -1,55 +1,145 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import TablesList from './TablesList/TablesList.js';
 import TableViewModal from './TableViewModal/TableViewModal';
 import TableEditModal from './TableEditModal/TableEditModal';
 import TableCreateForm from './TableCreateForm/TableCreateForm';
+import TableImportForm from './TableImportForm/TableImportForm';
+import QueryConsole from './QueryConsole/QueryConsole';
+import SchemaDiagram from './SchemaDiagram/SchemaDiagram';
+import { tableApi, authSession, router, notifications, i18n } from '../../../services';
+
+// URL of the Database Manager; open tables live at BASE_PATH/tables/<name>[/edit]
+const BASE_PATH = '/database';
+const TABLE_ROUTE = /^\/database\/tables\/([^/]+)(\/edit)?$/;
+
+// TableViewModal filters use the same filters[column][operator] parameters as the data API
+const FILTER_PARAM = /^filters\[(.+)\]\[(eq|contains|min|max)\]$/;
+
+/**
+ * Build the URL path of an open table
+ * @param {string} tableName - Table name
+ * @param {boolean} edit - Whether the structure editor is open rather than the data view
+ * @return {string} URL path
+ */
+const tablePath = (tableName, edit = false) => (
+  `${BASE_PATH}/tables/${encodeURIComponent(tableName)}${edit ? '/edit' : ''}`
+);
+
+/**
+ * Read the open table from a URL path
+ * @param {string} path - URL path
+ * @return {{tableName: string, edit: boolean}|null} Open table, or null when none is open
+ */
+const parseTableRoute = (path) => {
+  const match = TABLE_ROUTE.exec(path);
+
+  if (!match) {
+    return null;
+  }
+
+  try {
+    return { tableName: decodeURIComponent(match[1]), edit: Boolean(match[2]) };
+  } catch (err) {
+    return null; // Malformed escape sequence
+  }
+};
+
+/**
+ * Read TableViewModal paging, sorting, search and filters from URL parameters
+ * @param {URLSearchParams} params - URL parameters
+ * @return {{page: number, query: Object}} Page and query ({ sort, direction, search, filters })
+ */
+const parseTableView = (params) => {
+  const filters = {};
+
+  params.forEach((value, key) => {
+    const match = FILTER_PARAM.exec(key);
+    if (match) {
+      filters[match[1]] = { ...filters[match[1]], [match[2]]: value };
+    }
+  });
+
+  const page = parseInt(params.get('page'), 10);
+
+  return {
+    page: page > 0 ? page : 1,
+    query: {
+      sort: params.get('sort') || null,
+      direction: params.get('direction') === 'desc' ? 'desc' : 'asc',
+      search: params.get('search') || '',
+      filters
+    }
+  };
+};
+
+/**
+ * Turn TableViewModal state into URL parameters, leaving out defaults
+ * @param {Object} view - Page, sort, direction, search and filters
+ * @return {Object} URL parameters
+ */
+const toTableViewParams = ({ page, sort, direction, search, filters }) => {
+  const params = {
+    page: page > 1 ? page : null,
+    sort,
+    direction: sort && direction === 'desc' ? 'desc' : null,
+    search
+  };
+
+  Object.entries(filters).forEach(([column, operators]) => {
+    Object.entries(operators).forEach(([operator, value]) => {
+      params[`filters[${column}][${operator}]`] = value;
+    });
+  });
+
+  return params;
+};
 
+/**
+ * DatabaseManager Component
+ *
+ * Lists, creates, imports and drops tables, with a schema diagram and SQL
+ * console. The open table (data view or structure editor) and its page,
+ * sorting, search and filters are kept in the URL so they can be linked to
+ * and survive a reload. Outcomes are reported through the app-wide
+ * notifications.
+ */
 const DatabaseManager = () => {
   const [tables, setTables] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(null);
   const [showCreateForm, setShowCreateForm] = useState(false);
+  const [showImportForm, setShowImportForm] = useState(false);
+  const [activeTab, setActiveTab] = useState('tables');
+  const [tablesView, setTablesView] = useState('grid');
+  const { t } = i18n.useTranslation();
 
-  // Modal state
-  const [showViewModal, setShowViewModal] = useState(false);
-  const [showEditModal, setShowEditModal] = useState(false);
-  const [selectedTable, setSelectedTable] = useState(null);
+  const tableNames = tables.map((table) => table.table_name);
 
-  const API_BASE_URL = 'http://localhost:8080';
+  // What the signed-in user's role may change (the backend enforces the same rules)
+  const canWrite = authSession.hasPermission('schema.write');
+  const canDestroy = authSession.hasPermission('schema.destroy');
 
-  // Clear messages after 5 seconds
-  useEffect(() => {
-    if (error || success) {
-      const timer = setTimeout(() => {
-        setError(null);
-        setSuccess(null);
-      }, 5000);
-      return () => clearTimeout(timer);
-    }
-  }, [error, success]);
+  // Modal state comes from the URL; edit links open the data view for roles that can't edit
+  const location = router.useLocation();
+  const tableRoute = parseTableRoute(location.path);
+  const selectedTable = tableRoute ? tableRoute.tableName : null;
+  const showEditModal = Boolean(tableRoute) && tableRoute.edit && canWrite;
+  const showViewModal = Boolean(tableRoute) && !showEditModal;
+  const tableView = useMemo(() => parseTableView(location.params), [location.params]);
 
   // Fetch list of tables
   const fetchTables = useCallback(async () => {
     setLoading(true);
-    setError(null);
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/tables`);
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const data = await tableApi.getTables();
       setTables(data.tables || []);
     } catch (err) {
-      setError(`Failed to fetch tables: ${err.message}`);
+      notifications.error(i18n.t('database.fetchFailed', { message: err.message }));
       console.error('API Error:', err);
     } finally {
       setLoading(false);
     }
-  }, [API_BASE_URL]);
+  }, []);
 
   // Load tables on component mount
   useEffect(() => {
@@ -58,37 +148,23 @@ const DatabaseManager = () => {
 
   /**
    * Handle table creation from the TableCreateForm component
-   * @param {Object} formData - Object containing tableName and columns
+   * @param {Object} formData - Object containing tableName, columns and constraints
    */
   const handleCreateTable = async (formData) => {
-    const { tableName, columns } = formData;
+    const { tableName, columns, constraints } = formData;
 
     setLoading(true);
-    setError(null);
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/tables`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          tableName: tableName,
-          columns: columns
-        })
-      });
-
-      const data = await response.json();
+      await tableApi.createTable(tableName, columns, constraints);
 
-      if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
-      }
-
-      setSuccess(`Table "${tableName}" created successfully!`);
+      notifications.success(t('database.created', { table: tableName }), {
+        action: { label: t('database.viewTable'), onClick: () => viewTable(tableName) }
+      });
       setShowCreateForm(false);
       fetchTables(); // Refresh table list
     } catch (err) {
-      setError(`Failed to create table: ${err.message}`);
+      notifications.error(t('database.createFailed', { message: err.message }));
       console.error('Create table error:', err);
     } finally {
       setLoading(false);
@@ -102,33 +178,36 @@ const DatabaseManager = () => {
     setShowCreateForm(false);
   };
 
+  /**
+   * Handle a completed import from the TableImportForm component
+   * @param {string} message - Success message describing the import
+   */
+  const handleImported = (message) => {
+    notifications.success(message);
+    setShowImportForm(false);
+    fetchTables(); // Refresh table list - the import may have created a table
+  };
+
   /**
    * Delete a table
    * @param {string} tableName - Name of the table to delete
    */
   const deleteTable = async (tableName) => {
-    if (!window.confirm(`Are you sure you want to delete table "${tableName}"? This action cannot be undone.`)) {
+    if (!window.confirm(t('database.confirmDelete', { table: tableName }))) {
       return;
     }
 
     setLoading(true);
-    setError(null);
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/tables/${tableName}`, {
-        method: 'DELETE'
-      });
-
-      const data = await response.json();
+      await tableApi.deleteTable(tableName);
 
-      if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
-      }
-
-      setSuccess(`Table "${tableName}" deleted successfully!`);
+      notifications.success(t('database.deleted', { table: tableName }), {
+        action: { label: t('database.viewTrash'), onClick: () => router.navigate('/trash') }
+      });
       fetchTables(); // Refresh table list
     } catch (err) {
-      setError(`Failed to delete table: ${err.message}`);
+      notifications.error(t('database.deleteFailed', { message: err.message }));
       console.error('Delete table error:', err);
     } finally {
       setLoading(false);
@@ -140,8 +219,7 @@ const DatabaseManager = () => {
    * @param {string} tableName - Name of the table to view
    */
   const viewTable = (tableName) => {
-    setSelectedTable(tableName);
-    setShowViewModal(true);
+    router.navigate(tablePath(tableName));
   };
 
   /**
@@ -149,25 +227,25 @@ const DatabaseManager = () => {
    * @param {string} tableName - Name of the table to edit
    */
   const editTable = (tableName) => {
-    setSelectedTable(tableName);
-    setShowEditModal(true);
+    router.navigate(tablePath(tableName, true));
   };
 
   /**
-   * Handle closing the view modal
+   * Handle closing the view or edit modal
    */
-  const handleCloseViewModal = () => {
-    setShowViewModal(false);
-    setSelectedTable(null);
+  const handleCloseModal = () => {
+    router.navigate(BASE_PATH);
   };
 
   /**
-   * Handle closing the edit modal
+   * Record the view modal's page, sorting, search and filters in the URL
+   * @param {Object} view - Page, sort, direction, search and filters
+   * @param {Object} options
+   * @param {boolean} options.replace - Replace the history entry (used while typing filters)
    */
-  const handleCloseEditModal = () => {
-    setShowEditModal(false);
-    setSelectedTable(null);
-  };
+  const handleTableViewChange = useCallback((view, { replace = false } = {}) => {
+    router.navigate(tablePath(selectedTable), { query: toTableViewParams(view), replace });
+  }, [selectedTable]);
 
   /**
    * Handle table updated from edit modal
@@ -177,6 +255,17 @@ const DatabaseManager = () => {
     fetchTables();
   };
 
+  /**
+   * Handle table renamed from edit modal
+   * @param {string} oldName - Previous table name
+   * @param {string} newName - New table name
+   */
+  const handleTableRenamed = (oldName, newName) => {
+    notifications.success(t('database.renamed', { oldName, newName }));
+    router.navigate(tablePath(newName, true), { replace: true }); // Keep the edit modal open on the renamed table
+    fetchTables();
+  };
+
   return (
     <div className="container-fluid">
       {/* Header */}
@@ -184,114 +273,202 @@ const DatabaseManager = () => {
         <div className="col">
           <h2 className="mb-3">
             <span className="me-2">🗄️</span>
-            Database Table Manager
+            {t('database.title')}
           </h2>
         </div>
       </div>
 
-      {/* Alert Messages */}
-      {error && (
-        <div className="row mb-4">
-          <div className="col">
-            <div className="alert alert-danger alert-dismissible fade show" role="alert">
-              <strong>Error:</strong> {error}
-              <button type="button" className="btn-close" onClick={() => setError(null)}></button>
-            </div>
-          </div>
-        </div>
+      {/* Tabs */}
+      <ul className="nav nav-tabs mb-4">
+        <li className="nav-item">
+          <button
+            type="button"
+            className={`nav-link ${activeTab === 'tables' ? 'active' : ''}`}
+            onClick={() => setActiveTab('tables')}
+          >
+            <span className="me-2">📋</span>
+            {t('database.tablesTab')}
+          </button>
+        </li>
+        <li className="nav-item">
+          <button
+            type="button"
+            className={`nav-link ${activeTab === 'query' ? 'active' : ''}`}
+            onClick={() => setActiveTab('query')}
+          >
+            <span className="me-2">🧮</span>
+            {t('database.queryTab')}
+          </button>
+        </li>
+      </ul>
+
+      {/* Query Console - writes may change the table list, so refresh it afterwards */}
+      {activeTab === 'query' && (
+        <QueryConsole
+          onWriteExecuted={fetchTables}
+          canWrite={authSession.hasPermission('query.write')}
+        />
       )}
 
-      {success && (
-        <div className="row mb-4">
-          <div className="col">
-            <div className="alert alert-success alert-dismissible fade show" role="alert">
-              <strong>Success:</strong> {success}
-              <button type="button" className="btn-close" onClick={() => setSuccess(null)}></button>
+      {activeTab === 'tables' && (
+        <>
+          {/* Control Buttons */}
+          <div className="row mb-4">
+            <div className="col">
+              <div className="d-flex flex-wrap justify-content-center gap-3">
+                {canWrite && (
+                  <>
+                    <button
+                      onClick={() => {
+                        setShowCreateForm(!showCreateForm);
+                        setShowImportForm(false);
+                      }}
+                      className="btn btn-primary"
+                      disabled={loading}
+                    >
+                      {showCreateForm ? (
+                        <>
+                          <span className="me-2">❌</span>
+                          {t('common.cancel')}
+                        </>
+                      ) : (
+                        <>
+                          <span className="me-2">➕</span>
+                          {t('database.createTable')}
+                        </>
+                      )}
+                    </button>
+
+                    <button
+                      onClick={() => {
+                        setShowImportForm(!showImportForm);
+                        setShowCreateForm(false);
+                      }}
+                      className="btn btn-outline-primary"
+                      disabled={loading}
+                    >
+                      {showImportForm ? (
+                        <>
+                          <span className="me-2">❌</span>
+                          {t('database.cancelImport')}
+                        </>
+                      ) : (
+                        <>
+                          <span className="me-2">📥</span>
+                          {t('database.importData')}
+                        </>
+                      )}
+                    </button>
+                  </>
+                )}
+
+                <button
+                  onClick={fetchTables}
+                  className="btn btn-outline-primary"
+                  disabled={loading}
+                >
+                  {loading ? (
+                    <>
+                      <span
+                        className="spinner-border spinner-border-sm me-2"
+                        role="status"
+                        aria-hidden="true"
+                      ></span>
+                      {t('common.loading')}
+                    </>
+                  ) : (
+                    <>
+                      <span className="me-2">🔄</span>
+                      {t('database.refreshTables')}
+                    </>
+                  )}
+                </button>
+
+                <div className="btn-group" role="group" aria-label={t('database.viewLabel')}>
+                  <button
+                    type="button"
+                    onClick={() => setTablesView('grid')}
+                    className={`btn ${tablesView === 'grid' ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                  >
+                    <span className="me-2">🗂️</span>
+                    {t('database.gridView')}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setTablesView('diagram')}
+                    className={`btn ${tablesView === 'diagram' ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                  >
+                    <span className="me-2">🕸️</span>
+                    {t('database.diagramView')}
+                  </button>
+                </div>
+              </div>
             </div>
           </div>
-        </div>
-      )}
-
-      {/* Control Buttons */}
-      <div className="row mb-4">
-        <div className="col">
-          <div className="d-flex flex-wrap justify-content-center gap-3">
-            <button
-              onClick={() => setShowCreateForm(!showCreateForm)}
-              className="btn btn-primary"
-              disabled={loading}
-            >
-              {showCreateForm ? (
-                <>
-                  <span className="me-2">❌</span>
-                  Cancel
-                </>
-              ) : (
-                <>
-                  <span className="me-2">➕</span>
-                  Create New Table
-                </>
-              )}
-            </button>
-
-            <button
-              onClick={fetchTables}
-              className="btn btn-outline-primary"
-              disabled={loading}
-            >
-              {loading ? (
-                <>
-                  <span
-                    className="spinner-border spinner-border-sm me-2"
-                    role="status"
-                    aria-hidden="true"
-                  ></span>
-                  Loading...
-                </>
-              ) : (
-                <>
-                  <span className="me-2">🔄</span>
-                  Refresh Tables
-                </>
-              )}
-            </button>
-          </div>
-        </div>
-      </div>
 
-      {/* Create Table Form */}
-      {showCreateForm && (
-        <TableCreateForm
-          loading={loading}
-          onCreateTable={handleCreateTable}
-          onCancel={handleCreateTableCancel}
-        />
+          {/* Create Table Form */}
+          {canWrite && showCreateForm && (
+            <TableCreateForm
+              loading={loading}
+              tables={tableNames}
+              onCreateTable={handleCreateTable}
+              onCancel={handleCreateTableCancel}
+            />
+          )}
+
+          {/* Import Data Form */}
+          {canWrite && showImportForm && (
+            <TableImportForm
+              tables={tables}
+              loading={loading}
+              onImported={handleImported}
+              onCancel={() => setShowImportForm(false)}
+            />
+          )}
+
+          {/* Tables List - Now using the extracted component */}
+          {tablesView === 'grid' ? (
+            <TablesList
+              tables={tables}
+              loading={loading}
+              onDelete={deleteTable}
+              canDelete={canDestroy}
+              onView={viewTable}
+              onEdit={canWrite ? editTable : null}
+              onExportSuccess={notifications.success}
+              onExportError={notifications.error}
+            />
+          ) : (
+            <SchemaDiagram
+              tables={tables}
+              onView={viewTable}
+              onEdit={canWrite ? editTable : null}
+              onError={notifications.error}
+            />
+          )}
+        </>
       )}
 
-      {/* Tables List - Now using the extracted component */}
-      <TablesList
-        tables={tables}
-        loading={loading}
-        onDelete={deleteTable}
-        onView={viewTable}
-        onEdit={editTable}
-      />
-
       {/* Table View Modal */}
       <TableViewModal
         show={showViewModal}
-        onHide={handleCloseViewModal}
+        onHide={handleCloseModal}
         tableName={selectedTable}
-        apiBaseUrl={API_BASE_URL}
+        page={tableView.page}
+        query={tableView.query}
+        onViewChange={handleTableViewChange}
+        readOnly={!canWrite}
       />
 
       {/* Table Edit Modal */}
       <TableEditModal
         show={showEditModal}
-        onHide={handleCloseEditModal}
+        onHide={handleCloseModal}
         tableName={selectedTable}
-        apiBaseUrl={API_BASE_URL}
+        tables={tableNames}
         onTableUpdated={handleTableUpdated}
+        onTableRenamed={handleTableRenamed}
+        canDestroy={canDestroy}
       />
     </div>
   );
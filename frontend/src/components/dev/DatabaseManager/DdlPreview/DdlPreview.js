@@ -0,0 +1,29 @@
+import React from 'react';
+import './DdlPreview.css';
+import { i18n } from '../../../../services';
+
+/**
+ * DdlPreview Component
+ *
+ * Shows the DDL statements the backend generated for a schema change,
+ * so they can be reviewed before being applied.
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.statements - SQL statements to show
+ * @param {string} props.title - Heading above the statements (default: "Generated DDL")
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const DdlPreview = ({ statements = [], title, className = "" }) => {
+  const { t } = i18n.useTranslation();
+
+  return (
+    <div className={`ddl-preview ${className}`}>
+      <div className="small fw-bold text-muted mb-1">{title || t('ddlPreview.title')}</div>
+      <pre className="ddl-preview-sql mb-0">
+        <code>{statements.map((statement) => `${statement};`).join('\n')}</code>
+      </pre>
+    </div>
+  );
+};
+
+export default DdlPreview;
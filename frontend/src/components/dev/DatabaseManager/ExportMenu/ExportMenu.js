@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './ExportMenu.css';
+import { tableApi, i18n } from '../../../../services';
+import { saveBlob } from '../../../../utils/download';
+
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'ndjson', label: 'NDJSON' }
+];
+
+/**
+ * ExportMenu Component
+ *
+ * Dropdown button that downloads table data as CSV, JSON or NDJSON.
+ * When a query is given, the menu offers exporting either the rows matching
+ * the current sort/search/filters or the whole table.
+ *
+ * @param {Object} props
+ * @param {string} props.tableName - Name of the table to export
+ * @param {Object} props.query - Optional viewer query ({ sort, direction, search, filters })
+ * @param {boolean} props.hasFilters - Whether the query narrows down the rows
+ * @param {boolean} props.disabled - Whether the button is disabled
+ * @param {Function} props.onSuccess - Callback with a success message
+ * @param {Function} props.onError - Callback with an error message
+ * @param {string} props.buttonClassName - CSS classes for the toggle button
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const ExportMenu = ({
+  tableName,
+  query = null,
+  hasFilters = false,
+  disabled = false,
+  onSuccess,
+  onError,
+  buttonClassName = "btn btn-outline-success btn-sm",
+  className = ""
+}) => {
+  const { t } = i18n.useTranslation();
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close the menu when clicking outside of it
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  /**
+   * Download the export in the selected format
+   * @param {string} format - Output format
+   * @param {boolean} filtered - Whether to apply the current query
+   */
+  const handleExport = async (format, filtered) => {
+    setOpen(false);
+    setExporting(true);
+
+    try {
+      const { blob, fileName } = await tableApi.exportTableData(tableName, {
+        format,
+        ...(filtered && query ? query : {})
+      });
+      saveBlob(blob, fileName);
+
+      if (onSuccess) {
+        onSuccess(t('exportMenu.exported', { table: tableName, file: fileName }));
+      }
+    } catch (err) {
+      console.error('Export table error:', err);
+      if (onError) {
+        onError(t('exportMenu.failed', { message: err.message }));
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  /**
+   * Render the format options for one export scope
+   * @param {boolean} filtered - Whether the options apply the current query
+   * @return {JSX.Element[]} Menu items
+   */
+  const renderFormatItems = (filtered) => EXPORT_FORMATS.map((format) => (
+    <li key={`${filtered ? 'filtered' : 'all'}-${format.value}`}>
+      <button
+        type="button"
+        className="dropdown-item"
+        onClick={() => handleExport(format.value, filtered)}
+      >
+        {format.label}
+      </button>
+    </li>
+  ));
+
+  return (
+    <div className={`dropdown export-menu ${className}`} ref={containerRef}>
+      <button
+        type="button"
+        className={`${buttonClassName} dropdown-toggle w-100`}
+        onClick={() => setOpen(!open)}
+        disabled={disabled || exporting}
+        aria-expanded={open}
+        title={t('exportMenu.title')}
+      >
+        {exporting ? (
+          <>
+            <span className="spinner-border spinner-border-sm me-1" role="status" aria-hidden="true"></span>
+            {t('exportMenu.exporting')}
+          </>
+        ) : (
+          <>
+            <span className="me-1" role="img" aria-label={t('exportMenu.export')}>📤</span>
+            {t('exportMenu.export')}
+          </>
+        )}
+      </button>
+
+      {open && (
+        <ul className="dropdown-menu show">
+          {query ? (
+            <>
+              <li><h6 className="dropdown-header">{hasFilters ? t('exportMenu.currentFilter') : t('exportMenu.currentSort')}</h6></li>
+              {renderFormatItems(true)}
+              <li><hr className="dropdown-divider" /></li>
+              <li><h6 className="dropdown-header">{t('exportMenu.wholeTable')}</h6></li>
+              {renderFormatItems(false)}
+            </>
+          ) : (
+            renderFormatItems(false)
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
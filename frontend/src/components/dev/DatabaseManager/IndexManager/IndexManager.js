@@ -0,0 +1,422 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './IndexManager.css';
+import DdlPreview from '../DdlPreview/DdlPreview';
+import { tableApi, i18n } from '../../../../services';
+
+// Labels are indexes.methods.* messages
+const INDEX_METHODS = ['btree', 'gin', 'hash'];
+
+const EMPTY_INDEX = {
+  name: '',
+  columns: [],
+  unique: false,
+  method: 'btree',
+  where: ''
+};
+
+/**
+ * Format a size in bytes for display
+ * @param {number} bytes - Size in bytes
+ * @return {string} Human readable size
+ */
+const formatBytes = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} kB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * IndexManager Component
+ *
+ * Lists the indexes of a table and lets the user create (unique,
+ * multi-column, btree/gin/hash, partial) and drop indexes. New indexes show
+ * the generated DDL before they are created.
+ *
+ * @param {Object} props
+ * @param {string} props.tableName - Table whose indexes are managed
+ * @param {Array} props.columns - Table schema columns
+ * @param {boolean} props.disabled - Whether actions are disabled
+ * @param {Function} props.onSuccess - Callback with a success message
+ * @param {Function} props.onError - Callback with an error message
+ */
+const IndexManager = ({ tableName, columns = [], disabled = false, onSuccess, onError }) => {
+  const { t } = i18n.useTranslation();
+  const [indexes, setIndexes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [newIndex, setNewIndex] = useState(EMPTY_INDEX);
+  const [preview, setPreview] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const working = pendingAction !== null;
+
+  // Fetch indexes of the table
+  const fetchIndexes = useCallback(async () => {
+    if (!tableName) return;
+
+    setLoading(true);
+
+    try {
+      const data = await tableApi.getTableIndexes(tableName);
+      setIndexes(data.indexes || []);
+    } catch (err) {
+      if (onError) {
+        onError(i18n.t('indexes.fetchFailed', { message: err.message }));
+      }
+      console.error('Fetch indexes error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [tableName, onError]);
+
+  // Reset the form when switching tables
+  useEffect(() => {
+    setShowForm(false);
+    setNewIndex(EMPTY_INDEX);
+    setPreview(null);
+  }, [tableName]);
+
+  // Load indexes for the table; reload when its columns change (e.g. after a rename)
+  useEffect(() => {
+    fetchIndexes();
+  }, [fetchIndexes, columns]);
+
+  /**
+   * Update a field of the new index; any edit invalidates the current preview
+   * @param {string} field - Field name
+   * @param {*} value - New value
+   */
+  const updateNewIndex = (field, value) => {
+    setNewIndex((prev) => {
+      const next = { ...prev, [field]: value };
+
+      // Only btree indexes can be unique
+      if (next.method !== 'btree') {
+        next.unique = false;
+      }
+      return next;
+    });
+    setPreview(null);
+  };
+
+  /**
+   * Add or remove a column, keeping the order in which columns were picked
+   * @param {string} columnName - Column name
+   */
+  const toggleColumn = (columnName) => {
+    updateNewIndex('columns', newIndex.columns.includes(columnName)
+      ? newIndex.columns.filter((name) => name !== columnName)
+      : [...newIndex.columns, columnName]);
+  };
+
+  /**
+   * Preview or create the index
+   * @param {boolean} previewOnly - Whether to only generate the DDL
+   */
+  const submitIndex = async (previewOnly) => {
+    setPendingAction(previewOnly ? 'preview' : 'create');
+
+    try {
+      const result = await tableApi.createIndex(tableName, {
+        name: newIndex.name.trim() || undefined,
+        columns: newIndex.columns,
+        unique: newIndex.unique,
+        method: newIndex.method,
+        where: newIndex.where.trim() || undefined
+      }, { preview: previewOnly });
+
+      if (previewOnly) {
+        setPreview(result);
+        return;
+      }
+
+      setShowForm(false);
+      setNewIndex(EMPTY_INDEX);
+      setPreview(null);
+      fetchIndexes();
+
+      if (onSuccess) {
+        onSuccess(t('indexes.created', { name: result.index_name }));
+      }
+    } catch (err) {
+      if (onError) {
+        onError(t(previewOnly ? 'indexes.previewFailed' : 'indexes.createFailed', { message: err.message }));
+      }
+      console.error('Create index error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Drop an index
+   * @param {string} indexName - Index name
+   */
+  const handleDropIndex = async (indexName) => {
+    if (!window.confirm(t('indexes.confirmDrop', { name: indexName }))) {
+      return;
+    }
+
+    setPendingAction('drop');
+
+    try {
+      await tableApi.dropIndex(tableName, indexName);
+      fetchIndexes();
+
+      if (onSuccess) {
+        onSuccess(t('indexes.dropped', { name: indexName }));
+      }
+    } catch (err) {
+      if (onError) {
+        onError(t('indexes.dropFailed', { message: err.message }));
+      }
+      console.error('Drop index error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  return (
+    <div className="index-manager">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h6 className="mb-0">
+          {t('indexes.title')}
+          {loading && (
+            <span className="spinner-border spinner-border-sm text-secondary ms-2" role="status" aria-hidden="true"></span>
+          )}
+        </h6>
+        {!showForm && (
+          <button
+            type="button"
+            onClick={() => setShowForm(true)}
+            className="btn btn-outline-success btn-sm"
+            disabled={disabled || working}
+          >
+            <span className="me-1">➕</span>
+            {t('indexes.add')}
+          </button>
+        )}
+      </div>
+
+      <div className="table-responsive mb-3">
+        <table className="table table-sm table-striped mb-0">
+          <thead className="table-dark">
+            <tr>
+              <th>{t('indexes.name')}</th>
+              <th>{t('indexes.columns')}</th>
+              <th>{t('indexes.method')}</th>
+              <th>{t('indexes.properties')}</th>
+              <th>{t('indexes.size')}</th>
+              <th>{t('indexes.actions')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {indexes.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="text-center text-muted py-3">
+                  {loading ? t('indexes.loading') : t('indexes.empty')}
+                </td>
+              </tr>
+            ) : indexes.map((index) => (
+              <tr key={index.index_name}>
+                <td>
+                  <code title={index.definition}>{index.index_name}</code>
+                </td>
+                <td>
+                  {index.columns.map((column, position) => (
+                    <span key={position} className="badge bg-light text-dark border me-1">
+                      {column || t('indexes.expression')}
+                    </span>
+                  ))}
+                </td>
+                <td>{index.method}</td>
+                <td>
+                  {index.is_primary && <span className="badge bg-primary me-1">{t('indexes.primary')}</span>}
+                  {index.is_unique && !index.is_primary && <span className="badge bg-info text-dark me-1">{t('indexes.unique')}</span>}
+                  {index.predicate && (
+                    <span className="badge bg-secondary" title={index.predicate}>{t('indexes.partial')}</span>
+                  )}
+                </td>
+                <td className="text-nowrap small">{formatBytes(index.size_bytes)}</td>
+                <td>
+                  <button
+                    type="button"
+                    onClick={() => handleDropIndex(index.index_name)}
+                    className="btn btn-outline-danger btn-sm"
+                    disabled={disabled || working || Boolean(index.constraint_name)}
+                    title={index.constraint_name
+                      ? t('indexes.backsConstraint', { name: index.constraint_name })
+                      : t('indexes.drop')}
+                  >
+                    🗑️
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {showForm && (
+        <div className="card border-success">
+          <div className="card-header bg-success text-white">
+            <h6 className="card-title mb-0">{t('indexes.add')}</h6>
+          </div>
+          <div className="card-body">
+            <div className="row g-3">
+              {/* Columns */}
+              <div className="col-12">
+                <label className="form-label small">{t('indexes.columnsInOrder')}</label>
+                <div className="d-flex flex-wrap gap-3">
+                  {columns.map((column) => {
+                    const position = newIndex.columns.indexOf(column.column_name);
+
+                    return (
+                      <div key={column.column_name} className="form-check">
+                        <input
+                          type="checkbox"
+                          className="form-check-input"
+                          id={`index-column-${column.column_name}`}
+                          checked={position !== -1}
+                          onChange={() => toggleColumn(column.column_name)}
+                          disabled={working}
+                        />
+                        <label className="form-check-label small" htmlFor={`index-column-${column.column_name}`}>
+                          {column.column_name}
+                          {position !== -1 && newIndex.columns.length > 1 && (
+                            <span className="badge bg-success ms-1">{position + 1}</span>
+                          )}
+                        </label>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {/* Name */}
+              <div className="col-md-6">
+                <label className="form-label small">{t('indexes.indexName')}</label>
+                <input
+                  type="text"
+                  className="form-control form-control-sm"
+                  placeholder={`idx_${tableName}_${newIndex.columns.join('_') || '...'}`}
+                  value={newIndex.name}
+                  onChange={(e) => updateNewIndex('name', e.target.value)}
+                  disabled={working}
+                />
+              </div>
+
+              {/* Method */}
+              <div className="col-md-6">
+                <label className="form-label small">{t('indexes.method')}</label>
+                <select
+                  className="form-select form-select-sm"
+                  value={newIndex.method}
+                  onChange={(e) => updateNewIndex('method', e.target.value)}
+                  disabled={working}
+                >
+                  {INDEX_METHODS.map((method) => (
+                    <option key={method} value={method}>{t(`indexes.methods.${method}`)}</option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Partial index predicate */}
+              <div className="col-md-8">
+                <label className="form-label small">{t('indexes.predicate')}</label>
+                <input
+                  type="text"
+                  className="form-control form-control-sm font-monospace"
+                  placeholder={t('indexes.predicatePlaceholder')}
+                  value={newIndex.where}
+                  onChange={(e) => updateNewIndex('where', e.target.value)}
+                  disabled={working}
+                />
+              </div>
+
+              {/* Unique */}
+              <div className="col-md-4 d-flex align-items-end">
+                <div className="form-check mb-1">
+                  <input
+                    type="checkbox"
+                    className="form-check-input"
+                    id="indexUnique"
+                    checked={newIndex.unique}
+                    onChange={(e) => updateNewIndex('unique', e.target.checked)}
+                    disabled={working || newIndex.method !== 'btree'}
+                  />
+                  <label className="form-check-label small" htmlFor="indexUnique">
+                    {t('indexes.unique')}
+                  </label>
+                </div>
+              </div>
+            </div>
+
+            {preview && (
+              <DdlPreview statements={preview.statements} className="mt-3" />
+            )}
+
+            {/* Form Actions */}
+            <div className="d-flex gap-2 mt-3">
+              <button
+                type="button"
+                onClick={() => submitIndex(true)}
+                className="btn btn-outline-primary btn-sm"
+                disabled={disabled || working || newIndex.columns.length === 0}
+              >
+                {pendingAction === 'preview' ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                    {t('indexes.generating')}
+                  </>
+                ) : (
+                  <>
+                    <span className="me-1">🔍</span>
+                    {t('indexes.previewDdl')}
+                  </>
+                )}
+              </button>
+              <button
+                type="button"
+                onClick={() => submitIndex(false)}
+                className="btn btn-success btn-sm"
+                disabled={disabled || working || !preview}
+                title={preview ? t('indexes.createPreviewedTitle') : t('indexes.previewFirst')}
+              >
+                {pendingAction === 'create' ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                    {t('indexes.creating')}
+                  </>
+                ) : (
+                  <>
+                    <span className="me-1">✅</span>
+                    {t('indexes.create')}
+                  </>
+                )}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setShowForm(false);
+                  setNewIndex(EMPTY_INDEX);
+                  setPreview(null);
+                }}
+                className="btn btn-outline-secondary btn-sm"
+                disabled={working}
+              >
+                {t('common.cancel')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IndexManager;
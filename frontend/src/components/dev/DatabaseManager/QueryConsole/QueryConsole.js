@@ -0,0 +1,301 @@
+import React, { useState, useEffect } from 'react';
+import './QueryConsole.css';
+import { queryApi, i18n } from '../../../../services';
+import DataGrid from '../DataGrid/DataGrid';
+
+// Query history is kept for the browser session only
+const HISTORY_STORAGE_KEY = 'queryConsoleHistory';
+const MAX_HISTORY_ENTRIES = 25;
+
+/**
+ * Load query history from session storage
+ * @return {Array} History entries, newest first
+ */
+const loadHistory = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY)) || [];
+  } catch (err) {
+    return [];
+  }
+};
+
+/**
+ * QueryConsole Component
+ *
+ * SQL editor for running ad-hoc statements against the database.
+ * Statements run read-only by default; writes must be enabled explicitly.
+ * Shows results, timing and affected-row counts, and keeps a per-session history.
+ *
+ * @param {Object} props
+ * @param {Function} props.onWriteExecuted - Callback after a write-enabled query succeeds
+ * @param {boolean} props.canWrite - Whether the user's role may run data-modifying statements
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const QueryConsole = ({ onWriteExecuted, canWrite = true, className = "" }) => {
+  const { t } = i18n.useTranslation();
+  const [sql, setSql] = useState('');
+  const [writeRequested, setWriteRequested] = useState(false);
+  const allowWrite = canWrite && writeRequested;
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [history, setHistory] = useState(loadHistory);
+
+  // Persist history for the rest of the browser session
+  useEffect(() => {
+    sessionStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+  }, [history]);
+
+  /**
+   * Add an entry to the query history
+   * @param {Object} entry - History entry
+   */
+  const addHistoryEntry = (entry) => {
+    setHistory(prev => [
+      { id: Date.now(), executedAt: new Date().toISOString(), ...entry },
+      ...prev
+    ].slice(0, MAX_HISTORY_ENTRIES));
+  };
+
+  /**
+   * Run the statement in the editor
+   */
+  const runQuery = async () => {
+    const statement = sql.trim();
+
+    if (!statement || running) {
+      return;
+    }
+
+    setRunning(true);
+    setError(null);
+    setResult(null);
+
+    try {
+      const data = await queryApi.executeQuery(statement, { allowWrite });
+      setResult(data);
+      addHistoryEntry({
+        sql: statement,
+        allowWrite,
+        command: data.command,
+        durationMs: data.duration_ms,
+        rowCount: data.affected_rows ?? data.row_count
+      });
+
+      if (allowWrite && onWriteExecuted) {
+        onWriteExecuted(data);
+      }
+    } catch (err) {
+      setError(err.message);
+      addHistoryEntry({ sql: statement, allowWrite, error: err.message });
+      console.error('Execute query error:', err);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  /**
+   * Run the query with Ctrl/Cmd+Enter
+   * @param {KeyboardEvent} e - Key event
+   */
+  const handleEditorKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      runQuery();
+    }
+  };
+
+  /**
+   * Load a history entry back into the editor
+   * @param {Object} entry - History entry
+   */
+  const loadHistoryEntry = (entry) => {
+    setSql(entry.sql);
+  };
+
+  /**
+   * Render the summary line for the latest result
+   * @return {string} Result summary
+   */
+  const getResultSummary = () => {
+    if (result.affected_rows !== null) {
+      return t('queryConsole.rowsAffected', { command: result.command, count: result.affected_rows });
+    }
+    return t('queryConsole.rowsReturned', { command: result.command, count: result.row_count });
+  };
+
+  return (
+    <div className={`row query-console ${className}`}>
+      {/* Editor and Results */}
+      <div className="col-lg-9 mb-4">
+        <div className="card">
+          <div className="card-header bg-dark text-white d-flex justify-content-between align-items-center">
+            <h6 className="card-title mb-0">
+              <span className="me-2">🧮</span>
+              {t('queryConsole.title')}
+            </h6>
+            {canWrite ? (
+              <div className="form-check form-switch mb-0">
+                <input
+                  className="form-check-input"
+                  type="checkbox"
+                  id="queryConsoleAllowWrite"
+                  checked={allowWrite}
+                  onChange={(e) => setWriteRequested(e.target.checked)}
+                  disabled={running}
+                />
+                <label className="form-check-label small" htmlFor="queryConsoleAllowWrite">
+                  {t('queryConsole.allowWrites')}
+                </label>
+              </div>
+            ) : (
+              <span className="badge bg-secondary">{t('queryConsole.readOnly')}</span>
+            )}
+          </div>
+          <div className="card-body">
+            {allowWrite ? (
+              <div className="alert alert-warning py-2 small" role="alert">
+                <strong>{t('queryConsole.writeModeTitle')}</strong> {t('queryConsole.writeModeText')}
+              </div>
+            ) : (
+              <p className="text-muted small mb-2">
+                {t('queryConsole.readOnlyMode')}
+              </p>
+            )}
+
+            <textarea
+              className="form-control font-monospace query-console-editor"
+              rows={8}
+              value={sql}
+              onChange={(e) => setSql(e.target.value)}
+              onKeyDown={handleEditorKeyDown}
+              placeholder="SELECT * FROM config LIMIT 10;"
+              spellCheck={false}
+              aria-label={t('queryConsole.editorLabel')}
+            />
+
+            <div className="d-flex justify-content-between align-items-center mt-3">
+              <small className="text-muted">{t('queryConsole.runHint')}</small>
+              <div className="d-flex gap-2">
+                <button
+                  type="button"
+                  className="btn btn-outline-secondary btn-sm"
+                  onClick={() => setSql('')}
+                  disabled={running || !sql}
+                >
+                  {t('queryConsole.clear')}
+                </button>
+                <button
+                  type="button"
+                  className={`btn btn-sm ${allowWrite ? 'btn-warning' : 'btn-primary'}`}
+                  onClick={runQuery}
+                  disabled={running || !sql.trim()}
+                >
+                  {running ? (
+                    <>
+                      <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                      {t('queryConsole.running')}
+                    </>
+                  ) : (
+                    <>
+                      <span className="me-2">▶️</span>
+                      {t('queryConsole.run')}
+                    </>
+                  )}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {error && (
+          <div className="alert alert-danger mt-3" role="alert">
+            <strong>{t('common.error')}</strong> {error}
+          </div>
+        )}
+
+        {result && (
+          <div className="card mt-3">
+            <div className="card-header d-flex justify-content-between align-items-center">
+              <span>
+                <strong>{getResultSummary()}</strong>
+                {result.read_only && (
+                  <span className="badge bg-secondary ms-2">{t('queryConsole.readOnlyBadge')}</span>
+                )}
+              </span>
+              <small className="text-muted">
+                {t('queryConsole.duration', { duration: result.duration_ms, timeout: result.statement_timeout_ms })}
+              </small>
+            </div>
+            {result.columns.length > 0 && (
+              <div className="card-body">
+                {result.truncated && (
+                  <div className="alert alert-info py-2 small" role="alert">
+                    {t('queryConsole.truncated', { count: result.max_rows })}
+                  </div>
+                )}
+                <DataGrid
+                  columns={result.columns}
+                  rows={result.rows}
+                  emptyMessage={t('queryConsole.noRows')}
+                />
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* History */}
+      <div className="col-lg-3">
+        <div className="card">
+          <div className="card-header d-flex justify-content-between align-items-center">
+            <h6 className="card-title mb-0">
+              <span className="me-2">🕘</span>
+              {t('queryConsole.history')}
+            </h6>
+            <button
+              type="button"
+              className="btn btn-link btn-sm p-0"
+              onClick={() => setHistory([])}
+              disabled={history.length === 0}
+            >
+              {t('queryConsole.clear')}
+            </button>
+          </div>
+          {history.length === 0 ? (
+            <div className="card-body text-muted small">
+              {t('queryConsole.historyEmpty')}
+            </div>
+          ) : (
+            <ul className="list-group list-group-flush query-console-history">
+              {history.map((entry) => (
+                <li key={entry.id} className="list-group-item p-0">
+                  <button
+                    type="button"
+                    className="btn btn-link text-start text-decoration-none w-100 p-2"
+                    onClick={() => loadHistoryEntry(entry)}
+                    title={t('queryConsole.loadEntry')}
+                  >
+                    <code className="d-block text-truncate">{entry.sql}</code>
+                    <small className={entry.error ? 'text-danger' : 'text-muted'}>
+                      {entry.error
+                        ? t('queryConsole.historyFailed')
+                        : t('queryConsole.historyEntry', {
+                          command: entry.command,
+                          count: entry.rowCount,
+                          duration: entry.durationMs
+                        })}
+                      {entry.allowWrite && ` · ${t('queryConsole.historyWrite')}`}
+                    </small>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QueryConsole;
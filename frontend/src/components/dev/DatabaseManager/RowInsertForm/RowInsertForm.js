@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import './RowInsertForm.css';
+import { getTypeCategory, getInputType, parseInputValue } from '../../../../utils/columnTypes';
+import { i18n } from '../../../../services';
+
+/**
+ * Check whether a column is filled in automatically by the database
+ * @param {Object} column - Schema column
+ * @return {boolean} True for serial/identity style defaults
+ */
+const isAutoGenerated = (column) => (
+  typeof column.column_default === 'string' && column.column_default.startsWith('nextval(')
+);
+
+/**
+ * RowInsertForm Component
+ *
+ * A form for inserting a new row, generated from the table schema.
+ * Inputs are chosen per column type; blank fields fall back to the column default.
+ *
+ * @param {Object} props
+ * @param {Array} props.columns - Schema columns from /api/tables/{tableName}/schema
+ * @param {boolean} props.loading - Whether any operation is in progress
+ * @param {Function} props.onSubmit - Callback with a column => value map
+ * @param {Function} props.onCancel - Callback when the form is cancelled
+ * @param {string} props.className - Additional CSS classes for the form container
+ */
+const RowInsertForm = ({
+  columns = [],
+  loading = false,
+  onSubmit,
+  onCancel,
+  className = ""
+}) => {
+  const { t } = i18n.useTranslation();
+  const [values, setValues] = useState({});
+  const [error, setError] = useState(null);
+
+  /**
+   * Update a single field value
+   * @param {string} columnName - Column name
+   * @param {string} value - New input value
+   */
+  const updateValue = (columnName, value) => {
+    setValues(prev => ({
+      ...prev,
+      [columnName]: value
+    }));
+  };
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const rowValues = {};
+
+    try {
+      columns.forEach((column) => {
+        const input = values[column.column_name];
+
+        // Leave blank fields out so the database applies the column default
+        if (input === undefined || input === '') {
+          return;
+        }
+
+        rowValues[column.column_name] = parseInputValue(input, column);
+      });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    if (onSubmit) {
+      onSubmit(rowValues);
+    }
+  };
+
+  /**
+   * Render the input for a single column
+   * @param {Object} column - Schema column
+   * @return {JSX.Element} Input element
+   */
+  const renderInput = (column) => {
+    const id = `row-insert-${column.column_name}`;
+    const value = values[column.column_name] ?? '';
+    const placeholder = isAutoGenerated(column)
+      ? t('rowInsert.autoGenerated')
+      : column.column_default
+        ? t('rowInsert.default', { value: column.column_default })
+        : column.is_nullable === 'YES' ? 'NULL' : '';
+
+    switch (getTypeCategory(column.data_type)) {
+      case 'boolean':
+        return (
+          <select
+            id={id}
+            className="form-select form-select-sm"
+            value={value}
+            onChange={(e) => updateValue(column.column_name, e.target.value)}
+            disabled={loading}
+          >
+            <option value="">{placeholder || t('rowInsert.select')}</option>
+            <option value="true">true</option>
+            <option value="false">false</option>
+          </select>
+        );
+
+      case 'json':
+        return (
+          <textarea
+            id={id}
+            className="form-control form-control-sm font-monospace"
+            rows={2}
+            value={value}
+            placeholder={placeholder || '{}'}
+            onChange={(e) => updateValue(column.column_name, e.target.value)}
+            disabled={loading}
+          />
+        );
+
+      default:
+        return (
+          <input
+            id={id}
+            type={getInputType(column.data_type)}
+            step={getTypeCategory(column.data_type) === 'decimal' ? 'any' : undefined}
+            className="form-control form-control-sm"
+            value={value}
+            placeholder={placeholder}
+            onChange={(e) => updateValue(column.column_name, e.target.value)}
+            disabled={loading}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className={`card border-success mb-3 row-insert-form ${className}`}>
+      <div className="card-header bg-success text-white">
+        <h6 className="card-title mb-0">
+          <span className="me-2">➕</span>
+          {t('rowInsert.title')}
+        </h6>
+      </div>
+      <div className="card-body">
+        {error && (
+          <div className="alert alert-danger py-2" role="alert">
+            <strong>{t('common.error')}</strong> {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="row g-3">
+            {columns.map((column) => (
+              <div key={column.column_name} className="col-md-4">
+                <label htmlFor={`row-insert-${column.column_name}`} className="form-label small mb-1">
+                  <code>{column.column_name}</code>
+                  <span className="text-muted ms-1">{column.data_type}</span>
+                  {column.is_nullable === 'NO' && !column.column_default && (
+                    <span className="text-danger ms-1" title={t('form.required')}>*</span>
+                  )}
+                </label>
+                {renderInput(column)}
+              </div>
+            ))}
+          </div>
+
+          <div className="d-flex gap-2 mt-3">
+            <button type="submit" className="btn btn-success btn-sm" disabled={loading}>
+              {loading ? (
+                <>
+                  <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                  {t('rowInsert.saving')}
+                </>
+              ) : (
+                <>
+                  <span className="me-2">✅</span>
+                  {t('rowInsert.submit')}
+                </>
+              )}
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline-secondary btn-sm"
+              onClick={onCancel}
+              disabled={loading}
+            >
+              {t('common.cancel')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RowInsertForm;
@@ -0,0 +1,545 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import './SchemaDiagram.css';
+import { tableApi, i18n } from '../../../../services';
+import { saveBlob } from '../../../../utils/download';
+import {
+  NODE_WIDTH,
+  HEADER_HEIGHT,
+  ROW_HEIGHT,
+  getNodeHeight,
+  getColumnAnchorY,
+  buildEdgePath,
+  computeLayout,
+  getDiagramBounds,
+  serializeDiagram,
+  renderSvgToPng
+} from '../../../../utils/schemaDiagram';
+
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 2.5;
+const ZOOM_STEP = 1.2;
+const DRAG_THRESHOLD = 3;
+const MAX_TYPE_LENGTH = 18;
+
+const COLORS = {
+  header: '#0d6efd',
+  headerText: '#ffffff',
+  body: '#ffffff',
+  border: '#adb5bd',
+  text: '#212529',
+  muted: '#6c757d',
+  primaryKey: '#ffc107',
+  foreignKey: '#0dcaf0',
+  edge: '#6c757d'
+};
+
+/**
+ * Clamp a zoom level to the supported range
+ * @param {number} scale - Requested zoom level
+ * @return {number} Zoom level
+ */
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+/**
+ * Describe a column type for display in a table box
+ * @param {Object} column - Schema column
+ * @return {string} Short type description
+ */
+const describeType = (column) => {
+  const type = column.character_maximum_length
+    ? `${column.data_type}(${column.character_maximum_length})`
+    : column.data_type;
+
+  return type.length > MAX_TYPE_LENGTH ? `${type.slice(0, MAX_TYPE_LENGTH - 1)}…` : type;
+};
+
+/**
+ * Keep manual positions while the set of tables is unchanged, otherwise lay out again
+ * @param {Object} previous - Current positions keyed by table name
+ * @param {Array} tables - Tables with their columns
+ * @param {Array} relationships - Foreign keys
+ * @return {Object} Positions keyed by table name
+ */
+const mergePositions = (previous, tables, relationships) => {
+  const known = tables.every((table) => previous[table.table_name]);
+  return known ? previous : computeLayout(tables, relationships);
+};
+
+/**
+ * SchemaDiagram Component
+ *
+ * Entity-relationship diagram of the database: each table is drawn with its
+ * columns and primary/foreign key markers, and foreign keys are drawn as
+ * edges between column rows. Supports panning (drag the background),
+ * zooming (mouse wheel or toolbar), moving tables, automatic layout and
+ * exporting the whole diagram as SVG or PNG.
+ *
+ * @param {Object} props
+ * @param {Array} props.tables - Table list; the schema is reloaded whenever it changes
+ * @param {Function} props.onView - Callback with the table name when a table is clicked
+ * @param {Function} props.onEdit - Optional callback with the table name when a table's edit action is clicked (hidden when omitted)
+ * @param {Function} props.onError - Callback with an error message
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const SchemaDiagram = ({ tables, onView, onEdit, onError, className = '' }) => {
+  const { t } = i18n.useTranslation();
+  const [schema, setSchema] = useState({ tables: [], relationships: [] });
+  const [positions, setPositions] = useState({});
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [hoveredTable, setHoveredTable] = useState(null);
+
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const fitPendingRef = useRef(true);
+
+  // Fetch the schema of all tables
+  const fetchSchema = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const data = await tableApi.getDatabaseSchema();
+      setSchema(data);
+      setPositions((prev) => mergePositions(prev, data.tables, data.relationships));
+    } catch (err) {
+      if (onError) {
+        onError(i18n.t('schemaDiagram.loadFailed', { message: err.message }));
+      }
+      console.error('Fetch database schema error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [onError]);
+
+  // Reload whenever the table list changes (create, drop, rename, column edits)
+  useEffect(() => {
+    fetchSchema();
+  }, [fetchSchema, tables]);
+
+  /**
+   * Zoom and pan so the whole diagram is visible
+   * @param {Object} targetPositions - Positions to fit
+   */
+  const fitToView = useCallback((targetPositions) => {
+    const svg = svgRef.current;
+    const bounds = getDiagramBounds(schema.tables, targetPositions);
+
+    if (!svg || bounds.width === 0) {
+      return;
+    }
+
+    const margin = 20;
+    const scale = clampScale(Math.min(
+      (svg.clientWidth - margin * 2) / bounds.width,
+      (svg.clientHeight - margin * 2) / bounds.height,
+      1
+    ));
+
+    setView({
+      scale,
+      x: (svg.clientWidth - bounds.width * scale) / 2 - bounds.x * scale,
+      y: margin - bounds.y * scale
+    });
+  }, [schema.tables]);
+
+  // Fit the first loaded diagram into view
+  useEffect(() => {
+    if (fitPendingRef.current && schema.tables.length > 0) {
+      fitPendingRef.current = false;
+      fitToView(positions);
+    }
+  }, [schema.tables, positions, fitToView]);
+
+  /**
+   * Zoom around a point of the viewport
+   * @param {number} factor - Zoom multiplier
+   * @param {number} originX - X coordinate within the viewport
+   * @param {number} originY - Y coordinate within the viewport
+   */
+  const zoomAt = useCallback((factor, originX, originY) => {
+    setView((prev) => {
+      const scale = clampScale(prev.scale * factor);
+      const ratio = scale / prev.scale;
+
+      return {
+        scale,
+        x: originX - (originX - prev.x) * ratio,
+        y: originY - (originY - prev.y) * ratio
+      };
+    });
+  }, []);
+
+  /**
+   * Zoom around the centre of the viewport
+   * @param {number} factor - Zoom multiplier
+   */
+  const zoomCentered = (factor) => {
+    const svg = svgRef.current;
+    zoomAt(factor, svg.clientWidth / 2, svg.clientHeight / 2);
+  };
+
+  // Wheel zoom needs a non-passive listener so the page does not scroll
+  useEffect(() => {
+    const svg = svgRef.current;
+
+    if (!svg) {
+      return undefined;
+    }
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      zoomAt(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, e.clientX - rect.left, e.clientY - rect.top);
+    };
+
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, [zoomAt]);
+
+  /**
+   * Start panning the diagram or moving a table
+   * @param {PointerEvent} e - Pointer event
+   */
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) {
+      return;
+    }
+
+    const node = e.target.closest('[data-table]');
+    const action = e.target.closest('[data-action]');
+
+    dragRef.current = {
+      tableName: node ? node.dataset.table : null,
+      action: action ? action.dataset.action : 'view',
+      startX: e.clientX,
+      startY: e.clientY,
+      origin: node ? positions[node.dataset.table] : { x: view.x, y: view.y },
+      moved: false
+    };
+
+    svgRef.current.setPointerCapture(e.pointerId);
+  };
+
+  /**
+   * Pan the diagram or move the dragged table
+   * @param {PointerEvent} e - Pointer event
+   */
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+
+    if (!drag) {
+      return;
+    }
+
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+
+    if (!drag.moved && Math.abs(dx) < DRAG_THRESHOLD && Math.abs(dy) < DRAG_THRESHOLD) {
+      return;
+    }
+    drag.moved = true;
+
+    if (drag.tableName) {
+      setPositions((prev) => ({
+        ...prev,
+        [drag.tableName]: {
+          x: drag.origin.x + dx / view.scale,
+          y: drag.origin.y + dy / view.scale
+        }
+      }));
+    } else {
+      setView((prev) => ({ ...prev, x: drag.origin.x + dx, y: drag.origin.y + dy }));
+    }
+  };
+
+  /**
+   * Finish a drag; a press without movement on a table opens it
+   * @param {PointerEvent} e - Pointer event
+   */
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+
+    if (svgRef.current.hasPointerCapture(e.pointerId)) {
+      svgRef.current.releasePointerCapture(e.pointerId);
+    }
+
+    if (!drag || drag.moved || !drag.tableName) {
+      return;
+    }
+
+    if (drag.action === 'edit') {
+      if (onEdit) onEdit(drag.tableName);
+    } else if (onView) {
+      onView(drag.tableName);
+    }
+  };
+
+  /**
+   * Re-run the automatic layout and fit it into view
+   */
+  const handleAutoLayout = () => {
+    const layout = computeLayout(schema.tables, schema.relationships);
+    setPositions(layout);
+    fitToView(layout);
+  };
+
+  /**
+   * Export the whole diagram as SVG or PNG
+   * @param {string} format - 'svg' or 'png'
+   */
+  const handleExport = async (format) => {
+    const bounds = getDiagramBounds(schema.tables, positions);
+    const { svg, width, height } = serializeDiagram(svgRef.current, bounds);
+
+    if (format === 'svg') {
+      saveBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), 'schema.svg');
+      return;
+    }
+
+    setExporting(true);
+
+    try {
+      saveBlob(await renderSvgToPng(svg, width, height), 'schema.png');
+    } catch (err) {
+      if (onError) {
+        onError(t('schemaDiagram.exportFailed', { message: err.message }));
+      }
+      console.error('Export diagram error:', err);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const tablesByName = schema.tables.reduce((map, table) => ({ ...map, [table.table_name]: table }), {});
+
+  // Columns that take part in a foreign key, keyed by table name
+  const foreignKeyColumns = schema.relationships.reduce((map, relationship) => ({
+    ...map,
+    [relationship.table_name]: [...(map[relationship.table_name] || []), ...relationship.columns]
+  }), {});
+
+  /**
+   * Render a foreign key edge
+   * @param {Object} relationship - Foreign key
+   */
+  const renderEdge = (relationship) => {
+    const source = tablesByName[relationship.table_name];
+    const target = tablesByName[relationship.referenced_table];
+    const sourcePosition = positions[relationship.table_name];
+    const targetPosition = positions[relationship.referenced_table];
+
+    if (!source || !target || !sourcePosition || !targetPosition) {
+      return null;
+    }
+
+    const highlighted = hoveredTable === relationship.table_name || hoveredTable === relationship.referenced_table;
+    const path = buildEdgePath(
+      { ...sourcePosition, anchorY: getColumnAnchorY(source, sourcePosition, relationship.columns[0]) },
+      { ...targetPosition, anchorY: getColumnAnchorY(target, targetPosition, relationship.referenced_columns[0]) },
+      relationship.table_name === relationship.referenced_table
+    );
+
+    return (
+      <path
+        key={`${relationship.table_name}.${relationship.constraint_name}`}
+        d={path}
+        fill="none"
+        stroke={highlighted ? COLORS.header : COLORS.edge}
+        strokeWidth={highlighted ? 2.5 : 1.5}
+        markerEnd="url(#schema-diagram-arrow)"
+      >
+        <title>
+          {`${relationship.constraint_name}: ${relationship.table_name} (${relationship.columns.join(', ')}) → ${relationship.referenced_table} (${relationship.referenced_columns.join(', ')})`}
+        </title>
+      </path>
+    );
+  };
+
+  /**
+   * Render a table box
+   * @param {Object} table - Table with its columns
+   */
+  const renderTable = (table) => {
+    const position = positions[table.table_name];
+
+    if (!position) {
+      return null;
+    }
+
+    const height = getNodeHeight(table);
+    const fkColumns = foreignKeyColumns[table.table_name] || [];
+
+    return (
+      <g
+        key={table.table_name}
+        data-table={table.table_name}
+        transform={`translate(${position.x} ${position.y})`}
+        className="schema-diagram-table"
+        onMouseEnter={() => setHoveredTable(table.table_name)}
+        onMouseLeave={() => setHoveredTable(null)}
+      >
+        <rect width={NODE_WIDTH} height={height} rx="6" fill={COLORS.body} stroke={COLORS.border} />
+        <path
+          d={`M 0 6 A 6 6 0 0 1 6 0 H ${NODE_WIDTH - 6} A 6 6 0 0 1 ${NODE_WIDTH} 6 V ${HEADER_HEIGHT} H 0 Z`}
+          fill={COLORS.header}
+        />
+        <text x="10" y={HEADER_HEIGHT / 2} dy="0.35em" fill={COLORS.headerText} fontWeight="bold" fontSize="13">
+          {table.table_name}
+        </text>
+        {onEdit && (
+          <g data-action="edit" data-export-ignore className="schema-diagram-edit">
+            <title>{t('schemaDiagram.editTable', { table: table.table_name })}</title>
+            <rect x={NODE_WIDTH - 30} y="4" width="24" height="24" rx="4" fill="transparent" />
+            <text x={NODE_WIDTH - 18} y={HEADER_HEIGHT / 2} dy="0.35em" textAnchor="middle" fontSize="13">✏️</text>
+          </g>
+        )}
+
+        {table.columns.length === 0 && (
+          <text x="10" y={HEADER_HEIGHT + ROW_HEIGHT / 2} dy="0.35em" fill={COLORS.muted} fontSize="12" fontStyle="italic">
+            {t('schemaDiagram.noColumns')}
+          </text>
+        )}
+
+        {table.columns.map((column, index) => {
+          const y = HEADER_HEIGHT + index * ROW_HEIGHT + ROW_HEIGHT / 2;
+          const isForeignKey = fkColumns.includes(column.column_name);
+          const marker = column.is_primary_key ? 'PK' : (isForeignKey ? 'FK' : null);
+
+          return (
+            <g key={column.column_name}>
+              {marker && (
+                <>
+                  <rect
+                    x="8"
+                    y={y - 7}
+                    width="20"
+                    height="14"
+                    rx="3"
+                    fill={marker === 'PK' ? COLORS.primaryKey : COLORS.foreignKey}
+                  />
+                  <text x="18" y={y} dy="0.35em" textAnchor="middle" fontSize="9" fontWeight="bold" fill={COLORS.text}>
+                    {marker}
+                  </text>
+                </>
+              )}
+              <text
+                x="34"
+                y={y}
+                dy="0.35em"
+                fontSize="12"
+                fill={COLORS.text}
+                fontWeight={column.is_nullable === 'NO' ? 'bold' : 'normal'}
+              >
+                {column.column_name}
+              </text>
+              <text x={NODE_WIDTH - 10} y={y} dy="0.35em" textAnchor="end" fontSize="11" fill={COLORS.muted}>
+                {describeType(column)}
+              </text>
+            </g>
+          );
+        })}
+      </g>
+    );
+  };
+
+  return (
+    <div className={`schema-diagram card shadow-sm mb-4 ${className}`}>
+      {/* Toolbar */}
+      <div className="card-header d-flex flex-wrap align-items-center gap-2">
+        <div className="btn-group btn-group-sm" role="group" aria-label={t('schemaDiagram.zoom')}>
+          <button type="button" className="btn btn-outline-secondary" onClick={() => zoomCentered(1 / ZOOM_STEP)} title={t('schemaDiagram.zoomOut')}>
+            −
+          </button>
+          <button type="button" className="btn btn-outline-secondary" disabled>
+            {Math.round(view.scale * 100)}%
+          </button>
+          <button type="button" className="btn btn-outline-secondary" onClick={() => zoomCentered(ZOOM_STEP)} title={t('schemaDiagram.zoomIn')}>
+            +
+          </button>
+        </div>
+        <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => fitToView(positions)}>
+          {t('schemaDiagram.fit')}
+        </button>
+        <button type="button" className="btn btn-outline-secondary btn-sm" onClick={handleAutoLayout}>
+          <span className="me-1">🧭</span>
+          {t('schemaDiagram.autoLayout')}
+        </button>
+        <button type="button" className="btn btn-outline-secondary btn-sm" onClick={fetchSchema} disabled={loading}>
+          {loading ? (
+            <span className="spinner-border spinner-border-sm me-1" role="status" aria-hidden="true"></span>
+          ) : (
+            <span className="me-1">🔄</span>
+          )}
+          {t('schemaDiagram.reload')}
+        </button>
+
+        <div className="ms-auto d-flex gap-2">
+          <button
+            type="button"
+            className="btn btn-outline-primary btn-sm"
+            onClick={() => handleExport('svg')}
+            disabled={schema.tables.length === 0}
+          >
+            <span className="me-1">💾</span>
+            SVG
+          </button>
+          <button
+            type="button"
+            className="btn btn-outline-primary btn-sm"
+            onClick={() => handleExport('png')}
+            disabled={schema.tables.length === 0 || exporting}
+          >
+            {exporting ? (
+              <span className="spinner-border spinner-border-sm me-1" role="status" aria-hidden="true"></span>
+            ) : (
+              <span className="me-1">🖼️</span>
+            )}
+            PNG
+          </button>
+        </div>
+      </div>
+
+      <div className="card-body p-0 position-relative">
+        {schema.tables.length === 0 && !loading && (
+          <div className="schema-diagram-empty text-muted">{t('schemaDiagram.empty')}</div>
+        )}
+
+        <svg
+          ref={svgRef}
+          className="schema-diagram-canvas"
+          fontFamily="system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        >
+          <defs>
+            <marker
+              id="schema-diagram-arrow"
+              viewBox="0 0 10 10"
+              refX="10"
+              refY="5"
+              markerWidth="8"
+              markerHeight="8"
+              orient="auto-start-reverse"
+            >
+              <path d="M 0 0 L 10 5 L 0 10 z" fill={COLORS.edge} />
+            </marker>
+          </defs>
+          <g data-viewport transform={`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+            {schema.relationships.map(renderEdge)}
+            {schema.tables.map(renderTable)}
+          </g>
+        </svg>
+      </div>
+
+      <div className="card-footer small text-muted">
+        {t('schemaDiagram.hint')} {onEdit ? t('schemaDiagram.clickHintEdit') : t('schemaDiagram.clickHint')}
+      </div>
+    </div>
+  );
+};
+
+export default SchemaDiagram;
@@ -1,5 +1,7 @@
 import React from 'react';
 import './TableCard.css';
+import ExportMenu from '../ExportMenu/ExportMenu';
+import { i18n } from '../../../../services';
 
 /**
  * TableCard Component
@@ -11,6 +13,9 @@ import './TableCard.css';
  * @param {Function} props.onDelete - Callback function when delete button is clicked
  * @param {Function} props.onView - Optional callback for viewing table details
  * @param {Function} props.onEdit - Optional callback for editing table structure
+ * @param {boolean} props.canDelete - Whether the user's role may delete tables (the button is disabled otherwise)
+ * @param {Function} props.onExportSuccess - Optional callback with a message after an export
+ * @param {Function} props.onExportError - Optional callback with a message when an export fails
  * @param {boolean} props.loading - Whether any operation is in progress
  * @param {string} props.className - Additional CSS classes for the card container
  */
@@ -20,10 +25,15 @@ const TableCard = ({
   loading = false, 
   onView = null,
   onEdit = null,
+  canDelete = true,
+  onExportSuccess = null,
+  onExportError = null,
   className = "" 
 }) => {
+  const { t, formatDate } = i18n.useTranslation();
+
   const handleDelete = () => {
-    if (onDelete) {
+    if (onDelete && canDelete) {
       onDelete(table.table_name);
     }
   };
@@ -77,10 +87,10 @@ const TableCard = ({
                   onClick={handleView}
                   className="btn btn-outline-primary btn-sm flex-fill"
                   disabled={loading}
-                  title="View table data"
+                  title={t('tableCard.viewTitle')}
                 >
-                  <span className="me-1" role="img" aria-label="View">👁️</span>
-                  View
+                  <span className="me-1" role="img" aria-label={t('tableCard.view')}>👁️</span>
+                  {t('tableCard.view')}
                 </button>
               )}
 
@@ -90,19 +100,27 @@ const TableCard = ({
                   onClick={handleEdit}
                   className="btn btn-outline-warning btn-sm flex-fill"
                   disabled={loading}
-                  title="Edit table structure"
+                  title={t('tableCard.editTitle')}
                 >
-                  <span className="me-1" role="img" aria-label="Edit">✏️</span>
-                  Edit
+                  <span className="me-1" role="img" aria-label={t('tableCard.edit')}>✏️</span>
+                  {t('tableCard.edit')}
                 </button>
               )}
+
+              <ExportMenu
+                tableName={table.table_name}
+                disabled={loading}
+                onSuccess={onExportSuccess}
+                onError={onExportError}
+                className="flex-fill"
+              />
               
               <button
                 type="button"
                 onClick={handleDelete}
                 className="btn btn-outline-danger btn-sm flex-fill"
-                disabled={loading}
-                title="Delete table"
+                disabled={loading || !canDelete}
+                title={canDelete ? t('tableCard.deleteTitle') : t('tableCard.deleteDenied')}
               >
                 {loading ? (
                   <>
@@ -111,12 +129,12 @@ const TableCard = ({
                       role="status" 
                       aria-hidden="true"
                     ></span>
-                    Deleting...
+                    {t('tableCard.deleting')}
                   </>
                 ) : (
                   <>
-                    <span className="me-1" role="img" aria-label="Delete">🗑️</span>
-                    Delete
+                    <span className="me-1" role="img" aria-label={t('tableCard.delete')}>🗑️</span>
+                    {t('tableCard.delete')}
                   </>
                 )}
               </button>
@@ -130,12 +148,12 @@ const TableCard = ({
             <div className="d-flex justify-content-between align-items-center">
               {table.row_count !== undefined && (
                 <small className="text-muted">
-                  {table.row_count} rows
+                  {t('common.rows', { count: Number(table.row_count) })}
                 </small>
               )}
               {table.created_at && (
                 <small className="text-muted">
-                  Created: {new Date(table.created_at).toLocaleDateString()}
+                  {t('tableCard.created', { date: formatDate(table.created_at) })}
                 </small>
               )}
             </div>
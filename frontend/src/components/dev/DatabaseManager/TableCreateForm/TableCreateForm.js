@@ -1,45 +1,46 @@
 import React, { useState } from 'react';
 import './TableCreateForm.css';
+import ConstraintEditor, {
+  EMPTY_CONSTRAINT,
+  describeConstraint,
+  isConstraintComplete,
+  toConstraintPayload
+} from '../ConstraintEditor/ConstraintEditor';
+import { CREATE_TABLE_COLUMN_TYPES } from '../../../../utils/columnTypes';
+import { i18n } from '../../../../services';
 
 /**
  * TableCreateForm Component
  * 
- * A form component for creating new database tables with customizable columns.
- * Handles table name input, column management, and form validation.
+ * A form component for creating new database tables with customizable columns
+ * and foreign key, UNIQUE and CHECK constraints. Handles table name input,
+ * column management, and form validation.
  * 
  * @param {Object} props
  * @param {boolean} props.loading - Whether any operation is in progress
+ * @param {Array<string>} props.tables - Names of existing tables (foreign key targets)
  * @param {Function} props.onCreateTable - Callback function when form is submitted
  * @param {Function} props.onCancel - Callback function when form is cancelled
  * @param {string} props.className - Additional CSS classes for the form container
  */
 const TableCreateForm = ({ 
   loading = false, 
+  tables = [],
   onCreateTable, 
   onCancel, 
   className = "" 
 }) => {
+  const { t } = i18n.useTranslation();
+
   // Form state
   const [tableName, setTableName] = useState('');
   const [columns, setColumns] = useState([
     { name: 'id', type: 'SERIAL', isPrimary: true, nullable: false }
   ]);
+  const [constraints, setConstraints] = useState([]);
+  const [newConstraint, setNewConstraint] = useState(null);
 
-  // Available column types
-  const columnTypes = [
-    'SERIAL',
-    'INTEGER',
-    'BIGINT',
-    'VARCHAR(255)',
-    'VARCHAR(100)',
-    'VARCHAR(50)',
-    'TEXT',
-    'BOOLEAN',
-    'DATE',
-    'TIMESTAMP',
-    'DECIMAL(10,2)',
-    'DECIMAL(15,2)'
-  ];
+  const columnNames = columns.map((column) => column.name.trim()).filter(Boolean);
 
   /**
    * Add a new column to the form
@@ -59,7 +60,11 @@ const TableCreateForm = ({
    */
   const removeColumn = (index) => {
     if (columns.length > 1) {
+      const removedName = columns[index].name.trim();
+
       setColumns(columns.filter((_, i) => i !== index));
+      // Drop constraints that use the removed column
+      setConstraints(constraints.filter((constraint) => !constraint.columns.includes(removedName)));
     }
   };
 
@@ -81,6 +86,28 @@ const TableCreateForm = ({
   const resetForm = () => {
     setTableName('');
     setColumns([{ name: 'id', type: 'SERIAL', isPrimary: true, nullable: false }]);
+    setConstraints([]);
+    setNewConstraint(null);
+  };
+
+  /**
+   * Add the constraint being edited to the table definition
+   */
+  const addConstraint = () => {
+    if (!newConstraint || !isConstraintComplete(newConstraint)) {
+      return;
+    }
+
+    setConstraints([...constraints, newConstraint]);
+    setNewConstraint(null);
+  };
+
+  /**
+   * Remove a constraint from the table definition
+   * @param {number} index - Index of the constraint to remove
+   */
+  const removeConstraint = (index) => {
+    setConstraints(constraints.filter((_, i) => i !== index));
   };
 
   /**
@@ -109,7 +136,8 @@ const TableCreateForm = ({
     if (onCreateTable) {
       onCreateTable({
         tableName: tableName.trim(),
-        columns: columns
+        columns: columns,
+        constraints: constraints.map(toConstraintPayload)
       });
     }
 
@@ -134,7 +162,7 @@ const TableCreateForm = ({
           <div className="card-header bg-primary text-white">
             <h5 className="card-title mb-0">
               <span className="me-2">🆕</span>
-              Create New Table
+              {t('tableCreate.title')}
             </h5>
           </div>
           <div className="card-body">
@@ -142,7 +170,7 @@ const TableCreateForm = ({
               {/* Table Name Input */}
               <div className="mb-4">
                 <label htmlFor="tableName" className="form-label fw-bold">
-                  Table Name
+                  {t('tableCreate.tableName')}
                 </label>
                 <input
                   type="text"
@@ -150,7 +178,7 @@ const TableCreateForm = ({
                   id="tableName"
                   value={tableName}
                   onChange={(e) => setTableName(e.target.value)}
-                  placeholder="Enter table name"
+                  placeholder={t('tableCreate.tableNamePlaceholder')}
                   disabled={loading}
                   required
                 />
@@ -158,7 +186,7 @@ const TableCreateForm = ({
 
               {/* Columns Section */}
               <div className="mb-4">
-                <h6 className="fw-bold mb-3">Columns</h6>
+                <h6 className="fw-bold mb-3">{t('tableCreate.columns')}</h6>
                 
                 {columns.map((column, index) => (
                   <div key={index} className="card mb-3 border-light">
@@ -166,11 +194,11 @@ const TableCreateForm = ({
                       <div className="row g-3 align-items-center">
                         {/* Column Name */}
                         <div className="col-md-3">
-                          <label className="form-label small">Column Name</label>
+                          <label className="form-label small">{t('tableCreate.columnName')}</label>
                           <input
                             type="text"
                             className="form-control"
-                            placeholder="Column name"
+                            placeholder={t('tableCreate.columnNamePlaceholder')}
                             value={column.name}
                             onChange={(e) => updateColumn(index, 'name', e.target.value)}
                             disabled={loading}
@@ -180,14 +208,14 @@ const TableCreateForm = ({
                         
                         {/* Column Type */}
                         <div className="col-md-3">
-                          <label className="form-label small">Data Type</label>
+                          <label className="form-label small">{t('tableCreate.dataType')}</label>
                           <select
                             className="form-select"
                             value={column.type}
                             onChange={(e) => updateColumn(index, 'type', e.target.value)}
                             disabled={loading}
                           >
-                            {columnTypes.map(type => (
+                            {CREATE_TABLE_COLUMN_TYPES.map(type => (
                               <option key={type} value={type}>{type}</option>
                             ))}
                           </select>
@@ -195,7 +223,7 @@ const TableCreateForm = ({
 
                         {/* Checkboxes */}
                         <div className="col-md-4">
-                          <label className="form-label small">Options</label>
+                          <label className="form-label small">{t('tableCreate.options')}</label>
                           <div className="d-flex gap-3">
                             <div className="form-check">
                               <input
@@ -207,7 +235,7 @@ const TableCreateForm = ({
                                 disabled={loading}
                               />
                               <label className="form-check-label small" htmlFor={`primary-${index}`}>
-                                Primary Key
+                                {t('tableCreate.primaryKey')}
                               </label>
                             </div>
 
@@ -221,7 +249,7 @@ const TableCreateForm = ({
                                 disabled={loading}
                               />
                               <label className="form-check-label small" htmlFor={`notnull-${index}`}>
-                                Not Null
+                                {t('tableCreate.notNull')}
                               </label>
                             </div>
                           </div>
@@ -238,10 +266,10 @@ const TableCreateForm = ({
                                   onClick={() => removeColumn(index)}
                                   className="btn btn-outline-danger btn-sm"
                                   disabled={loading}
-                                  title="Remove column"
+                                  title={t('tableCreate.removeColumn')}
                                 >
                                   <span className="me-1">🗑️</span>
-                                  Remove
+                                  {t('tableCreate.remove')}
                                 </button>
                               </div>
                             </>
@@ -260,10 +288,81 @@ const TableCreateForm = ({
                   disabled={loading}
                 >
                   <span className="me-2">➕</span>
-                  Add Column
+                  {t('tableCreate.addColumn')}
                 </button>
               </div>
 
+              {/* Constraints Section */}
+              <div className="mb-4">
+                <h6 className="fw-bold mb-3">{t('tableCreate.constraints')}</h6>
+
+                {constraints.length > 0 && (
+                  <ul className="list-group mb-3">
+                    {constraints.map((constraint, index) => (
+                      <li key={index} className="list-group-item d-flex justify-content-between align-items-center">
+                        <span className="small font-monospace">
+                          {constraint.name.trim() && <strong className="me-2">{constraint.name.trim()}</strong>}
+                          {describeConstraint(constraint)}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => removeConstraint(index)}
+                          className="btn btn-outline-danger btn-sm"
+                          disabled={loading}
+                          title={t('tableCreate.removeConstraint')}
+                        >
+                          🗑️
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {newConstraint ? (
+                  <div className="card border-success">
+                    <div className="card-body">
+                      <ConstraintEditor
+                        value={newConstraint}
+                        onChange={setNewConstraint}
+                        tableName={tableName.trim()}
+                        columns={columnNames}
+                        tables={tables}
+                        disabled={loading}
+                      />
+                      <div className="d-flex gap-2 mt-3">
+                        <button
+                          type="button"
+                          onClick={addConstraint}
+                          className="btn btn-success btn-sm"
+                          disabled={loading || !isConstraintComplete(newConstraint)}
+                        >
+                          <span className="me-1">✅</span>
+                          {t('tableCreate.addToTable')}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setNewConstraint(null)}
+                          className="btn btn-outline-secondary btn-sm"
+                          disabled={loading}
+                        >
+                          {t('common.cancel')}
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setNewConstraint(EMPTY_CONSTRAINT)}
+                    className="btn btn-outline-success"
+                    disabled={loading}
+                  >
+                    <span className="me-2">🔗</span>
+                    {t('tableCreate.addConstraint')}
+                  </button>
+                )}
+              </div>
+
               {/* Form Actions */}
               <div className="d-flex justify-content-center gap-3">
                 <button 
@@ -274,12 +373,12 @@ const TableCreateForm = ({
                   {loading ? (
                     <>
                       <span className="spinner-border spinner-border-sm me-2" role="status"></span>
-                      Creating...
+                      {t('tableCreate.creating')}
                     </>
                   ) : (
                     <>
                       <span className="me-2">✅</span>
-                      Create Table
+                      {t('tableCreate.submit')}
                     </>
                   )}
                 </button>
@@ -291,7 +390,7 @@ const TableCreateForm = ({
                   disabled={loading}
                 >
                   <span className="me-2">❌</span>
-                  Cancel
+                  {t('common.cancel')}
                 </button>
               </div>
             </form>
@@ -1,23 +1,33 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import './TableEditModal.css';
+import ColumnEditForm from '../ColumnEditForm/ColumnEditForm';
+import DdlPreview from '../DdlPreview/DdlPreview';
+import IndexManager from '../IndexManager/IndexManager';
+import ConstraintManager from '../ConstraintManager/ConstraintManager';
+import { tableApi, notifications, i18n } from '../../../../services';
+import { ADD_COLUMN_TYPES } from '../../../../utils/columnTypes';
 
 /**
  * TableEditModal Component
  * 
- * A modal component for editing table structure (adding/removing columns)
+ * A modal component for editing table structure: renaming the table,
+ * adding, altering or removing columns, and managing indexes and
+ * constraints. Alterations show the generated DDL before they are applied.
+ * Outcomes are reported through the app-wide notifications.
  * 
  * @param {Object} props
  * @param {boolean} props.show - Whether to show the modal
  * @param {Function} props.onHide - Callback when modal is closed
  * @param {string} props.tableName - Name of the table to edit
- * @param {string} props.apiBaseUrl - Base URL for API calls
+ * @param {Array<string>} props.tables - Names of all tables (foreign key targets)
  * @param {Function} props.onTableUpdated - Callback when table is successfully updated
+ * @param {Function} props.onTableRenamed - Callback with (oldName, newName) after the table is renamed
+ * @param {boolean} props.canDestroy - Whether the user's role may drop columns
  */
-const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated }) => {
+const TableEditModal = ({ show, onHide, tableName, tables = [], onTableUpdated, onTableRenamed, canDestroy = true }) => {
+  const { t, formatNumber } = i18n.useTranslation();
   const [tableSchema, setTableSchema] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(null);
   
   // New column form state
   const [showAddColumnForm, setShowAddColumnForm] = useState(false);
@@ -28,78 +38,41 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
     defaultValue: ''
   });
 
-  // Available column types
-  const columnTypes = [
-    'SERIAL',
-    'INTEGER',
-    'BIGINT',
-    'SMALLINT',
-    'VARCHAR(50)',
-    'VARCHAR(100)',
-    'VARCHAR(255)',
-    'TEXT',
-    'BOOLEAN',
-    'DATE',
-    'TIMESTAMP',
-    'TIMESTAMP WITH TIME ZONE',
-    'DECIMAL(10,2)',
-    'DECIMAL(15,2)',
-    'NUMERIC',
-    'REAL',
-    'DOUBLE PRECISION'
-  ];
-
-  // Clear messages after 5 seconds
-  useEffect(() => {
-    if (error || success) {
-      const timer = setTimeout(() => {
-        setError(null);
-        setSuccess(null);
-      }, 5000);
-      return () => clearTimeout(timer);
-    }
-  }, [error, success]);
+  // Column being altered inline
+  const [editingColumn, setEditingColumn] = useState(null);
+
+  // Rename table form state
+  const [showRenameForm, setShowRenameForm] = useState(false);
+  const [newTableName, setNewTableName] = useState('');
+  const [renamePreview, setRenamePreview] = useState(null);
 
   // Fetch table schema
   const fetchTableSchema = useCallback(async () => {
     if (!tableName) return;
 
     setLoading(true);
-    setError(null);
 
     try {
-      const response = await fetch(`${apiBaseUrl}/api/tables/${tableName}/schema`);
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (data.status === 'error') {
-        throw new Error(data.message);
-      }
-
+      const data = await tableApi.getTableSchema(tableName);
       setTableSchema(data);
     } catch (err) {
-      setError(`Failed to fetch table schema: ${err.message}`);
+      notifications.error(i18n.t('tableView.schemaFailed', { message: err.message }));
       console.error('Fetch table schema error:', err);
     } finally {
       setLoading(false);
     }
-  }, [apiBaseUrl, tableName]);
+  }, [tableName]);
 
   // Load schema when modal opens
   useEffect(() => {
     if (show && tableName) {
-      setError(null);
-      setSuccess(null);
       setShowAddColumnForm(false);
+      setEditingColumn(null);
+      setShowRenameForm(false);
+      setRenamePreview(null);
       fetchTableSchema();
     } else {
       setTableSchema(null);
-      setError(null);
-      setSuccess(null);
     }
   }, [show, tableName, fetchTableSchema]);
 
@@ -108,12 +81,11 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
     e.preventDefault();
 
     if (!newColumn.columnName.trim()) {
-      setError('Column name is required');
+      notifications.error(t('tableEdit.columnNameRequired'));
       return;
     }
 
     setLoading(true);
-    setError(null);
 
     try {
       const requestBody = {
@@ -123,21 +95,9 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
         defaultValue: newColumn.defaultValue.trim() || null
       };
 
-      const response = await fetch(`${apiBaseUrl}/api/tables/${tableName}/columns`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      const data = await response.json();
+      await tableApi.addColumn(tableName, requestBody);
 
-      if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
-      }
-
-      setSuccess(`Column "${newColumn.columnName}" added successfully!`);
+      notifications.success(t('tableEdit.columnAdded', { column: newColumn.columnName }));
       setNewColumn({
         columnName: '',
         columnType: 'VARCHAR(255)',
@@ -152,7 +112,7 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
         onTableUpdated();
       }
     } catch (err) {
-      setError(`Failed to add column: ${err.message}`);
+      notifications.error(t('tableEdit.addFailed', { message: err.message }));
       console.error('Add column error:', err);
     } finally {
       setLoading(false);
@@ -161,25 +121,16 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
 
   // Drop column
   const handleDropColumn = async (columnName) => {
-    if (!window.confirm(`Are you sure you want to delete column "${columnName}"? This will permanently remove all data in this column.`)) {
+    if (!canDestroy || !window.confirm(t('tableEdit.confirmDropColumn', { column: columnName }))) {
       return;
     }
 
     setLoading(true);
-    setError(null);
 
     try {
-      const response = await fetch(`${apiBaseUrl}/api/tables/${tableName}/columns/${columnName}`, {
-        method: 'DELETE'
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
-      }
+      await tableApi.removeColumn(tableName, columnName);
 
-      setSuccess(`Column "${columnName}" deleted successfully!`);
+      notifications.success(t('tableEdit.columnDropped', { column: columnName }));
       
       // Refresh schema and notify parent
       fetchTableSchema();
@@ -187,13 +138,69 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
         onTableUpdated();
       }
     } catch (err) {
-      setError(`Failed to delete column: ${err.message}`);
+      notifications.error(t('tableEdit.dropFailed', { message: err.message }));
       console.error('Delete column error:', err);
     } finally {
       setLoading(false);
     }
   };
 
+  // Column altered through the inline ColumnEditForm
+  const handleColumnApplied = (result) => {
+    const renamed = result.new_column_name !== result.column_name;
+
+    notifications.success(renamed
+      ? t('tableEdit.columnRenamed', { column: result.column_name, newName: result.new_column_name })
+      : t('tableEdit.columnUpdated', { column: result.column_name }));
+    setEditingColumn(null);
+
+    // Refresh schema and notify parent
+    fetchTableSchema();
+    if (onTableUpdated) {
+      onTableUpdated();
+    }
+  };
+
+  // Update the new table name; any edit invalidates the current preview
+  const updateNewTableName = (value) => {
+    setNewTableName(value);
+    setRenamePreview(null);
+  };
+
+  // Preview or apply a table rename
+  const handleRenameTable = async (e, previewOnly) => {
+    e.preventDefault();
+
+    if (!newTableName.trim()) {
+      notifications.error(t('tableEdit.newTableNameRequired'));
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const result = await tableApi.renameTable(tableName, newTableName.trim(), { preview: previewOnly });
+
+      if (previewOnly) {
+        setRenamePreview(result);
+        return;
+      }
+
+      setShowRenameForm(false);
+      setRenamePreview(null);
+
+      // The parent switches the modal over to the new name
+      if (onTableRenamed) {
+        onTableRenamed(tableName, result.new_table_name);
+      }
+    } catch (err) {
+      notifications.error(t('tableEdit.renameFailed', { message: err.message }));
+      console.error('Rename table error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Update new column field
   const updateNewColumn = (field, value) => {
     setNewColumn(prev => ({
@@ -208,9 +215,9 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
       return (
         <div className="text-center py-5">
           <div className="spinner-border text-primary" role="status">
-            <span className="visually-hidden">Loading...</span>
+            <span className="visually-hidden">{t('common.loading')}</span>
           </div>
-          <p className="mt-3 text-muted">Loading table schema...</p>
+          <p className="mt-3 text-muted">{t('tableEdit.loadingSchema')}</p>
         </div>
       );
     }
@@ -219,7 +226,7 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
       return (
         <div className="text-center py-5 text-muted">
           <span className="fs-1 d-block mb-3">⚠️</span>
-          <p>No schema information available</p>
+          <p>{t('tableEdit.noSchema')}</p>
         </div>
       );
     }
@@ -229,20 +236,89 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
         {/* Table Info */}
         <div className="row mb-4">
           <div className="col">
-            <div className="card bg-light">
+            <div className="card bg-body-tertiary">
               <div className="card-body">
-                <h6 className="card-title mb-2">Table Information</h6>
+                <div className="d-flex justify-content-between align-items-center mb-2">
+                  <h6 className="card-title mb-0">{t('tableEdit.tableInformation')}</h6>
+                  {!showRenameForm && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setShowRenameForm(true);
+                        setNewTableName(tableSchema.table_name);
+                        setRenamePreview(null);
+                      }}
+                      className="btn btn-outline-secondary btn-sm"
+                      disabled={loading}
+                    >
+                      <span className="me-1">✏️</span>
+                      {t('tableEdit.renameTable')}
+                    </button>
+                  )}
+                </div>
                 <div className="row">
                   <div className="col-md-4">
-                    <strong>Table Name:</strong> {tableSchema.table_name}
+                    <strong>{t('tableEdit.tableName')}</strong> {tableSchema.table_name}
                   </div>
                   <div className="col-md-4">
-                    <strong>Columns:</strong> {tableSchema.columns.length}
+                    <strong>{t('tableEdit.columnCount')}</strong> {formatNumber(tableSchema.columns.length)}
                   </div>
                   <div className="col-md-4">
-                    <strong>Rows:</strong> {tableSchema.row_count}
+                    <strong>{t('tableEdit.rowCount')}</strong> {formatNumber(Number(tableSchema.row_count) || 0)}
                   </div>
                 </div>
+
+                {showRenameForm && (
+                  <form className="mt-3" onSubmit={(e) => handleRenameTable(e, !renamePreview)}>
+                    <div className="row g-2 align-items-end">
+                      <div className="col-md-6">
+                        <label className="form-label small" htmlFor="renameTableInput">{t('tableEdit.newTableName')}</label>
+                        <input
+                          type="text"
+                          className="form-control form-control-sm"
+                          id="renameTableInput"
+                          value={newTableName}
+                          onChange={(e) => updateNewTableName(e.target.value)}
+                          disabled={loading}
+                          required
+                        />
+                      </div>
+                      <div className="col-md-6 d-flex gap-2">
+                        <button
+                          type="button"
+                          onClick={(e) => handleRenameTable(e, true)}
+                          className="btn btn-outline-primary btn-sm"
+                          disabled={loading}
+                        >
+                          <span className="me-1">🔍</span>
+                          {t('tableEdit.previewDdl')}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={(e) => handleRenameTable(e, false)}
+                          className="btn btn-warning btn-sm"
+                          disabled={loading || !renamePreview}
+                          title={renamePreview ? t('tableEdit.renameApplyTitle') : t('tableEdit.renamePreviewFirst')}
+                        >
+                          <span className="me-1">✅</span>
+                          {t('tableEdit.rename')}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setShowRenameForm(false)}
+                          className="btn btn-outline-secondary btn-sm"
+                          disabled={loading}
+                        >
+                          {t('common.cancel')}
+                        </button>
+                      </div>
+                    </div>
+
+                    {renamePreview && (
+                      <DdlPreview statements={renamePreview.statements} className="mt-3" />
+                    )}
+                  </form>
+                )}
               </div>
             </div>
           </div>
@@ -251,67 +327,94 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
         {/* Columns List */}
         <div className="row mb-4">
           <div className="col">
-            <h6 className="mb-3">Current Columns</h6>
+            <h6 className="mb-3">{t('tableEdit.currentColumns')}</h6>
             <div className="table-responsive">
               <table className="table table-sm table-striped">
                 <thead className="table-dark">
                   <tr>
-                    <th>Name</th>
-                    <th>Type</th>
-                    <th>Nullable</th>
-                    <th>Default</th>
-                    <th>Primary Key</th>
-                    <th>Actions</th>
+                    <th>{t('tableEdit.columnHeaders.name')}</th>
+                    <th>{t('tableEdit.columnHeaders.type')}</th>
+                    <th>{t('tableEdit.columnHeaders.nullable')}</th>
+                    <th>{t('tableEdit.columnHeaders.default')}</th>
+                    <th>{t('tableEdit.columnHeaders.primaryKey')}</th>
+                    <th>{t('tableEdit.columnHeaders.actions')}</th>
                   </tr>
                 </thead>
                 <tbody>
                   {tableSchema.columns.map((column) => (
-                    <tr key={column.column_name}>
-                      <td>
-                        <code>{column.column_name}</code>
-                      </td>
-                      <td>
-                        <span className="badge bg-secondary">
-                          {column.data_type}
-                          {column.character_maximum_length && `(${column.character_maximum_length})`}
-                        </span>
-                      </td>
-                      <td>
-                        {column.is_nullable === 'YES' ? (
-                          <span className="badge bg-success">Yes</span>
-                        ) : (
-                          <span className="badge bg-warning">No</span>
-                        )}
-                      </td>
-                      <td>
-                        {column.column_default ? (
-                          <code className="small">{column.column_default}</code>
-                        ) : (
-                          <span className="text-muted">None</span>
-                        )}
-                      </td>
-                      <td>
-                        {column.is_primary_key ? (
-                          <span className="badge bg-primary">Yes</span>
-                        ) : (
-                          <span className="text-muted">No</span>
-                        )}
-                      </td>
-                      <td>
-                        {/* Only allow dropping non-primary key columns */}
-                        {!column.is_primary_key && tableSchema.columns.length > 1 && (
-                          <button
-                            type="button"
-                            onClick={() => handleDropColumn(column.column_name)}
-                            className="btn btn-outline-danger btn-sm"
-                            disabled={loading}
-                            title="Delete column"
-                          >
-                            🗑️
-                          </button>
-                        )}
-                      </td>
-                    </tr>
+                    <React.Fragment key={column.column_name}>
+                      <tr>
+                        <td>
+                          <code>{column.column_name}</code>
+                        </td>
+                        <td>
+                          <span className="badge bg-secondary">
+                            {column.data_type}
+                            {column.character_maximum_length && `(${column.character_maximum_length})`}
+                          </span>
+                        </td>
+                        <td>
+                          {column.is_nullable === 'YES' ? (
+                            <span className="badge bg-success">{t('common.yes')}</span>
+                          ) : (
+                            <span className="badge bg-warning">{t('common.no')}</span>
+                          )}
+                        </td>
+                        <td>
+                          {column.column_default ? (
+                            <code className="small">{column.column_default}</code>
+                          ) : (
+                            <span className="text-muted">{t('common.none')}</span>
+                          )}
+                        </td>
+                        <td>
+                          {column.is_primary_key ? (
+                            <span className="badge bg-primary">{t('common.yes')}</span>
+                          ) : (
+                            <span className="text-muted">{t('common.no')}</span>
+                          )}
+                        </td>
+                        <td>
+                          <div className="d-flex gap-1">
+                            <button
+                              type="button"
+                              onClick={() => setEditingColumn(editingColumn === column.column_name ? null : column.column_name)}
+                              className={`btn btn-sm ${editingColumn === column.column_name ? 'btn-warning' : 'btn-outline-warning'}`}
+                              disabled={loading}
+                              title={t('tableEdit.editColumnTitle')}
+                            >
+                              ✏️
+                            </button>
+
+                            {/* Only allow dropping non-primary key columns */}
+                            {!column.is_primary_key && tableSchema.columns.length > 1 && (
+                              <button
+                                type="button"
+                                onClick={() => handleDropColumn(column.column_name)}
+                                className="btn btn-outline-danger btn-sm"
+                                disabled={loading || !canDestroy}
+                                title={canDestroy ? t('tableEdit.dropColumnTitle') : t('tableEdit.dropColumnDenied')}
+                              >
+                                🗑️
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                      {editingColumn === column.column_name && (
+                        <tr className="column-edit-row">
+                          <td colSpan="6">
+                            <ColumnEditForm
+                              tableName={tableName}
+                              column={column}
+                              disabled={loading}
+                              onApplied={handleColumnApplied}
+                              onCancel={() => setEditingColumn(null)}
+                            />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
                   ))}
                 </tbody>
               </table>
@@ -319,6 +422,33 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
           </div>
         </div>
 
+        {/* Indexes */}
+        <div className="row mb-4">
+          <div className="col">
+            <IndexManager
+              tableName={tableSchema.table_name}
+              columns={tableSchema.columns}
+              disabled={loading}
+              onSuccess={notifications.success}
+              onError={notifications.error}
+            />
+          </div>
+        </div>
+
+        {/* Constraints */}
+        <div className="row mb-4">
+          <div className="col">
+            <ConstraintManager
+              tableName={tableSchema.table_name}
+              columns={tableSchema.columns}
+              tables={tables}
+              disabled={loading}
+              onSuccess={notifications.success}
+              onError={notifications.error}
+            />
+          </div>
+        </div>
+
         {/* Add Column Section */}
         <div className="row">
           <div className="col">
@@ -331,24 +461,24 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
                   disabled={loading}
                 >
                   <span className="me-2">➕</span>
-                  Add New Column
+                  {t('tableEdit.addNewColumn')}
                 </button>
               </div>
             ) : (
               <div className="card border-success">
                 <div className="card-header bg-success text-white">
-                  <h6 className="card-title mb-0">Add New Column</h6>
+                  <h6 className="card-title mb-0">{t('tableEdit.addNewColumn')}</h6>
                 </div>
                 <div className="card-body">
                   <form onSubmit={handleAddColumn}>
                     <div className="row g-3">
                       {/* Column Name */}
                       <div className="col-md-6">
-                        <label className="form-label">Column Name</label>
+                        <label className="form-label">{t('tableEdit.columnName')}</label>
                         <input
                           type="text"
                           className="form-control"
-                          placeholder="Enter column name"
+                          placeholder={t('tableEdit.columnNamePlaceholder')}
                           value={newColumn.columnName}
                           onChange={(e) => updateNewColumn('columnName', e.target.value)}
                           disabled={loading}
@@ -358,14 +488,14 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
 
                       {/* Column Type */}
                       <div className="col-md-6">
-                        <label className="form-label">Data Type</label>
+                        <label className="form-label">{t('tableEdit.dataType')}</label>
                         <select
                           className="form-select"
                           value={newColumn.columnType}
                           onChange={(e) => updateNewColumn('columnType', e.target.value)}
                           disabled={loading}
                         >
-                          {columnTypes.map(type => (
+                          {ADD_COLUMN_TYPES.map(type => (
                             <option key={type} value={type}>{type}</option>
                           ))}
                         </select>
@@ -373,11 +503,11 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
 
                       {/* Default Value */}
                       <div className="col-md-6">
-                        <label className="form-label">Default Value (optional)</label>
+                        <label className="form-label">{t('tableEdit.defaultValue')}</label>
                         <input
                           type="text"
                           className="form-control"
-                          placeholder="Enter default value"
+                          placeholder={t('tableEdit.defaultValuePlaceholder')}
                           value={newColumn.defaultValue}
                           onChange={(e) => updateNewColumn('defaultValue', e.target.value)}
                           disabled={loading}
@@ -386,7 +516,7 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
 
                       {/* Nullable Checkbox */}
                       <div className="col-md-6">
-                        <label className="form-label">Options</label>
+                        <label className="form-label">{t('tableEdit.options')}</label>
                         <div className="form-check">
                           <input
                             type="checkbox"
@@ -397,7 +527,7 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
                             disabled={loading}
                           />
                           <label className="form-check-label" htmlFor="allowNull">
-                            Allow NULL values
+                            {t('tableEdit.allowNull')}
                           </label>
                         </div>
                       </div>
@@ -413,12 +543,12 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
                         {loading ? (
                           <>
                             <span className="spinner-border spinner-border-sm me-2" role="status"></span>
-                            Adding...
+                            {t('tableEdit.adding')}
                           </>
                         ) : (
                           <>
                             <span className="me-2">✅</span>
-                            Add Column
+                            {t('tableEdit.addColumn')}
                           </>
                         )}
                       </button>
@@ -428,7 +558,7 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
                         className="btn btn-outline-secondary"
                         disabled={loading}
                       >
-                        Cancel
+                        {t('common.cancel')}
                       </button>
                     </div>
                   </form>
@@ -466,33 +596,18 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
             <div className="modal-header bg-warning text-dark">
               <h5 className="modal-title" id="tableEditModalLabel">
                 <span className="me-2">✏️</span>
-                Edit Table: {tableName}
+                {t('tableEdit.title', { table: tableName })}
               </h5>
               <button
                 type="button"
                 className="btn-close"
                 onClick={onHide}
-                aria-label="Close"
+                aria-label={t('common.close')}
               ></button>
             </div>
 
             {/* Modal Body */}
             <div className="modal-body">
-              {/* Alert Messages */}
-              {error && (
-                <div className="alert alert-danger alert-dismissible fade show" role="alert">
-                  <strong>Error:</strong> {error}
-                  <button type="button" className="btn-close" onClick={() => setError(null)}></button>
-                </div>
-              )}
-
-              {success && (
-                <div className="alert alert-success alert-dismissible fade show" role="alert">
-                  <strong>Success:</strong> {success}
-                  <button type="button" className="btn-close" onClick={() => setSuccess(null)}></button>
-                </div>
-              )}
-
               {renderSchemaContent()}
             </div>
 
@@ -502,9 +617,8 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
                 <div className="text-muted small">
                   {tableSchema && (
                     <>
-                      <strong>{tableSchema.table_name}</strong> - 
-                      {tableSchema.columns?.length || 0} columns, 
-                      {tableSchema.row_count || 0} rows
+                      <strong>{tableSchema.table_name}</strong> - {t('common.columns', { count: tableSchema.columns?.length || 0 })},{' '}
+                      {t('common.rows', { count: Number(tableSchema.row_count) || 0 })}
                     </>
                   )}
                 </div>
@@ -514,7 +628,7 @@ const TableEditModal = ({ show, onHide, tableName, apiBaseUrl, onTableUpdated })
                     className="btn btn-secondary" 
                     onClick={onHide}
                   >
-                    Close
+                    {t('common.close')}
                   </button>
                 </div>
               </div>
@@ -0,0 +1,592 @@
+import React, { useState, useEffect } from 'react';
+import './TableImportForm.css';
+import DataGrid from '../DataGrid/DataGrid';
+import { tableApi, i18n } from '../../../../services';
+import { CREATE_TABLE_COLUMN_TYPES } from '../../../../utils/columnTypes';
+import { parseImportFile, inferColumnType, toImportValue } from '../../../../utils/importParser';
+
+const PREVIEW_ROW_COUNT = 10;
+const MAX_LISTED_ERRORS = 50;
+
+/**
+ * Build editable column definitions for a new table from the parsed file
+ * @param {{columns: Array<string>, rows: Array<Object>}} parsed - Parsed file
+ * @return {Array<Object>} Column definitions ({ source, name, type, nullable, include })
+ */
+const buildColumnDefinitions = (parsed) => parsed.columns.map((source) => ({
+  source,
+  name: source,
+  include: true,
+  ...inferColumnType(parsed.rows.map((row) => row[source]))
+}));
+
+/**
+ * Map file columns onto table columns by case-insensitive name
+ * @param {Array<string>} sourceColumns - Columns found in the file
+ * @param {Array<Object>} schemaColumns - Table schema columns
+ * @return {Object} Mapping of file column => table column ('' to skip)
+ */
+const buildAutoMapping = (sourceColumns, schemaColumns) => sourceColumns.reduce((mapping, source) => {
+  const match = schemaColumns.find((column) => column.column_name.toLowerCase() === source.toLowerCase());
+  return { ...mapping, [source]: match ? match.column_name : '' };
+}, {});
+
+/**
+ * TableImportForm Component
+ *
+ * Imports a CSV, JSON or NDJSON file into a new or existing table.
+ * Shows a preview of the parsed rows, lets the user adjust inferred column
+ * types (new table) or the column mapping (existing table), and runs a
+ * validation pass on the server before the actual import is allowed.
+ *
+ * @param {Object} props
+ * @param {Array} props.tables - Existing tables ({ table_name })
+ * @param {boolean} props.loading - Whether any operation is in progress
+ * @param {Function} props.onImported - Callback with a success message after importing
+ * @param {Function} props.onCancel - Callback function when the form is cancelled
+ * @param {string} props.className - Additional CSS classes for the form container
+ */
+const TableImportForm = ({
+  tables = [],
+  loading = false,
+  onImported,
+  onCancel,
+  className = ""
+}) => {
+  const { t } = i18n.useTranslation();
+
+  // File state
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [parseError, setParseError] = useState(null);
+
+  // Target state
+  const [target, setTarget] = useState('new');
+  const [newTableName, setNewTableName] = useState('');
+  const [columnDefinitions, setColumnDefinitions] = useState([]);
+  const [addIdColumn, setAddIdColumn] = useState(true);
+  const [existingTable, setExistingTable] = useState('');
+  const [schema, setSchema] = useState(null);
+  const [mapping, setMapping] = useState({});
+
+  // Validation / import state
+  const [report, setReport] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Load the schema of the selected existing table
+  useEffect(() => {
+    setMapping({});
+
+    if (target !== 'existing' || !existingTable) {
+      setSchema(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    tableApi.getTableSchema(existingTable)
+      .then((data) => {
+        if (!cancelled) {
+          setSchema(data);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(i18n.t('tableImport.schemaFailed', { message: err.message }));
+          console.error('Fetch table schema error:', err);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [target, existingTable]);
+
+  // Re-map file columns whenever the file or the target schema changes
+  useEffect(() => {
+    if (parsed && schema) {
+      setMapping(buildAutoMapping(parsed.columns, schema.columns));
+    }
+  }, [parsed, schema]);
+
+  // Any change to the import settings invalidates the previous validation
+  useEffect(() => {
+    setReport(null);
+  }, [parsed, target, newTableName, columnDefinitions, addIdColumn, existingTable, mapping]);
+
+  const working = pendingAction !== null;
+  const schemaColumns = schema ? schema.columns : [];
+  const tableName = target === 'new' ? newTableName.trim() : existingTable;
+  const includedDefinitions = columnDefinitions.filter((column) => column.include);
+  const mappedSources = Object.keys(mapping).filter((source) => mapping[source]);
+  const hasColumns = target === 'new' ? includedDefinitions.length > 0 : mappedSources.length > 0;
+  const canValidate = Boolean(parsed && tableName && hasColumns) && !working && !loading;
+  const canImport = canValidate && report !== null && report.failed_rows === 0;
+
+  /**
+   * Read and parse the selected file
+   * @param {Event} e - File input change event
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+
+    setParsed(null);
+    setParseError(null);
+    setError(null);
+
+    if (!file) {
+      setFileName('');
+      return;
+    }
+
+    setFileName(file.name);
+
+    try {
+      const result = parseImportFile(file.name, await file.text());
+      setParsed(result);
+      setColumnDefinitions(buildColumnDefinitions(result));
+      setAddIdColumn(!result.columns.some((column) => column.toLowerCase() === 'id'));
+
+      if (!newTableName) {
+        setNewTableName(file.name.replace(/\.[^.]+$/, '').toLowerCase().replace(/[^a-z0-9_]+/g, '_'));
+      }
+    } catch (err) {
+      setParseError(err.message);
+    }
+  };
+
+  /**
+   * Update a column definition for a new table
+   * @param {number} index - Index of the column definition
+   * @param {string} field - Field name to update
+   * @param {*} value - New value for the field
+   */
+  const updateColumnDefinition = (index, field, value) => {
+    setColumnDefinitions(columnDefinitions.map((column, i) => (
+      i === index ? { ...column, [field]: value } : column
+    )));
+  };
+
+  /**
+   * Build the rows and column definitions sent to the backend
+   * @return {{rows: Array<Object>, columns: Array|null}} Import payload
+   */
+  const buildPayload = () => {
+    if (target === 'existing') {
+      return {
+        columns: null,
+        rows: parsed.rows.map((row) => mappedSources.reduce((values, source) => ({
+          ...values,
+          [mapping[source]]: toImportValue(row[source])
+        }), {}))
+      };
+    }
+
+    const columns = includedDefinitions.map((column) => ({
+      name: column.name.trim(),
+      type: column.type,
+      isPrimary: false,
+      nullable: column.nullable
+    }));
+
+    return {
+      columns: addIdColumn
+        ? [{ name: 'id', type: 'SERIAL', isPrimary: true, nullable: false }, ...columns]
+        : columns,
+      rows: parsed.rows.map((row) => includedDefinitions.reduce((values, column) => ({
+        ...values,
+        [column.name.trim()]: toImportValue(row[column.source])
+      }), {}))
+    };
+  };
+
+  /**
+   * Send the import to the backend
+   * @param {boolean} dryRun - Whether to only validate the rows
+   */
+  const runImport = async (dryRun) => {
+    setPendingAction(dryRun ? 'validate' : 'import');
+    setError(null);
+
+    try {
+      const { rows, columns } = buildPayload();
+      const result = await tableApi.importRows(tableName, rows, { columns, dryRun });
+
+      if (dryRun) {
+        setReport(result);
+        return;
+      }
+
+      if (onImported) {
+        onImported(i18n.t('tableImport.imported', { count: result.inserted_rows, table: result.table_name }));
+      }
+    } catch (err) {
+      // A rejected import still carries the per-row report
+      if (err.details && Array.isArray(err.details.row_errors)) {
+        setReport(err.details);
+      }
+      setError(i18n.t(dryRun ? 'tableImport.validateFailed' : 'tableImport.importFailed', { message: err.message }));
+      console.error('Import table data error:', err);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * Get the source row for a 1-based row number from the report
+   * @param {number} rowNumber - Row number
+   * @return {string} Row values as JSON
+   */
+  const describeRow = (rowNumber) => {
+    const row = parsed && parsed.rows[rowNumber - 1];
+    return row ? JSON.stringify(row) : '';
+  };
+
+  const previewColumns = parsed ? parsed.columns.map((source) => {
+    const definition = columnDefinitions.find((column) => column.source === source);
+    const mapped = mapping[source];
+
+    return {
+      column_name: source,
+      data_type: target === 'new'
+        ? (definition && definition.include ? definition.type : t('tableImport.skipped'))
+        : (mapped ? `→ ${mapped}` : t('tableImport.skipped'))
+    };
+  }) : [];
+
+  return (
+    <div className={`row mb-5 ${className}`}>
+      <div className="col">
+        <div className="card shadow table-import-form">
+          <div className="card-header bg-primary text-white">
+            <h5 className="card-title mb-0">
+              <span className="me-2">📥</span>
+              {t('tableImport.title')}
+            </h5>
+          </div>
+          <div className="card-body">
+            {error && (
+              <div className="alert alert-danger alert-dismissible fade show" role="alert">
+                {error}
+                <button type="button" className="btn-close" onClick={() => setError(null)}></button>
+              </div>
+            )}
+
+            {/* File Input */}
+            <div className="mb-4">
+              <label htmlFor="importFile" className="form-label fw-bold">
+                {t('tableImport.file')}
+              </label>
+              <input
+                type="file"
+                className="form-control"
+                id="importFile"
+                accept=".csv,.tsv,.json,.ndjson,.jsonl"
+                onChange={handleFileChange}
+                disabled={working || loading}
+              />
+              <div className="form-text">
+                {t('tableImport.fileHelp')}
+              </div>
+              {parseError && (
+                <div className="alert alert-warning mt-2 mb-0">
+                  {t('tableImport.readFailed', { file: fileName, message: parseError })}
+                </div>
+              )}
+            </div>
+
+            {parsed && (
+              <>
+                {/* Target Selection */}
+                <div className="mb-4">
+                  <label className="form-label fw-bold d-block">{t('tableImport.importInto')}</label>
+                  <div className="btn-group mb-3" role="group">
+                    <button
+                      type="button"
+                      className={`btn btn-sm ${target === 'new' ? 'btn-primary' : 'btn-outline-primary'}`}
+                      onClick={() => setTarget('new')}
+                      disabled={working}
+                    >
+                      {t('tableImport.newTable')}
+                    </button>
+                    <button
+                      type="button"
+                      className={`btn btn-sm ${target === 'existing' ? 'btn-primary' : 'btn-outline-primary'}`}
+                      onClick={() => setTarget('existing')}
+                      disabled={working}
+                    >
+                      {t('tableImport.existingTable')}
+                    </button>
+                  </div>
+
+                  {target === 'new' ? (
+                    <input
+                      type="text"
+                      className="form-control"
+                      value={newTableName}
+                      onChange={(e) => setNewTableName(e.target.value)}
+                      placeholder={t('tableImport.tableNamePlaceholder')}
+                      aria-label={t('tableImport.newTableName')}
+                      disabled={working}
+                    />
+                  ) : (
+                    <select
+                      className="form-select"
+                      value={existingTable}
+                      onChange={(e) => setExistingTable(e.target.value)}
+                      aria-label={t('tableImport.existingTable')}
+                      disabled={working}
+                    >
+                      <option value="">{t('tableImport.selectTable')}</option>
+                      {tables.map((table) => (
+                        <option key={table.table_name} value={table.table_name}>
+                          {table.table_name}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+
+                {/* Column Definitions (new table) */}
+                {target === 'new' && (
+                  <div className="mb-4">
+                    <h6 className="fw-bold mb-3">{t('tableImport.columns')}</h6>
+
+                    <div className="form-check mb-3">
+                      <input
+                        type="checkbox"
+                        className="form-check-input"
+                        id="importAddId"
+                        checked={addIdColumn}
+                        onChange={(e) => setAddIdColumn(e.target.checked)}
+                        disabled={working}
+                      />
+                      <label className="form-check-label small" htmlFor="importAddId">
+                        {t('tableImport.addId')}
+                      </label>
+                    </div>
+
+                    {columnDefinitions.map((column, index) => (
+                      <div key={column.source} className="row g-2 align-items-center mb-2 import-column-row">
+                        <div className="col-md-1">
+                          <div className="form-check">
+                            <input
+                              type="checkbox"
+                              className="form-check-input"
+                              id={`import-include-${index}`}
+                              checked={column.include}
+                              onChange={(e) => updateColumnDefinition(index, 'include', e.target.checked)}
+                              disabled={working}
+                              title={t('tableImport.includeColumn')}
+                            />
+                          </div>
+                        </div>
+                        <div className="col-md-4">
+                          <input
+                            type="text"
+                            className="form-control form-control-sm"
+                            value={column.name}
+                            onChange={(e) => updateColumnDefinition(index, 'name', e.target.value)}
+                            aria-label={t('tableImport.columnName', { column: column.source })}
+                            disabled={working || !column.include}
+                          />
+                        </div>
+                        <div className="col-md-4">
+                          <select
+                            className="form-select form-select-sm"
+                            value={column.type}
+                            onChange={(e) => updateColumnDefinition(index, 'type', e.target.value)}
+                            aria-label={t('tableImport.dataType', { column: column.source })}
+                            disabled={working || !column.include}
+                          >
+                            {CREATE_TABLE_COLUMN_TYPES.map((type) => (
+                              <option key={type} value={type}>{type}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className="col-md-3">
+                          <div className="form-check">
+                            <input
+                              type="checkbox"
+                              className="form-check-input"
+                              id={`import-notnull-${index}`}
+                              checked={!column.nullable}
+                              onChange={(e) => updateColumnDefinition(index, 'nullable', !e.target.checked)}
+                              disabled={working || !column.include}
+                            />
+                            <label className="form-check-label small" htmlFor={`import-notnull-${index}`}>
+                              {t('tableImport.notNull')}
+                            </label>
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Column Mapping (existing table) */}
+                {target === 'existing' && schema && (
+                  <div className="mb-4">
+                    <h6 className="fw-bold mb-3">{t('tableImport.mapping')}</h6>
+
+                    {parsed.columns.map((source) => (
+                      <div key={source} className="row g-2 align-items-center mb-2 import-column-row">
+                        <div className="col-md-5">
+                          <code>{source}</code>
+                        </div>
+                        <div className="col-md-1 text-center text-muted">→</div>
+                        <div className="col-md-6">
+                          <select
+                            className="form-select form-select-sm"
+                            value={mapping[source] || ''}
+                            onChange={(e) => setMapping({ ...mapping, [source]: e.target.value })}
+                            aria-label={t('tableImport.targetColumn', { column: source })}
+                            disabled={working}
+                          >
+                            <option value="">{t('tableImport.skipColumn')}</option>
+                            {schemaColumns.map((column) => (
+                              <option key={column.column_name} value={column.column_name}>
+                                {column.column_name} ({column.data_type})
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Preview */}
+                <div className="mb-4">
+                  <h6 className="fw-bold mb-2">
+                    {t('tableImport.preview')}
+                    <small className="text-muted fw-normal ms-2">
+                      {t('tableImport.previewInfo', {
+                        count: parsed.rows.length,
+                        shown: Math.min(PREVIEW_ROW_COUNT, parsed.rows.length),
+                        file: fileName,
+                        format: parsed.format.toUpperCase()
+                      })}
+                    </small>
+                  </h6>
+
+                  {parsed.warnings.length > 0 && (
+                    <div className="alert alert-warning small py-2">
+                      {t('tableImport.fieldWarnings', {
+                        count: parsed.warnings.length,
+                        row: parsed.warnings[0].row,
+                        message: parsed.warnings[0].message
+                      })}
+                    </div>
+                  )}
+
+                  <DataGrid
+                    columns={previewColumns}
+                    rows={parsed.rows.slice(0, PREVIEW_ROW_COUNT)}
+                    getRowKey={(row, index) => index}
+                    maxHeight="300px"
+                  />
+                </div>
+
+                {/* Validation Report */}
+                {report && (
+                  <div className="mb-4">
+                    <div className={`alert ${report.failed_rows > 0 ? 'alert-warning' : 'alert-success'} mb-2`}>
+                      {t('tableImport.canImport', { count: report.total_rows, valid: report.inserted_rows })}
+                      {report.failed_rows > 0 && (
+                        <> {t('tableImport.failedRows', { count: report.failed_rows })}</>
+                      )}
+                    </div>
+
+                    {report.row_errors.length > 0 && (
+                      <div className="table-responsive import-errors">
+                        <table className="table table-sm table-striped mb-0">
+                          <thead>
+                            <tr>
+                              <th>{t('tableImport.row')}</th>
+                              <th>{t('tableImport.error')}</th>
+                              <th>{t('tableImport.values')}</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {report.row_errors.slice(0, MAX_LISTED_ERRORS).map((rowError) => (
+                              <tr key={rowError.row}>
+                                <td>{rowError.row}</td>
+                                <td className="text-danger">{rowError.message}</td>
+                                <td><code className="import-error-values">{describeRow(rowError.row)}</code></td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        {report.row_errors.length > MAX_LISTED_ERRORS && (
+                          <div className="small text-muted mt-1">
+                            {t('tableImport.moreErrors', { count: report.row_errors.length - MAX_LISTED_ERRORS })}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
+
+            {/* Form Actions */}
+            <div className="d-flex justify-content-center gap-3">
+              <button
+                type="button"
+                onClick={() => runImport(true)}
+                disabled={!canValidate}
+                className="btn btn-outline-primary btn-lg"
+              >
+                {pendingAction === 'validate' ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                    {t('tableImport.validating')}
+                  </>
+                ) : (
+                  <>
+                    <span className="me-2">🔍</span>
+                    {t('tableImport.validate')}
+                  </>
+                )}
+              </button>
+
+              <button
+                type="button"
+                onClick={() => runImport(false)}
+                disabled={!canImport}
+                className="btn btn-success btn-lg"
+                title={canImport ? t('tableImport.importAll') : t('tableImport.validateFirst')}
+              >
+                {pendingAction === 'import' ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                    {t('tableImport.importing')}
+                  </>
+                ) : (
+                  <>
+                    <span className="me-2">✅</span>
+                    {t('tableImport.import')}
+                  </>
+                )}
+              </button>
+
+              <button
+                type="button"
+                onClick={onCancel}
+                className="btn btn-outline-secondary btn-lg"
+                disabled={working}
+              >
+                <span className="me-2">❌</span>
+                {t('common.cancel')}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TableImportForm;
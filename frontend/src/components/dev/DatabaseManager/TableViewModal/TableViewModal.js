@@ -1,72 +1,448 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import './TableViewModal.css';
+import { tableApi, i18n, notifications } from '../../../../services';
+import {
+  getTypeCategory,
+  getInputType,
+  isNumericType,
+  isTemporalType,
+  toInputValue,
+  parseInputValue
+} from '../../../../utils/columnTypes';
+import RowInsertForm from '../RowInsertForm/RowInsertForm';
+import DataGrid from '../DataGrid/DataGrid';
+import ExportMenu from '../ExportMenu/ExportMenu';
+
+// Sorting, filtering and search applied to the data request
+const EMPTY_QUERY = { sort: null, direction: 'asc', search: '', filters: {} };
+
+// Delay before typed filter/search input is sent to the backend
+const FILTER_DEBOUNCE_MS = 400;
+
+/**
+ * Drop empty operator values from a column filter map
+ * @param {Object} filters - Column => { operator: value } map
+ * @return {Object} Filters containing only non-empty values
+ */
+const compactFilters = (filters) => {
+  const compacted = {};
+
+  Object.entries(filters).forEach(([column, operators]) => {
+    Object.entries(operators).forEach(([operator, value]) => {
+      if (value !== '') {
+        compacted[column] = { ...compacted[column], [operator]: value };
+      }
+    });
+  });
+
+  return compacted;
+};
 
 /**
  * TableViewModal Component
- * 
- * A modal component that displays table data with pagination
- * 
+ *
+ * A modal component that displays table data with pagination,
+ * server-side sorting, filtering and search, export, and row-level editing
+ * (insert, inline cell edit, delete by primary key).
+ * The page and query are controlled by the parent (DatabaseManager keeps
+ * them in the URL); changes are reported through onViewChange.
+ *
  * @param {Object} props
  * @param {boolean} props.show - Whether to show the modal
  * @param {Function} props.onHide - Callback when modal is closed
  * @param {string} props.tableName - Name of the table to display
- * @param {string} props.apiBaseUrl - Base URL for API calls
+ * @param {number} props.page - Page to show (1-based)
+ * @param {Object} props.query - Applied sorting, search and filters ({ sort, direction, search, filters })
+ * @param {Function} props.onViewChange - Callback with ({ page, ...query }, { replace }) to change page or query
+ * @param {boolean} props.readOnly - Hide row editing for roles that can't change data
  */
-const TableViewModal = ({ show, onHide, tableName, apiBaseUrl }) => {
+const TableViewModal = ({
+  show,
+  onHide,
+  tableName,
+  page = 1,
+  query = EMPTY_QUERY,
+  onViewChange,
+  readOnly = false
+}) => {
+  const { t, formatNumber } = i18n.useTranslation();
   const [tableData, setTableData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
   const [perPage] = useState(50); // Fixed for now, could be made configurable
+  const currentPage = page;
+
+  // Row editing state
+  const [schema, setSchema] = useState(null);
+  const [showInsertForm, setShowInsertForm] = useState(false);
+  const [editingCell, setEditingCell] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Filter and search drafts hold typed input until debounced into the query
+  const [draftSearch, setDraftSearch] = useState('');
+  const [draftFilters, setDraftFilters] = useState({});
 
   // Fetch table data - wrapped in useCallback to prevent infinite re-renders
-  const fetchTableData = useCallback(async (page = 1) => {
+  const fetchTableData = useCallback(async () => {
     setLoading(true);
     setError(null);
 
     try {
-      const offset = (page - 1) * perPage;
-      const response = await fetch(
-        `${apiBaseUrl}/api/tables/${tableName}/data?limit=${perPage}&offset=${offset}`
-      );
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (data.status === 'error') {
-        throw new Error(data.message);
-      }
-
+      const data = await tableApi.getTableData(tableName, { page, limit: perPage, ...query });
       setTableData(data);
-      setCurrentPage(page);
     } catch (err) {
-      setError(`Failed to fetch table data: ${err.message}`);
+      setError(i18n.t('tableView.fetchFailed', { message: err.message }));
       console.error('Fetch table data error:', err);
     } finally {
       setLoading(false);
     }
-  }, [apiBaseUrl, tableName, perPage]);
+  }, [tableName, perPage, page, query]);
+
+  // Fetch table schema - needed for primary key and column type information
+  const fetchSchema = useCallback(async () => {
+    try {
+      const data = await tableApi.getTableSchema(tableName);
+      setSchema(data);
+    } catch (err) {
+      notifications.error(i18n.t('tableView.schemaFailed', { message: err.message }));
+      console.error('Fetch table schema error:', err);
+    }
+  }, [tableName]);
 
   // Reset state when modal opens/closes or table changes
   useEffect(() => {
+    setShowInsertForm(false);
+    setEditingCell(null);
+
     if (show && tableName) {
-      setCurrentPage(1);
       setError(null);
-      fetchTableData(1);
+      fetchSchema();
     } else {
       setTableData(null);
+      setSchema(null);
       setError(null);
     }
+  }, [show, tableName, fetchSchema]);
+
+  // Fetch whenever the table, page or applied query changes
+  useEffect(() => {
+    if (show && tableName) {
+      fetchTableData();
+    }
   }, [show, tableName, fetchTableData]);
 
+  // Follow search and filters changed from outside, e.g. by opening a link or going Back
+  useEffect(() => {
+    setDraftSearch(prev => (prev.trim() === query.search ? prev : query.search));
+    setDraftFilters(prev => (
+      JSON.stringify(compactFilters(prev)) === JSON.stringify(query.filters) ? prev : query.filters
+    ));
+  }, [query]);
+
+  // Apply typed search/filter input once the user stops typing, starting again at the first page
+  useEffect(() => {
+    if (!show) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      const search = draftSearch.trim();
+      const filters = compactFilters(draftFilters);
+
+      if (query.search !== search || JSON.stringify(query.filters) !== JSON.stringify(filters)) {
+        onViewChange({ ...query, search, filters, page: 1 }, { replace: true });
+      }
+    }, FILTER_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [show, draftSearch, draftFilters, query, onViewChange]);
+
+  // Row operations are keyed on a single-column primary key
+  const schemaColumns = schema ? schema.columns : [];
+  const primaryKeyColumns = schemaColumns.filter((column) => column.is_primary_key);
+  const primaryKey = primaryKeyColumns.length === 1 ? primaryKeyColumns[0].column_name : null;
+  const canEditRows = Boolean(primaryKey) && !readOnly;
+
+  /**
+   * Get schema information for a column
+   * @param {string} columnName - Column name
+   * @return {Object|undefined} Schema column
+   */
+  const getSchemaColumn = (columnName) => (
+    schemaColumns.find((column) => column.column_name === columnName)
+  );
+
+  /**
+   * Insert a new row
+   * @param {Object} values - Column => value map
+   */
+  const handleInsertRow = async (values) => {
+    setSaving(true);
+
+    try {
+      await tableApi.insertRow(tableName, values);
+      notifications.success(t('tableView.rowInserted'));
+      setShowInsertForm(false);
+      fetchTableData();
+    } catch (err) {
+      notifications.error(t('tableView.insertFailed', { message: err.message }));
+      console.error('Insert row error:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Start inline editing of a cell
+   * @param {number} rowIndex - Index of the row on the current page
+   * @param {string} columnName - Column name
+   */
+  const startEditing = (rowIndex, columnName) => {
+    if (!canEditRows || columnName === primaryKey || saving) {
+      return;
+    }
+
+    setEditingCell({
+      rowIndex,
+      columnName,
+      value: toInputValue(tableData.rows[rowIndex][columnName])
+    });
+  };
+
+  /**
+   * Save the cell currently being edited
+   */
+  const saveEditingCell = async () => {
+    if (!editingCell) {
+      return;
+    }
+
+    const { rowIndex, columnName, value } = editingCell;
+    const row = tableData.rows[rowIndex];
+    setEditingCell(null);
+
+    if (value === toInputValue(row[columnName])) {
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      const parsedValue = parseInputValue(value, getSchemaColumn(columnName));
+      const result = await tableApi.updateRow(tableName, row[primaryKey], { [columnName]: parsedValue });
+
+      setTableData(prev => ({
+        ...prev,
+        rows: prev.rows.map((existing, index) => (index === rowIndex ? result.row : existing))
+      }));
+      notifications.success(t('tableView.rowUpdated', { id: row[primaryKey] }));
+    } catch (err) {
+      notifications.error(t('tableView.updateFailed', { message: err.message }));
+      console.error('Update row error:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Handle keyboard shortcuts while editing a cell
+   * @param {KeyboardEvent} e - Key event
+   */
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter' && getTypeCategory(getSchemaColumn(editingCell.columnName)?.data_type) !== 'json') {
+      e.preventDefault();
+      // Blurring triggers the save so Enter and focus loss share one code path
+      e.target.blur();
+    } else if (e.key === 'Escape') {
+      setEditingCell(null);
+    }
+  };
+
+  /**
+   * Delete a row by primary key
+   * @param {Object} row - Row to delete
+   */
+  const handleDeleteRow = async (row) => {
+    const rowId = row[primaryKey];
+
+    if (!window.confirm(t('tableView.confirmDeleteRow', { column: primaryKey, id: rowId }))) {
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      await tableApi.deleteRow(tableName, rowId);
+      notifications.success(t('tableView.rowDeleted', { id: rowId }));
+
+      // Step back a page if the last row on this page was removed
+      if (tableData.rows.length === 1 && currentPage > 1) {
+        onViewChange({ ...query, page: currentPage - 1 }, { replace: true });
+      } else {
+        fetchTableData();
+      }
+    } catch (err) {
+      notifications.error(t('tableView.deleteFailed', { message: err.message }));
+      console.error('Delete row error:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Render the inline editor for a cell
+   * @param {Object} column - Data column
+   * @return {JSX.Element} Editor element
+   */
+  const renderCellEditor = (column) => {
+    const schemaColumn = getSchemaColumn(column.column_name) || column;
+    const commonProps = {
+      autoFocus: true,
+      value: editingCell.value,
+      onChange: (e) => setEditingCell(prev => ({ ...prev, value: e.target.value })),
+      onBlur: saveEditingCell,
+      onKeyDown: handleEditKeyDown
+    };
+
+    if (getTypeCategory(schemaColumn.data_type) === 'boolean') {
+      return (
+        <select className="form-select form-select-sm" {...commonProps}>
+          {schemaColumn.is_nullable === 'YES' && <option value="">NULL</option>}
+          <option value="true">true</option>
+          <option value="false">false</option>
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type={getInputType(schemaColumn.data_type)}
+        step={getTypeCategory(schemaColumn.data_type) === 'decimal' ? 'any' : undefined}
+        className="form-control form-control-sm"
+        {...commonProps}
+      />
+    );
+  };
+
   // Handle pagination
-  const handlePageChange = (page) => {
-    if (page !== currentPage && page >= 1) {
-      fetchTableData(page);
+  const handlePageChange = (nextPage) => {
+    if (nextPage !== currentPage && nextPage >= 1) {
+      onViewChange({ ...query, page: nextPage });
+    }
+  };
+
+  /**
+   * Cycle sorting on a column: ascending, descending, then unsorted
+   * @param {string} columnName - Column name
+   */
+  const handleSort = (columnName) => {
+    if (query.sort !== columnName) {
+      onViewChange({ ...query, sort: columnName, direction: 'asc', page: 1 });
+    } else if (query.direction === 'asc') {
+      onViewChange({ ...query, direction: 'desc', page: 1 });
+    } else {
+      onViewChange({ ...query, sort: null, direction: 'asc', page: 1 });
+    }
+  };
+
+  /**
+   * Update a draft column filter value
+   * @param {string} columnName - Column name
+   * @param {string} operator - Filter operator (eq, contains, min, max)
+   * @param {string} value - Filter value
+   */
+  const handleFilterChange = (columnName, operator, value) => {
+    setDraftFilters(prev => ({
+      ...prev,
+      [columnName]: {
+        ...prev[columnName],
+        [operator]: value
+      }
+    }));
+  };
+
+  /**
+   * Clear search and all column filters
+   */
+  const clearFilters = () => {
+    setDraftSearch('');
+    setDraftFilters({});
+    onViewChange({ ...query, search: '', filters: {}, page: 1 });
+  };
+
+  const hasActiveFilters = query.search !== '' || Object.keys(query.filters).length > 0;
+  const hasDraftFilters = draftSearch !== '' || Object.keys(compactFilters(draftFilters)).length > 0;
+
+  /**
+   * Get the sort indicator for a column header
+   * @param {string} columnName - Column name
+   * @return {string} Arrow for the active sort direction, or a neutral marker
+   */
+  const getSortIndicator = (columnName) => {
+    if (query.sort !== columnName) {
+      return '↕';
     }
+    return query.direction === 'asc' ? '▲' : '▼';
+  };
+
+  /**
+   * Render the filter input(s) for a column
+   * Numeric and date/time columns get a min/max range, booleans an equals select,
+   * everything else a "contains" text match.
+   * @param {Object} column - Data column
+   * @return {JSX.Element} Filter input element(s)
+   */
+  const renderColumnFilter = (column) => {
+    const columnName = column.column_name;
+    const filter = draftFilters[columnName] || {};
+    const label = t('tableView.filterLabel', { column: columnName });
+
+    if (isNumericType(column.data_type) || isTemporalType(column.data_type)) {
+      const inputType = getInputType(column.data_type);
+
+      return (
+        <div className="d-flex gap-1">
+          {['min', 'max'].map((operator) => (
+            <input
+              key={operator}
+              type={inputType}
+              step={inputType === 'number' ? 'any' : undefined}
+              className="form-control form-control-sm"
+              placeholder={operator === 'min' ? t('tableView.filterMin') : t('tableView.filterMax')}
+              aria-label={`${label} ${operator === 'min' ? t('tableView.filterMin') : t('tableView.filterMax')}`}
+              value={filter[operator] ?? ''}
+              onChange={(e) => handleFilterChange(columnName, operator, e.target.value)}
+            />
+          ))}
+        </div>
+      );
+    }
+
+    if (getTypeCategory(column.data_type) === 'boolean') {
+      return (
+        <select
+          className="form-select form-select-sm"
+          aria-label={label}
+          value={filter.eq ?? ''}
+          onChange={(e) => handleFilterChange(columnName, 'eq', e.target.value)}
+        >
+          <option value="">{t('tableView.filterAny')}</option>
+          <option value="true">true</option>
+          <option value="false">false</option>
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type="text"
+        className="form-control form-control-sm"
+        placeholder={t('tableView.filterContains')}
+        aria-label={label}
+        value={filter.contains ?? ''}
+        onChange={(e) => handleFilterChange(columnName, 'contains', e.target.value)}
+      />
+    );
   };
 
   // Calculate pagination info
@@ -76,21 +452,22 @@ const TableViewModal = ({ show, onHide, tableName, apiBaseUrl }) => {
 
   // Render table content
   const renderTableContent = () => {
-    if (loading) {
+    // Only replace the table with a spinner/error on first load so filter inputs keep focus
+    if (loading && !tableData) {
       return (
         <div className="text-center py-5">
           <div className="spinner-border text-primary" role="status">
-            <span className="visually-hidden">Loading...</span>
+            <span className="visually-hidden">{t('common.loading')}</span>
           </div>
-          <p className="mt-3 text-muted">Loading table data...</p>
+          <p className="mt-3 text-muted">{t('tableView.loadingData')}</p>
         </div>
       );
     }
 
-    if (error) {
+    if (error && !tableData) {
       return (
         <div className="alert alert-danger" role="alert">
-          <strong>Error:</strong> {error}
+          <strong>{t('common.error')}</strong> {error}
         </div>
       );
     }
@@ -99,74 +476,114 @@ const TableViewModal = ({ show, onHide, tableName, apiBaseUrl }) => {
       return (
         <div className="text-center py-5 text-muted">
           <span className="fs-1 d-block mb-3">📊</span>
-          <p>No data available</p>
+          <p>{t('tableView.noData')}</p>
         </div>
       );
     }
 
-    if (tableData.rows.length === 0) {
+    if (tableData.rows.length === 0 && !hasActiveFilters && !hasDraftFilters) {
       return (
         <div className="text-center py-5 text-muted">
           <span className="fs-1 d-block mb-3">📭</span>
-          <h5>Table is empty</h5>
-          <p>This table contains no data yet.</p>
+          <h5>{t('tableView.emptyTitle')}</h5>
+          <p>{t('tableView.emptyMessage')}</p>
         </div>
       );
     }
 
     return (
       <>
+        {error && (
+          <div className="alert alert-danger" role="alert">
+            <strong>{t('common.error')}</strong> {error}
+          </div>
+        )}
+
         {/* Table Stats */}
         <div className="d-flex justify-content-between align-items-center mb-3">
           <div className="text-muted">
-            Showing {startRow}-{endRow} of {tableData.total_rows} rows
+            {tableData.total_rows > 0
+              ? t(hasActiveFilters ? 'tableView.showingMatching' : 'tableView.showing', {
+                start: formatNumber(startRow),
+                end: formatNumber(endRow),
+                count: tableData.total_rows
+              })
+              : t('tableView.noMatchingRows')}
+            {loading && (
+              <span className="spinner-border spinner-border-sm ms-2 table-view-inline-spinner" role="status">
+                <span className="visually-hidden">{t('common.loading')}</span>
+              </span>
+            )}
           </div>
           <div className="text-muted small">
-            Page {currentPage} of {totalPages}
+            {totalPages > 0 && t('tableView.pageOf', {
+              page: formatNumber(currentPage),
+              pages: formatNumber(totalPages)
+            })}
           </div>
         </div>
 
         {/* Table */}
-        <div className="table-responsive" style={{ maxHeight: '400px', overflowY: 'auto' }}>
-          <table className="table table-sm table-striped table-hover">
-            <thead className="table-dark sticky-top">
-              <tr>
-                {tableData.columns.map((column) => (
-                  <th key={column.column_name} scope="col">
-                    <div>
-                      {column.column_name}
-                      <small className="d-block text-light opacity-75">
-                        {column.data_type}
-                        {column.is_nullable === 'NO' && (
-                          <span className="badge bg-warning ms-1" title="Not Null">!</span>
-                        )}
-                      </small>
-                    </div>
-                  </th>
-                ))}
-              </tr>
-            </thead>
-            <tbody>
-              {tableData.rows.map((row, index) => (
-                <tr key={index}>
-                  {tableData.columns.map((column) => (
-                    <td key={column.column_name}>
-                      {row[column.column_name] !== null ? (
-                        <span>{String(row[column.column_name])}</span>
-                      ) : (
-                        <span className="text-muted fst-italic">NULL</span>
-                      )}
-                    </td>
-                  ))}
-                </tr>
+        <DataGrid
+          columns={tableData.columns}
+          rows={tableData.rows}
+          getRowKey={(row, index) => (primaryKey ? row[primaryKey] : index)}
+          getHeaderProps={(column) => ({
+            className: 'sortable-header',
+            onClick: () => handleSort(column.column_name),
+            title: t('tableView.sortTitle'),
+            'aria-sort': query.sort === column.column_name
+              ? (query.direction === 'asc' ? 'ascending' : 'descending')
+              : 'none'
+          })}
+          renderHeaderExtra={(column) => (
+            <span className={`ms-1 sort-indicator ${query.sort === column.column_name ? 'active' : ''}`}>
+              {getSortIndicator(column.column_name)}
+            </span>
+          )}
+          headerRow={(
+            <tr className="filter-row">
+              {tableData.columns.map((column) => (
+                <th key={column.column_name} scope="col">
+                  {renderColumnFilter(column)}
+                </th>
               ))}
-            </tbody>
-          </table>
-        </div>
+              {canEditRows && <th scope="col"></th>}
+            </tr>
+          )}
+          getCellProps={(row, column, index) => {
+            const isEditable = canEditRows && column.column_name !== primaryKey;
+
+            return {
+              className: isEditable ? 'editable-cell' : '',
+              onDoubleClick: () => startEditing(index, column.column_name),
+              title: isEditable ? t('tableView.editCellTitle') : undefined
+            };
+          }}
+          renderCell={(row, column, index) => {
+            const isEditing = editingCell
+              && editingCell.rowIndex === index
+              && editingCell.columnName === column.column_name;
+
+            return isEditing ? renderCellEditor(column) : undefined;
+          }}
+          renderRowActions={canEditRows ? (row) => (
+            <button
+              type="button"
+              onClick={() => handleDeleteRow(row)}
+              className="btn btn-outline-danger btn-sm"
+              disabled={saving || loading}
+              title={t('tableView.deleteRowTitle')}
+            >
+              🗑️
+            </button>
+          ) : undefined}
+          emptyMessage={t('tableView.noRowsMatch')}
+        />
 
         {/* Pagination */}
         {totalPages > 1 && (
-          <nav aria-label="Table pagination" className="mt-3">
+          <nav aria-label={t('tableView.pagination')} className="mt-3">
             <ul className="pagination pagination-sm justify-content-center">
               <li className={`page-item ${currentPage === 1 ? 'disabled' : ''}`}>
                 <button
@@ -174,7 +591,7 @@ const TableViewModal = ({ show, onHide, tableName, apiBaseUrl }) => {
                   onClick={() => handlePageChange(currentPage - 1)}
                   disabled={currentPage === 1 || loading}
                 >
-                  Previous
+                  {t('tableView.previous')}
                 </button>
               </li>
 
@@ -201,7 +618,7 @@ const TableViewModal = ({ show, onHide, tableName, apiBaseUrl }) => {
                       onClick={() => handlePageChange(pageNum)}
                       disabled={loading}
                     >
-                      {pageNum}
+                      {formatNumber(pageNum)}
                     </button>
                   </li>
                 );
@@ -213,7 +630,7 @@ const TableViewModal = ({ show, onHide, tableName, apiBaseUrl }) => {
                   onClick={() => handlePageChange(currentPage + 1)}
                   disabled={currentPage === totalPages || loading}
                 >
-                  Next
+                  {t('tableView.next')}
                 </button>
               </li>
             </ul>
@@ -248,18 +665,85 @@ const TableViewModal = ({ show, onHide, tableName, apiBaseUrl }) => {
             <div className="modal-header bg-primary text-white">
               <h5 className="modal-title" id="tableViewModalLabel">
                 <span className="me-2">🗃️</span>
-                Table: {tableName}
+                {t('tableView.title', { table: tableName })}
               </h5>
               <button
                 type="button"
                 className="btn-close btn-close-white"
                 onClick={onHide}
-                aria-label="Close"
+                aria-label={t('common.close')}
               ></button>
             </div>
 
             {/* Modal Body */}
             <div className="modal-body">
+              {/* Row Toolbar */}
+              {schema && (
+                <div className="d-flex justify-content-between align-items-center mb-3">
+                  <small className="text-muted">
+                    {readOnly
+                      ? t('tableView.readOnlyHint')
+                      : primaryKey
+                        ? t('tableView.editHint', { column: primaryKey })
+                        : t('tableView.noPrimaryKeyHint')}
+                  </small>
+                  {!readOnly && !showInsertForm && (
+                    <button
+                      type="button"
+                      className="btn btn-success btn-sm"
+                      onClick={() => setShowInsertForm(true)}
+                      disabled={saving || loading}
+                    >
+                      <span className="me-1">➕</span>
+                      {t('tableView.addRow')}
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {/* Search Toolbar */}
+              {tableData && (
+                <div className="d-flex gap-2 mb-3">
+                  <div className="input-group input-group-sm">
+                    <span className="input-group-text">🔍</span>
+                    <input
+                      type="search"
+                      className="form-control"
+                      placeholder={t('tableView.searchPlaceholder')}
+                      aria-label={t('tableView.searchLabel')}
+                      value={draftSearch}
+                      onChange={(e) => setDraftSearch(e.target.value)}
+                    />
+                  </div>
+                  <button
+                    type="button"
+                    className="btn btn-outline-secondary btn-sm text-nowrap"
+                    onClick={clearFilters}
+                    disabled={!hasActiveFilters && !hasDraftFilters}
+                  >
+                    {t('tableView.clearFilters')}
+                  </button>
+                  <ExportMenu
+                    tableName={tableName}
+                    query={query}
+                    hasFilters={hasActiveFilters}
+                    disabled={loading}
+                    onSuccess={notifications.success}
+                    onError={notifications.error}
+                    buttonClassName="btn btn-outline-success btn-sm text-nowrap"
+                  />
+                </div>
+              )}
+
+              {showInsertForm && (
+                <RowInsertForm
+                  columns={schemaColumns}
+                  loading={saving}
+                  onSubmit={handleInsertRow}
+                  onCancel={() => setShowInsertForm(false)}
+                />
+              )}
+
               {renderTableContent()}
             </div>
 
@@ -269,9 +753,8 @@ const TableViewModal = ({ show, onHide, tableName, apiBaseUrl }) => {
                 <div className="text-muted small">
                   {tableData && (
                     <>
-                      <strong>{tableData.table_name}</strong> - 
-                      {tableData.columns?.length || 0} columns, 
-                      {tableData.total_rows || 0} total rows
+                      <strong>{tableData.table_name}</strong> - {t('common.columns', { count: tableData.columns?.length || 0 })},{' '}
+                      {t(hasActiveFilters ? 'tableView.matchingRows' : 'tableView.totalRows', { count: tableData.total_rows || 0 })}
                     </>
                   )}
                 </div>
@@ -281,7 +764,7 @@ const TableViewModal = ({ show, onHide, tableName, apiBaseUrl }) => {
                     className="btn btn-secondary" 
                     onClick={onHide}
                   >
-                    Close
+                    {t('common.close')}
                   </button>
                 </div>
               </div>
@@ -1,6 +1,7 @@
 import React from 'react';
 import TableCard from '../TableCard/TableCard';
 import './TablesList.css';
+import { i18n } from '../../../../services';
 
 /**
  * TablesList Component
@@ -14,6 +15,9 @@ import './TablesList.css';
  * @param {Function} props.onDelete - Callback function when delete button is clicked
  * @param {Function} props.onView - Callback function when view button is clicked
  * @param {Function} props.onEdit - Callback function when edit button is clicked
+ * @param {boolean} props.canDelete - Whether the user's role may delete tables
+ * @param {Function} props.onExportSuccess - Callback with a message after a table export
+ * @param {Function} props.onExportError - Callback with a message when a table export fails
  * @param {string} props.className - Additional CSS classes for the container
  */
 const TablesList = ({ 
@@ -22,8 +26,13 @@ const TablesList = ({
   onDelete, 
   onView, 
   onEdit, 
+  canDelete = true,
+  onExportSuccess,
+  onExportError,
   className = "" 
 }) => {
+  const { t } = i18n.useTranslation();
+
   /**
    * Render empty state when no tables exist
    */
@@ -33,8 +42,8 @@ const TablesList = ({
         <span className="fs-1 d-block mb-3" role="img" aria-label="Empty folder">
           📂
         </span>
-        <h4 className="mb-3">No tables found</h4>
-        <p className="mb-0">Create your first table to get started!</p>
+        <h4 className="mb-3">{t('tablesList.emptyTitle')}</h4>
+        <p className="mb-0">{t('tablesList.emptyMessage')}</p>
       </div>
     </div>
   );
@@ -51,6 +60,9 @@ const TablesList = ({
           onDelete={onDelete}
           onView={onView}
           onEdit={onEdit}
+          canDelete={canDelete}
+          onExportSuccess={onExportSuccess}
+          onExportError={onExportError}
           loading={loading}
         />
       ))}
@@ -62,16 +74,16 @@ const TablesList = ({
       <div className="col">
         <div className="card shadow">
           {/* Card Header */}
-          <div className="card-header bg-light d-flex justify-content-between align-items-center">
+          <div className="card-header bg-body-tertiary d-flex justify-content-between align-items-center">
             <h5 className="card-title mb-0">
               <span className="me-2" role="img" aria-label="Tables list">
                 📋
               </span>
-              Existing Tables
+              {t('tablesList.title')}
             </h5>
             {tables.length > 0 && (
-              <span className="badge bg-primary" title={`${tables.length} table${tables.length !== 1 ? 's' : ''} found`}>
-                {tables.length} table{tables.length !== 1 ? 's' : ''}
+              <span className="badge bg-primary" title={t('tablesList.countFound', { count: tables.length })}>
+                {t('tablesList.count', { count: tables.length })}
               </span>
             )}
           </div>
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './Migrations.css';
+import { migrationApi, authSession, notifications, i18n } from '../../../services';
+
+/**
+ * Migrations Component
+ *
+ * Lists the migrations generated from schema changes made in the dashboard,
+ * oldest first, with whether this database has applied them. Clicking a
+ * migration shows its up and down SQL; admins can apply pending migrations
+ * and roll back applied ones, one at a time.
+ *
+ * @param {Object} props
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const Migrations = ({ className = '' }) => {
+  const { t, formatNumber, formatDate } = i18n.useTranslation();
+  const [migrations, setMigrations] = useState([]);
+  const [directory, setDirectory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [pendingVersion, setPendingVersion] = useState(null);
+  const [expandedVersion, setExpandedVersion] = useState(null);
+
+  const canApply = authSession.hasPermission('migrations.apply');
+
+  // Fetch all migrations
+  const fetchMigrations = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const data = await migrationApi.getMigrations();
+      setMigrations(data.migrations);
+      setDirectory({ path: data.path, writable: data.writable });
+    } catch (err) {
+      notifications.error(i18n.t('migrations.loadFailed', { message: err.message }));
+      console.error('Fetch migrations error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMigrations();
+  }, [fetchMigrations]);
+
+  /**
+   * Replace a migration in the list with its updated version
+   * @param {Object} updated - Migration returned by the backend
+   */
+  const replaceMigration = (updated) => {
+    setMigrations((prev) => prev.map((migration) => (
+      migration.version === updated.version ? updated : migration
+    )));
+  };
+
+  /**
+   * Apply a pending migration
+   * @param {Object} migration - Migration to apply
+   */
+  const handleApply = async (migration) => {
+    if (!window.confirm(t('migrations.confirmApply', { version: migration.version, name: migration.name }))) {
+      return;
+    }
+
+    setPendingVersion(migration.version);
+
+    try {
+      replaceMigration(await migrationApi.applyMigration(migration.version));
+      notifications.success(t('migrations.applied', { version: migration.version }));
+    } catch (err) {
+      notifications.error(t('migrations.applyFailed', { version: migration.version, message: err.message }));
+      console.error('Apply migration error:', err);
+    } finally {
+      setPendingVersion(null);
+    }
+  };
+
+  /**
+   * Roll back an applied migration
+   * @param {Object} migration - Migration to roll back
+   */
+  const handleRollback = async (migration) => {
+    if (!window.confirm(t('migrations.confirmRollback', { version: migration.version, name: migration.name }))) {
+      return;
+    }
+
+    setPendingVersion(migration.version);
+
+    try {
+      replaceMigration(await migrationApi.rollbackMigration(migration.version));
+      notifications.success(t('migrations.rolledBack', { version: migration.version }));
+    } catch (err) {
+      notifications.error(t('migrations.rollbackFailed', { version: migration.version, message: err.message }));
+      console.error('Roll back migration error:', err);
+    } finally {
+      setPendingVersion(null);
+    }
+  };
+
+  /**
+   * Show or hide a migration's SQL
+   * @param {string} version - Migration version
+   */
+  const toggleMigration = (version) => {
+    setExpandedVersion((prev) => (prev === version ? null : version));
+  };
+
+  const appliedCount = migrations.filter((migration) => migration.status === 'applied').length;
+  const working = pendingVersion !== null;
+
+  return (
+    <div className={`migrations container-fluid ${className}`}>
+      {/* Header */}
+      <div className="row mb-4">
+        <div className="col">
+          <h2 className="mb-3">
+            <span className="me-2">🧬</span>
+            {t('migrations.title')}
+          </h2>
+          <p className="text-muted">{t('migrations.subtitle')}</p>
+        </div>
+      </div>
+
+      {directory && !directory.writable && (
+        <div className="alert alert-warning" role="alert">
+          <strong>{t('migrations.notWritableTitle')}</strong>{' '}
+          {t('migrations.notWritable', { path: directory.path })}
+        </div>
+      )}
+
+      {/* Toolbar */}
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+        <small className="text-muted">
+          {t('migrations.summary', {
+            applied: formatNumber(appliedCount),
+            pending: formatNumber(migrations.length - appliedCount)
+          })}
+        </small>
+        <button
+          type="button"
+          className="btn btn-outline-secondary"
+          onClick={fetchMigrations}
+          disabled={loading}
+        >
+          {loading ? (
+            <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+          ) : (
+            <span className="me-2">🔄</span>
+          )}
+          {t('migrations.refresh')}
+        </button>
+      </div>
+
+      {/* Migrations */}
+      <div className="table-responsive">
+        <table className="table table-hover align-middle">
+          <thead className="table-dark">
+            <tr>
+              <th>{t('migrations.version')}</th>
+              <th>{t('migrations.name')}</th>
+              <th>{t('migrations.status')}</th>
+              <th>{t('migrations.appliedAt')}</th>
+              {canApply && <th>{t('migrations.actions')}</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {migrations.length === 0 ? (
+              <tr>
+                <td colSpan={canApply ? 5 : 4} className="text-center text-muted py-4">
+                  {loading ? t('common.loading') : t('migrations.empty')}
+                </td>
+              </tr>
+            ) : migrations.map((migration) => {
+              const expanded = expandedVersion === migration.version;
+              const applied = migration.status === 'applied';
+
+              return (
+                <React.Fragment key={migration.version}>
+                  <tr
+                    className={`migration-entry ${expanded ? 'table-active' : ''}`}
+                    onClick={() => toggleMigration(migration.version)}
+                    aria-expanded={expanded}
+                  >
+                    <td className="text-nowrap">
+                      <span className="me-2">{expanded ? '▼' : '▶'}</span>
+                      <code>{migration.version}</code>
+                    </td>
+                    <td className="migration-name">{migration.name}</td>
+                    <td>
+                      <span className={`badge ${applied ? 'bg-success' : 'bg-warning text-dark'}`}>
+                        {t(`migrations.statuses.${migration.status}`)}
+                      </span>
+                    </td>
+                    <td className="small text-nowrap">
+                      {applied ? (
+                        <>
+                          {migration.applied_at
+                            ? formatDate(migration.applied_at * 1000, { dateStyle: 'medium', timeStyle: 'short' })
+                            : '—'}
+                          <small className="d-block text-muted">
+                            {migration.applied_by || t('migrations.appliedByScript')}
+                          </small>
+                        </>
+                      ) : '—'}
+                    </td>
+                    {canApply && (
+                      <td className="text-nowrap" onClick={(e) => e.stopPropagation()}>
+                        {applied ? (
+                          <button
+                            type="button"
+                            className="btn btn-outline-danger btn-sm"
+                            onClick={() => handleRollback(migration)}
+                            disabled={working || !migration.reversible}
+                            title={migration.reversible ? undefined : t('migrations.irreversible')}
+                          >
+                            {pendingVersion === migration.version ? (
+                              <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                            ) : (
+                              <span className="me-1">↩️</span>
+                            )}
+                            {t('migrations.rollback')}
+                          </button>
+                        ) : (
+                          <button
+                            type="button"
+                            className="btn btn-outline-primary btn-sm"
+                            onClick={() => handleApply(migration)}
+                            disabled={working}
+                          >
+                            {pendingVersion === migration.version ? (
+                              <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                            ) : (
+                              <span className="me-1">▶️</span>
+                            )}
+                            {t('migrations.apply')}
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                  {expanded && (
+                    <tr>
+                      <td colSpan={canApply ? 5 : 4} className="bg-body-tertiary">
+                        <div className="row g-3">
+                          <div className="col-lg-6">
+                            <div className="small fw-bold text-muted mb-1">{t('migrations.upSql')}</div>
+                            <pre className="migration-sql mb-0">
+                              <code>{migration.up_sql}</code>
+                            </pre>
+                          </div>
+                          <div className="col-lg-6">
+                            <div className="small fw-bold text-muted mb-1">{t('migrations.downSql')}</div>
+                            <pre className="migration-sql mb-0">
+                              <code>{migration.down_sql}</code>
+                            </pre>
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Migrations;
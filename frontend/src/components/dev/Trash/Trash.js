@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './Trash.css';
+import { trashApi, authSession, notifications, i18n } from '../../../services';
+
+/**
+ * Format a size in bytes for display
+ * @param {number} bytes - Size in bytes
+ * @return {string} Human readable size
+ */
+const formatBytes = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} kB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Trash Component
+ *
+ * Lists the tables and columns dropped in the Database Manager, which are
+ * held in the trash for the retention period before being purged for good.
+ * Each item can be restored in one click, or purged right away.
+ *
+ * @param {Object} props
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const Trash = ({ className = '' }) => {
+  const { t, formatDate } = i18n.useTranslation();
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [pendingId, setPendingId] = useState(null);
+
+  const canRestore = authSession.hasPermission('schema.write');
+  const canPurge = authSession.hasPermission('schema.destroy');
+  const hasActions = canRestore || canPurge;
+
+  // Fetch the trash items
+  const fetchItems = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const data = await trashApi.getItems();
+      setItems(data.items);
+      setRetentionDays(data.retention_days);
+    } catch (err) {
+      notifications.error(i18n.t('trash.loadFailed', { message: err.message }));
+      console.error('Fetch trash error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  /**
+   * Describe an item: its table, or its table and column
+   * @param {Object} item - Trash item
+   * @return {string} Item name
+   */
+  const getItemName = (item) => (
+    item.kind === 'column' ? `${item.table_name}.${item.column_name}` : item.table_name
+  );
+
+  /**
+   * Remove an item from the list
+   * @param {number} id - Trash item id
+   */
+  const removeItem = (id) => {
+    setItems((prev) => prev.filter((item) => item.id !== id));
+  };
+
+  /**
+   * Put an item back where it was dropped from
+   * @param {Object} item - Trash item
+   */
+  const handleRestore = async (item) => {
+    setPendingId(item.id);
+
+    try {
+      const restored = await trashApi.restoreItem(item.id);
+      removeItem(item.id);
+      notifications.success(t('trash.restored', { name: getItemName(item) }));
+      (restored.warnings || []).forEach((warning) => notifications.warning(warning));
+    } catch (err) {
+      notifications.error(t('trash.restoreFailed', { name: getItemName(item), message: err.message }));
+      console.error('Restore trash item error:', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  /**
+   * Delete an item for good
+   * @param {Object} item - Trash item
+   */
+  const handlePurge = async (item) => {
+    if (!window.confirm(t('trash.confirmPurge', { name: getItemName(item) }))) {
+      return;
+    }
+
+    setPendingId(item.id);
+
+    try {
+      await trashApi.purgeItem(item.id);
+      removeItem(item.id);
+      notifications.success(t('trash.purged', { name: getItemName(item) }));
+    } catch (err) {
+      notifications.error(t('trash.purgeFailed', { name: getItemName(item), message: err.message }));
+      console.error('Purge trash item error:', err);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const totalSize = items.reduce((sum, item) => sum + item.size, 0);
+  const columnCount = hasActions ? 5 : 4;
+  const working = pendingId !== null;
+
+  return (
+    <div className={`trash container-fluid ${className}`}>
+      {/* Header */}
+      <div className="row mb-4">
+        <div className="col">
+          <h2 className="mb-3">
+            <span className="me-2">🗑️</span>
+            {t('trash.title')}
+          </h2>
+          <p className="text-muted">
+            {retentionDays !== null
+              ? t('trash.subtitle', { count: retentionDays })
+              : t('modules.trash.description')}
+          </p>
+        </div>
+      </div>
+
+      {/* Toolbar */}
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+        <small className="text-muted">
+          {t('trash.summary', { count: items.length, size: formatBytes(totalSize) })}
+        </small>
+        <button
+          type="button"
+          className="btn btn-outline-secondary"
+          onClick={fetchItems}
+          disabled={loading}
+        >
+          {loading ? (
+            <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+          ) : (
+            <span className="me-2">🔄</span>
+          )}
+          {t('trash.refresh')}
+        </button>
+      </div>
+
+      {/* Items */}
+      <div className="table-responsive">
+        <table className="table table-hover align-middle">
+          <thead className="table-dark">
+            <tr>
+              <th>{t('trash.item')}</th>
+              <th>{t('trash.size')}</th>
+              <th>{t('trash.droppedAt')}</th>
+              <th>{t('trash.expiresAt')}</th>
+              {hasActions && <th>{t('trash.actions')}</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {items.length === 0 ? (
+              <tr>
+                <td colSpan={columnCount} className="text-center text-muted py-4">
+                  {loading ? t('common.loading') : t('trash.empty')}
+                </td>
+              </tr>
+            ) : items.map((item) => (
+              <tr key={item.id}>
+                <td className="trash-item-name">
+                  <span className="trash-item-icon">{item.kind === 'table' ? '📋' : '📝'}</span>
+                  <code>{getItemName(item)}</code>
+                  <span className="badge bg-secondary ms-2">{t(`trash.kinds.${item.kind}`)}</span>
+                  {item.kind === 'column' && item.column_definition && (
+                    <small className="d-block text-muted">{item.column_definition.type}</small>
+                  )}
+                  {item.kind === 'table' && item.foreign_keys.length > 0 && (
+                    <small className="d-block text-muted">
+                      {t('trash.foreignKeys', { count: item.foreign_keys.length })}
+                    </small>
+                  )}
+                </td>
+                <td className="small text-nowrap">
+                  {item.has_data ? formatBytes(item.size) : (
+                    <span className="text-muted" title={t('trash.noDataHint')}>{t('trash.noData')}</span>
+                  )}
+                </td>
+                <td className="small text-nowrap">
+                  {formatDate(item.dropped_at * 1000, { dateStyle: 'medium', timeStyle: 'short' })}
+                </td>
+                <td className="small text-nowrap">
+                  {formatDate(item.expires_at * 1000, { dateStyle: 'medium', timeStyle: 'short' })}
+                </td>
+                {hasActions && (
+                  <td className="text-nowrap">
+                    {canRestore && (
+                      <button
+                        type="button"
+                        className="btn btn-outline-primary btn-sm me-2"
+                        onClick={() => handleRestore(item)}
+                        disabled={working}
+                      >
+                        {pendingId === item.id ? (
+                          <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                        ) : (
+                          <span className="me-1">↩️</span>
+                        )}
+                        {t('trash.restore')}
+                      </button>
+                    )}
+                    {canPurge && (
+                      <button
+                        type="button"
+                        className="btn btn-outline-danger btn-sm"
+                        onClick={() => handlePurge(item)}
+                        disabled={working}
+                      >
+                        <span className="me-1">🔥</span>
+                        {t('trash.purge')}
+                      </button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
@@ -1,5 +1,6 @@
 import React from 'react';
 import './FormActions.css';
+import { i18n } from '../../../../services';
 
 /**
  * FormActions Component
@@ -37,6 +38,8 @@ const FormActions = ({
   stackOn = 'sm',
   ...rest
 }) => {
+  const { t } = i18n.useTranslation();
+
   // Determine container classes based on alignment
   const getContainerClasses = () => {
     const baseClasses = ['d-flex', 'gap-3'];
@@ -109,7 +112,7 @@ const FormActions = ({
               role="status" 
               aria-hidden="true"
             ></span>
-            {loadingText || 'Loading...'}
+            {loadingText || t('common.loading')}
           </>
         );
       }
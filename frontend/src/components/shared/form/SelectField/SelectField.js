@@ -1,5 +1,6 @@
 import React from 'react';
 import './SelectField.css';
+import { i18n } from '../../../../services';
 
 /**
  * SelectField Component
@@ -38,6 +39,8 @@ const SelectField = ({
   multiple = false,
   ...rest
 }) => {
+  const { t } = i18n.useTranslation();
+
   // Determine select classes based on validation state
   const selectClasses = [
     'form-select',
@@ -85,7 +88,7 @@ const SelectField = ({
       {label && (
         <label htmlFor={id} className="form-label">
           {label}
-          {required && <span className="text-danger ms-1">*</span>}
+          {required && <span className="text-danger ms-1" title={t('form.required')}>*</span>}
         </label>
       )}
 
@@ -1,5 +1,6 @@
 import React from 'react';
 import './TextField.css';
+import { i18n } from '../../../../services';
 
 /**
  * TextField Component
@@ -38,6 +39,8 @@ const TextField = ({
   size,
   ...rest
 }) => {
+  const { t } = i18n.useTranslation();
+
   // Determine input classes based on validation state
   const inputClasses = [
     'form-control',
@@ -52,7 +55,7 @@ const TextField = ({
       {label && (
         <label htmlFor={id} className="form-label">
           {label}
-          {required && <span className="text-danger ms-1">*</span>}
+          {required && <span className="text-danger ms-1" title={t('form.required')}>*</span>}
         </label>
       )}
 
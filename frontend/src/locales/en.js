@@ -0,0 +1,887 @@
+/**
+ * English Messages
+ *
+ * The reference catalog: every key used in the app exists here, and other
+ * languages fall back to it for keys they don't translate. Plural messages
+ * are keyed by Intl plural category.
+ */
+
+const en = {
+  common: {
+    loading: 'Loading...',
+    error: 'Error:',
+    success: 'Success:',
+    close: 'Close',
+    cancel: 'Cancel',
+    yes: 'Yes',
+    no: 'No',
+    none: 'None',
+    rows: { one: '{count} row', other: '{count} rows' },
+    columns: { one: '{count} column', other: '{count} columns' }
+  },
+
+  roles: {
+    admin: 'Admin',
+    developer: 'Developer',
+    viewer: 'Viewer'
+  },
+
+  app: {
+    title: 'React Docker App',
+    tagline: 'Your React app is running successfully in Docker!',
+    signedInAs: 'Signed in as',
+    signOut: 'Sign out',
+    sessionExpired: 'Your session has expired. Please sign in again.'
+  },
+
+  nav: {
+    title: 'Dashboard',
+    subtitle: 'Development & App Tools',
+    empty: 'No menu items available',
+    categories: {
+      dev: 'Development Tools',
+      app: 'Application',
+      general: 'General'
+    }
+  },
+
+  modules: {
+    database: {
+      name: 'Database Manager',
+      description: 'Manage database tables and structure'
+    },
+    api: {
+      name: 'API Tester',
+      description: 'Test backend API endpoints'
+    },
+    audit: {
+      name: 'Audit Log',
+      description: 'Review who changed which table, when and how'
+    },
+    migrations: {
+      name: 'Migrations',
+      description: 'Apply or roll back migrations generated from schema changes'
+    },
+    trash: {
+      name: 'Trash',
+      description: 'Restore or purge dropped tables and columns'
+    },
+    settings: {
+      name: 'Settings',
+      description: 'Application settings and configuration'
+    },
+    config: {
+      name: 'Configuration',
+      description: 'Browse and edit all configuration keys'
+    },
+    users: {
+      name: 'User Management',
+      description: 'Create, rename and delete user accounts'
+    }
+  },
+
+  mainContent: {
+    notFoundTitle: 'Component Not Found',
+    notFoundMessage: 'The requested component "{component}" is not available.',
+    accessDeniedTitle: 'Access Denied',
+    accessDeniedMessage: 'Your role does not have access to {module}.',
+    loadingModule: 'Loading {module}...',
+    crashedTitle: '{module} stopped working',
+    crashedMessage: 'The rest of the dashboard is unaffected. Try again, or reload the page if the problem persists.',
+    tryAgain: 'Try again',
+    reloadPage: 'Reload page'
+  },
+
+  database: {
+    title: 'Database Table Manager',
+    tablesTab: 'Tables',
+    queryTab: 'Query Console',
+    createTable: 'Create New Table',
+    importData: 'Import Data',
+    cancelImport: 'Cancel Import',
+    refreshTables: 'Refresh Tables',
+    viewLabel: 'Tables view',
+    gridView: 'Grid',
+    diagramView: 'ER Diagram',
+    fetchFailed: 'Failed to fetch tables: {message}',
+    created: 'Table "{table}" created successfully!',
+    createFailed: 'Failed to create table: {message}',
+    confirmDelete: 'Move table "{table}" to the trash? You can restore it from the Trash screen until it expires.',
+    deleted: 'Table "{table}" moved to the trash.',
+    deleteFailed: 'Failed to delete table: {message}',
+    renamed: 'Table "{oldName}" renamed to "{newName}" successfully!',
+    viewTable: 'View table',
+    viewTrash: 'View trash'
+  },
+
+  tablesList: {
+    title: 'Existing Tables',
+    emptyTitle: 'No tables found',
+    emptyMessage: 'Create your first table to get started!',
+    count: { one: '{count} table', other: '{count} tables' },
+    countFound: { one: '{count} table found', other: '{count} tables found' }
+  },
+
+  tableCard: {
+    view: 'View',
+    viewTitle: 'View table data',
+    edit: 'Edit',
+    editTitle: 'Edit table structure',
+    delete: 'Delete',
+    deleteTitle: 'Delete table',
+    deleteDenied: 'Your role cannot delete tables',
+    deleting: 'Deleting...',
+    created: 'Created: {date}'
+  },
+
+  tableView: {
+    title: 'Table: {table}',
+    fetchFailed: 'Failed to fetch table data: {message}',
+    schemaFailed: 'Failed to fetch table schema: {message}',
+    rowInserted: 'Row inserted successfully!',
+    insertFailed: 'Failed to insert row: {message}',
+    rowUpdated: 'Row {id} updated successfully!',
+    updateFailed: 'Failed to update row: {message}',
+    confirmDeleteRow: 'Are you sure you want to delete the row where {column} = {id}? This action cannot be undone.',
+    rowDeleted: 'Row {id} deleted successfully!',
+    deleteFailed: 'Failed to delete row: {message}',
+    filterLabel: 'Filter {column}',
+    filterMin: 'min',
+    filterMax: 'max',
+    filterAny: 'Any',
+    filterContains: 'Contains...',
+    loadingData: 'Loading table data...',
+    noData: 'No data available',
+    emptyTitle: 'Table is empty',
+    emptyMessage: 'This table contains no data yet.',
+    showing: {
+      one: 'Showing {start}-{end} of {count} row',
+      other: 'Showing {start}-{end} of {count} rows'
+    },
+    showingMatching: {
+      one: 'Showing {start}-{end} of {count} matching row',
+      other: 'Showing {start}-{end} of {count} matching rows'
+    },
+    noMatchingRows: 'No matching rows',
+    pageOf: 'Page {page} of {pages}',
+    sortTitle: 'Click to sort',
+    editCellTitle: 'Double-click to edit',
+    deleteRowTitle: 'Delete row',
+    noRowsMatch: 'No rows match the current filters.',
+    pagination: 'Table pagination',
+    previous: 'Previous',
+    next: 'Next',
+    readOnlyHint: 'Your role can view rows but not change them.',
+    editHint: 'Double-click a cell to edit. Rows are identified by "{column}".',
+    noPrimaryKeyHint: 'Editing and deleting rows requires a single-column primary key.',
+    addRow: 'Add Row',
+    searchPlaceholder: 'Search all columns...',
+    searchLabel: 'Search all columns',
+    clearFilters: 'Clear Filters',
+    totalRows: { one: '{count} total row', other: '{count} total rows' },
+    matchingRows: { one: '{count} matching row', other: '{count} matching rows' }
+  },
+
+  tableEdit: {
+    title: 'Edit Table: {table}',
+    columnNameRequired: 'Column name is required',
+    columnAdded: 'Column "{column}" added successfully!',
+    addFailed: 'Failed to add column: {message}',
+    confirmDropColumn: 'Delete column "{column}"? Its values are kept in the trash, where you can restore it until it expires.',
+    columnDropped: 'Column "{column}" deleted and kept in the trash.',
+    dropFailed: 'Failed to delete column: {message}',
+    columnUpdated: 'Column "{column}" updated successfully!',
+    columnRenamed: 'Column "{column}" updated and renamed to "{newName}"!',
+    newTableNameRequired: 'New table name is required',
+    renameFailed: 'Failed to rename table: {message}',
+    loadingSchema: 'Loading table schema...',
+    noSchema: 'No schema information available',
+    tableInformation: 'Table Information',
+    renameTable: 'Rename Table',
+    tableName: 'Table Name:',
+    columnCount: 'Columns:',
+    rowCount: 'Rows:',
+    newTableName: 'New Table Name',
+    previewDdl: 'Preview DDL',
+    rename: 'Rename',
+    renameApplyTitle: 'Apply the previewed rename',
+    renamePreviewFirst: 'Preview the DDL first',
+    currentColumns: 'Current Columns',
+    columnHeaders: {
+      name: 'Name',
+      type: 'Type',
+      nullable: 'Nullable',
+      default: 'Default',
+      primaryKey: 'Primary Key',
+      actions: 'Actions'
+    },
+    editColumnTitle: 'Edit column',
+    dropColumnTitle: 'Delete column',
+    dropColumnDenied: 'Your role cannot delete columns',
+    addNewColumn: 'Add New Column',
+    columnName: 'Column Name',
+    columnNamePlaceholder: 'Enter column name',
+    dataType: 'Data Type',
+    defaultValue: 'Default Value (optional)',
+    defaultValuePlaceholder: 'Enter default value',
+    options: 'Options',
+    allowNull: 'Allow NULL values',
+    adding: 'Adding...',
+    addColumn: 'Add Column'
+  },
+
+  dataGrid: {
+    actions: 'Actions',
+    notNull: 'Not Null',
+    empty: 'No rows to display.'
+  },
+
+  notifications: {
+    title: 'Notifications',
+    open: 'Notifications ({count} unread)',
+    empty: 'No notifications yet.',
+    clear: 'Clear all',
+    dismiss: 'Dismiss',
+    severities: {
+      success: 'Success',
+      info: 'Info',
+      warning: 'Warning',
+      danger: 'Error'
+    }
+  },
+
+  maintenance: {
+    title: 'Down for maintenance',
+    defaultMessage: 'The application is down for maintenance. Please try again later.',
+    adminsOnly: 'Only administrators can use the application until maintenance is over. This page checks again every 30 seconds.',
+    checking: 'Checking...',
+    checkAgain: 'Check again',
+    bannerTitle: 'Maintenance mode is on.',
+    bannerText: 'Only admins can use the application; everyone else sees the maintenance message.',
+    turnOff: 'Turn off in Settings'
+  },
+
+  rateLimit: {
+    title: 'Rate limited.',
+    retrying: {
+      one: 'Too many requests; retrying in {count} second...',
+      other: 'Too many requests; retrying in {count} seconds...'
+    },
+    retryingMinutes: {
+      one: 'Too many requests; retrying in {count} minute...',
+      other: 'Too many requests; retrying in {count} minutes...'
+    }
+  },
+
+  apiTest: {
+    title: 'Backend API Test',
+    testing: 'Testing...',
+    test: 'Test {endpoint}',
+    clearResults: 'Clear Results',
+    callFailed: 'Failed to call {endpoint}: {message}',
+    status: 'Status: {status}',
+    calledAt: 'Called at: {time}',
+    helloResponse: 'Hello Endpoint Response',
+    statusResponse: 'Status Endpoint Response',
+    dbResponse: 'Database Test Response',
+    availableEndpoints: 'Available Endpoints',
+    helloDescription: 'Returns a hello message',
+    statusDescription: 'Returns backend status info',
+    dbDescription: 'Tests database connection',
+    rateLimit: 'Rate Limit',
+    rateLimitOff: 'The last response reported no quota, so rate limiting is off.',
+    rateLimitRemaining: '{remaining} of {limit} requests left',
+    rateLimitReset: 'Quota resets at {time}'
+  },
+
+  auditLog: {
+    title: 'Audit Log',
+    subtitle: 'Every change made to tables through the Database Manager or the table API, newest first. Click an entry to see its request payload and the SQL it ran.',
+    loadFailed: 'Failed to load the audit log: {message}',
+    actorFilter: 'Filter by user...',
+    tableFilter: 'Filter by table...',
+    actionFilter: 'Filter by action',
+    allActions: 'All actions',
+    refresh: 'Refresh',
+    time: 'Time',
+    actor: 'User',
+    action: 'Action',
+    table: 'Table',
+    target: 'Target',
+    unknownActor: 'Unknown',
+    empty: 'No changes have been recorded yet.',
+    noMatches: 'No entries match the filters.',
+    payload: 'Payload',
+    sql: 'SQL',
+    noSql: 'This change reported no SQL.',
+    showing: {
+      one: 'Showing {start}-{end} of {count} entry',
+      other: 'Showing {start}-{end} of {count} entries'
+    },
+    pageOf: 'Page {page} of {pages}',
+    pagination: 'Audit log pagination',
+    previous: 'Previous',
+    next: 'Next',
+    actions: {
+      create_table: 'Create table',
+      rename_table: 'Rename table',
+      drop_table: 'Drop table',
+      truncate_table: 'Truncate table',
+      import_rows: 'Import rows',
+      add_column: 'Add column',
+      alter_column: 'Alter column',
+      drop_column: 'Drop column',
+      create_index: 'Create index',
+      drop_index: 'Drop index',
+      add_constraint: 'Add constraint',
+      drop_constraint: 'Drop constraint',
+      restore_table: 'Restore table',
+      restore_column: 'Restore column',
+      purge_table: 'Purge table',
+      purge_column: 'Purge column',
+      insert_row: 'Insert row',
+      update_row: 'Update row',
+      delete_row: 'Delete row'
+    }
+  },
+
+  migrations: {
+    title: 'Migrations',
+    subtitle: 'Every schema change made in the Database Manager is saved as a numbered migration in db/migrations, with SQL to apply it (up) and to undo it (down). Commit them so db/run-migrations.sh can replay them on other databases. Click a migration to see its SQL.',
+    loadFailed: 'Failed to load migrations: {message}',
+    notWritableTitle: 'Migrations are not being saved.',
+    notWritable: 'The backend cannot write to {path}, so schema changes are applied without generating migrations.',
+    summary: '{applied} applied, {pending} pending',
+    refresh: 'Refresh',
+    version: 'Version',
+    name: 'Name',
+    status: 'Status',
+    appliedAt: 'Applied',
+    actions: 'Actions',
+    appliedByScript: 'by run-migrations.sh',
+    empty: 'No migrations yet. Schema changes made in the Database Manager will show up here.',
+    upSql: 'Up',
+    downSql: 'Down',
+    apply: 'Apply',
+    rollback: 'Roll back',
+    irreversible: 'This change cannot be undone automatically.',
+    confirmApply: 'Apply migration {version} ({name}) to the database?',
+    confirmRollback: 'Roll back migration {version} ({name})? Data removed by undoing it cannot be recovered.',
+    applied: 'Migration {version} applied.',
+    applyFailed: 'Failed to apply migration {version}: {message}',
+    rolledBack: 'Migration {version} rolled back.',
+    rollbackFailed: 'Failed to roll back migration {version}: {message}',
+    statuses: {
+      applied: 'Applied',
+      pending: 'Pending'
+    }
+  },
+
+  trash: {
+    title: 'Trash',
+    subtitle: {
+      one: 'Tables and columns dropped in the Database Manager are kept here for {count} day before being purged for good. Restore them in one click, or purge them right away.',
+      other: 'Tables and columns dropped in the Database Manager are kept here for {count} days before being purged for good. Restore them in one click, or purge them right away.'
+    },
+    loadFailed: 'Failed to load the trash: {message}',
+    summary: {
+      one: '{count} item, {size}',
+      other: '{count} items, {size}'
+    },
+    refresh: 'Refresh',
+    item: 'Item',
+    size: 'Size',
+    droppedAt: 'Dropped',
+    expiresAt: 'Purged on',
+    actions: 'Actions',
+    empty: 'The trash is empty.',
+    noData: 'Definition only',
+    noDataHint: 'The table has no single-column primary key, so the values could not be kept; restoring adds the column back empty.',
+    foreignKeys: {
+      one: 'Restoring also adds back {count} foreign key from other tables',
+      other: 'Restoring also adds back {count} foreign keys from other tables'
+    },
+    restore: 'Restore',
+    purge: 'Purge',
+    confirmPurge: 'Purge "{name}" for good? This action cannot be undone.',
+    restored: '"{name}" restored.',
+    restoreFailed: 'Failed to restore "{name}": {message}',
+    purged: '"{name}" purged.',
+    purgeFailed: 'Failed to purge "{name}": {message}',
+    kinds: {
+      table: 'Table',
+      column: 'Column'
+    }
+  },
+
+  settings: {
+    title: 'Application Settings',
+    subtitle: 'Configure application preferences and system settings',
+    saved: 'Settings saved successfully!',
+    saveFailed: 'Failed to save settings: {message}',
+    confirmReset: 'Are you sure you want to reset all settings to defaults? This action cannot be undone.',
+    resetDone: 'Settings reset to defaults. Save to apply them for everyone.',
+    loadFailed: 'Failed to load settings: {message}',
+    save: 'Save Settings',
+    saving: 'Saving...',
+    reset: 'Reset to Defaults',
+    readOnly: 'Your role can view these settings but not change them.',
+    applicationCard: 'Application Settings',
+    interfaceCard: 'User Interface',
+    appName: 'Application Name',
+    appNameHelp: 'The display name for your application',
+    appVersion: 'Application Version',
+    appVersionHelp: 'Current version of the application',
+    maintenanceMode: 'Maintenance Mode',
+    maintenanceModeHelp: 'Only admins can use the application while it is in maintenance mode',
+    maintenanceMessage: 'Maintenance Message',
+    maintenanceMessageHelp: 'Shown to everyone who is locked out during maintenance',
+    debugMode: 'Debug Mode',
+    debugModeHelp: 'Enable debug logging and error details',
+    theme: 'Theme',
+    themeHelp: "Color theme for the dashboard; System follows each device's light/dark preference",
+    selectTheme: 'Select Theme',
+    themes: {
+      light: 'Light',
+      dark: 'Dark',
+      system: 'System (follow device)'
+    },
+    language: 'Language',
+    languageHelp: 'Language of the dashboard, including date and number formats',
+    selectLanguage: 'Select Language',
+    showNotifications: 'Show Notifications',
+    showNotificationsHelp: 'Pop up a notification when an action completes; errors always pop up, and every notification stays in the bell history',
+    apiCard: 'API',
+    rateLimitEnabled: 'Rate Limiting',
+    rateLimitEnabledHelp: 'Refuse API requests from users (or IP addresses, before sign-in) that go over their quota; admins are never limited',
+    rateLimitRequests: 'Requests per Window',
+    rateLimitRequestsHelp: 'Requests each user or IP address may make per rate limit window (one hour unless API_RATE_LIMIT_WINDOW is set)',
+    databaseCard: 'Database',
+    trashRetentionDays: 'Trash Retention (days)',
+    trashRetentionDaysHelp: 'How long dropped tables and columns stay in the trash before being purged for good'
+  },
+
+  form: {
+    required: 'Required'
+  },
+
+  login: {
+    title: 'Sign in',
+    subtitle: 'Sign in to manage the database and application settings.',
+    username: 'Username',
+    password: 'Password',
+    submit: 'Sign in',
+    invalidCredentials: 'Invalid username or password'
+  },
+
+  config: {
+    title: 'Configuration',
+    subtitle: 'All keys stored in the config table. Core keys can be edited but not deleted.',
+    loadFailed: 'Failed to load configuration: {message}',
+    updated: 'Config "{name}" updated successfully!',
+    updateFailed: 'Failed to update config: {message}',
+    created: 'Config "{name}" created successfully!',
+    createFailed: 'Failed to create config: {message}',
+    confirmDelete: 'Are you sure you want to delete config "{name}"?',
+    deleted: 'Config "{name}" deleted successfully!',
+    deleteFailed: 'Failed to delete config: {message}',
+    readFailed: 'Failed to read {file}: {message}',
+    imported: { one: 'Imported {count} key', other: 'Imported {count} keys' },
+    importCreated: 'created {count}',
+    importDeleted: 'deleted {count}',
+    importFailed: 'Failed to import configuration: {message}',
+    notInteger: 'Value must be an integer',
+    fileNotObject: 'Expected an object of config values',
+    fileMissingName: 'Every entry needs a name',
+    fileInvalidValue: 'Config "{name}" must be a boolean, number or string',
+    searchPlaceholder: 'Search keys or values...',
+    searchLabel: 'Search configuration',
+    addKey: 'Add Key',
+    importJson: 'Import JSON',
+    exportJson: 'Export JSON',
+    refresh: 'Refresh',
+    key: 'Key',
+    keyPlaceholder: 'e.g. support_email',
+    type: 'Type',
+    value: 'Value',
+    create: 'Create',
+    importTitle: 'Import',
+    importSummary: {
+      one: '{count} key: {created} new, {existing} existing.',
+      other: '{count} keys: {created} new, {existing} existing.'
+    },
+    importReplace: 'Replace the whole configuration (delete non-core keys missing from the file)',
+    importWillDelete: 'Will delete: {names}',
+    applyImport: 'Apply Import',
+    createdAt: 'Created',
+    modifiedAt: 'Modified',
+    actions: 'Actions',
+    loading: 'Loading configuration...',
+    noMatches: 'No keys match your search',
+    empty: 'No configuration keys',
+    core: 'core',
+    save: 'Save',
+    editValue: 'Edit value',
+    deleteKey: 'Delete key',
+    coreNotDeletable: 'Core keys cannot be deleted',
+    types: {
+      string: 'String',
+      int: 'Integer',
+      bool: 'Boolean'
+    }
+  },
+
+  users: {
+    title: 'User Management',
+    subtitle: 'Accounts stored in the user table. Usernames must be unique, and users without a password cannot sign in. Roles decide which screens and actions each user gets; at least one admin must remain.',
+    loadFailed: 'Failed to load users: {message}',
+    usernameTaken: 'Username "{username}" is already taken',
+    created: 'User "{username}" created successfully!',
+    renamed: 'User renamed to "{username}" successfully!',
+    passwordUpdated: 'Password for "{username}" updated successfully!',
+    roleChanged: '"{username}" is now a {role}.',
+    roleFailed: 'Failed to change role: {message}',
+    confirmDelete: 'Are you sure you want to delete user "{username}"?',
+    deleted: 'User "{username}" deleted successfully!',
+    deleteFailed: 'Failed to delete user: {message}',
+    searchPlaceholder: 'Search usernames...',
+    searchLabel: 'Search users',
+    addUser: 'Add User',
+    refresh: 'Refresh',
+    username: 'Username',
+    usernamePlaceholder: 'e.g. jane.doe',
+    password: 'Password',
+    passwordPlaceholder: 'Leave empty to set later',
+    role: 'Role',
+    create: 'Create',
+    loading: 'Loading users...',
+    noMatches: 'No users match your search',
+    empty: 'No users',
+    newUsernameFor: 'New username for {username}',
+    noPassword: 'no password',
+    noPasswordHint: 'Set a password so this user can sign in',
+    newPassword: 'New password',
+    newPasswordFor: 'New password for {username}',
+    savePassword: 'Save password',
+    roleFor: 'Role for {username}',
+    save: 'Save',
+    rename: 'Rename user',
+    setPassword: 'Set password',
+    delete: 'Delete user',
+    showing: {
+      one: 'Showing {start}-{end} of {count} user',
+      other: 'Showing {start}-{end} of {count} users'
+    },
+    pageOf: 'Page {page} of {pages}',
+    pagination: 'User pagination',
+    previous: 'Previous',
+    next: 'Next',
+    columns: {
+      id: 'ID',
+      username: 'Username',
+      role: 'Role',
+      timecreated: 'Created',
+      timemodified: 'Modified',
+      actions: 'Actions'
+    },
+    roleDescriptions: {
+      admin: 'Everything, including dropping tables and managing users',
+      developer: 'Database tools without destructive actions, read-only SQL',
+      viewer: 'Application screens, read-only'
+    }
+  },
+
+  tableCreate: {
+    title: 'Create New Table',
+    tableName: 'Table Name',
+    tableNamePlaceholder: 'Enter table name',
+    columns: 'Columns',
+    columnName: 'Column Name',
+    columnNamePlaceholder: 'Column name',
+    dataType: 'Data Type',
+    options: 'Options',
+    primaryKey: 'Primary Key',
+    notNull: 'Not Null',
+    remove: 'Remove',
+    removeColumn: 'Remove column',
+    addColumn: 'Add Column',
+    constraints: 'Constraints',
+    removeConstraint: 'Remove constraint',
+    addToTable: 'Add to Table',
+    addConstraint: 'Add Constraint',
+    creating: 'Creating...',
+    submit: 'Create Table'
+  },
+
+  constraintEditor: {
+    type: 'Constraint Type',
+    name: 'Constraint Name (optional)',
+    namePlaceholder: 'Generated by PostgreSQL',
+    expression: 'Check Expression',
+    expressionPlaceholder: 'e.g. price >= 0',
+    referencesTable: 'References Table',
+    selectTable: 'Select a table...',
+    thisTable: '{table} (this table)',
+    columns: 'Columns',
+    noColumns: 'Define columns first.',
+    referencedColumns: 'Referenced Columns',
+    referencedColumnFor: 'Referenced column for {column}',
+    selectColumn: 'Select a column...',
+    onDelete: 'On Delete',
+    onUpdate: 'On Update',
+    types: {
+      foreign_key: 'Foreign key',
+      unique: 'Unique',
+      check: 'Check'
+    }
+  },
+
+  constraints: {
+    title: 'Constraints',
+    fetchFailed: 'Failed to fetch constraints: {message}',
+    added: 'Constraint added successfully!',
+    addedNamed: 'Constraint "{name}" added successfully!',
+    previewFailed: 'Failed to preview constraint: {message}',
+    addFailed: 'Failed to add constraint: {message}',
+    confirmDrop: 'Are you sure you want to drop constraint "{name}"?',
+    dropped: 'Constraint "{name}" dropped successfully!',
+    dropFailed: 'Failed to drop constraint: {message}',
+    add: 'Add Constraint',
+    name: 'Name',
+    type: 'Type',
+    definition: 'Definition',
+    actions: 'Actions',
+    loading: 'Loading constraints...',
+    empty: 'No constraints on this table',
+    drop: 'Drop constraint',
+    referencedBy: 'Referenced by:',
+    constraintTitle: 'Constraint "{name}"',
+    generating: 'Generating...',
+    previewDdl: 'Preview DDL',
+    addPreviewedTitle: 'Add the previewed constraint',
+    previewFirst: 'Preview the DDL first',
+    adding: 'Adding...'
+  },
+
+  ddlPreview: {
+    title: 'Generated DDL'
+  },
+
+  exportMenu: {
+    title: 'Export table data',
+    export: 'Export',
+    exporting: 'Exporting...',
+    exported: 'Exported "{table}" as {file}',
+    failed: 'Failed to export table: {message}',
+    currentFilter: 'Current filter',
+    currentSort: 'Current sort order',
+    wholeTable: 'Whole table'
+  },
+
+  indexes: {
+    title: 'Indexes',
+    fetchFailed: 'Failed to fetch indexes: {message}',
+    created: 'Index "{name}" created successfully!',
+    previewFailed: 'Failed to preview index: {message}',
+    createFailed: 'Failed to create index: {message}',
+    confirmDrop: 'Are you sure you want to drop index "{name}"?',
+    dropped: 'Index "{name}" dropped successfully!',
+    dropFailed: 'Failed to drop index: {message}',
+    add: 'Add Index',
+    name: 'Name',
+    columns: 'Columns',
+    method: 'Method',
+    properties: 'Properties',
+    size: 'Size',
+    actions: 'Actions',
+    loading: 'Loading indexes...',
+    empty: 'No indexes on this table',
+    expression: 'expression',
+    primary: 'Primary',
+    unique: 'Unique',
+    partial: 'Partial',
+    backsConstraint: 'Backs constraint "{name}"',
+    drop: 'Drop index',
+    columnsInOrder: 'Columns (in index order)',
+    indexName: 'Index Name (optional)',
+    predicate: 'WHERE Predicate (optional, partial index)',
+    predicatePlaceholder: 'e.g. deleted_at IS NULL',
+    generating: 'Generating...',
+    previewDdl: 'Preview DDL',
+    createPreviewedTitle: 'Create the previewed index',
+    previewFirst: 'Preview the DDL first',
+    creating: 'Creating...',
+    create: 'Create Index',
+    methods: {
+      btree: 'B-tree (default)',
+      gin: 'GIN (arrays, JSONB, full text)',
+      hash: 'Hash (equality only, single column)'
+    }
+  },
+
+  rowInsert: {
+    title: 'Add Row',
+    autoGenerated: 'Auto-generated',
+    default: 'Default: {value}',
+    select: 'Select...',
+    saving: 'Saving...',
+    submit: 'Insert Row'
+  },
+
+  columnTypes: {
+    notNumber: '"{column}" must be a number',
+    notBoolean: '"{column}" must be true or false',
+    notJson: '"{column}" must be valid JSON'
+  },
+
+  queryConsole: {
+    title: 'SQL Query Console',
+    allowWrites: 'Allow writes',
+    readOnly: 'Read-only',
+    readOnlyBadge: 'read-only',
+    writeModeTitle: 'Write mode:',
+    writeModeText: 'statements are committed and can modify or delete data.',
+    readOnlyMode: 'Read-only mode: statements run in a read-only transaction that is never committed.',
+    editorLabel: 'SQL statement',
+    runHint: 'Press Ctrl+Enter to run',
+    clear: 'Clear',
+    running: 'Running...',
+    run: 'Run Query',
+    rowsAffected: { one: '{command}: {count} row affected', other: '{command}: {count} rows affected' },
+    rowsReturned: { one: '{command}: {count} row returned', other: '{command}: {count} rows returned' },
+    duration: '{duration} ms (timeout {timeout} ms)',
+    truncated: {
+      one: 'Showing the first {count} row. Add a LIMIT clause to narrow the result.',
+      other: 'Showing the first {count} rows. Add a LIMIT clause to narrow the result.'
+    },
+    noRows: 'The query returned no rows.',
+    history: 'History',
+    historyEmpty: 'Queries you run this session appear here.',
+    loadEntry: 'Load into editor',
+    historyFailed: 'Failed',
+    historyEntry: {
+      one: '{command} · {count} row · {duration} ms',
+      other: '{command} · {count} rows · {duration} ms'
+    },
+    historyWrite: 'write'
+  },
+
+  columnEdit: {
+    title: 'Edit Column',
+    currently: 'currently {type}',
+    noChanges: 'No changes to apply',
+    columnName: 'Column Name',
+    dataType: 'Data Type',
+    keepType: 'Keep current type',
+    using: 'USING Expression (optional)',
+    usingPlaceholder: 'e.g. {expression}',
+    usingHelp: 'Converts existing values when PostgreSQL cannot cast them automatically.',
+    default: 'Default',
+    defaultValue: 'Default Value',
+    defaultExpression: 'Default Expression',
+    defaultValuePlaceholder: 'Enter default value',
+    defaultExpressionPlaceholder: 'e.g. now()',
+    notNull: 'Not Null',
+    primaryKeyNotNull: '(required for primary keys)',
+    generating: 'Generating...',
+    previewDdl: 'Preview DDL',
+    applyPreviewedTitle: 'Apply the previewed changes',
+    previewFirst: 'Preview the DDL first',
+    applying: 'Applying...',
+    apply: 'Apply Changes',
+    defaultModes: {
+      keep: 'Keep current default',
+      value: 'Set literal value',
+      expression: 'Set SQL expression',
+      drop: 'Remove default'
+    }
+  },
+
+  schemaDiagram: {
+    loadFailed: 'Failed to load database schema: {message}',
+    exportFailed: 'Failed to export diagram: {message}',
+    tooLarge: 'The diagram is too large to export as PNG',
+    renderFailed: 'Failed to render the diagram',
+    editTable: 'Edit {table}',
+    noColumns: 'No columns',
+    zoom: 'Zoom',
+    zoomOut: 'Zoom out',
+    zoomIn: 'Zoom in',
+    fit: 'Fit',
+    autoLayout: 'Auto Layout',
+    reload: 'Reload',
+    empty: 'No tables to display',
+    hint: 'Drag the background to pan, scroll to zoom and drag tables to move them.',
+    clickHint: 'Click a table to view its data.',
+    clickHintEdit: 'Click a table to view its data or ✏️ to edit its structure.'
+  },
+
+  tableImport: {
+    title: 'Import Data',
+    file: 'File',
+    fileHelp: 'CSV with a header row, a JSON array of objects, or NDJSON (one object per line).',
+    readFailed: 'Could not read {file}: {message}',
+    schemaFailed: 'Failed to fetch table schema: {message}',
+    validateFailed: 'Validation failed: {message}',
+    importFailed: 'Import failed: {message}',
+    imported: { one: 'Imported {count} row into "{table}"', other: 'Imported {count} rows into "{table}"' },
+    importInto: 'Import Into',
+    newTable: 'New table',
+    existingTable: 'Existing table',
+    newTableName: 'New table name',
+    tableNamePlaceholder: 'Enter table name',
+    selectTable: 'Select a table...',
+    columns: 'Columns',
+    addId: 'Add an "id SERIAL" primary key',
+    includeColumn: 'Include column',
+    columnName: 'Column name for {column}',
+    dataType: 'Data type for {column}',
+    notNull: 'Not Null',
+    mapping: 'Column Mapping',
+    targetColumn: 'Target column for {column}',
+    skipColumn: 'Skip this column',
+    skipped: 'skipped',
+    preview: 'Preview',
+    previewInfo: {
+      one: 'first {shown} of {count} row from {file} ({format})',
+      other: 'first {shown} of {count} rows from {file} ({format})'
+    },
+    fieldWarnings: {
+      one: '{count} row has an unexpected number of fields, e.g. row {row}: {message}.',
+      other: '{count} rows have an unexpected number of fields, e.g. row {row}: {message}.'
+    },
+    canImport: {
+      one: '{valid} of {count} row can be imported.',
+      other: '{valid} of {count} rows can be imported.'
+    },
+    failedRows: {
+      one: '{count} row failed. Fix the file or the column settings and validate again.',
+      other: '{count} rows failed. Fix the file or the column settings and validate again.'
+    },
+    row: 'Row',
+    error: 'Error',
+    values: 'Values',
+    moreErrors: '...and {count} more',
+    validate: 'Validate',
+    validating: 'Validating...',
+    import: 'Import',
+    importing: 'Importing...',
+    importAll: 'Import all rows',
+    validateFirst: 'Validate the file without errors first'
+  },
+
+  importParser: {
+    unterminatedQuote: 'CSV contains an unterminated quoted field',
+    empty: 'The file is empty',
+    unnamedColumn: 'Every column in the header row needs a name',
+    duplicateColumns: 'Duplicate column name(s) in header: {columns}',
+    fieldCount: 'Expected {expected} fields but found {found}',
+    invalidJsonLine: 'Invalid JSON on line {line}: {message}',
+    invalidJson: 'Invalid JSON: {message}',
+    notArray: 'JSON imports must contain an array of objects',
+    notObject: 'Row {row} is not an object',
+    noRows: 'The file contains no data rows'
+  }
+};
+
+export default en;
@@ -0,0 +1,883 @@
+/**
+ * Spanish Messages
+ */
+
+const es = {
+  common: {
+    loading: 'Cargando...',
+    error: 'Error:',
+    success: 'Éxito:',
+    close: 'Cerrar',
+    cancel: 'Cancelar',
+    yes: 'Sí',
+    no: 'No',
+    none: 'Ninguno',
+    rows: { one: '{count} fila', other: '{count} filas' },
+    columns: { one: '{count} columna', other: '{count} columnas' }
+  },
+
+  roles: {
+    admin: 'Administrador',
+    developer: 'Desarrollador',
+    viewer: 'Lector'
+  },
+
+  app: {
+    title: 'React Docker App',
+    tagline: '¡Tu aplicación React se está ejecutando correctamente en Docker!',
+    signedInAs: 'Sesión iniciada como',
+    signOut: 'Cerrar sesión',
+    sessionExpired: 'Tu sesión ha caducado. Vuelve a iniciar sesión.'
+  },
+
+  nav: {
+    title: 'Panel',
+    subtitle: 'Herramientas de desarrollo y de la aplicación',
+    empty: 'No hay elementos de menú disponibles',
+    categories: {
+      dev: 'Herramientas de desarrollo',
+      app: 'Aplicación',
+      general: 'General'
+    }
+  },
+
+  modules: {
+    database: {
+      name: 'Gestor de base de datos',
+      description: 'Gestiona las tablas de la base de datos y su estructura'
+    },
+    api: {
+      name: 'Probador de API',
+      description: 'Prueba los endpoints de la API del backend'
+    },
+    audit: {
+      name: 'Registro de auditoría',
+      description: 'Revisa quién cambió cada tabla, cuándo y cómo'
+    },
+    migrations: {
+      name: 'Migraciones',
+      description: 'Aplica o revierte las migraciones generadas a partir de cambios de esquema'
+    },
+    trash: {
+      name: 'Papelera',
+      description: 'Restaura o purga las tablas y columnas eliminadas'
+    },
+    settings: {
+      name: 'Ajustes',
+      description: 'Ajustes y configuración de la aplicación'
+    },
+    config: {
+      name: 'Configuración',
+      description: 'Consulta y edita todas las claves de configuración'
+    },
+    users: {
+      name: 'Gestión de usuarios',
+      description: 'Crea, renombra y elimina cuentas de usuario'
+    }
+  },
+
+  mainContent: {
+    notFoundTitle: 'Componente no encontrado',
+    notFoundMessage: 'El componente solicitado "{component}" no está disponible.',
+    accessDeniedTitle: 'Acceso denegado',
+    accessDeniedMessage: 'Tu rol no tiene acceso a {module}.',
+    loadingModule: 'Cargando {module}...',
+    crashedTitle: '{module} ha dejado de funcionar',
+    crashedMessage: 'El resto del panel no se ha visto afectado. Vuelve a intentarlo o recarga la página si el problema continúa.',
+    tryAgain: 'Reintentar',
+    reloadPage: 'Recargar página'
+  },
+
+  database: {
+    title: 'Gestor de tablas de la base de datos',
+    tablesTab: 'Tablas',
+    queryTab: 'Consola de consultas',
+    createTable: 'Crear tabla nueva',
+    importData: 'Importar datos',
+    cancelImport: 'Cancelar importación',
+    refreshTables: 'Actualizar tablas',
+    viewLabel: 'Vista de tablas',
+    gridView: 'Cuadrícula',
+    diagramView: 'Diagrama ER',
+    fetchFailed: 'No se pudieron obtener las tablas: {message}',
+    created: '¡Tabla "{table}" creada correctamente!',
+    createFailed: 'No se pudo crear la tabla: {message}',
+    confirmDelete: '¿Mover la tabla "{table}" a la papelera? Podrás restaurarla desde la pantalla Papelera hasta que caduque.',
+    deleted: 'Tabla "{table}" movida a la papelera.',
+    deleteFailed: 'No se pudo eliminar la tabla: {message}',
+    renamed: '¡Tabla "{oldName}" renombrada a "{newName}" correctamente!',
+    viewTable: 'Ver tabla',
+    viewTrash: 'Ver papelera'
+  },
+
+  tablesList: {
+    title: 'Tablas existentes',
+    emptyTitle: 'No se encontraron tablas',
+    emptyMessage: '¡Crea tu primera tabla para empezar!',
+    count: { one: '{count} tabla', other: '{count} tablas' },
+    countFound: { one: '{count} tabla encontrada', other: '{count} tablas encontradas' }
+  },
+
+  tableCard: {
+    view: 'Ver',
+    viewTitle: 'Ver los datos de la tabla',
+    edit: 'Editar',
+    editTitle: 'Editar la estructura de la tabla',
+    delete: 'Eliminar',
+    deleteTitle: 'Eliminar tabla',
+    deleteDenied: 'Tu rol no puede eliminar tablas',
+    deleting: 'Eliminando...',
+    created: 'Creada: {date}'
+  },
+
+  tableView: {
+    title: 'Tabla: {table}',
+    fetchFailed: 'No se pudieron obtener los datos de la tabla: {message}',
+    schemaFailed: 'No se pudo obtener el esquema de la tabla: {message}',
+    rowInserted: '¡Fila insertada correctamente!',
+    insertFailed: 'No se pudo insertar la fila: {message}',
+    rowUpdated: '¡Fila {id} actualizada correctamente!',
+    updateFailed: 'No se pudo actualizar la fila: {message}',
+    confirmDeleteRow: '¿Seguro que quieres eliminar la fila donde {column} = {id}? Esta acción no se puede deshacer.',
+    rowDeleted: '¡Fila {id} eliminada correctamente!',
+    deleteFailed: 'No se pudo eliminar la fila: {message}',
+    filterLabel: 'Filtrar {column}',
+    filterMin: 'mín.',
+    filterMax: 'máx.',
+    filterAny: 'Cualquiera',
+    filterContains: 'Contiene...',
+    loadingData: 'Cargando datos de la tabla...',
+    noData: 'No hay datos disponibles',
+    emptyTitle: 'La tabla está vacía',
+    emptyMessage: 'Esta tabla todavía no contiene datos.',
+    showing: {
+      one: 'Mostrando {start}-{end} de {count} fila',
+      other: 'Mostrando {start}-{end} de {count} filas'
+    },
+    showingMatching: {
+      one: 'Mostrando {start}-{end} de {count} fila coincidente',
+      other: 'Mostrando {start}-{end} de {count} filas coincidentes'
+    },
+    noMatchingRows: 'No hay filas coincidentes',
+    pageOf: 'Página {page} de {pages}',
+    sortTitle: 'Haz clic para ordenar',
+    editCellTitle: 'Haz doble clic para editar',
+    deleteRowTitle: 'Eliminar fila',
+    noRowsMatch: 'Ninguna fila coincide con los filtros actuales.',
+    pagination: 'Paginación de la tabla',
+    previous: 'Anterior',
+    next: 'Siguiente',
+    readOnlyHint: 'Tu rol puede ver las filas pero no modificarlas.',
+    editHint: 'Haz doble clic en una celda para editarla. Las filas se identifican por "{column}".',
+    noPrimaryKeyHint: 'Para editar y eliminar filas se necesita una clave primaria de una sola columna.',
+    addRow: 'Añadir fila',
+    searchPlaceholder: 'Buscar en todas las columnas...',
+    searchLabel: 'Buscar en todas las columnas',
+    clearFilters: 'Borrar filtros',
+    totalRows: { one: '{count} fila en total', other: '{count} filas en total' },
+    matchingRows: { one: '{count} fila coincidente', other: '{count} filas coincidentes' }
+  },
+
+  tableEdit: {
+    title: 'Editar tabla: {table}',
+    columnNameRequired: 'El nombre de la columna es obligatorio',
+    columnAdded: '¡Columna "{column}" añadida correctamente!',
+    addFailed: 'No se pudo añadir la columna: {message}',
+    confirmDropColumn: '¿Eliminar la columna "{column}"? Sus valores se guardan en la papelera, desde donde podrás restaurarla hasta que caduque.',
+    columnDropped: 'Columna "{column}" eliminada y guardada en la papelera.',
+    dropFailed: 'No se pudo eliminar la columna: {message}',
+    columnUpdated: '¡Columna "{column}" actualizada correctamente!',
+    columnRenamed: '¡Columna "{column}" actualizada y renombrada a "{newName}"!',
+    newTableNameRequired: 'El nuevo nombre de la tabla es obligatorio',
+    renameFailed: 'No se pudo renombrar la tabla: {message}',
+    loadingSchema: 'Cargando el esquema de la tabla...',
+    noSchema: 'No hay información de esquema disponible',
+    tableInformation: 'Información de la tabla',
+    renameTable: 'Renombrar tabla',
+    tableName: 'Nombre de la tabla:',
+    columnCount: 'Columnas:',
+    rowCount: 'Filas:',
+    newTableName: 'Nuevo nombre de la tabla',
+    previewDdl: 'Vista previa del DDL',
+    rename: 'Renombrar',
+    renameApplyTitle: 'Aplicar el cambio de nombre previsualizado',
+    renamePreviewFirst: 'Previsualiza primero el DDL',
+    currentColumns: 'Columnas actuales',
+    columnHeaders: {
+      name: 'Nombre',
+      type: 'Tipo',
+      nullable: 'Admite NULL',
+      default: 'Predeterminado',
+      primaryKey: 'Clave primaria',
+      actions: 'Acciones'
+    },
+    editColumnTitle: 'Editar columna',
+    dropColumnTitle: 'Eliminar columna',
+    dropColumnDenied: 'Tu rol no puede eliminar columnas',
+    addNewColumn: 'Añadir columna nueva',
+    columnName: 'Nombre de la columna',
+    columnNamePlaceholder: 'Introduce el nombre de la columna',
+    dataType: 'Tipo de datos',
+    defaultValue: 'Valor predeterminado (opcional)',
+    defaultValuePlaceholder: 'Introduce el valor predeterminado',
+    options: 'Opciones',
+    allowNull: 'Permitir valores NULL',
+    adding: 'Añadiendo...',
+    addColumn: 'Añadir columna'
+  },
+
+  dataGrid: {
+    actions: 'Acciones',
+    notNull: 'No nulo',
+    empty: 'No hay filas que mostrar.'
+  },
+
+  notifications: {
+    title: 'Notificaciones',
+    open: 'Notificaciones ({count} sin leer)',
+    empty: 'Todavía no hay notificaciones.',
+    clear: 'Borrar todo',
+    dismiss: 'Descartar',
+    severities: {
+      success: 'Éxito',
+      info: 'Información',
+      warning: 'Aviso',
+      danger: 'Error'
+    }
+  },
+
+  maintenance: {
+    title: 'En mantenimiento',
+    defaultMessage: 'La aplicación está en mantenimiento. Vuelve a intentarlo más tarde.',
+    adminsOnly: 'Solo los administradores pueden usar la aplicación hasta que termine el mantenimiento. Esta página vuelve a comprobarlo cada 30 segundos.',
+    checking: 'Comprobando...',
+    checkAgain: 'Comprobar de nuevo',
+    bannerTitle: 'El modo de mantenimiento está activado.',
+    bannerText: 'Solo los administradores pueden usar la aplicación; el resto ve el mensaje de mantenimiento.',
+    turnOff: 'Desactivar en Ajustes'
+  },
+
+  rateLimit: {
+    title: 'Límite de peticiones alcanzado.',
+    retrying: {
+      one: 'Demasiadas peticiones; se reintentará en {count} segundo...',
+      other: 'Demasiadas peticiones; se reintentará en {count} segundos...'
+    },
+    retryingMinutes: {
+      one: 'Demasiadas peticiones; se reintentará en {count} minuto...',
+      other: 'Demasiadas peticiones; se reintentará en {count} minutos...'
+    }
+  },
+
+  apiTest: {
+    title: 'Prueba de la API del backend',
+    testing: 'Probando...',
+    test: 'Probar {endpoint}',
+    clearResults: 'Borrar resultados',
+    callFailed: 'No se pudo llamar a {endpoint}: {message}',
+    status: 'Estado: {status}',
+    calledAt: 'Llamado a las: {time}',
+    helloResponse: 'Respuesta del endpoint hello',
+    statusResponse: 'Respuesta del endpoint status',
+    dbResponse: 'Respuesta de la prueba de base de datos',
+    availableEndpoints: 'Endpoints disponibles',
+    helloDescription: 'Devuelve un mensaje de saludo',
+    statusDescription: 'Devuelve información del estado del backend',
+    dbDescription: 'Prueba la conexión con la base de datos',
+    rateLimit: 'Límite de peticiones',
+    rateLimitOff: 'La última respuesta no indicó ninguna cuota, así que el límite de peticiones está desactivado.',
+    rateLimitRemaining: 'Quedan {remaining} de {limit} peticiones',
+    rateLimitReset: 'La cuota se renueva a las {time}'
+  },
+
+  auditLog: {
+    title: 'Registro de auditoría',
+    subtitle: 'Todos los cambios hechos en las tablas desde el gestor de base de datos o la API de tablas, del más reciente al más antiguo. Haz clic en una entrada para ver los datos de la petición y el SQL que ejecutó.',
+    loadFailed: 'No se pudo cargar el registro de auditoría: {message}',
+    actorFilter: 'Filtrar por usuario...',
+    tableFilter: 'Filtrar por tabla...',
+    actionFilter: 'Filtrar por acción',
+    allActions: 'Todas las acciones',
+    refresh: 'Actualizar',
+    time: 'Fecha',
+    actor: 'Usuario',
+    action: 'Acción',
+    table: 'Tabla',
+    target: 'Objeto',
+    unknownActor: 'Desconocido',
+    empty: 'Todavía no se ha registrado ningún cambio.',
+    noMatches: 'Ninguna entrada coincide con los filtros.',
+    payload: 'Datos de la petición',
+    sql: 'SQL',
+    noSql: 'Este cambio no informó de ningún SQL.',
+    showing: {
+      one: 'Mostrando {start}-{end} de {count} entrada',
+      other: 'Mostrando {start}-{end} de {count} entradas'
+    },
+    pageOf: 'Página {page} de {pages}',
+    pagination: 'Paginación del registro de auditoría',
+    previous: 'Anterior',
+    next: 'Siguiente',
+    actions: {
+      create_table: 'Crear tabla',
+      rename_table: 'Renombrar tabla',
+      drop_table: 'Eliminar tabla',
+      truncate_table: 'Vaciar tabla',
+      import_rows: 'Importar filas',
+      add_column: 'Añadir columna',
+      alter_column: 'Modificar columna',
+      drop_column: 'Eliminar columna',
+      create_index: 'Crear índice',
+      drop_index: 'Eliminar índice',
+      add_constraint: 'Añadir restricción',
+      drop_constraint: 'Eliminar restricción',
+      restore_table: 'Restaurar tabla',
+      restore_column: 'Restaurar columna',
+      purge_table: 'Purgar tabla',
+      purge_column: 'Purgar columna',
+      insert_row: 'Insertar fila',
+      update_row: 'Actualizar fila',
+      delete_row: 'Eliminar fila'
+    }
+  },
+
+  migrations: {
+    title: 'Migraciones',
+    subtitle: 'Cada cambio de esquema hecho en el gestor de base de datos se guarda como una migración numerada en db/migrations, con el SQL para aplicarla (up) y para deshacerla (down). Haz commit de ellas para que db/run-migrations.sh pueda reproducirlas en otras bases de datos. Haz clic en una migración para ver su SQL.',
+    loadFailed: 'No se pudieron cargar las migraciones: {message}',
+    notWritableTitle: 'Las migraciones no se están guardando.',
+    notWritable: 'El backend no puede escribir en {path}, así que los cambios de esquema se aplican sin generar migraciones.',
+    summary: '{applied} aplicadas, {pending} pendientes',
+    refresh: 'Actualizar',
+    version: 'Versión',
+    name: 'Nombre',
+    status: 'Estado',
+    appliedAt: 'Aplicada',
+    actions: 'Acciones',
+    appliedByScript: 'por run-migrations.sh',
+    empty: 'Todavía no hay migraciones. Los cambios de esquema hechos en el gestor de base de datos aparecerán aquí.',
+    upSql: 'Up',
+    downSql: 'Down',
+    apply: 'Aplicar',
+    rollback: 'Revertir',
+    irreversible: 'Este cambio no se puede deshacer automáticamente.',
+    confirmApply: '¿Aplicar la migración {version} ({name}) a la base de datos?',
+    confirmRollback: '¿Revertir la migración {version} ({name})? Los datos eliminados al deshacerla no se pueden recuperar.',
+    applied: 'Migración {version} aplicada.',
+    applyFailed: 'No se pudo aplicar la migración {version}: {message}',
+    rolledBack: 'Migración {version} revertida.',
+    rollbackFailed: 'No se pudo revertir la migración {version}: {message}',
+    statuses: {
+      applied: 'Aplicada',
+      pending: 'Pendiente'
+    }
+  },
+
+  trash: {
+    title: 'Papelera',
+    subtitle: {
+      one: 'Las tablas y columnas eliminadas en el Gestor de base de datos se guardan aquí durante {count} día antes de purgarse definitivamente. Restáuralas con un clic o púrgalas ya.',
+      other: 'Las tablas y columnas eliminadas en el Gestor de base de datos se guardan aquí durante {count} días antes de purgarse definitivamente. Restáuralas con un clic o púrgalas ya.'
+    },
+    loadFailed: 'No se pudo cargar la papelera: {message}',
+    summary: {
+      one: '{count} elemento, {size}',
+      other: '{count} elementos, {size}'
+    },
+    refresh: 'Actualizar',
+    item: 'Elemento',
+    size: 'Tamaño',
+    droppedAt: 'Eliminado',
+    expiresAt: 'Se purga el',
+    actions: 'Acciones',
+    empty: 'La papelera está vacía.',
+    noData: 'Solo la definición',
+    noDataHint: 'La tabla no tiene una clave primaria de una sola columna, así que no se pudieron guardar los valores; al restaurarla, la columna vuelve vacía.',
+    foreignKeys: {
+      one: 'Al restaurarla se vuelve a añadir {count} clave foránea de otras tablas',
+      other: 'Al restaurarla se vuelven a añadir {count} claves foráneas de otras tablas'
+    },
+    restore: 'Restaurar',
+    purge: 'Purgar',
+    confirmPurge: '¿Purgar "{name}" definitivamente? Esta acción no se puede deshacer.',
+    restored: '"{name}" restaurado.',
+    restoreFailed: 'No se pudo restaurar "{name}": {message}',
+    purged: '"{name}" purgado.',
+    purgeFailed: 'No se pudo purgar "{name}": {message}',
+    kinds: {
+      table: 'Tabla',
+      column: 'Columna'
+    }
+  },
+
+  settings: {
+    title: 'Ajustes de la aplicación',
+    subtitle: 'Configura las preferencias de la aplicación y los ajustes del sistema',
+    saved: '¡Ajustes guardados correctamente!',
+    saveFailed: 'No se pudieron guardar los ajustes: {message}',
+    confirmReset: '¿Seguro que quieres restablecer todos los ajustes a sus valores predeterminados? Esta acción no se puede deshacer.',
+    resetDone: 'Ajustes restablecidos. Guárdalos para aplicarlos a todo el equipo.',
+    loadFailed: 'No se pudieron cargar los ajustes: {message}',
+    save: 'Guardar ajustes',
+    saving: 'Guardando...',
+    reset: 'Restablecer valores predeterminados',
+    readOnly: 'Tu rol puede ver estos ajustes pero no modificarlos.',
+    applicationCard: 'Ajustes de la aplicación',
+    interfaceCard: 'Interfaz de usuario',
+    appName: 'Nombre de la aplicación',
+    appNameHelp: 'El nombre que se muestra para la aplicación',
+    appVersion: 'Versión de la aplicación',
+    appVersionHelp: 'Versión actual de la aplicación',
+    maintenanceMode: 'Modo de mantenimiento',
+    maintenanceModeHelp: 'Solo los administradores pueden usar la aplicación mientras está en modo de mantenimiento',
+    maintenanceMessage: 'Mensaje de mantenimiento',
+    maintenanceMessageHelp: 'Se muestra a todos los usuarios bloqueados durante el mantenimiento',
+    debugMode: 'Modo de depuración',
+    debugModeHelp: 'Activa los registros de depuración y los detalles de errores',
+    theme: 'Tema',
+    themeHelp: 'Tema de color del panel; Sistema sigue la preferencia clara/oscura de cada dispositivo',
+    selectTheme: 'Selecciona un tema',
+    themes: {
+      light: 'Claro',
+      dark: 'Oscuro',
+      system: 'Sistema (según el dispositivo)'
+    },
+    language: 'Idioma',
+    languageHelp: 'Idioma del panel, incluidos los formatos de fecha y número',
+    selectLanguage: 'Selecciona un idioma',
+    showNotifications: 'Mostrar notificaciones',
+    showNotificationsHelp: 'Muestra una notificación al completar una acción; los errores siempre se muestran y todas las notificaciones quedan en el historial de la campana',
+    apiCard: 'API',
+    rateLimitEnabled: 'Límite de peticiones',
+    rateLimitEnabledHelp: 'Rechaza las peticiones a la API de los usuarios (o direcciones IP, antes de iniciar sesión) que superen su cuota; los administradores nunca se limitan',
+    rateLimitRequests: 'Peticiones por ventana',
+    rateLimitRequestsHelp: 'Peticiones que cada usuario o dirección IP puede hacer en cada ventana (una hora salvo que se defina API_RATE_LIMIT_WINDOW)',
+    databaseCard: 'Base de datos',
+    trashRetentionDays: 'Retención de la papelera (días)',
+    trashRetentionDaysHelp: 'Tiempo que las tablas y columnas eliminadas permanecen en la papelera antes de purgarse definitivamente'
+  },
+
+  form: {
+    required: 'Obligatorio'
+  },
+
+  login: {
+    title: 'Iniciar sesión',
+    subtitle: 'Inicia sesión para gestionar la base de datos y la configuración de la aplicación.',
+    username: 'Usuario',
+    password: 'Contraseña',
+    submit: 'Iniciar sesión',
+    invalidCredentials: 'Usuario o contraseña incorrectos'
+  },
+
+  config: {
+    title: 'Configuración',
+    subtitle: 'Todas las claves guardadas en la tabla config. Las claves del sistema se pueden editar, pero no eliminar.',
+    loadFailed: 'No se pudo cargar la configuración: {message}',
+    updated: '¡Configuración "{name}" actualizada correctamente!',
+    updateFailed: 'No se pudo actualizar la configuración: {message}',
+    created: '¡Configuración "{name}" creada correctamente!',
+    createFailed: 'No se pudo crear la configuración: {message}',
+    confirmDelete: '¿Seguro que quieres eliminar la configuración "{name}"?',
+    deleted: '¡Configuración "{name}" eliminada correctamente!',
+    deleteFailed: 'No se pudo eliminar la configuración: {message}',
+    readFailed: 'No se pudo leer {file}: {message}',
+    imported: { one: '{count} clave importada', other: '{count} claves importadas' },
+    importCreated: '{count} creadas',
+    importDeleted: '{count} eliminadas',
+    importFailed: 'No se pudo importar la configuración: {message}',
+    notInteger: 'El valor debe ser un número entero',
+    fileNotObject: 'Se esperaba un objeto con valores de configuración',
+    fileMissingName: 'Cada entrada necesita un nombre',
+    fileInvalidValue: 'La configuración "{name}" debe ser un booleano, un número o una cadena',
+    searchPlaceholder: 'Buscar claves o valores...',
+    searchLabel: 'Buscar en la configuración',
+    addKey: 'Añadir clave',
+    importJson: 'Importar JSON',
+    exportJson: 'Exportar JSON',
+    refresh: 'Actualizar',
+    key: 'Clave',
+    keyPlaceholder: 'p. ej. support_email',
+    type: 'Tipo',
+    value: 'Valor',
+    create: 'Crear',
+    importTitle: 'Importar',
+    importSummary: {
+      one: '{count} clave: {created} nuevas, {existing} existentes.',
+      other: '{count} claves: {created} nuevas, {existing} existentes.'
+    },
+    importReplace: 'Reemplazar toda la configuración (eliminar las claves no del sistema que falten en el archivo)',
+    importWillDelete: 'Se eliminarán: {names}',
+    applyImport: 'Aplicar importación',
+    createdAt: 'Creada',
+    modifiedAt: 'Modificada',
+    actions: 'Acciones',
+    loading: 'Cargando configuración...',
+    noMatches: 'Ninguna clave coincide con la búsqueda',
+    empty: 'No hay claves de configuración',
+    core: 'sistema',
+    save: 'Guardar',
+    editValue: 'Editar valor',
+    deleteKey: 'Eliminar clave',
+    coreNotDeletable: 'Las claves del sistema no se pueden eliminar',
+    types: {
+      string: 'Cadena',
+      int: 'Entero',
+      bool: 'Booleano'
+    }
+  },
+
+  users: {
+    title: 'Gestión de usuarios',
+    subtitle: 'Cuentas guardadas en la tabla user. Los nombres de usuario deben ser únicos y los usuarios sin contraseña no pueden iniciar sesión. El rol decide qué pantallas y acciones tiene cada usuario; debe quedar al menos un administrador.',
+    loadFailed: 'No se pudieron cargar los usuarios: {message}',
+    usernameTaken: 'El nombre de usuario "{username}" ya está en uso',
+    created: '¡Usuario "{username}" creado correctamente!',
+    renamed: '¡Usuario renombrado a "{username}" correctamente!',
+    passwordUpdated: '¡Contraseña de "{username}" actualizada correctamente!',
+    roleChanged: '"{username}" ahora es {role}.',
+    roleFailed: 'No se pudo cambiar el rol: {message}',
+    confirmDelete: '¿Seguro que quieres eliminar el usuario "{username}"?',
+    deleted: '¡Usuario "{username}" eliminado correctamente!',
+    deleteFailed: 'No se pudo eliminar el usuario: {message}',
+    searchPlaceholder: 'Buscar usuarios...',
+    searchLabel: 'Buscar usuarios',
+    addUser: 'Añadir usuario',
+    refresh: 'Actualizar',
+    username: 'Usuario',
+    usernamePlaceholder: 'p. ej. jane.doe',
+    password: 'Contraseña',
+    passwordPlaceholder: 'Déjala vacía para definirla más tarde',
+    role: 'Rol',
+    create: 'Crear',
+    loading: 'Cargando usuarios...',
+    noMatches: 'Ningún usuario coincide con la búsqueda',
+    empty: 'No hay usuarios',
+    newUsernameFor: 'Nuevo nombre de usuario para {username}',
+    noPassword: 'sin contraseña',
+    noPasswordHint: 'Define una contraseña para que este usuario pueda iniciar sesión',
+    newPassword: 'Nueva contraseña',
+    newPasswordFor: 'Nueva contraseña para {username}',
+    savePassword: 'Guardar contraseña',
+    roleFor: 'Rol de {username}',
+    save: 'Guardar',
+    rename: 'Renombrar usuario',
+    setPassword: 'Definir contraseña',
+    delete: 'Eliminar usuario',
+    showing: {
+      one: 'Mostrando {start}-{end} de {count} usuario',
+      other: 'Mostrando {start}-{end} de {count} usuarios'
+    },
+    pageOf: 'Página {page} de {pages}',
+    pagination: 'Paginación de usuarios',
+    previous: 'Anterior',
+    next: 'Siguiente',
+    columns: {
+      id: 'ID',
+      username: 'Usuario',
+      role: 'Rol',
+      timecreated: 'Creado',
+      timemodified: 'Modificado',
+      actions: 'Acciones'
+    },
+    roleDescriptions: {
+      admin: 'Todo, incluido eliminar tablas y gestionar usuarios',
+      developer: 'Herramientas de base de datos sin acciones destructivas, SQL de solo lectura',
+      viewer: 'Pantallas de la aplicación, solo lectura'
+    }
+  },
+
+  tableCreate: {
+    title: 'Crear nueva tabla',
+    tableName: 'Nombre de la tabla',
+    tableNamePlaceholder: 'Introduce el nombre de la tabla',
+    columns: 'Columnas',
+    columnName: 'Nombre de la columna',
+    columnNamePlaceholder: 'Nombre de la columna',
+    dataType: 'Tipo de dato',
+    options: 'Opciones',
+    primaryKey: 'Clave primaria',
+    notNull: 'No nulo',
+    remove: 'Quitar',
+    removeColumn: 'Quitar columna',
+    addColumn: 'Añadir columna',
+    constraints: 'Restricciones',
+    removeConstraint: 'Quitar restricción',
+    addToTable: 'Añadir a la tabla',
+    addConstraint: 'Añadir restricción',
+    creating: 'Creando...',
+    submit: 'Crear tabla'
+  },
+
+  constraintEditor: {
+    type: 'Tipo de restricción',
+    name: 'Nombre de la restricción (opcional)',
+    namePlaceholder: 'Generado por PostgreSQL',
+    expression: 'Expresión CHECK',
+    expressionPlaceholder: 'p. ej. price >= 0',
+    referencesTable: 'Tabla referenciada',
+    selectTable: 'Selecciona una tabla...',
+    thisTable: '{table} (esta tabla)',
+    columns: 'Columnas',
+    noColumns: 'Define primero las columnas.',
+    referencedColumns: 'Columnas referenciadas',
+    referencedColumnFor: 'Columna referenciada para {column}',
+    selectColumn: 'Selecciona una columna...',
+    onDelete: 'Al eliminar',
+    onUpdate: 'Al actualizar',
+    types: {
+      foreign_key: 'Clave foránea',
+      unique: 'Única',
+      check: 'Check'
+    }
+  },
+
+  constraints: {
+    title: 'Restricciones',
+    fetchFailed: 'No se pudieron obtener las restricciones: {message}',
+    added: '¡Restricción añadida correctamente!',
+    addedNamed: '¡Restricción "{name}" añadida correctamente!',
+    previewFailed: 'No se pudo previsualizar la restricción: {message}',
+    addFailed: 'No se pudo añadir la restricción: {message}',
+    confirmDrop: '¿Seguro que quieres eliminar la restricción "{name}"?',
+    dropped: '¡Restricción "{name}" eliminada correctamente!',
+    dropFailed: 'No se pudo eliminar la restricción: {message}',
+    add: 'Añadir restricción',
+    name: 'Nombre',
+    type: 'Tipo',
+    definition: 'Definición',
+    actions: 'Acciones',
+    loading: 'Cargando restricciones...',
+    empty: 'Esta tabla no tiene restricciones',
+    drop: 'Eliminar restricción',
+    referencedBy: 'Referenciada por:',
+    constraintTitle: 'Restricción "{name}"',
+    generating: 'Generando...',
+    previewDdl: 'Vista previa del DDL',
+    addPreviewedTitle: 'Añadir la restricción previsualizada',
+    previewFirst: 'Previsualiza primero el DDL',
+    adding: 'Añadiendo...'
+  },
+
+  ddlPreview: {
+    title: 'DDL generado'
+  },
+
+  exportMenu: {
+    title: 'Exportar los datos de la tabla',
+    export: 'Exportar',
+    exporting: 'Exportando...',
+    exported: '"{table}" exportada como {file}',
+    failed: 'No se pudo exportar la tabla: {message}',
+    currentFilter: 'Filtro actual',
+    currentSort: 'Orden actual',
+    wholeTable: 'Toda la tabla'
+  },
+
+  indexes: {
+    title: 'Índices',
+    fetchFailed: 'No se pudieron obtener los índices: {message}',
+    created: '¡Índice "{name}" creado correctamente!',
+    previewFailed: 'No se pudo previsualizar el índice: {message}',
+    createFailed: 'No se pudo crear el índice: {message}',
+    confirmDrop: '¿Seguro que quieres eliminar el índice "{name}"?',
+    dropped: '¡Índice "{name}" eliminado correctamente!',
+    dropFailed: 'No se pudo eliminar el índice: {message}',
+    add: 'Añadir índice',
+    name: 'Nombre',
+    columns: 'Columnas',
+    method: 'Método',
+    properties: 'Propiedades',
+    size: 'Tamaño',
+    actions: 'Acciones',
+    loading: 'Cargando índices...',
+    empty: 'Esta tabla no tiene índices',
+    expression: 'expresión',
+    primary: 'Primario',
+    unique: 'Único',
+    partial: 'Parcial',
+    backsConstraint: 'Respalda la restricción "{name}"',
+    drop: 'Eliminar índice',
+    columnsInOrder: 'Columnas (en el orden del índice)',
+    indexName: 'Nombre del índice (opcional)',
+    predicate: 'Predicado WHERE (opcional, índice parcial)',
+    predicatePlaceholder: 'p. ej. deleted_at IS NULL',
+    generating: 'Generando...',
+    previewDdl: 'Vista previa del DDL',
+    createPreviewedTitle: 'Crear el índice previsualizado',
+    previewFirst: 'Previsualiza primero el DDL',
+    creating: 'Creando...',
+    create: 'Crear índice',
+    methods: {
+      btree: 'B-tree (predeterminado)',
+      gin: 'GIN (arrays, JSONB, texto completo)',
+      hash: 'Hash (solo igualdad, una columna)'
+    }
+  },
+
+  rowInsert: {
+    title: 'Añadir fila',
+    autoGenerated: 'Generado automáticamente',
+    default: 'Predeterminado: {value}',
+    select: 'Selecciona...',
+    saving: 'Guardando...',
+    submit: 'Insertar fila'
+  },
+
+  columnTypes: {
+    notNumber: '"{column}" debe ser un número',
+    notBoolean: '"{column}" debe ser true o false',
+    notJson: '"{column}" debe ser JSON válido'
+  },
+
+  queryConsole: {
+    title: 'Consola de consultas SQL',
+    allowWrites: 'Permitir escrituras',
+    readOnly: 'Solo lectura',
+    readOnlyBadge: 'solo lectura',
+    writeModeTitle: 'Modo escritura:',
+    writeModeText: 'las sentencias se confirman y pueden modificar o eliminar datos.',
+    readOnlyMode: 'Modo solo lectura: las sentencias se ejecutan en una transacción de solo lectura que nunca se confirma.',
+    editorLabel: 'Sentencia SQL',
+    runHint: 'Pulsa Ctrl+Enter para ejecutar',
+    clear: 'Limpiar',
+    running: 'Ejecutando...',
+    run: 'Ejecutar consulta',
+    rowsAffected: { one: '{command}: {count} fila afectada', other: '{command}: {count} filas afectadas' },
+    rowsReturned: { one: '{command}: {count} fila devuelta', other: '{command}: {count} filas devueltas' },
+    duration: '{duration} ms (límite {timeout} ms)',
+    truncated: {
+      one: 'Se muestra la primera fila. Añade una cláusula LIMIT para acotar el resultado.',
+      other: 'Se muestran las primeras {count} filas. Añade una cláusula LIMIT para acotar el resultado.'
+    },
+    noRows: 'La consulta no devolvió filas.',
+    history: 'Historial',
+    historyEmpty: 'Las consultas que ejecutes en esta sesión aparecerán aquí.',
+    loadEntry: 'Cargar en el editor',
+    historyFailed: 'Error',
+    historyEntry: {
+      one: '{command} · {count} fila · {duration} ms',
+      other: '{command} · {count} filas · {duration} ms'
+    },
+    historyWrite: 'escritura'
+  },
+
+  columnEdit: {
+    title: 'Editar columna',
+    currently: 'actualmente {type}',
+    noChanges: 'No hay cambios que aplicar',
+    columnName: 'Nombre de la columna',
+    dataType: 'Tipo de dato',
+    keepType: 'Mantener el tipo actual',
+    using: 'Expresión USING (opcional)',
+    usingPlaceholder: 'p. ej. {expression}',
+    usingHelp: 'Convierte los valores existentes cuando PostgreSQL no puede convertirlos automáticamente.',
+    default: 'Valor predeterminado',
+    defaultValue: 'Valor predeterminado',
+    defaultExpression: 'Expresión predeterminada',
+    defaultValuePlaceholder: 'Introduce el valor predeterminado',
+    defaultExpressionPlaceholder: 'p. ej. now()',
+    notNull: 'No nulo',
+    primaryKeyNotNull: '(obligatorio en las claves primarias)',
+    generating: 'Generando...',
+    previewDdl: 'Vista previa del DDL',
+    applyPreviewedTitle: 'Aplicar los cambios previsualizados',
+    previewFirst: 'Previsualiza primero el DDL',
+    applying: 'Aplicando...',
+    apply: 'Aplicar cambios',
+    defaultModes: {
+      keep: 'Mantener el valor predeterminado actual',
+      value: 'Definir un valor literal',
+      expression: 'Definir una expresión SQL',
+      drop: 'Quitar el valor predeterminado'
+    }
+  },
+
+  schemaDiagram: {
+    loadFailed: 'No se pudo cargar el esquema de la base de datos: {message}',
+    exportFailed: 'No se pudo exportar el diagrama: {message}',
+    tooLarge: 'El diagrama es demasiado grande para exportarlo como PNG',
+    renderFailed: 'No se pudo dibujar el diagrama',
+    editTable: 'Editar {table}',
+    noColumns: 'Sin columnas',
+    zoom: 'Zoom',
+    zoomOut: 'Alejar',
+    zoomIn: 'Acercar',
+    fit: 'Ajustar',
+    autoLayout: 'Distribución automática',
+    reload: 'Recargar',
+    empty: 'No hay tablas que mostrar',
+    hint: 'Arrastra el fondo para desplazarte, usa la rueda para hacer zoom y arrastra las tablas para moverlas.',
+    clickHint: 'Haz clic en una tabla para ver sus datos.',
+    clickHintEdit: 'Haz clic en una tabla para ver sus datos o en ✏️ para editar su estructura.'
+  },
+
+  tableImport: {
+    title: 'Importar datos',
+    file: 'Archivo',
+    fileHelp: 'CSV con fila de encabezado, un array JSON de objetos o NDJSON (un objeto por línea).',
+    readFailed: 'No se pudo leer {file}: {message}',
+    schemaFailed: 'No se pudo obtener el esquema de la tabla: {message}',
+    validateFailed: 'La validación falló: {message}',
+    importFailed: 'La importación falló: {message}',
+    imported: { one: 'Se importó {count} fila en "{table}"', other: 'Se importaron {count} filas en "{table}"' },
+    importInto: 'Importar en',
+    newTable: 'Tabla nueva',
+    existingTable: 'Tabla existente',
+    newTableName: 'Nombre de la tabla nueva',
+    tableNamePlaceholder: 'Introduce el nombre de la tabla',
+    selectTable: 'Selecciona una tabla...',
+    columns: 'Columnas',
+    addId: 'Añadir una clave primaria "id SERIAL"',
+    includeColumn: 'Incluir columna',
+    columnName: 'Nombre de columna para {column}',
+    dataType: 'Tipo de datos para {column}',
+    notNull: 'No nulo',
+    mapping: 'Asignación de columnas',
+    targetColumn: 'Columna de destino para {column}',
+    skipColumn: 'Omitir esta columna',
+    skipped: 'omitida',
+    preview: 'Vista previa',
+    previewInfo: {
+      one: 'primeras {shown} de {count} fila de {file} ({format})',
+      other: 'primeras {shown} de {count} filas de {file} ({format})'
+    },
+    fieldWarnings: {
+      one: '{count} fila tiene un número de campos inesperado, p. ej. fila {row}: {message}.',
+      other: '{count} filas tienen un número de campos inesperado, p. ej. fila {row}: {message}.'
+    },
+    canImport: {
+      one: 'Se puede importar {valid} de {count} fila.',
+      other: 'Se pueden importar {valid} de {count} filas.'
+    },
+    failedRows: {
+      one: '{count} fila falló. Corrige el archivo o la configuración de columnas y vuelve a validar.',
+      other: '{count} filas fallaron. Corrige el archivo o la configuración de columnas y vuelve a validar.'
+    },
+    row: 'Fila',
+    error: 'Error',
+    values: 'Valores',
+    moreErrors: '...y {count} más',
+    validate: 'Validar',
+    validating: 'Validando...',
+    import: 'Importar',
+    importing: 'Importando...',
+    importAll: 'Importar todas las filas',
+    validateFirst: 'Primero valida el archivo sin errores'
+  },
+
+  importParser: {
+    unterminatedQuote: 'El CSV contiene un campo entrecomillado sin cerrar',
+    empty: 'El archivo está vacío',
+    unnamedColumn: 'Cada columna de la fila de encabezado necesita un nombre',
+    duplicateColumns: 'Nombres de columna duplicados en el encabezado: {columns}',
+    fieldCount: 'Se esperaban {expected} campos pero se encontraron {found}',
+    invalidJsonLine: 'JSON no válido en la línea {line}: {message}',
+    invalidJson: 'JSON no válido: {message}',
+    notArray: 'Las importaciones JSON deben contener un array de objetos',
+    notObject: 'La fila {row} no es un objeto',
+    noRows: 'El archivo no contiene filas de datos'
+  }
+};
+
+export default es;
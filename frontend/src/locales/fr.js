@@ -0,0 +1,886 @@
+/**
+ * French Messages
+ */
+
+const fr = {
+  common: {
+    loading: 'Chargement...',
+    error: 'Erreur :',
+    success: 'Succès :',
+    close: 'Fermer',
+    cancel: 'Annuler',
+    yes: 'Oui',
+    no: 'Non',
+    none: 'Aucune',
+    rows: { one: '{count} ligne', other: '{count} lignes' },
+    columns: { one: '{count} colonne', other: '{count} colonnes' }
+  },
+
+  roles: {
+    admin: 'Administrateur',
+    developer: 'Développeur',
+    viewer: 'Lecteur'
+  },
+
+  app: {
+    title: 'React Docker App',
+    tagline: 'Votre application React fonctionne correctement dans Docker !',
+    signedInAs: 'Connecté en tant que',
+    signOut: 'Se déconnecter',
+    sessionExpired: 'Votre session a expiré. Veuillez vous reconnecter.'
+  },
+
+  nav: {
+    title: 'Tableau de bord',
+    subtitle: 'Outils de développement et de l’application',
+    empty: 'Aucun élément de menu disponible',
+    categories: {
+      dev: 'Outils de développement',
+      app: 'Application',
+      general: 'Général'
+    }
+  },
+
+  modules: {
+    database: {
+      name: 'Gestionnaire de base de données',
+      description: 'Gérer les tables de la base de données et leur structure'
+    },
+    api: {
+      name: 'Testeur d’API',
+      description: 'Tester les endpoints de l’API backend'
+    },
+    audit: {
+      name: 'Journal d’audit',
+      description: 'Voir qui a modifié quelle table, quand et comment'
+    },
+    migrations: {
+      name: 'Migrations',
+      description: 'Appliquer ou annuler les migrations générées à partir des modifications de schéma'
+    },
+    trash: {
+      name: 'Corbeille',
+      description: 'Restaurer ou purger les tables et colonnes supprimées'
+    },
+    settings: {
+      name: 'Paramètres',
+      description: 'Paramètres et configuration de l’application'
+    },
+    config: {
+      name: 'Configuration',
+      description: 'Parcourir et modifier toutes les clés de configuration'
+    },
+    users: {
+      name: 'Gestion des utilisateurs',
+      description: 'Créer, renommer et supprimer des comptes utilisateur'
+    }
+  },
+
+  mainContent: {
+    notFoundTitle: 'Composant introuvable',
+    notFoundMessage: 'Le composant demandé « {component} » n’est pas disponible.',
+    accessDeniedTitle: 'Accès refusé',
+    accessDeniedMessage: 'Votre rôle n’a pas accès à {module}.',
+    loadingModule: 'Chargement de {module}...',
+    crashedTitle: '{module} a cessé de fonctionner',
+    crashedMessage: 'Le reste du tableau de bord n’est pas affecté. Réessayez, ou rechargez la page si le problème persiste.',
+    tryAgain: 'Réessayer',
+    reloadPage: 'Recharger la page'
+  },
+
+  database: {
+    title: 'Gestionnaire des tables',
+    tablesTab: 'Tables',
+    queryTab: 'Console de requêtes',
+    createTable: 'Créer une table',
+    importData: 'Importer des données',
+    cancelImport: 'Annuler l’import',
+    refreshTables: 'Actualiser les tables',
+    viewLabel: 'Affichage des tables',
+    gridView: 'Grille',
+    diagramView: 'Diagramme ER',
+    fetchFailed: 'Impossible de récupérer les tables : {message}',
+    created: 'Table « {table} » créée avec succès !',
+    createFailed: 'Impossible de créer la table : {message}',
+    confirmDelete: 'Déplacer la table « {table} » dans la corbeille ? Vous pourrez la restaurer depuis l’écran Corbeille jusqu’à son expiration.',
+    deleted: 'Table « {table} » déplacée dans la corbeille.',
+    deleteFailed: 'Impossible de supprimer la table : {message}',
+    renamed: 'Table « {oldName} » renommée en « {newName} » avec succès !',
+    viewTable: 'Voir la table',
+    viewTrash: 'Voir la corbeille'
+  },
+
+  tablesList: {
+    title: 'Tables existantes',
+    emptyTitle: 'Aucune table trouvée',
+    emptyMessage: 'Créez votre première table pour commencer !',
+    count: { one: '{count} table', other: '{count} tables' },
+    countFound: { one: '{count} table trouvée', other: '{count} tables trouvées' }
+  },
+
+  tableCard: {
+    view: 'Voir',
+    viewTitle: 'Voir les données de la table',
+    edit: 'Modifier',
+    editTitle: 'Modifier la structure de la table',
+    delete: 'Supprimer',
+    deleteTitle: 'Supprimer la table',
+    deleteDenied: 'Votre rôle ne peut pas supprimer de tables',
+    deleting: 'Suppression...',
+    created: 'Créée le : {date}'
+  },
+
+  tableView: {
+    title: 'Table : {table}',
+    fetchFailed: 'Impossible de récupérer les données de la table : {message}',
+    schemaFailed: 'Impossible de récupérer le schéma de la table : {message}',
+    rowInserted: 'Ligne insérée avec succès !',
+    insertFailed: 'Impossible d’insérer la ligne : {message}',
+    rowUpdated: 'Ligne {id} mise à jour avec succès !',
+    updateFailed: 'Impossible de mettre à jour la ligne : {message}',
+    confirmDeleteRow: 'Voulez-vous vraiment supprimer la ligne où {column} = {id} ? Cette action est irréversible.',
+    rowDeleted: 'Ligne {id} supprimée avec succès !',
+    deleteFailed: 'Impossible de supprimer la ligne : {message}',
+    filterLabel: 'Filtrer {column}',
+    filterMin: 'min.',
+    filterMax: 'max.',
+    filterAny: 'Tous',
+    filterContains: 'Contient...',
+    loadingData: 'Chargement des données de la table...',
+    noData: 'Aucune donnée disponible',
+    emptyTitle: 'La table est vide',
+    emptyMessage: 'Cette table ne contient encore aucune donnée.',
+    showing: {
+      one: 'Affichage de {start} à {end} sur {count} ligne',
+      other: 'Affichage de {start} à {end} sur {count} lignes'
+    },
+    showingMatching: {
+      one: 'Affichage de {start} à {end} sur {count} ligne correspondante',
+      other: 'Affichage de {start} à {end} sur {count} lignes correspondantes'
+    },
+    noMatchingRows: 'Aucune ligne correspondante',
+    pageOf: 'Page {page} sur {pages}',
+    sortTitle: 'Cliquez pour trier',
+    editCellTitle: 'Double-cliquez pour modifier',
+    deleteRowTitle: 'Supprimer la ligne',
+    noRowsMatch: 'Aucune ligne ne correspond aux filtres actuels.',
+    pagination: 'Pagination de la table',
+    previous: 'Précédent',
+    next: 'Suivant',
+    readOnlyHint: 'Votre rôle peut consulter les lignes mais pas les modifier.',
+    editHint: 'Double-cliquez sur une cellule pour la modifier. Les lignes sont identifiées par « {column} ».',
+    noPrimaryKeyHint: 'La modification et la suppression de lignes nécessitent une clé primaire sur une seule colonne.',
+    addRow: 'Ajouter une ligne',
+    searchPlaceholder: 'Rechercher dans toutes les colonnes...',
+    searchLabel: 'Rechercher dans toutes les colonnes',
+    clearFilters: 'Effacer les filtres',
+    totalRows: { one: '{count} ligne au total', other: '{count} lignes au total' },
+    matchingRows: { one: '{count} ligne correspondante', other: '{count} lignes correspondantes' }
+  },
+
+  tableEdit: {
+    title: 'Modifier la table : {table}',
+    columnNameRequired: 'Le nom de la colonne est obligatoire',
+    columnAdded: 'Colonne « {column} » ajoutée avec succès !',
+    addFailed: 'Impossible d’ajouter la colonne : {message}',
+    confirmDropColumn: 'Supprimer la colonne « {column} » ? Ses valeurs sont conservées dans la corbeille, d’où vous pourrez la restaurer jusqu’à son expiration.',
+    columnDropped: 'Colonne « {column} » supprimée et conservée dans la corbeille.',
+    dropFailed: 'Impossible de supprimer la colonne : {message}',
+    columnUpdated: 'Colonne « {column} » mise à jour avec succès !',
+    columnRenamed: 'Colonne « {column} » mise à jour et renommée en « {newName} » !',
+    newTableNameRequired: 'Le nouveau nom de la table est obligatoire',
+    renameFailed: 'Impossible de renommer la table : {message}',
+    loadingSchema: 'Chargement du schéma de la table...',
+    noSchema: 'Aucune information de schéma disponible',
+    tableInformation: 'Informations sur la table',
+    renameTable: 'Renommer la table',
+    tableName: 'Nom de la table :',
+    columnCount: 'Colonnes :',
+    rowCount: 'Lignes :',
+    newTableName: 'Nouveau nom de la table',
+    previewDdl: 'Aperçu du DDL',
+    rename: 'Renommer',
+    renameApplyTitle: 'Appliquer le renommage prévisualisé',
+    renamePreviewFirst: 'Prévisualisez d’abord le DDL',
+    currentColumns: 'Colonnes actuelles',
+    columnHeaders: {
+      name: 'Nom',
+      type: 'Type',
+      nullable: 'NULL autorisé',
+      default: 'Par défaut',
+      primaryKey: 'Clé primaire',
+      actions: 'Actions'
+    },
+    editColumnTitle: 'Modifier la colonne',
+    dropColumnTitle: 'Supprimer la colonne',
+    dropColumnDenied: 'Votre rôle ne peut pas supprimer de colonnes',
+    addNewColumn: 'Ajouter une colonne',
+    columnName: 'Nom de la colonne',
+    columnNamePlaceholder: 'Saisissez le nom de la colonne',
+    dataType: 'Type de données',
+    defaultValue: 'Valeur par défaut (facultative)',
+    defaultValuePlaceholder: 'Saisissez la valeur par défaut',
+    options: 'Options',
+    allowNull: 'Autoriser les valeurs NULL',
+    adding: 'Ajout...',
+    addColumn: 'Ajouter la colonne'
+  },
+
+  dataGrid: {
+    actions: 'Actions',
+    notNull: 'Non nul',
+    empty: 'Aucune ligne à afficher.'
+  },
+
+  notifications: {
+    title: 'Notifications',
+    open: {
+      one: 'Notifications ({count} non lue)',
+      other: 'Notifications ({count} non lues)'
+    },
+    empty: 'Aucune notification pour le moment.',
+    clear: 'Tout effacer',
+    dismiss: 'Fermer',
+    severities: {
+      success: 'Succès',
+      info: 'Information',
+      warning: 'Avertissement',
+      danger: 'Erreur'
+    }
+  },
+
+  maintenance: {
+    title: 'Maintenance en cours',
+    defaultMessage: 'L’application est en maintenance. Veuillez réessayer plus tard.',
+    adminsOnly: 'Seuls les administrateurs peuvent utiliser l’application jusqu’à la fin de la maintenance. Cette page vérifie à nouveau toutes les 30 secondes.',
+    checking: 'Vérification...',
+    checkAgain: 'Vérifier à nouveau',
+    bannerTitle: 'Le mode maintenance est activé.',
+    bannerText: 'Seuls les administrateurs peuvent utiliser l’application ; les autres voient le message de maintenance.',
+    turnOff: 'Désactiver dans les paramètres'
+  },
+
+  rateLimit: {
+    title: 'Limite de requêtes atteinte.',
+    retrying: {
+      one: 'Trop de requêtes ; nouvelle tentative dans {count} seconde...',
+      other: 'Trop de requêtes ; nouvelle tentative dans {count} secondes...'
+    },
+    retryingMinutes: {
+      one: 'Trop de requêtes ; nouvelle tentative dans {count} minute...',
+      other: 'Trop de requêtes ; nouvelle tentative dans {count} minutes...'
+    }
+  },
+
+  apiTest: {
+    title: 'Test de l’API backend',
+    testing: 'Test en cours...',
+    test: 'Tester {endpoint}',
+    clearResults: 'Effacer les résultats',
+    callFailed: 'Impossible d’appeler {endpoint} : {message}',
+    status: 'Statut : {status}',
+    calledAt: 'Appelé à : {time}',
+    helloResponse: 'Réponse de l’endpoint hello',
+    statusResponse: 'Réponse de l’endpoint status',
+    dbResponse: 'Réponse du test de base de données',
+    availableEndpoints: 'Endpoints disponibles',
+    helloDescription: 'Renvoie un message de bienvenue',
+    statusDescription: 'Renvoie l’état du backend',
+    dbDescription: 'Teste la connexion à la base de données',
+    rateLimit: 'Limite de requêtes',
+    rateLimitOff: 'La dernière réponse n’indiquait aucun quota : la limite de requêtes est désactivée.',
+    rateLimitRemaining: '{remaining} requêtes restantes sur {limit}',
+    rateLimitReset: 'Le quota est renouvelé à {time}'
+  },
+
+  auditLog: {
+    title: 'Journal d’audit',
+    subtitle: 'Toutes les modifications apportées aux tables depuis le gestionnaire de base de données ou l’API des tables, des plus récentes aux plus anciennes. Cliquez sur une entrée pour voir les données de la requête et le SQL exécuté.',
+    loadFailed: 'Impossible de charger le journal d’audit : {message}',
+    actorFilter: 'Filtrer par utilisateur...',
+    tableFilter: 'Filtrer par table...',
+    actionFilter: 'Filtrer par action',
+    allActions: 'Toutes les actions',
+    refresh: 'Actualiser',
+    time: 'Date',
+    actor: 'Utilisateur',
+    action: 'Action',
+    table: 'Table',
+    target: 'Cible',
+    unknownActor: 'Inconnu',
+    empty: 'Aucune modification n’a encore été enregistrée.',
+    noMatches: 'Aucune entrée ne correspond aux filtres.',
+    payload: 'Données de la requête',
+    sql: 'SQL',
+    noSql: 'Cette modification n’a indiqué aucun SQL.',
+    showing: {
+      one: 'Affichage de {start} à {end} sur {count} entrée',
+      other: 'Affichage de {start} à {end} sur {count} entrées'
+    },
+    pageOf: 'Page {page} sur {pages}',
+    pagination: 'Pagination du journal d’audit',
+    previous: 'Précédent',
+    next: 'Suivant',
+    actions: {
+      create_table: 'Créer une table',
+      rename_table: 'Renommer une table',
+      drop_table: 'Supprimer une table',
+      truncate_table: 'Vider une table',
+      import_rows: 'Importer des lignes',
+      add_column: 'Ajouter une colonne',
+      alter_column: 'Modifier une colonne',
+      drop_column: 'Supprimer une colonne',
+      create_index: 'Créer un index',
+      drop_index: 'Supprimer un index',
+      add_constraint: 'Ajouter une contrainte',
+      drop_constraint: 'Supprimer une contrainte',
+      restore_table: 'Restaurer la table',
+      restore_column: 'Restaurer la colonne',
+      purge_table: 'Purger la table',
+      purge_column: 'Purger la colonne',
+      insert_row: 'Insérer une ligne',
+      update_row: 'Modifier une ligne',
+      delete_row: 'Supprimer une ligne'
+    }
+  },
+
+  migrations: {
+    title: 'Migrations',
+    subtitle: 'Chaque modification de schéma faite dans le gestionnaire de base de données est enregistrée comme une migration numérotée dans db/migrations, avec le SQL pour l’appliquer (up) et pour l’annuler (down). Commitez-les pour que db/run-migrations.sh puisse les rejouer sur d’autres bases de données. Cliquez sur une migration pour voir son SQL.',
+    loadFailed: 'Impossible de charger les migrations : {message}',
+    notWritableTitle: 'Les migrations ne sont pas enregistrées.',
+    notWritable: 'Le backend ne peut pas écrire dans {path}, les modifications de schéma sont donc appliquées sans générer de migrations.',
+    summary: '{applied} appliquées, {pending} en attente',
+    refresh: 'Actualiser',
+    version: 'Version',
+    name: 'Nom',
+    status: 'Statut',
+    appliedAt: 'Appliquée',
+    actions: 'Actions',
+    appliedByScript: 'par run-migrations.sh',
+    empty: 'Aucune migration pour l’instant. Les modifications de schéma faites dans le gestionnaire de base de données apparaîtront ici.',
+    upSql: 'Up',
+    downSql: 'Down',
+    apply: 'Appliquer',
+    rollback: 'Annuler',
+    irreversible: 'Cette modification ne peut pas être annulée automatiquement.',
+    confirmApply: 'Appliquer la migration {version} ({name}) à la base de données ?',
+    confirmRollback: 'Annuler la migration {version} ({name}) ? Les données supprimées en l’annulant ne peuvent pas être récupérées.',
+    applied: 'Migration {version} appliquée.',
+    applyFailed: 'Impossible d’appliquer la migration {version} : {message}',
+    rolledBack: 'Migration {version} annulée.',
+    rollbackFailed: 'Impossible d’annuler la migration {version} : {message}',
+    statuses: {
+      applied: 'Appliquée',
+      pending: 'En attente'
+    }
+  },
+
+  trash: {
+    title: 'Corbeille',
+    subtitle: {
+      one: 'Les tables et colonnes supprimées dans le Gestionnaire de base de données sont conservées ici pendant {count} jour avant d’être purgées définitivement. Restaurez-les en un clic, ou purgez-les tout de suite.',
+      other: 'Les tables et colonnes supprimées dans le Gestionnaire de base de données sont conservées ici pendant {count} jours avant d’être purgées définitivement. Restaurez-les en un clic, ou purgez-les tout de suite.'
+    },
+    loadFailed: 'Impossible de charger la corbeille : {message}',
+    summary: {
+      one: '{count} élément, {size}',
+      other: '{count} éléments, {size}'
+    },
+    refresh: 'Actualiser',
+    item: 'Élément',
+    size: 'Taille',
+    droppedAt: 'Supprimé',
+    expiresAt: 'Purgé le',
+    actions: 'Actions',
+    empty: 'La corbeille est vide.',
+    noData: 'Définition seule',
+    noDataHint: 'La table n’a pas de clé primaire sur une seule colonne, les valeurs n’ont donc pas pu être conservées ; la restauration rajoute la colonne vide.',
+    foreignKeys: {
+      one: 'La restauration rajoute aussi {count} clé étrangère d’autres tables',
+      other: 'La restauration rajoute aussi {count} clés étrangères d’autres tables'
+    },
+    restore: 'Restaurer',
+    purge: 'Purger',
+    confirmPurge: 'Purger « {name} » définitivement ? Cette action est irréversible.',
+    restored: '« {name} » restauré.',
+    restoreFailed: 'Impossible de restaurer « {name} » : {message}',
+    purged: '« {name} » purgé.',
+    purgeFailed: 'Impossible de purger « {name} » : {message}',
+    kinds: {
+      table: 'Table',
+      column: 'Colonne'
+    }
+  },
+
+  settings: {
+    title: 'Paramètres de l’application',
+    subtitle: 'Configurer les préférences de l’application et les paramètres système',
+    saved: 'Paramètres enregistrés avec succès !',
+    saveFailed: 'Impossible d’enregistrer les paramètres : {message}',
+    confirmReset: 'Voulez-vous vraiment rétablir tous les paramètres par défaut ? Cette action est irréversible.',
+    resetDone: 'Paramètres par défaut rétablis. Enregistrez pour les appliquer à toute l’équipe.',
+    loadFailed: 'Impossible de charger les paramètres : {message}',
+    save: 'Enregistrer les paramètres',
+    saving: 'Enregistrement...',
+    reset: 'Rétablir les valeurs par défaut',
+    readOnly: 'Votre rôle peut consulter ces paramètres mais pas les modifier.',
+    applicationCard: 'Paramètres de l’application',
+    interfaceCard: 'Interface utilisateur',
+    appName: 'Nom de l’application',
+    appNameHelp: 'Le nom affiché pour votre application',
+    appVersion: 'Version de l’application',
+    appVersionHelp: 'Version actuelle de l’application',
+    maintenanceMode: 'Mode maintenance',
+    maintenanceModeHelp: 'Seuls les administrateurs peuvent utiliser l’application en mode maintenance',
+    maintenanceMessage: 'Message de maintenance',
+    maintenanceMessageHelp: 'Affiché à tous les utilisateurs bloqués pendant la maintenance',
+    debugMode: 'Mode débogage',
+    debugModeHelp: 'Active les journaux de débogage et le détail des erreurs',
+    theme: 'Thème',
+    themeHelp: 'Thème de couleur du tableau de bord ; Système suit la préférence clair/sombre de chaque appareil',
+    selectTheme: 'Choisir un thème',
+    themes: {
+      light: 'Clair',
+      dark: 'Sombre',
+      system: 'Système (selon l’appareil)'
+    },
+    language: 'Langue',
+    languageHelp: 'Langue du tableau de bord, y compris les formats de date et de nombre',
+    selectLanguage: 'Choisir une langue',
+    showNotifications: 'Afficher les notifications',
+    showNotificationsHelp: 'Affiche une notification à la fin d’une action ; les erreurs s’affichent toujours et toutes les notifications restent dans l’historique de la cloche',
+    apiCard: 'API',
+    rateLimitEnabled: 'Limite de requêtes',
+    rateLimitEnabledHelp: 'Refuse les requêtes API des utilisateurs (ou adresses IP, avant connexion) qui dépassent leur quota ; les administrateurs ne sont jamais limités',
+    rateLimitRequests: 'Requêtes par fenêtre',
+    rateLimitRequestsHelp: 'Requêtes que chaque utilisateur ou adresse IP peut faire par fenêtre (une heure sauf si API_RATE_LIMIT_WINDOW est défini)',
+    databaseCard: 'Base de données',
+    trashRetentionDays: 'Conservation de la corbeille (jours)',
+    trashRetentionDaysHelp: 'Durée pendant laquelle les tables et colonnes supprimées restent dans la corbeille avant d’être purgées définitivement'
+  },
+
+  form: {
+    required: 'Obligatoire'
+  },
+
+  login: {
+    title: 'Connexion',
+    subtitle: 'Connectez-vous pour gérer la base de données et les paramètres de l’application.',
+    username: 'Nom d’utilisateur',
+    password: 'Mot de passe',
+    submit: 'Se connecter',
+    invalidCredentials: 'Nom d’utilisateur ou mot de passe incorrect'
+  },
+
+  config: {
+    title: 'Configuration',
+    subtitle: 'Toutes les clés enregistrées dans la table config. Les clés système peuvent être modifiées, mais pas supprimées.',
+    loadFailed: 'Impossible de charger la configuration : {message}',
+    updated: 'Configuration « {name} » mise à jour !',
+    updateFailed: 'Impossible de mettre à jour la configuration : {message}',
+    created: 'Configuration « {name} » créée !',
+    createFailed: 'Impossible de créer la configuration : {message}',
+    confirmDelete: 'Voulez-vous vraiment supprimer la configuration « {name} » ?',
+    deleted: 'Configuration « {name} » supprimée !',
+    deleteFailed: 'Impossible de supprimer la configuration : {message}',
+    readFailed: 'Impossible de lire {file} : {message}',
+    imported: { one: '{count} clé importée', other: '{count} clés importées' },
+    importCreated: '{count} créées',
+    importDeleted: '{count} supprimées',
+    importFailed: 'Impossible d’importer la configuration : {message}',
+    notInteger: 'La valeur doit être un entier',
+    fileNotObject: 'Un objet de valeurs de configuration est attendu',
+    fileMissingName: 'Chaque entrée doit avoir un nom',
+    fileInvalidValue: 'La configuration « {name} » doit être un booléen, un nombre ou une chaîne',
+    searchPlaceholder: 'Rechercher des clés ou des valeurs...',
+    searchLabel: 'Rechercher dans la configuration',
+    addKey: 'Ajouter une clé',
+    importJson: 'Importer JSON',
+    exportJson: 'Exporter JSON',
+    refresh: 'Actualiser',
+    key: 'Clé',
+    keyPlaceholder: 'ex. support_email',
+    type: 'Type',
+    value: 'Valeur',
+    create: 'Créer',
+    importTitle: 'Importer',
+    importSummary: {
+      one: '{count} clé : {created} nouvelles, {existing} existantes.',
+      other: '{count} clés : {created} nouvelles, {existing} existantes.'
+    },
+    importReplace: 'Remplacer toute la configuration (supprimer les clés non système absentes du fichier)',
+    importWillDelete: 'Seront supprimées : {names}',
+    applyImport: 'Appliquer l’import',
+    createdAt: 'Créée',
+    modifiedAt: 'Modifiée',
+    actions: 'Actions',
+    loading: 'Chargement de la configuration...',
+    noMatches: 'Aucune clé ne correspond à la recherche',
+    empty: 'Aucune clé de configuration',
+    core: 'système',
+    save: 'Enregistrer',
+    editValue: 'Modifier la valeur',
+    deleteKey: 'Supprimer la clé',
+    coreNotDeletable: 'Les clés système ne peuvent pas être supprimées',
+    types: {
+      string: 'Chaîne',
+      int: 'Entier',
+      bool: 'Booléen'
+    }
+  },
+
+  users: {
+    title: 'Gestion des utilisateurs',
+    subtitle: 'Comptes enregistrés dans la table user. Les noms d’utilisateur doivent être uniques, et les utilisateurs sans mot de passe ne peuvent pas se connecter. Le rôle détermine les écrans et actions de chaque utilisateur ; il doit rester au moins un administrateur.',
+    loadFailed: 'Impossible de charger les utilisateurs : {message}',
+    usernameTaken: 'Le nom d’utilisateur « {username} » est déjà pris',
+    created: 'Utilisateur « {username} » créé avec succès !',
+    renamed: 'Utilisateur renommé en « {username} » avec succès !',
+    passwordUpdated: 'Mot de passe de « {username} » mis à jour avec succès !',
+    roleChanged: '« {username} » est maintenant {role}.',
+    roleFailed: 'Impossible de changer le rôle : {message}',
+    confirmDelete: 'Voulez-vous vraiment supprimer l’utilisateur « {username} » ?',
+    deleted: 'Utilisateur « {username} » supprimé avec succès !',
+    deleteFailed: 'Impossible de supprimer l’utilisateur : {message}',
+    searchPlaceholder: 'Rechercher des noms d’utilisateur...',
+    searchLabel: 'Rechercher des utilisateurs',
+    addUser: 'Ajouter un utilisateur',
+    refresh: 'Actualiser',
+    username: 'Nom d’utilisateur',
+    usernamePlaceholder: 'ex. jane.doe',
+    password: 'Mot de passe',
+    passwordPlaceholder: 'Laisser vide pour le définir plus tard',
+    role: 'Rôle',
+    create: 'Créer',
+    loading: 'Chargement des utilisateurs...',
+    noMatches: 'Aucun utilisateur ne correspond à la recherche',
+    empty: 'Aucun utilisateur',
+    newUsernameFor: 'Nouveau nom d’utilisateur pour {username}',
+    noPassword: 'sans mot de passe',
+    noPasswordHint: 'Définissez un mot de passe pour que cet utilisateur puisse se connecter',
+    newPassword: 'Nouveau mot de passe',
+    newPasswordFor: 'Nouveau mot de passe pour {username}',
+    savePassword: 'Enregistrer le mot de passe',
+    roleFor: 'Rôle de {username}',
+    save: 'Enregistrer',
+    rename: 'Renommer l’utilisateur',
+    setPassword: 'Définir le mot de passe',
+    delete: 'Supprimer l’utilisateur',
+    showing: {
+      one: 'Affichage de {start} à {end} sur {count} utilisateur',
+      other: 'Affichage de {start} à {end} sur {count} utilisateurs'
+    },
+    pageOf: 'Page {page} sur {pages}',
+    pagination: 'Pagination des utilisateurs',
+    previous: 'Précédent',
+    next: 'Suivant',
+    columns: {
+      id: 'ID',
+      username: 'Nom d’utilisateur',
+      role: 'Rôle',
+      timecreated: 'Créé',
+      timemodified: 'Modifié',
+      actions: 'Actions'
+    },
+    roleDescriptions: {
+      admin: 'Tout, y compris supprimer des tables et gérer les utilisateurs',
+      developer: 'Outils de base de données sans actions destructives, SQL en lecture seule',
+      viewer: 'Écrans de l’application, en lecture seule'
+    }
+  },
+
+  tableCreate: {
+    title: 'Créer une table',
+    tableName: 'Nom de la table',
+    tableNamePlaceholder: 'Saisissez le nom de la table',
+    columns: 'Colonnes',
+    columnName: 'Nom de la colonne',
+    columnNamePlaceholder: 'Nom de la colonne',
+    dataType: 'Type de données',
+    options: 'Options',
+    primaryKey: 'Clé primaire',
+    notNull: 'Non nul',
+    remove: 'Retirer',
+    removeColumn: 'Retirer la colonne',
+    addColumn: 'Ajouter une colonne',
+    constraints: 'Contraintes',
+    removeConstraint: 'Retirer la contrainte',
+    addToTable: 'Ajouter à la table',
+    addConstraint: 'Ajouter une contrainte',
+    creating: 'Création...',
+    submit: 'Créer la table'
+  },
+
+  constraintEditor: {
+    type: 'Type de contrainte',
+    name: 'Nom de la contrainte (facultatif)',
+    namePlaceholder: 'Généré par PostgreSQL',
+    expression: 'Expression CHECK',
+    expressionPlaceholder: 'ex. price >= 0',
+    referencesTable: 'Table référencée',
+    selectTable: 'Sélectionnez une table...',
+    thisTable: '{table} (cette table)',
+    columns: 'Colonnes',
+    noColumns: 'Définissez d’abord les colonnes.',
+    referencedColumns: 'Colonnes référencées',
+    referencedColumnFor: 'Colonne référencée pour {column}',
+    selectColumn: 'Sélectionnez une colonne...',
+    onDelete: 'À la suppression',
+    onUpdate: 'À la mise à jour',
+    types: {
+      foreign_key: 'Clé étrangère',
+      unique: 'Unique',
+      check: 'Check'
+    }
+  },
+
+  constraints: {
+    title: 'Contraintes',
+    fetchFailed: 'Impossible de récupérer les contraintes : {message}',
+    added: 'Contrainte ajoutée avec succès !',
+    addedNamed: 'Contrainte « {name} » ajoutée avec succès !',
+    previewFailed: 'Impossible de prévisualiser la contrainte : {message}',
+    addFailed: 'Impossible d’ajouter la contrainte : {message}',
+    confirmDrop: 'Voulez-vous vraiment supprimer la contrainte « {name} » ?',
+    dropped: 'Contrainte « {name} » supprimée avec succès !',
+    dropFailed: 'Impossible de supprimer la contrainte : {message}',
+    add: 'Ajouter une contrainte',
+    name: 'Nom',
+    type: 'Type',
+    definition: 'Définition',
+    actions: 'Actions',
+    loading: 'Chargement des contraintes...',
+    empty: 'Aucune contrainte sur cette table',
+    drop: 'Supprimer la contrainte',
+    referencedBy: 'Référencée par :',
+    constraintTitle: 'Contrainte « {name} »',
+    generating: 'Génération...',
+    previewDdl: 'Aperçu du DDL',
+    addPreviewedTitle: 'Ajouter la contrainte prévisualisée',
+    previewFirst: 'Prévisualisez d’abord le DDL',
+    adding: 'Ajout...'
+  },
+
+  ddlPreview: {
+    title: 'DDL généré'
+  },
+
+  exportMenu: {
+    title: 'Exporter les données de la table',
+    export: 'Exporter',
+    exporting: 'Export...',
+    exported: '« {table} » exportée en {file}',
+    failed: 'Impossible d’exporter la table : {message}',
+    currentFilter: 'Filtre actuel',
+    currentSort: 'Tri actuel',
+    wholeTable: 'Table entière'
+  },
+
+  indexes: {
+    title: 'Index',
+    fetchFailed: 'Impossible de récupérer les index : {message}',
+    created: 'Index « {name} » créé avec succès !',
+    previewFailed: 'Impossible de prévisualiser l’index : {message}',
+    createFailed: 'Impossible de créer l’index : {message}',
+    confirmDrop: 'Voulez-vous vraiment supprimer l’index « {name} » ?',
+    dropped: 'Index « {name} » supprimé avec succès !',
+    dropFailed: 'Impossible de supprimer l’index : {message}',
+    add: 'Ajouter un index',
+    name: 'Nom',
+    columns: 'Colonnes',
+    method: 'Méthode',
+    properties: 'Propriétés',
+    size: 'Taille',
+    actions: 'Actions',
+    loading: 'Chargement des index...',
+    empty: 'Aucun index sur cette table',
+    expression: 'expression',
+    primary: 'Primaire',
+    unique: 'Unique',
+    partial: 'Partiel',
+    backsConstraint: 'Sert la contrainte « {name} »',
+    drop: 'Supprimer l’index',
+    columnsInOrder: 'Colonnes (dans l’ordre de l’index)',
+    indexName: 'Nom de l’index (facultatif)',
+    predicate: 'Prédicat WHERE (facultatif, index partiel)',
+    predicatePlaceholder: 'ex. deleted_at IS NULL',
+    generating: 'Génération...',
+    previewDdl: 'Aperçu du DDL',
+    createPreviewedTitle: 'Créer l’index prévisualisé',
+    previewFirst: 'Prévisualisez d’abord le DDL',
+    creating: 'Création...',
+    create: 'Créer l’index',
+    methods: {
+      btree: 'B-tree (par défaut)',
+      gin: 'GIN (tableaux, JSONB, texte intégral)',
+      hash: 'Hash (égalité uniquement, une seule colonne)'
+    }
+  },
+
+  rowInsert: {
+    title: 'Ajouter une ligne',
+    autoGenerated: 'Généré automatiquement',
+    default: 'Par défaut : {value}',
+    select: 'Sélectionnez...',
+    saving: 'Enregistrement...',
+    submit: 'Insérer la ligne'
+  },
+
+  columnTypes: {
+    notNumber: '« {column} » doit être un nombre',
+    notBoolean: '« {column} » doit valoir true ou false',
+    notJson: '« {column} » doit être du JSON valide'
+  },
+
+  queryConsole: {
+    title: 'Console de requêtes SQL',
+    allowWrites: 'Autoriser les écritures',
+    readOnly: 'Lecture seule',
+    readOnlyBadge: 'lecture seule',
+    writeModeTitle: 'Mode écriture :',
+    writeModeText: 'les instructions sont validées et peuvent modifier ou supprimer des données.',
+    readOnlyMode: 'Mode lecture seule : les instructions s’exécutent dans une transaction en lecture seule qui n’est jamais validée.',
+    editorLabel: 'Instruction SQL',
+    runHint: 'Appuyez sur Ctrl+Entrée pour exécuter',
+    clear: 'Effacer',
+    running: 'Exécution...',
+    run: 'Exécuter la requête',
+    rowsAffected: { one: '{command} : {count} ligne affectée', other: '{command} : {count} lignes affectées' },
+    rowsReturned: { one: '{command} : {count} ligne renvoyée', other: '{command} : {count} lignes renvoyées' },
+    duration: '{duration} ms (délai {timeout} ms)',
+    truncated: {
+      one: 'Affichage de la première ligne. Ajoutez une clause LIMIT pour restreindre le résultat.',
+      other: 'Affichage des {count} premières lignes. Ajoutez une clause LIMIT pour restreindre le résultat.'
+    },
+    noRows: 'La requête n’a renvoyé aucune ligne.',
+    history: 'Historique',
+    historyEmpty: 'Les requêtes exécutées pendant cette session apparaissent ici.',
+    loadEntry: 'Charger dans l’éditeur',
+    historyFailed: 'Échec',
+    historyEntry: {
+      one: '{command} · {count} ligne · {duration} ms',
+      other: '{command} · {count} lignes · {duration} ms'
+    },
+    historyWrite: 'écriture'
+  },
+
+  columnEdit: {
+    title: 'Modifier la colonne',
+    currently: 'actuellement {type}',
+    noChanges: 'Aucune modification à appliquer',
+    columnName: 'Nom de la colonne',
+    dataType: 'Type de données',
+    keepType: 'Conserver le type actuel',
+    using: 'Expression USING (facultatif)',
+    usingPlaceholder: 'ex. {expression}',
+    usingHelp: 'Convertit les valeurs existantes quand PostgreSQL ne peut pas les convertir automatiquement.',
+    default: 'Valeur par défaut',
+    defaultValue: 'Valeur par défaut',
+    defaultExpression: 'Expression par défaut',
+    defaultValuePlaceholder: 'Saisissez la valeur par défaut',
+    defaultExpressionPlaceholder: 'ex. now()',
+    notNull: 'Non nul',
+    primaryKeyNotNull: '(obligatoire pour les clés primaires)',
+    generating: 'Génération...',
+    previewDdl: 'Aperçu du DDL',
+    applyPreviewedTitle: 'Appliquer les modifications prévisualisées',
+    previewFirst: 'Prévisualisez d’abord le DDL',
+    applying: 'Application...',
+    apply: 'Appliquer les modifications',
+    defaultModes: {
+      keep: 'Conserver la valeur par défaut actuelle',
+      value: 'Définir une valeur littérale',
+      expression: 'Définir une expression SQL',
+      drop: 'Supprimer la valeur par défaut'
+    }
+  },
+
+  schemaDiagram: {
+    loadFailed: 'Impossible de charger le schéma de la base de données : {message}',
+    exportFailed: 'Impossible d’exporter le diagramme : {message}',
+    tooLarge: 'Le diagramme est trop grand pour être exporté en PNG',
+    renderFailed: 'Impossible d’afficher le diagramme',
+    editTable: 'Modifier {table}',
+    noColumns: 'Aucune colonne',
+    zoom: 'Zoom',
+    zoomOut: 'Zoom arrière',
+    zoomIn: 'Zoom avant',
+    fit: 'Ajuster',
+    autoLayout: 'Disposition automatique',
+    reload: 'Recharger',
+    empty: 'Aucune table à afficher',
+    hint: 'Faites glisser le fond pour vous déplacer, utilisez la molette pour zoomer et faites glisser les tables pour les déplacer.',
+    clickHint: 'Cliquez sur une table pour voir ses données.',
+    clickHintEdit: 'Cliquez sur une table pour voir ses données ou sur ✏️ pour modifier sa structure.'
+  },
+
+  tableImport: {
+    title: 'Importer des données',
+    file: 'Fichier',
+    fileHelp: 'CSV avec une ligne d’en-tête, un tableau JSON d’objets ou NDJSON (un objet par ligne).',
+    readFailed: 'Impossible de lire {file} : {message}',
+    schemaFailed: 'Impossible de récupérer le schéma de la table : {message}',
+    validateFailed: 'Échec de la validation : {message}',
+    importFailed: 'Échec de l’importation : {message}',
+    imported: { one: '{count} ligne importée dans « {table} »', other: '{count} lignes importées dans « {table} »' },
+    importInto: 'Importer dans',
+    newTable: 'Nouvelle table',
+    existingTable: 'Table existante',
+    newTableName: 'Nom de la nouvelle table',
+    tableNamePlaceholder: 'Saisissez le nom de la table',
+    selectTable: 'Sélectionnez une table...',
+    columns: 'Colonnes',
+    addId: 'Ajouter une clé primaire « id SERIAL »',
+    includeColumn: 'Inclure la colonne',
+    columnName: 'Nom de colonne pour {column}',
+    dataType: 'Type de données pour {column}',
+    notNull: 'Non nul',
+    mapping: 'Correspondance des colonnes',
+    targetColumn: 'Colonne cible pour {column}',
+    skipColumn: 'Ignorer cette colonne',
+    skipped: 'ignorée',
+    preview: 'Aperçu',
+    previewInfo: {
+      one: '{shown} première(s) sur {count} ligne de {file} ({format})',
+      other: '{shown} première(s) sur {count} lignes de {file} ({format})'
+    },
+    fieldWarnings: {
+      one: '{count} ligne a un nombre de champs inattendu, ex. ligne {row} : {message}.',
+      other: '{count} lignes ont un nombre de champs inattendu, ex. ligne {row} : {message}.'
+    },
+    canImport: {
+      one: '{valid} ligne sur {count} peut être importée.',
+      other: '{valid} lignes sur {count} peuvent être importées.'
+    },
+    failedRows: {
+      one: '{count} ligne a échoué. Corrigez le fichier ou les paramètres des colonnes puis validez à nouveau.',
+      other: '{count} lignes ont échoué. Corrigez le fichier ou les paramètres des colonnes puis validez à nouveau.'
+    },
+    row: 'Ligne',
+    error: 'Erreur',
+    values: 'Valeurs',
+    moreErrors: '...et {count} de plus',
+    validate: 'Valider',
+    validating: 'Validation...',
+    import: 'Importer',
+    importing: 'Importation...',
+    importAll: 'Importer toutes les lignes',
+    validateFirst: 'Validez d’abord le fichier sans erreurs'
+  },
+
+  importParser: {
+    unterminatedQuote: 'Le CSV contient un champ entre guillemets non fermé',
+    empty: 'Le fichier est vide',
+    unnamedColumn: 'Chaque colonne de la ligne d’en-tête doit avoir un nom',
+    duplicateColumns: 'Noms de colonnes en double dans l’en-tête : {columns}',
+    fieldCount: '{expected} champs attendus mais {found} trouvés',
+    invalidJsonLine: 'JSON invalide à la ligne {line} : {message}',
+    invalidJson: 'JSON invalide : {message}',
+    notArray: 'Les importations JSON doivent contenir un tableau d’objets',
+    notObject: 'La ligne {row} n’est pas un objet',
+    noRows: 'Le fichier ne contient aucune ligne de données'
+  }
+};
+
+export default fr;
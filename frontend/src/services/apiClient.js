@@ -0,0 +1,261 @@
+/**
+ * API Client
+ *
+ * Shared HTTP client for talking to the PHP backend.
+ * Centralizes base URL configuration, request timeouts, authentication and
+ * error normalization so components don't have to hand-roll fetch calls.
+ */
+
+import { getToken, clearSession, recordActivity } from './authSession';
+import { recordResponse, getRetryDelay, waitForRetry } from './rateLimit';
+
+// Fallback used when neither runtime nor build-time configuration is provided
+const DEFAULT_BASE_URL = 'http://localhost:8080';
+const DEFAULT_TIMEOUT = 30000;
+
+// Observers of every backend response (see addResponseListener)
+const responseListeners = new Set();
+
+/**
+ * Read runtime configuration injected via public/config.js
+ * @return {Object} Runtime configuration object
+ */
+const getRuntimeConfig = () => {
+  if (typeof window !== 'undefined' && window.APP_CONFIG) {
+    return window.APP_CONFIG;
+  }
+  return {};
+};
+
+/**
+ * Resolve API base URL
+ *
+ * Priority: runtime config (window.APP_CONFIG) > REACT_APP_API_BASE_URL > default
+ * @return {string} Base URL without trailing slash
+ */
+export const getApiBaseUrl = () => {
+  const baseUrl = getRuntimeConfig().apiBaseUrl
+    || process.env.REACT_APP_API_BASE_URL
+    || DEFAULT_BASE_URL;
+  return baseUrl.replace(/\/+$/, '');
+};
+
+/**
+ * Resolve default request timeout in milliseconds
+ * @return {number} Timeout in milliseconds
+ */
+export const getApiTimeout = () => {
+  const timeout = Number(getRuntimeConfig().apiTimeout || process.env.REACT_APP_API_TIMEOUT);
+  return timeout > 0 ? timeout : DEFAULT_TIMEOUT;
+};
+
+/**
+ * ApiError
+ *
+ * Normalized error thrown for every failed request. Mirrors the backend
+ * error payload shape ({ status, error_type, message, details|context }).
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} options
+   * @param {number} options.status - HTTP status code (0 for network failures)
+   * @param {string} options.errorType - Backend error_type or client-side category
+   * @param {Object} options.details - Additional error details from the backend
+   * @param {Object} options.body - Raw response body, if any
+   */
+  constructor(message, { status = 0, errorType = 'error', details = {}, body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.errorType = errorType;
+    this.details = details;
+    this.body = body;
+  }
+}
+
+/**
+ * Build a full URL from a path and optional query parameters
+ * @param {string} path - API path (e.g. '/api/tables')
+ * @param {Object} query - Query parameters; null/undefined/'' values are skipped
+ * @return {string} Full request URL
+ */
+export const buildUrl = (path, query = {}) => {
+  const params = new URLSearchParams();
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, value);
+    }
+  });
+
+  const queryString = params.toString();
+  return `${getApiBaseUrl()}${path}${queryString ? `?${queryString}` : ''}`;
+};
+
+/**
+ * Observe every backend response, e.g. to follow state the backend reports in headers
+ * @param {Function} listener - Called with (response, body); body is null for file downloads
+ * @return {Function} Function that removes the listener
+ */
+export const addResponseListener = (listener) => {
+  responseListeners.add(listener);
+  return () => responseListeners.delete(listener);
+};
+
+/**
+ * Parse a response body as JSON, tolerating empty or non-JSON bodies
+ * @param {Response} response - Fetch response
+ * @return {Promise<Object|null>} Parsed body or null
+ */
+const parseBody = async (response) => {
+  const text = await response.text();
+
+  if (!text) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return { message: text };
+  }
+};
+
+/**
+ * Convert an error response into an ApiError
+ * @param {Response} response - Fetch response
+ * @param {Object|null} body - Parsed response body
+ * @return {ApiError} Normalized error
+ */
+const toApiError = (response, body) => {
+  const message = (body && body.message) || `HTTP error! status: ${response.status}`;
+
+  return new ApiError(message, {
+    status: response.status,
+    errorType: (body && body.error_type) || 'http_error',
+    details: (body && (body.details || body.context)) || {},
+    body
+  });
+};
+
+/**
+ * Perform an HTTP request against the backend
+ *
+ * The signed-in session's token is sent as a Bearer Authorization header;
+ * a 401 response to an authenticated request ends the session and any other
+ * successful one counts as activity for the idle timeout. Requests
+ * refused by the rate limit (429) are retried after the Retry-After delay
+ * (see rateLimit.js); the timeout applies to each attempt.
+ *
+ * @param {string} path - API path (e.g. '/api/tables')
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {Object} options.query - Query parameters
+ * @param {*} options.body - Request body, JSON encoded when present
+ * @param {Object} options.headers - Additional request headers
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @param {string} options.responseType - 'json' (default) or 'blob' for file downloads
+ * @param {boolean} options.trackActivity - Whether a successful response counts as user
+ *   activity (default: true); false for background polling
+ * @return {Promise<{status: number, headers: Headers, body: Object|Blob|null}>} Raw response
+ * @throws {ApiError} On network failure, timeout or non-2xx status
+ */
+export const request = async (path, {
+  method = 'GET',
+  query = {},
+  body,
+  headers = {},
+  timeout = getApiTimeout(),
+  responseType = 'json',
+  trackActivity = true
+} = {}) => {
+  const token = getToken();
+  const requestHeaders = { Accept: responseType === 'blob' ? '*/*' : 'application/json', ...headers };
+  if (token && !requestHeaders.Authorization) {
+    requestHeaders.Authorization = `Bearer ${token}`;
+  }
+  if (body !== undefined) {
+    requestHeaders['Content-Type'] = 'application/json';
+  }
+
+  const send = async () => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      return await fetch(buildUrl(path, query), {
+        method,
+        headers: requestHeaders,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw new ApiError(`Request timed out after ${timeout}ms`, { errorType: 'timeout_error' });
+      }
+      throw new ApiError(`Network error: ${err.message}`, { errorType: 'network_error' });
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  let response = await send();
+  recordResponse(response);
+
+  // Back off and retry while the rate limit refuses the request
+  let delay = getRetryDelay(response, 0);
+  for (let attempt = 1; delay !== null; attempt += 1) {
+    await waitForRetry(delay);
+    response = await send();
+    recordResponse(response);
+    delay = getRetryDelay(response, attempt);
+  }
+
+  if (token) {
+    if (response.status === 401) {
+      clearSession('expired');
+    } else if (response.ok && trackActivity) {
+      recordActivity();
+    }
+  }
+
+  // Error responses are always JSON, even for file downloads
+  if (responseType === 'blob' && response.ok) {
+    responseListeners.forEach((listener) => listener(response, null));
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: await response.blob()
+    };
+  }
+
+  const responseBody = await parseBody(response);
+  responseListeners.forEach((listener) => listener(response, responseBody));
+
+  if (!response.ok || (responseBody && responseBody.status === 'error')) {
+    throw toApiError(response, responseBody);
+  }
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: responseBody
+  };
+};
+
+/**
+ * Convenience wrappers returning the response envelope
+ * ({ status, message, data, meta }); download returns the raw response with a Blob body
+ */
+const apiClient = {
+  request,
+  get: async (path, options = {}) => (await request(path, { ...options, method: 'GET' })).body,
+  post: async (path, body, options = {}) => (await request(path, { ...options, method: 'POST', body })).body,
+  put: async (path, body, options = {}) => (await request(path, { ...options, method: 'PUT', body })).body,
+  patch: async (path, body, options = {}) => (await request(path, { ...options, method: 'PATCH', body })).body,
+  delete: async (path, options = {}) => (await request(path, { ...options, method: 'DELETE' })).body,
+  download: async (path, options = {}) => request(path, { ...options, method: 'GET', responseType: 'blob' })
+};
+
+export default apiClient;
@@ -0,0 +1,59 @@
+import apiClient from './apiClient';
+
+/**
+ * Audit API
+ *
+ * Helper for the /api/audit route exposed by AuditController: the log of
+ * changes made through the table API, newest first.
+ *
+ * timecreated is a Unix timestamp in seconds. payload holds the request
+ * parameters of the change and sql the statement(s) it ran (null for
+ * changes that report none).
+ */
+
+const AUDIT_PATH = '/api/audit';
+
+/**
+ * Recorded actions, in the order the audit log screen offers them as filters
+ */
+export const ACTIONS = [
+  'create_table',
+  'rename_table',
+  'drop_table',
+  'truncate_table',
+  'import_rows',
+  'add_column',
+  'alter_column',
+  'drop_column',
+  'create_index',
+  'drop_index',
+  'add_constraint',
+  'drop_constraint',
+  'restore_table',
+  'restore_column',
+  'purge_table',
+  'purge_column',
+  'insert_row',
+  'update_row',
+  'delete_row'
+];
+
+/**
+ * Get a page of audit log entries
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Entries per page
+ * @param {string} options.actor - Username search term
+ * @param {string} options.table - Table name search term
+ * @param {string} options.action - One of ACTIONS, or empty for all
+ * @return {Promise<{entries: Array<{id: number, user_id: number|null, username: string|null, action: string, table_name: string, target: string|null, payload: Object, sql: string|null, timecreated: number}>, pagination: Object}>}
+ */
+export const getAuditLog = async ({ page = 1, limit = 25, actor = '', table = '', action = '' } = {}) => {
+  const response = await apiClient.get(AUDIT_PATH, {
+    query: { page, limit, actor, table, action }
+  });
+  return {
+    entries: response.data,
+    pagination: response.meta?.pagination
+  };
+};
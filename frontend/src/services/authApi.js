@@ -0,0 +1,49 @@
+import apiClient from './apiClient';
+import { setSession, clearSession, updateUser } from './authSession';
+
+/**
+ * Auth API
+ *
+ * Helpers for the /api/auth routes exposed by AuthController. Signing in
+ * and refreshing store the returned session in authSession, after which
+ * apiClient sends its token with every request.
+ */
+
+const AUTH_PATH = '/api/auth';
+
+/**
+ * Sign in with a username and password
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @return {Promise<Object>} The stored session
+ */
+export const login = async (username, password) => {
+  const response = await apiClient.post(`${AUTH_PATH}/login`, { username, password });
+  return setSession(response.data);
+};
+
+/**
+ * Exchange the current token for a new one, extending the session
+ * @return {Promise<Object>} The stored session
+ */
+export const refreshSession = async () => {
+  const response = await apiClient.post(`${AUTH_PATH}/refresh`);
+  return setSession(response.data);
+};
+
+/**
+ * Get the signed-in user and update the session with their current role
+ * @return {Promise<{id: number, username: string, role: string, permissions: string[], expires_at: number}>}
+ */
+export const getCurrentUser = async () => {
+  const response = await apiClient.get(`${AUTH_PATH}/me`);
+  updateUser(response.data);
+  return response.data;
+};
+
+/**
+ * Sign out; tokens are stateless, so this only forgets the session
+ */
+export const logout = () => {
+  clearSession('logout');
+};
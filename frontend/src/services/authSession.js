@@ -0,0 +1,141 @@
+/**
+ * Auth Session
+ *
+ * Holds the signed-in session ({ token, expiresAt, issuedAt, user }) and
+ * persists it in localStorage so a page reload keeps the user signed in.
+ * apiClient reads the token from here for the Authorization header and
+ * clears the session when the backend rejects it; the app subscribes to
+ * changes to switch between the login screen and the dashboard.
+ *
+ * The session user carries the role and permissions granted by the backend;
+ * screens use hasPermission() to hide or disable what the role can't do.
+ * The backend enforces the same permissions, so this only shapes the UI.
+ */
+
+const STORAGE_KEY = 'authSession';
+
+const listeners = new Set();
+let lastActivity = 0;
+
+/**
+ * Read the stored session, dropping it when it is malformed or expired
+ * @return {Object|null} Session
+ */
+const readStoredSession = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+
+    if (stored && stored.token && stored.expiresAt * 1000 > Date.now() && stored.user?.permissions) {
+      return stored;
+    }
+  } catch (err) {
+    // Ignore unreadable storage and start signed out
+  }
+
+  window.localStorage.removeItem(STORAGE_KEY);
+  return null;
+};
+
+let currentSession = readStoredSession();
+
+/**
+ * Notify subscribers of a session change
+ * @param {string|null} reason - Why the session ended ('logout' or 'expired'), if it did
+ */
+const notify = (reason = null) => {
+  listeners.forEach((listener) => listener(currentSession, reason));
+};
+
+/**
+ * Get the current session
+ * @return {{token: string, expiresAt: number, issuedAt: number, user: Object}|null} Session, or null when signed out
+ */
+export const getSession = () => currentSession;
+
+/**
+ * Get the bearer token of the current session
+ * @return {string|null} Token, or null when signed out
+ */
+export const getToken = () => (currentSession ? currentSession.token : null);
+
+/**
+ * Start or replace the session from a login/refresh response
+ * @param {Object} data - Backend session ({ token, expires_at, user })
+ * @return {Object} The stored session
+ */
+export const setSession = (data) => {
+  currentSession = {
+    token: data.token,
+    expiresAt: data.expires_at,
+    issuedAt: Date.now(),
+    user: data.user
+  };
+
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(currentSession));
+  notify();
+  return currentSession;
+};
+
+/**
+ * Replace the signed-in user, e.g. after their role changed
+ * @param {Object} user - User ({ id, username, role, permissions })
+ */
+export const updateUser = (user) => {
+  if (!currentSession) {
+    return;
+  }
+
+  currentSession = {
+    ...currentSession,
+    user: { id: user.id, username: user.username, role: user.role, permissions: user.permissions }
+  };
+
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(currentSession));
+  notify();
+};
+
+/**
+ * Check whether the signed-in user's role grants a permission
+ * @param {string} permission - Permission (e.g. 'schema.destroy')
+ * @return {boolean} True if granted
+ */
+export const hasPermission = (permission) => (
+  Boolean(currentSession && currentSession.user.permissions.includes(permission))
+);
+
+/**
+ * End the session
+ * @param {string} reason - 'logout' when the user signed out, 'expired' when the session ran out or was rejected
+ */
+export const clearSession = (reason = 'logout') => {
+  if (!currentSession) {
+    return;
+  }
+
+  currentSession = null;
+  window.localStorage.removeItem(STORAGE_KEY);
+  notify(reason);
+};
+
+/**
+ * Subscribe to session changes
+ * @param {Function} listener - Called with (session, reason) on every change
+ * @return {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Record that an authenticated request succeeded, keeping the session eligible for refresh
+ */
+export const recordActivity = () => {
+  lastActivity = Date.now();
+};
+
+/**
+ * Get the time of the last successful authenticated request
+ * @return {number} Milliseconds since the epoch (0 if none yet)
+ */
+export const getLastActivity = () => lastActivity;
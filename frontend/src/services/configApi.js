@@ -0,0 +1,84 @@
+import apiClient from './apiClient';
+
+/**
+ * Config API
+ *
+ * Helpers for the /api/config routes exposed by ConfigController.
+ * Each helper resolves to the `data` payload of the backend response.
+ *
+ * Values are typed (boolean, integer or string); the backend converts them
+ * to and from the text stored in the `config` table. Core keys can be
+ * updated but never deleted or retyped.
+ */
+
+const CONFIG_PATH = '/api/config';
+
+/**
+ * Get all config entries
+ * @return {Promise<{entries: Array<{name: string, value: *, type: string, core: boolean, timecreated: string, timemodified: string}>, count: number}>}
+ */
+export const getConfig = async () => {
+  const response = await apiClient.get(CONFIG_PATH);
+  return response.data;
+};
+
+/**
+ * Get the maintenance mode state (public, and open while in maintenance)
+ * @param {Object} options - Request options, e.g. {trackActivity: false} when polling
+ * @return {Promise<{enabled: boolean, message: string}>}
+ */
+export const getMaintenanceStatus = async (options = {}) => {
+  const response = await apiClient.get('/api/maintenance', options);
+  return response.data;
+};
+
+/**
+ * Update config values, creating keys that do not exist yet
+ * @param {Object} values - Values keyed by config name
+ * @return {Promise<{entries: Array, created: Array<string>, deleted: Array<string>}>}
+ */
+export const updateConfig = async (values) => {
+  const response = await apiClient.patch(CONFIG_PATH, { values });
+  return response.data;
+};
+
+/**
+ * Replace the whole configuration; non-core keys missing from values are deleted
+ * @param {Object} values - Values keyed by config name
+ * @return {Promise<{entries: Array, created: Array<string>, deleted: Array<string>}>}
+ */
+export const replaceConfig = async (values) => {
+  const response = await apiClient.put(CONFIG_PATH, { values });
+  return response.data;
+};
+
+/**
+ * Create a config key
+ * @param {string} name - Config name
+ * @param {*} value - Boolean, integer or string value
+ * @return {Promise<{name: string, value: *, type: string, core: boolean, timecreated: string, timemodified: string}>}
+ */
+export const createConfig = async (name, value) => {
+  const response = await apiClient.post(CONFIG_PATH, { name, value });
+  return response.data;
+};
+
+/**
+ * Delete a non-core config key
+ * @param {string} name - Config name
+ * @return {Promise<Object>} The deleted entry
+ */
+export const deleteConfig = async (name) => {
+  const response = await apiClient.delete(`${CONFIG_PATH}/${encodeURIComponent(name)}`);
+  return response.data;
+};
+
+/**
+ * Convert config entries into an object of values keyed by name
+ * @param {Array} entries - Config entries
+ * @return {Object} Values keyed by config name
+ */
+export const toValueMap = (entries) => entries.reduce((values, entry) => ({
+  ...values,
+  [entry.name]: entry.value
+}), {});
@@ -0,0 +1,144 @@
+import { useSyncExternalStore } from 'react';
+import en from '../locales/en';
+import es from '../locales/es';
+import fr from '../locales/fr';
+
+/**
+ * Internationalization
+ *
+ * Translates UI strings from the message catalogs in src/locales. Keys are
+ * dotted paths into a catalog ('tableView.addRow'); messages may contain
+ * {name} placeholders, and plural messages are objects keyed by Intl plural
+ * category (one, few, many, other, ...) chosen by the `count` parameter:
+ *
+ *   t('common.rows', { count: 3 }) // "3 rows" / "3 filas" / "3 lignes"
+ *
+ * Missing messages fall back to English, then to the key itself. Numbers and
+ * dates are formatted for the current language with Intl. The language is
+ * stored with the application settings (`language` config key) and, like the
+ * theme, remembered in localStorage so a reload starts in the right language.
+ * Components call useTranslation() to re-render when the language changes.
+ */
+
+/**
+ * Supported languages, with the name each one is offered under
+ */
+export const LANGUAGES = {
+  en: 'English',
+  es: 'Español',
+  fr: 'Français'
+};
+
+const CATALOGS = { en, es, fr };
+
+const STORAGE_KEY = 'language';
+
+const listeners = new Set();
+
+let currentLanguage = 'en';
+
+/**
+ * Find a message in a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Dotted message key
+ * @return {string|Object|undefined} Message, plural forms, or undefined when missing
+ */
+const lookup = (catalog, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  catalog
+);
+
+/**
+ * Format a number for the current language
+ * @param {number} value - Number
+ * @param {Object} options - Intl.NumberFormat options
+ * @return {string} Formatted number
+ */
+export const formatNumber = (value, options = {}) => (
+  new Intl.NumberFormat(currentLanguage, options).format(value)
+);
+
+/**
+ * Format a date and/or time for the current language
+ * @param {Date|string|number} value - Date, or anything Date accepts
+ * @param {Object} options - Intl.DateTimeFormat options (defaults to the date only)
+ * @return {string} Formatted date
+ */
+export const formatDate = (value, options = { dateStyle: 'medium' }) => (
+  new Intl.DateTimeFormat(currentLanguage, options).format(value instanceof Date ? value : new Date(value))
+);
+
+/**
+ * Translate a message
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Placeholder values; `count` also picks the plural form and is
+ *   formatted as a number, other values are inserted as given. `defaultValue` is used
+ *   when no catalog has the key.
+ * @return {string} Translated message
+ */
+export const t = (key, params = {}) => {
+  let message = lookup(CATALOGS[currentLanguage], key);
+
+  if (message === undefined) {
+    message = lookup(CATALOGS.en, key);
+  }
+
+  if (message === undefined) {
+    return params.defaultValue !== undefined ? params.defaultValue : key;
+  }
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(currentLanguage).select(params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (name === 'count' && typeof params.count === 'number') {
+      return formatNumber(params.count);
+    }
+    return params[name] !== undefined ? String(params[name]) : placeholder;
+  });
+};
+
+/**
+ * Get the current language
+ * @return {string} Language code ('en', 'es' or 'fr')
+ */
+export const getLanguage = () => currentLanguage;
+
+/**
+ * Switch the language app-wide
+ * @param {string} language - Language code; unsupported codes fall back to 'en'
+ */
+export const setLanguage = (language) => {
+  const next = Object.prototype.hasOwnProperty.call(LANGUAGES, language) ? language : 'en';
+
+  window.localStorage.setItem(STORAGE_KEY, next);
+  document.documentElement.setAttribute('lang', next);
+
+  if (next !== currentLanguage) {
+    currentLanguage = next;
+    listeners.forEach((listener) => listener(currentLanguage));
+  }
+};
+
+/**
+ * Subscribe to language changes
+ * @param {Function} listener - Called with the new language on every change
+ * @return {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * React hook returning the translation helpers, re-rendering when the language changes
+ * @return {{t: Function, formatNumber: Function, formatDate: Function, language: string}} Helpers
+ */
+export const useTranslation = () => {
+  const language = useSyncExternalStore(subscribe, getLanguage);
+  return { t, formatNumber, formatDate, language };
+};
+
+setLanguage(window.localStorage.getItem(STORAGE_KEY));
@@ -0,0 +1,66 @@
+import en from '../locales/en';
+import es from '../locales/es';
+import fr from '../locales/fr';
+import { t, setLanguage, getLanguage, formatNumber } from './i18n';
+
+/**
+ * List the message keys of a catalog, plural forms counting as one message
+ * @param {Object} catalog - Message catalog
+ * @param {string} prefix - Key prefix
+ * @return {Array<string>} Dotted message keys
+ */
+const listKeys = (catalog, prefix = '') => Object.entries(catalog).flatMap(([key, value]) => (
+  typeof value === 'object' && !('other' in value) ? listKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+describe('catalogs', () => {
+  it.each([['es', es], ['fr', fr]])('%s has the same messages as en', (language, catalog) => {
+    expect(listKeys(catalog).sort()).toEqual(listKeys(en).sort());
+  });
+});
+
+describe('t', () => {
+  afterEach(() => {
+    setLanguage('en');
+  });
+
+  it('picks the plural form for the count and formats it', () => {
+    expect(t('common.rows', { count: 1 })).toBe('1 row');
+    expect(t('common.rows', { count: 0 })).toBe('0 rows');
+    expect(t('common.rows', { count: 1234 })).toBe('1,234 rows');
+  });
+
+  it('follows the plural rules of the current language', () => {
+    setLanguage('fr');
+
+    // French uses the singular for zero as well
+    expect(t('common.rows', { count: 0 })).toBe('0 ligne');
+    expect(t('common.rows', { count: 2 })).toBe('2 lignes');
+
+    setLanguage('es');
+
+    expect(t('common.rows', { count: 1 })).toBe('1 fila');
+    expect(t('common.rows', { count: 12345 })).toBe(`${formatNumber(12345)} filas`);
+  });
+
+  it('fills placeholders and leaves unknown ones alone', () => {
+    expect(t('mainContent.loadingModule', { module: 'Users' })).toBe('Loading Users...');
+    expect(t('mainContent.loadingModule')).toBe('Loading {module}...');
+  });
+
+  it('falls back to the default value, then to the key itself', () => {
+    expect(t('missing.key', { defaultValue: 'Fallback' })).toBe('Fallback');
+    expect(t('missing.key')).toBe('missing.key');
+  });
+});
+
+describe('setLanguage', () => {
+  it('switches the language and falls back to English for unsupported ones', () => {
+    setLanguage('es');
+    expect(getLanguage()).toBe('es');
+    expect(document.documentElement.getAttribute('lang')).toBe('es');
+
+    setLanguage('de');
+    expect(getLanguage()).toBe('en');
+  });
+});
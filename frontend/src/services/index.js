@@ -0,0 +1,22 @@
+/**
+ * Services Index
+ *
+ * Centralized export file for API client and backend service helpers.
+ */
+
+export { default as apiClient, ApiError, request, buildUrl, getApiBaseUrl, getApiTimeout, addResponseListener } from './apiClient';
+export * as tableApi from './tableApi';
+export * as queryApi from './queryApi';
+export * as configApi from './configApi';
+export * as userApi from './userApi';
+export * as auditApi from './auditApi';
+export * as migrationApi from './migrationApi';
+export * as trashApi from './trashApi';
+export * as authApi from './authApi';
+export * as authSession from './authSession';
+export * as router from './router';
+export * as theme from './theme';
+export * as i18n from './i18n';
+export * as maintenance from './maintenance';
+export * as rateLimit from './rateLimit';
+export * as notifications from './notifications';
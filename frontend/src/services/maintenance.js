@@ -0,0 +1,83 @@
+import { useSyncExternalStore } from 'react';
+import { addResponseListener } from './apiClient';
+import { getMaintenanceStatus } from './configApi';
+
+/**
+ * Maintenance
+ *
+ * Follows the backend's maintenance mode. While it is on, every response
+ * carries an X-Maintenance-Mode header and requests from roles without
+ * maintenance.bypass are refused with 503; both are picked up here from
+ * apiClient responses, so the dashboard switches to its lockout screen (or,
+ * for admins, shows a banner) as soon as any request notices the change.
+ * The message comes from the `maintenance_message` setting.
+ */
+
+const HEADER = 'X-Maintenance-Mode';
+
+const listeners = new Set();
+
+let currentStatus = { enabled: false, message: null };
+
+/**
+ * Replace the status and notify subscribers when it changed
+ * @param {{enabled: boolean, message: string|null}} status - New status
+ */
+const setStatus = (status) => {
+  if (status.enabled === currentStatus.enabled && status.message === currentStatus.message) {
+    return;
+  }
+
+  currentStatus = status;
+  listeners.forEach((listener) => listener(currentStatus));
+};
+
+/**
+ * Load the status (and message) from the backend
+ * @param {Object} options - Request options, e.g. {trackActivity: false} when polling
+ * @return {Promise<{enabled: boolean, message: string|null}>} Status
+ */
+export const refresh = async (options = {}) => {
+  setStatus(await getMaintenanceStatus(options));
+  return currentStatus;
+};
+
+/**
+ * Get the last known status
+ * @return {{enabled: boolean, message: string|null}} Status
+ */
+export const getStatus = () => currentStatus;
+
+/**
+ * Subscribe to status changes
+ * @param {Function} listener - Called with the new status on every change
+ * @return {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * React hook returning the status, re-rendering when it changes
+ * @return {{enabled: boolean, message: string|null}} Status
+ */
+export const useMaintenance = () => useSyncExternalStore(subscribe, getStatus);
+
+addResponseListener((response, body) => {
+  if (response.status === 503 && body && body.context && body.context.reason === 'maintenance_mode') {
+    setStatus({ enabled: true, message: body.message });
+    return;
+  }
+
+  const enabled = response.headers.get(HEADER) === 'on';
+
+  if (enabled !== currentStatus.enabled) {
+    setStatus(enabled ? { ...currentStatus, enabled } : { enabled: false, message: null });
+
+    // Admins aren't refused, so fetch the message for their banner
+    if (enabled && !currentStatus.message) {
+      refresh().catch((err) => console.error('Maintenance status error:', err));
+    }
+  }
+});
@@ -0,0 +1,48 @@
+import apiClient from './apiClient';
+
+/**
+ * Migration API
+ *
+ * Helpers for the /api/migrations routes exposed by MigrationController.
+ * Schema changes made in the dashboard are saved as numbered migrations
+ * (db/migrations/NNNN_name.up.sql and .down.sql); these helpers list them
+ * and apply or roll back one at a time. Each helper resolves to the `data`
+ * payload of the backend response.
+ *
+ * A migration is { version, name, status ('applied' or 'pending'),
+ * applied_at (Unix timestamp in seconds or null), applied_by, up_sql,
+ * down_sql, reversible }. Applying an applied migration, or rolling back a
+ * pending one, fails with a 409 ApiError.
+ */
+
+const MIGRATIONS_PATH = '/api/migrations';
+
+/**
+ * Get all migrations, oldest first
+ * @return {Promise<{migrations: Array<Object>, path: string, writable: boolean}>} Migrations,
+ *   the backend's migrations directory and whether new migrations can be written to it
+ */
+export const getMigrations = async () => {
+  const response = await apiClient.get(MIGRATIONS_PATH);
+  return response.data;
+};
+
+/**
+ * Apply a pending migration
+ * @param {string} version - Migration version, e.g. '0003'
+ * @return {Promise<Object>} The applied migration
+ */
+export const applyMigration = async (version) => {
+  const response = await apiClient.post(`${MIGRATIONS_PATH}/${encodeURIComponent(version)}/apply`);
+  return response.data;
+};
+
+/**
+ * Roll back an applied migration
+ * @param {string} version - Migration version, e.g. '0003'
+ * @return {Promise<Object>} The rolled back migration
+ */
+export const rollbackMigration = async (version) => {
+  const response = await apiClient.post(`${MIGRATIONS_PATH}/${encodeURIComponent(version)}/rollback`);
+  return response.data;
+};
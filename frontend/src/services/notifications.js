@@ -0,0 +1,162 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Notifications
+ *
+ * App-wide notification center. Components report outcomes with
+ * notify() (or the success/info/warning/error shortcuts) instead of keeping
+ * their own alert state; each notification pops up as a toast that dismisses
+ * itself after a few seconds and is kept in a history shown in the header's
+ * notification drawer. A notification may carry one action button, e.g.
+ *
+ *   notifications.success('Table "orders" created', {
+ *     action: { label: 'View table', onClick: () => viewTable('orders') }
+ *   });
+ *
+ * The `show_notifications` setting turns the pop-ups off (setEnabled);
+ * errors still pop up so failures aren't silent, and the history records
+ * everything either way.
+ */
+
+/**
+ * Severities, named after the Bootstrap contextual colors they are shown in, with their icons
+ */
+export const SEVERITIES = {
+  success: '✅',
+  info: 'ℹ️',
+  warning: '⚠️',
+  danger: '❌'
+};
+
+// How long a toast stays up, in milliseconds
+const DEFAULT_DURATION = 5000;
+
+// Older toasts make room for new ones beyond this many on screen
+const MAX_TOASTS = 5;
+
+// Oldest notifications drop out of the history beyond this
+const HISTORY_LIMIT = 50;
+
+const listeners = new Set();
+
+// Auto-dismiss timers of the toasts on screen, by notification id
+const timers = new Map();
+
+let nextId = 1;
+
+let enabled = true;
+
+let currentState = { toasts: [], history: [], unread: 0 };
+
+/**
+ * Replace the state and notify subscribers
+ * @param {Object} changes - Changed state fields
+ */
+const setState = (changes) => {
+  currentState = { ...currentState, ...changes };
+  listeners.forEach((listener) => listener(currentState));
+};
+
+/**
+ * Take a toast off the screen (it stays in the history)
+ * @param {number} id - Notification id
+ */
+export const dismiss = (id) => {
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+
+  if (currentState.toasts.some((toast) => toast.id === id)) {
+    setState({ toasts: currentState.toasts.filter((toast) => toast.id !== id) });
+  }
+};
+
+/**
+ * Show a notification
+ * @param {Object} notification
+ * @param {string} notification.message - Message text
+ * @param {string} notification.severity - A key of SEVERITIES (default: 'info')
+ * @param {{label: string, onClick: Function}} notification.action - Optional action button
+ * @param {number} notification.duration - Milliseconds before the toast hides itself (0 keeps it up)
+ * @return {number} Notification id
+ */
+export const notify = ({ message, severity = 'info', action = null, duration = DEFAULT_DURATION }) => {
+  const notification = {
+    id: nextId++,
+    message,
+    severity: Object.prototype.hasOwnProperty.call(SEVERITIES, severity) ? severity : 'info',
+    action,
+    createdAt: new Date()
+  };
+
+  const popUp = enabled || notification.severity === 'danger';
+
+  setState({
+    toasts: popUp ? [...currentState.toasts, notification].slice(-MAX_TOASTS) : currentState.toasts,
+    history: [notification, ...currentState.history].slice(0, HISTORY_LIMIT),
+    unread: Math.min(currentState.unread + 1, HISTORY_LIMIT)
+  });
+
+  if (popUp && duration > 0) {
+    timers.set(notification.id, setTimeout(() => dismiss(notification.id), duration));
+  }
+
+  return notification.id;
+};
+
+/**
+ * Shortcuts for notify() with a fixed severity
+ * @param {string} message - Message text
+ * @param {Object} options - Other notify() options (action, duration)
+ * @return {number} Notification id
+ */
+export const success = (message, options = {}) => notify({ ...options, message, severity: 'success' });
+export const info = (message, options = {}) => notify({ ...options, message, severity: 'info' });
+export const warning = (message, options = {}) => notify({ ...options, message, severity: 'warning' });
+export const error = (message, options = {}) => notify({ ...options, message, severity: 'danger' });
+
+/**
+ * Mark every notification in the history as read
+ */
+export const markAllRead = () => {
+  if (currentState.unread > 0) {
+    setState({ unread: 0 });
+  }
+};
+
+/**
+ * Empty the history
+ */
+export const clearHistory = () => {
+  setState({ history: [], unread: 0 });
+};
+
+/**
+ * Turn toast pop-ups on or off (the `show_notifications` setting)
+ * @param {boolean} value - Whether non-error notifications pop up
+ */
+export const setEnabled = (value) => {
+  enabled = value !== false;
+};
+
+/**
+ * Get the current state
+ * @return {{toasts: Array, history: Array, unread: number}} Toasts on screen (oldest first),
+ *   history (newest first) and the number of unread notifications
+ */
+export const getState = () => currentState;
+
+/**
+ * Subscribe to changes
+ * @param {Function} listener - Called with the new state on every change
+ * @return {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * React hook returning the state, re-rendering when it changes
+ * @return {{toasts: Array, history: Array, unread: number}} State
+ */
+export const useNotifications = () => useSyncExternalStore(subscribe, getState);
@@ -0,0 +1,24 @@
+import apiClient from './apiClient';
+
+/**
+ * Query API
+ *
+ * Helpers for the /api/query route exposed by QueryController.
+ * Each helper resolves to the `data` payload of the backend response.
+ */
+
+/**
+ * Execute a single SQL statement
+ *
+ * The statement runs in its own transaction with a server-side statement
+ * timeout, and is read-only unless allowWrite is set.
+ *
+ * @param {string} sql - SQL statement
+ * @param {Object} options
+ * @param {boolean} options.allowWrite - Whether the statement may modify data
+ * @return {Promise<{command: string, columns: Array, rows: Array, row_count: number, affected_rows: number|null, truncated: boolean, max_rows: number, duration_ms: number, read_only: boolean, statement_timeout_ms: number}>}
+ */
+export const executeQuery = async (sql, { allowWrite = false } = {}) => {
+  const response = await apiClient.post('/api/query', { sql, allowWrite });
+  return response.data;
+};
@@ -0,0 +1,121 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Rate Limit
+ *
+ * Follows the backend's API rate limit. While it is enabled, every response
+ * reports the quota in X-RateLimit-Limit/-Remaining/-Reset headers, and a
+ * request over the quota is refused with 429 and a Retry-After header.
+ * apiClient records every response here and, on a 429, waits out the
+ * Retry-After delay and tries again, however long the rest of the window is,
+ * so components see the eventual result instead of a failure; while requests
+ * are waiting, `retryAt` says when the next attempt is made and
+ * RateLimitNotice counts down to it.
+ */
+
+const MAX_RETRIES = 3;
+
+const listeners = new Set();
+
+// Requests currently waiting to retry, each as { retryAt }
+const waiting = new Set();
+
+let currentStatus = { limit: null, remaining: null, resetAt: null, retryAt: null };
+
+/**
+ * Merge changes into the status and notify subscribers when something changed
+ * @param {Object} changes - Changed status fields
+ */
+const updateStatus = (changes) => {
+  const next = { ...currentStatus, ...changes };
+
+  if (Object.keys(next).every((key) => next[key] === currentStatus[key])) {
+    return;
+  }
+
+  currentStatus = next;
+  listeners.forEach((listener) => listener(currentStatus));
+};
+
+/**
+ * Read a numeric response header
+ * @param {Response} response - Fetch response
+ * @param {string} name - Header name
+ * @return {number|null} Header value, or null when missing or not a number
+ */
+const readNumber = (response, name) => {
+  const value = response.headers.get(name);
+  return value !== null && value !== '' && !Number.isNaN(Number(value)) ? Number(value) : null;
+};
+
+/**
+ * Record the quota a backend response reports
+ * @param {Response} response - Fetch response
+ */
+export const recordResponse = (response) => {
+  const reset = readNumber(response, 'X-RateLimit-Reset');
+
+  updateStatus({
+    limit: readNumber(response, 'X-RateLimit-Limit'),
+    remaining: readNumber(response, 'X-RateLimit-Remaining'),
+    resetAt: reset !== null ? reset * 1000 : null
+  });
+};
+
+/**
+ * Decide whether a response should be retried after a back-off
+ * @param {Response} response - Fetch response
+ * @param {number} attempt - Number of retries already made for the request
+ * @return {number|null} Milliseconds to wait before retrying, or null to give up
+ */
+export const getRetryDelay = (response, attempt) => {
+  if (response.status !== 429 || attempt >= MAX_RETRIES) {
+    return null;
+  }
+
+  // Without Retry-After, back off exponentially: 1s, 2s, 4s
+  const retryAfter = readNumber(response, 'Retry-After');
+  return retryAfter !== null ? retryAfter * 1000 : 1000 * 2 ** attempt;
+};
+
+/**
+ * Wait before retrying a rate-limited request, reporting the wait in `retryAt`
+ * @param {number} delay - Milliseconds to wait
+ * @return {Promise<void>} Resolves when the request may be retried
+ */
+export const waitForRetry = async (delay) => {
+  const entry = { retryAt: Date.now() + delay };
+  const latestRetryAt = () => Math.max(0, ...[...waiting].map((item) => item.retryAt)) || null;
+
+  waiting.add(entry);
+  updateStatus({ retryAt: latestRetryAt() });
+
+  await new Promise((resolve) => setTimeout(resolve, delay));
+
+  waiting.delete(entry);
+  updateStatus({ retryAt: latestRetryAt() });
+};
+
+/**
+ * Get the last known status
+ * @return {{limit: number|null, remaining: number|null, resetAt: number|null, retryAt: number|null}}
+ *   Quota from the last response (null when it reported none) and, while requests wait
+ *   to retry, when the last of them does (timestamps in ms)
+ */
+export const getStatus = () => currentStatus;
+
+/**
+ * Subscribe to status changes
+ * @param {Function} listener - Called with the new status on every change
+ * @return {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * React hook returning the status, re-rendering when it changes
+ * @return {Object} Status (see getStatus)
+ */
+export const useRateLimit = () => useSyncExternalStore(subscribe, getStatus);
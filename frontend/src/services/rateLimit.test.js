@@ -0,0 +1,73 @@
+import { request } from './apiClient';
+import { getRetryDelay, getStatus } from './rateLimit';
+
+/**
+ * Build a minimal fetch Response
+ * @param {number} status - HTTP status code
+ * @param {Object} headers - Response headers
+ * @param {Object} body - JSON body
+ * @return {Object} Response-like object
+ */
+const mockResponse = (status, headers = {}, body = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: (name) => (name in headers ? String(headers[name]) : null) },
+  text: async () => JSON.stringify(body)
+});
+
+// Let pending promise callbacks run while timers are faked
+const flushPromises = () => new Promise(jest.requireActual('timers').setImmediate);
+
+describe('getRetryDelay', () => {
+  it('does not retry responses other than 429', () => {
+    expect(getRetryDelay(mockResponse(200), 0)).toBeNull();
+    expect(getRetryDelay(mockResponse(503, { 'Retry-After': 5 }), 0)).toBeNull();
+  });
+
+  it('waits out the Retry-After delay, however long', () => {
+    expect(getRetryDelay(mockResponse(429, { 'Retry-After': 2 }), 0)).toBe(2000);
+    expect(getRetryDelay(mockResponse(429, { 'Retry-After': 3600 }), 0)).toBe(3600000);
+  });
+
+  it('backs off exponentially without Retry-After', () => {
+    expect(getRetryDelay(mockResponse(429), 0)).toBe(1000);
+    expect(getRetryDelay(mockResponse(429), 1)).toBe(2000);
+    expect(getRetryDelay(mockResponse(429), 2)).toBe(4000);
+  });
+
+  it('gives up after three retries', () => {
+    expect(getRetryDelay(mockResponse(429, { 'Retry-After': 1 }), 3)).toBeNull();
+  });
+});
+
+describe('request', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.fetch;
+  });
+
+  it('retries a rate-limited request once the window ends', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockResponse(429, { 'Retry-After': 120 }, { status: 'error', message: 'Rate limit exceeded' }))
+      .mockResolvedValueOnce(mockResponse(200, {}, { status: 'success', data: ['users'] }));
+
+    const pending = request('/api/tables');
+    await flushPromises();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(getStatus().retryAt).not.toBeNull();
+
+    jest.advanceTimersByTime(120000);
+    const response = await pending;
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(['users']);
+    expect(getStatus().retryAt).toBeNull();
+  });
+});
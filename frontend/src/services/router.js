@@ -0,0 +1,107 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Router
+ *
+ * Minimal client-side routing on top of the History API. The current
+ * location ({ path, params }) mirrors window.location; navigate() pushes or
+ * replaces a history entry and notifies subscribers, and Back/Forward
+ * (popstate) do the same. Components call useLocation() to re-render on
+ * every change, so the URL is the single source of truth for what is open.
+ */
+
+const listeners = new Set();
+
+/**
+ * Strip trailing slashes so "/users/" and "/users" match the same route
+ * @param {string} path - URL path
+ * @return {string} Normalized path ("/" for the root)
+ */
+const normalizePath = (path) => path.replace(/\/+$/, '') || '/';
+
+/**
+ * Read the location from the address bar
+ * @return {{path: string, params: URLSearchParams, search: string}} Location
+ */
+const readLocation = () => ({
+  path: normalizePath(window.location.pathname),
+  params: new URLSearchParams(window.location.search),
+  search: window.location.search
+});
+
+let currentLocation = readLocation();
+
+/**
+ * Re-read the location and notify subscribers
+ */
+const update = () => {
+  currentLocation = readLocation();
+  listeners.forEach((listener) => listener(currentLocation));
+};
+
+window.addEventListener('popstate', update);
+
+/**
+ * Build a URL from a path and query parameters
+ * @param {string} path - URL path
+ * @param {Object} query - Query parameters; null/undefined/'' values are skipped
+ * @return {string} URL (path plus query string)
+ */
+export const buildHref = (path, query = {}) => {
+  const params = new URLSearchParams();
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      params.append(key, value);
+    }
+  });
+
+  // Keep filters[column][operator] keys readable in shared links
+  const queryString = params.toString().replace(/%5B/g, '[').replace(/%5D/g, ']');
+  return `${normalizePath(path)}${queryString ? `?${queryString}` : ''}`;
+};
+
+/**
+ * Get the current location
+ * @return {{path: string, params: URLSearchParams, search: string}} Location
+ */
+export const getLocation = () => currentLocation;
+
+/**
+ * Go to a path
+ * @param {string} path - URL path
+ * @param {Object} options
+ * @param {Object} options.query - Query parameters
+ * @param {boolean} options.replace - Replace the current history entry instead of adding one
+ */
+export const navigate = (path, { query = {}, replace = false } = {}) => {
+  const href = buildHref(path, query);
+
+  if (href === `${currentLocation.path}${currentLocation.search}`) {
+    return;
+  }
+
+  if (replace) {
+    window.history.replaceState(null, '', href);
+  } else {
+    window.history.pushState(null, '', href);
+  }
+
+  update();
+};
+
+/**
+ * Subscribe to location changes
+ * @param {Function} listener - Called with the new location on every change
+ * @return {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * React hook returning the current location, re-rendering when it changes
+ * @return {{path: string, params: URLSearchParams, search: string}} Location
+ */
+export const useLocation = () => useSyncExternalStore(subscribe, getLocation);
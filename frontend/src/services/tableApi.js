@@ -0,0 +1,401 @@
+import apiClient from './apiClient';
+
+/**
+ * Table API
+ *
+ * Typed helpers for every /api/tables/* route exposed by TableController.
+ * Each helper resolves to the `data` payload of the backend response.
+ */
+
+/**
+ * Build a path below /api/tables with URL-encoded segments
+ * @param {...string} segments - Path segments (table name, sub-resource, ...)
+ * @return {string} API path
+ */
+const tablePath = (...segments) => {
+  const encoded = segments.map((segment) => encodeURIComponent(segment));
+  return ['/api/tables', ...encoded].join('/');
+};
+
+/**
+ * Get list of all tables
+ * @param {Object} options
+ * @param {boolean} options.includeSystem - Whether to include system tables
+ * @return {Promise<{tables: Array, count: number}>}
+ */
+export const getTables = async ({ includeSystem = false } = {}) => {
+  const response = await apiClient.get(tablePath(), {
+    query: { include_system: includeSystem ? 1 : undefined }
+  });
+  return response.data;
+};
+
+/**
+ * Create a new table
+ * @param {string} tableName - Table name
+ * @param {Array} columns - Column definitions ({ name, type, isPrimary, nullable })
+ * @param {Array} constraints - Table constraints ({ type, name, columns, referencesTable, ... })
+ * @return {Promise<{table_name: string, sql: string, columns: Array}>}
+ */
+export const createTable = async (tableName, columns, constraints = []) => {
+  const response = await apiClient.post(tablePath(), { tableName, columns, constraints });
+  return response.data;
+};
+
+/**
+ * Drop a table
+ * @param {string} tableName - Table name
+ * @param {Object} options
+ * @param {boolean} options.cascade - Whether to cascade the drop
+ * @return {Promise<{table_name: string, sql: string}>}
+ */
+export const deleteTable = async (tableName, { cascade = false } = {}) => {
+  const response = await apiClient.delete(tablePath(tableName), {
+    query: { cascade: cascade ? 1 : undefined }
+  });
+  return response.data;
+};
+
+/**
+ * Check whether a table exists
+ * @param {string} tableName - Table name
+ * @return {Promise<{table_name: string, exists: boolean}>}
+ */
+export const tableExists = async (tableName) => {
+  const response = await apiClient.get(tablePath(tableName, 'exists'));
+  return response.data;
+};
+
+/**
+ * Flatten column filters into filters[column][operator] query parameters
+ * @param {Object} filters - Column => { eq, contains, min, max } map
+ * @return {Object} Flat query parameters
+ */
+const buildFilterQuery = (filters = {}) => {
+  const query = {};
+
+  Object.entries(filters).forEach(([column, operators]) => {
+    Object.entries(operators || {}).forEach(([operator, value]) => {
+      query[`filters[${column}][${operator}]`] = value;
+    });
+  });
+
+  return query;
+};
+
+/**
+ * Get a page of table data
+ * @param {string} tableName - Table name
+ * @param {Object} options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Rows per page
+ * @param {string} options.sort - Column to order by
+ * @param {string} options.direction - Sort direction ('asc' or 'desc')
+ * @param {string} options.search - Text matched against every column
+ * @param {Object} options.filters - Column => { eq, contains, min, max } map
+ * @return {Promise<{table_name: string, columns: Array, rows: Array, total_rows: number, current_page: number, per_page: number, has_more: boolean}>}
+ */
+export const getTableData = async (tableName, {
+  page = 1,
+  limit = 50,
+  sort,
+  direction,
+  search,
+  filters
+} = {}) => {
+  const response = await apiClient.get(tablePath(tableName, 'data'), {
+    query: {
+      page,
+      limit,
+      sort,
+      direction: sort ? direction : undefined,
+      search,
+      ...buildFilterQuery(filters)
+    }
+  });
+  return response.data;
+};
+
+/**
+ * Read the file name from a Content-Disposition header
+ * @param {Headers} headers - Response headers
+ * @return {string|null} File name, if present
+ */
+const getDownloadFileName = (headers) => {
+  const disposition = headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="?([^";]+)"?/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * Export table data as a file
+ *
+ * The backend streams the export, so it is not limited to a single page.
+ * Pass the viewer's sort/search/filters to export only matching rows.
+ *
+ * @param {string} tableName - Table name
+ * @param {Object} options
+ * @param {string} options.format - Output format ('csv', 'json' or 'ndjson')
+ * @param {string} options.sort - Column to order by
+ * @param {string} options.direction - Sort direction ('asc' or 'desc')
+ * @param {string} options.search - Text matched against every column
+ * @param {Object} options.filters - Column => { eq, contains, min, max } map
+ * @return {Promise<{blob: Blob, fileName: string}>}
+ */
+export const exportTableData = async (tableName, {
+  format = 'csv',
+  sort,
+  direction,
+  search,
+  filters
+} = {}) => {
+  const response = await apiClient.download(tablePath(tableName, 'export'), {
+    query: {
+      format,
+      sort,
+      direction: sort ? direction : undefined,
+      search,
+      ...buildFilterQuery(filters)
+    }
+  });
+
+  return {
+    blob: response.body,
+    fileName: getDownloadFileName(response.headers) || `${tableName}.${format}`
+  };
+};
+
+/**
+ * Get table schema information
+ * @param {string} tableName - Table name
+ * @return {Promise<{table_name: string, columns: Array, row_count: number}>}
+ */
+export const getTableSchema = async (tableName) => {
+  const response = await apiClient.get(tablePath(tableName, 'schema'));
+  return response.data;
+};
+
+/**
+ * Get table statistics
+ * @param {string} tableName - Table name
+ * @return {Promise<Object>}
+ */
+export const getTableStats = async (tableName) => {
+  const response = await apiClient.get(tablePath(tableName, 'stats'));
+  return response.data;
+};
+
+/**
+ * Remove all rows from a table
+ * @param {string} tableName - Table name
+ * @return {Promise<{table_name: string, sql: string}>}
+ */
+export const truncateTable = async (tableName) => {
+  const response = await apiClient.post(tablePath(tableName, 'truncate'));
+  return response.data;
+};
+
+/**
+ * Add a column to a table
+ * @param {string} tableName - Table name
+ * @param {Object} column
+ * @param {string} column.columnName - Column name
+ * @param {string} column.columnType - Column data type
+ * @param {boolean} column.isNullable - Whether the column allows NULL values
+ * @param {string|null} column.defaultValue - Default value for the column
+ * @return {Promise<{table_name: string, column_name: string, sql: string}>}
+ */
+export const addColumn = async (tableName, column) => {
+  const response = await apiClient.post(tablePath(tableName, 'columns'), column);
+  return response.data;
+};
+
+/**
+ * Drop a column from a table
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @param {Object} options
+ * @param {boolean} options.cascade - Whether to cascade the drop
+ * @return {Promise<{table_name: string, column_name: string, sql: string}>}
+ */
+export const removeColumn = async (tableName, columnName, { cascade = false } = {}) => {
+  const response = await apiClient.delete(tablePath(tableName, 'columns', columnName), {
+    query: { cascade: cascade ? 1 : undefined }
+  });
+  return response.data;
+};
+
+/**
+ * Alter an existing column
+ *
+ * With preview the backend only returns the generated DDL.
+ *
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @param {Object} changes - { newName, type, using, nullable, defaultValue, defaultExpression, dropDefault }
+ * @param {Object} options
+ * @param {boolean} options.preview - Whether to only generate the DDL
+ * @return {Promise<{statements: Array<string>, sql: string, new_column_name: string, preview: boolean}>}
+ */
+export const alterColumn = async (tableName, columnName, changes, { preview = false } = {}) => {
+  const response = await apiClient.patch(tablePath(tableName, 'columns', columnName), {
+    ...changes,
+    preview
+  });
+  return response.data;
+};
+
+/**
+ * Get the indexes of a table
+ * @param {string} tableName - Table name
+ * @return {Promise<{table_name: string, indexes: Array<Object>}>}
+ */
+export const getTableIndexes = async (tableName) => {
+  const response = await apiClient.get(tablePath(tableName, 'indexes'));
+  return response.data;
+};
+
+/**
+ * Create an index on a table
+ * @param {string} tableName - Table name
+ * @param {Object} index - { columns, name, unique, method, where }
+ * @param {Object} options
+ * @param {boolean} options.preview - Whether to only generate the DDL
+ * @return {Promise<{index_name: string, statements: Array<string>, sql: string, preview: boolean}>}
+ */
+export const createIndex = async (tableName, index, { preview = false } = {}) => {
+  const response = await apiClient.post(tablePath(tableName, 'indexes'), { ...index, preview });
+  return response.data;
+};
+
+/**
+ * Drop an index from a table
+ * @param {string} tableName - Table name
+ * @param {string} indexName - Index name
+ * @return {Promise<Object>}
+ */
+export const dropIndex = async (tableName, indexName) => {
+  const response = await apiClient.delete(tablePath(tableName, 'indexes', indexName));
+  return response.data;
+};
+
+/**
+ * Get the constraints of a table and the foreign keys referencing it
+ * @param {string} tableName - Table name
+ * @return {Promise<{table_name: string, constraints: Array, referenced_by: Array}>}
+ */
+export const getTableConstraints = async (tableName) => {
+  const response = await apiClient.get(tablePath(tableName, 'constraints'));
+  return response.data;
+};
+
+/**
+ * Add a foreign key, UNIQUE or CHECK constraint to a table
+ * @param {string} tableName - Table name
+ * @param {Object} constraint - { type, name, columns, referencesTable, referencesColumns, onDelete, onUpdate, expression }
+ * @param {Object} options
+ * @param {boolean} options.preview - Whether to only generate the DDL
+ * @return {Promise<{constraint_name: string|null, statements: Array<string>, sql: string, preview: boolean}>}
+ */
+export const addConstraint = async (tableName, constraint, { preview = false } = {}) => {
+  const response = await apiClient.post(tablePath(tableName, 'constraints'), { ...constraint, preview });
+  return response.data;
+};
+
+/**
+ * Drop a constraint from a table
+ * @param {string} tableName - Table name
+ * @param {string} constraintName - Constraint name
+ * @return {Promise<Object>}
+ */
+export const dropConstraint = async (tableName, constraintName) => {
+  const response = await apiClient.delete(tablePath(tableName, 'constraints', constraintName));
+  return response.data;
+};
+
+/**
+ * Rename a table
+ * @param {string} tableName - Current table name
+ * @param {string} newName - New table name
+ * @param {Object} options
+ * @param {boolean} options.preview - Whether to only generate the DDL
+ * @return {Promise<{statements: Array<string>, sql: string, new_table_name: string, preview: boolean}>}
+ */
+export const renameTable = async (tableName, newName, { preview = false } = {}) => {
+  const response = await apiClient.patch(tablePath(tableName), { newName, preview });
+  return response.data;
+};
+
+/**
+ * Get the columns of every table and the foreign keys between them
+ * @return {Promise<{tables: Array<{table_name: string, columns: Array}>, relationships: Array}>}
+ */
+export const getDatabaseSchema = async () => {
+  const response = await apiClient.get(tablePath('schema'));
+  return response.data;
+};
+
+/**
+ * Get table service health status
+ * @return {Promise<{total_tables: number, checks: Object, timestamp: string}>}
+ */
+export const getTablesHealth = async () => {
+  const response = await apiClient.get(tablePath('health'));
+  return response.data;
+};
+
+/**
+ * Insert a row into a table
+ * @param {string} tableName - Table name
+ * @param {Object} values - Column => value map (omitted columns use their defaults)
+ * @return {Promise<{table_name: string, row: Object, sql: string}>}
+ */
+export const insertRow = async (tableName, values) => {
+  const response = await apiClient.post(tablePath(tableName, 'rows'), { values });
+  return response.data;
+};
+
+/**
+ * Bulk import rows into a table
+ *
+ * With dryRun the backend performs the whole import and rolls it back,
+ * returning the per-row error report without changing any data.
+ *
+ * @param {string} tableName - Table name
+ * @param {Array<Object>} rows - Rows as column => value maps
+ * @param {Object} options
+ * @param {Array|null} options.columns - Column definitions ({ name, type, isPrimary, nullable }) to create a new table
+ * @param {boolean} options.dryRun - Whether to validate only
+ * @return {Promise<{table_name: string, created_table: boolean, total_rows: number, inserted_rows: number, failed_rows: number, row_errors: Array<{row: number, message: string}>, dry_run: boolean}>}
+ */
+export const importRows = async (tableName, rows, { columns = null, dryRun = false } = {}) => {
+  const response = await apiClient.post(tablePath(tableName, 'import'), {
+    rows,
+    columns: columns || undefined,
+    dryRun
+  });
+  return response.data;
+};
+
+/**
+ * Update a row identified by its primary key
+ * @param {string} tableName - Table name
+ * @param {string|number} rowId - Primary key value
+ * @param {Object} values - Column => value map of changed columns
+ * @return {Promise<{table_name: string, primary_key: string, row: Object, sql: string}>}
+ */
+export const updateRow = async (tableName, rowId, values) => {
+  const response = await apiClient.patch(tablePath(tableName, 'rows', String(rowId)), { values });
+  return response.data;
+};
+
+/**
+ * Delete a row identified by its primary key
+ * @param {string} tableName - Table name
+ * @param {string|number} rowId - Primary key value
+ * @return {Promise<{table_name: string, primary_key: string, row: Object, sql: string}>}
+ */
+export const deleteRow = async (tableName, rowId) => {
+  const response = await apiClient.delete(tablePath(tableName, 'rows', String(rowId)));
+  return response.data;
+};
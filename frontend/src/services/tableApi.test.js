@@ -0,0 +1,62 @@
+import { getTableData } from './tableApi';
+
+/**
+ * Build a minimal successful fetch Response
+ * @param {Object} body - JSON body
+ * @return {Object} Response-like object
+ */
+const mockResponse = (body) => ({
+  status: 200,
+  ok: true,
+  headers: { get: () => null },
+  text: async () => JSON.stringify(body)
+});
+
+/**
+ * Get the URL of the last fetch call
+ * @return {URL} Requested URL
+ */
+const lastUrl = () => new URL(global.fetch.mock.calls[global.fetch.mock.calls.length - 1][0]);
+
+describe('getTableData', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue(mockResponse({ status: 'success', data: { rows: [] } }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('sends sort, search and filters as query parameters', async () => {
+    await getTableData('user accounts', {
+      page: 2,
+      limit: 25,
+      sort: 'name',
+      direction: 'desc',
+      search: 'adm',
+      filters: {
+        id: { min: 10, max: '' },
+        name: { contains: "x' OR 1=1 --" }
+      }
+    });
+
+    const url = lastUrl();
+
+    expect(url.pathname).toBe('/api/tables/user%20accounts/data');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      page: '2',
+      limit: '25',
+      sort: 'name',
+      direction: 'desc',
+      search: 'adm',
+      'filters[id][min]': '10',
+      'filters[name][contains]': "x' OR 1=1 --"
+    });
+  });
+
+  it('leaves out the direction without a sort column and skips empty values', async () => {
+    await getTableData('users', { direction: 'desc', search: '', filters: { id: null } });
+
+    expect(Object.fromEntries(lastUrl().searchParams)).toEqual({ page: '1', limit: '50' });
+  });
+});
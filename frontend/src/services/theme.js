@@ -0,0 +1,69 @@
+/**
+ * Theme
+ *
+ * Applies the colour theme app-wide through Bootstrap 5.3's data-bs-theme
+ * attribute on <html>. 'system' follows the device's prefers-color-scheme
+ * and switches along with it. The theme is stored with the application
+ * settings (`theme` config key); the last one applied is also remembered in
+ * localStorage so a reload starts in the right theme before settings load.
+ */
+
+export const THEMES = ['light', 'dark', 'system'];
+
+const STORAGE_KEY = 'theme';
+
+const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+let currentTheme = 'light';
+
+/**
+ * Resolve a theme to the Bootstrap colour mode it shows
+ * @param {string} theme - 'light', 'dark' or 'system'
+ * @return {string} 'light' or 'dark'
+ */
+const resolveTheme = (theme) => {
+  if (theme === 'system') {
+    return darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light';
+  }
+  return theme;
+};
+
+/**
+ * Set data-bs-theme for the current theme
+ */
+const render = () => {
+  document.documentElement.setAttribute('data-bs-theme', resolveTheme(currentTheme));
+};
+
+/**
+ * Apply a theme app-wide
+ * @param {string} theme - 'light', 'dark' or 'system'; anything else falls back to 'light'
+ */
+export const applyTheme = (theme) => {
+  currentTheme = THEMES.includes(theme) ? theme : 'light';
+  window.localStorage.setItem(STORAGE_KEY, currentTheme);
+  render();
+};
+
+/**
+ * Get the applied theme
+ * @return {string} 'light', 'dark' or 'system'
+ */
+export const getTheme = () => currentTheme;
+
+/**
+ * Get the colour mode currently shown
+ * @return {string} 'light' or 'dark'
+ */
+export const getResolvedTheme = () => resolveTheme(currentTheme);
+
+// Follow the device when it switches between light and dark
+if (darkSchemeQuery) {
+  darkSchemeQuery.addEventListener('change', () => {
+    if (currentTheme === 'system') {
+      render();
+    }
+  });
+}
+
+applyTheme(window.localStorage.getItem(STORAGE_KEY));
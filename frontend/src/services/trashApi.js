@@ -0,0 +1,49 @@
+import apiClient from './apiClient';
+
+/**
+ * Trash API
+ *
+ * Helpers for the /api/trash routes exposed by TrashController. Dropped
+ * tables, and the values of dropped columns, are held in the trash until
+ * restored, purged, or purged automatically once the retention period has
+ * passed. Each helper resolves to the `data` payload of the backend response.
+ *
+ * An item is { id, kind ('table' or 'column'), table_name, column_name,
+ * column_definition, foreign_keys (dropped from other tables along with a
+ * table, added back on restore), has_data, size (bytes), dropped_at and
+ * expires_at (Unix timestamps in seconds) }. Restoring a table whose name has been
+ * taken again, or a column its table has again, fails with a 409 ApiError.
+ */
+
+const TRASH_PATH = '/api/trash';
+
+/**
+ * Get the items in the trash, most recently dropped first
+ * @return {Promise<{items: Array<Object>, retention_days: number}>} Items and how many
+ *   days they are kept
+ */
+export const getItems = async () => {
+  const response = await apiClient.get(TRASH_PATH);
+  return response.data;
+};
+
+/**
+ * Restore a dropped table or column
+ * @param {number} id - Trash item id
+ * @return {Promise<Object>} The restored item, with `warnings` (Array<string>) about
+ *   values or foreign keys that couldn't be restored, and the `sql` recorded as a migration
+ */
+export const restoreItem = async (id) => {
+  const response = await apiClient.post(`${TRASH_PATH}/${encodeURIComponent(id)}/restore`);
+  return response.data;
+};
+
+/**
+ * Delete a trash item for good
+ * @param {number} id - Trash item id
+ * @return {Promise<Object>} The purged item
+ */
+export const purgeItem = async (id) => {
+  const response = await apiClient.delete(`${TRASH_PATH}/${encodeURIComponent(id)}`);
+  return response.data;
+};
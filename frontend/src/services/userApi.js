@@ -0,0 +1,89 @@
+import apiClient from './apiClient';
+
+/**
+ * User API
+ *
+ * Helpers for the /api/users routes exposed by UserController.
+ * Each helper resolves to the `data` payload of the backend response,
+ * except getUsers which also returns the pagination metadata.
+ *
+ * timecreated and timemodified are Unix timestamps in seconds.
+ * Creating or renaming a user to a taken username fails with a 409 ApiError.
+ */
+
+const USERS_PATH = '/api/users';
+
+/**
+ * Get a page of users
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Users per page
+ * @param {string} options.search - Username search term
+ * @param {string} options.sort - id, username, timecreated or timemodified
+ * @param {string} options.direction - asc or desc
+ * @return {Promise<{users: Array<{id: number, username: string, has_password: boolean, timecreated: number, timemodified: number}>, pagination: Object}>}
+ */
+export const getUsers = async ({ page = 1, limit = 25, search = '', sort = 'id', direction = 'asc' } = {}) => {
+  const response = await apiClient.get(USERS_PATH, {
+    query: { page, limit, search, sort, direction }
+  });
+  return {
+    users: response.data,
+    pagination: response.meta?.pagination
+  };
+};
+
+/**
+ * Create a user
+ * @param {string} username - Unique username
+ * @param {string} password - Initial password; without one the user cannot sign in
+ * @param {string} role - Role ('admin', 'developer' or 'viewer'; the backend defaults to 'viewer')
+ * @return {Promise<Object>} The created user
+ */
+export const createUser = async (username, password, role) => {
+  const response = await apiClient.post(USERS_PATH, { username, password: password || undefined, role });
+  return response.data;
+};
+
+/**
+ * Rename a user
+ * @param {number} id - User id
+ * @param {string} username - New unique username
+ * @return {Promise<Object>} The updated user
+ */
+export const renameUser = async (id, username) => {
+  const response = await apiClient.patch(`${USERS_PATH}/${id}`, { username });
+  return response.data;
+};
+
+/**
+ * Set a user's password
+ * @param {number} id - User id
+ * @param {string} password - New password
+ * @return {Promise<Object>} The updated user
+ */
+export const setUserPassword = async (id, password) => {
+  const response = await apiClient.put(`${USERS_PATH}/${id}/password`, { password });
+  return response.data;
+};
+
+/**
+ * Set a user's role
+ * @param {number} id - User id
+ * @param {string} role - Role ('admin', 'developer' or 'viewer')
+ * @return {Promise<Object>} The updated user
+ */
+export const setUserRole = async (id, role) => {
+  const response = await apiClient.put(`${USERS_PATH}/${id}/role`, { role });
+  return response.data;
+};
+
+/**
+ * Delete a user
+ * @param {number} id - User id
+ * @return {Promise<Object>} The deleted user
+ */
+export const deleteUser = async (id) => {
+  const response = await apiClient.delete(`${USERS_PATH}/${id}`);
+  return response.data;
+};
@@ -0,0 +1,184 @@
+/**
+ * Column Type Utilities
+ *
+ * Helpers for mapping PostgreSQL data types (as reported by
+ * information_schema) to UI input types and JavaScript values.
+ */
+
+import { t } from '../services/i18n';
+
+/**
+ * Column types offered when creating a table (TableCreateForm, imports)
+ */
+export const CREATE_TABLE_COLUMN_TYPES = [
+  'SERIAL',
+  'INTEGER',
+  'BIGINT',
+  'VARCHAR(255)',
+  'VARCHAR(100)',
+  'VARCHAR(50)',
+  'TEXT',
+  'BOOLEAN',
+  'DATE',
+  'TIMESTAMP',
+  'DECIMAL(10,2)',
+  'DECIMAL(15,2)'
+];
+
+/**
+ * Column types offered when adding a column to an existing table (TableEditModal)
+ */
+export const ADD_COLUMN_TYPES = [
+  'SERIAL',
+  'INTEGER',
+  'BIGINT',
+  'SMALLINT',
+  'VARCHAR(50)',
+  'VARCHAR(100)',
+  'VARCHAR(255)',
+  'TEXT',
+  'BOOLEAN',
+  'DATE',
+  'TIMESTAMP',
+  'TIMESTAMP WITH TIME ZONE',
+  'DECIMAL(10,2)',
+  'DECIMAL(15,2)',
+  'NUMERIC',
+  'REAL',
+  'DOUBLE PRECISION'
+];
+
+/**
+ * Column types offered when changing a column type - SERIAL is only valid at creation
+ */
+export const ALTER_COLUMN_TYPES = ADD_COLUMN_TYPES.filter((type) => type !== 'SERIAL');
+
+/**
+ * Get the broad category of a PostgreSQL data type
+ * @param {string} dataType - Data type (e.g. 'integer', 'character varying')
+ * @return {string} One of integer, decimal, boolean, date, timestamp, time, json, uuid, text
+ */
+export const getTypeCategory = (dataType = '') => {
+  const type = dataType.toLowerCase();
+
+  if (/^(smallint|integer|bigint|serial|bigserial|smallserial|int\d?)/.test(type)) {
+    return 'integer';
+  }
+  if (/^(numeric|decimal|real|double precision|float\d?|money)/.test(type)) {
+    return 'decimal';
+  }
+  if (type.startsWith('boolean') || type === 'bool') {
+    return 'boolean';
+  }
+  if (type === 'date') {
+    return 'date';
+  }
+  if (type.startsWith('timestamp')) {
+    return 'timestamp';
+  }
+  if (type.startsWith('time')) {
+    return 'time';
+  }
+  if (type.startsWith('json')) {
+    return 'json';
+  }
+  if (type === 'uuid') {
+    return 'uuid';
+  }
+  return 'text';
+};
+
+/**
+ * Check whether a data type is numeric
+ * @param {string} dataType - Data type
+ * @return {boolean}
+ */
+export const isNumericType = (dataType) => {
+  const category = getTypeCategory(dataType);
+  return category === 'integer' || category === 'decimal';
+};
+
+/**
+ * Check whether a data type is a date/time type
+ * @param {string} dataType - Data type
+ * @return {boolean}
+ */
+export const isTemporalType = (dataType) => {
+  const category = getTypeCategory(dataType);
+  return category === 'date' || category === 'timestamp' || category === 'time';
+};
+
+/**
+ * Get the HTML input type for a data type
+ * @param {string} dataType - Data type
+ * @return {string} Input type attribute value
+ */
+export const getInputType = (dataType) => {
+  switch (getTypeCategory(dataType)) {
+    case 'integer':
+    case 'decimal':
+      return 'number';
+    case 'date':
+      return 'date';
+    case 'time':
+      return 'time';
+    default:
+      return 'text';
+  }
+};
+
+/**
+ * Format a cell value for display in an input field
+ * @param {*} value - Raw cell value
+ * @return {string} Input value
+ */
+export const toInputValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+/**
+ * Convert an input string into the value sent to the backend
+ *
+ * Empty input becomes NULL for nullable columns. Numbers and booleans are
+ * converted to their JavaScript types; JSON columns are parsed.
+ *
+ * @param {string} input - Raw input value
+ * @param {Object} column - Schema column ({ data_type, is_nullable })
+ * @return {*} Converted value
+ * @throws {Error} If the input cannot be converted
+ */
+export const parseInputValue = (input, column) => {
+  if (input === '' && column.is_nullable === 'YES') {
+    return null;
+  }
+
+  switch (getTypeCategory(column.data_type)) {
+    case 'integer':
+    case 'decimal': {
+      const number = Number(input);
+      if (input === '' || Number.isNaN(number)) {
+        throw new Error(t('columnTypes.notNumber', { column: column.column_name }));
+      }
+      return number;
+    }
+    case 'boolean':
+      if (input === 'true' || input === 'false') {
+        return input === 'true';
+      }
+      throw new Error(t('columnTypes.notBoolean', { column: column.column_name }));
+    case 'json':
+      try {
+        return JSON.parse(input);
+      } catch (err) {
+        throw new Error(t('columnTypes.notJson', { column: column.column_name }));
+      }
+    default:
+      return input;
+  }
+};
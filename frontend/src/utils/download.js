@@ -0,0 +1,24 @@
+/**
+ * Download Utilities
+ *
+ * Helpers for handing generated or fetched files to the browser.
+ */
+
+/**
+ * Save a Blob as a file via a temporary object URL
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
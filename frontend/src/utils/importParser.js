@@ -0,0 +1,298 @@
+/**
+ * Import Parsing Utilities
+ *
+ * Parse uploaded CSV, JSON and NDJSON files into rows, and infer column
+ * types from the values using the types offered by TableCreateForm.
+ */
+
+import { t } from '../services/i18n';
+
+const INTEGER_PATTERN = /^-?\d+$/;
+const DECIMAL_PATTERN = /^-?(\d+\.?\d*|\.\d+)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+const BOOLEAN_VALUES = ['true', 'false', 't', 'f', 'yes', 'no'];
+const MAX_INTEGER = 2147483647;
+
+/**
+ * Detect the format of an uploaded file
+ * @param {string} fileName - Uploaded file name
+ * @param {string} text - File contents
+ * @return {string} 'csv', 'json' or 'ndjson'
+ */
+export const detectImportFormat = (fileName = '', text = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+
+  if (extension === 'ndjson' || extension === 'jsonl') {
+    return 'ndjson';
+  }
+  if (extension === 'json') {
+    return 'json';
+  }
+  if (extension === 'csv' || extension === 'tsv' || extension === 'txt') {
+    return 'csv';
+  }
+
+  const firstChar = text.trimStart().charAt(0);
+  if (firstChar === '[') {
+    return 'json';
+  }
+  return firstChar === '{' ? 'ndjson' : 'csv';
+};
+
+/**
+ * Pick the CSV delimiter that splits the header line into the most fields
+ * @param {string} text - CSV text
+ * @return {string} Delimiter character
+ */
+const detectDelimiter = (text) => {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+
+  return [';', '\t'].reduce((best, candidate) => (
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  ), ',');
+};
+
+/**
+ * Split CSV text into records, honouring quoted fields and escaped quotes
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @return {Array<Array<string>>} Records
+ * @throws {Error} If a quoted field is never closed
+ */
+const parseCsvRecords = (text, delimiter) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(t('importParser.unterminatedQuote'));
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Ignore blank lines
+  return records.filter((values) => !(values.length === 1 && values[0] === ''));
+};
+
+/**
+ * Parse CSV text with a header row
+ * @param {string} text - CSV text
+ * @return {{columns: Array<string>, rows: Array<Object>, warnings: Array<{row: number, message: string}>}}
+ * @throws {Error} If the file has no header or duplicate column names
+ */
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const records = parseCsvRecords(content, detectDelimiter(content));
+
+  if (records.length === 0) {
+    throw new Error(t('importParser.empty'));
+  }
+
+  const columns = records[0].map((name) => name.trim());
+  const duplicates = columns.filter((name, index) => columns.indexOf(name) !== index);
+
+  if (columns.some((name) => name === '')) {
+    throw new Error(t('importParser.unnamedColumn'));
+  }
+  if (duplicates.length > 0) {
+    throw new Error(t('importParser.duplicateColumns', { columns: [...new Set(duplicates)].join(', ') }));
+  }
+
+  const warnings = [];
+  const rows = records.slice(1).map((values, index) => {
+    if (values.length !== columns.length) {
+      warnings.push({
+        row: index + 1,
+        message: t('importParser.fieldCount', { expected: columns.length, found: values.length })
+      });
+    }
+
+    return columns.reduce((row, column, columnIndex) => ({
+      ...row,
+      [column]: values[columnIndex] ?? ''
+    }), {});
+  });
+
+  return { columns, rows, warnings };
+};
+
+/**
+ * Parse a JSON array of objects or newline-delimited JSON objects
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'ndjson'
+ * @return {{columns: Array<string>, rows: Array<Object>, warnings: Array}}
+ * @throws {Error} If the content is not valid JSON or not a list of objects
+ */
+export const parseJson = (text, format = 'json') => {
+  let rows;
+
+  if (format === 'ndjson') {
+    rows = text.split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line !== '')
+      .map(({ line, number }) => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          throw new Error(t('importParser.invalidJsonLine', { line: number, message: err.message }));
+        }
+      });
+  } else {
+    try {
+      rows = JSON.parse(text);
+    } catch (err) {
+      throw new Error(t('importParser.invalidJson', { message: err.message }));
+    }
+  }
+
+  if (!Array.isArray(rows)) {
+    throw new Error(t('importParser.notArray'));
+  }
+
+  const invalidIndex = rows.findIndex((row) => row === null || typeof row !== 'object' || Array.isArray(row));
+  if (invalidIndex !== -1) {
+    throw new Error(t('importParser.notObject', { row: invalidIndex + 1 }));
+  }
+
+  // Columns in order of first appearance across all rows
+  const columns = [];
+  rows.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    });
+  });
+
+  return { columns, rows, warnings: [] };
+};
+
+/**
+ * Parse an uploaded file in any supported format
+ * @param {string} fileName - Uploaded file name
+ * @param {string} text - File contents
+ * @return {{format: string, columns: Array<string>, rows: Array<Object>, warnings: Array}}
+ */
+export const parseImportFile = (fileName, text) => {
+  const format = detectImportFormat(fileName, text);
+  const parsed = format === 'csv' ? parseCsv(text) : parseJson(text, format);
+
+  if (parsed.rows.length === 0) {
+    throw new Error(t('importParser.noRows'));
+  }
+
+  return { format, ...parsed };
+};
+
+/**
+ * Convert a parsed value into the value sent to the backend
+ * Empty strings become NULL; everything else is left for PostgreSQL to cast.
+ * @param {*} value - Parsed value
+ * @return {*} Import value
+ */
+export const toImportValue = (value) => (
+  value === undefined || value === '' ? null : value
+);
+
+/**
+ * Infer a TableCreateForm column type from sample values
+ * @param {Array} values - Column values from the parsed rows
+ * @return {{type: string, nullable: boolean}} Inferred type and nullability
+ */
+export const inferColumnType = (values) => {
+  const present = values.filter((value) => value !== null && value !== undefined && value !== '');
+  const nullable = present.length < values.length;
+
+  if (present.length === 0) {
+    return { type: 'VARCHAR(255)', nullable: true };
+  }
+
+  if (present.some((value) => typeof value === 'object')) {
+    return { type: 'TEXT', nullable };
+  }
+
+  const strings = present.map((value) => String(value).trim());
+
+  if (strings.every((value) => BOOLEAN_VALUES.includes(value.toLowerCase()))) {
+    return { type: 'BOOLEAN', nullable };
+  }
+
+  if (strings.every((value) => INTEGER_PATTERN.test(value))) {
+    const fitsInteger = strings.every((value) => Math.abs(Number(value)) <= MAX_INTEGER);
+    const fitsBigint = strings.every((value) => value.replace('-', '').length <= 18);
+
+    if (fitsInteger) {
+      return { type: 'INTEGER', nullable };
+    }
+    if (fitsBigint) {
+      return { type: 'BIGINT', nullable };
+    }
+  }
+
+  if (strings.every((value) => DECIMAL_PATTERN.test(value))) {
+    const integerDigits = Math.max(...strings.map((value) => value.replace('-', '').split('.')[0].length));
+
+    if (integerDigits <= 8) {
+      return { type: 'DECIMAL(10,2)', nullable };
+    }
+    if (integerDigits <= 13) {
+      return { type: 'DECIMAL(15,2)', nullable };
+    }
+  }
+
+  if (strings.every((value) => DATE_PATTERN.test(value))) {
+    return { type: 'DATE', nullable };
+  }
+
+  if (strings.every((value) => TIMESTAMP_PATTERN.test(value))) {
+    return { type: 'TIMESTAMP', nullable };
+  }
+
+  const maxLength = Math.max(...strings.map((value) => value.length));
+
+  if (maxLength <= 50) {
+    return { type: 'VARCHAR(50)', nullable };
+  }
+  if (maxLength <= 100) {
+    return { type: 'VARCHAR(100)', nullable };
+  }
+  if (maxLength <= 255) {
+    return { type: 'VARCHAR(255)', nullable };
+  }
+  return { type: 'TEXT', nullable };
+};
@@ -0,0 +1,121 @@
+import {
+  detectImportFormat,
+  parseCsv,
+  parseJson,
+  parseImportFile,
+  toImportValue,
+  inferColumnType
+} from './importParser';
+
+describe('detectImportFormat', () => {
+  it('goes by the file extension first', () => {
+    expect(detectImportFormat('users.csv', '[]')).toBe('csv');
+    expect(detectImportFormat('users.tsv')).toBe('csv');
+    expect(detectImportFormat('users.JSON')).toBe('json');
+    expect(detectImportFormat('users.jsonl')).toBe('ndjson');
+    expect(detectImportFormat('users.ndjson')).toBe('ndjson');
+  });
+
+  it('falls back to the first character of the content', () => {
+    expect(detectImportFormat('export', '  [{"id": 1}]')).toBe('json');
+    expect(detectImportFormat('export', '{"id": 1}\n{"id": 2}')).toBe('ndjson');
+    expect(detectImportFormat('export', 'id,name')).toBe('csv');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads a header row and records', () => {
+    expect(parseCsv('\uFEFFid,name\r\n1,Ada\r\n2,Bob\r\n')).toEqual({
+      columns: ['id', 'name'],
+      rows: [{ id: '1', name: 'Ada' }, { id: '2', name: 'Bob' }],
+      warnings: []
+    });
+  });
+
+  it('honours quoted fields, escaped quotes and line breaks inside quotes', () => {
+    const { rows } = parseCsv('id,note\n1,"Hello, ""world""\nsecond line"\n');
+
+    expect(rows).toEqual([{ id: '1', note: 'Hello, "world"\nsecond line' }]);
+  });
+
+  it('detects semicolon and tab delimiters', () => {
+    expect(parseCsv('id;name\n1;Ada').rows).toEqual([{ id: '1', name: 'Ada' }]);
+    expect(parseCsv('id\tname\n1\tAda').rows).toEqual([{ id: '1', name: 'Ada' }]);
+  });
+
+  it('skips blank lines and warns about rows with the wrong number of fields', () => {
+    const { rows, warnings } = parseCsv('id,name\n\n1\n2,Bob,extra\n');
+
+    expect(rows).toEqual([{ id: '1', name: '' }, { id: '2', name: 'Bob' }]);
+    expect(warnings.map((warning) => warning.row)).toEqual([1, 2]);
+  });
+
+  it('rejects unterminated quotes, empty files and bad headers', () => {
+    expect(() => parseCsv('id,name\n1,"Ada')).toThrow(/unterminated/);
+    expect(() => parseCsv('')).toThrow(/empty/);
+    expect(() => parseCsv('id,,name\n1,2,3')).toThrow(/needs a name/);
+    expect(() => parseCsv('id,name,id\n1,2,3')).toThrow(/Duplicate column name\(s\) in header: id/);
+  });
+});
+
+describe('parseJson', () => {
+  it('collects columns in order of first appearance', () => {
+    expect(parseJson('[{"id": 1}, {"name": "Ada", "id": 2}]')).toEqual({
+      columns: ['id', 'name'],
+      rows: [{ id: 1 }, { name: 'Ada', id: 2 }],
+      warnings: []
+    });
+  });
+
+  it('reads one object per line for NDJSON', () => {
+    expect(parseJson('{"id": 1}\n\n{"id": 2}\n', 'ndjson').rows).toEqual([{ id: 1 }, { id: 2 }]);
+  });
+
+  it('rejects invalid JSON and anything but a list of objects', () => {
+    expect(() => parseJson('{"id": 1}\n{"id": ', 'ndjson')).toThrow(/Invalid JSON on line 2/);
+    expect(() => parseJson('[{"id": 1}')).toThrow(/Invalid JSON/);
+    expect(() => parseJson('{"id": 1}')).toThrow(/array of objects/);
+    expect(() => parseJson('[{"id": 1}, [2]]')).toThrow(/Row 2 is not an object/);
+  });
+});
+
+describe('parseImportFile', () => {
+  it('reports the detected format', () => {
+    expect(parseImportFile('users.csv', 'id\n1').format).toBe('csv');
+  });
+
+  it('rejects files without data rows', () => {
+    expect(() => parseImportFile('users.csv', 'id,name\n')).toThrow(/no data rows/);
+    expect(() => parseImportFile('users.json', '[]')).toThrow(/no data rows/);
+  });
+});
+
+describe('toImportValue', () => {
+  it('turns empty values into NULL and keeps the rest', () => {
+    expect(toImportValue('')).toBeNull();
+    expect(toImportValue(undefined)).toBeNull();
+    expect(toImportValue(0)).toBe(0);
+    expect(toImportValue('text')).toBe('text');
+  });
+});
+
+describe('inferColumnType', () => {
+  it.each([
+    [['true', 'no', 'T'], 'BOOLEAN'],
+    [['1', '-42'], 'INTEGER'],
+    [['1', '9999999999'], 'BIGINT'],
+    [['1.5', '-.25', '3'], 'DECIMAL(10,2)'],
+    [['123456789.5'], 'DECIMAL(15,2)'],
+    [['2024-01-31'], 'DATE'],
+    [['2024-01-31T10:00:00Z', '2024-02-01 08:30'], 'TIMESTAMP'],
+    [['short', 'text'], 'VARCHAR(50)'],
+    [[{ nested: true }], 'TEXT']
+  ])('infers %j as %s', (values, type) => {
+    expect(inferColumnType(values)).toEqual({ type, nullable: false });
+  });
+
+  it('makes columns with missing values nullable', () => {
+    expect(inferColumnType(['1', '', null])).toEqual({ type: 'INTEGER', nullable: true });
+    expect(inferColumnType(['', undefined])).toEqual({ type: 'VARCHAR(255)', nullable: true });
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Schema Diagram Utilities
+ *
+ * Geometry, auto-layout and export helpers for the entity-relationship
+ * diagram. Tables are drawn as fixed-width boxes with one row per column;
+ * foreign keys are drawn as curves between the referencing and referenced
+ * column rows.
+ */
+
+import { t } from '../services/i18n';
+
+export const NODE_WIDTH = 240;
+export const HEADER_HEIGHT = 32;
+export const ROW_HEIGHT = 22;
+
+const NODE_PADDING = 6;
+const LAYER_GAP = 120;
+const NODE_GAP = 40;
+const ISOLATED_COLUMNS = 3;
+const EXPORT_MARGIN = 40;
+
+/**
+ * Get the rendered height of a table box
+ * @param {Object} table - Table with its columns
+ * @return {number} Height in diagram units
+ */
+export const getNodeHeight = (table) => (
+  HEADER_HEIGHT + Math.max(table.columns.length, 1) * ROW_HEIGHT + NODE_PADDING
+);
+
+/**
+ * Get the vertical centre of a column row
+ * @param {Object} table - Table with its columns
+ * @param {Object} position - Table position ({ x, y })
+ * @param {string} columnName - Column name
+ * @return {number} Y coordinate (the header centre when the column is unknown)
+ */
+export const getColumnAnchorY = (table, position, columnName) => {
+  const index = table.columns.findIndex((column) => column.column_name === columnName);
+
+  if (index === -1) {
+    return position.y + HEADER_HEIGHT / 2;
+  }
+  return position.y + HEADER_HEIGHT + index * ROW_HEIGHT + ROW_HEIGHT / 2;
+};
+
+/**
+ * Build the SVG path of a relationship between two column rows
+ * @param {Object} from - Referencing side ({ x, y } of the table, anchorY of the column)
+ * @param {Object} to - Referenced side ({ x, y } of the table, anchorY of the column)
+ * @param {boolean} selfReference - Whether the foreign key references its own table
+ * @return {string} SVG path data
+ */
+export const buildEdgePath = (from, to, selfReference = false) => {
+  // Loop out of the right edge and back in for self-references and tables stacked vertically
+  if (selfReference || Math.abs(from.x - to.x) < NODE_WIDTH) {
+    const right = Math.max(from.x, to.x) + NODE_WIDTH;
+    const bulge = right + 40 + Math.min(Math.abs(from.anchorY - to.anchorY) / 4, 60);
+
+    return `M ${from.x + NODE_WIDTH} ${from.anchorY} `
+      + `C ${bulge} ${from.anchorY}, ${bulge} ${to.anchorY}, ${to.x + NODE_WIDTH} ${to.anchorY}`;
+  }
+
+  const leftToRight = from.x < to.x;
+  const startX = leftToRight ? from.x + NODE_WIDTH : from.x;
+  const endX = leftToRight ? to.x : to.x + NODE_WIDTH;
+  const handle = Math.max(Math.abs(endX - startX) / 2, 40) * (leftToRight ? 1 : -1);
+
+  return `M ${startX} ${from.anchorY} `
+    + `C ${startX + handle} ${from.anchorY}, ${endX - handle} ${to.anchorY}, ${endX} ${to.anchorY}`;
+};
+
+/**
+ * Lay tables out left to right by foreign key depth
+ *
+ * Referenced tables are placed in earlier layers than the tables that
+ * reference them; tables without relationships are placed in a grid after
+ * the last layer. Cycles are broken where they are first detected.
+ *
+ * @param {Array} tables - Tables with their columns
+ * @param {Array} relationships - Foreign keys ({ table_name, referenced_table })
+ * @return {Object} Positions keyed by table name ({ x, y })
+ */
+export const computeLayout = (tables, relationships) => {
+  const tableNames = new Set(tables.map((table) => table.table_name));
+  const references = new Map();
+  const related = new Set();
+
+  relationships.forEach((relationship) => {
+    if (!tableNames.has(relationship.table_name) || !tableNames.has(relationship.referenced_table)) {
+      return;
+    }
+    related.add(relationship.table_name);
+    related.add(relationship.referenced_table);
+
+    if (relationship.table_name !== relationship.referenced_table) {
+      if (!references.has(relationship.table_name)) {
+        references.set(relationship.table_name, new Set());
+      }
+      references.get(relationship.table_name).add(relationship.referenced_table);
+    }
+  });
+
+  const layers = new Map();
+  const visiting = new Set();
+
+  const getLayer = (tableName) => {
+    if (layers.has(tableName)) {
+      return layers.get(tableName);
+    }
+    if (visiting.has(tableName)) {
+      return 0;
+    }
+
+    visiting.add(tableName);
+    let layer = 0;
+    (references.get(tableName) || new Set()).forEach((referenced) => {
+      layer = Math.max(layer, getLayer(referenced) + 1);
+    });
+    visiting.delete(tableName);
+
+    layers.set(tableName, layer);
+    return layer;
+  };
+
+  const layered = [];
+  const isolated = [];
+
+  tables.forEach((table) => {
+    if (related.has(table.table_name)) {
+      const layer = getLayer(table.table_name);
+      layered[layer] = [...(layered[layer] || []), table];
+    } else {
+      isolated.push(table);
+    }
+  });
+
+  const positions = {};
+  let x = 0;
+
+  layered.filter(Boolean).forEach((layerTables) => {
+    let y = 0;
+    layerTables.forEach((table) => {
+      positions[table.table_name] = { x, y };
+      y += getNodeHeight(table) + NODE_GAP;
+    });
+    x += NODE_WIDTH + LAYER_GAP;
+  });
+
+  // Unrelated tables fill a grid, one row at a time
+  const gridX = x;
+  let rowY = 0;
+  for (let i = 0; i < isolated.length; i += ISOLATED_COLUMNS) {
+    const row = isolated.slice(i, i + ISOLATED_COLUMNS);
+    const y = rowY;
+
+    row.forEach((table, column) => {
+      positions[table.table_name] = { x: gridX + column * (NODE_WIDTH + NODE_GAP), y };
+    });
+    rowY += Math.max(...row.map(getNodeHeight)) + NODE_GAP;
+  }
+
+  return positions;
+};
+
+/**
+ * Get the bounding box of all positioned tables
+ * @param {Array} tables - Tables with their columns
+ * @param {Object} positions - Positions keyed by table name
+ * @return {{x: number, y: number, width: number, height: number}} Bounds (empty when nothing is positioned)
+ */
+export const getDiagramBounds = (tables, positions) => {
+  const placed = tables.filter((table) => positions[table.table_name]);
+
+  if (placed.length === 0) {
+    return { x: 0, y: 0, width: 0, height: 0 };
+  }
+
+  const minX = Math.min(...placed.map((table) => positions[table.table_name].x));
+  const minY = Math.min(...placed.map((table) => positions[table.table_name].y));
+  // Leave room on the right for self-referencing loops
+  const maxX = Math.max(...placed.map((table) => positions[table.table_name].x + NODE_WIDTH)) + 100;
+  const maxY = Math.max(...placed.map((table) => positions[table.table_name].y + getNodeHeight(table)));
+
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+/**
+ * Serialize the diagram as a standalone SVG document showing every table
+ * @param {SVGSVGElement} svgElement - Rendered diagram
+ * @param {Object} bounds - Diagram bounds (see getDiagramBounds)
+ * @return {{svg: string, width: number, height: number}} SVG markup and its size
+ */
+export const serializeDiagram = (svgElement, bounds) => {
+  const width = Math.ceil(bounds.width + EXPORT_MARGIN * 2);
+  const height = Math.ceil(bounds.height + EXPORT_MARGIN * 2);
+  const clone = svgElement.cloneNode(true);
+
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('viewBox', `${bounds.x - EXPORT_MARGIN} ${bounds.y - EXPORT_MARGIN} ${width} ${height}`);
+  clone.removeAttribute('class');
+  clone.removeAttribute('style');
+
+  // Drop the on-screen pan/zoom so the export contains the whole diagram
+  clone.querySelectorAll('[data-viewport]').forEach((group) => group.removeAttribute('transform'));
+  clone.querySelectorAll('[data-export-ignore]').forEach((element) => element.remove());
+
+  const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  background.setAttribute('x', bounds.x - EXPORT_MARGIN);
+  background.setAttribute('y', bounds.y - EXPORT_MARGIN);
+  background.setAttribute('width', width);
+  background.setAttribute('height', height);
+  background.setAttribute('fill', '#ffffff');
+  clone.insertBefore(background, clone.firstChild);
+
+  return {
+    svg: new XMLSerializer().serializeToString(clone),
+    width,
+    height
+  };
+};
+
+/**
+ * Render SVG markup to a PNG image
+ * @param {string} svg - SVG markup
+ * @param {number} width - Image width in SVG units
+ * @param {number} height - Image height in SVG units
+ * @param {number} scale - Pixel density of the image
+ * @return {Promise<Blob>} PNG image
+ */
+export const renderSvgToPng = (svg, width, height, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error(t('schemaDiagram.tooLarge')));
+      }
+    }, 'image/png');
+  };
+
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(t('schemaDiagram.renderFailed')));
+  };
+
+  image.src = url;
+});
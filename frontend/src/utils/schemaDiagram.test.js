@@ -0,0 +1,110 @@
+import {
+  NODE_WIDTH,
+  getNodeHeight,
+  getColumnAnchorY,
+  buildEdgePath,
+  computeLayout,
+  getDiagramBounds
+} from './schemaDiagram';
+
+/**
+ * Build a table with the given column names
+ * @param {string} tableName - Table name
+ * @param {Array<string>} columnNames - Column names
+ * @return {Object} Table with its columns
+ */
+const table = (tableName, columnNames = ['id']) => ({
+  table_name: tableName,
+  columns: columnNames.map((columnName) => ({ column_name: columnName }))
+});
+
+describe('getNodeHeight', () => {
+  it('grows with the columns and keeps room for one row when there are none', () => {
+    expect(getNodeHeight(table('users', ['id', 'name']))).toBe(82);
+    expect(getNodeHeight(table('empty', []))).toBe(60);
+  });
+});
+
+describe('getColumnAnchorY', () => {
+  it('points at the middle of the column row, or the header for unknown columns', () => {
+    const users = table('users', ['id', 'name']);
+
+    expect(getColumnAnchorY(users, { x: 0, y: 100 }, 'name')).toBe(165);
+    expect(getColumnAnchorY(users, { x: 0, y: 100 }, 'missing')).toBe(116);
+  });
+});
+
+describe('buildEdgePath', () => {
+  it('curves from the right edge of one table to the left edge of the next', () => {
+    expect(buildEdgePath({ x: 0, y: 0, anchorY: 50 }, { x: 360, y: 0, anchorY: 20 }))
+      .toBe('M 240 50 C 300 50, 300 20, 360 20');
+  });
+
+  it('loops out of the right edge for self-references', () => {
+    expect(buildEdgePath({ x: 0, y: 0, anchorY: 50 }, { x: 0, y: 0, anchorY: 50 }, true))
+      .toBe(`M ${NODE_WIDTH} 50 C 280 50, 280 50, ${NODE_WIDTH} 50`);
+  });
+});
+
+describe('computeLayout', () => {
+  it('places referenced tables in earlier layers and unrelated tables in a grid after them', () => {
+    const tables = [table('order_items'), table('tags'), table('orders'), table('users'), table('logs')];
+    const relationships = [
+      { table_name: 'order_items', referenced_table: 'orders' },
+      { table_name: 'order_items', referenced_table: 'users' },
+      { table_name: 'orders', referenced_table: 'users' }
+    ];
+
+    expect(computeLayout(tables, relationships)).toEqual({
+      users: { x: 0, y: 0 },
+      orders: { x: 360, y: 0 },
+      order_items: { x: 720, y: 0 },
+      tags: { x: 1080, y: 0 },
+      logs: { x: 1360, y: 0 }
+    });
+  });
+
+  it('stacks tables of the same layer and wraps the grid after three tables', () => {
+    const tables = [table('a'), table('b'), table('parent'), table('c'), table('d'), table('e'), table('f')];
+    const relationships = [
+      { table_name: 'a', referenced_table: 'parent' },
+      { table_name: 'b', referenced_table: 'parent' }
+    ];
+
+    const positions = computeLayout(tables, relationships);
+
+    expect(positions.a).toEqual({ x: 360, y: 0 });
+    expect(positions.b).toEqual({ x: 360, y: 100 });
+    expect(positions.f).toEqual({ x: 720, y: 100 });
+  });
+
+  it('breaks cycles and handles self-references', () => {
+    const positions = computeLayout([table('a'), table('b'), table('tree')], [
+      { table_name: 'a', referenced_table: 'b' },
+      { table_name: 'b', referenced_table: 'a' },
+      { table_name: 'tree', referenced_table: 'tree' }
+    ]);
+
+    expect(Object.keys(positions).sort()).toEqual(['a', 'b', 'tree']);
+    expect(positions.a.x).not.toBe(positions.b.x);
+    expect(positions.tree.x).toBe(0);
+  });
+
+  it('ignores relationships to tables that are not shown', () => {
+    expect(computeLayout([table('orders')], [{ table_name: 'orders', referenced_table: 'users' }]))
+      .toEqual({ orders: { x: 0, y: 0 } });
+  });
+});
+
+describe('getDiagramBounds', () => {
+  it('is empty without positioned tables', () => {
+    expect(getDiagramBounds([table('users')], {})).toEqual({ x: 0, y: 0, width: 0, height: 0 });
+  });
+
+  it('covers every table plus room for self-reference loops', () => {
+    const tables = [table('users', ['id', 'name']), table('orders')];
+    const positions = { users: { x: 0, y: 0 }, orders: { x: 360, y: 200 } };
+
+    expect(getDiagramBounds(tables, positions)).toEqual({ x: 0, y: 0, width: 700, height: 260 });
+  });
+});